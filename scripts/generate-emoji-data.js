@@ -0,0 +1,258 @@
+// Regenerates src/contexts/room/emojiData.js from the Unicode emoji test file (the full RGI set, in CLDR order).
+//
+//   npm run emoji:generate                       # emoji-test.txt of EMOJI_VERSION from unicode.org
+//   npm run emoji:generate -- ./emoji-test.txt   # a local copy of that file
+//
+// The version is pinned so that a regeneration only changes the data when EMOJI_VERSION is bumped; a source
+// of any other version is refused. Bump it (and regenerate) when a new Emoji version ships.
+//
+// Every fully-qualified emoji becomes one EMOJI_DATA entry; skin-tone variants are folded into their
+// base emoji's `skins` list instead of getting entries of their own. Keywords are the hand-written
+// English ones from emojiKeywords.js followed by the emoji's Unicode name. Every entry also gets French
+// and Arabic keywords (`localized`): the hand-written ones, then the emoji's CLDR annotations (name and
+// keywords) from the cldr-annotations-full / cldr-annotations-derived-full packages. An emoji CLDR does
+// not annotate yet needs hand-written keywords in each language, or the generator stops.
+//
+// The same emojis also go to the database as a migration filling public.emoji_catalog, which advance_phase
+// checks emoji answers against (see isEmojiCluster in emojiGuard.js and wdym_split_emoji_answer). Each
+// Emoji version gets a migration of its own, timestamped when it is generated; applied migrations are
+// never rewritten, so a regeneration of a version that already has one leaves it alone.
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { EMOJI_KEYWORDS } from '../src/contexts/room/emojiKeywords.js';
+
+const EMOJI_VERSION = '18.0';
+// Since Unicode 17.0 the emoji files are published with the rest of the UCD
+const DEFAULT_SOURCE = `https://www.unicode.org/Public/${EMOJI_VERSION}.0/emoji/emoji-test.txt`;
+const OUTPUT = fileURLToPath(new URL('../src/contexts/room/emojiData.js', import.meta.url));
+const MIGRATIONS = fileURLToPath(new URL('../supabase/migrations/', import.meta.url));
+
+// Languages searched besides English (see getEmojiKeywords)
+const LOCALIZED_LANGUAGES = ['fr', 'ar'];
+
+// Unicode group -> picker category. The "Component" group (bare skin tones and hair styles) is left out.
+const CATEGORIES = [
+    { id: 'smileys', group: 'Smileys & Emotion', label: 'Smileys & Emotion', icon: '😀' },
+    { id: 'people', group: 'People & Body', label: 'People & Body', icon: '👋' },
+    { id: 'animals', group: 'Animals & Nature', label: 'Animals & Nature', icon: '🐶' },
+    { id: 'food', group: 'Food & Drink', label: 'Food & Drink', icon: '🍕' },
+    { id: 'travel', group: 'Travel & Places', label: 'Travel & Places', icon: '🚗' },
+    { id: 'activities', group: 'Activities', label: 'Activities', icon: '⚽' },
+    { id: 'objects', group: 'Objects', label: 'Objects', icon: '💡' },
+    { id: 'symbols', group: 'Symbols', label: 'Symbols', icon: '❤️' },
+    { id: 'flags', group: 'Flags', label: 'Flags', icon: '🏁' }
+];
+
+const SKIN_TONE_MODIFIERS = ['1F3FB', '1F3FC', '1F3FD', '1F3FE', '1F3FF'];
+const VARIATION_SELECTOR = 'FE0F';
+
+const fromCodePoints = (codes) => String.fromCodePoint(...codes.map(code => parseInt(code, 16)));
+
+// Same emoji with or without the variation selector, so hand-written keys match either form
+const looseKey = (emoji) => emoji.replace(/\uFE0F/g, '');
+
+const readSource = async (source) => {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Could not download ${source}: ${response.status}`);
+        return response.text();
+    }
+    return readFile(source, 'utf8');
+};
+
+// [{ emoji, category, name, skins }] in file order, plus the file's emoji version
+const parseEmojiTest = (text) => {
+    const entries = [];
+    const byBase = new Map();
+    let category = null;
+    let version = null;
+
+    for (const line of text.split('\n')) {
+        const versionMatch = line.match(/^# Version: ([\d.]+)/);
+        if (versionMatch) version = versionMatch[1];
+
+        const groupMatch = line.match(/^# group: (.+)$/);
+        if (groupMatch) {
+            category = CATEGORIES.find(c => c.group === groupMatch[1].trim())?.id || null;
+            continue;
+        }
+
+        const entryMatch = line.match(/^([0-9A-F ]+);\s*fully-qualified\s*#\s*\S+\s+E[\d.]+\s+(.+)$/);
+        if (!entryMatch || !category) continue;
+
+        const codes = entryMatch[1].trim().split(/\s+/);
+        const name = entryMatch[2].trim();
+        const tones = codes.filter(code => SKIN_TONE_MODIFIERS.includes(code));
+
+        if (tones.length === 0) {
+            const entry = { emoji: fromCodePoints(codes), category, name, skins: [] };
+            entries.push(entry);
+            byBase.set(codes.filter(code => code !== VARIATION_SELECTOR).join(' '), entry);
+            continue;
+        }
+
+        // Only variants with one tone throughout (👋🏽, 🧑🏽‍🤝‍🧑🏽) are offered; mixed-tone couples are skipped
+        if (new Set(tones).size > 1) continue;
+        const baseCodes = codes.filter(code => !SKIN_TONE_MODIFIERS.includes(code) && code !== VARIATION_SELECTOR);
+        const base = byBase.get(baseCodes.join(' '));
+        if (base) base.skins[SKIN_TONE_MODIFIERS.indexOf(tones[0])] = fromCodePoints(codes);
+    }
+
+    return { entries, version };
+};
+
+// The Unicode name as a search keyword: "flag: Japan" -> "japan", "man: red hair" -> "man red hair"
+const nameKeywords = (entry) => {
+    const name = entry.name.toLowerCase();
+    if (entry.category === 'flags' && name.startsWith('flag: ')) return [name.slice(6), 'flag'];
+    return [name.replace(/:/g, '').replace(/\s+/g, ' ')];
+};
+
+// CLDR annotations of `language`, keyed without variation selectors: single emojis, then the derived
+// ones (sequences, flags, skin tones)
+const loadAnnotations = async (language) => {
+    const require = createRequire(import.meta.url);
+    const read = async (path) => JSON.parse(await readFile(require.resolve(path), 'utf8'));
+    const { annotations: { annotations: base } } = await read(`cldr-annotations-full/annotations/${language}/annotations.json`);
+    const { annotationsDerived: { annotations: derived } } = await read(`cldr-annotations-derived-full/annotationsDerived/${language}/annotations.json`);
+    const annotations = new Map();
+    for (const [emoji, annotation] of Object.entries({ ...derived, ...base })) annotations.set(looseKey(emoji), annotation);
+    return annotations;
+};
+
+// The CLDR name as nameKeywords does with the Unicode one ("drapeau : Japon" -> "japon", "drapeau"),
+// followed by the CLDR keywords
+const annotationKeywords = (entry, annotation) => {
+    if (!annotation) return [];
+    const name = (annotation.tts?.[0] || '').toLowerCase();
+    const [prefix, rest] = name.split(/\s*:\s*/);
+    const names = entry.category === 'flags' && rest ? [rest, prefix] : [name.replace(/\s*:\s*/g, ' ')];
+    return [...names, ...(annotation.default || []).map(keyword => keyword.toLowerCase())].filter(Boolean);
+};
+
+const quote = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const sqlQuote = (value) => `'${value.replace(/'/g, "''")}'`;
+
+// Only complete sets of the five tones are offered
+const getSkins = (entry) => entry.skins.filter(Boolean).length === SKIN_TONE_MODIFIERS.length ? entry.skins : [];
+
+const formatEntry = (entry, keywords, localized) => {
+    const fields = [`emoji: ${quote(entry.emoji)}`, `category: ${quote(entry.category)}`, `keywords: [${keywords.map(quote).join(', ')}]`];
+    const languages = Object.entries(localized).map(([language, words]) => `${language}: [${words.map(quote).join(', ')}]`);
+    fields.push(`localized: { ${languages.join(', ')} }`);
+    if (getSkins(entry).length > 0) fields.push(`skins: [${entry.skins.map(quote).join(', ')}]`);
+    return `  { ${fields.join(', ')} }`;
+};
+
+// Every emoji a player can send, skin-toned ones included, without variation selectors
+const formatCatalog = (entries, version) => {
+    const emojis = [...new Set(entries.flatMap(entry => [entry.emoji, ...getSkins(entry)]).map(looseKey))];
+    const rows = [];
+    for (let i = 0; i < emojis.length; i += 12) {
+        rows.push(`    ${emojis.slice(i, i + 12).map(emoji => `(${sqlQuote(emoji)})`).join(', ')}`);
+    }
+    return `-- GENERATED by scripts/generate-emoji-data.js from Unicode emoji ${version} - do not edit by hand.
+-- The emojis of src/contexts/room/emojiData.js and their skin-tone variants, without variation selectors:
+-- what an emoji answer may be made of (wdym_split_emoji_answer, isEmojiCluster in emojiGuard.js).
+
+create table if not exists public.emoji_catalog (
+    emoji text primary key
+);
+
+-- Readable like the bundled emojiData.js; only migrations write it
+alter table public.emoji_catalog enable row level security;
+
+drop policy if exists emoji_catalog_select on public.emoji_catalog;
+create policy emoji_catalog_select on public.emoji_catalog for select using (true);
+
+delete from public.emoji_catalog;
+insert into public.emoji_catalog (emoji) values
+${rows.join(',\n')};
+`;
+};
+
+// supabase migration names start with a UTC timestamp: 20261019001800
+const migrationTimestamp = () => new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+// Writes the catalog of `version` to a new migration, unless one of the migrations already holds it.
+// Returns the file it is in.
+const writeCatalogMigration = async (catalog, version) => {
+    const firstLine = catalog.slice(0, catalog.indexOf('\n'));
+    for (const file of (await readdir(MIGRATIONS)).filter(name => name.endsWith('.sql')).sort()) {
+        const existing = await readFile(MIGRATIONS + file, 'utf8');
+        if (!existing.startsWith(firstLine + '\n')) continue;
+        if (existing !== catalog) throw new Error(`${file} already has the Unicode emoji ${version} catalog with other emojis; applied migrations are not rewritten`);
+        return MIGRATIONS + file;
+    }
+    const path = `${MIGRATIONS}${migrationTimestamp()}_emoji_catalog_${version.replace(/\./g, '_')}.sql`;
+    // 'wx' refuses to overwrite a file that is already there
+    await writeFile(path, catalog, { flag: 'wx' });
+    return path;
+};
+
+const main = async () => {
+    const source = process.argv[2] || DEFAULT_SOURCE;
+    const { entries, version } = parseEmojiTest(await readSource(source));
+    if (entries.length === 0) throw new Error(`No emoji found in ${source}`);
+    if (version !== EMOJI_VERSION) throw new Error(`${source} is Unicode emoji ${version || '(unknown version)'}, expected ${EMOJI_VERSION}`);
+
+    const handWritten = new Map(Object.entries(EMOJI_KEYWORDS.en).map(([emoji, keywords]) => [looseKey(emoji), keywords]));
+    const matched = new Set();
+    const localizedSources = await Promise.all(LOCALIZED_LANGUAGES.map(async (language) => ({
+        language,
+        handWritten: new Map(Object.entries(EMOJI_KEYWORDS[language]).map(([emoji, keywords]) => [looseKey(emoji), keywords])),
+        annotations: await loadAnnotations(language)
+    })));
+    const missing = [];
+
+    const lines = [];
+    let lastCategory = null;
+    for (const entry of entries) {
+        if (entry.category !== lastCategory) {
+            lines.push(`  // --- ${CATEGORIES.find(c => c.id === entry.category).label.toUpperCase()} ---`);
+            lastCategory = entry.category;
+        }
+        const key = looseKey(entry.emoji);
+        if (handWritten.has(key)) matched.add(key);
+        const keywords = [...new Set([...(handWritten.get(key) || []), ...nameKeywords(entry)])];
+        const localized = {};
+        for (const source of localizedSources) {
+            localized[source.language] = [...new Set([...(source.handWritten.get(key) || []), ...annotationKeywords(entry, source.annotations.get(key))])];
+            if (localized[source.language].length === 0) missing.push(`${entry.emoji} (${source.language})`);
+        }
+        lines.push(formatEntry(entry, keywords, localized) + ',');
+    }
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, -1);
+    if (missing.length > 0) throw new Error(`No CLDR annotation for these emojis: add keywords to emojiKeywords.js for ${missing.join(' ')}`);
+
+    const categories = CATEGORIES.map(({ id, label, icon }) => `  { id: ${quote(id)}, label: ${quote(label)}, icon: ${quote(icon)} }`);
+
+    const output = `// GENERATED by scripts/generate-emoji-data.js from Unicode emoji ${version} - do not edit by hand.
+// Keywords come from emojiKeywords.js plus each emoji's Unicode name; \`localized\` has the French and
+// Arabic ones (emojiKeywords.js plus the CLDR annotations); \`skins\` lists the five skin-tone variants
+// (light to dark) of the emojis that have them.
+
+export const EMOJI_VERSION = ${quote(version)};
+
+export const EMOJI_CATEGORIES = [
+${categories.join(',\n')}
+];
+
+export const EMOJI_DATA = [
+${lines.join('\n')}
+];
+`;
+    const catalogMigration = await writeCatalogMigration(formatCatalog(entries, version), version);
+    await writeFile(OUTPUT, output);
+
+    console.log(`Wrote ${entries.length} emojis (Unicode ${version}) to ${OUTPUT}; the catalog is in ${catalogMigration}`);
+    const unmatched = [...handWritten.keys()].filter(key => !matched.has(key));
+    if (unmatched.length > 0) console.warn(`Keywords for emojis missing from this Unicode version: ${unmatched.join(' ')}`);
+};
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
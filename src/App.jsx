@@ -6,13 +6,18 @@ import AvatarSelection from './pages/AvatarSelection';
 import JoinRoom from './pages/JoinRoom';
 import TextPhase from './pages/TextPhase';
 import EmojiPhase from './pages/EmojiPhase';
+import DrawPhase from './pages/DrawPhase';
 import InterpretationPhase from './pages/InterpretationPhase';
 import RevealPhase from './pages/RevealPhase';
 import VotePhase from './pages/VotePhase';
 import Scoreboard from './pages/Scoreboard';
 import GameWinner from './pages/GameWinner';
+import MatchSummary from './pages/MatchSummary';
 import HowToPlay from './pages/HowToPlay';
 import TermsAndConditions from './pages/TermsAndConditions';
+import PastGames from './pages/PastGames';
+import GameReplay from './pages/GameReplay';
+import PlayerProfile from './pages/PlayerProfile';
 import { LanguageProvider } from './contexts/LanguageContext';
 import { RoomProvider, useRoom } from './contexts/RoomContext';
 import { SoundProvider } from './contexts/SoundContext';
@@ -94,13 +99,18 @@ function GameBody({ isDarkMode, toggleTheme }) {
       <Route path="/lobby" element={<Lobby isDarkMode={isDarkMode} />} />
       <Route path="/text-phase" element={<TextPhase isDarkMode={isDarkMode} />} />
       <Route path="/emoji-phase" element={<EmojiPhase isDarkMode={isDarkMode} />} />
+      <Route path="/draw-phase" element={<DrawPhase isDarkMode={isDarkMode} />} />
       <Route path="/interpretation-phase" element={<InterpretationPhase isDarkMode={isDarkMode} />} />
       <Route path="/reveal-phase" element={<RevealPhase isDarkMode={isDarkMode} />} />
       <Route path="/vote" element={<VotePhase isDarkMode={isDarkMode} />} />
       <Route path="/scoreboard" element={<Scoreboard isDarkMode={isDarkMode} />} />
       <Route path="/game-winner" element={<GameWinner isDarkMode={isDarkMode} />} />
+      <Route path="/match-summary" element={<MatchSummary isDarkMode={isDarkMode} />} />
       <Route path="/how-to-play" element={<HowToPlay isDarkMode={isDarkMode} />} />
       <Route path="/terms" element={<TermsAndConditions isDarkMode={isDarkMode} />} />
+      <Route path="/past-games" element={<PastGames isDarkMode={isDarkMode} />} />
+      <Route path="/game-replay" element={<GameReplay isDarkMode={isDarkMode} />} />
+      <Route path="/profile" element={<PlayerProfile isDarkMode={isDarkMode} />} />
     </Routes>
   );
 }
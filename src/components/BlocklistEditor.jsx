@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { MAX_CUSTOM_WORDS, MAX_CUSTOM_WORD_LENGTH } from '../contexts/room/wordFilter';
+
+// The room's own blocked words, on top of the bundled ones (see wordFilter.js). The host adds and
+// removes words; everyone else only sees the list.
+function BlocklistEditor({ words, onChange, isHost, t, playSound, isDarkMode }) {
+    const [draft, setDraft] = useState('');
+    const textColor = isDarkMode ? '#F3F4F6' : '#1F2937';
+    const canAdd = isHost && draft.trim().length > 0 && words.length < MAX_CUSTOM_WORDS;
+
+    const addWord = () => {
+        if (!canAdd) return;
+        playSound('pop');
+        onChange([...words, draft.trim()]);
+        setDraft('');
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', padding: '15px', borderRadius: '15px', border: '2px dashed var(--input-border)' }}>
+            <div style={{ fontSize: '0.8rem', fontWeight: '800', color: '#9CA3AF', textTransform: 'uppercase' }}>
+                {t('blockedWords')} ({words.length}/{MAX_CUSTOM_WORDS})
+            </div>
+
+            {isHost && (
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    <input
+                        type="text"
+                        value={draft}
+                        maxLength={MAX_CUSTOM_WORD_LENGTH}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                addWord();
+                            }
+                        }}
+                        placeholder={t('addBlockedWord')}
+                        style={{
+                            flex: 1,
+                            padding: '10px 12px',
+                            borderRadius: '12px',
+                            border: '2px solid var(--input-border)',
+                            backgroundColor: 'var(--input-bg)',
+                            color: 'var(--input-text)',
+                            fontSize: '1rem',
+                            fontFamily: 'var(--font-family)',
+                            outline: 'none'
+                        }}
+                    />
+                    <button
+                        disabled={!canAdd}
+                        onClick={addWord}
+                        style={{
+                            padding: '8px 14px',
+                            borderRadius: '12px',
+                            border: '2px solid var(--input-border)',
+                            backgroundColor: 'transparent',
+                            color: textColor,
+                            fontWeight: '800',
+                            cursor: canAdd ? 'pointer' : 'not-allowed',
+                            opacity: canAdd ? 1 : 0.5
+                        }}
+                    >
+                        ＋
+                    </button>
+                </div>
+            )}
+
+            {words.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                    {words.map(word => (
+                        <span
+                            key={word}
+                            style={{
+                                display: 'inline-flex', alignItems: 'center', gap: '6px',
+                                padding: '4px 10px',
+                                borderRadius: '999px',
+                                backgroundColor: isDarkMode ? '#374151' : '#F3F4F6',
+                                color: textColor,
+                                fontWeight: '700',
+                                fontSize: '0.9rem'
+                            }}
+                        >
+                            {word}
+                            {isHost && (
+                                <button
+                                    onClick={() => { playSound('tap'); onChange(words.filter(w => w !== word)); }}
+                                    style={{ background: 'none', border: 'none', color: '#9CA3AF', cursor: 'pointer', fontWeight: '900', padding: 0 }}
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BlocklistEditor;
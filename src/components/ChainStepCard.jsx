@@ -0,0 +1,53 @@
+import React from 'react';
+import DrawingView from './DrawingView';
+
+// One revealed entry of a chain (see getRevealChains in roomUtils): the opening sentence, a guess,
+// an emoji translation or a drawing. Shared by RevealPhase and the past-game replay.
+function ChainStepCard({ step, index, replay = false, isDarkMode, t }) {
+    const subLabel = isDarkMode ? '#DDD6FE' : '#4C1D95';
+    const cardText = isDarkMode ? '#F5F3FF' : '#1E1B4B';
+
+    const isInterpretation = step.phase === 'text' || step.phase.startsWith('interpretation');
+    const isDrawingStep = step.phase.startsWith('draw');
+    const label = isInterpretation ?
+        (step.phase === 'text' ? t('wrote') : t('guessed')) :
+        (isDrawingStep ? t('drew') : t('translated'));
+
+    const bgColor = isInterpretation ? (index === 0 ? 'var(--phase-card-bg)' : '#FFFBEB') : 'var(--phase-card-bg)';
+    const borderColor = isInterpretation ? (index === 0 ? 'rgba(255,255,255,0.1)' : '#FEF3C7') : 'rgba(255,255,255,0.1)';
+    const textColor = isInterpretation ? (index === 0 ? cardText : '#92400E') : cardText;
+    const labelColor = isInterpretation ? (index === 0 ? subLabel : '#D97706') : subLabel;
+
+    return (
+        <div style={{
+            background: bgColor,
+            padding: '25px',
+            borderRadius: '25px',
+            boxShadow: '0 10px 30px rgba(0,0,0,0.1)',
+            width: '100%',
+            maxWidth: '450px',
+            marginBottom: '20px',
+            border: `2px solid ${borderColor}`,
+            backdropFilter: 'blur(5px)',
+            animation: 'pop-in 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
+        }}>
+            <p style={{ color: labelColor, fontSize: '0.8rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '8px' }}>
+                {step.authorName} {label}:
+            </p>
+            {isInterpretation ? (
+                <p style={{ color: textColor, fontSize: index === 0 ? '1.4rem' : '1.6rem', fontWeight: '900', fontStyle: index === 0 ? 'normal' : 'italic' }}>
+                    "{step.content}"
+                </p>
+            ) : isDrawingStep ? (
+                // Newly revealed drawings are replayed stroke by stroke
+                <DrawingView value={step.content} replay={replay} style={{ maxWidth: '320px', margin: '0 auto' }} />
+            ) : (
+                <div style={{ fontSize: '3rem', display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+                    {step.content?.split(' ').map((e, i) => <span key={i} className="hover-pop">{e}</span>)}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ChainStepCard;
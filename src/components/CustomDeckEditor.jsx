@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import {
+    MAX_DECK_NAME_LENGTH, MAX_DECK_PROMPTS,
+    deleteSavedDeck, exportDeck, loadSavedDecks, normalizeDeck, parseDeckFile, saveDeck
+} from '../contexts/room/customDecks';
+
+// Host-only editor for the Lobby's custom prompt deck. `deck` is the deck in the room settings
+// (or null); every edit reports the cleaned deck, or null while it has no name or prompts yet.
+function CustomDeckEditor({ deck, onChange, t, playSound, isDarkMode }) {
+    const [name, setName] = useState(deck?.name || '');
+    const [text, setText] = useState(deck?.prompts?.join('\n') || '');
+    const [savedDecks, setSavedDecks] = useState(loadSavedDecks);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const current = normalizeDeck({ name, prompts: text.split('\n') });
+    const textColor = isDarkMode ? '#F3F4F6' : '#1F2937';
+
+    const flash = (msg) => {
+        setMessage(msg);
+        setTimeout(() => setMessage(null), 2500);
+    };
+
+    const load = (next) => {
+        setName(next.name);
+        setText(next.prompts.join('\n'));
+        onChange(next);
+    };
+
+    const handleEdit = (nextName, nextText) => {
+        setName(nextName);
+        setText(nextText);
+        onChange(normalizeDeck({ name: nextName, prompts: nextText.split('\n') }));
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // allow importing the same file again
+        if (!file) return;
+        const imported = parseDeckFile(await file.text());
+        if (!imported) {
+            flash(t('deckImportError'));
+            return;
+        }
+        playSound('pop');
+        load(imported);
+        flash(t('deckImported'));
+    };
+
+    const buttonStyle = (enabled = true) => ({
+        padding: '8px 12px',
+        borderRadius: '12px',
+        border: '2px solid var(--input-border)',
+        backgroundColor: 'transparent',
+        color: textColor,
+        fontWeight: '700',
+        fontSize: '0.9rem',
+        cursor: enabled ? 'pointer' : 'not-allowed',
+        opacity: enabled ? 1 : 0.5
+    });
+
+    const inputStyle = {
+        width: '100%',
+        padding: '10px 12px',
+        borderRadius: '12px',
+        border: '2px solid var(--input-border)',
+        backgroundColor: 'var(--input-bg)',
+        color: 'var(--input-text)',
+        fontSize: '1rem',
+        fontFamily: 'var(--font-family)',
+        outline: 'none'
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', padding: '15px', borderRadius: '15px', border: '2px dashed var(--input-border)' }}>
+            <input
+                type="text"
+                value={name}
+                maxLength={MAX_DECK_NAME_LENGTH}
+                onChange={(e) => handleEdit(e.target.value, text)}
+                placeholder={t('deckName')}
+                style={inputStyle}
+            />
+            <textarea
+                value={text}
+                onChange={(e) => handleEdit(name, e.target.value)}
+                placeholder={t('deckPromptsPlaceholder')}
+                rows={6}
+                style={{ ...inputStyle, resize: 'vertical' }}
+            />
+            <div style={{ fontSize: '0.8rem', color: '#9CA3AF', fontWeight: '700' }}>
+                {t('deckPromptCount').replace('{count}', current?.prompts.length || 0).replace('{max}', MAX_DECK_PROMPTS)}
+            </div>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                <button
+                    disabled={!current}
+                    onClick={() => {
+                        playSound('tap');
+                        setSavedDecks(saveDeck(current));
+                        flash(t('deckSaved'));
+                    }}
+                    style={buttonStyle(!!current)}
+                >
+                    💾 {t('saveDeck')}
+                </button>
+                <button
+                    disabled={!current}
+                    onClick={() => { playSound('tap'); exportDeck(current); }}
+                    style={buttonStyle(!!current)}
+                >
+                    📤 {t('exportDeck')}
+                </button>
+                <button onClick={() => { playSound('tap'); fileInputRef.current?.click(); }} style={buttonStyle()}>
+                    📥 {t('importDeck')}
+                </button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+            </div>
+
+            {message && <div style={{ fontSize: '0.85rem', fontWeight: '700', color: '#6C63FF' }}>{message}</div>}
+
+            {/* Saved decks on this device */}
+            {savedDecks.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    <div style={{ fontSize: '0.8rem', fontWeight: '800', color: '#9CA3AF', textTransform: 'uppercase' }}>{t('savedDecks')}</div>
+                    {savedDecks.map(saved => (
+                        <div key={saved.name} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <button
+                                onClick={() => { playSound('tap'); load(saved); }}
+                                style={{ ...buttonStyle(), flex: 1, textAlign: 'start', borderColor: saved.name === deck?.name ? '#6C63FF' : undefined }}
+                            >
+                                🃏 {saved.name} ({saved.prompts.length})
+                            </button>
+                            <button
+                                aria-label={t('deleteDeck')}
+                                onClick={() => { playSound('tap'); setSavedDecks(deleteSavedDeck(saved.name)); }}
+                                style={{ ...buttonStyle(), color: '#EF4444' }}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CustomDeckEditor;
@@ -0,0 +1,126 @@
+import React, { useRef, useState } from 'react';
+import DrawingView from './DrawingView';
+import { DRAWING_SIZE, ERASER, MIN_POINT_DISTANCE, PEN_COLORS, PEN_WIDTHS } from '../contexts/room/drawingCodec';
+
+// Stroke editor for the Draw phase. The parent owns `strokes` ([{ color, width, points }]) and
+// gets every finished stroke, undo and clear through onChange.
+function DrawingCanvas({ strokes, onChange, maxStrokes = 200, t, playSound }) {
+    const surfaceRef = useRef(null);
+    const activeStrokeRef = useRef(null);
+    const [activeStroke, setActiveStroke] = useState(null);
+    const [color, setColor] = useState(`#${PEN_COLORS[0]}`);
+    const [width, setWidth] = useState(PEN_WIDTHS[1]);
+
+    const isFull = strokes.length >= maxStrokes;
+
+    const toCanvasPoint = (e) => {
+        const rect = surfaceRef.current.getBoundingClientRect();
+        return [
+            Math.round(((e.clientX - rect.left) / rect.width) * DRAWING_SIZE),
+            Math.round(((e.clientY - rect.top) / rect.height) * DRAWING_SIZE)
+        ];
+    };
+
+    const handlePointerDown = (e) => {
+        if (isFull) return;
+        e.preventDefault();
+        surfaceRef.current.setPointerCapture(e.pointerId);
+        const stroke = { color, width: color === ERASER ? width * 2 : width, points: [toCanvasPoint(e)] };
+        activeStrokeRef.current = stroke;
+        setActiveStroke(stroke);
+    };
+
+    const handlePointerMove = (e) => {
+        const stroke = activeStrokeRef.current;
+        if (!stroke) return;
+        const [x, y] = toCanvasPoint(e);
+        const [lastX, lastY] = stroke.points[stroke.points.length - 1];
+        if (Math.hypot(x - lastX, y - lastY) < MIN_POINT_DISTANCE) return;
+        const next = { ...stroke, points: [...stroke.points, [x, y]] };
+        activeStrokeRef.current = next;
+        setActiveStroke(next);
+    };
+
+    const handlePointerUp = () => {
+        const stroke = activeStrokeRef.current;
+        if (!stroke) return;
+        activeStrokeRef.current = null;
+        setActiveStroke(null);
+        onChange([...strokes, stroke]);
+    };
+
+    const undo = () => {
+        if (strokes.length === 0) return;
+        playSound('tap');
+        onChange(strokes.slice(0, -1));
+    };
+
+    const clear = () => {
+        if (strokes.length === 0) return;
+        playSound('tap');
+        onChange([]);
+    };
+
+    const toolButtonStyle = (isActive) => ({
+        padding: '8px 12px',
+        borderRadius: '12px',
+        border: 'none',
+        fontSize: '0.9rem',
+        fontWeight: '700',
+        cursor: 'pointer',
+        backgroundColor: isActive ? 'var(--phase-title)' : '#F3F4F6',
+        color: isActive ? 'white' : '#6B7280'
+    });
+
+    return (
+        <div style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            <div
+                ref={surfaceRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                style={{ touchAction: 'none', cursor: isFull ? 'not-allowed' : 'crosshair', borderRadius: '25px', border: '4px solid #F3F4F6', boxShadow: '0 10px 30px rgba(0,0,0,0.1)', overflow: 'hidden' }}
+            >
+                <DrawingView strokes={activeStroke ? [...strokes, activeStroke] : strokes} style={{ borderRadius: 0 }} />
+            </div>
+
+            {/* Palette */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center' }}>
+                {PEN_COLORS.map(hex => (
+                    <button
+                        key={hex}
+                        aria-label={`#${hex}`}
+                        onClick={() => { playSound('pop'); setColor(`#${hex}`); }}
+                        style={{
+                            width: '34px', height: '34px', borderRadius: '50%', cursor: 'pointer',
+                            backgroundColor: `#${hex}`,
+                            border: color === `#${hex}` ? '4px solid white' : '2px solid rgba(0,0,0,0.1)',
+                            boxShadow: color === `#${hex}` ? '0 0 0 3px var(--phase-title)' : 'none'
+                        }}
+                    />
+                ))}
+            </div>
+
+            {/* Tools */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center' }}>
+                {PEN_WIDTHS.map((w, i) => (
+                    <button key={w} onClick={() => { playSound('tap'); setWidth(w); }} style={toolButtonStyle(width === w)}>
+                        {['•', '●', '⬤'][i]}
+                    </button>
+                ))}
+                <button onClick={() => { playSound('tap'); setColor(ERASER); }} style={toolButtonStyle(color === ERASER)}>
+                    🧽 {t('eraser')}
+                </button>
+                <button onClick={undo} disabled={strokes.length === 0} style={{ ...toolButtonStyle(false), opacity: strokes.length === 0 ? 0.5 : 1 }}>
+                    ↩️ {t('undo')}
+                </button>
+                <button onClick={clear} disabled={strokes.length === 0} style={{ ...toolButtonStyle(false), opacity: strokes.length === 0 ? 0.5 : 1 }}>
+                    🗑️ {t('clear')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default DrawingCanvas;
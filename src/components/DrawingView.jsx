@@ -0,0 +1,67 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { decodeDrawing, countPoints, DRAWING_SIZE, ERASER } from '../contexts/room/drawingCodec';
+
+const BACKGROUND = '#FFFFFF';
+
+const toPath = (points) => {
+    if (points.length === 1) {
+        const [x, y] = points[0];
+        return `M${x} ${y}L${x + 0.1} ${y}`; // a dot still needs a segment for round caps to show
+    }
+    return points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join('');
+};
+
+// Read-only render of a Draw mode answer. `value` is an encoded drawing (see drawingCodec) or
+// strokes; with `replay` the strokes are redrawn point by point over `replayMs`.
+function DrawingView({ value, strokes: strokesProp, replay = false, replayMs = 2500, style = {} }) {
+    const strokes = useMemo(() => strokesProp || decodeDrawing(value) || [], [strokesProp, value]);
+    const total = countPoints(strokes);
+    // { of, points }: replay progress of the drawing `of`; a new drawing starts again from nothing
+    const [progress, setProgress] = useState({ of: null, points: 0 });
+    const isReplaying = replay && total > 0;
+    const visiblePoints = !isReplaying ? Infinity : (progress.of === strokes ? progress.points : 0);
+
+    useEffect(() => {
+        if (!isReplaying) return;
+
+        let frame;
+        const start = performance.now();
+        const tick = (now) => {
+            const ratio = Math.min(1, (now - start) / replayMs);
+            setProgress({ of: strokes, points: Math.ceil(ratio * total) });
+            if (ratio < 1) frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isReplaying, replayMs, total, strokes]);
+
+    let remaining = visiblePoints;
+    const paths = [];
+    for (let i = 0; i < strokes.length && remaining > 0; i++) {
+        const stroke = strokes[i];
+        const points = stroke.points.slice(0, remaining);
+        remaining -= points.length;
+        paths.push(
+            <path
+                key={i}
+                d={toPath(points)}
+                fill="none"
+                stroke={stroke.color === ERASER ? BACKGROUND : stroke.color}
+                strokeWidth={stroke.width}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+            />
+        );
+    }
+
+    return (
+        <svg
+            viewBox={`0 0 ${DRAWING_SIZE} ${DRAWING_SIZE}`}
+            style={{ width: '100%', aspectRatio: '1 / 1', background: BACKGROUND, borderRadius: '20px', display: 'block', ...style }}
+        >
+            {paths}
+        </svg>
+    );
+}
+
+export default DrawingView;
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useSound } from '../contexts/SoundContext';
+import { EMOJI_DATA, EMOJI_CATEGORIES } from '../contexts/room/emojiData';
+import { getEmojiKeywords, normalizeKeyword } from '../contexts/room/emojiKeywords';
+import { SKIN_TONE_SWATCHES, applySkinTone, findEmoji } from '../contexts/room/emojiCatalog';
+
+// Full-screen emoji picker (search, categories, recently used, skin tone) shared by the emoji phase and
+// the avatar screen. isEmojiDisabled(item, emoji) greys out emojis that cannot be picked.
+function EmojiPicker({ title, onPick, onClose, recentEmojis, skinTone, onSkinToneChange, isEmojiDisabled, error }) {
+    const { t, language } = useLanguage();
+    const { playSound } = useSound();
+    const [searchQuery, setSearchQuery] = useState('');
+    const [selectedCategory, setSelectedCategory] = useState(() => recentEmojis.length > 0 ? 'recent' : 'smileys'); // Default category
+
+    const darkPurple = '#4C1D95';
+
+    // { item, emoji } pairs, emoji being what gets picked (skin tone applied)
+    const filteredEmojis = (() => {
+        // 1. Recently used, exactly as they were picked
+        if (selectedCategory === 'recent' && !searchQuery.trim()) {
+            return recentEmojis.map(emoji => ({ item: findEmoji(emoji), emoji })).filter(entry => entry.item);
+        }
+        return EMOJI_DATA.filter(item => {
+            // 2. Filter by Search Query (if any), in the UI language and English, ignoring accents
+            if (searchQuery.trim()) {
+                const query = normalizeKeyword(searchQuery.trim());
+                return getEmojiKeywords(item, language).some(k => normalizeKeyword(k).includes(query));
+            }
+            // 3. Filter by Category (if no search)
+            return item.category === selectedCategory;
+        }).map(item => ({ item, emoji: applySkinTone(item, skinTone) }));
+    })();
+
+    return (
+        <div style={{
+            position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.4)', backdropFilter: 'blur(8px)',
+            zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center',
+            padding: '20px', animation: 'fadeIn 0.2s ease'
+        }} onClick={() => onClose()}>
+            <div style={{
+                backgroundColor: 'white', borderRadius: '35px', width: '100%', maxWidth: '450px',
+                padding: '30px', boxShadow: '0 25px 50px rgba(0,0,0,0.3)',
+                animation: 'popIn 0.3s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
+            }} onClick={e => e.stopPropagation()}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '25px' }}>
+                    <h3 style={{ color: darkPurple, fontWeight: '900', fontSize: '1.5rem' }}>{title}</h3>
+                    <button onClick={() => { playSound('tap'); onClose(); }} style={{ background: '#F3F4F6', border: 'none', borderRadius: '50%', width: '40px', height: '40px', cursor: 'pointer', fontSize: '1.2rem', fontWeight: 'bold' }}>✕</button>
+                </div>
+
+                {/* Search Bar */}
+                <div style={{ position: 'relative', marginBottom: '15px' }}>
+                    <input
+                        type="text"
+                        value={searchQuery}
+                        onChange={(e) => setSearchQuery(e.target.value)}
+                        placeholder={t('searchEmojis') || "Search emojis..."}
+                        style={{
+                            width: '100%',
+                            padding: '12px 15px 12px 40px',
+                            borderRadius: '15px',
+                            border: '2px solid #F3F4F6',
+                            fontSize: '1rem',
+                            outline: 'none',
+                            transition: 'border-color 0.2s',
+                            backgroundColor: '#F9FAFB'
+                        }}
+                        onFocus={(e) => e.target.style.borderColor = darkPurple}
+                        onBlur={(e) => e.target.style.borderColor = '#F3F4F6'}
+                    />
+                    <span style={{ position: 'absolute', left: '15px', top: '50%', transform: 'translateY(-50%)', opacity: 0.5 }}>🔍</span>
+                    {searchQuery && (
+                        <button 
+                            onClick={() => setSearchQuery('')}
+                            style={{ position: 'absolute', right: '10px', top: '50%', transform: 'translateY(-50%)', background: 'none', border: 'none', cursor: 'pointer', opacity: 0.5, fontSize: '0.9rem' }}
+                        >✕</button>
+                    )}
+                </div>
+
+                {/* Category Navigation */}
+                <div style={{ 
+                    display: 'flex', 
+                    gap: '10px', 
+                    overflowX: 'auto', 
+                    paddingBottom: '15px', 
+                    marginBottom: '15px',
+                    borderBottom: '1px solid #F3F4F6'
+                }} className="no-scrollbar">
+                    {[
+                        ...(recentEmojis.length > 0 ? [{ id: 'recent', icon: '🕘', label: t('recentEmojis') }] : []),
+                        ...EMOJI_CATEGORIES
+                    ].map(cat => (
+                        <button
+                            key={cat.id}
+                            onClick={() => { playSound('tap'); setSelectedCategory(cat.id); setSearchQuery(''); }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '6px',
+                                padding: '8px 12px',
+                                borderRadius: '12px',
+                                border: 'none',
+                                whiteSpace: 'nowrap',
+                                fontSize: '0.9rem',
+                                fontWeight: '700',
+                                cursor: 'pointer',
+                                backgroundColor: selectedCategory === cat.id && !searchQuery ? darkPurple : '#F3F4F6',
+                                color: selectedCategory === cat.id && !searchQuery ? 'white' : '#6B7280',
+                                transition: 'all 0.2s'
+                            }}
+                        >
+                            <span>{cat.icon}</span>
+                            <span>{cat.label}</span>
+                        </button>
+                    ))}
+                </div>
+
+                {/* Skin Tone (remembered for this player) */}
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+                    <span style={{ color: '#6B7280', fontSize: '0.85rem', fontWeight: '700', marginInlineEnd: '4px' }}>{t('skinTone')}</span>
+                    {SKIN_TONE_SWATCHES.map((swatch, tone) => (
+                        <button
+                            key={tone}
+                            onClick={() => onSkinToneChange(tone)}
+                            style={{
+                                fontSize: '1.3rem',
+                                padding: '2px 6px',
+                                borderRadius: '10px',
+                                border: skinTone === tone ? `2px solid ${darkPurple}` : '2px solid transparent',
+                                background: skinTone === tone ? '#F3F4F6' : 'none',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {swatch}
+                        </button>
+                    ))}
+                </div>
+
+                {error && (
+                    <div style={{ color: '#EF4444', fontWeight: '800', fontSize: '0.9rem', textAlign: 'center', marginBottom: '10px' }}>
+                        ⚠️ {error}
+                    </div>
+                )}
+
+                <div style={{
+                    display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '5px',
+                    maxHeight: '350px', overflowY: 'auto', padding: '5px', justifyItems: 'center'
+                }} className="no-scrollbar">
+                    {filteredEmojis.length === 0 ? (
+                        <div style={{ gridColumn: 'span 5', padding: '20px', textAlign: 'center', color: '#9CA3AF' }}>
+                            {t('noEmojisFound') || "No emojis found..."}
+                        </div>
+                    ) : (
+                        filteredEmojis.map(({ item, emoji }, index) => {
+                            const isDisabled = !!isEmojiDisabled?.(item, emoji);
+                            return (
+                                <button
+                                    key={index}
+                                    onClick={() => {
+                                        if (!isDisabled) {
+                                            onPick(emoji);
+                                        }
+                                    }}
+                                    disabled={isDisabled}
+                                    style={{
+                                        fontSize: '2.5rem',
+                                        background: 'none',
+                                        border: 'none',
+                                        cursor: isDisabled ? 'not-allowed' : 'pointer',
+                                        padding: '5px',
+                                        transition: 'transform 0.1s',
+                                        opacity: isDisabled ? 0.3 : 1,
+                                        filter: isDisabled ? 'grayscale(100%)' : 'none',
+                                        transform: isDisabled ? 'none' : undefined
+                                    }}
+                                    className={isDisabled ? '' : "hover-pop"}
+                                >
+                                    {emoji}
+                                </button>
+                            );
+                        })
+                    )}
+                </div>
+
+                <button
+                    onClick={() => { playSound('tap'); onClose(); }}
+                    style={{ width: '100%', marginTop: '25px', padding: '15px', background: darkPurple, color: 'white', border: 'none', borderRadius: '15px', fontWeight: '900', fontSize: '1.2rem', cursor: 'pointer' }}
+                >
+                    {t('done')} ✨
+                </button>
+            </div>
+
+            <style>{`
+                @keyframes popIn {
+                    0% { transform: scale(0.8); opacity: 0; }
+                    100% { transform: scale(1); opacity: 1; }
+                }
+                @keyframes fadeIn {
+                    from { opacity: 0; }
+                    to { opacity: 1; }
+                }
+                .hover-pop:hover { transform: scale(1.2); }
+                .hover-pop:active { transform: scale(0.9); transition: transform 0.1s; }
+
+                .no-scrollbar::-webkit-scrollbar { display: none; }
+                .no-scrollbar { -ms-overflow-style: none; scrollbar-width: none; }
+            `}</style>
+        </div>
+    );
+}
+
+export default EmojiPicker;
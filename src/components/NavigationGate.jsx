@@ -13,7 +13,7 @@ function NavigationGate() {
 
     useEffect(() => {
         const path = location.pathname;
-        const gamePaths = ['/lobby', '/text-phase', '/emoji-phase', '/interpretation-phase', '/reveal-phase', '/vote', '/scoreboard', '/game-winner'];
+        const gamePaths = ['/lobby', '/text-phase', '/emoji-phase', '/draw-phase', '/interpretation-phase', '/reveal-phase', '/vote', '/scoreboard', '/game-winner', '/match-summary'];
         const isGamePath = gamePaths.includes(path);
 
         const handleBrowserNavigation = (event) => {
@@ -0,0 +1,29 @@
+import React from 'react';
+import { getAvatarFrameStyle, normalizeAvatar } from '../contexts/room/avatars';
+
+// A player's avatar (see avatars.js) at the font size of its container: the bare emoji, or the emoji
+// on its color inside its frame
+function PlayerAvatar({ avatar, style }) {
+    const { emoji, color, frame } = normalizeAvatar(avatar);
+    if (color === 'none' && frame === 'none') return <span style={style}>{emoji}</span>;
+
+    return (
+        <span style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: '1.4em',
+            height: '1.4em',
+            borderRadius: '50%',
+            boxSizing: 'border-box',
+            lineHeight: 1,
+            verticalAlign: 'middle',
+            ...getAvatarFrameStyle({ color, frame }),
+            ...style
+        }}>
+            <span style={{ fontSize: '0.8em' }}>{emoji}</span>
+        </span>
+    );
+}
+
+export default PlayerAvatar;
@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useSound } from '../contexts/SoundContext';
+import { decodeAnswer } from '../contexts/room/answerCodec';
+import { isDrawing } from '../contexts/room/drawingCodec';
+import DrawingView from './DrawingView';
+import PlayerAvatar from './PlayerAvatar';
 
 const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerIds }) => {
     const { playSound } = useSound();
@@ -42,30 +46,22 @@ const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerId
 
     let contentToDisplay = "";
     let promptTitle = "";
-    let liveDraft = watchedPlayer?.last_answer || "";
+    const liveAnswer = decodeAnswer(watchedPlayer?.last_answer);
 
     // Parse Live Draft / Answer
     let draftDisplay = "";
     let isSubmitted = false;
 
-    if (liveDraft) {
-        if (liveDraft.startsWith('text:')) {
-            draftDisplay = liveDraft.replace('text:', '');
-            isSubmitted = true;
-        } else if (liveDraft.startsWith('draft:')) {
-            draftDisplay = liveDraft.replace('draft:', '');
-        } else if (liveDraft.startsWith('emoji:')) {
-            draftDisplay = liveDraft.replace('emoji:', '');
-            isSubmitted = true;
-        } else if (liveDraft.startsWith('draft_emoji:')) {
-            draftDisplay = liveDraft.replace('draft_emoji:', '');
-        } else if (liveDraft.startsWith('guess:')) {
-            draftDisplay = liveDraft.replace('guess:', '');
-            isSubmitted = true;
-        } else if (liveDraft.startsWith('draft_guess:')) {
-            draftDisplay = liveDraft.replace('draft_guess:', '');
-        } else if (liveDraft.startsWith('draft_vote:')) {
-            const targetId = liveDraft.replace('draft_vote:', '');
+    if (liveAnswer) {
+        if (liveAnswer.kind === 'drawing') {
+            // Drafts are autosaved after every stroke, so the drawing grows live
+            draftDisplay = isDrawing(liveAnswer.value) ? <DrawingView value={liveAnswer.value} style={{ maxWidth: '280px' }} /> : '';
+            isSubmitted = !liveAnswer.draft;
+        } else if (liveAnswer.kind !== 'vote') {
+            draftDisplay = liveAnswer.value;
+            isSubmitted = !liveAnswer.draft;
+        } else if (liveAnswer.draft) {
+            const targetId = liveAnswer.value;
             const targetPlayer = players.find(p => p.id === targetId);
             draftDisplay = (
                 <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px', opacity: 1 }}>
@@ -81,94 +77,55 @@ const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerId
                         alignItems: 'center',
                         gap: '10px'
                     }}>
-                        <span style={{ fontSize: '1.5rem' }}>{targetPlayer?.avatar?.split('|')[0] || '👤'}</span>
+                        <span style={{ fontSize: '1.5rem' }}><PlayerAvatar avatar={targetPlayer?.avatar || '👤'} /></span>
                         <span style={{ fontSize: '1.2rem', color: '#6C63FF', fontWeight: '800' }}>{targetPlayer ? targetPlayer.name : '...'}</span>
                     </div>
                 </div>
             );
-        } else if (liveDraft.startsWith('vote_multi:')) {
-            try {
-                // Determine if it's JSON or just a raw string (backwards compat)
-                const payload = liveDraft.replace('vote_multi:', '');
-                const votes = JSON.parse(payload);
-                if (Array.isArray(votes) && votes.length > 0) {
-                    draftDisplay = (
-                        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', alignItems: 'center', width: '100%' }}>
-                            {activePlayerIds.map(targetId => {
-                                const targetVotes = votes.filter(v => v.targetId === targetId);
-                                if (targetVotes.length === 0) return null;
-
-                                const tP = players.find(p => p.id === targetId);
-
-                                // Group by category to find dominant one
-                                const catCounts = {};
-                                targetVotes.forEach(v => {
-                                    catCounts[v.category] = (catCounts[v.category] || 0) + 1;
-                                });
-                                const dominantCatId = Object.keys(catCounts).reduce((a, b) => catCounts[a] >= catCounts[b] ? a : b);
-                                const icon = dominantCatId === 'funniest' ? '😂' : dominantCatId === 'mostAccurate' ? '🎯' : '🤯';
-                                const color = dominantCatId === 'funniest' ? '#F472B6' : dominantCatId === 'mostAccurate' ? '#34D399' : '#F87171';
-                                const total = targetVotes.length;
-
-                                return (
-                                    <div key={targetId} style={{
-                                        fontSize: '1rem', color: isDarkMode ? '#E5E7EB' : '#374151',
-                                        display: 'flex', alignItems: 'center', gap: '12px',
-                                        background: isDarkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.03)',
-                                        padding: '10px 16px', borderRadius: '15px', width: '100%', maxWidth: '250px',
-                                        border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)'}`
-                                    }}>
-                                        <div style={{
-                                            background: color, width: '36px', height: '36px', borderRadius: '50%',
-                                            display: 'flex', alignItems: 'center', justifyContent: 'center', border: '2px solid white',
-                                            boxShadow: '0 2px 4px rgba(0,0,0,0.2)', flexShrink: 0
-                                        }}>
-                                            <span style={{ fontSize: '1.2rem' }}>{icon}</span>
-                                        </div>
-                                        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                                            <span style={{ fontWeight: '800', fontSize: '1.1rem' }}>{tP?.name || 'Unknown'}</span>
-                                            <span style={{ fontSize: '0.75rem', opacity: 0.7, textTransform: 'uppercase', fontWeight: 'bold' }}>
-                                                {total > 1 ? `${total} ${t('votes') || 'Votes'}` : t(dominantCatId)}
-                                            </span>
-                                        </div>
-                                    </div>
-                                );
-                            })}
-                        </div>
-                    );
-                    isSubmitted = true;
-                }
-            } catch (e) { console.error("Error parsing vote_multi", e); }
-        } else if (liveDraft.startsWith('vote:')) {
-            const parts = liveDraft.split(':');
-            const categoryId = parts[1];
-            const targetId = parts[2];
-
-            const targetPlayer = players.find(p => p.id === targetId);
-            const categoryLabel = categoryId === 'funniest' ? '😂 Funniest' :
-                categoryId === 'mostAccurate' ? '🎯 Most Accurate' :
-                    categoryId === 'mostDestroyed' ? '🤯 Most Destroyed' : 'Unknown';
-
+        } else if (liveAnswer.value.length > 0) {
+            const votes = liveAnswer.value;
             draftDisplay = (
-                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px' }}>
-                    <span style={{ fontSize: '0.9rem', color: isDarkMode ? '#9CA3AF' : '#6B7280', fontWeight: 'bold', textTransform: 'uppercase' }}>
-                        {t('votedFor') || 'Voted For:'}
-                    </span>
-                    <div style={{
-                        background: isDarkMode ? 'rgba(108, 99, 255, 0.2)' : 'rgba(108, 99, 255, 0.1)',
-                        padding: '12px 24px',
-                        borderRadius: '20px',
-                        border: '2px solid #6C63FF',
-                        display: 'flex',
-                        flexDirection: 'column',
-                        alignItems: 'center',
-                        gap: '4px'
-                    }}>
-                        <span style={{ fontSize: '1.2rem', color: '#6C63FF', fontWeight: '900' }}>{targetPlayer ? targetPlayer.name : 'Unknown Player'}</span>
-                        <span style={{ fontSize: '0.85rem', background: 'rgba(108, 99, 255, 0.2)', color: isDarkMode ? 'white' : '#4C1D95', padding: '2px 10px', borderRadius: '10px', fontWeight: 'bold' }}>
-                            {categoryLabel}
-                        </span>
-                    </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', alignItems: 'center', width: '100%' }}>
+                    {activePlayerIds.map(targetId => {
+                        const targetVotes = votes.filter(v => v.targetId === targetId);
+                        if (targetVotes.length === 0) return null;
+
+                        const tP = players.find(p => p.id === targetId);
+
+                        // Group by category to find dominant one
+                        const catCounts = {};
+                        targetVotes.forEach(v => {
+                            catCounts[v.category] = (catCounts[v.category] || 0) + 1;
+                        });
+                        const dominantCatId = Object.keys(catCounts).reduce((a, b) => catCounts[a] >= catCounts[b] ? a : b);
+                        const icon = dominantCatId === 'funniest' ? '😂' : dominantCatId === 'mostAccurate' ? '🎯' : '🤯';
+                        const color = dominantCatId === 'funniest' ? '#F472B6' : dominantCatId === 'mostAccurate' ? '#34D399' : '#F87171';
+                        const total = targetVotes.length;
+
+                        return (
+                            <div key={targetId} style={{
+                                fontSize: '1rem', color: isDarkMode ? '#E5E7EB' : '#374151',
+                                display: 'flex', alignItems: 'center', gap: '12px',
+                                background: isDarkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.03)',
+                                padding: '10px 16px', borderRadius: '15px', width: '100%', maxWidth: '250px',
+                                border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)'}`
+                            }}>
+                                <div style={{
+                                    background: color, width: '36px', height: '36px', borderRadius: '50%',
+                                    display: 'flex', alignItems: 'center', justifyContent: 'center', border: '2px solid white',
+                                    boxShadow: '0 2px 4px rgba(0,0,0,0.2)', flexShrink: 0
+                                }}>
+                                    <span style={{ fontSize: '1.2rem' }}>{icon}</span>
+                                </div>
+                                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+                                    <span style={{ fontWeight: '800', fontSize: '1.1rem' }}>{tP?.name || 'Unknown'}</span>
+                                    <span style={{ fontSize: '0.75rem', opacity: 0.7, textTransform: 'uppercase', fontWeight: 'bold' }}>
+                                        {total > 1 ? `${total} ${t('votes') || 'Votes'}` : t(dominantCatId)}
+                                    </span>
+                                </div>
+                            </div>
+                        );
+                    })}
                 </div>
             );
             isSubmitted = true;
@@ -184,10 +141,12 @@ const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerId
     } else {
         // Smart lookback: Find the last person who contributed to this chain
         const lastStep = [...chainHistory].reverse().find(step => step.content && step.content !== "...");
-        contentToDisplay = lastStep?.content || (currentPhase.startsWith('emoji') ? "✍️ Waiting for phrase..." : "🔡 Waiting for emojis...");
+        contentToDisplay = lastStep?.content || ((currentPhase.startsWith('emoji') || currentPhase.startsWith('draw')) ? "✍️ Waiting for phrase..." : "🔡 Waiting for emojis...");
 
         if (currentPhase.startsWith('emoji')) {
             promptTitle = t('translatePhrase');
+        } else if (currentPhase.startsWith('draw')) {
+            promptTitle = t('drawThis');
         } else if (currentPhase.startsWith('interpretation')) {
             promptTitle = t('phase3Title'); // Interpret emojis
         } else if (currentPhase === 'vote') {
@@ -207,7 +166,7 @@ const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerId
                 <div style={{ textAlign: 'center' }}>
                     <div style={{ fontSize: '0.8rem', fontWeight: 'bold', textTransform: 'uppercase', color: isDarkMode ? '#9CA3AF' : '#6B7280', letterSpacing: '1px' }}>SPECTATING</div>
                     <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
-                        {watchedPlayer?.avatar?.split('|')[0]} {watchedPlayer?.name}
+                        <PlayerAvatar avatar={watchedPlayer?.avatar} /> {watchedPlayer?.name}
                     </div>
                 </div>
                 <button onClick={handleNext} style={{ background: 'none', border: 'none', color: isDarkMode ? 'white' : '#4B5563', fontSize: '1.5rem', cursor: 'pointer' }}>{language === 'ar' ? '◀' : '▶'}</button>
@@ -233,7 +192,7 @@ const SpectatorView = ({ players, room, gameState, t, isDarkMode, onlinePlayerId
                         background: isDarkMode ? 'rgba(255,255,255,0.05)' : '#F3F4F6',
                         padding: '10px', borderRadius: '15px'
                     }}>
-                        "{contentToDisplay}"
+                        {isDrawing(contentToDisplay) ? <DrawingView value={contentToDisplay} style={{ maxWidth: '280px' }} /> : `"${contentToDisplay}"`}
                     </div>
                 </div>
 
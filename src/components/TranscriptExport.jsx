@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useRoom } from '../contexts/RoomContext';
+import { useSound } from '../contexts/SoundContext';
+import { exportTranscript, loadTranscript } from '../contexts/room/gameTranscript';
+
+const FORMATS = [
+    { id: 'markdown', label: 'Markdown', icon: '📝' },
+    { id: 'json', label: 'JSON', icon: '🧾' },
+    // Opens the browser's print dialog, where "Save as PDF" is one of the printers
+    { id: 'pdf', labelKey: 'printOrSavePdf', icon: '🖨️' }
+];
+
+// "Export game" on the Scoreboard and GameWinner: the whole transcript (see gameTranscript.js) in one of FORMATS
+function TranscriptExport({ isDarkMode }) {
+    const { t, language } = useLanguage();
+    const { room, players } = useRoom();
+    const { playSound } = useSound();
+    const [isOpen, setIsOpen] = useState(false);
+    const [busyFormat, setBusyFormat] = useState(null);
+    const [error, setError] = useState(null);
+
+    const textColor = isDarkMode ? '#C4B5FD' : '#6C63FF';
+
+    const handleExport = async (format) => {
+        if (busyFormat) return;
+        playSound('tap');
+        setBusyFormat(format);
+        setError(null);
+        try {
+            const transcript = await loadTranscript({ room, players, t });
+            if (!exportTranscript(transcript, format, t, language)) setError(t('popupBlocked'));
+        } catch (err) {
+            console.error('TranscriptExport: Export failed', err);
+            setError(t('exportFailed'));
+        } finally {
+            setBusyFormat(null);
+        }
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px', width: '100%' }}>
+            <button
+                onClick={() => { playSound('tap'); setIsOpen(open => !open); }}
+                style={{ background: 'none', border: 'none', color: textColor, fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer' }}
+            >
+                {t('exportGame')} 📄
+            </button>
+
+            {isOpen && (
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                    {FORMATS.map(format => (
+                        <button
+                            key={format.id}
+                            disabled={!!busyFormat}
+                            onClick={() => handleExport(format.id)}
+                            style={{
+                                padding: '6px 14px',
+                                borderRadius: '12px',
+                                border: '2px solid var(--input-border)',
+                                background: isDarkMode ? 'rgba(255,255,255,0.1)' : 'white',
+                                color: isDarkMode ? 'white' : '#4B5563',
+                                fontWeight: '800',
+                                fontSize: '0.85rem',
+                                cursor: busyFormat ? 'wait' : 'pointer',
+                                opacity: busyFormat && busyFormat !== format.id ? 0.5 : 1
+                            }}
+                        >
+                            {busyFormat === format.id ? '⏳' : format.icon} {format.labelKey ? t(format.labelKey) : format.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && (
+                <div style={{ color: '#EF4444', fontSize: '0.85rem', fontWeight: '700' }}>{error}</div>
+            )}
+        </div>
+    );
+}
+
+export default TranscriptExport;
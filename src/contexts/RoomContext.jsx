@@ -6,7 +6,12 @@ import { useLanguage } from './LanguageContext';
 import { useRoomSync } from './room/useRoomSync';
 import { useGamePhase } from './room/useGamePhase';
 import { useRoomActions } from './room/useRoomActions';
-import { getPhasePriority } from './room/roomUtils';
+import { useBots } from './room/useBots';
+import { useHostLease } from './room/useHostLease';
+import { isBot } from './room/bots';
+import { decodePlayer, getPhasePriority } from './room/roomUtils';
+import { getPlayerIdentity, getSignInErrorMessage } from './room/playerIdentity';
+import { loadSavedAvatar } from './room/avatars';
 
 const RoomContext = createContext();
 
@@ -38,7 +43,6 @@ export function RoomProvider({ children }) {
     const lastNavigatedPhaseRef = useRef(null);
     const lastInGamePathRef = useRef(null);
     const lastHighPhaseRef = useRef(-1);
-    const hostCheckBuffer = useRef(null);
     const isJoiningRef = useRef(false);
     const phaseTransitionLock = useRef(false);
     const isAdvancingRef = useRef(false);
@@ -68,7 +72,8 @@ export function RoomProvider({ children }) {
         clearError,
         markSettingsDirty,
         markPhaseDirty,
-        markAnswerDirty
+        markAnswerDirty,
+        trackPresence
     } = useRoomSync(
         room, currentPlayerRef, playersRef, roomRef, onlinePlayerIdsRef, gameStateRef,
         setRoom, setPlayers, setCurrentPlayer, setGameState, isExitingRef, addNotification
@@ -102,6 +107,19 @@ export function RoomProvider({ children }) {
         phaseTransitionLock, isAdvancingRef
     });
 
+    // 4. BOTS HOOK (host plays for the bot players)
+    const { addBot, removeBot } = useBots({
+        room, players, gameState, currentPlayer,
+        roomRef, playersRef, currentPlayerRef, joinRoom, trackPresence
+    });
+
+    // 5. HOST LEASE HOOK (who hosts, and taking over when the host is gone)
+    const { handOverHost } = useHostLease({
+        room, players, currentPlayer, onlinePlayerIds,
+        roomRef, playersRef, currentPlayerRef, onlinePlayerIdsRef,
+        setRoom, setPlayers, setCurrentPlayer, setGameState, promotePlayerToHost
+    });
+
     // --- REMAINING UI/NAVIGATION EFFECTS ---
 
     // Leave Room (UI/Navigation bound)
@@ -126,9 +144,12 @@ export function RoomProvider({ children }) {
         lastInGamePathRef.current = null;
 
         try {
+            // Hand the role over before going, rather than leaving the room headless until the lease lapses
+            await handOverHost();
+
             if (currentId) {
                 const currentPhase = gameState?.phase || gameStateRef.current?.phase;
-                const isEndPhase = ['winner', 'scoreboard'].includes(currentPhase);
+                const isEndPhase = ['winner', 'match', 'scoreboard'].includes(currentPhase);
                 const isPlaying = room?.status === 'playing' || roomRef.current?.status === 'playing';
                 const isMidGame = isPlaying && !isEndPhase;
 
@@ -138,12 +159,14 @@ export function RoomProvider({ children }) {
             }
 
             if (currentRoomId) {
-                const { count, error: err } = await supabase
+                const { data: remaining, error: err } = await supabase
                     .from('players')
-                    .select('*', { count: 'exact', head: true })
+                    .select('id, avatar, identity_id')
                     .eq('room_id', currentRoomId);
 
-                if (!err && count === 0) {
+                // Bots cannot play on without a human to run them
+                if (!err && remaining.every(p => isBot(decodePlayer(p)))) {
+                    if (remaining.length > 0) await supabase.from('players').delete().eq('room_id', currentRoomId);
                     await supabase.from('rooms').delete().eq('id', currentRoomId);
                     await supabase.from('game_state').delete().eq('room_id', currentRoomId);
                 }
@@ -168,19 +191,14 @@ export function RoomProvider({ children }) {
                 sessionStorage.removeItem(key);
             }
         });
-    }, [navigate, room, currentPlayer, gameState, setError]);
+    }, [navigate, room, currentPlayer, gameState, setError, handOverHost]);
 
     // Global Auto-Reconnect on Load
     useEffect(() => {
         const initSession = async () => {
             if (isExitingRef.current || roomRef.current?.id || isJoiningRef.current) return;
 
-            let myAvatar = currentPlayerRef.current?.avatar?.split(' | ')[0];
-            if (!myAvatar) {
-                const savedIdx = localStorage.getItem('player_avatar_idx');
-                const AVATARS = ['😎', '🦊', '🐱', '🐼', '🐸', '🦁', '🦄', '👻', '👾', '🤖', '🎃', '👽'];
-                myAvatar = savedIdx ? AVATARS[parseInt(savedIdx, 10)] : '😎';
-            }
+            const myAvatar = currentPlayerRef.current?.avatar || loadSavedAvatar();
 
             for (let i = 0; i < sessionStorage.length; i++) {
                 const key = sessionStorage.key(i);
@@ -189,11 +207,20 @@ export function RoomProvider({ children }) {
                         const sessionData = JSON.parse(sessionStorage.getItem(key));
                         if (sessionData && sessionData.roomCode) {
                             console.log("RoomContext: Auto-reconnecting to", sessionData.roomCode);
+                            let identity = sessionData.identity;
+                            if (!identity) {
+                                try {
+                                    identity = await getPlayerIdentity();
+                                } catch (err) {
+                                    setError(getSignInErrorMessage(err, t));
+                                    break;
+                                }
+                            }
                             await joinRoom(
                                 sessionData.roomCode,
                                 currentPlayerRef.current?.name || localStorage.getItem('player_name') || 'Player',
                                 myAvatar,
-                                sessionData.fingerprint || localStorage.getItem('player_fingerprint'),
+                                identity,
                                 true // isAutoReconnect
                             );
                             break;
@@ -207,7 +234,7 @@ export function RoomProvider({ children }) {
         };
 
         if (!room?.id) initSession();
-    }, [joinRoom, room?.id]);
+    }, [joinRoom, room?.id, setError, t]);
 
     // Cleanup unassigned notifications automatically
     useEffect(() => {
@@ -228,7 +255,7 @@ export function RoomProvider({ children }) {
 
     useEffect(() => {
         const path = location.pathname;
-        const activePaths = ['/text-phase', '/emoji-phase', '/interpretation-phase', '/reveal-phase', '/vote', '/scoreboard', '/game-winner'];
+        const activePaths = ['/text-phase', '/emoji-phase', '/draw-phase', '/interpretation-phase', '/reveal-phase', '/vote', '/scoreboard', '/game-winner', '/match-summary'];
         if (activePaths.some(p => path.includes(p))) {
             lastInGamePathRef.current = path;
         }
@@ -279,7 +306,7 @@ export function RoomProvider({ children }) {
         const handleBeforeUnload = (e) => {
             if (room?.id && currentPlayer?.id) {
                 const isPlaying = room.status === 'playing';
-                const isEndPhase = ['winner', 'scoreboard'].includes(gameState?.phase);
+                const isEndPhase = ['winner', 'match', 'scoreboard'].includes(gameState?.phase);
                 const isMidGame = isPlaying && !isEndPhase;
 
                 if (isMidGame) {
@@ -327,12 +354,14 @@ export function RoomProvider({ children }) {
                 const currentPath = window.location.pathname;
                 const expectedSub = currentP === 'text' ? '/text-phase' :
                     currentP.startsWith('emoji') ? '/emoji-phase' :
+                        currentP.startsWith('draw') ? '/draw-phase' :
                         currentP.startsWith('interpretation') ? '/interpretation-phase' :
                             currentP === 'reveal' ? '/reveal-phase' :
                                 currentP === 'vote' ? '/vote' :
                                     currentP === 'scoreboard' ? '/scoreboard' :
                                         currentP === 'winner' ? '/game-winner' :
-                                            currentP === 'lobby' ? '/lobby' : null;
+                                            currentP === 'match' ? '/match-summary' :
+                                                currentP === 'lobby' ? '/lobby' : null;
 
                 if (expectedSub && currentPath.includes(expectedSub)) return;
             }
@@ -347,11 +376,13 @@ export function RoomProvider({ children }) {
                 let dest = null;
                 if (currentP === 'text') dest = target('/text-phase');
                 else if (currentP.startsWith('emoji')) dest = target('/emoji-phase');
+                else if (currentP.startsWith('draw')) dest = target('/draw-phase');
                 else if (currentP.startsWith('interpretation')) dest = target('/interpretation-phase');
                 else if (currentP === 'reveal') dest = target('/reveal-phase');
                 else if (currentP === 'vote') dest = target('/vote');
                 else if (currentP === 'scoreboard') dest = target('/scoreboard');
                 else if (currentP === 'winner') dest = target('/game-winner');
+                else if (currentP === 'match') dest = target('/match-summary');
                 else if (currentP === 'lobby') dest = target('/lobby');
 
                 if (dest) navigate(dest, { replace: true });
@@ -364,7 +395,7 @@ export function RoomProvider({ children }) {
 
     // INTEGRITY CHECK
     useEffect(() => {
-        const canClean = ['lobby', 'scoreboard', 'winner'].includes(gameState?.phase);
+        const canClean = ['lobby', 'scoreboard', 'winner', 'match'].includes(gameState?.phase);
         if (!currentPlayer?.is_host || !room?.id || !room?.settings?.player_order || players.length === 0 || !canClean) return;
 
         const currentOrder = room.settings.player_order;
@@ -375,7 +406,7 @@ export function RoomProvider({ children }) {
             console.log("RoomContext: Integrity Check - Cleaning up player_order (Found ghosts)");
             const newSettings = { ...room.settings, player_order: cleanOrder };
             setRoom(prev => ({ ...prev, settings: newSettings }));
-            supabase.from('rooms').update({ settings: newSettings }).eq('id', room.id);
+            supabase.rpc('remove_from_player_order', { p_room_id: room.id, p_player_ids: currentOrder.filter(id => !activeIds.has(id)) });
         }
     }, [players, currentPlayer?.is_host, room?.id, room?.settings?.player_order, gameState?.phase, setRoom]);
 
@@ -411,72 +442,20 @@ export function RoomProvider({ children }) {
         return () => clearTimeout(timerId);
     }, [room?.status, room?.id, currentPlayer?.is_host, currentPlayer?.id, players, onlinePlayerIds, setPlayers]);
 
-    // HOST CHECK - Auto-promote
-    useEffect(() => {
-        if (!room?.id || players.length === 0) return;
-
-        const activeHost = players.find(p => p.is_host && onlinePlayerIds.has(p.id));
-        if (activeHost) {
-            if (hostCheckBuffer.current) {
-                clearTimeout(hostCheckBuffer.current);
-                hostCheckBuffer.current = null;
-            }
-            return;
-        }
-
-        const hostExists = players.some(p => p.is_host);
-
-        // Auto-promote should run even in the lobby! If the host goes AFK, someone needs to inherit 
-        // the host role so that they can trigger the 60s AFK monitor to eventually clean up the old host.
-
-        const bufferMs = hostExists ? 15000 : 500;
-
-        if (hostCheckBuffer.current && hostCheckBuffer.current.duration !== bufferMs) {
-            clearTimeout(hostCheckBuffer.current.id);
-            hostCheckBuffer.current = null;
-        }
-
-        if (!hostCheckBuffer.current) {
-            const timerId = setTimeout(() => {
-                const currentPlayers = playersRef.current;
-                const currentOnlineIds = onlinePlayerIdsRef.current;
-                const currentOnlineHost = currentPlayers.find(p => p.is_host && currentOnlineIds.has(p.id));
-
-                if (!currentOnlineHost) {
-                    const manualHostId = roomRef.current?.settings?.manual_host_id;
-                    const manualCandidate = currentPlayers.find(p => p.id === manualHostId && currentOnlineIds.has(p.id));
-
-                    if (manualCandidate) {
-                        promotePlayerToHost(manualCandidate.id);
-                    } else {
-                        const onlinePlayingPlayers = currentPlayers.filter(p => currentOnlineIds.has(p.id));
-                        const oldest = onlinePlayingPlayers.sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))[0];
-
-                        if (oldest) {
-                            promotePlayerToHost(oldest.id);
-                        }
-                    }
-                }
-                hostCheckBuffer.current = null;
-            }, bufferMs);
-
-            hostCheckBuffer.current = { id: timerId, duration: bufferMs };
-        }
-    }, [players, room?.id, onlinePlayerIds, promotePlayerToHost]);
-
     const contextValue = useMemo(() => ({
         room, players, gameState, currentPlayer, error, onlinePlayerIds, awayPlayerIds, notifications,
         createRoom, joinRoom, startGame, checkRoomExists, updatePlayerProfile, leaveRoom, clearError,
         promotePlayerToHost, kickPlayer, updateRoomSettings, markSettingsDirty,
         submitAnswer, saveDraft, advancePhase, refreshRoomState, addNotification, removeNotification,
-        isJoiningRef, isRestoringSession,
+        addBot, removeBot, isJoiningRef, isRestoringSession,
         isHost: currentPlayer?.is_host,
         isSpectator: !!(room?.settings?.player_order?.length > 0 && currentPlayer?.id && !room.settings.player_order.includes(currentPlayer.id))
     }), [
         room, players, gameState, currentPlayer, error, onlinePlayerIds, awayPlayerIds, notifications,
         joinRoom, startGame, checkRoomExists, updatePlayerProfile, leaveRoom, clearError,
         promotePlayerToHost, kickPlayer, updateRoomSettings, markSettingsDirty,
-        submitAnswer, saveDraft, advancePhase, refreshRoomState, addNotification, removeNotification
+        submitAnswer, saveDraft, advancePhase, refreshRoomState, addNotification, removeNotification,
+        addBot, removeBot
     ]);
 
     return (
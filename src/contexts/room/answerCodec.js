@@ -0,0 +1,130 @@
+// Versioned encoding for `players.last_answer`.
+//
+// v2 answers are `a2:` followed by JSON, so a colon (or anything else) inside a player's
+// sentence can never be mistaken for structure:
+//   a2:{"k":"text","d":false,"p":"text","r":1712345678901,"v":"A cat: on a mat"}
+//     k = kind (text | emoji | drawing | guess | vote), d = draft, p = phase, r = round id,
+//     v = value (string, or [{ category, targetId }] for a final vote), h = healed by the host
+//
+// Legacy prefixed strings (`text:`, `draft_emoji:`, `vote_multi:[...]`, `...Healed:`) still decode.
+
+export const ANSWER_VERSION = 2;
+export const ANSWER_PREFIX = 'a2:';
+
+const LEGACY_PREFIXES = [
+    { prefix: 'vote_multi:', kind: 'vote', draft: false },
+    { prefix: 'draft_emoji:', kind: 'emoji', draft: true },
+    { prefix: 'draft_guess:', kind: 'guess', draft: true },
+    { prefix: 'draft_vote:', kind: 'vote', draft: true },
+    { prefix: 'draft:', kind: 'text', draft: true },
+    { prefix: 'text:', kind: 'text', draft: false },
+    { prefix: 'emoji:', kind: 'emoji', draft: false },
+    { prefix: 'guess:', kind: 'guess', draft: false },
+    { prefix: 'vote:', kind: 'vote', draft: false }
+];
+
+// Answer kind expected while the room is in `phase`
+export const getAnswerKind = (phase = '') => {
+    if (!phase) return null;
+    if (phase.startsWith('text')) return 'text';
+    if (phase.startsWith('emoji')) return 'emoji';
+    if (phase.startsWith('draw')) return 'drawing';
+    if (phase.startsWith('interpretation')) return 'guess';
+    if (phase === 'vote') return 'vote';
+    return null;
+};
+
+// Identifies one instance of a phase, so a late write from last round's `text` is not mistaken for this one
+export const getRoundId = (settings) => settings?.last_transition?.at ?? null;
+
+const isVoteList = (value) => Array.isArray(value) && value.every(v => v && typeof v.category === 'string' && v.targetId != null);
+
+export const validateAnswer = (answer, phase = null) => {
+    if (!answer || !answer.kind) return false;
+    if (phase && getAnswerKind(phase) !== answer.kind) return false;
+    if (answer.kind === 'vote' && !answer.draft) return isVoteList(answer.value);
+    return typeof answer.value === 'string';
+};
+
+export const encodeAnswer = ({ phase, value, draft = false, round = null, healed = false }) => {
+    const kind = getAnswerKind(phase);
+    if (!kind) throw new Error(`answerCodec: no answer kind for phase "${phase}"`);
+
+    const answer = { k: kind, d: !!draft, p: phase, r: round, v: typeof value === 'string' ? value : (value ?? '') };
+    if (healed) answer.h = true;
+
+    if (!validateAnswer({ kind, draft: answer.d, value: answer.v })) {
+        throw new Error(`answerCodec: invalid ${draft ? 'draft ' : ''}${kind} answer`);
+    }
+    return `${ANSWER_PREFIX}${JSON.stringify(answer)}`;
+};
+
+const decodeLegacy = (raw) => {
+    const match = LEGACY_PREFIXES.find(({ prefix }) => raw.startsWith(prefix));
+
+    // Very old clients wrote plain text with no prefix; a colon in it ("Plot twist: ...") is still text
+    if (!match) return { version: 1, kind: 'text', draft: true, healed: false, phase: null, round: null, value: raw };
+
+    let value = raw.slice(match.prefix.length);
+    let healed = false;
+
+    if (match.kind === 'vote' && !match.draft) {
+        if (match.prefix === 'vote_multi:') {
+            try {
+                value = JSON.parse(value);
+            } catch (e) {
+                console.error("answerCodec: Failed to parse multi-vote", e);
+                return null;
+            }
+        } else {
+            // vote:category:target
+            const [category, targetId] = value.split(':');
+            value = [{ category, targetId }];
+        }
+    } else if (value.startsWith('Healed:')) {
+        healed = true;
+        value = value.replace('Healed:', '').trim();
+    }
+
+    return { version: 1, kind: match.kind, draft: match.draft, healed, phase: null, round: null, value };
+};
+
+// Returns { version, kind, draft, healed, phase, round, value } or null if unreadable
+export const decodeAnswer = (raw) => {
+    if (!raw || typeof raw !== 'string') return null;
+
+    let answer;
+    if (raw.startsWith(ANSWER_PREFIX)) {
+        try {
+            const data = JSON.parse(raw.slice(ANSWER_PREFIX.length));
+            answer = { version: ANSWER_VERSION, kind: data.k, draft: !!data.d, healed: !!data.h, phase: data.p ?? null, round: data.r ?? null, value: data.v };
+        } catch (e) {
+            console.error("answerCodec: Failed to decode answer", e);
+            return null;
+        }
+    } else {
+        answer = decodeLegacy(raw);
+    }
+
+    return validateAnswer(answer) ? answer : null;
+};
+
+// Does this raw answer belong to the given phase (and round, when both sides know it)?
+export const isAnswerForPhase = (raw, phase, round = null) => {
+    const answer = decodeAnswer(raw);
+    if (!answer || answer.kind !== getAnswerKind(phase)) return false;
+    if (answer.phase && phase && answer.phase !== phase) return false;
+    if (round != null && answer.round != null && answer.round !== round) return false;
+    return true;
+};
+
+export const isFinalAnswer = (raw, phase = null, round = null) => {
+    const answer = decodeAnswer(raw);
+    if (!answer || answer.draft) return false;
+    return phase ? isAnswerForPhase(raw, phase, round) : true;
+};
+
+export const isDraftAnswer = (raw) => !!decodeAnswer(raw)?.draft;
+
+// Display text (or vote list) of an answer, null if unreadable
+export const getAnswerValue = (raw) => decodeAnswer(raw)?.value ?? null;
@@ -0,0 +1,14 @@
+import { supabase } from '../../supabaseClient';
+
+// Append-only: every draft/final is a new `answers` row. The server stamps the round,
+// drops rows for a phase the room has already left and mirrors the latest one into players.last_answer.
+export const appendAnswer = async (room, playerId, phase, answer) => {
+    const { error } = await supabase.from('answers').insert({
+        room_id: room.id,
+        player_id: playerId,
+        phase,
+        chain_id: room.settings?.assignments?.[phase]?.[playerId] || null,
+        payload: answer
+    });
+    return { error };
+};
@@ -0,0 +1,113 @@
+// Player avatars: { emoji, color, frame } stored as jsonb in players.avatar (see the structured_avatars
+// migration). Any emoji can be picked (EmojiPicker); color is the background behind it and frame the
+// border around it, both ids from the lists below. Two players in a room never share the same emoji
+// on the same color: joinRoom moves a newcomer to a free one (resolveAvatarConflict), and the database
+// refuses a duplicate (players_room_avatar_idx, see the unique_avatars migration).
+
+export const AVATAR_EMOJIS = ['😎', '🦊', '🐱', '🐼', '🐸', '🦁', '🦄', '👻', '👾', '🤖', '🎃', '👽'];
+
+export const AVATAR_COLORS = [
+    { id: 'none', value: 'transparent' },
+    { id: 'violet', value: '#DDD6FE' },
+    { id: 'pink', value: '#FBCFE8' },
+    { id: 'yellow', value: '#FDE68A' },
+    { id: 'green', value: '#BBF7D0' },
+    { id: 'blue', value: '#BFDBFE' },
+    { id: 'orange', value: '#FED7AA' }
+];
+
+export const AVATAR_FRAMES = [{ id: 'none' }, { id: 'solid' }, { id: 'double' }, { id: 'dashed' }, { id: 'glow' }];
+
+export const DEFAULT_AVATAR = { emoji: AVATAR_EMOJIS[0], color: 'none', frame: 'none' };
+
+const STORAGE_KEY = 'player_avatar';
+// Index into AVATAR_EMOJIS saved by older builds
+const LEGACY_INDEX_KEY = 'player_avatar_idx';
+const MAX_EMOJI_LENGTH = 16;
+
+const isKnown = (list, id) => list.some(entry => entry.id === id);
+
+// Structured avatar from anything stored so far: an object, its JSON text (written to a text column),
+// a bare emoji, or an emoji followed by "| <fingerprint>" (see decodePlayer)
+export const normalizeAvatar = (raw) => {
+    let value = raw;
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (text.startsWith('{')) {
+            try { value = JSON.parse(text); } catch { value = null; }
+        } else {
+            value = { emoji: text.split('|')[0].trim() };
+        }
+    }
+    if (!value || typeof value !== 'object') return { ...DEFAULT_AVATAR };
+
+    const emoji = typeof value.emoji === 'string' ? value.emoji.trim().slice(0, MAX_EMOJI_LENGTH) : '';
+    return {
+        emoji: emoji || DEFAULT_AVATAR.emoji,
+        color: isKnown(AVATAR_COLORS, value.color) ? value.color : DEFAULT_AVATAR.color,
+        frame: isKnown(AVATAR_FRAMES, value.frame) ? value.frame : DEFAULT_AVATAR.frame
+    };
+};
+
+// For places that only have room for text (share text, canvas, transcripts)
+export const getAvatarEmoji = (raw) => normalizeAvatar(raw).emoji;
+
+export const getAvatarColor = (avatar) => AVATAR_COLORS.find(c => c.id === avatar.color)?.value || 'transparent';
+
+// Inline style of the avatar's background and frame, sized in em so it follows the font size around it
+export const getAvatarFrameStyle = (avatar) => {
+    const color = getAvatarColor(avatar);
+    const accent = avatar.color === 'none' ? '#6C63FF' : color;
+    const frames = {
+        none: {},
+        solid: { border: `0.08em solid ${accent}` },
+        double: { border: `0.12em double ${accent}` },
+        dashed: { border: `0.08em dashed ${accent}` },
+        glow: { boxShadow: `0 0 0.3em ${accent}` }
+    };
+    return { backgroundColor: color, ...frames[avatar.frame] };
+};
+
+// --- Uniqueness ---
+
+export const isSameAvatar = (a, b) => {
+    const left = normalizeAvatar(a);
+    const right = normalizeAvatar(b);
+    return left.emoji === right.emoji && left.color === right.color;
+};
+
+// `avatar` if nobody in takenAvatars looks the same, else the same emoji on a free color, else the first
+// free preset emoji (keeping the frame)
+export const resolveAvatarConflict = (avatar, takenAvatars = []) => {
+    const wanted = normalizeAvatar(avatar);
+    const isFree = (candidate) => !takenAvatars.some(taken => isSameAvatar(taken, candidate));
+    if (isFree(wanted)) return wanted;
+
+    const recolored = AVATAR_COLORS.map(c => ({ ...wanted, color: c.id })).find(isFree);
+    if (recolored) return recolored;
+
+    const replaced = AVATAR_EMOJIS.flatMap(emoji => AVATAR_COLORS.map(c => ({ ...wanted, emoji, color: c.id }))).find(isFree);
+    return replaced || wanted;
+};
+
+// --- This device's last pick ---
+
+export const loadSavedAvatar = () => {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) return normalizeAvatar(JSON.parse(saved));
+        const legacyIdx = parseInt(localStorage.getItem(LEGACY_INDEX_KEY), 10);
+        return { ...DEFAULT_AVATAR, emoji: AVATAR_EMOJIS[legacyIdx] || DEFAULT_AVATAR.emoji };
+    } catch (e) {
+        console.error("avatars: Failed to read the saved avatar", e);
+        return { ...DEFAULT_AVATAR };
+    }
+};
+
+export const saveAvatar = (avatar) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeAvatar(avatar)));
+    } catch (e) {
+        console.error("avatars: Failed to save the avatar", e);
+    }
+};
@@ -0,0 +1,118 @@
+import { EMOJI_DATA } from './emojiData';
+import { findEmoji } from './emojiCatalog';
+import { suggestEmojis } from './emojiSuggest';
+import { getAnswerKind } from './answerCodec';
+import { applyTextConstraints, getEmojiRuleError, getModeConstraints, getVoteLimits, isEmojiAllowed } from './gameModes';
+import { dealPrompt, getPromptPack, getPromptPackList } from './promptPacks';
+import { getReceivedContent } from './roomUtils';
+import { DRAWING_SIZE, PEN_COLORS, PEN_WIDTHS, encodeDrawing, isDrawing } from './drawingCodec';
+
+// Headless bot players. A bot is an ordinary players row created through joinRoom, told apart by
+// its identity. The host's client plays for every bot in the room (useBots) and lists them in
+// its own presence, so bots count as online exactly as long as their host is.
+
+export const BOT_IDENTITY_PREFIX = 'bot-';
+
+// Seconds a bot "thinks" before answering (settings.botDelay), randomized by ±40% per answer
+export const DEFAULT_BOT_DELAY = 6;
+export const MIN_BOT_DELAY = 2;
+export const MAX_BOT_DELAY = 20;
+
+const BOT_NAMES = ['Beep Bot', 'Robo Rita', 'Chip Bot', 'Sir Sprocket', 'Gizmo Bot', 'Pixel Bot', 'Widget Bot', 'Byte Bot', 'Cog Bot', 'Zap Bot', 'Nova Bot', 'Bolt Bot', 'Servo Bot', 'Dot Bot', 'Turbo Bot'];
+const BOT_AVATARS = ['🤖', '👾', '🦾', '🛸', '📟', '🕹️'];
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+export const isBot = (player) => String(player?.identity ?? '').trim().startsWith(BOT_IDENTITY_PREFIX);
+
+export const getBotIds = (players = []) => players.filter(isBot).map(p => p.id);
+
+// { name, avatar, identity } for a new bot, with a name nobody in the room uses yet
+export const createBotIdentity = (players = []) => {
+    const taken = new Set(players.map(p => p.name));
+    const name = BOT_NAMES.find(n => !taken.has(n)) || `Bot ${players.length + 1}`;
+    return {
+        name,
+        avatar: pickRandom(BOT_AVATARS),
+        identity: `${BOT_IDENTITY_PREFIX}${Math.random().toString(36).slice(2, 10)}`
+    };
+};
+
+export const getBotDelayMs = (settings) => {
+    const seconds = Math.min(MAX_BOT_DELAY, Math.max(MIN_BOT_DELAY, parseInt(settings?.botDelay, 10) || DEFAULT_BOT_DELAY));
+    return Math.round(seconds * 1000 * (0.6 + Math.random() * 0.8));
+};
+
+const writePrompt = (settings, language, botId) => {
+    if (getPromptPack(settings)) return dealPrompt(settings, language, '', botId);
+    return dealPrompt(pickRandom(getPromptPackList()).id, language);
+};
+
+// Keyword suggestions for the prompt (see emojiSuggest.js), topped up with random emojis when too few
+// words match. Stays within the host's emoji rules (see getEmojiRuleError).
+const translateToEmojis = (text, constraints, language) => {
+    const allowed = EMOJI_DATA.filter(item => isEmojiAllowed(item, constraints) && !getEmojiRuleError(item.emoji, [], constraints, text));
+    const maxEmojis = Math.max(Math.min(constraints?.maxEmojis || 10, 5), constraints?.minEmojis || 1);
+    const target = Math.max(Math.min(3, maxEmojis), constraints?.minEmojis || 1);
+
+    const exclude = constraints?.noPromptEmojis ? text : [];
+    const picked = suggestEmojis(text, { language, constraints, exclude, limit: maxEmojis });
+    while (picked.length < target && allowed.length > picked.length) {
+        const extra = pickRandom(allowed).emoji;
+        if (!getEmojiRuleError(extra, picked, constraints, text) && !picked.includes(extra)) picked.push(extra);
+    }
+    return picked.join(' ');
+};
+
+// Reads each emoji back as its first keyword
+const guessFromEmojis = (content, settings, phase, language) => {
+    const words = String(content).split(' ')
+        .map(emoji => findEmoji(emoji)?.keywords[0])
+        .filter(Boolean);
+    const guess = words.length > 0 ? words.join(' ') : writePrompt(settings, language);
+    return applyTextConstraints(guess.charAt(0).toUpperCase() + guess.slice(1), getModeConstraints(settings, phase));
+};
+
+// A few random pen strokes; bots cannot see the prompt they are drawing
+const scribble = (constraints) => {
+    const strokeCount = Math.min(constraints?.maxStrokes || 200, 2 + Math.floor(Math.random() * 3));
+    const strokes = Array.from({ length: strokeCount }, () => {
+        let x = 200 + Math.random() * 600;
+        let y = 200 + Math.random() * 600;
+        const points = [[x, y]];
+        for (let i = 0; i < 12; i++) {
+            x = Math.max(50, Math.min(DRAWING_SIZE - 50, x + (Math.random() - 0.5) * 160));
+            y = Math.max(50, Math.min(DRAWING_SIZE - 50, y + (Math.random() - 0.5) * 160));
+            points.push([x, y]);
+        }
+        return { color: `#${pickRandom(PEN_COLORS)}`, width: pickRandom(PEN_WIDTHS), points };
+    });
+    return encodeDrawing(strokes);
+};
+
+// One vote, in the first category the bot still has budget for, for a random other player
+const pickVotes = (settings, bot) => {
+    const limits = getVoteLimits(settings);
+    const category = Object.keys(limits).find(id => (bot?.votes_used?.[id] || 0) < limits[id]);
+    const targets = (settings?.player_order || []).filter(id => id !== bot?.id);
+    if (!category || targets.length === 0) return null;
+    return [{ category, targetId: pickRandom(targets) }];
+};
+
+// Value the bot submits for `phase` (see encodeAnswer), or null if it has nothing to submit
+export const getBotAnswer = ({ phase, settings, bot, language = 'en' }) => {
+    const kind = getAnswerKind(phase);
+    const constraints = getModeConstraints(settings, phase);
+
+    if (kind === 'text') return applyTextConstraints(writePrompt(settings, language, bot.id) || '', constraints) || null;
+    if (kind === 'emoji') return translateToEmojis(getReceivedContent(settings, phase, bot.id), constraints, language) || null;
+    if (kind === 'drawing') return scribble(constraints);
+    if (kind === 'guess') {
+        const content = getReceivedContent(settings, phase, bot.id);
+        return isDrawing(content)
+            ? applyTextConstraints(writePrompt(settings, language), constraints)
+            : guessFromEmojis(content, settings, phase, language);
+    }
+    if (kind === 'vote') return pickVotes(settings, bot);
+    return null;
+};
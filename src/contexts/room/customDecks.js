@@ -0,0 +1,103 @@
+// Host-authored prompt decks. A deck is { name, prompts: [string] }; the host keeps a library of
+// them in localStorage, can move them between devices as JSON files, and the chosen one travels
+// to the other players in settings.customDeck (with settings.promptPack = CUSTOM_PACK_ID).
+
+import { downloadBlob } from './shareCard';
+
+export const CUSTOM_PACK_ID = 'custom';
+export const DECK_FILE_VERSION = 1;
+export const MAX_DECK_PROMPTS = 100;
+export const MAX_DECK_NAME_LENGTH = 40;
+export const MAX_PROMPT_LENGTH = 100;
+
+const STORAGE_KEY = 'customDecks';
+
+// Trimmed, de-duplicated and capped copy of a deck, or null if nothing usable is left
+export const normalizeDeck = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = String(raw.name || '').trim().slice(0, MAX_DECK_NAME_LENGTH);
+    const prompts = [...new Set((Array.isArray(raw.prompts) ? raw.prompts : [])
+        .filter(p => typeof p === 'string')
+        .map(p => p.trim().slice(0, MAX_PROMPT_LENGTH))
+        .filter(Boolean))]
+        .slice(0, MAX_DECK_PROMPTS);
+
+    if (!name || prompts.length === 0) return null;
+    return { name, prompts };
+};
+
+// --- Local library ---
+
+export const loadSavedDecks = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(normalizeDeck).filter(Boolean) : [];
+    } catch (e) {
+        console.error("customDecks: Failed to read saved decks", e);
+        return [];
+    }
+};
+
+const writeSavedDecks = (decks) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(decks));
+    } catch (e) {
+        console.error("customDecks: Failed to save decks", e);
+    }
+    return decks;
+};
+
+// Saving a deck with an existing name replaces it
+export const saveDeck = (deck) => {
+    const clean = normalizeDeck(deck);
+    if (!clean) return loadSavedDecks();
+    return writeSavedDecks([clean, ...loadSavedDecks().filter(d => d.name !== clean.name)]);
+};
+
+export const deleteSavedDeck = (name) => writeSavedDecks(loadSavedDecks().filter(d => d.name !== name));
+
+// --- Files ---
+
+export const exportDeck = (deck) => {
+    const clean = normalizeDeck(deck);
+    if (!clean) return;
+    const blob = new Blob([JSON.stringify({ version: DECK_FILE_VERSION, ...clean }, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${clean.name.replace(/[^\p{L}\p{N}_-]+/gu, '_')}.wdym-deck.json`);
+};
+
+// Contents of an exported deck file, or null if it is not one
+export const parseDeckFile = (text) => {
+    try {
+        const data = JSON.parse(text);
+        if (data?.version !== DECK_FILE_VERSION) return null;
+        return normalizeDeck(data);
+    } catch (e) {
+        console.error("customDecks: Invalid deck file", e);
+        return null;
+    }
+};
+
+// --- Dealing ---
+
+// Shuffled deck for the next game as settings.prompt_fallbacks, skipping prompts already dealt in
+// this room (settings.used_prompts) until the deck runs out. Game g of a match gives the player in
+// seat s entry g * players + s (see getPackFallback), so a whole match is reserved up front.
+export const dealDeck = (deck, settings, playerCount, gamesInMatch, shuffle) => {
+    const used = new Set(settings?.used_prompts || []);
+    let pool = deck.prompts.filter(p => !used.has(p));
+    if (pool.length < playerCount * gamesInMatch) {
+        used.clear();
+        pool = deck.prompts;
+    }
+
+    const dealt = shuffle(pool);
+    return {
+        prompt_fallbacks: dealt,
+        used_prompts: [...used, ...dealt.slice(0, playerCount * gamesInMatch)]
+    };
+};
+
+// Deals a match needs beyond the deck's size (0 if none): with fewer prompts than players x games,
+// the fallbacks wrap around and prompts come back within the match (see getPackFallback)
+export const getDeckShortfall = (deck, playerCount, gamesInMatch) =>
+    Math.max(0, playerCount * gamesInMatch - (deck?.prompts?.length || 0));
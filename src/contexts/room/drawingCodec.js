@@ -0,0 +1,85 @@
+// Compact vector format for Draw mode answers (the value of a `drawing` answer, see answerCodec).
+//
+//   d1:<stroke>;<stroke>;...     stroke = <color>|<width>|x,y,dx,dy,dx,dy...
+//
+// Coordinates are integers on a DRAWING_SIZE x DRAWING_SIZE square; after the first point each
+// pair is the delta from the previous point. color is a 6-digit hex without '#', or "e" for the eraser.
+
+export const DRAWING_PREFIX = 'd1:';
+export const DRAWING_SIZE = 1000;
+export const DRAWING_MAX_LENGTH = 40000;
+
+export const ERASER = 'e';
+export const PEN_COLORS = ['1F2937', 'EF4444', 'F59E0B', '10B981', '3B82F6', '6C63FF', 'EC4899', '8B5CF6'];
+export const PEN_WIDTHS = [6, 14, 28];
+
+// Points closer than this to the previous one are dropped while drawing
+export const MIN_POINT_DISTANCE = 4;
+
+const clampCoord = (v) => Math.max(0, Math.min(DRAWING_SIZE, Math.round(v)));
+
+// strokes: [{ color, width, points: [[x, y], ...] }]
+export const encodeDrawing = (strokes = []) => {
+    const parts = [];
+    let length = DRAWING_PREFIX.length;
+
+    for (const stroke of strokes) {
+        if (!stroke?.points?.length) continue;
+        const coords = [];
+        let prevX = 0;
+        let prevY = 0;
+        stroke.points.forEach(([x, y], i) => {
+            const cx = clampCoord(x);
+            const cy = clampCoord(y);
+            coords.push(i === 0 ? cx : cx - prevX, i === 0 ? cy : cy - prevY);
+            prevX = cx;
+            prevY = cy;
+        });
+        const part = `${stroke.color === ERASER ? ERASER : String(stroke.color).replace('#', '')}|${Math.round(stroke.width) || PEN_WIDTHS[0]}|${coords.join(',')}`;
+
+        // Keep whole strokes only; a drawing that is too big loses its last strokes
+        if (length + part.length + 1 > DRAWING_MAX_LENGTH) break;
+        parts.push(part);
+        length += part.length + 1;
+    }
+
+    return `${DRAWING_PREFIX}${parts.join(';')}`;
+};
+
+// Returns [{ color, width, points }] or null if the value is not a drawing
+export const decodeDrawing = (value) => {
+    if (typeof value !== 'string' || !value.startsWith(DRAWING_PREFIX)) return null;
+    const body = value.slice(DRAWING_PREFIX.length);
+    if (!body) return [];
+
+    const strokes = [];
+    for (const part of body.split(';')) {
+        const [color, width, coordStr] = part.split('|');
+        if (!color || !(color === ERASER || /^[0-9a-fA-F]{6}$/.test(color))) return null;
+        const nums = (coordStr || '').split(',').map(Number);
+        if (nums.length < 2 || nums.length % 2 !== 0 || nums.some(n => !Number.isFinite(n))) return null;
+
+        const points = [];
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < nums.length; i += 2) {
+            x = i === 0 ? nums[i] : x + nums[i];
+            y = i === 0 ? nums[i + 1] : y + nums[i + 1];
+            points.push([x, y]);
+        }
+        strokes.push({ color: color === ERASER ? ERASER : `#${color}`, width: Number(width) || PEN_WIDTHS[0], points });
+    }
+    return strokes;
+};
+
+export const isDrawing = (value) => decodeDrawing(value) !== null;
+
+export const countPoints = (strokes = []) => strokes.reduce((sum, s) => sum + s.points.length, 0);
+
+// Timeout placeholders: a big question mark (online) or a ghostly one (disconnected)
+const QUESTION_MARK = [[350, 330], [380, 250], [470, 200], [570, 215], [640, 280], [640, 370], [560, 440], [500, 500], [500, 600]];
+const QUESTION_DOT = [[500, 740], [500, 750]];
+export const FALLBACK_DRAWINGS = {
+    online: encodeDrawing([{ color: '6C63FF', width: 40, points: QUESTION_MARK }, { color: '6C63FF', width: 50, points: QUESTION_DOT }]),
+    offline: encodeDrawing([{ color: '9CA3AF', width: 40, points: QUESTION_MARK }, { color: '9CA3AF', width: 50, points: QUESTION_DOT }])
+};
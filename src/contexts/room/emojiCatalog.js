@@ -0,0 +1,66 @@
+import { EMOJI_DATA } from './emojiData';
+
+// Picker helpers around the generated EMOJI_DATA: skin tones, looking up an emoji a player sent
+// (possibly toned) and the "recent" tab. Both preferences live in localStorage; the skin tone is
+// remembered per player identity (see playerIdentity.js).
+
+// Index 0 is the default (yellow) emoji, 1-5 are item.skins[0-4], light to dark
+export const SKIN_TONE_SWATCHES = ['✋', '✋🏻', '✋🏼', '✋🏽', '✋🏾', '✋🏿'];
+export const MAX_RECENT_EMOJIS = 30;
+
+const SKIN_TONE_KEY = 'emoji_skin_tones';
+const RECENT_KEY = 'recent_emojis';
+
+// Skin tones and variation selectors, stripped to find the EMOJI_DATA item behind a sent emoji
+const VARIANT_PATTERN = /[\u{1F3FB}-\u{1F3FF}]|\uFE0F/gu;
+const baseKey = (emoji) => String(emoji || '').replace(VARIANT_PATTERN, '');
+
+const byBase = new Map(EMOJI_DATA.map(item => [baseKey(item.emoji), item]));
+
+export const applySkinTone = (item, tone) => (tone > 0 && item.skins?.[tone - 1]) || item.emoji;
+
+// EMOJI_DATA item for an emoji as sent (with or without a skin tone or variation selector), or null
+export const findEmoji = (emoji) => byBase.get(baseKey(emoji)) || null;
+
+const readJson = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (e) {
+        console.error(`emojiCatalog: Failed to read ${key}`, e);
+        return fallback;
+    }
+};
+
+const writeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error(`emojiCatalog: Failed to save ${key}`, e);
+    }
+};
+
+// --- Skin tone ---
+
+export const loadSkinTone = (playerKey) => {
+    const tone = parseInt(readJson(SKIN_TONE_KEY, {})[String(playerKey || '').trim()], 10);
+    return tone >= 0 && tone < SKIN_TONE_SWATCHES.length ? tone : 0;
+};
+
+export const saveSkinTone = (playerKey, tone) => {
+    writeJson(SKIN_TONE_KEY, { ...readJson(SKIN_TONE_KEY, {}), [String(playerKey || '').trim()]: tone });
+    return tone;
+};
+
+// --- Recently used ---
+
+// Emojis as last picked (toned ones included), most recent first
+export const loadRecentEmojis = () => {
+    const saved = readJson(RECENT_KEY, []);
+    return Array.isArray(saved) ? saved.filter(emoji => findEmoji(emoji)).slice(0, MAX_RECENT_EMOJIS) : [];
+};
+
+export const addRecentEmoji = (emoji) => {
+    const recent = [emoji, ...loadRecentEmojis().filter(e => e !== emoji)].slice(0, MAX_RECENT_EMOJIS);
+    writeJson(RECENT_KEY, recent);
+    return recent;
+};
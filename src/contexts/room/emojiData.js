@@ -1,3 +1,10 @@
+// GENERATED by scripts/generate-emoji-data.js from Unicode emoji 18.0 - do not edit by hand.
+// Keywords come from emojiKeywords.js plus each emoji's Unicode name; `localized` has the French and
+// Arabic ones (emojiKeywords.js plus the CLDR annotations); `skins` lists the five skin-tone variants
+// (light to dark) of the emojis that have them.
+
+export const EMOJI_VERSION = '18.0';
+
 export const EMOJI_CATEGORIES = [
   { id: 'smileys', label: 'Smileys & Emotion', icon: '😀' },
   { id: 'people', label: 'People & Body', icon: '👋' },
@@ -6,925 +13,1941 @@ export const EMOJI_CATEGORIES = [
   { id: 'travel', label: 'Travel & Places', icon: '🚗' },
   { id: 'activities', label: 'Activities', icon: '⚽' },
   { id: 'objects', label: 'Objects', icon: '💡' },
-  { id: 'symbols', label: 'Symbols', icon: '❤️' }
+  { id: 'symbols', label: 'Symbols', icon: '❤️' },
+  { id: 'flags', label: 'Flags', icon: '🏁' }
 ];
 
 export const EMOJI_DATA = [
   // --- SMILEYS & EMOTION ---
-  { emoji: '😀', category: 'smileys', keywords: ['smile', 'happy', 'grin'] },
-  { emoji: '😃', category: 'smileys', keywords: ['smile', 'happy', 'open mouth'] },
-  { emoji: '😄', category: 'smileys', keywords: ['smile', 'happy', 'eyes closed'] },
-  { emoji: '😁', category: 'smileys', keywords: ['smile', 'happy', 'beaming'] },
-  { emoji: '😆', category: 'smileys', keywords: ['grin', 'laugh', 'squint'] },
-  { emoji: '😅', category: 'smileys', keywords: ['sweat', 'laugh', 'nervous'] },
-  { emoji: '🤣', category: 'smileys', keywords: ['rofl', 'laughing', 'rolling'] },
-  { emoji: '😂', category: 'smileys', keywords: ['joy', 'laugh', 'tears'] },
-  { emoji: '🙂', category: 'smileys', keywords: ['smile', 'slight'] },
-  { emoji: '🙃', category: 'smileys', keywords: ['upside down', 'flipped'] },
-  { emoji: '🫠', category: 'smileys', keywords: ['melting', 'hot', 'shame'] },
-  { emoji: '😉', category: 'smileys', keywords: ['wink', 'flirty'] },
-  { emoji: '😊', category: 'smileys', keywords: ['blush', 'happy', 'soft'] },
-  { emoji: '😇', category: 'smileys', keywords: ['angel', 'halo', 'innocent'] },
-  { emoji: '🥰', category: 'smileys', keywords: ['hearts', 'love', 'blush'] },
-  { emoji: '😍', category: 'smileys', keywords: ['love', 'heart eyes'] },
-  { emoji: '🤩', category: 'smileys', keywords: ['starstruck', 'wow'] },
-  { emoji: '😘', category: 'smileys', keywords: ['kissing', 'heart', 'smooth'] },
-  { emoji: '😗', category: 'smileys', keywords: ['kissing'] },
-  { emoji: '☺️', category: 'smileys', keywords: ['smile', 'blush', 'sweet'] },
-  { emoji: '😚', category: 'smileys', keywords: ['kissing', 'closed eyes'] },
-  { emoji: '😙', category: 'smileys', keywords: ['kissing', 'smile'] },
-  { emoji: '😋', category: 'smileys', keywords: ['yum', 'delicious', 'tongue'] },
-  { emoji: '😛', category: 'smileys', keywords: ['tongue', 'playful'] },
-  { emoji: '😜', category: 'smileys', keywords: ['wink', 'tongue', 'crazy'] },
-  { emoji: '🤪', category: 'smileys', keywords: ['zany', 'crazy', 'goofy'] },
-  { emoji: '😝', category: 'smileys', keywords: ['tongue', 'closed eyes', 'squint'] },
-  { emoji: '🤑', category: 'smileys', keywords: ['money', 'rich', 'dollar'] },
-  { emoji: '🤗', category: 'smileys', keywords: ['hugging', 'warmth', 'jazz hands'] },
-  { emoji: '🫣', category: 'smileys', keywords: ['peeking', 'hiding', 'eye'] },
-  { emoji: '🤭', category: 'smileys', keywords: ['giggle', 'hand over mouth', 'oops'] },
-  { emoji: '🫢', category: 'smileys', keywords: ['open mouth', 'amazed', 'shock'] },
-  { emoji: '🤫', category: 'smileys', keywords: ['shushing', 'quiet', 'secret'] },
-  { emoji: '🫠', category: 'smileys', keywords: ['melting', 'hot', 'shame'] },
-  { emoji: '🤔', category: 'smileys', keywords: ['thinking', 'curious', 'ponder'] },
-  { emoji: '🫡', category: 'smileys', keywords: ['saluting', 'respect', 'yes sir'] },
-  { emoji: '🤐', category: 'smileys', keywords: ['zipper', 'quiet', 'sealed'] },
-  { emoji: '🤨', category: 'smileys', keywords: ['raised eyebrow', 'skeptical', 'suspicious'] },
-  { emoji: '😐', category: 'smileys', keywords: ['neutral', 'poker face'] },
-  { emoji: '😑', category: 'smileys', keywords: ['expressionless', 'meh', 'blank'] },
-  { emoji: '😶', category: 'smileys', keywords: ['no mouth', 'silent'] },
-  { emoji: '🫥', category: 'smileys', keywords: ['dotted line', 'invisible', 'disappearing'] },
-  { emoji: '😶‍🌫️', category: 'smileys', keywords: ['face in clouds', 'absent-minded', 'fog'] },
-  { emoji: '😏', category: 'smileys', keywords: ['smirk', 'cool', 'flirt'] },
-  { emoji: '😒', category: 'smileys', keywords: ['unamused', 'side eye'] },
-  { emoji: '🙄', category: 'smileys', keywords: ['rolling eyes', 'judging'] },
-  { emoji: '😬', category: 'smileys', keywords: ['grimace', 'awkward', 'teeth'] },
-  { emoji: '😮‍💨', category: 'smileys', keywords: ['face exhaling', 'relief', 'tired'] },
-  { emoji: '🤥', category: 'smileys', keywords: ['lying', 'pinocchio', 'long nose'] },
-  { emoji: '😌', category: 'smileys', keywords: ['relieved', 'peaceful'] },
-  { emoji: '😔', category: 'smileys', keywords: ['pensive', 'sad', 'down'] },
-  { emoji: '😪', category: 'smileys', keywords: ['sleepy', 'drool', 'tired'] },
-  { emoji: '🤤', category: 'smileys', keywords: ['drooling', 'delicious'] },
-  { emoji: '😴', category: 'smileys', keywords: ['sleeping', 'zzz'] },
-  { emoji: '😷', category: 'smileys', keywords: ['mask', 'sick', 'doctor'] },
-  { emoji: '🤒', category: 'smileys', keywords: ['thermometer', 'hot', 'febrile'] },
-  { emoji: '🤕', category: 'smileys', keywords: ['bandage', 'hurt', 'head injury'] },
-  { emoji: '🤢', category: 'smileys', keywords: ['nauseated', 'sick', 'green'] },
-  { emoji: '🤮', category: 'smileys', keywords: ['vomiting', 'puking', 'gross'] },
-  { emoji: '🤧', category: 'smileys', keywords: ['sneezing', 'allergy', 'tissue'] },
-  { emoji: '🥵', category: 'smileys', keywords: ['hot', 'overheated', 'sun'] },
-  { emoji: '🥶', category: 'smileys', keywords: ['cold', 'frozen', 'blue'] },
-  { emoji: '🥴', category: 'smileys', keywords: ['woozy', 'drunk', 'dizzy'] },
-  { emoji: '😵', category: 'smileys', keywords: ['dizzy', 'knocked out', 'dead'] },
-  { emoji: '😵‍💫', category: 'smileys', keywords: ['face with spiral eyes', 'hypnotized', 'confused'] },
-  { emoji: '🤯', category: 'smileys', keywords: ['exploding', 'mind blown', 'shock'] },
-  { emoji: '🤠', category: 'smileys', keywords: ['cowboy', 'hat', 'wild west'] },
-  { emoji: '🥳', category: 'smileys', keywords: ['partying', 'celebration', 'party'] },
-  { emoji: '🥸', category: 'smileys', keywords: ['disguise', 'mustache', 'glasses'] },
-  { emoji: '😎', category: 'smileys', keywords: ['cool', 'sunglasses'] },
-  { emoji: '🤓', category: 'smileys', keywords: ['nerd', 'geek', 'glasses'] },
-  { emoji: '🧐', category: 'smileys', keywords: ['monocle', 'inspect', 'curious'] },
-  { emoji: '😕', category: 'smileys', keywords: ['confused', 'puzzled'] },
-  { emoji: '🫤', category: 'smileys', keywords: ['diagonal mouth', 'skeptical', 'unsure'] },
-  { emoji: '😟', category: 'smileys', keywords: ['worried', 'nervous'] },
-  { emoji: '🙁', category: 'smileys', keywords: ['frown', 'sad'] },
-  { emoji: '☹️', category: 'smileys', keywords: ['frown', 'unhappy'] },
-  { emoji: '😮', category: 'smileys', keywords: ['shock', 'surprised', 'open mouth'] },
-  { emoji: '😯', category: 'smileys', keywords: ['hushed', 'quiet shock'] },
-  { emoji: '😲', category: 'smileys', keywords: ['astonished', 'amazed'] },
-  { emoji: '😳', category: 'smileys', keywords: ['flushed', 'blush', 'surprised'] },
-  { emoji: '🥺', category: 'smileys', keywords: ['pleading', 'pouty', 'sad'] },
-  { emoji: '🥹', category: 'smileys', keywords: ['face holding back tears', 'moved', 'emotional'] },
-  { emoji: '😦', category: 'smileys', keywords: ['frowning with open mouth', 'shock'] },
-  { emoji: '😧', category: 'smileys', keywords: ['anguished', 'scared', 'pain'] },
-  { emoji: '😨', category: 'smileys', keywords: ['fearful', 'scared', 'panic'] },
-  { emoji: '😰', category: 'smileys', keywords: ['anxious with sweat', 'blue', 'panic'] },
-  { emoji: '😥', category: 'smileys', keywords: ['sad but relieved', 'blue', 'tears'] },
-  { emoji: '😢', category: 'smileys', keywords: ['crying', 'sad', 'tears'] },
-  { emoji: '😭', category: 'smileys', keywords: ['sobbing', 'sad', 'tears', 'crying'] },
-  { emoji: '😱', category: 'smileys', keywords: ['scream', 'fear', 'shock'] },
-  { emoji: '😖', category: 'smileys', keywords: ['confounded', 'strained'] },
-  { emoji: '😣', category: 'smileys', keywords: ['persevering', 'strained', 'closed eyes'] },
-  { emoji: '😞', category: 'smileys', keywords: ['disappointed', 'sad'] },
-  { emoji: '😓', category: 'smileys', keywords: ['downcast with sweat', 'sad', 'work'] },
-  { emoji: '😩', category: 'smileys', keywords: ['weary', 'tired', 'moan'] },
-  { emoji: '😫', category: 'smileys', keywords: ['tired', 'exhausted'] },
-  { emoji: '🥱', category: 'smileys', keywords: ['yawning', 'tired', 'bored'] },
-  { emoji: '😤', category: 'smileys', keywords: ['triumph', 'angry', 'steam'] },
-  { emoji: '😡', category: 'smileys', keywords: ['pouting', 'angry', 'red'] },
-  { emoji: '😠', category: 'smileys', keywords: ['angry', 'mad'] },
-  { emoji: '🤬', category: 'smileys', keywords: ['cursing', 'censored', 'mad'] },
-  { emoji: '😈', category: 'smileys', keywords: ['smiling face with horns', 'demon', 'devil'] },
-  { emoji: '👿', category: 'smileys', keywords: ['pouting face with horns', 'demon', 'angry devil'] },
-  { emoji: '💀', category: 'smileys', keywords: ['skull', 'dead', 'laughing'] },
-  { emoji: '☠️', category: 'smileys', keywords: ['skull and crossbones', 'danger', 'poison'] },
-  { emoji: '💩', category: 'smileys', keywords: ['poop', 'crap', 'shit'] },
-  { emoji: '🤡', category: 'smileys', keywords: ['clown', 'silly', 'creepy'] },
-  { emoji: '👹', category: 'smileys', keywords: ['ogre', 'monster', 'scary'] },
-  { emoji: '👺', category: 'smileys', keywords: ['goblin', 'mask', 'evil'] },
-  { emoji: '👻', category: 'smileys', keywords: ['ghost', 'scary', 'spooky'] },
-  { emoji: '👽', category: 'smileys', keywords: ['alien', 'ufo', 'space'] },
-  { emoji: '👾', category: 'smileys', keywords: ['invader', 'pixel alien', 'game'] },
-  { emoji: '🤖', category: 'smileys', keywords: ['robot', 'bot', 'tech'] },
-  { emoji: '😺', category: 'smileys', keywords: ['grinning cat'] },
-  { emoji: '😸', category: 'smileys', keywords: ['grinning cat with smiling eyes'] },
-  { emoji: '😹', category: 'smileys', keywords: ['cat with tears of joy'] },
-  { emoji: '😻', category: 'smileys', keywords: ['smiling cat with heart-eyes'] },
-  { emoji: '😼', category: 'smileys', keywords: ['cat with wry smile'] },
-  { emoji: '😽', category: 'smileys', keywords: ['kissing cat'] },
-  { emoji: '🙀', category: 'smileys', keywords: ['weary cat', 'shock'] },
-  { emoji: '😿', category: 'smileys', keywords: ['crying cat'] },
-  { emoji: '😾', category: 'smileys', keywords: ['pouting cat', 'angry'] },
-  { emoji: '🙈', category: 'smileys', keywords: ['see no evil', 'monkey', 'hiding'] },
-  { emoji: '🙉', category: 'smileys', keywords: ['hear no evil', 'monkey', 'quiet'] },
-  { emoji: '🙊', category: 'smileys', keywords: ['speak no evil', 'monkey', 'hush'] },
-  { emoji: '💋', category: 'smileys', keywords: ['kiss', 'lipstick', 'lips'] },
-  { emoji: '💌', category: 'smileys', keywords: ['love letter', 'mail', 'heart'] },
-  { emoji: '💘', category: 'smileys', keywords: ['heart with arrow', 'cupid', 'love'] },
-  { emoji: '💝', category: 'smileys', keywords: ['heart with ribbon', 'gift', 'box'] },
-  { emoji: '💖', category: 'smileys', keywords: ['sparkling heart', 'glowing'] },
-  { emoji: '💗', category: 'smileys', keywords: ['growing heart', 'pulse'] },
-  { emoji: '💓', category: 'smileys', keywords: ['beating heart', 'pulse'] },
-  { emoji: '💞', category: 'smileys', keywords: ['revolving hearts'] },
-  { emoji: '💕', category: 'smileys', keywords: ['two hearts', 'love'] },
-  { emoji: '💟', category: 'smileys', keywords: ['heart decoration'] },
-  { emoji: '❣️', category: 'smileys', keywords: ['heart exclamation'] },
-  { emoji: '💔', category: 'smileys', keywords: ['broken heart', 'sad'] },
-  { emoji: '❤️‍🔥', category: 'smileys', keywords: ['heart on fire', 'passion'] },
-  { emoji: '❤️‍🩹', category: 'smileys', keywords: ['mending heart', 'healing'] },
-  { emoji: '❤️', category: 'smileys', keywords: ['red heart', 'love'] },
-  { emoji: '🧡', category: 'smileys', keywords: ['orange heart'] },
-  { emoji: '💛', category: 'smileys', keywords: ['yellow heart'] },
-  { emoji: '💚', category: 'smileys', keywords: ['green heart'] },
-  { emoji: '💙', category: 'smileys', keywords: ['blue heart'] },
-  { emoji: '💜', category: 'smileys', keywords: ['purple heart'] },
-  { emoji: '🤎', category: 'smileys', keywords: ['brown heart'] },
-  { emoji: '🖤', category: 'smileys', keywords: ['black heart'] },
-  { emoji: '🤍', category: 'smileys', keywords: ['white heart'] },
-  { emoji: '💯', category: 'smileys', keywords: ['hundred', 'score', 'perfect'] },
-  { emoji: '💢', category: 'smileys', keywords: ['anger symbol', 'mad', 'vein'] },
-  { emoji: '💥', category: 'smileys', keywords: ['boom', 'collision', 'bang'] },
-  { emoji: '💫', category: 'smileys', keywords: ['dizzy', 'stars'] },
-  { emoji: '💦', category: 'smileys', keywords: ['sweat droplets', 'water', 'hot'] },
-  { emoji: '💨', category: 'smileys', keywords: ['dash', 'fast', 'running', 'wind'] },
-  { emoji: '🕳️', category: 'smileys', keywords: ['hole', 'void'] },
-  { emoji: '💣', category: 'smileys', keywords: ['bomb', 'danger', 'boom'] },
-  { emoji: '💬', category: 'smileys', keywords: ['speech balloon', 'chat', 'talk'] },
-  { emoji: '👁️‍🗨️', category: 'smileys', keywords: ['eye in speech bubble'] },
-  { emoji: '🗨️', category: 'smileys', keywords: ['left speech bubble'] },
-  { emoji: '🗯️', category: 'smileys', keywords: ['right anger bubble'] },
-  { emoji: '💭', category: 'smileys', keywords: ['thought balloon', 'thinking'] },
-  { emoji: '💤', category: 'smileys', keywords: ['zzz', 'sleeping', 'tired'] },
-
+  { emoji: '😀', category: 'smileys', keywords: ['smile', 'happy', 'grin', 'grinning face'], localized: { fr: ['sourire', 'content', 'joyeux', 'visage rieur', 'dents', 'émoticône', 'grand sourire', 'heureux', 'rire', 'super', 'visage', 'visage très souriant'], ar: ['ابتسامة', 'سعيد', 'فرح', 'وجه بابتسامة عريضة', 'أسنان', 'ابتسام', 'ابتسامة عريضة', 'ضحك', 'فرحان', 'وجه مبتسم'] } },
+  { emoji: '😃', category: 'smileys', keywords: ['smile', 'happy', 'open mouth', 'grinning face with big eyes'], localized: { fr: ['sourire', 'content', 'bouche ouverte', 'visage souriant avec de grands yeux', 'dents', 'émoticône', 'formidable', 'grand sourire', 'heureux', 'super', 'visage très souriant avec la bouche ouverte'], ar: ['ابتسامة', 'سعيد', 'فم مفتوح', 'وجه مبتسم بعينين كبيرتين', 'أسنان', 'ابتسام', 'ابتسامة بفم مفتوح', 'ابتسم', 'بسمة', 'عظيم', 'مفتوح', 'وجه', 'وجه مبتسم بفم مفتوح', 'ياي'] } },
+  { emoji: '😄', category: 'smileys', keywords: ['smile', 'happy', 'eyes closed', 'grinning face with smiling eyes'], localized: { fr: ['sourire', 'content', 'yeux fermés', 'visage très souriant aux yeux rieurs', 'émoticône', 'grand sourire', 'heureux', 'joyeux', 'lol', 'mdr', 'rire', 'sourire mignon', 'visage avec la bouche ouverte et les yeux souriants'], ar: ['ابتسامة', 'سعيد', 'عيون مغلقة', 'وجه مبتسم بعينين باسمتين', 'أعين', 'أعين مبتسمة', 'ابتسام', 'ابتسامة بفم مفتوح وأعين باسمة', 'عين', 'فرح', 'فم مفتوح', 'مبسوط', 'مفتوح', 'وجه'] } },
+  { emoji: '😁', category: 'smileys', keywords: ['smile', 'happy', 'beaming', 'beaming face with smiling eyes'], localized: { fr: ['sourire', 'content', 'rayonnant', 'visage souriant aux yeux rieurs', 'dents', 'émoticône', 'grand sourire', 'heureux', 'sourire de toutes ses dents', 'super', 'visage', 'visage souriant avec yeux souriants', 'yeux souriants'], ar: ['ابتسامة', 'سعيد', 'مشرق', 'وجه مشرق بعينين باسمتين', 'أسنان', 'أعين', 'أعين مبتسمة', 'إشراقة', 'عين', 'عيون', 'نايس', 'وجه', 'وجه مشرق بأعين باسمة', 'وجه مشرق مع عينين مبتسمتين', 'يبتسم'] } },
+  { emoji: '😆', category: 'smileys', keywords: ['grin', 'laugh', 'squint', 'grinning squinting face'], localized: { fr: ['rire', 'mort de rire', 'plissé', 'visage souriant avec yeux plissés', 'ahah', 'bouche', 'content', 'émoticône', 'lol', 'mdr', 'sourire', 'visage', 'visage souriant avec bouche ouverte et yeux fermés'], ar: ['ضحك', 'ضحكة', 'مبتسم', 'وجه مبتسم بعينين مغلقتين', 'ابتسامة', 'ابتسامة بأعين مغلقة', 'ابتسامة بفم مفتوح وأعين مغلقة', 'راض', 'فم مفتوح', 'قهقه', 'مفتوح', 'ههه', 'وجه', 'وجه مبتسم بعينين محدقتين', 'يبتسم'] } },
+  { emoji: '😅', category: 'smileys', keywords: ['sweat', 'laugh', 'nervous', 'grinning face with sweat'], localized: { fr: ['sueur', 'rire', 'nerveux', 'visage souriant avec une goutte de sueur', 'émoticône', 'excité', 'froid', 'goutte', 'sourire', 'sourire nerveux', 'stressé', 'sueurs froides'], ar: ['عرق', 'ضحك', 'متوتر', 'وجه مبتسم بفم مفتوح وعرق بارد', 'ابتسامة بفم مفتوح وعرق بارد', 'ابتسامة ولكن بعرق بارد', 'سترس', 'عرق بارد', 'مبسوط', 'مضطرب', 'موتور', 'وجه'] } },
+  { emoji: '🤣', category: 'smileys', keywords: ['rofl', 'laughing', 'rolling', 'rolling on the floor laughing'], localized: { fr: ['mdr', 'rire', 'se rouler par terre', 'se rouler par terre de rire', 'content', 'drôle', 'émoticône', 'hilare', 'joyeux', 'larmes', 'lol', 'pleurer de rire', 'rire aux larmes', 'se tordre de rire', 'visage', 'visage qui rit aux larmes'], ar: ['ضحك', 'يتدحرج', 'موت ضحك', 'وجه ضاحك يتدحرج على الأرض', 'أرض', 'المشاعر والضحك بالدموع', 'بكاء', 'تبكي', 'تدحرج', 'دمعة', 'دموع', 'دموع الفرح', 'سعيد', 'فرح', 'مش قادر', 'مضحك', 'ههه', 'وجه', 'وجه ضاحك', 'يا نهار ضحك', 'يبكي'] } },
+  { emoji: '😂', category: 'smileys', keywords: ['joy', 'laugh', 'tears', 'face with tears of joy'], localized: { fr: ['joie', 'rire', 'larmes', 'visage riant aux larmes', 'content', 'émoticône', 'heureux', 'lol', 'mdr', 'pleurer de joie', 'pleurer de rire', 'rire aux larmes', 'sourire'], ar: ['فرح', 'ضحك', 'دموع', 'وجه بدموع فرح', 'المشاعر والوجوه بدموع الفرح', 'قهقه', 'مضحك', 'هههه', 'وجه', 'وجه عليه دموع فرح', 'يبكي', 'يضحك'] } },
+  { emoji: '🙂', category: 'smileys', keywords: ['smile', 'slight', 'slightly smiling face'], localized: { fr: ['sourire', 'léger', 'visage avec un léger sourire', 'content', 'émoticône', 'heureux', 'léger sourire', 'visage souriant'], ar: ['ابتسامة', 'خفيف', 'وجه بابتسامة بسيطة', 'ابتسامة طفيفة', 'سعيد', 'فرح', 'وجه'] } },
+  { emoji: '🙃', category: 'smileys', keywords: ['upside down', 'flipped', 'upside-down face'], localized: { fr: ['à l\'envers', 'retourné', 'tête à l’envers', 'émoticône', 'incroyable', 'renversée', 'tête', 'visage'], ar: ['مقلوب', 'معكوس', 'وجه مقلوب', 'ههه', 'وجه'] } },
+  { emoji: '🫠', category: 'smileys', keywords: ['melting', 'hot', 'shame', 'melting face'], localized: { fr: ['fondre', 'chaud', 'honte', 'visage qui fond', 'disparaître', 'gêne', 'liquéfié', 'liquide', 'sarcasme', 'se dissoudre'], ar: ['ذوبان', 'حر', 'خجل', 'وجه يذوب', 'إحراج', 'اختفاء', 'تذويب', 'سائل', 'سخرية', 'سخونة', 'لول', 'هاها'] } },
+  { emoji: '🫫', category: 'smileys', keywords: ['cracking face'], localized: { fr: ['visage qui se fissure', 'fissure', 'craquer'], ar: ['وجه متشقق', 'تشقق'] } },
+  { emoji: '😉', category: 'smileys', keywords: ['wink', 'flirty', 'winking face'], localized: { fr: ['clin d\'œil', 'dragueur', 'visage faisant un clin d’œil', 'blague', 'clin d’œil', 'émoticône', 'flirter', 'plaisanter', 'sexy', 'visage'], ar: ['غمزة', 'مغازلة', 'وجه يغمز', 'سيكسي', 'وجه'] } },
+  { emoji: '😊', category: 'smileys', keywords: ['blush', 'happy', 'soft', 'smiling face with smiling eyes'], localized: { fr: ['rougir', 'content', 'doux', 'visage souriant avec yeux rieurs', 'émoticône', 'heureux', 'œil', 'satisfait', 'sourire', 'visage', 'visage qui rougit', 'visage souriant avec yeux souriants', 'yeux'], ar: ['خجل', 'سعيد', 'لطيف', 'وجه باسم بعينين باسمتين', 'أعين مبتسمة', 'ابتسام', 'ابتسامة وجه وأعين', 'بتسم', 'بسمة', 'خجول', 'راض', 'عين', 'عيون', 'متورد', 'وجه'] } },
+  { emoji: '😇', category: 'smileys', keywords: ['angel', 'halo', 'innocent', 'smiling face with halo'], localized: { fr: ['ange', 'auréole', 'innocent', 'visage souriant avec auréole', 'angélique', 'béni', 'bible', 'émoticône', 'heureux', 'paix', 'sourire', 'spirituel'], ar: ['ملاك', 'هالة', 'بريء', 'وجه مبتسم بهالة', 'أرواح', 'إنجيل', 'ابتسام', 'ابتسامة', 'ابتسامة مع هالة', 'الكتاب المقدس', 'حدوتة', 'خرافة', 'روح', 'سلام', 'فرحان', 'قصة', 'مبارك', 'مبسوط', 'مسالم', 'نعمة', 'وجه'] } },
+  { emoji: '🥰', category: 'smileys', keywords: ['hearts', 'love', 'blush', 'smiling face with hearts'], localized: { fr: ['cœurs', 'amour', 'rougir', 'visage souriant avec cœurs', 'adorer', 'aimer', 'béguin', 'coeur', 'j’adore', 'je t’aime', 'smiley avec 3 coeurs', 'sourire'], ar: ['قلوب', 'حب', 'خجل', 'وجه مبتسم مع ثلاثة قلوب', 'أحب', 'أعشق', 'إعجاب', 'ابتسامة', 'باسم', 'ثلاثة قلوب', 'رومانسية', 'عاشق', 'عشق', 'غرام', 'قلب', 'مبتسم', 'محب', 'معجب', 'مغرم', 'وجه', 'يحب'] } },
+  { emoji: '😍', category: 'smileys', keywords: ['love', 'heart eyes', 'smiling face with heart-eyes'], localized: { fr: ['amour', 'yeux en cœur', 'visage souriant avec yeux en forme de cœur', 'amoureux', 'cœur', 'émoticône', 'œil', 'romantique', 'sourire', 'visage', 'yeux'], ar: ['حب', 'عيون قلوب', 'وجه مبتسم مع عينين على شكل قلب', 'أعين على شكل قلب', 'ابتسام', 'بسمة', 'رومانس', 'رومنس', 'عين', 'عيون', 'غرام', 'قلب', 'قلوب', 'مغروم', 'وجه', 'وجه مبتسم بعيون قلب'] } },
+  { emoji: '🤩', category: 'smileys', keywords: ['starstruck', 'wow', 'star-struck'], localized: { fr: ['ébloui', 'waouh', 'étoiles', 'visage avec des étoiles à la place des yeux', 'étoile', 'étoiles dans les yeux', 'grand sourire', 'heureux', 'pressé', 'surexcité', 'tête avec étoiles', 'visage', 'wow', 'yeux'], ar: ['منبهر', 'واو', 'نجوم', 'وجه بعينين على شكل نجمة', 'أعين', 'بسمة', 'عينان', 'عيون', 'فرح', 'فرحان', 'قهقه', 'مبسوط', 'منفعل', 'نجمة', 'ههه', 'وجه'] } },
+  { emoji: '😘', category: 'smileys', keywords: ['kissing', 'heart', 'smooth', 'face blowing a kiss'], localized: { fr: ['bisou', 'cœur', 'baiser', 'visage envoyant un bisou', 'amour', 'bise', 'bisou et cœur', 'bonjour', 'bonne nuit', 'embrasser', 'émoticône', 'je t’aime', 'visage qui fait une bise avec un cœur'], ar: ['قبلة', 'قلب', 'بوسة', 'وجه يرسل قبلة', 'اشتقت لك', 'حب', 'رومانس', 'رومانسي', 'رومنسي', 'طرح قبلات', 'غرام', 'قبل', 'ليل', 'وجه', 'وجه يطرح قبلات', 'وحشني'] } },
+  { emoji: '😗', category: 'smileys', keywords: ['kissing', 'kissing face'], localized: { fr: ['bisou', 'baiser', 'visage faisant un bisou', 'amour', 'bise', 'embrasser', 'émoticône', 'je t’aime', 'petit bisou', 'visage qui fait une bise'], ar: ['قبلة', 'بوسة', 'وجه يقبّل', 'أحبك', 'بحبك', 'تقبيل', 'حب', 'موعد', 'وجه', 'وجه يبعث قبلة'] } },
+  { emoji: '☺️', category: 'smileys', keywords: ['smile', 'blush', 'sweet', 'smiling face'], localized: { fr: ['sourire', 'rougir', 'mignon', 'visage souriant', 'content', 'décontracté', 'détendu', 'émoticône', 'heureux', 'visage souriant avec les yeux fermés'], ar: ['ابتسامة', 'خجل', 'لطيف', 'وجه مبتسم', 'بسمة', 'فرح', 'مبسوط', 'وجه', 'وجه مبتسم مفرغ'] } },
+  { emoji: '😚', category: 'smileys', keywords: ['kissing', 'closed eyes', 'kissing face with closed eyes'], localized: { fr: ['bisou', 'yeux fermés', 'visage faisant un bisou avec les yeux fermés', 'baiser', 'bise', 'bisou les yeux fermés', 'embrasser', 'émoticône', 'rougir', 'visage qui fait une bise avec les yeux fermés', 'visage rougissant'], ar: ['قبلة', 'عيون مغلقة', 'وجه يقبّل بعينين مغلقتين', 'أعين مغلقة', 'بوسة', 'تقبيل بأعين مغلقة', 'قبلة مع أعين مغلقة', 'متورد', 'مسكر', 'مغلق', 'مورد', 'موعد', 'وجه', 'وجه يقبّل بعينين باسمتين'] } },
+  { emoji: '😙', category: 'smileys', keywords: ['kissing', 'smile', 'kissing face with smiling eyes'], localized: { fr: ['bisou', 'sourire', 'visage aux yeux rieurs faisant un bisou', 'amour', 'baiser', 'bise', 'embrasser', 'émoticône', 'gros bisou', 'je t’aime', 'visage aux yeux souriants qui fait une bise', 'yeux fermés'], ar: ['قبلة', 'ابتسامة', 'وجه يقبّل بعينين باسمتين', 'أعين مبتسمة', 'بوسة', 'تقبيل', 'حب', 'قبلة وابتسامة', 'وجه', 'وجه تقبيل وابتسامة', 'وجه يقبل وعينان مبتسمتان'] } },
+  { emoji: '🥲', category: 'smileys', keywords: ['smiling face with tear'], localized: { fr: ['visage souriant avec une larme', 'ému', 'fier', 'heureux', 'larme', 'reconnaissant', 'smiley', 'soulagé', 'souriant', 'touché'], ar: ['وجه مبتسم مع دمعة', 'امتنان', 'دمع', 'دموع الفرح', 'فخور', 'مبتسم', 'متأثر', 'مرتاح', 'وجه'] } },
+  { emoji: '😋', category: 'smileys', keywords: ['yum', 'delicious', 'tongue', 'face savoring food'], localized: { fr: ['miam', 'délicieux', 'langue', 'bon', 'content', 'émoticône', 'faim', 'heureux', 'manger', 'savourer', 'sourire', 'visage souriant qui tire la langue'], ar: ['لذيذ', 'طعم', 'لسان', 'وجه يتلذذ بالطعام', 'أكل', 'جائع', 'جوعان', 'ذاكي', 'ذكي', 'طعام', 'طيب', 'وجه', 'وجه يستحسن الطعم', 'وجه يستمتع بالطعم', 'يستلذ'] } },
+  { emoji: '😛', category: 'smileys', keywords: ['tongue', 'playful', 'face with tongue'], localized: { fr: ['langue', 'joueur', 'visage qui tire la langue', 'cool', 'émoticône', 'génial', 'super', 'visage'], ar: ['لسان', 'مرح', 'وجه بلسان متدلٍ', 'احتفال', 'حفلة', 'عظيم', 'كول', 'لسان بارز', 'لسان متدلٍ', 'لسان ممدود', 'وجه'] } },
+  { emoji: '😜', category: 'smileys', keywords: ['wink', 'tongue', 'crazy', 'winking face with tongue'], localized: { fr: ['clin d\'œil', 'langue', 'fou', 'visage qui tire la langue et fait un clin d’œil', 'amusant', 'blague', 'clin d’œil', 'émoticône', 'loufoque', 'marrant', 'œil', 'rigolo', 'visage'], ar: ['غمزة', 'لسان', 'مجنون', 'وجه بلسان متدلٍ وعين غامزة', 'بضحك', 'عين', 'غريب', 'لسان بارز وعين غامزة', 'لسان متدلي مع غمزة', 'لسان ممدود', 'مجرد تشويق', 'مزحة', 'مضحك', 'نكتة', 'وجه', 'وجه بلسان بارز وعين غامزة', 'يضحك'] } },
+  { emoji: '🤪', category: 'smileys', keywords: ['zany', 'crazy', 'goofy', 'zany face'], localized: { fr: ['loufoque', 'fou', 'farfelu', 'tête de fou', 'grand', 'large', 'oeil', 'œil', 'petit', 'tête folle', 'yeux', 'yeux fous'], ar: ['مجنون', 'أحمق', 'مهرج', 'وجه غريب الشكل', 'أخوت', 'صغير', 'عين', 'عيون', 'عيون مجنونة', 'غريب الأطوار', 'وجه', 'وجه غريب'] } },
+  { emoji: '😝', category: 'smileys', keywords: ['tongue', 'closed eyes', 'squint', 'squinting face with tongue'], localized: { fr: ['langue', 'yeux fermés', 'grimace', 'visage qui tire la langue les yeux plissés', 'dégoûtant', 'émoticône', 'goût', 'horrible', 'œil', 'omd', 'on ne vit qu’une fois', 'peu importe', 'visage qui tire la langue et ferme les yeux'], ar: ['لسان', 'عيون مغلقة', 'تكشيرة', 'وجه بعينين مغلقتين ولسان متدلٍ', 'أعين مغلقة', 'عين', 'عيون', 'غير معقول', 'لا يصدق', 'لسان متدلٍ وأعين مغلقة', 'لسان متدلي وأعين مغلقة', 'لسان ممدود', 'مش معقول', 'مقرف', 'مقزز', 'نكهة', 'وجه', 'وجه بعينين محدقتين ولسان بارز', 'يا إلهي', 'يا الله'] } },
+  { emoji: '🤑', category: 'smileys', keywords: ['money', 'rich', 'dollar', 'money-mouth face'], localized: { fr: ['argent', 'riche', 'dollar', 'argent dans les yeux et la bouche', 'bouche', 'dollars', 'émoticône', 'yeux'], ar: ['مال', 'غني', 'دولار', 'وجه بلسان من مال', 'بؤ', 'تم', 'ثروة', 'ثري', 'دفع', 'فلوس', 'فم', 'فم يملؤه المال', 'قروش', 'مصاري', 'وجه'] } },
+  { emoji: '🤗', category: 'smileys', keywords: ['hugging', 'warmth', 'jazz hands', 'smiling face with open hands'], localized: { fr: ['câlin', 'chaleur', 'accolade', 'visage qui fait un câlin', 'émoticône', 'gentil', 'mains', 'visage'], ar: ['عناق', 'دفء', 'حضن', 'وجه يعانق بابتسامة', 'ابتسامة', 'سعيد', 'عبوطة', 'غمرة', 'مبسوط', 'وجه', 'وجه بابتسامة عناق', 'يد'] } },
+  { emoji: '🤭', category: 'smileys', keywords: ['giggle', 'hand over mouth', 'oops', 'face with hand over mouth'], localized: { fr: ['glousser', 'main sur la bouche', 'oups', 'visage avec une main sur la bouche', 'malin', 'oops', 'rigole', 'secret', 'surprise', 'visage avec main devant la bouche'], ar: ['ضحكة مكتومة', 'يد على الفم', 'عفوا', 'وجه ضاحك مع يد تغطّي الفم', 'أوبس', 'تقهقه', 'سر', 'قهقهة', 'لاحظت', 'مفاجأة', 'ههه', 'وجه', 'وجه عليه يد'] } },
+  { emoji: '🫢', category: 'smileys', keywords: ['open mouth', 'amazed', 'shock', 'face with open eyes and hand over mouth'], localized: { fr: ['bouche ouverte', 'stupéfait', 'choc', 'visage avec yeux ouverts et main sur la bouche', 'choqué', 'embarrassé', 'étonné', 'gêné', 'impressionné', 'surpris'], ar: ['فم مفتوح', 'مندهش', 'صدمة', 'وجه بعينين مفتوحتين ويد تغطّي الفم', 'إحراج', 'حيرة', 'خوف', 'دهشة', 'ذهول', 'عدم تصديق', 'مفاجأة', 'يا إلهي'] } },
+  { emoji: '🫣', category: 'smileys', keywords: ['peeking', 'hiding', 'eye', 'face with peeking eye'], localized: { fr: ['regarder', 'cacher', 'œil', 'visage qui regarde entre ses doigts', 'captivé', 'effrayé', 'fasciné', 'jeter un coup d’œil', 'regarder fixement', 'se cacher', 'timide'], ar: ['اختلاس النظر', 'اختباء', 'عين', 'وجه يختلس النظر', 'تحديق', 'مفتون'] } },
+  { emoji: '🤫', category: 'smileys', keywords: ['shushing', 'quiet', 'secret', 'shushing face'], localized: { fr: ['chut', 'silence', 'secret', 'visage avec un doigt sur la bouche', 'pas un bruit', 'tête qui dit chut'], ar: ['صه', 'هدوء', 'سر', 'وجه يطلب الصمت', 'اخرس', 'اصمت', 'اهدأ', 'سكون', 'ششش', 'صمت', 'وجه'] } },
+  { emoji: '🤔', category: 'smileys', keywords: ['thinking', 'curious', 'ponder', 'thinking face'], localized: { fr: ['réfléchir', 'curieux', 'penser', 'visage en pleine réflexion', 'émoticône', 'hum', 'méditer', 'réflexion', 'visage'], ar: ['تفكير', 'فضول', 'تأمل', 'وجه يفكر', 'أفكر', 'وجه', 'يفكر'] } },
+  { emoji: '🫡', category: 'smileys', keywords: ['saluting', 'respect', 'yes sir', 'saluting face'], localized: { fr: ['salut militaire', 'respect', 'oui chef', 'visage qui fait un salut militaire', 'armée', 'bonne chance', 'compris', 'ok', 'oui', 'salut'], ar: ['تحية', 'احترام', 'حاضر', 'وجه يلقي التحيّة', 'تحيّة', 'حسنًا', 'عسكر', 'مشمس', 'نعم', 'نعم سيدتي', 'نعم سيدي'] } },
+  { emoji: '🤐', category: 'smileys', keywords: ['zipper', 'quiet', 'sealed', 'zipper-mouth face'], localized: { fr: ['fermeture éclair', 'silence', 'bouche cousue', 'visage avec bouche fermeture éclair', 'bouche', 'émoticône', 'motus', 'se taire', 'secret', 'visage', 'visage avec bouche cousue'], ar: ['سحاب', 'صمت', 'فم مغلق', 'وجه بفم مقفل', 'بؤ', 'تم', 'سر', 'سكر تم', 'سوستة', 'فم', 'قفل', 'كتمان', 'لن أتكلم', 'مكتوم', 'وجه', 'وجه بفم سوستة'] } },
+  { emoji: '🤨', category: 'smileys', keywords: ['raised eyebrow', 'skeptical', 'suspicious', 'face with raised eyebrow'], localized: { fr: ['sourcil levé', 'sceptique', 'méfiant', 'visage avec les sourcils relevés', 'euh', 'hein', 'incrédule', 'pas vrai', 'quoi', 'surprise', 'tête avec sourcil levé'], ar: ['حاجب مرفوع', 'متشكك', 'مريب', 'وجه بحاجب مرفوع', 'شاكك', 'غير راض', 'غير موافق', 'كولبير', 'لا يعجبني', 'متفاجئ', 'مشكك', 'هممم', 'وجه', 'وجه بحاجب مرتفع', 'يشك'] } },
+  { emoji: '😐', category: 'smileys', keywords: ['neutral', 'poker face', 'neutral face'], localized: { fr: ['neutre', 'impassible', 'visage neutre', 'émoticône', 'gêné', 'ni chaud ni froid', 'pas drôle', 'peu importe', 'rester de marbre', 'sans commentaires', 'sans rire', 'visage sans expression'], ar: ['محايد', 'بلا تعبير', 'وجه محايد', 'جمود', 'حياد', 'حيادية', 'غيران', 'غيور', 'لا تعليق', 'لا يضحك', 'ما بضحك', 'من دون تعبير', 'من دون تعليق', 'وجه'] } },
+  { emoji: '😑', category: 'smileys', keywords: ['expressionless', 'meh', 'blank', 'expressionless face'], localized: { fr: ['inexpressif', 'bof', 'vide', 'visage sans expression', 'émoticône', 'mécontent', 'neutre', 'peu importe', 'sans expression', 'visage'], ar: ['جامد', 'ممل', 'فارغ', 'وجه بدون تعبير', 'تعبير', 'غريب', 'غير مبسوط', 'غير معقول', 'غيران', 'غيور', 'لا أصدق', 'لا تعليق', 'ما هذا', 'من دون أي تعبير', 'ميت', 'وجه'] } },
+  { emoji: '😶', category: 'smileys', keywords: ['no mouth', 'silent', 'face without mouth'], localized: { fr: ['sans bouche', 'silencieux', 'visage sans bouche', 'émoticône', 'muet', 'ne rien dire', 'neutre', 'sans commentaires', 'sans expression', 'sans voix', 'se taire', 'secret', 'silence', 'sourdine'], ar: ['بلا فم', 'صامت', 'وجه بدون فم', 'بؤ', 'بدون فم', 'تم', 'سر', 'سكون', 'صمت', 'فم', 'لا أستطيع التعبير', 'لا أصدق', 'مكتوم', 'وجه'] } },
+  { emoji: '🫥', category: 'smileys', keywords: ['dotted line', 'invisible', 'disappearing', 'dotted line face'], localized: { fr: ['pointillés', 'invisible', 'disparaître', 'visage en pointillés', 'déprimé', 'introverti', 'se cacher'], ar: ['منقط', 'خفي', 'اختفاء', 'وجه محدّد بنقاط', 'أيًا كان', 'خفيّ', 'غير مرئي', 'مكتئب', 'منطوي', 'منعزل', 'يختفي'] } },
+  { emoji: '😶‍🌫️', category: 'smileys', keywords: ['face in clouds', 'absent-minded', 'fog'], localized: { fr: ['dans les nuages', 'distrait', 'brouillard', 'visage dans les nuages', 'visage dans le brouillard'], ar: ['في الغيوم', 'شارد', 'ضباب', 'وجه في الغيوم', 'رأس في الغيوم', 'شارد الذهن', 'وجه في الضباب'] } },
+  { emoji: '😏', category: 'smileys', keywords: ['smirk', 'cool', 'flirt', 'smirking face'], localized: { fr: ['sourire narquois', 'cool', 'séducteur', 'visage avec un sourire malin', 'arrogant', 'charmeur', 'émoticône', 'malin', 'ricaner', 'rusé', 'sourire', 'sourire suffisant', 'suspicieux', 'visage avec un sourire suffisant'], ar: ['ابتسامة ماكرة', 'رائع', 'مغازل', 'وجه بابتسامة متكلفة', 'ابتسامة متكلفة', 'تكلف', 'حاجب', 'حواجب', 'خبث', 'خبيث', 'ريس', 'زعيم', 'غمزة', 'ماكر', 'مدير', 'مزح', 'مكر', 'وجه متكلف'] } },
+  { emoji: '😒', category: 'smileys', keywords: ['unamused', 'side eye', 'unamused face'], localized: { fr: ['blasé', 'regard en coin', 'visage blasé', 'bizarre', 'émoticône', 'énervé', 'fâché', 'jaloux', 'pas content', 'peu importe', 'visage', 'visage qui s’ennuie'], ar: ['ممتعض', 'نظرة جانبية', 'وجه غير مستمتع', 'تعيس', 'غضبان', 'غير سعيد', 'غير مستمتع', 'غيران', 'غيور', 'ملل', 'ممل', 'وجه'] } },
+  { emoji: '🙄', category: 'smileys', keywords: ['rolling eyes', 'judging', 'face with rolling eyes'], localized: { fr: ['yeux au ciel', 'juger', 'visage roulant des yeux', 'agacé', 'émoticône', 'excédé', 'incrédulité', 'roulement', 'visage qui lève les yeux au ciel', 'visage qui roule des yeux', 'yeux'], ar: ['تدوير العيون', 'حكم', 'وجه بعينين تدوران', 'أعين', 'أف', 'أوف', 'المشاعر والوجوه بالعينين الدوارة', 'طوافة', 'عين', 'عينان', 'عيون', 'وجه', 'وجه بأعين دوارة', 'يووه'] } },
+  { emoji: '😬', category: 'smileys', keywords: ['grimace', 'awkward', 'teeth', 'grimacing face'], localized: { fr: ['grimace', 'gêné', 'dents', 'visage grimaçant', 'émoticône', 'rien', 'sourire', 'visage'], ar: ['تكشيرة', 'محرج', 'أسنان', 'وجه متجهم', 'ابتسامة', 'بسمة', 'حركات', 'طبيبي أسنان', 'عبوس', 'لا شيء', 'وجه', 'يبتسم'] } },
+  { emoji: '😮‍💨', category: 'smileys', keywords: ['face exhaling', 'relief', 'tired'], localized: { fr: ['souffler', 'soulagement', 'fatigué', 'visage expirant', 'chuchoter', 'découragé', 'déçu', 'expiration', 'exténué', 'siffler', 'soupir', 'sursaut'], ar: ['زفير', 'ارتياح', 'متعب', 'وجه يزفر الهواء', 'إحباط', 'راحة', 'سعال', 'صفير', 'عابس', 'محبط', 'مرهق', 'معاناة', 'همس', 'وجه', 'يتلهث', 'يلهث'] } },
+  { emoji: '🤥', category: 'smileys', keywords: ['lying', 'pinocchio', 'long nose', 'lying face'], localized: { fr: ['mentir', 'pinocchio', 'long nez', 'visage de menteur', 'émoticône', 'mensonge', 'menteur', 'visage', 'visage dont le nez s’allonge'], ar: ['كذب', 'بينوكيو', 'أنف طويل', 'وجه كاذب', 'كاذب', 'كذاب', 'وجه'] } },
+  { emoji: '🫨', category: 'smileys', keywords: ['shaking face'], localized: { fr: ['visage secoué', 'choc', 'étourdi', 'fou', 'omg', 'ouah', 'panique', 'secoué', 'surprenant', 'tremblement', 'tremblement de terre', 'vibration'], ar: ['وجه يهتز', 'اندهاش', 'اهتزاز', 'ذعر', 'ذهول', 'زلزال', 'صدمة', 'هزة أرضية', 'يا إلهي', 'يرتجف', 'يرتعد', 'يهتز'] } },
+  { emoji: '🙂‍↔️', category: 'smileys', keywords: ['head shaking horizontally'], localized: { fr: ['tête secouée horizontalement', 'non', 'secouer'], ar: ['رأس يهتز أفقياً', 'لا، رفض'] } },
+  { emoji: '🙂‍↕️', category: 'smileys', keywords: ['head shaking vertically'], localized: { fr: ['tête secouée verticalement', 'hochement de tête', 'oui'], ar: ['رأس يهتز عمودياً', 'موافقة، نعم'] } },
+  { emoji: '😌', category: 'smileys', keywords: ['relieved', 'peaceful', 'relieved face'], localized: { fr: ['soulagé', 'paisible', 'visage soulagé', 'calme', 'émoticône', 'sérénité', 'soulagement', 'visage', 'zen'], ar: ['مرتاح', 'هادئ', 'وجه مرتاح', 'خي', 'راحة', 'سكينة', 'سلام', 'طمأنينة', 'مطمئن', 'وجه'] } },
+  { emoji: '😔', category: 'smileys', keywords: ['pensive', 'sad', 'down', 'pensive face'], localized: { fr: ['pensif', 'triste', 'déprimé', 'visage pensif', 'abattu', 'déçu', 'émoticône', 'horrible', 'mort', 'perdu', 'visage'], ar: ['متأمل', 'حزين', 'مكتئب', 'وجه متأمل', 'تأمل', 'تعاسة', 'تعيس', 'حزن', 'خائب', 'خاب أملي', 'خسارة', 'خسران', 'مخيب', 'موت', 'وجه', 'وفاة'] } },
+  { emoji: '😪', category: 'smileys', keywords: ['sleepy', 'drool', 'tired', 'sleepy face'], localized: { fr: ['somnolent', 'baver', 'fatigué', 'visage endormi', 'émoticône', 'larme', 'pleurer', 'sommeil', 'triste', 'visage'], ar: ['نعسان', 'لعاب', 'متعب', 'وجه ناعس', 'أبكي', 'بكاء', 'بكي', 'تبكي', 'تعبان', 'حزين', 'دمعة', 'دموع', 'ناعس', 'نعس', 'وجه', 'يبكي'] } },
+  { emoji: '🤤', category: 'smileys', keywords: ['drooling', 'delicious', 'drooling face'], localized: { fr: ['baver', 'délicieux', 'visage qui bave', 'émoticône', 'mmh', 'visage'], ar: ['سيلان اللعاب', 'لذيذ', 'وجه بلعاب سائل', 'بزق', 'شهي', 'لعاب', 'مشهي', 'وجه'] } },
+  { emoji: '😴', category: 'smileys', keywords: ['sleeping', 'zzz', 'sleeping face'], localized: { fr: ['dormir', 'zzz', 'sommeil', 'visage somnolent', 'bonne nuit', 'coucher', 'émoticône', 'endormi', 'fatigué', 'sieste', 'visage'], ar: ['نوم', 'نائم', 'شخير', 'وجه نائم', 'المشاعر ووجوه النوم والنعاس', 'تثاؤب', 'تعبان', 'تعسيلة', 'قيلولة', 'مرهق', 'نايم', 'نعسان', 'وجه', 'وقت النوم'] } },
+  { emoji: '🫩', category: 'smileys', keywords: ['face with bags under eyes'], localized: { fr: ['visage avec des valises sous les yeux', 'ensommeilé', 'épuisé', 'fatigué', 'sommeil'], ar: ['وجه بانتفاخ تحت العين', 'متعب', 'مرهق', 'نعاس'] } },
+  { emoji: '😷', category: 'smileys', keywords: ['mask', 'sick', 'doctor', 'face with medical mask'], localized: { fr: ['masque', 'malade', 'médecin', 'visage avec masque', 'bactéries', 'dentiste', 'docteur', 'émoticône', 'germes', 'masque chirurgical', 'rhume'], ar: ['كمامة', 'مريض', 'طبيب', 'وجه بكمامة', 'انفلونزا', 'برد', 'بكتيريا', 'جراثيم', 'جرثومة', 'حكيم', 'زكام', 'طبيب أسنان', 'كمامة طبية', 'متوعك صحيًا', 'وجه'] } },
+  { emoji: '🤒', category: 'smileys', keywords: ['thermometer', 'hot', 'febrile', 'face with thermometer'], localized: { fr: ['thermomètre', 'chaud', 'fièvre', 'visage avec thermomètre', 'indisposé', 'malade', 'visage'], ar: ['ميزان حرارة', 'حار', 'حمى', 'وجه مع ميزان للحرارة', 'ترمومتر', 'تعبان', 'حرارة', 'ساخن', 'مريض', 'وجه', 'وجه بترمومتر'] } },
+  { emoji: '🤕', category: 'smileys', keywords: ['bandage', 'hurt', 'head injury', 'face with head-bandage'], localized: { fr: ['bandage', 'blessé', 'tête', 'visage avec bandage autour de la tête', 'aïe', 'blessure', 'bobo', 'émoticône', 'pansement', 'tête avec un bandage', 'visage'], ar: ['ضمادة', 'مصاب', 'رأس', 'وجه بعصابة رأس', 'ألم', 'إصابة', 'جرح', 'عصابة', 'مضمد', 'معصوب', 'وجه', 'وجه بعصابة على الرأس'] } },
+  { emoji: '🤢', category: 'smileys', keywords: ['nauseated', 'sick', 'green', 'nauseated face'], localized: { fr: ['nausée', 'malade', 'vert', 'visage nauséeux', 'dégoûtant', 'écœuré', 'émoticône', 'visage', 'visage vert qui a la nausée', 'vomir'], ar: ['غثيان', 'مريض', 'أخضر', 'وجه مشمئز', 'استفراغ', 'استفرغ', 'اشمئزاز', 'تقيأ', 'تقيؤ', 'حومة كبد', 'قرف', 'مصاب بغثيان', 'وجه', 'وجه متقزز', 'وع'] } },
+  { emoji: '🤮', category: 'smileys', keywords: ['vomiting', 'puking', 'gross', 'face vomiting'], localized: { fr: ['vomir', 'dégoûtant', 'beurk', 'visage qui vomit', 'gerbe', 'gerber', 'malade', 'tête qui vomit', 'vomi', 'vomissure'], ar: ['تقيؤ', 'مقرف', 'قيء', 'وجه يتقيّأ', 'استفراغ', 'مريض', 'وجه', 'يتقيأ', 'يتقياً', 'يستفرغ'] } },
+  { emoji: '🤧', category: 'smileys', keywords: ['sneezing', 'allergy', 'tissue', 'sneezing face'], localized: { fr: ['éternuer', 'allergie', 'mouchoir', 'visage qui éternue', 'à tes souhaits', 'atchoum', 'émoticône', 'éternuement', 'fièvre', 'grippe', 'malade', 'rhume', 'se moucher'], ar: ['عطس', 'حساسية', 'منديل', 'وجه يعطس', 'انفلونزا', 'حرارة', 'حمة', 'زكام', 'زكمة', 'ساخن', 'صحة', 'مريض', 'وجه', 'يرحمك الله', 'يرحمكم الله'] } },
+  { emoji: '🥵', category: 'smileys', keywords: ['hot', 'overheated', 'sun', 'hot face'], localized: { fr: ['chaud', 'canicule', 'soleil', 'visage rouge et chaud', 'chaleur', 'coup de chaleur', 'coup de chaud', 'fièvre', 'sue', 'suer', 'toute rouge', 'transpiration', 'trop chaud', 'visage tout rouge'], ar: ['حار', 'حرارة', 'شمس', 'وجه حار', 'حرارة مرتفعة', 'حمى', 'سخن', 'ضربات القلب', 'ضربة شمس', 'عيان', 'لسان', 'محرور', 'محموم', 'مريض', 'مصاب بالحمى', 'مولع', 'نار', 'وجه', 'وجه أحمر', 'وش', 'يطلع لسانه', 'يعرق', 'يموت'] } },
+  { emoji: '🥶', category: 'smileys', keywords: ['cold', 'frozen', 'blue', 'cold face'], localized: { fr: ['froid', 'gelé', 'bleu', 'visage bleu et froid', 'ça caille', 'gel', 'gelure', 'glacé', 'glacial', 'glaçon', 'visage bleu'], ar: ['برد', 'متجمد', 'أزرق', 'وجه بارد', 'بارد', 'تثليج', 'تحت الصفر', 'دون الصفر', 'رقاقات الثلج', 'عضة الصقيع', 'كتلة ثلج', 'مِتكتك', 'مجلد', 'وجه', 'وجه باللون الأزرق', 'وِش أزرق', 'وِش مِزْرق', 'يتجمد', 'يشعر ببرودة'] } },
+  { emoji: '🥴', category: 'smileys', keywords: ['woozy', 'drunk', 'dizzy', 'woozy face'], localized: { fr: ['éméché', 'ivre', 'étourdi', 'visage éméché', 'bouche ondulée', 'bourré', 'bourrée', 'dans les vapes', 'hébété', 'pas clair', 'pompette', 'rond', 'saoul', 'souler', 'tête qui tourne'], ar: ['ثمل', 'سكران', 'دوار', 'وجه مصاب بدوار', 'دائخ', 'دايخ', 'دوخة', 'سكير', 'عينان غير متساويتين', 'غير متزن', 'فم متموج', 'مخمور', 'مدروخ', 'مسمم', 'مصاب بدوار', 'مصطل'] } },
+  { emoji: '😵', category: 'smileys', keywords: ['dizzy', 'knocked out', 'dead', 'face with crossed-out eyes'], localized: { fr: ['étourdi', 'assommé', 'mort', 'visage étourdi', 'émoticône', 'fatigué', 'malade', 'tournis', 'visage', 'visage avec le tournis'], ar: ['دوخة', 'مغمى عليه', 'ميت', 'وجه دائخ', 'تعبان', 'دائخ', 'دايخ', 'دوار', 'مدودخ', 'مرهق', 'مريض', 'مصاب بالدوار', 'وجه', 'وجه مصاب بالدوار'] } },
+  { emoji: '😵‍💫', category: 'smileys', keywords: ['face with spiral eyes', 'hypnotized', 'confused'], localized: { fr: ['yeux en spirale', 'hypnotisé', 'confus', 'visage aux yeux en spirales', 'confusion', 'étourdi', 'hagard', 'malade', 'nausée', 'ouh la la', 'tête qui tourne'], ar: ['عيون حلزونية', 'منوم', 'مشوش', 'وجه بعينين دائختين', 'حلزون', 'حيرة', 'دائخ', 'دوامة', 'دوخة', 'عيون دائخة', 'لولبي', 'منوّم', 'وجه'] } },
+  { emoji: '🤯', category: 'smileys', keywords: ['exploding', 'mind blown', 'shock', 'exploding head'], localized: { fr: ['explosion', 'esprit soufflé', 'choc', 'tête qui explose', 'choqué', 'surpris', 'surprise', 'tête choquée'], ar: ['انفجار', 'مذهول', 'صدمة', 'وجه برأس منفجر', 'رأس ينفجر', 'لا مجال', 'لا يصدق', 'متفاجئ', 'مصدوم', 'وجه'] } },
+  { emoji: '🤠', category: 'smileys', keywords: ['cowboy', 'hat', 'wild west', 'cowboy hat face'], localized: { fr: ['cowboy', 'chapeau', 'far west', 'visage avec chapeau de cowboy', 'visage'], ar: ['راعي بقر', 'قبعة', 'الغرب', 'وجه بقبعة راعي بقر', 'برنيطة', 'كاوبوي', 'وجه'] } },
+  { emoji: '🥳', category: 'smileys', keywords: ['partying', 'celebration', 'party', 'partying face'], localized: { fr: ['fête', 'célébration', 'anniversaire', 'visage festif', 'chapeau pointu', 'émoticône', 'heureux', 'hourra', 'joyeux anniversaire', 'sifflet', 'visage de fête', 'youpi'], ar: ['حفلة', 'احتفال', 'عيد ميلاد', 'وجه محتفل', 'أحتفل', 'المشاعر والاحتفالات', 'بوق', 'طاقية', 'طرطور', 'فرح', 'قبعة', 'قرن', 'كاب', 'مبتهج', 'متحمس', 'نحتفل', 'وجه', 'يحتفل'] } },
+  { emoji: '🥸', category: 'smileys', keywords: ['disguise', 'mustache', 'glasses', 'disguised face'], localized: { fr: ['déguisement', 'moustache', 'lunettes', 'visage déguisé', 'espion', 'faux nez', 'grimer', 'incognito', 'postiche', 'smiley', 'sourcils ébouriffés'], ar: ['تنكر', 'شارب', 'نظارات', 'وجع مقنّع', 'أنف', 'خشن', 'رجولي', 'قناع', 'متخفٍ', 'متخفي', 'مقنّع', 'وجه'] } },
+  { emoji: '😎', category: 'smileys', keywords: ['cool', 'sunglasses', 'smiling face with sunglasses'], localized: { fr: ['cool', 'lunettes de soleil', 'visage avec lunettes de soleil', 'posé', 'tranquille'], ar: ['رائع', 'نظارة شمسية', 'وجه مبتسم بنظارة شمس', 'ابتسام', 'ابتسامة', 'ابتسامة مع نظارة شمس', 'استرخاء', 'بحر', 'بسمة', 'جذاب', 'ربح', 'رزة', 'شمس', 'عوينات', 'فلة', 'كول', 'نظارات', 'نظارة', 'وجه', 'يبتسم', 'يربح'] } },
+  { emoji: '🤓', category: 'smileys', keywords: ['nerd', 'geek', 'glasses', 'nerd face'], localized: { fr: ['intello', 'geek', 'lunettes', 'visage de geek', 'doué', 'futé', 'idiot', 'intelligent', 'personne', 'premier de la classe', 'ringard', 'surdoué', 'tronche'], ar: ['دحيح', 'مهووس', 'نظارات', 'وجه عبقري', 'خبير', 'دافور', 'ذكي', 'عبقري', 'ماهر', 'نابغ', 'وجه'] } },
+  { emoji: '🧐', category: 'smileys', keywords: ['monocle', 'inspect', 'curious', 'face with monocle'], localized: { fr: ['monocle', 'inspecter', 'curieux', 'visage avec un monocle', 'classe', 'collet monté', 'fortune', 'riche', 'tête avec monocle', 'vieux jeu'], ar: ['مونوكل', 'تفحص', 'فضولي', 'وجه مع نظارة لعين واحدة', 'باهظ', 'تحقيق', 'تدقيق', 'غني', 'كلاس', 'نظارة أحادية', 'وجه'] } },
+  { emoji: '😕', category: 'smileys', keywords: ['confused', 'puzzled', 'confused face'], localized: { fr: ['confus', 'perplexe', 'visage confus', 'désolé', 'émoticône', 'ennuyé', 'je ne sais pas', 'triste', 'visage'], ar: ['مرتبك', 'حائر', 'وجه حائر', 'آسف', 'أسف', 'حزين', 'حيران', 'حيرة', 'ضائع', 'ضايع', 'غير أكيد', 'غير متأكد', 'لا أدري', 'لا أعرف', 'ما بعرف', 'متحير', 'وجه'] } },
+  { emoji: '🫤', category: 'smileys', keywords: ['diagonal mouth', 'skeptical', 'unsure', 'face with diagonal mouth'], localized: { fr: ['bouche de travers', 'sceptique', 'incertain', 'visage avec bouche en diagonale', 'bof', 'confus', 'déçu', 'euh', 'frustration'], ar: ['فم مائل', 'متشكك', 'متردد', 'وجه بفم مائل', 'أيًا كان', 'خائب الأمل', 'خيبة أمل', 'شك', 'غير متأكّد', 'محبط', 'مرتبك'] } },
+  { emoji: '😟', category: 'smileys', keywords: ['worried', 'nervous', 'worried face'], localized: { fr: ['inquiet', 'nerveux', 'visage inquiet', 'anxieux', 'émoticône', 'préoccupé', 'stressé', 'surpris', 'triste', 'visage'], ar: ['قلق', 'متوتر', 'وجه قلق', 'حزين', 'ستريس', 'متفاجئ', 'منزعج', 'مهموم', 'وجه'] } },
+  { emoji: '🙁', category: 'smileys', keywords: ['frown', 'sad', 'slightly frowning face'], localized: { fr: ['froncer', 'triste', 'visage légèrement mécontent', 'émoticône', 'mécontent', 'visage'], ar: ['عبوس', 'حزين', 'وجه عابس قليلاً', 'زعلان', 'عابس', 'وجه'] } },
+  { emoji: '☹️', category: 'smileys', keywords: ['frown', 'unhappy', 'frowning face'], localized: { fr: ['froncer', 'malheureux', 'visage mécontent', 'émoticône', 'mécontent', 'triste', 'visage'], ar: ['عبوس', 'تعيس', 'وجه عابس', 'حزين', 'زعلان', 'عابس', 'وجه'] } },
+  { emoji: '😮', category: 'smileys', keywords: ['shock', 'surprised', 'open mouth', 'face with open mouth'], localized: { fr: ['choc', 'surpris', 'bouche ouverte', 'visage avec bouche ouverte', 'bouche bée', 'choqué', 'émoticône', 'épaté', 'incroyable', 'omd', 'oubli', 'visage avec la bouche ouverte', 'visage étonné'], ar: ['صدمة', 'متفاجئ', 'فم مفتوح', 'وجه بفم مفتوح', 'غير معقول', 'فم', 'لا أصدق', 'لا يصدق', 'مش معقول', 'مصدوم', 'مندهش', 'نسيت', 'واو', 'وجه'] } },
+  { emoji: '😯', category: 'smileys', keywords: ['hushed', 'quiet shock', 'hushed face'], localized: { fr: ['étouffé', 'surprise silencieuse', 'visage ébahi', 'émoticône', 'incroyable', 'omd', 'sans voix', 'stupéfait', 'stupeur', 'surpris', 'visage', 'visage à la bouche ouverte', 'visage sans voix'], ar: ['مكتوم', 'دهشة صامتة', 'وجه مخفوت الصوت', 'عجيب', 'غير معقول', 'لا أصدق', 'لا يصدق', 'متفاجئ', 'مدهوش', 'مذهول', 'مشدوه', 'مكتوم الصوت', 'وجه', 'يا إلهي'] } },
+  { emoji: '😲', category: 'smileys', keywords: ['astonished', 'amazed', 'astonished face'], localized: { fr: ['stupéfait', 'étonné', 'visage stupéfait', 'choc', 'choqué', 'émoticône', 'impossible', 'incroyable', 'omd', 'visage'], ar: ['مذهول', 'مندهش', 'وجه مندهش', 'غير معقول', 'لا أصدق', 'مش معقول', 'مصدوم', 'مندهش تمامًا', 'وجه', 'يا إلهي', 'يا ربي'] } },
+  { emoji: '😳', category: 'smileys', keywords: ['flushed', 'blush', 'surprised', 'flushed face'], localized: { fr: ['rouge', 'gêné', 'surpris', 'visage qui rougit', 'chaud', 'comment', 'ébahi', 'émoticône', 'étonné', 'impressionné', 'incrédule', 'incroyable', 'quoi'], ar: ['احمرار', 'محرج', 'متفاجئ', 'وجه متورد', 'حار', 'حرارة', 'خجلان', 'شوب', 'عطاك عمرو', 'غريب', 'غير معقول', 'لا أصدق', 'ما بصدق', 'متورد', 'متوفي', 'مصاب بدوار', 'ميت', 'وجه'] } },
+  { emoji: '🫪', category: 'smileys', keywords: ['distorted face'], localized: { fr: ['visage déformé', 'anxiété', 'bouffi', 'choc', 'gonflé', 'panique', 'surprise', 'vulnérabilité'], ar: ['وجه بأعين زائعة', 'توتر', 'ذعر', 'مأخوذ', 'مذهول', 'منتفخ', 'مندهش', 'واهن'] } },
+  { emoji: '🥺', category: 'smileys', keywords: ['pleading', 'pouty', 'sad', 'pleading face'], localized: { fr: ['suppliant', 'moue', 'triste', 'visage implorant', 'embarrassé', 'excuse', 'gros yeux', 'pardon', 'pitié', 's’il te plaît', 'supplication', 'supplie', 'yeux de chiens battus'], ar: ['متوسل', 'عبوس', 'حزين', 'وجه ملتمس', 'أعين كبيرة', 'استعطاف', 'تحديق', 'تذلل', 'توسل', 'رجاء', 'رحمة', 'عيون', 'عيون جاحظة', 'لم لا', 'ما المانع', 'مُحدِّق', 'محملق', 'وجه', 'يبرّق', 'يحملق', 'يرجو', 'يستعطف'] } },
+  { emoji: '🥹', category: 'smileys', keywords: ['face holding back tears', 'moved', 'emotional'], localized: { fr: ['retenir ses larmes', 'ému', 'émotion', 'visage retenant ses larmes', 'admiration', 'fierté', 'gratitude', 'larmes de joie', 'pleurs', 'triste'], ar: ['حبس الدموع', 'متأثر', 'عاطفي', 'وجه يحبس دموعه', 'امتنان', 'بكاء', 'حزين', 'دموع الفرحة', 'غاضب', 'فخور', 'مشاعر', 'مقاومة'] } },
+  { emoji: '😦', category: 'smileys', keywords: ['frowning with open mouth', 'shock', 'frowning face with open mouth'], localized: { fr: ['bouche bée', 'choc', 'visage mécontent avec bouche ouverte', 'bouche', 'déçu', 'effrayé', 'émoticône', 'ouverte', 'peur', 'pris au dépourvu', 'surpris', 'visage', 'visage déçu avec bouche ouverte'], ar: ['فاغر الفم', 'صدمة', 'وجه عابس بفم مفتوح', 'شو', 'عابس', 'عبوس', 'عبوس بفم مفتوح', 'فم', 'ماذا', 'متفاجئ', 'مخيف', 'مفاجئة', 'مفتوح', 'وجع عبوس بفم مفتوح', 'وجه'] } },
+  { emoji: '😧', category: 'smileys', keywords: ['anguished', 'scared', 'pain', 'anguished face'], localized: { fr: ['angoissé', 'effrayé', 'douleur', 'visage angoissé', 'angoisse', 'comment', 'émoticône', 'hein', 'mécontent', 'oubli', 'peur', 'quoi', 'stressé', 'surpris', 'terrifié'], ar: ['متألم', 'خائف', 'ألم', 'وجه مكروب', 'تألم', 'تعيس', 'متعب', 'متفاجئ', 'مخيف', 'مكروب', 'مهموم', 'نسيت', 'وجه'] } },
+  { emoji: '😨', category: 'smileys', keywords: ['fearful', 'scared', 'panic', 'fearful face'], localized: { fr: ['peur', 'effrayé', 'panique', 'visage effrayé', 'anxieux', 'apeuré', 'blême', 'émoticône', 'inquiet', 'terrifié', 'visage'], ar: ['خوف', 'خائف', 'ذعر', 'وجه خائف', 'مرعوب', 'مهموم', 'هم', 'وجه'] } },
+  { emoji: '😰', category: 'smileys', keywords: ['anxious with sweat', 'blue', 'panic', 'anxious face with sweat'], localized: { fr: ['anxieux', 'sueur', 'panique', 'visage anxieux avec goutte de sueur', 'aah', 'bleu', 'bouche bée', 'effrayé', 'émoticône', 'froid', 'mince', 'nerveux', 'peur bleue', 'sueurs froides', 'terrifié', 'visage en sueur bouche ouverte'], ar: ['قلق', 'عرق', 'ذعر', 'وجه بفم مفتوح وعرق بارد', 'أزرق', 'توتر', 'خائف', 'خوف', 'عرق بارد', 'فم مفتوح', 'فم مفتوح وعرق بارد', 'متوتر', 'مرعوب', 'مهموم', 'وجه', 'وجه أزرق يتصبب عرقًا باردًا'] } },
+  { emoji: '😥', category: 'smileys', keywords: ['sad but relieved', 'blue', 'tears', 'sad but relieved face'], localized: { fr: ['triste mais soulagé', 'larmes', 'visage triste mais soulagé', 'déçu', 'émoticône', 'ouf', 'pfiou', 'soulagé', 'sueur', 'triste', 'visage déçu mais soulagé'], ar: ['حزين لكن مرتاح', 'دموع', 'وجه خيبة أمل', 'احباط', 'حزين', 'خاب أملي', 'خي', 'خيبة أمل', 'عرق', 'عشعرة', 'عصوص ونقطة', 'عل قد', 'عنتفي', 'قلق', 'محبط', 'معرقل', 'معقد', 'وجه'] } },
+  { emoji: '😢', category: 'smileys', keywords: ['crying', 'sad', 'tears', 'crying face'], localized: { fr: ['pleurer', 'triste', 'larmes', 'visage qui pleure', 'émoticône', 'horrible', 'larme', 'malheureux'], ar: ['بكاء', 'حزين', 'دموع', 'وجه يبكي', 'اشتقت', 'اشتياق', 'تعيس', 'دمعة', 'شوق', 'مش مبسوط', 'وجه', 'وجه باك'] } },
+  { emoji: '😭', category: 'smileys', keywords: ['sobbing', 'sad', 'tears', 'crying', 'loudly crying face'], localized: { fr: ['sangloter', 'triste', 'larmes', 'pleurer', 'visage qui pleure à chaudes larmes', 'émoticône', 'larme', 'malheureux', 'pleurs', 'visage'], ar: ['نحيب', 'حزين', 'دموع', 'بكاء', 'وجه يبكي بكاءً مرتفعًا', 'تعيس', 'حزن', 'صراخ', 'وجه', 'يبكي'] } },
+  { emoji: '😱', category: 'smileys', keywords: ['scream', 'fear', 'shock', 'face screaming in fear'], localized: { fr: ['crier', 'peur', 'choc', 'visage qui hurle de peur', 'choqué', 'cri', 'effrayé', 'munch', 'omd', 'surpris', 'terreur', 'visage'], ar: ['صراخ', 'خوف', 'صدمة', 'وجه خائف يصرخ', 'خائف', 'خرعة', 'ذعر', 'صارخ', 'عويل', 'مرعوب', 'مصدوم', 'هلع', 'وجه', 'وجه يصرخ خوفًا', 'يصرخ', 'يصرخ خوفًا'] } },
+  { emoji: '😖', category: 'smileys', keywords: ['confounded', 'strained', 'confounded face'], localized: { fr: ['déconcerté', 'crispé', 'visage déconcerté', 'confus', 'émoticône', 'fâché', 'frustré', 'irrité', 'triste', 'visage', 'yeux fermés'], ar: ['مرتبك', 'متوتر', 'وجه مرتبك', 'تائه', 'حائر', 'ضائع', 'غاضب', 'غضبان', 'مجنون', 'محبط', 'محتار', 'مدبرس', 'وجه'] } },
+  { emoji: '😣', category: 'smileys', keywords: ['persevering', 'strained', 'closed eyes', 'persevering face'], localized: { fr: ['persévérer', 'crispé', 'yeux fermés', 'visage persévérant', 'concentré', 'émoticône', 'mal de tête', 'migraine', 'persévérant', 'visage'], ar: ['مثابرة', 'متوتر', 'عيون مغلقة', 'وجه جاد', 'ألم رأس', 'تركيز', 'ثابر', 'جدية', 'صداع', 'وجع رأس', 'وجه', 'يركز'] } },
+  { emoji: '😞', category: 'smileys', keywords: ['disappointed', 'sad', 'disappointed face'], localized: { fr: ['déçu', 'triste', 'visage déçu', 'abattu', 'affreux', 'découragé', 'émoticône', 'malheureux', 'tort', 'visage'], ar: ['خائب الأمل', 'حزين', 'وجه محبط', 'تعيس', 'خاب أملي', 'خاب الأمل', 'زعل', 'زعلان', 'فشل', 'محبط', 'مخيب', 'وجه'] } },
+  { emoji: '😓', category: 'smileys', keywords: ['downcast with sweat', 'sad', 'work', 'downcast face with sweat'], localized: { fr: ['abattu', 'sueur', 'travail', 'visage démoralisé avec goutte de sueur', 'émoticône', 'froide', 'mal de tête', 'migraine', 'mince', 'ouf', 'peur', 'triste', 'visage', 'visage et sueurs froides'], ar: ['محبط', 'عرق', 'عمل', 'وجه بعرق بارد', 'ألم رأس', 'برد', 'توتر', 'حزين', 'خائف', 'زمطت', 'صداع', 'متوتر', 'وجع رأس', 'وجه', 'وجه حزين متعرق', 'وجه عليه عرق بارد', 'وجه متعرق'] } },
+  { emoji: '😩', category: 'smileys', keywords: ['weary', 'tired', 'moan', 'weary face'], localized: { fr: ['las', 'fatigué', 'gémir', 'visage épuisé', 'échec', 'émoticône', 'épuisé', 'faim', 'mécontent', 'non', 'pleurer', 'sommeil', 'triste', 'visage', 'visage las'], ar: ['منهك', 'متعب', 'أنين', 'وجه مجهد', 'تعبان', 'تعيس', 'جائع', 'غضب', 'غضبان', 'مجهد', 'مرهق', 'نعس', 'نعسان', 'وجه', 'وجه ضجر'] } },
+  { emoji: '😫', category: 'smileys', keywords: ['tired', 'exhausted', 'tired face'], localized: { fr: ['fatigué', 'épuisé', 'visage fatigué', 'contrarié', 'émoticône', 'fatigue', 'mécontent', 'triste', 'visage'], ar: ['متعب', 'مرهق', 'وجه متعب', 'احساس', 'تعب', 'تعبان', 'حزين', 'عطس', 'مجهد', 'وجه'] } },
+  { emoji: '🥱', category: 'smileys', keywords: ['yawning', 'tired', 'bored', 'yawning face'], localized: { fr: ['bâiller', 'fatigué', 'ennuyé', 'visage bâillant', 'bâille', 'dormir', 'émoticône', 'ennui', 'fatigant', 'fatigue', 'sieste'], ar: ['تثاؤب', 'متعب', 'ملل', 'وجه متثائب', 'ضيق', 'غير متحمس', 'متململ', 'نعسان', 'وجه', 'يتثاءب'] } },
+  { emoji: '😤', category: 'smileys', keywords: ['triumph', 'angry', 'steam', 'face with steam from nose'], localized: { fr: ['triomphe', 'fâché', 'vapeur', 'visage avec fumée sortant des narines', 'colère', 'émoticône', 'énervé', 'mécontent', 'victoire', 'visage'], ar: ['انتصار', 'غاضب', 'بخار', 'وجه بأنف يصدر بخارًا', 'جنون', 'عصبي', 'غضب', 'فوز', 'مجنون', 'مش مبسوط', 'معصب', 'نصر', 'وجه'] } },
+  { emoji: '😡', category: 'smileys', keywords: ['pouting', 'angry', 'red', 'enraged face'], localized: { fr: ['bouder', 'fâché', 'rouge', 'visage boudeur', 'colère', 'émoticône', 'énervé', 'exaspéré', 'furieux', 'mécontent', 'rageur', 'rouge de colère', 'sourcils froncés'], ar: ['عبوس', 'غاضب', 'أحمر', 'وجه مشتاط غضبًا', 'جنون', 'غضب', 'غضبان', 'متجهم', 'متجهم الوجه', 'مجنون', 'مقطب', 'هائج', 'وجه', 'وجه مقطب ومتجهم'] } },
+  { emoji: '😠', category: 'smileys', keywords: ['angry', 'mad', 'angry face'], localized: { fr: ['fâché', 'en colère', 'visage en colère', 'colère', 'émoticône', 'exaspéré', 'frustré', 'mécontent', 'rageur', 'sourcils froncés'], ar: ['غاضب', 'زعلان', 'وجه غاضب', 'تلوم', 'جنون', 'غضب', 'غضبان', 'لائم', 'مجنون', 'معصب', 'ملامة', 'هائج', 'وجه', 'يلوم'] } },
+  { emoji: '🤬', category: 'smileys', keywords: ['cursing', 'censored', 'mad', 'face with symbols on mouth'], localized: { fr: ['jurer', 'censuré', 'furieux', 'visage avec des symboles dans la bouche', 'colère', 'gros mots', 'insulter', 'insultes', 'juron', 'tête avec des symboles sur la bouche'], ar: ['شتم', 'رقابة', 'هائج', 'وجه مع رموز على الفم', 'سب', 'سباب', 'شتائم', 'عصبي', 'غاضب', 'غضب', 'غضبان', 'لعن', 'مسبات', 'وجه', 'وجه يسب', 'يشتم'] } },
+  { emoji: '😈', category: 'smileys', keywords: ['smiling face with horns', 'demon', 'devil'], localized: { fr: ['cornes', 'démon', 'diable', 'visage souriant avec des cornes', 'émoticône', 'fâché', 'fantastique', 'sourire', 'visage'], ar: ['قرون', 'شيطان', 'إبليس', 'وجه مبتسم بقرنين', 'ابتسام', 'ابتسامة وقرون', 'حدوتة', 'خرافة', 'عصبي', 'غاضب', 'غضبان', 'قصة', 'معصب', 'وجه'] } },
+  { emoji: '👿', category: 'smileys', keywords: ['pouting face with horns', 'demon', 'angry devil', 'angry face with horns'], localized: { fr: ['démon', 'diable en colère', 'visage en colère avec des cornes', 'diable', 'diablotin', 'émoticône', 'fantastique', 'malicieux', 'mauvais', 'visage'], ar: ['شيطان', 'شيطان غاضب', 'وجه غاضب بقرنين', 'إبليس', 'حدوتة', 'خرافة', 'شيطان صغير', 'عفريت', 'غضب', 'غضبان', 'قرون', 'قصة', 'وجه'] } },
+  { emoji: '💀', category: 'smileys', keywords: ['skull', 'dead', 'laughing'], localized: { fr: ['crâne', 'mort', 'rire', 'corps', 'dead', 'fantastique', 'je suis mort', 'squelette', 'tête de mort', 'visage', 'yolo'], ar: ['جمجمة', 'ميت', 'ضحك', 'جسم', 'حدوتة', 'خرافة', 'قصة', 'موت', 'وجه', 'وحش'] } },
+  { emoji: '☠️', category: 'smileys', keywords: ['skull and crossbones', 'danger', 'poison'], localized: { fr: ['tête de mort', 'danger', 'poison', 'crâne', 'mort', 'os', 'tête'], ar: ['جمجمة وعظمتان', 'خطر', 'سم', 'جمجمة بعظمتين متصالبتين', 'جسد', 'جمجمة', 'شبح', 'عظام', 'عظم', 'كروس', 'ميت', 'وفاة'] } },
+  { emoji: '💩', category: 'smileys', keywords: ['poop', 'crap', 'shit', 'pile of poo'], localized: { fr: ['caca', 'crotte', 'merde', 'tas de crotte', 'bande dessinée', 'bd', 'dessin', 'excrément', 'odeur', 'popo', 'puer', 'sentir mauvais', 'visage'], ar: ['براز', 'خراء', 'قذارة', 'فضلات', 'تفو', 'خيسه', 'رائحة', 'رائحة كريهة', 'روث', 'قرف', 'كريه', 'كومة فضلات', 'مقرف', 'وحش'] } },
+  { emoji: '🤡', category: 'smileys', keywords: ['clown', 'silly', 'creepy', 'clown face'], localized: { fr: ['clown', 'idiot', 'flippant', 'visage de clown', 'émoticône', 'maquillage', 'visage'], ar: ['مهرج', 'سخيف', 'مخيف', 'وجه مهرج', 'وجه'] } },
+  { emoji: '👹', category: 'smileys', keywords: ['ogre', 'monster', 'scary'], localized: { fr: ['ogre', 'monstre', 'effrayant', 'créature', 'fantastique', 'japonais', 'masque'], ar: ['غول', 'وحش', 'مخيف', 'إبليس', 'جني', 'حدوتة', 'خرافة', 'رعب', 'شيطان', 'قصة', 'قناع', 'وجه', 'ياباني'] } },
+  { emoji: '👺', category: 'smileys', keywords: ['goblin', 'mask', 'evil'], localized: { fr: ['gobelin', 'masque', 'maléfique', 'monstre japonais', 'colère', 'créature', 'fantastique', 'farfadet', 'japonais', 'méchant', 'monstre'], ar: ['عفريت', 'قناع', 'شرير', 'حدوتة', 'خرافة', 'غضب', 'قتاع', 'كائن', 'وجه', 'وحش', 'ياباني'] } },
+  { emoji: '👻', category: 'smileys', keywords: ['ghost', 'scary', 'spooky'], localized: { fr: ['fantôme', 'effrayant', 'hanté', 'blague', 'bouh', 'créature', 'fantastique', 'halloween', 'hanter', 'monstre', 'peur', 'visage', 'visage de fantôme'], ar: ['شبح', 'مخيف', 'مسكون', 'جني', 'حدوتة', 'خرافة', 'قصة', 'هلوين', 'وجه'] } },
+  { emoji: '👽', category: 'smileys', keywords: ['alien', 'ufo', 'space'], localized: { fr: ['extraterrestre', 'ovni', 'espace', 'alien', 'créature', 'émoticône', 'monstre', 'science-fiction', 'visage'], ar: ['كائن فضائي', 'صحن طائر', 'فضاء', 'إليان', 'حدوتة', 'خرافة', 'قصة', 'كائن غريب', 'مخلوق فضائي', 'وجه', 'يوفو'] } },
+  { emoji: '👾', category: 'smileys', keywords: ['invader', 'pixel alien', 'game', 'alien monster'], localized: { fr: ['envahisseur', 'alien pixel', 'jeu', 'monstre de l’espace', 'alien', 'créature', 'espace', 'extraterrestre', 'fantastique', 'jeu vidéo', 'monstre', 'ovni', 'pixels'], ar: ['غازي', 'فضائي بكسل', 'لعبة', 'وحش غريب', 'إليان', 'العاب الكترونية', 'العاب كمبيوتر', 'بيكسل', 'حدوتة', 'خرافة', 'قصة', 'كائن فضائي', 'لعبة كمبيوتر', 'وجه', 'وحش', 'يوفو'] } },
+  { emoji: '🤖', category: 'smileys', keywords: ['robot', 'bot', 'tech'], localized: { fr: ['robot', 'bot', 'technologie', 'androïde', 'automate', 'machine', 'monstre', 'visage', 'visage de robot'], ar: ['روبوت', 'آلي', 'تقنية', 'وجه روبوت', 'إنسان آلي', 'مسخ', 'وجه', 'وحش'] } },
+  { emoji: '😺', category: 'smileys', keywords: ['grinning cat'], localized: { fr: ['chat souriant', 'chat qui sourit', 'animal', 'bouche ouverte', 'chat', 'sourire', 'visage'], ar: ['قط مبتسم', 'وجه قطة مبتسم بفم مفتوح', 'ابتسام', 'ابتسامة قطة بفم مفتوح', 'بؤ', 'بسة', 'بسينة', 'بيسة', 'تم', 'حيوان', 'فم', 'قط', 'مفتوح', 'هر', 'وجه', 'وجه قطة'] } },
+  { emoji: '😸', category: 'smileys', keywords: ['grinning cat with smiling eyes'], localized: { fr: ['chat souriant', 'yeux rieurs', 'chat qui sourit avec des yeux rieurs', 'animal', 'chat', 'chat avec un grand sourire', 'sourire', 'visage', 'yeux souriants'], ar: ['قط مبتسم', 'عيون ضاحكة', 'وجه قطة مبتسم بعينين باسمتين', 'ابتسام', 'ابتسامة عريضة', 'ابتسامة قطة بأعين باسمة', 'بسينة', 'بيسة', 'حيوان', 'عين', 'عيون', 'قط', 'هر', 'هرة', 'وجه', 'وجه قطة', 'وجه قطة مبتسم وعيون مبتسمة'] } },
+  { emoji: '😹', category: 'smileys', keywords: ['cat with tears of joy'], localized: { fr: ['chat qui rit', 'larmes de joie', 'chat qui pleure de joie', 'animal', 'chat', 'chat qui rit aux larmes', 'joie', 'larmes', 'lol', 'mdr', 'pleurer de rire', 'rire', 'rire aux larmes'], ar: ['قط ضاحك', 'دموع الفرح', 'وجه قطة بدموع فرح', 'بسينة', 'بيسة', 'حيوان', 'دمعة', 'دموع', 'ضحك', 'فرح', 'قطة', 'مضحك', 'هر', 'ههه', 'وجه قطة'] } },
+  { emoji: '😻', category: 'smileys', keywords: ['smiling cat with heart-eyes'], localized: { fr: ['chat amoureux', 'yeux en cœur', 'amour', 'chat souriant aux yeux en cœurs', 'amoureux', 'chat', 'chat souriant avec des coeurs dans les yeux', 'cœur', 'coeurs', 'coeurs dans les yeux', 'sourire', 'yeux'], ar: ['قط عاشق', 'عيون قلوب', 'حب', 'وجه قطة مبتسم بعينين على شكل قلب', 'أعين', 'ابتسامة', 'ابتسامة قطة وأعين قلب', 'بسمة', 'بسين', 'حيوان', 'عينان', 'عيون', 'قط', 'قطة', 'قلوب', 'هر', 'هرة', 'وجه', 'وجه قطة مبتسم بعين على شكل قلب'] } },
+  { emoji: '😼', category: 'smileys', keywords: ['cat with wry smile'], localized: { fr: ['chat narquois', 'sourire en coin', 'chat avec sourire en coin', 'animal', 'chat', 'ironique', 'narquois', 'sourire narquois', 'tête de chat', 'visage'], ar: ['قط ساخر', 'ابتسامة ساخرة', 'وجه قطة بابتسامة ممتعضة', 'استهزاء', 'بسينة', 'بيسة', 'حيوان', 'ساخر', 'سخرية', 'قط', 'هر', 'وجه', 'وجه قطة', 'وجه قطة ساخر', 'يستهزئ'] } },
+  { emoji: '😽', category: 'smileys', keywords: ['kissing cat'], localized: { fr: ['chat qui embrasse', 'bisou', 'chat qui fait un bisou', 'animal', 'baiser', 'bise', 'chat', 'chat qui fait une bise avec les yeux fermés', 'embrasser', 'tête de chat'], ar: ['قط يقبل', 'قبلة', 'وجه قطة تقبّل', 'أعين مغلقة', 'بسينة', 'بوسة', 'بيسة', 'تقبيل', 'قط', 'قطة', 'هر', 'وجه'] } },
+  { emoji: '🙀', category: 'smileys', keywords: ['weary cat', 'shock'], localized: { fr: ['chat effrayé', 'choc', 'chat fatigué', 'animal', 'chat', 'fatigue', 'inquiet', 'oh', 'surpris', 'tête de chat avec la bouche ouverte', 'visage'], ar: ['قط مذعور', 'صدمة', 'وجه قطة مجهد', 'اندهاش شديد', 'بسينة', 'حيوان', 'رباه', 'قط', 'لا أصدق', 'ما بصدق', 'متعجب', 'هر', 'هرة', 'وجه قطة قلق', 'يا إلهي'] } },
+  { emoji: '😿', category: 'smileys', keywords: ['crying cat'], localized: { fr: ['chat qui pleure', 'animal', 'chat', 'larme', 'pleurer', 'tête de chat', 'triste', 'visage'], ar: ['قط يبكي', 'وجه قطة يبكي', 'أبكي', 'بسة', 'بسينة', 'بكاء', 'بكي', 'بيسة', 'تبكي', 'حزين', 'حيوان', 'دمعة', 'دموع', 'قط', 'هر', 'يبكي'] } },
+  { emoji: '😾', category: 'smileys', keywords: ['pouting cat', 'angry'], localized: { fr: ['chat boudeur', 'fâché', 'chat qui boude', 'animal', 'bouder', 'chat', 'chat en colère', 'colère', 'désaccord', 'ennui', 'tête de chat', 'visage'], ar: ['قط عابس', 'غاضب', 'وجه قطة عابس', 'بس', 'بسينة', 'بيسة', 'تكشير', 'حيوان', 'قط', 'مقطب', 'هر', 'هرة', 'وجه قطة', 'وجه قطة مقطب'] } },
+  { emoji: '🙈', category: 'smileys', keywords: ['see no evil', 'monkey', 'hiding', 'see no evil monkey', 'see-no-evil monkey'], localized: { fr: ['ne rien voir', 'singe', 'cacher', 'singe ne rien voir', 'animal', 'caché', 'effrayé', 'embarras', 'gêne', 'geste', 'interdit', 'ne pas voir', 'non', 'omd', 'oubli', 'peur', 'rien vu rien entendu', 'secret', 'visage', 'voir', 'yeux'], ar: ['لا أرى', 'قرد', 'اختباء', 'قرد يحجب عينيه', 'إشارة', 'ابعد عن الشر', 'تأشير', 'حجب العين', 'حيوان', 'خجل', 'دخيلك', 'سر', 'سعدان', 'شر', 'كلا', 'لا', 'لا يرى', 'مخيف', 'ممنوع', 'نسيان', 'يا الهي'] } },
+  { emoji: '🙉', category: 'smileys', keywords: ['hear no evil', 'monkey', 'quiet', 'hear no evil monkey', 'hear-no-evil monkey'], localized: { fr: ['ne rien entendre', 'singe', 'silence', 'singe ne rien entendre', 'animal', 'écouter', 'geste', 'interdit', 'ne pas entendre', 'non', 'oreilles', 'rien vu rien entendu', 'secret', 'sourd', 'visage'], ar: ['لا أسمع', 'قرد', 'هدوء', 'قرد يحجب أذنيه', 'إشارة', 'اذن', 'بدون اذن', 'تلميح', 'حجب الأذنين', 'حيوان', 'سر', 'سعدان', 'سماع', 'صوت منخفض', 'صوت واطي', 'كلا', 'لا', 'ممنوع', 'يدان على الاذن', 'يسمع'] } },
+  { emoji: '🙊', category: 'smileys', keywords: ['speak no evil', 'monkey', 'hush', 'speak no evil monkey', 'speak-no-evil monkey'], localized: { fr: ['ne rien dire', 'singe', 'chut', 'singe ne rien dire', 'animal', 'bouche cousue', 'geste', 'interdit', 'motus', 'muet', 'non', 'parler', 'se taire', 'secret', 'silence', 'visage'], ar: ['لا أتكلم', 'قرد', 'صه', 'قرد يحجب الكلام', 'إشارة', 'احفظ لسانك', 'اصمت', 'تأشير', 'تكلم', 'جرصة', 'حجب الكلام', 'حيوان', 'سعدان', 'شر', 'قرد يحجب كلامه', 'كلا', 'كلام', 'لا', 'لا تخبر احد', 'ممنوع'] } },
+  { emoji: '💌', category: 'smileys', keywords: ['love letter', 'mail', 'heart'], localized: { fr: ['lettre d\'amour', 'courrier', 'cœur', 'lettre d’amour', 'amour', 'lettre', 'saint-valentin'], ar: ['رسالة حب', 'بريد', 'قلب', 'خطاب حب', 'حب', 'خطاب', 'رسالة عليها قلب', 'رومانس', 'رومانسية', 'رومنس', 'عيد الحب', 'غرام'] } },
+  { emoji: '💘', category: 'smileys', keywords: ['heart with arrow', 'cupid', 'love'], localized: { fr: ['cœur fléché', 'cupidon', 'amour', 'cœur et flèche', 'cœur', 'coeur transpercé', 'flèche', 'sentiment'], ar: ['قلب بسهم', 'كيوبيد', 'حب', 'قلب وسهم', 'رومانس', 'رومنس', 'سهم', 'عشاق', 'غرام', 'فالنتاين', 'قلب', 'مشاعر'] } },
+  { emoji: '💝', category: 'smileys', keywords: ['heart with ribbon', 'gift', 'box'], localized: { fr: ['cœur avec ruban', 'cadeau', 'boîte', 'amour', 'anniversaire', 'cœur', 'ruban', 'saint-valentin', 'sentiment'], ar: ['قلب بشريط', 'هدية', 'علبة', 'قلب عليه شريط', '143', 'xoxo', 'احبك', 'بابيون', 'حب', 'رومنسية', 'شريطة', 'غرام', 'فالنتين', 'قلب', 'قلب عليه شريطة', 'مشاعر'] } },
+  { emoji: '💖', category: 'smileys', keywords: ['sparkling heart', 'glowing'], localized: { fr: ['cœur étincelant', 'brillant', 'amour', 'cœur', 'étincelles', 'sentiment'], ar: ['قلب لامع', 'متوهج', 'xoxo', 'إثارة', 'احبك', 'تصبح على خير', 'حب', 'حياتي', 'رمز', 'صباح', 'قبلات', 'مشاعر'] } },
+  { emoji: '💗', category: 'smileys', keywords: ['growing heart', 'pulse'], localized: { fr: ['cœur qui grandit', 'pouls', 'cœur grandissant', 'amour', 'cœur', 'cœur battant', 'cœur qui bat', 'pulsations', 'sentiment'], ar: ['قلب ينمو', 'نبض', 'xoxo', 'إثارة', 'اثارة', 'بحبك اكتر', 'تشويق', 'توتر', 'حب', 'قلب', 'قلبي عم بخبط', 'قلبي عم بنطنط', 'مشاعر', 'موتر', 'ينبض'] } },
+  { emoji: '💓', category: 'smileys', keywords: ['beating heart', 'pulse'], localized: { fr: ['cœur qui bat', 'pouls', 'cœur battant', 'amour', 'cardio', 'cœur', 'pulsations', 'sentiment'], ar: ['قلب ينبض', 'نبض', 'قلب يخفق', 'حب', 'خفقان', 'غرام', 'قلب', 'مشاعر'] } },
+  { emoji: '💞', category: 'smileys', keywords: ['revolving hearts'], localized: { fr: ['cœurs qui tournent', 'amour', 'anniversaire', 'cœurs', 'deux cœurs', 'sentiment', 'tourbillon'], ar: ['قلوب دوارة', 'قلوب تدور حول بعضها', 'جذاب', 'حب', 'قلب', 'قلب دوار', 'مثير', 'مشاعر'] } },
+  { emoji: '💕', category: 'smileys', keywords: ['two hearts', 'love'], localized: { fr: ['deux cœurs', 'amour', 'anniversaire', 'cœurs', 'deux cœurs roses', 'petits cœurs', 'rendez-vous', 'sentiment'], ar: ['قلبان', 'حب', '143', 'xoxo', 'أحبة', 'احبك', 'حياتي', 'رومنسية', 'سنوية', 'عطف', 'غرام', 'في الحب', 'مشاعر', 'مواعدة'] } },
+  { emoji: '💟', category: 'smileys', keywords: ['heart decoration'], localized: { fr: ['décoration cœur', 'décoration avec cœur', 'amour', 'cœur', 'cœur blanc', 'cœur décoré', 'cœur violet', 'sentiment'], ar: ['زخرفة قلب', 'بنفسجي', 'حنين', 'قلب', 'قلب أبيض', 'مشاعر'] } },
+  { emoji: '❣️', category: 'smileys', keywords: ['heart exclamation'], localized: { fr: ['cœur exclamation', 'cœur point d’exclamation', 'amour', 'cœur', 'exclamation', 'ponctuation'], ar: ['قلب تعجب', 'قلب على شكل علامة تعجب', 'تعجب', 'حب', 'رمز', 'علامة تعجب', 'قلب'] } },
+  { emoji: '💔', category: 'smileys', keywords: ['broken heart', 'sad'], localized: { fr: ['cœur brisé', 'triste', 'amour', 'cœur', 'malheureux', 'sentiment', 'séparé'], ar: ['قلب مكسور', 'حزين', 'انكسار', 'فارط', 'قلب', 'قلب منفطر', 'مؤسف', 'محزن', 'مشاعر', 'مكسور الخاطر', 'وحيد'] } },
+  { emoji: '❤️‍🔥', category: 'smileys', keywords: ['heart on fire', 'passion'], localized: { fr: ['cœur en feu', 'passion', 'cœur enflammé', 'amour', 'désir', 'feu'], ar: ['قلب مشتعل', 'شغف', 'قلب يحترق', 'القلب المقدس', 'حب', 'حريق', 'عشق', 'قلب'] } },
+  { emoji: '❤️‍🩹', category: 'smileys', keywords: ['mending heart', 'healing'], localized: { fr: ['cœur pansé', 'guérison', 'cœur avec bandages', 'réconforter', 'réparer', 'soigner'], ar: ['قلب مضمد', 'شفاء', 'قلب يتعافى'] } },
+  { emoji: '❤️', category: 'smileys', keywords: ['red heart', 'love'], localized: { fr: ['cœur rouge', 'amour', 'cœur', 'sentiment'], ar: ['قلب أحمر', 'حب', 'احبك', 'بحبك', 'رمز', 'غرام', 'قلب', 'قلب احمر', 'يحب'] } },
+  { emoji: '🩷', category: 'smileys', keywords: ['pink heart'], localized: { fr: ['cœur rose', '143', 'adorable', 'aimer', 'amour', 'cœur', 'émotion', 'jtm', 'mignon', 'rose'], ar: ['قلب وردي', 'أحبك', 'إعجاب', 'حب', 'زهري', 'فاتن', 'قلب', 'وردي'] } },
+  { emoji: '🧡', category: 'smileys', keywords: ['orange heart'], localized: { fr: ['cœur orange', 'coeur orange', 'orange'], ar: ['قلب برتقالي', 'أورانج', 'برتقالة', 'برتقالي', 'قلب'] } },
+  { emoji: '💛', category: 'smileys', keywords: ['yellow heart'], localized: { fr: ['cœur jaune', 'amour', 'cœur', 'sentiment'], ar: ['قلب أصفر', '143', 'أصفر', 'احبك', 'حب', 'حياتي', 'رومنسية', 'قلب', 'مشاعر'] } },
+  { emoji: '💚', category: 'smileys', keywords: ['green heart'], localized: { fr: ['cœur vert', 'amour', 'cœur', 'sentiment', 'vert'], ar: ['قلب أخضر', 'أخضر', 'احبك', 'حب', 'رومنسية', 'غرام', 'قلب', 'مشاعر'] } },
+  { emoji: '💙', category: 'smileys', keywords: ['blue heart'], localized: { fr: ['cœur bleu', 'amour', 'cœur', 'sentiment'], ar: ['قلب أزرق', 'أزرق', 'احبك', 'حب', 'رومانس', 'رومانسي', 'رومنس', 'رومنسية', 'غرام', 'قلب', 'مشاعر'] } },
+  { emoji: '🩵', category: 'smileys', keywords: ['light blue heart'], localized: { fr: ['cœur bleu clair', '143', 'aimer', 'amour', 'bleu ciel', 'bleu clair', 'cyan', 'émotion', 'jtm', 'mignon', 'spécial'], ar: ['قلب أزرق فاتح', 'أزرق سماوي', 'أزرق فاتح', 'أزرق مخضر', 'إعجاب', 'استثنائي', 'حب', 'رقيق', 'سماوي', 'شرشيري', 'عاطفة', 'عشق', 'قلب'] } },
+  { emoji: '💜', category: 'smileys', keywords: ['purple heart'], localized: { fr: ['cœur violet', 'amour', 'cœur', 'sentiment', 'violet'], ar: ['قلب بنفسجي', 'قلب أرجواني', '١٤٣', 'أرجواني', 'احبك', 'ارجواني', 'رمز', 'قلب', 'مشاعر', 'موف'] } },
+  { emoji: '🤎', category: 'smileys', keywords: ['brown heart'], localized: { fr: ['cœur marron', 'brun', 'cœur', 'marron'], ar: ['قلب بني', 'بني', 'حب', 'قلب', 'يحب'] } },
+  { emoji: '🖤', category: 'smileys', keywords: ['black heart'], localized: { fr: ['cœur noir', 'cœur', 'noir'], ar: ['قلب أسود', 'أسود', 'شر', 'شرير', 'قلب'] } },
+  { emoji: '🩶', category: 'smileys', keywords: ['grey heart'], localized: { fr: ['cœur gris', '143', 'amour', 'ardoise', 'argent', 'argenté', 'cœur', 'émotion', 'gris', 'jtm', 'spécial'], ar: ['قلب رمادي', 'أحبك', 'حب', 'رمادي', 'صخري', 'عاطفة', 'فضي', 'قلب', 'مشاعر خاصة'] } },
+  { emoji: '🤍', category: 'smileys', keywords: ['white heart'], localized: { fr: ['cœur blanc', 'blanc', 'cœur'], ar: ['قلب أبيض', 'أبيض', 'أشكال', 'بياض', 'حب', 'شكل', 'صفاء', 'قلب', 'مسامحة', 'نقاء', 'يحب'] } },
+  { emoji: '💋', category: 'smileys', keywords: ['kiss', 'lipstick', 'lips', 'kiss mark'], localized: { fr: ['bisou', 'rouge à lèvres', 'lèvres', 'trace de rouge à lèvres', 'baiser', 'bise', 'bouche', 'embrasser', 'rendez-vous', 'rouge', 'sexy'], ar: ['قبلة', 'أحمر شفاه', 'شفاه', 'علامة قبلة', 'بوسة', 'حب', 'رومانس', 'رومانسية', 'رومنس', 'سيكسي', 'مشاعر', 'موعد'] } },
+  { emoji: '💯', category: 'smileys', keywords: ['hundred', 'score', 'perfect', '100', 'hundred points'], localized: { fr: ['cent', 'score', 'parfait', 'cent points', '100'], ar: ['مئة', 'نتيجة', 'ممتاز', '100 درجة', '100', '100 نقطة', 'اكيد', 'درجة', 'ما في شك', 'مائة بالمائة', 'مزبوط', 'مية بالمية'] } },
+  { emoji: '💢', category: 'smileys', keywords: ['anger symbol', 'mad', 'vein', 'anger'], localized: { fr: ['colère', 'furieux', 'veine', 'symbole de colère', 'bande dessinée', 'bd', 'dessin'], ar: ['غضب', 'هائج', 'عرق', 'رمز الغضب', 'جنون', 'علامة غضب', 'مجنون', 'مشاعر'] } },
+  { emoji: '🫯', category: 'smileys', keywords: ['fight cloud'], localized: { fr: ['nuage de colère', 'bagarre', 'combat', 'désaccord', 'discussion', 'dispute', 'grabuge', 'lutte'], ar: ['سحابة اقتتال', 'اقتتال', 'جدال', 'جلبة', 'خلاف', 'شجار', 'مشاجرة', 'مصارعة', 'نزاع', 'نقاش'] } },
+  { emoji: '💥', category: 'smileys', keywords: ['boom', 'collision', 'bang'], localized: { fr: ['boum', 'collision', 'bang', 'explosion', 'bande dessinée', 'bd', 'bombe', 'détonation', 'étincelles'], ar: ['انفجار', 'اصطدام', 'بوم', 'تصادم', 'رمز تصادم', 'فرقع', 'مشاعر', 'هزل'] } },
+  { emoji: '💫', category: 'smileys', keywords: ['dizzy', 'stars'], localized: { fr: ['étourdi', 'étoiles', 'étourdissement', 'bande dessinée', 'bd', 'étincelles', 'étoile', 'étoile filante', 'tournis', 'voir des étoiles'], ar: ['دوخة', 'نجوم', 'دوار', 'تخيل حركة النجوم', 'ساطع', 'شهاب', 'ظريف', 'فكاهي', 'لامع', 'مشاعر', 'نجمة مستديرة', 'هزل'] } },
+  { emoji: '💦', category: 'smileys', keywords: ['sweat droplets', 'water', 'hot', 'sweat drops'], localized: { fr: ['gouttes de sueur', 'eau', 'chaud', 'bande dessinée', 'bd', 'éclabousser', 'éclaboussures', 'effort', 'entraînement', 'gouttes', 'sueur'], ar: ['قطرات عرق', 'ماء', 'حار', 'عرق يتصبب', 'تمرين', 'رش', 'شتا', 'شتي', 'عرق', 'قطرات', 'مبلل عرقًا', 'مشاعر', 'مطر', 'هزل'] } },
+  { emoji: '💨', category: 'smileys', keywords: ['dash', 'fast', 'running', 'wind', 'dashing away'], localized: { fr: ['foncer', 'rapide', 'courir', 'vent', 'décamper', 'bande dessinée', 'bd', 'déguerpir', 'détaler', 'filer', 'fumée', 'nuage', 'partir en courant', 'pet', 'vite'], ar: ['اندفاع', 'سريع', 'جري', 'ريح', 'انطلاقة جري', 'دخان', 'ضراط', 'غيمة', 'فساء', 'لازم روح', 'مشاعر', 'هرب', 'هزل', 'يدخن', 'يضرط', 'يفسي'] } },
+  { emoji: '🕳️', category: 'smileys', keywords: ['hole', 'void'], localized: { fr: ['trou', 'vide'], ar: ['حفرة', 'فراغ', 'ثقب', 'بخش'] } },
+  { emoji: '💬', category: 'smileys', keywords: ['speech balloon', 'chat', 'talk'], localized: { fr: ['bulle', 'discuter', 'parler', 'bulle de parole', 'bande dessinée', 'bd', 'dialogue', 'écrire', 'message', 'sms'], ar: ['فقاعة كلام', 'دردشة', 'كلام', 'الخ', 'بالونة', 'تشات', 'حوار', 'رمز', 'فكرة', 'همممم'] } },
+  { emoji: '👁️‍🗨️', category: 'smileys', keywords: ['eye in speech bubble'], localized: { fr: ['œil dans une bulle', 'témoin', 'œil dans une bulle de bd', 'bande dessinée', 'bd', 'bulle de bd', 'œil', 'voir'], ar: ['عين في فقاعة', 'شاهد', 'عين في فقاعة كلام', 'تفسير', 'حديث', 'عين', 'فقاعة', 'فقاعة تفسيرية'] } },
+  { emoji: '🗨️', category: 'smileys', keywords: ['left speech bubble'], localized: { fr: ['bulle de dialogue', 'bulle de parole gauche', 'bulle', 'bulle à gauche', 'dialogue', 'gauche'], ar: ['فقاعة حوار', 'فقاعة كلام يسرى', 'حديث', 'حوار', 'دردشة', 'فقاعة كلام يمنى', 'كلام'] } },
+  { emoji: '🗯️', category: 'smileys', keywords: ['right anger bubble'], localized: { fr: ['bulle de colère', 'bulle colère droite', 'bande dessinée', 'bd', 'bulle', 'colère', 'crier', 'droite', 'hurler'], ar: ['فقاعة غضب', 'فقاعة غضب يمنى', 'بالون', 'جنون', 'غضب', 'فقاعة', 'مصدوم'] } },
+  { emoji: '💭', category: 'smileys', keywords: ['thought balloon', 'thinking'], localized: { fr: ['bulle de pensée', 'réfléchir', 'bande dessinée', 'bd', 'bulle', 'idée', 'imaginer', 'inventer', 'invention', 'pensée', 'penser', 'rêve', 'rêver'], ar: ['فقاعة تفكير', 'تفكير', 'فقاعة أفكار', 'أحلام', 'أفكار', 'اختراع', 'بالونة', 'حلم', 'فكر', 'فكرة', 'قرار', 'هزل'] } },
+  { emoji: '💤', category: 'smileys', keywords: ['zzz', 'sleeping', 'tired'], localized: { fr: ['zzz', 'dormir', 'fatigué', 'endormi', 'bande dessinée', 'bd', 'bonne nuit', 'ronfler'], ar: ['نوم', 'نائم', 'متعب', 'نعسان', 'zzz', 'المشاعر والوجوه الضاحكة', 'تعب', 'تعبان', 'رمز', 'ززززز', 'شخير', 'مشاعر', 'مكسر', 'مهدود'] } },
   // --- PEOPLE & BODY ---
-  { emoji: '👋', category: 'people', keywords: ['wave', 'hello', 'bye'] },
-  { emoji: '🤚', category: 'people', keywords: ['raised back of hand'] },
-  { emoji: '🖐️', category: 'people', keywords: ['hand with fingers splayed', 'five'] },
-  { emoji: '✋', category: 'people', keywords: ['raised hand', 'stop', 'high five'] },
-  { emoji: '🖖', category: 'people', keywords: ['vulcan salute', 'star trek'] },
-  { emoji: '🫱', category: 'people', keywords: ['rightward hand'] },
-  { emoji: '🫲', category: 'people', keywords: ['leftward hand'] },
-  { emoji: '🫵', category: 'people', keywords: ['index pointing at viewer', 'you'] },
-  { emoji: '👌', category: 'people', keywords: ['ok', 'perfect'] },
-  { emoji: '🤌', category: 'people', keywords: ['pinched fingers', 'italian', 'what'] },
-  { emoji: '🤏', category: 'people', keywords: ['pinching hand', 'little bit'] },
-  { emoji: '✌️', category: 'people', keywords: ['victory', 'peace'] },
-  { emoji: '🤞', category: 'people', keywords: ['fingers crossed', 'luck'] },
-  { emoji: '🫰', category: 'people', keywords: ['hand with index finger and thumb crossed', 'finger heart', 'money'] },
-  { emoji: '🤟', category: 'people', keywords: ['love you gesture', 'ily'] },
-  { emoji: '🤘', category: 'people', keywords: ['rock on', 'horns'] },
-  { emoji: '🤙', category: 'people', keywords: ['call me', 'shaka'] },
-  { emoji: '👈', category: 'people', keywords: ['point left'] },
-  { emoji: '👉', category: 'people', keywords: ['point right'] },
-  { emoji: '👆', category: 'people', keywords: ['point up'] },
-  { emoji: '🖕', category: 'people', keywords: ['middle finger', 'rude'] },
-  { emoji: '👇', category: 'people', keywords: ['point down'] },
-  { emoji: '☝️', category: 'people', keywords: ['index up'] },
-  { emoji: '🫵', category: 'people', keywords: ['pointing you'] },
-  { emoji: '👍', category: 'people', keywords: ['thumbs up', 'yes', 'ok'] },
-  { emoji: '👎', category: 'people', keywords: ['thumbs down', 'no'] },
-  { emoji: '✊', category: 'people', keywords: ['raised fist', 'power'] },
-  { emoji: '👊', category: 'people', keywords: ['oncoming fist', 'bro fist', 'punch'] },
-  { emoji: '🤛', category: 'people', keywords: ['left-facing fist'] },
-  { emoji: '🤜', category: 'people', keywords: ['right-facing fist'] },
-  { emoji: '👏', category: 'people', keywords: ['clapping', 'bravo'] },
-  { emoji: '🙌', category: 'people', keywords: ['raising hands', 'celebrate'] },
-  { emoji: '🫶', category: 'people', keywords: ['heart hands', 'love'] },
-  { emoji: '👐', category: 'people', keywords: ['open hands'] },
-  { emoji: '🤲', category: 'people', keywords: ['palms up together', 'prayer', 'give'] },
-  { emoji: '🤝', category: 'people', keywords: ['handshake', 'deal', 'agreement'] },
-  { emoji: '🙏', category: 'people', keywords: ['folded hands', 'please', 'thank you', 'pray'] },
-  { emoji: '✍️', category: 'people', keywords: ['writing', 'draw'] },
-  { emoji: '💅', category: 'people', keywords: ['nail polish', 'fancy', 'slay'] },
-  { emoji: '🤳', category: 'people', keywords: ['selfie'] },
-  { emoji: '💪', category: 'people', keywords: ['muscle', 'strong', 'flex'] },
-  { emoji: '🦾', category: 'people', keywords: ['mechanical arm', 'robot'] },
-  { emoji: '🦿', category: 'people', keywords: ['mechanical leg', 'robot'] },
-  { emoji: '🦵', category: 'people', keywords: ['leg'] },
-  { emoji: '🦶', category: 'people', keywords: ['foot'] },
-  { emoji: '👂', category: 'people', keywords: ['ear', 'listen'] },
-  { emoji: '🦻', category: 'people', keywords: ['ear with hearing aid'] },
-  { emoji: '👃', category: 'people', keywords: ['nose', 'smell'] },
-  { emoji: '🧠', category: 'people', keywords: ['brain', 'smart', 'thinking'] },
-  { emoji: '🫀', category: 'people', keywords: ['anatomical heart', 'medical'] },
-  { emoji: '🫁', category: 'people', keywords: ['lungs', 'breath'] },
-  { emoji: '🦷', category: 'people', keywords: ['tooth', 'dentist'] },
-  { emoji: '🦴', category: 'people', keywords: ['bone', 'skeleton'] },
-  { emoji: '👀', category: 'people', keywords: ['eyes', 'looking', 'sus'] },
-  { emoji: '👁️', category: 'people', keywords: ['eye'] },
-  { emoji: '👅', category: 'people', keywords: ['tongue'] },
-  { emoji: '👄', category: 'people', keywords: ['mouth', 'lips'] },
-  { emoji: '🫦', category: 'people', keywords: ['biting lip', 'flirty', 'nervous'] },
-  { emoji: '👶', category: 'people', keywords: ['baby', 'boy', 'girl'] },
-  { emoji: '🧒', category: 'people', keywords: ['child', 'kid'] },
-  { emoji: '👦', category: 'people', keywords: ['boy', 'kid'] },
-  { emoji: '👧', category: 'people', keywords: ['girl', 'kid'] },
-  { emoji: '👤', category: 'people', keywords: ['silhouette', 'user', 'shadow'] },
-  { emoji: '👥', category: 'people', keywords: ['silhouettes', 'users', 'group'] },
-  { emoji: '🫂', category: 'people', keywords: ['people hugging', 'comfort'] },
-
+  { emoji: '👋', category: 'people', keywords: ['wave', 'hello', 'bye', 'waving hand'], localized: { fr: ['coucou', 'bonjour', 'au revoir', 'signe de la main', 'à bientôt', 'à plus tard', 'bye', 'hello', 'il y a quelqu’un ?', 'main', 'main qui salue', 'salut', 'signe'], ar: ['تلويح', 'مرحبا', 'وداعا', 'تلويح باليد', 'أهلا', 'إلى اللقاء', 'انظر إلي', 'باي', 'بدي روح', 'تأشير', 'ترحيب', 'لاحقًا', 'هاي', 'هلا', 'يد'] }, skins: ['👋🏻', '👋🏼', '👋🏽', '👋🏾', '👋🏿'] },
+  { emoji: '🤚', category: 'people', keywords: ['raised back of hand'], localized: { fr: ['dos de la main levé', 'dos de main levée', 'levée', 'main'], ar: ['ظهر اليد مرفوع', 'ظهر يد مرفوعة', 'أنا', 'ظاهر يد', 'كف', 'مرحبا', 'مرفوع', 'يد', 'يد مرفوعة'] }, skins: ['🤚🏻', '🤚🏼', '🤚🏽', '🤚🏾', '🤚🏿'] },
+  { emoji: '🖐️', category: 'people', keywords: ['hand with fingers splayed', 'five'], localized: { fr: ['main ouverte', 'cinq', 'main levée doigts écartés', 'doigts', 'main', 'paume', 'stop'], ar: ['يد مفتوحة', 'خمسة', 'يد مرفوعة بأصابع متفرقة', 'إصبع', 'تباعد', 'توقف', 'جسد', 'سؤال', 'كف', 'يد', 'يد مرفوعة'] }, skins: ['🖐🏻', '🖐🏼', '🖐🏽', '🖐🏾', '🖐🏿'] },
+  { emoji: '✋', category: 'people', keywords: ['raised hand', 'stop', 'high five'], localized: { fr: ['main levée', 'stop', 'tope là', 'feuille', 'main', 'paume de la main'], ar: ['يد مرفوعة', 'قف', 'كف', 'برافو', 'توقف', 'جسد', 'ستوب', 'قبضة', 'مرحبا', 'يد'] }, skins: ['✋🏻', '✋🏼', '✋🏽', '✋🏾', '✋🏿'] },
+  { emoji: '🖖', category: 'people', keywords: ['vulcan salute', 'star trek'], localized: { fr: ['salut vulcain', 'star trek', 'doigts', 'main', 'spock', 'vulcain'], ar: ['تحية فولكان', 'ستار تريك', 'إصبع', 'جسد', 'سبوك', 'فولكان', 'كف', 'يد'] }, skins: ['🖖🏻', '🖖🏼', '🖖🏽', '🖖🏾', '🖖🏿'] },
+  { emoji: '🫱', category: 'people', keywords: ['rightward hand', 'rightwards hand'], localized: { fr: ['main vers la droite', 'droite', 'serrer la main', 'tenir la main', 'vers la droite'], ar: ['يد لليمين', 'يد باتجاه اليمين', 'باتجاه اليمين', 'يد', 'يصافح', 'يمين'] }, skins: ['🫱🏻', '🫱🏼', '🫱🏽', '🫱🏾', '🫱🏿'] },
+  { emoji: '🫲', category: 'people', keywords: ['leftward hand', 'leftwards hand'], localized: { fr: ['main vers la gauche', 'gauche', 'serrer la main', 'tenir la main', 'vers la gauche'], ar: ['يد لليسار', 'يد باتجاه اليسار', 'باتجاه اليسار', 'يد', 'يسار', 'يصافح', 'يمسك بيده اليسرى'] }, skins: ['🫲🏻', '🫲🏼', '🫲🏽', '🫲🏾', '🫲🏿'] },
+  { emoji: '🫳', category: 'people', keywords: ['palm down hand'], localized: { fr: ['main paume vers le bas', 'chasser', 'choisir', 'faire partir', 'laisser tomber', 'ouste', 'rejeter'], ar: ['راحة يد للأسفل', 'إسقاط', 'تجاهل', 'صرف', 'طرد'] }, skins: ['🫳🏻', '🫳🏼', '🫳🏽', '🫳🏾', '🫳🏿'] },
+  { emoji: '🫴', category: 'people', keywords: ['palm up hand'], localized: { fr: ['main paume vers le haut', 'appeler de la main', 'attirer', 'faire venir', 'offre'], ar: ['راحة يد للأعلى', 'إمساك باليد', 'إيماءة', 'التقاط', 'تعال', 'عرض'] }, skins: ['🫴🏻', '🫴🏼', '🫴🏽', '🫴🏾', '🫴🏿'] },
+  { emoji: '🫷', category: 'people', keywords: ['leftwards pushing hand'], localized: { fr: ['main qui pousse vers la gauche', 'arrêter', 'attendre', 'bloquer', 'gauche', 'halte', 'high five', 'main', 'pousser', 'refuser', 'stop', 'tape m’en cinq', 'top là'], ar: ['يد تدفع يسارًا', 'إيقاف', 'انتظار', 'انتظر قليلاً', 'توقف', 'حسبك', 'دفع', 'رفض', 'كفّك', 'كفى', 'منع', 'مهلاً', 'يسار'] }, skins: ['🫷🏻', '🫷🏼', '🫷🏽', '🫷🏾', '🫷🏿'] },
+  { emoji: '🫸', category: 'people', keywords: ['rightwards pushing hand'], localized: { fr: ['main qui pousse vers la droite', 'arrêter', 'attendre', 'bloquer', 'droite', 'halte', 'high five', 'main', 'pousser', 'refuser', 'stop', 'tape m’en cinq', 'top là'], ar: ['يد تدفع يمينًا', 'إيقاف', 'انتظار', 'انتظر', 'تمهل', 'توقف مؤقتًا', 'حسبك', 'دفع', 'رفض', 'كفّك', 'كفى', 'ممنوع', 'منع', 'مهلاً', 'يمين'] }, skins: ['🫸🏻', '🫸🏼', '🫸🏽', '🫸🏾', '🫸🏿'] },
+  { emoji: '👌', category: 'people', keywords: ['ok', 'perfect', 'ok hand'], localized: { fr: ['ok', 'parfait', 'compris', 'd’accord', 'geste', 'main', 'nickel', 'super', 'tout va bien'], ar: ['حسنا', 'ممتاز', 'يد تشير للموافقة', 'أوكي', 'الأشخاص وإيماءات موافقة الرأي', 'بالضبط', 'تمام', 'عظيم', 'علامة', 'قرص', 'قرصة', 'موافق', 'موافقة', 'مية مية', 'يد'] }, skins: ['👌🏻', '👌🏼', '👌🏽', '👌🏾', '👌🏿'] },
+  { emoji: '🤌', category: 'people', keywords: ['pinched fingers', 'italian', 'what'], localized: { fr: ['doigts pincés', 'italien', 'quoi', 'bout des doigts joints', 'agacement', 'argumentation', 'doigts', 'geste', 'interrogation', 'main', 'parler avec les mains', 'patience', 'silence !'], ar: ['أصابع مضمومة', 'إيطالي', 'ماذا', 'أصابع', 'إيماءة باليد', 'انتظر', 'تهكّم', 'جسم', 'صبرًا', 'ضم', 'مهلاً', 'يد'] }, skins: ['🤌🏻', '🤌🏼', '🤌🏽', '🤌🏾', '🤌🏿'] },
+  { emoji: '🤏', category: 'people', keywords: ['pinching hand', 'little bit'], localized: { fr: ['petite quantité', 'un peu', 'pouce et index rapprochés', 'à deux doigts', 'petit', 'petite', 'petite somme', 'peu'], ar: ['قليل', 'شوية', 'يد تشير بمقدار ضئيل', 'أصابع', 'تافه', 'شوي', 'صغير', 'كمية صغيرة', 'مثال', 'مقدار صغير', 'مقدار ضئيل', 'يد'] }, skins: ['🤏🏻', '🤏🏼', '🤏🏽', '🤏🏾', '🤏🏿'] },
+  { emoji: '✌️', category: 'people', keywords: ['victory', 'peace', 'victory hand'], localized: { fr: ['victoire', 'paix', 'v de la victoire', 'ciseaux', 'doigts', 'main', 'paix et amour', 'peace and love'], ar: ['نصر', 'سلام', 'علامة النصر', 'إشارة', 'انتصار', 'مقص', 'يد'] }, skins: ['✌🏻', '✌🏼', '✌🏽', '✌🏾', '✌🏿'] },
+  { emoji: '🤞', category: 'people', keywords: ['fingers crossed', 'luck', 'crossed fingers'], localized: { fr: ['doigts croisés', 'chance', 'bonne chance', 'croisés', 'doigts', 'main'], ar: ['أصابع متقاطعة', 'حظ', 'أصابع مشبكة', 'أصابع', 'أمنية', 'إشارة', 'انشاء الله', 'انشالله', 'يد'] }, skins: ['🤞🏻', '🤞🏼', '🤞🏽', '🤞🏾', '🤞🏿'] },
+  { emoji: '🫰', category: 'people', keywords: ['hand with index finger and thumb crossed', 'finger heart', 'money'], localized: { fr: ['cœur avec les doigts', 'argent', 'main avec index et pouce croisés', 'amour', 'cher', 'claquer des doigts', 'cœur'], ar: ['قلب بالأصابع', 'مال', 'يد مع تقاطع السبابة والإبهام', 'أموال', 'انطباق', 'حب', 'غالٍ', 'قلب', 'يد'] }, skins: ['🫰🏻', '🫰🏼', '🫰🏽', '🫰🏾', '🫰🏿'] },
+  { emoji: '🤟', category: 'people', keywords: ['love you gesture', 'ily', 'love-you gesture'], localized: { fr: ['je t\'aime', 'geste', 'signe je t’aime', 'amour', 'geste pour je t’aime', 'ily', 'je t’aime', 'main', 'trois doigts'], ar: ['أحبك', 'إشارة', 'إشارة أحبك', 'أصابع', 'بحبك', 'تأشير', 'ثلاثة أصابع', 'يد'] }, skins: ['🤟🏻', '🤟🏼', '🤟🏽', '🤟🏾', '🤟🏿'] },
+  { emoji: '🤘', category: 'people', keywords: ['rock on', 'horns', 'sign of the horns'], localized: { fr: ['rock', 'cornes', 'cornes avec les doigts', 'cornes du diable', 'doigts', 'main', 'rock’n roll', 'yeah'], ar: ['روك', 'قرون', 'إشارة قرون', 'إصبع', 'الناس والأعضاء', 'جسد', 'يد'] }, skins: ['🤘🏻', '🤘🏼', '🤘🏽', '🤘🏾', '🤘🏿'] },
+  { emoji: '🤙', category: 'people', keywords: ['call me', 'shaka', 'call me hand'], localized: { fr: ['appelle-moi', 'shaka', 'signe appel téléphonique avec les doigts', 'appel', 'main', 'signe', 'téléphone'], ar: ['اتصل بي', 'شاكا', 'إشارة للاتصال', 'إشارة', 'اتصال', 'اتصل علي', 'تأشير', 'تلفنلي', 'تلفنيلي', 'كلمني', 'مكالمة', 'يد'] }, skins: ['🤙🏻', '🤙🏼', '🤙🏽', '🤙🏾', '🤙🏿'] },
+  { emoji: '👈', category: 'people', keywords: ['point left', 'backhand index pointing left'], localized: { fr: ['gauche', 'pointer', 'main avec index pointant à gauche', 'doigt', 'index', 'index pointé vers la gauche', 'main'], ar: ['يسار', 'إشارة', 'إصبع لليسار', 'إصبع', 'السبابة', 'تأشير', 'يد'] }, skins: ['👈🏻', '👈🏼', '👈🏽', '👈🏾', '👈🏿'] },
+  { emoji: '👉', category: 'people', keywords: ['point right', 'backhand index pointing right'], localized: { fr: ['droite', 'pointer', 'main avec index pointant à droite', 'doigt', 'index', 'index pointé vers la droite', 'main'], ar: ['يمين', 'إشارة', 'إصبع لليمين', 'إصبع', 'السبابة', 'تأشير', 'يد'] }, skins: ['👉🏻', '👉🏼', '👉🏽', '👉🏾', '👉🏿'] },
+  { emoji: '👆', category: 'people', keywords: ['point up', 'backhand index pointing up'], localized: { fr: ['haut', 'pointer', 'main avec index pointant vers le haut', 'doigt', 'index', 'index vers le haut', 'main', 'montrer'], ar: ['أعلى', 'إشارة', 'إصبع لأعلى', 'إصبع', 'السبابة', 'تأشير', 'فوق', 'يد'] }, skins: ['👆🏻', '👆🏼', '👆🏽', '👆🏾', '👆🏿'] },
+  { emoji: '🖕', category: 'people', keywords: ['middle finger', 'rude'], localized: { fr: ['doigt d\'honneur', 'grossier', 'doigt d’honneur', 'doigt', 'main', 'majeur'], ar: ['إصبع وسطى', 'وقح', 'إصبع الوسطى', 'إصبع', 'الوسطى', 'جسد', 'يد'] }, skins: ['🖕🏻', '🖕🏼', '🖕🏽', '🖕🏾', '🖕🏿'] },
+  { emoji: '👇', category: 'people', keywords: ['point down', 'backhand index pointing down'], localized: { fr: ['bas', 'pointer', 'main avec index pointant vers le bas', 'doigt', 'index', 'index vers le bas', 'main', 'montrer'], ar: ['أسفل', 'إشارة', 'إصبع لأسفل', 'أدنى', 'إصبع', 'السبابة', 'تحت', 'يد'] }, skins: ['👇🏻', '👇🏼', '👇🏽', '👇🏾', '👇🏿'] },
+  { emoji: '☝️', category: 'people', keywords: ['index up', 'index pointing up'], localized: { fr: ['index levé', 'index pointant vers le haut', 'doigt', 'haut', 'index', 'index pointé vers le haut', 'main', 'moi'], ar: ['سبابة مرفوعة', 'سبابة يشير لأعلى', 'أعلى', 'إشارة', 'إصبع', 'تأشير', 'جسد', 'سبابة', 'سبابة لأعلى', 'فوق', 'يد'] }, skins: ['☝🏻', '☝🏼', '☝🏽', '☝🏾', '☝🏿'] },
+  { emoji: '🫵', category: 'people', keywords: ['index pointing at viewer', 'you', 'pointing you', 'index pointing at the viewer'], localized: { fr: ['doigt pointé', 'toi', 'index pointant vers l’utilisateur', 'pointer'], ar: ['إصبع مشير', 'أنت', 'إصبع السبابة يشير إلى الناظر', 'إشارة', 'إصبع', 'السبابة', 'الناظر', 'وكز', 'يد'] }, skins: ['🫵🏻', '🫵🏼', '🫵🏽', '🫵🏾', '🫵🏿'] },
+  { emoji: '👍', category: 'people', keywords: ['thumbs up', 'yes', 'ok'], localized: { fr: ['pouce levé', 'oui', 'ok', 'pouce vers le haut', 'bien', 'compris', 'd’accord', 'génial', 'haut', 'main', 'moi aussi', 'super', 'top'], ar: ['إعجاب', 'نعم', 'حسنا', 'قبول', 'أعلى', 'أوكي', 'إبهام', 'إشارة', 'إصبع', 'الأشخاص والإبهام لأعلى', 'تمام', 'حلو', 'عظيم', 'علامة', 'كده', 'موافق', 'مية مية', 'يد'] }, skins: ['👍🏻', '👍🏼', '👍🏽', '👍🏾', '👍🏿'] },
+  { emoji: '👎', category: 'people', keywords: ['thumbs down', 'no'], localized: { fr: ['pouce baissé', 'non', 'pouce vers le bas', 'bas', 'main', 'mauvais', 'nul', 'pouce'], ar: ['عدم إعجاب', 'لا', 'رفض', 'آفاا', 'أسفل', 'إبهام', 'سيئ', 'علامة', 'كلا', 'لا يعجبني', 'ما يعجبني', 'مش منيح', 'يد'] }, skins: ['👎🏻', '👎🏼', '👎🏽', '👎🏾', '👎🏿'] },
+  { emoji: '🫹', category: 'people', keywords: ['leftwards thumb sign'], localized: { fr: ['pouce vers la gauche', 'pouce', 'gauche'], ar: ['إبهام إلى اليسار', 'إبهام', 'يسار'] }, skins: ['🫹🏻', '🫹🏼', '🫹🏽', '🫹🏾', '🫹🏿'] },
+  { emoji: '🫺', category: 'people', keywords: ['rightwards thumb sign'], localized: { fr: ['pouce vers la droite', 'pouce', 'droite'], ar: ['إبهام إلى اليمين', 'إبهام', 'يمين'] }, skins: ['🫺🏻', '🫺🏼', '🫺🏽', '🫺🏾', '🫺🏿'] },
+  { emoji: '✊', category: 'people', keywords: ['raised fist', 'power'], localized: { fr: ['poing levé', 'pouvoir', 'main', 'pierre', 'poing', 'poing serré', 'solidarité'], ar: ['قبضة مرفوعة', 'قوة', 'قبضة يد مرفوعة', 'ترابط', 'تضامن', 'جسد', 'قبضة', 'وحدة', 'يد', 'يد مرفوعة'] }, skins: ['✊🏻', '✊🏼', '✊🏽', '✊🏾', '✊🏿'] },
+  { emoji: '👊', category: 'people', keywords: ['oncoming fist', 'bro fist', 'punch'], localized: { fr: ['coup de poing', 'poing', 'poing de face', 'absolument', 'battre', 'boum', 'correct', 'd’accord', 'main', 'mon pote', 'serrer'], ar: ['لكمة', 'قبضة', 'قبضة يد', 'أكيد', 'بوكس', 'صحيح', 'ضربة', 'كف', 'يد'] }, skins: ['👊🏻', '👊🏼', '👊🏽', '👊🏾', '👊🏿'] },
+  { emoji: '🤛', category: 'people', keywords: ['left-facing fist'], localized: { fr: ['poing gauche', 'poing à gauche', 'fistbump', 'gauche', 'main', 'poing'], ar: ['قبضة يسرى', 'قبضة لليسار', 'بوكس', 'قبضة', 'يسار'] }, skins: ['🤛🏻', '🤛🏼', '🤛🏽', '🤛🏾', '🤛🏿'] },
+  { emoji: '🤜', category: 'people', keywords: ['right-facing fist'], localized: { fr: ['poing droit', 'poing à droite', 'droite', 'main', 'poing'], ar: ['قبضة يمنى', 'قبضة لليمين', 'بوكس', 'قبضة', 'يد', 'يمين'] }, skins: ['🤜🏻', '🤜🏼', '🤜🏽', '🤜🏾', '🤜🏿'] },
+  { emoji: '👏', category: 'people', keywords: ['clapping', 'bravo', 'clapping hands'], localized: { fr: ['applaudir', 'bravo', 'applaudissements', 'bien joué', 'bon travail', 'félicitations', 'formidable', 'geste', 'mains', 'mains qui applaudissent', 'super'], ar: ['تصفيق', 'برافو', 'يدان تصفقان', 'أصلي', 'أيادي', 'تزقيف', 'تصلي', 'زقف', 'صلاة', 'صلي', 'عظيم', 'علامة', 'مبروك', 'يد', 'يد تصفق', 'يصلي'] }, skins: ['👏🏻', '👏🏼', '👏🏽', '👏🏾', '👏🏿'] },
+  { emoji: '🙌', category: 'people', keywords: ['raising hands', 'celebrate'], localized: { fr: ['mains levées', 'célébrer', 'air', 'geste', 'hourra', 'mains', 'mains en l’air', 'youpi'], ar: ['أيدي مرفوعة', 'احتفال', 'تشجيع', 'إشارة', 'اليدان', 'تأشير', 'تهييص', 'رفع اليدين احتفالاً', 'مرفوعة', 'هيصة', 'يد', 'يدان'] }, skins: ['🙌🏻', '🙌🏼', '🙌🏽', '🙌🏾', '🙌🏿'] },
+  { emoji: '🫶', category: 'people', keywords: ['heart hands', 'love'], localized: { fr: ['mains en cœur', 'amour', 'mains qui forment un cœur', 'cœur'], ar: ['قلب باليدين', 'حب', 'أيدي متشابكة على شكل قلب', 'أحبك', 'قلب', 'يدان'] }, skins: ['🫶🏻', '🫶🏼', '🫶🏽', '🫶🏾', '🫶🏿'] },
+  { emoji: '👐', category: 'people', keywords: ['open hands'], localized: { fr: ['mains ouvertes', 'main', 'mains écartées', 'ouvert'], ar: ['أيدي مفتوحة', 'يدان مفتوحتان', 'إثارة', 'تحمس', 'حماس', 'عبطة', 'عبوطة', 'علامة', 'علامة فتح اليدين', 'غمرة', 'متحمس', 'مشوق', 'مفتوح', 'مفتوحة', 'يد'] }, skins: ['👐🏻', '👐🏼', '👐🏽', '👐🏾', '👐🏿'] },
+  { emoji: '🤲', category: 'people', keywords: ['palms up together', 'prayer', 'give'], localized: { fr: ['paumes vers le haut', 'prière', 'donner', 'paume contre paume doigts vers le haut', 'espérer', 'mains', 'paumes des mains ensemble', 'prier'], ar: ['كفان مرفوعان', 'دعاء', 'عطاء', 'راحتان مفتوحتان', 'أتمنى', 'أمنية', 'استخارة', 'دعوات', 'صلاة', 'يد', 'يدان تصليان'] }, skins: ['🤲🏻', '🤲🏼', '🤲🏽', '🤲🏾', '🤲🏿'] },
+  { emoji: '🤝', category: 'people', keywords: ['handshake', 'deal', 'agreement'], localized: { fr: ['poignée de main', 'accord', 'marché', 'd’accord', 'main', 'mains', 'marché conclu', 'poignée', 'présentation', 'rencontre', 'serrer la main'], ar: ['مصافحة', 'صفقة', 'اتفاق', 'اجتماع', 'يد'] }, skins: ['🤝🏻', '🤝🏼', '🤝🏽', '🤝🏾', '🤝🏿'] },
+  { emoji: '🙏', category: 'people', keywords: ['folded hands', 'please', 'thank you', 'pray'], localized: { fr: ['mains jointes', 's\'il te plaît', 'merci', 'prier', 'mains en prière', 'demander', 'félicitations', 'mains', 'mains l’une contre l’autre', 'prière', 's’il te plaît', 's’il vous plaît', 'salut', 'se taper dans la main', 'tope là'], ar: ['يدان مضمومتان', 'من فضلك', 'شكرا', 'صلاة', 'آمين', 'أداء صلاة', 'أنشاء الله', 'إشارة', 'إنشالله', 'استخارة', 'ان شاء الله', 'تأشير', 'تصلي', 'شكراً', 'مبارك', 'مشكور', 'ممتن', 'يتضرع', 'يد', 'يصلي'] }, skins: ['🙏🏻', '🙏🏼', '🙏🏽', '🙏🏾', '🙏🏿'] },
+  { emoji: '✍️', category: 'people', keywords: ['writing', 'draw', 'writing hand'], localized: { fr: ['écrire', 'dessiner', 'main qui écrit', 'main'], ar: ['كتابة', 'رسم', 'يد تكتب', 'اكتب', 'تكتب', 'يد', 'يد كاتبة', 'يكتب'] }, skins: ['✍🏻', '✍🏼', '✍🏽', '✍🏾', '✍🏿'] },
+  { emoji: '💅', category: 'people', keywords: ['nail polish', 'fancy', 'slay'], localized: { fr: ['vernis à ongles', 'chic', 'classe', 'cosmétiques', 'manucure', 'maquillage', 'peu importe', 's’ennuyer'], ar: ['طلاء أظافر', 'أنيق', 'أناقة', 'أظافر', 'إكلادور', 'تجميل', 'تهذيب أظافر', 'زهق', 'زهقانة', 'ضفير', 'مانكير', 'مانيكور', 'مستحضرات تجميل', 'مناكير', 'منكير'] }, skins: ['💅🏻', '💅🏼', '💅🏽', '💅🏾', '💅🏿'] },
+  { emoji: '🤳', category: 'people', keywords: ['selfie'], localized: { fr: ['selfie', 'appareil photo', 'photo', 'téléphone'], ar: ['سيلفي', 'صورة سيلفي', 'صورة ذاتية', 'صورة ذاتيىة', 'كاميرا', 'موبايل', 'هاتف'] }, skins: ['🤳🏻', '🤳🏼', '🤳🏽', '🤳🏾', '🤳🏿'] },
+  { emoji: '💪', category: 'people', keywords: ['muscle', 'strong', 'flex', 'flexed biceps'], localized: { fr: ['muscle', 'fort', 'costaud', 'biceps contracté', 'bande dessinée', 'bd', 'biceps', 'bodybuilding', 'contracté', 'corps', 'culturisme', 'entraînement', 'exercice', 'force', 'haltérophilie', 'muscles', 'soulever'], ar: ['عضلات', 'قوي', 'قوة', 'عضلة الذراع', 'تمارين', 'جيم', 'حامل أثقال', 'رفع الأوزان', 'رياضة', 'قوية', 'مرنة', 'هزل'] }, skins: ['💪🏻', '💪🏼', '💪🏽', '💪🏾', '💪🏿'] },
+  { emoji: '🦾', category: 'people', keywords: ['mechanical arm', 'robot'], localized: { fr: ['bras mécanique', 'robot', 'accessibilité', 'bras', 'bras robot', 'handicap', 'prothèse', 'prothèse de bras'], ar: ['ذراع آلية', 'روبوت', 'ذراع اصطناعية', 'إمكانية الوصول', 'احتياجات خاصة', 'ترقيع', 'ذراع صناعية', 'صناعية', 'طرف صناعي', 'يد'] } },
+  { emoji: '🦿', category: 'people', keywords: ['mechanical leg', 'robot'], localized: { fr: ['jambe mécanique', 'robot', 'accessibilité', 'handicap', 'jambe artificielle', 'jambe robot', 'prothèse', 'prothèse de jambe'], ar: ['ساق آلية', 'روبوت', 'ساق اصطناعية', 'إمكانية الوصول', 'احتياجات خاصة', 'ترقيع', 'رجل', 'ركلة', 'ساق صناعية', 'صناعية', 'طرف صناعي'] } },
+  { emoji: '🦵', category: 'people', keywords: ['leg'], localized: { fr: ['jambe', 'coup de pied', 'cuisse', 'genou', 'genou fléchi', 'genoux', 'membre', 'pied'], ar: ['ساق', 'رجل', 'رِجل', 'ركبة', 'ركل', 'ركلة', 'طرف', 'فخذ', 'قدم', 'وِرك'] }, skins: ['🦵🏻', '🦵🏼', '🦵🏽', '🦵🏾', '🦵🏿'] },
+  { emoji: '🦶', category: 'people', keywords: ['foot'], localized: { fr: ['pied', 'cheville', 'coup de pied', 'pas lourd'], ar: ['قدم', 'أقدام', 'تعثر', 'دس', 'رِجل', 'رفسة', 'ركل', 'ركلة', 'شَلوت', 'شوطة', 'عظام', 'عظمة', 'عقب', 'كاحل', 'كعب', 'مفصل'] }, skins: ['🦶🏻', '🦶🏼', '🦶🏽', '🦶🏾', '🦶🏿'] },
+  { emoji: '👂', category: 'people', keywords: ['ear', 'listen'], localized: { fr: ['oreille', 'écouter', 'corps', 'entendre', 'ouïe', 'son'], ar: ['أذن', 'استماع', 'استمع', 'جسم', 'دينة', 'سمع', 'صوت'] }, skins: ['👂🏻', '👂🏼', '👂🏽', '👂🏾', '👂🏿'] },
+  { emoji: '🦻', category: 'people', keywords: ['ear with hearing aid'], localized: { fr: ['oreille', 'appareil auditif', 'oreille appareillée', 'accessibilité', 'handicap', 'malentendant', 'prothèse auditive', 'sonotone', 'sourd', 'surdité'], ar: ['أذن', 'سماعة طبية', 'أذن مع جهاز سمعي', 'أداة سمع', 'إمكانية الوصول', 'احتياجات خاصة', 'جهاز سمعي', 'سماعة', 'ضعف السمع', 'ضعيف السمع', 'طب', 'مساعدة سمعية', 'وجه'] }, skins: ['🦻🏻', '🦻🏼', '🦻🏽', '🦻🏾', '🦻🏿'] },
+  { emoji: '👃', category: 'people', keywords: ['nose', 'smell'], localized: { fr: ['nez', 'sentir', 'corps', 'narines', 'odeur'], ar: ['أنف', 'شم', 'جسم', 'حشري', 'حشور', 'خشم', 'رائحة', 'منخار', 'منخور', 'وجه'] }, skins: ['👃🏻', '👃🏼', '👃🏽', '👃🏾', '👃🏿'] },
+  { emoji: '🧠', category: 'people', keywords: ['brain', 'smart', 'thinking'], localized: { fr: ['cerveau', 'intelligent', 'réfléchir', 'intelligente'], ar: ['دماغ', 'ذكي', 'تفكير', 'حاذق', 'مخ', 'نخاع'] } },
+  { emoji: '🫀', category: 'people', keywords: ['anatomical heart', 'medical'], localized: { fr: ['cœur anatomique', 'médical', 'cœur', 'anatomie', 'battement de coeur', 'battements', 'cardiologie', 'organe', 'pouls', 'pulsation'], ar: ['قلب تشريحي', 'طبي', 'عضو القلب', 'إنسان', 'تشريح القلب', 'جسم', 'دقات', 'دقات القلب', 'طب القلب', 'طبيب قلب', 'عضو', 'قلب حقيقي', 'مشاعر', 'نبض', 'وسط'] } },
+  { emoji: '🫁', category: 'people', keywords: ['lungs', 'breath'], localized: { fr: ['poumons', 'respirer', 'anatomie', 'expiration', 'inspiration', 'organe', 'respiration', 'souffle'], ar: ['رئتان', 'تنفس', 'تنفّس', 'جسم', 'جهاز التنفس', 'زفير', 'شهيق', 'عضو', 'هواء نقي'] } },
+  { emoji: '🦷', category: 'people', keywords: ['tooth', 'dentist'], localized: { fr: ['dent', 'dentiste', 'carie', 'émail diamant'], ar: ['سن', 'طبيب أسنان', 'أبيض', 'أسنان', 'دكتور أسنان', 'دكتور سِنان', 'سِنَّ', 'سنة', 'سِنَّة', 'ضرس', 'لآليء', 'لؤلؤ', 'لؤلؤة', 'لؤلؤي'] } },
+  { emoji: '🦴', category: 'people', keywords: ['bone', 'skeleton'], localized: { fr: ['os', 'squelette', 'chien', 'halloween'], ar: ['عظم', 'هيكل عظمي', 'عظمة', 'ترقوة', 'عضمة', 'عظام', 'كلب', 'هيكل'] } },
+  { emoji: '👀', category: 'people', keywords: ['eyes', 'looking', 'sus'], localized: { fr: ['yeux', 'regarder', 'louche', 'chercher', 'corps', 'coup d’œil', 'œil', 'visage', 'voir'], ar: ['عيون', 'نظر', 'مريب', 'عينان', 'أعين', 'بص', 'تبحلق', 'وجه', 'يا إلهي', 'يبحلق', 'يبصبص'] } },
+  { emoji: '👁️', category: 'people', keywords: ['eye'], localized: { fr: ['œil', 'corps'], ar: ['عين', 'جسد', 'عسلي'] } },
+  { emoji: '👅', category: 'people', keywords: ['tongue'], localized: { fr: ['langue', 'corps', 'lécher'], ar: ['لسان', 'جسم', 'لحس', 'لحسة', 'لعق', 'وجه'] } },
+  { emoji: '👄', category: 'people', keywords: ['mouth', 'lips'], localized: { fr: ['bouche', 'lèvres', 'baiser', 'beauté', 'bise', 'bisou', 'corps', 'embrasser', 'rouge à lèvres'], ar: ['فم', 'شفاه', 'براطم', 'بوسة', 'تقبيل', 'جسم', 'شفاف', 'شفايف', 'شفتان', 'قبلة', 'وجه'] } },
+  { emoji: '🫦', category: 'people', keywords: ['biting lip', 'flirty', 'nervous'], localized: { fr: ['mordre la lèvre', 'séducteur', 'nerveux', 'lèvres qui se mordent', 'anxieux', 'flirt', 'inquiet', 'lèvre mordue', 'mal à l’aise'], ar: ['عض الشفاه', 'مغازل', 'متوتر', 'أحمر شفاه', 'إثارة', 'خوف', 'شفاه', 'قبلة', 'قلق', 'متضايق', 'متوتّر', 'مشغول البال', 'مغازلة'] } },
+  { emoji: '👶', category: 'people', keywords: ['baby', 'boy', 'girl'], localized: { fr: ['bébé', 'garçon', 'fille', 'émoticône', 'enceinte', 'enfant', 'nouveau-né', 'petit'], ar: ['رضيع', 'ولد', 'بنت', 'أطفال', 'بيبي', 'حامل', 'حبل', 'حبلة', 'صغير', 'طفل'] }, skins: ['👶🏻', '👶🏼', '👶🏽', '👶🏾', '👶🏿'] },
+  { emoji: '🧒', category: 'people', keywords: ['child', 'kid'], localized: { fr: ['enfant', 'gamin', 'genre neutre', 'jeune', 'non-genré'], ar: ['طفل', 'صغير', 'حفيد', 'ولد'] }, skins: ['🧒🏻', '🧒🏼', '🧒🏽', '🧒🏾', '🧒🏿'] },
+  { emoji: '👦', category: 'people', keywords: ['boy', 'kid'], localized: { fr: ['garçon', 'enfant', 'émoticône', 'jeune', 'personne'], ar: ['ولد', 'طفل', 'صبي', 'ذكر', 'شاب', 'شب'] }, skins: ['👦🏻', '👦🏼', '👦🏽', '👦🏾', '👦🏿'] },
+  { emoji: '👧', category: 'people', keywords: ['girl', 'kid'], localized: { fr: ['fille', 'enfant', 'couettes', 'émoticône', 'grands yeux', 'jeune', 'nattes', 'personne', 'petite fille', 'tresses', 'vierge', 'visage', 'zodiaque'], ar: ['بنت', 'طفلة', 'فتاة', 'أنثى', 'إبنة', 'بنتوتة', 'بنوتة', 'بنية', 'سيدة', 'شابة', 'شعر مربوط'] }, skins: ['👧🏻', '👧🏼', '👧🏽', '👧🏾', '👧🏿'] },
+  { emoji: '🧑', category: 'people', keywords: ['person'], localized: { fr: ['adulte', 'genre neutre', 'non-genré'], ar: ['بالغ', 'راشد', 'شخص', 'كبير', 'وجه'] }, skins: ['🧑🏻', '🧑🏼', '🧑🏽', '🧑🏾', '🧑🏿'] },
+  { emoji: '👱', category: 'people', keywords: ['person blond hair'], localized: { fr: ['personne blonde', 'blond', 'cheveux', 'garçon', 'homme', 'humain', 'tête', 'visage'], ar: ['شخص أشقر', 'أشخاص', 'أشقر', 'إنسان', 'رجل', 'شعر أشقر', 'قصة شعر', 'وجه'] }, skins: ['👱🏻', '👱🏼', '👱🏽', '👱🏾', '👱🏿'] },
+  { emoji: '👨', category: 'people', keywords: ['man'], localized: { fr: ['homme', 'ami', 'garçon', 'personne', 'petit ami', 'pote'], ar: ['رجل', 'أخ', 'اشقر', 'بالغ', 'خي', 'رجال', 'شب', 'شخص', 'صاحب', 'صبي', 'صديق', 'كبير'] }, skins: ['👨🏻', '👨🏼', '👨🏽', '👨🏾', '👨🏿'] },
+  { emoji: '🧔', category: 'people', keywords: ['person beard'], localized: { fr: ['personne barbue', 'barbe', 'barbu', 'personne avec une barbe'], ar: ['شخص بلحية', 'دقن', 'شخص', 'شخص مع لحية', 'لحية', 'ملتحي'] }, skins: ['🧔🏻', '🧔🏼', '🧔🏽', '🧔🏾', '🧔🏿'] },
+  { emoji: '🧔‍♂️', category: 'people', keywords: ['man beard'], localized: { fr: ['homme barbu', 'barbe'], ar: ['رجل بلحية', 'رجل', 'رجل مع لحية', 'لحية'] }, skins: ['🧔🏻‍♂️', '🧔🏼‍♂️', '🧔🏽‍♂️', '🧔🏾‍♂️', '🧔🏿‍♂️'] },
+  { emoji: '🧔‍♀️', category: 'people', keywords: ['woman beard'], localized: { fr: ['femme barbue', 'barbe'], ar: ['امرأة بلحية', 'امرأة', 'امرأة مع لحية', 'لحية'] }, skins: ['🧔🏻‍♀️', '🧔🏼‍♀️', '🧔🏽‍♀️', '🧔🏾‍♀️', '🧔🏿‍♀️'] },
+  { emoji: '👨‍🦰', category: 'people', keywords: ['man red hair'], localized: { fr: ['homme cheveux roux', 'ami', 'cheveux roux', 'garçon', 'homme', 'personne', 'petit ami', 'pote'], ar: ['رجل شعر أحمر', 'أخ', 'اشقر', 'بالغ', 'خي', 'رجال', 'رجل', 'شب', 'شخص', 'شعر أحمر', 'صاحب', 'صبي', 'صديق', 'كبير'] }, skins: ['👨🏻‍🦰', '👨🏼‍🦰', '👨🏽‍🦰', '👨🏾‍🦰', '👨🏿‍🦰'] },
+  { emoji: '👨‍🦱', category: 'people', keywords: ['man curly hair'], localized: { fr: ['homme cheveux bouclés', 'ami', 'cheveux bouclés', 'garçon', 'homme', 'personne', 'petit ami', 'pote'], ar: ['رجل شعر مجعد', 'أخ', 'اشقر', 'بالغ', 'خي', 'رجال', 'رجل', 'شب', 'شخص', 'شعر مجعد', 'صاحب', 'صبي', 'صديق', 'كبير'] }, skins: ['👨🏻‍🦱', '👨🏼‍🦱', '👨🏽‍🦱', '👨🏾‍🦱', '👨🏿‍🦱'] },
+  { emoji: '👨‍🦳', category: 'people', keywords: ['man white hair'], localized: { fr: ['homme cheveux blancs', 'ami', 'cheveux blancs', 'garçon', 'homme', 'personne', 'petit ami', 'pote'], ar: ['رجل شعر أبيض', 'أخ', 'اشقر', 'بالغ', 'خي', 'رجال', 'رجل', 'شب', 'شخص', 'شعر أبيض', 'صاحب', 'صبي', 'صديق', 'كبير'] }, skins: ['👨🏻‍🦳', '👨🏼‍🦳', '👨🏽‍🦳', '👨🏾‍🦳', '👨🏿‍🦳'] },
+  { emoji: '👨‍🦲', category: 'people', keywords: ['man bald'], localized: { fr: ['homme chauve', 'ami', 'chauve', 'garçon', 'homme', 'personne', 'petit ami', 'pote'], ar: ['رجل أصلع', 'أخ', 'أصلع', 'اشقر', 'بالغ', 'خي', 'رجال', 'رجل', 'شب', 'شخص', 'صاحب', 'صبي', 'صديق', 'كبير'] }, skins: ['👨🏻‍🦲', '👨🏼‍🦲', '👨🏽‍🦲', '👨🏾‍🦲', '👨🏿‍🦲'] },
+  { emoji: '👩', category: 'people', keywords: ['woman'], localized: { fr: ['femme', 'blonde', 'coupe de cheveux', 'personne'], ar: ['سيدة', 'أشقر', 'أنثى', 'أنسة', 'امرأة', 'بالغة', 'شخص', 'شقراء', 'قصة شعر', 'كبيرة'] }, skins: ['👩🏻', '👩🏼', '👩🏽', '👩🏾', '👩🏿'] },
+  { emoji: '👩‍🦰', category: 'people', keywords: ['woman red hair'], localized: { fr: ['femme cheveux roux', 'blonde', 'cheveux roux', 'coupe de cheveux', 'femme', 'personne'], ar: ['سيدة شعر أحمر', 'أشقر', 'أنثى', 'أنسة', 'امرأة', 'بالغة', 'سيدة', 'شخص', 'شعر أحمر', 'شقراء', 'قصة شعر', 'كبيرة'] }, skins: ['👩🏻‍🦰', '👩🏼‍🦰', '👩🏽‍🦰', '👩🏾‍🦰', '👩🏿‍🦰'] },
+  { emoji: '🧑‍🦰', category: 'people', keywords: ['person red hair'], localized: { fr: ['adulte cheveux roux', 'adulte', 'cheveux roux', 'genre neutre', 'non-genré'], ar: ['بالغ شعر أحمر', 'بالغ', 'راشد', 'شخص', 'شعر أحمر', 'كبير', 'وجه'] }, skins: ['🧑🏻‍🦰', '🧑🏼‍🦰', '🧑🏽‍🦰', '🧑🏾‍🦰', '🧑🏿‍🦰'] },
+  { emoji: '👩‍🦱', category: 'people', keywords: ['woman curly hair'], localized: { fr: ['femme cheveux bouclés', 'blonde', 'cheveux bouclés', 'coupe de cheveux', 'femme', 'personne'], ar: ['سيدة شعر مجعد', 'أشقر', 'أنثى', 'أنسة', 'امرأة', 'بالغة', 'سيدة', 'شخص', 'شعر مجعد', 'شقراء', 'قصة شعر', 'كبيرة'] }, skins: ['👩🏻‍🦱', '👩🏼‍🦱', '👩🏽‍🦱', '👩🏾‍🦱', '👩🏿‍🦱'] },
+  { emoji: '🧑‍🦱', category: 'people', keywords: ['person curly hair'], localized: { fr: ['adulte cheveux bouclés', 'adulte', 'cheveux bouclés', 'genre neutre', 'non-genré'], ar: ['بالغ شعر مجعد', 'بالغ', 'راشد', 'شخص', 'شعر مجعد', 'كبير', 'وجه'] }, skins: ['🧑🏻‍🦱', '🧑🏼‍🦱', '🧑🏽‍🦱', '🧑🏾‍🦱', '🧑🏿‍🦱'] },
+  { emoji: '👩‍🦳', category: 'people', keywords: ['woman white hair'], localized: { fr: ['femme cheveux blancs', 'blonde', 'cheveux blancs', 'coupe de cheveux', 'femme', 'personne'], ar: ['سيدة شعر أبيض', 'أشقر', 'أنثى', 'أنسة', 'امرأة', 'بالغة', 'سيدة', 'شخص', 'شعر أبيض', 'شقراء', 'قصة شعر', 'كبيرة'] }, skins: ['👩🏻‍🦳', '👩🏼‍🦳', '👩🏽‍🦳', '👩🏾‍🦳', '👩🏿‍🦳'] },
+  { emoji: '🧑‍🦳', category: 'people', keywords: ['person white hair'], localized: { fr: ['adulte cheveux blancs', 'adulte', 'cheveux blancs', 'genre neutre', 'non-genré'], ar: ['بالغ شعر أبيض', 'بالغ', 'راشد', 'شخص', 'شعر أبيض', 'كبير', 'وجه'] }, skins: ['🧑🏻‍🦳', '🧑🏼‍🦳', '🧑🏽‍🦳', '🧑🏾‍🦳', '🧑🏿‍🦳'] },
+  { emoji: '👩‍🦲', category: 'people', keywords: ['woman bald'], localized: { fr: ['femme chauve', 'blonde', 'chauve', 'coupe de cheveux', 'femme', 'personne'], ar: ['سيدة أصلع', 'أشقر', 'أصلع', 'أنثى', 'أنسة', 'امرأة', 'بالغة', 'سيدة', 'شخص', 'شقراء', 'قصة شعر', 'كبيرة'] }, skins: ['👩🏻‍🦲', '👩🏼‍🦲', '👩🏽‍🦲', '👩🏾‍🦲', '👩🏿‍🦲'] },
+  { emoji: '🧑‍🦲', category: 'people', keywords: ['person bald'], localized: { fr: ['adulte chauve', 'adulte', 'chauve', 'genre neutre', 'non-genré'], ar: ['بالغ أصلع', 'أصلع', 'بالغ', 'راشد', 'شخص', 'كبير', 'وجه'] }, skins: ['🧑🏻‍🦲', '🧑🏼‍🦲', '🧑🏽‍🦲', '🧑🏾‍🦲', '🧑🏿‍🦲'] },
+  { emoji: '👱‍♀️', category: 'people', keywords: ['woman blond hair'], localized: { fr: ['femme blonde', 'blonde', 'cheveux', 'femme', 'personne'], ar: ['امرأة شقراء', 'امرأة', 'امرأة شقراء الشعر', 'سيدة', 'شقراء'] }, skins: ['👱🏻‍♀️', '👱🏼‍♀️', '👱🏽‍♀️', '👱🏾‍♀️', '👱🏿‍♀️'] },
+  { emoji: '👱‍♂️', category: 'people', keywords: ['man blond hair'], localized: { fr: ['homme blond', 'blond', 'cheveux'], ar: ['رجل أشقر', 'أشقر', 'رجل', 'رجل أشقر الشعر'] }, skins: ['👱🏻‍♂️', '👱🏼‍♂️', '👱🏽‍♂️', '👱🏾‍♂️', '👱🏿‍♂️'] },
+  { emoji: '🧓', category: 'people', keywords: ['older person'], localized: { fr: ['personne âgée', 'adulte', 'âgé', 'genre neutre', 'non-genré'], ar: ['بالغ أكبر في السن', 'جد', 'ختيار', 'رجل', 'شايب', 'شيخ', 'عجوز', 'كبير', 'كبير السن', 'كبير في السن', 'كهل'] }, skins: ['🧓🏻', '🧓🏼', '🧓🏽', '🧓🏾', '🧓🏿'] },
+  { emoji: '👴', category: 'people', keywords: ['old man'], localized: { fr: ['homme âgé', 'âgé', 'chauve', 'émoticône', 'grand-père', 'homme', 'papi', 'personne', 'personne âgée', 'sage', 'vieux monsieur'], ar: ['رجل عجوز', 'أشخاص', 'جد', 'جدو', 'رجل', 'سيدي', 'شخص', 'عجوز', 'كهل'] }, skins: ['👴🏻', '👴🏼', '👴🏽', '👴🏾', '👴🏿'] },
+  { emoji: '👵', category: 'people', keywords: ['old woman'], localized: { fr: ['femme âgée', 'âgée', 'blonde', 'dame', 'émoticône', 'femme', 'grand-mère', 'mamie', 'personne', 'sage'], ar: ['سيدة عجوز', 'أشخاص', 'امرأة', 'تيتا', 'جدة', 'جدتي', 'حكيمة', 'ختيارة', 'ستي', 'سيدة', 'شقراء', 'عجوز'] }, skins: ['👵🏻', '👵🏼', '👵🏽', '👵🏾', '👵🏿'] },
+  { emoji: '🙍', category: 'people', keywords: ['person frowning'], localized: { fr: ['personne fronçant les sourcils', 'contrariée', 'déçue', 'embêtée', 'femme', 'froncer', 'gênée', 'geste', 'mécontente', 'pas contente', 'personne', 'sourcils', 'triste'], ar: ['شخص عابس', 'أشخاص', 'إشارة', 'إمرأة', 'حزين', 'ساخط', 'سيدة', 'شخص', 'عابس', 'محبط', 'منزعج'] }, skins: ['🙍🏻', '🙍🏼', '🙍🏽', '🙍🏾', '🙍🏿'] },
+  { emoji: '🙍‍♂️', category: 'people', keywords: ['man frowning'], localized: { fr: ['homme fronçant les sourcils', 'froncement', 'geste', 'homme', 'homme mécontent', 'homme renfrogné'], ar: ['متجهم', 'إشارة', 'تأشير', 'رجل', 'عابس', 'عاقد الحاجبين', 'عبوس', 'غاضب', 'غضبان', 'مقطب الجبين'] }, skins: ['🙍🏻‍♂️', '🙍🏼‍♂️', '🙍🏽‍♂️', '🙍🏾‍♂️', '🙍🏿‍♂️'] },
+  { emoji: '🙍‍♀️', category: 'people', keywords: ['woman frowning'], localized: { fr: ['femme fronçant les sourcils', 'femme', 'froncement', 'geste'], ar: ['متجهمة', 'عبوسة', 'مقطبة الجبين'] }, skins: ['🙍🏻‍♀️', '🙍🏼‍♀️', '🙍🏽‍♀️', '🙍🏾‍♀️', '🙍🏿‍♀️'] },
+  { emoji: '🙎', category: 'people', keywords: ['person pouting'], localized: { fr: ['personne qui boude', 'bouder', 'déçue', 'énervée', 'expression', 'fâchée', 'faire la tête', 'femme', 'froncer les sourcils', 'geste', 'inquiète', 'moue', 'personne'], ar: ['شخص متجهم', 'أشخاص', 'إشارة', 'إمراة', 'تجهم', 'حزين', 'خيبة أمل', 'سيدة', 'شخص', 'عابس', 'متجهمة', 'منزعج'] }, skins: ['🙎🏻', '🙎🏼', '🙎🏽', '🙎🏾', '🙎🏿'] },
+  { emoji: '🙎‍♂️', category: 'people', keywords: ['man pouting'], localized: { fr: ['homme qui boude', 'boude', 'bouder', 'faire la moue', 'geste', 'homme', 'moue'], ar: ['رجل عابس', 'تأشير', 'رجل', 'عابس', 'عاقد الحاجبين', 'عبوس', 'متجهم', 'مقطب الجبين'] }, skins: ['🙎🏻‍♂️', '🙎🏼‍♂️', '🙎🏽‍♂️', '🙎🏾‍♂️', '🙎🏿‍♂️'] },
+  { emoji: '🙎‍♀️', category: 'people', keywords: ['woman pouting'], localized: { fr: ['femme qui boude', 'boude', 'femme', 'geste'], ar: ['سيدة عابسة', 'عبوسة', 'متجهمة', 'مقطبة الجبين'] }, skins: ['🙎🏻‍♀️', '🙎🏼‍♀️', '🙎🏽‍♀️', '🙎🏾‍♀️', '🙎🏿‍♀️'] },
+  { emoji: '🙅', category: 'people', keywords: ['person gesturing no'], localized: { fr: ['personne faisant un geste d’interdiction', 'aucune chance', 'bloquer', 'femme', 'geste', 'impossible', 'interdit', 'main', 'niet', 'non', 'pas possible', 'stop'], ar: ['إشارة رفض', 'أشخاص', 'أمر سيء', 'امرأة', 'توقف', 'سيدة', 'كاراتيه', 'كفاية', 'لا', 'ممنوع', 'يد'] }, skins: ['🙅🏻', '🙅🏼', '🙅🏽', '🙅🏾', '🙅🏿'] },
+  { emoji: '🙅‍♂️', category: 'people', keywords: ['man gesturing no'], localized: { fr: ['homme faisant un geste d’interdiction', 'geste', 'homme', 'interdit', 'main', 'non'], ar: ['غير موافق', 'إشارة', 'إشارة رفض', 'تأشير', 'كلا', 'لا', 'محظور', 'ممنوع', 'يد'] }, skins: ['🙅🏻‍♂️', '🙅🏼‍♂️', '🙅🏽‍♂️', '🙅🏾‍♂️', '🙅🏿‍♂️'] },
+  { emoji: '🙅‍♀️', category: 'people', keywords: ['woman gesturing no'], localized: { fr: ['femme faisant un geste d’interdiction', 'femme', 'geste', 'interdit', 'main'], ar: ['غير موافقة', 'إشارة رفض'] }, skins: ['🙅🏻‍♀️', '🙅🏼‍♀️', '🙅🏽‍♀️', '🙅🏾‍♀️', '🙅🏿‍♀️'] },
+  { emoji: '🙆', category: 'people', keywords: ['person gesturing ok'], localized: { fr: ['personne faisant un geste d’acceptation', 'd’accord', 'danser', 'exercice', 'femme', 'geste', 'grandir', 'lever les bras', 'main', 'ok', 'personne'], ar: ['إشارة موافقة', 'أشخاص', 'إشارة', 'تمرين', 'مضبوط', 'موافقة', 'نعم', 'وجه', 'يا إلهي', 'يا الله', 'يد'] }, skins: ['🙆🏻', '🙆🏼', '🙆🏽', '🙆🏾', '🙆🏿'] },
+  { emoji: '🙆‍♂️', category: 'people', keywords: ['man gesturing ok'], localized: { fr: ['homme faisant un geste d’acceptation', 'd’accord', 'geste', 'homme', 'homme faisant un geste d’accord', 'main', 'ok'], ar: ['موافق', 'أو كي', 'إشارة موافقة', 'تأشير', 'تمرين', 'رجل', 'يا إلهي', 'يا الله', 'يتمرن'] }, skins: ['🙆🏻‍♂️', '🙆🏼‍♂️', '🙆🏽‍♂️', '🙆🏾‍♂️', '🙆🏿‍♂️'] },
+  { emoji: '🙆‍♀️', category: 'people', keywords: ['woman gesturing ok'], localized: { fr: ['femme faisant un geste d’acceptation', 'femme', 'geste d’accord', 'main', 'ok'], ar: ['موافقة', 'إشارة موافقة'] }, skins: ['🙆🏻‍♀️', '🙆🏼‍♀️', '🙆🏽‍♀️', '🙆🏾‍♀️', '🙆🏿‍♀️'] },
+  { emoji: '💁', category: 'people', keywords: ['person tipping hand'], localized: { fr: ['personne paume vers le haut', 'aide', 'diva', 'femme', 'information', 'insouciante', 'main', 'personne', 'peu importe', 'potins', 'prétentieuse', 'sarcastique', 'sophistiqué'], ar: ['شخص بيد مائلة', 'أشخاص', 'امرأة', 'بجدية', 'بقشيش', 'حركة الشعر', 'سخرية', 'كف', 'لا يهمني', 'مساعدة', 'معلومات', 'يد'] }, skins: ['💁🏻', '💁🏼', '💁🏽', '💁🏾', '💁🏿'] },
+  { emoji: '💁‍♂️', category: 'people', keywords: ['man tipping hand'], localized: { fr: ['homme paume vers le haut', 'aide', 'apporter', 'diva', 'homme', 'homme avec paume vers le haut', 'informations', 'insolent', 'main', 'paume vers le haut', 'peu importe', 'potins', 'sarcastique'], ar: ['رجل بيد مائلة', 'ثرثرة', 'ديفا', 'ساخر', 'سخرية', 'كف', 'كف كفتوح', 'مساعدة', 'معلومات', 'يد', 'يد مائلة'] }, skins: ['💁🏻‍♂️', '💁🏼‍♂️', '💁🏽‍♂️', '💁🏾‍♂️', '💁🏿‍♂️'] },
+  { emoji: '💁‍♀️', category: 'people', keywords: ['woman tipping hand'], localized: { fr: ['femme paume vers le haut', 'femme', 'paume vers le haut'], ar: ['سيدة بيد مائلة', 'يد مائلة'] }, skins: ['💁🏻‍♀️', '💁🏼‍♀️', '💁🏽‍♀️', '💁🏾‍♀️', '💁🏿‍♀️'] },
+  { emoji: '🙋', category: 'people', keywords: ['person raising hand'], localized: { fr: ['personne qui lève la main', 'compte sur moi', 'content', 'femme qui lève la main', 'geste', 'ici', 'je sais', 'levée', 'main', 'moi', 'participer', 'présente'], ar: ['شخص يرفع يده', 'أشخاص', 'أعرف', 'أنا', 'إشارة', 'إمرأة', 'رفع اليد', 'سؤال', 'سعادة', 'سيدة', 'شخص', 'هنا', 'يد'] }, skins: ['🙋🏻', '🙋🏼', '🙋🏽', '🙋🏾', '🙋🏿'] },
+  { emoji: '🙋‍♂️', category: 'people', keywords: ['man raising hand'], localized: { fr: ['homme qui lève la main', 'geste', 'homme', 'je sais', 'main', 'main levée', 'moi', 'personne qui lève la main', 'répondre'], ar: ['رجل يرفع يده', 'أجيب', 'أسئلة', 'أعرف', 'أنا', 'إشارة', 'تأشير', 'جواب', 'رجل', 'سؤال', 'شخص', 'معرفة', 'يد', 'يد مرفوعة'] }, skins: ['🙋🏻‍♂️', '🙋🏼‍♂️', '🙋🏽‍♂️', '🙋🏾‍♂️', '🙋🏿‍♂️'] },
+  { emoji: '🙋‍♀️', category: 'people', keywords: ['woman raising hand'], localized: { fr: ['femme qui lève la main', 'femme', 'geste', 'main levée'], ar: ['سيدة ترفع يدها', 'يد مرفوعة'] }, skins: ['🙋🏻‍♀️', '🙋🏼‍♀️', '🙋🏽‍♀️', '🙋🏾‍♀️', '🙋🏿‍♀️'] },
+  { emoji: '🧏', category: 'people', keywords: ['deaf person'], localized: { fr: ['personne sourde', 'accessibilité', 'entendre', 'malentendant', 'oreille', 'sourd', 'surdité'], ar: ['شخص أصم', 'أذن', 'أصم', 'إمكانية الوصول', 'احتياجات خاصة', 'سماع', 'صمم', 'ضعف السمع', 'ضعيف السمع', 'لا أسمعك', 'ينصت'] }, skins: ['🧏🏻', '🧏🏼', '🧏🏽', '🧏🏾', '🧏🏿'] },
+  { emoji: '🧏‍♂️', category: 'people', keywords: ['deaf man'], localized: { fr: ['homme sourd', 'accessibilité', 'entendre', 'malentendant', 'oreille', 'sourd'], ar: ['رجل أصم', 'أصم', 'رجل', 'صمم'] }, skins: ['🧏🏻‍♂️', '🧏🏼‍♂️', '🧏🏽‍♂️', '🧏🏾‍♂️', '🧏🏿‍♂️'] },
+  { emoji: '🧏‍♀️', category: 'people', keywords: ['deaf woman'], localized: { fr: ['femme sourde', 'accessibilité', 'entendre', 'malentendant', 'oreille', 'sourd'], ar: ['سيدة صماء', 'سيدة', 'صماء', 'صمم'] }, skins: ['🧏🏻‍♀️', '🧏🏼‍♀️', '🧏🏽‍♀️', '🧏🏾‍♀️', '🧏🏿‍♀️'] },
+  { emoji: '🙇', category: 'people', keywords: ['person bowing'], localized: { fr: ['personne qui s’incline', 'confus', 'désolé', 'excuses', 'geste', 'gronder', 'incliné', 'j’ai compris', 'ok', 'pardon', 'personne inclinée'], ar: ['شخص ينحني اعتذارًا', 'آسف', 'أسف', 'أشخاص', 'إشارة', 'اعتذار', 'انحناء', 'انحناء شديد', 'تأمل', 'رأفة', 'رجل', 'رجل ينحني', 'شخص', 'شخص يتأسف', 'ندم', 'يغفر'] }, skins: ['🙇🏻', '🙇🏼', '🙇🏽', '🙇🏾', '🙇🏿'] },
+  { emoji: '🙇‍♂️', category: 'people', keywords: ['man bowing'], localized: { fr: ['homme qui s’incline', 'désolé', 'geste', 'homme', 'incliné'], ar: ['رجل ينحني اعتذارًا', 'امتنان', 'انحناء', 'رجل ينحني', 'ركوع'] }, skins: ['🙇🏻‍♂️', '🙇🏼‍♂️', '🙇🏽‍♂️', '🙇🏾‍♂️', '🙇🏿‍♂️'] },
+  { emoji: '🙇‍♀️', category: 'people', keywords: ['woman bowing'], localized: { fr: ['femme qui s’incline', 'désolée', 'excuses', 'femme', 'femme qui se prosterne', 'geste', 'inclinée', 'méditation', 'méditer'], ar: ['سيدة تنحني اعتذارًا', 'أسف', 'إشارة', 'اعتذار', 'اعتذر', 'امتنان', 'امرأة', 'انحناء', 'تأمل', 'راكع', 'ركوع', 'سوري', 'سيدة تنحني'] }, skins: ['🙇🏻‍♀️', '🙇🏼‍♀️', '🙇🏽‍♀️', '🙇🏾‍♀️', '🙇🏿‍♀️'] },
+  { emoji: '🤦', category: 'people', keywords: ['person facepalming'], localized: { fr: ['personne avec la paume sur le visage', 'drame', 'exaspération', 'femme avec paume sur visage', 'geste', 'incrédulité', 'incroyable', 'j’en peux plus', 'main', 'pas possible', 'paume de main', 'personne', 'visage'], ar: ['شخص محبط', 'أشخاص', 'إحباط', 'راحة يد', 'سخط', 'صدمة', 'لا', 'لا أعتقد ذلك', 'ليس مجددًا', 'يا إلهي'] }, skins: ['🤦🏻', '🤦🏼', '🤦🏽', '🤦🏾', '🤦🏿'] },
+  { emoji: '🤦‍♂️', category: 'people', keywords: ['man facepalming'], localized: { fr: ['homme avec la paume sur le visage', 'encore', 'exaspération', 'homme', 'incrédulité', 'incroyable', 'main sur le visage', 'oh non', 'oubli', 'paume', 'personne'], ar: ['رجل يشعر بإحباط', 'أشخاص', 'إحباط', 'السخط', 'رجل', 'صدمة', 'عدم تصديق', 'لا', 'لا أصدق', 'ليس مجددًا', 'وضع اليد على الوجه', 'يا إلهي'] }, skins: ['🤦🏻‍♂️', '🤦🏼‍♂️', '🤦🏽‍♂️', '🤦🏾‍♂️', '🤦🏿‍♂️'] },
+  { emoji: '🤦‍♀️', category: 'people', keywords: ['woman facepalming'], localized: { fr: ['femme avec la paume sur le visage', 'encore', 'exaspération', 'femme', 'incrédulité', 'incroyable', 'j’y crois pas', 'main sur le visage', 'oh non', 'oubli', 'paume', 'personne'], ar: ['سيدة تشعر بإحباط', 'أشخاص', 'إحباط', 'السخط', 'امرأة', 'حيرة', 'صدمة', 'عدم تصديق', 'لا', 'ليس مجددًا', 'يا إلهي'] }, skins: ['🤦🏻‍♀️', '🤦🏼‍♀️', '🤦🏽‍♀️', '🤦🏾‍♀️', '🤦🏿‍♀️'] },
+  { emoji: '🤷', category: 'people', keywords: ['person shrugging'], localized: { fr: ['personne qui hausse les épaules', 'aucune idée', 'c’est comme ça', 'doute', 'femme qui hausse les épaules', 'haussement d’épaules', 'ignorance', 'indifférence', 'je ne sais pas', 'personne', 'peut-être', 'que faire', 'qui sait'], ar: ['لا مبالاة', 'أشخاص', 'أيًا كان', 'احتمال', 'جهل', 'ربما', 'شك', 'لا أعرف', 'لا يوجد فرق', 'من يدري', 'هزة الكتف'] }, skins: ['🤷🏻', '🤷🏼', '🤷🏽', '🤷🏾', '🤷🏿'] },
+  { emoji: '🤷‍♂️', category: 'people', keywords: ['man shrugging'], localized: { fr: ['homme qui hausse les épaules', 'aucune idée', 'doute', 'haussement', 'haussement d’épaules', 'homme', 'ignorance', 'indifférence', 'pas moi', 'personne', 'rien vu', 'sais pas'], ar: ['رجل لا يبالي', 'أشخاص', 'أيًا كان', 'استهجان', 'ربما', 'لا أعرف', 'لا مبالاة', 'لا يهمني', 'ما بعرف', 'من يدري', 'هز الكتف'] }, skins: ['🤷🏻‍♂️', '🤷🏼‍♂️', '🤷🏽‍♂️', '🤷🏾‍♂️', '🤷🏿‍♂️'] },
+  { emoji: '🤷‍♀️', category: 'people', keywords: ['woman shrugging'], localized: { fr: ['femme qui hausse les épaules', 'aucune idée', 'doute', 'femme', 'haussement', 'haussement d’épaules', 'ignorance', 'indifférence', 'je sais pas', 'pas moi', 'personne', 'rien vu'], ar: ['سيدة لا تبالي', 'أشخاص', 'أيًا كان', 'استهجان', 'امرأة', 'ربما', 'شك', 'لا أعلم', 'لا مبالاة', 'لا يهم', 'ما بعرف', 'من يدري', 'هز الكتف'] }, skins: ['🤷🏻‍♀️', '🤷🏼‍♀️', '🤷🏽‍♀️', '🤷🏾‍♀️', '🤷🏿‍♀️'] },
+  { emoji: '🧑‍⚕️', category: 'people', keywords: ['health worker'], localized: { fr: ['professionnel de la santé (tous genres)', 'docteur', 'infirmier', 'médecin', 'santé', 'thérapeute'], ar: ['موظف بقطاع الصحة', 'رعاية صحية', 'طبيب', 'معالج', 'ممرض'] }, skins: ['🧑🏻‍⚕️', '🧑🏼‍⚕️', '🧑🏽‍⚕️', '🧑🏾‍⚕️', '🧑🏿‍⚕️'] },
+  { emoji: '👨‍⚕️', category: 'people', keywords: ['man health worker'], localized: { fr: ['professionnel de la santé', 'docteur', 'homme', 'homme profession médicale', 'infirmier', 'médecin', 'métier', 'profession médicale', 'santé'], ar: ['عامل بقطاع الصحة', 'دكتور', 'رجل', 'رعاية صحية', 'طبيب', 'معالج', 'ممرض'] }, skins: ['👨🏻‍⚕️', '👨🏼‍⚕️', '👨🏽‍⚕️', '👨🏾‍⚕️', '👨🏿‍⚕️'] },
+  { emoji: '👩‍⚕️', category: 'people', keywords: ['woman health worker'], localized: { fr: ['professionnelle de la santé', 'docteur', 'docteure', 'femme', 'femme profession médicale', 'infirmière', 'médecin', 'métier', 'profession médicale', 'santé'], ar: ['عاملة بقطاع الصحة', 'امرأة', 'دكتورة', 'رعاية صحية', 'طبيبة', 'معالجة', 'ممرضة'] }, skins: ['👩🏻‍⚕️', '👩🏼‍⚕️', '👩🏽‍⚕️', '👩🏾‍⚕️', '👩🏿‍⚕️'] },
+  { emoji: '🧑‍🎓', category: 'people', keywords: ['student'], localized: { fr: ['étudiant (tous genres)', 'diplôme', 'étudiant', 'étudiante'], ar: ['طالِب', 'خريج', 'طالب'] }, skins: ['🧑🏻‍🎓', '🧑🏼‍🎓', '🧑🏽‍🎓', '🧑🏾‍🎓', '🧑🏿‍🎓'] },
+  { emoji: '👨‍🎓', category: 'people', keywords: ['man student'], localized: { fr: ['étudiant', 'diplômé', 'homme'], ar: ['طالب', 'تلميذ', 'خريج', 'رجل'] }, skins: ['👨🏻‍🎓', '👨🏼‍🎓', '👨🏽‍🎓', '👨🏾‍🎓', '👨🏿‍🎓'] },
+  { emoji: '👩‍🎓', category: 'people', keywords: ['woman student'], localized: { fr: ['étudiante', 'diplômée', 'femme'], ar: ['طالبة', 'امرأة', 'تخرج', 'تلميذة', 'خريجة', 'سيدة'] }, skins: ['👩🏻‍🎓', '👩🏼‍🎓', '👩🏽‍🎓', '👩🏾‍🎓', '👩🏿‍🎓'] },
+  { emoji: '🧑‍🏫', category: 'people', keywords: ['teacher'], localized: { fr: ['personnel enseignant', 'enseignant', 'enseignante', 'formateur', 'formatrice', 'professeur'], ar: ['أستاذ', 'مدرس', 'معلم'] }, skins: ['🧑🏻‍🏫', '🧑🏼‍🏫', '🧑🏽‍🏫', '🧑🏾‍🏫', '🧑🏿‍🏫'] },
+  { emoji: '👨‍🏫', category: 'people', keywords: ['man teacher'], localized: { fr: ['enseignant', 'homme', 'instituteur', 'instructeur', 'métier', 'professeur'], ar: ['معلم', 'أستاذ', 'أستاذ جامعي', 'بروفسور', 'رجل', 'مدرس', 'مربي'] }, skins: ['👨🏻‍🏫', '👨🏼‍🏫', '👨🏽‍🏫', '👨🏾‍🏫', '👨🏿‍🏫'] },
+  { emoji: '👩‍🏫', category: 'people', keywords: ['woman teacher'], localized: { fr: ['enseignante', 'femme', 'institutrice', 'instructrice', 'professeure'], ar: ['معلمة', 'أستاذة', 'أستاذة جامعية', 'امرأة', 'سيدة', 'مدرسة', 'مربية', 'نظارات'] }, skins: ['👩🏻‍🏫', '👩🏼‍🏫', '👩🏽‍🏫', '👩🏾‍🏫', '👩🏿‍🏫'] },
+  { emoji: '🧑‍⚖️', category: 'people', keywords: ['judge'], localized: { fr: ['juge', 'balance'], ar: ['قاضي', 'عدالة', 'عدل'] }, skins: ['🧑🏻‍⚖️', '🧑🏼‍⚖️', '🧑🏽‍⚖️', '🧑🏾‍⚖️', '🧑🏿‍⚖️'] },
+  { emoji: '👨‍⚖️', category: 'people', keywords: ['man judge'], localized: { fr: ['juge homme', 'balance', 'homme', 'juge', 'justice', 'métier'], ar: ['قاضٍ', 'رجل', 'عدالة', 'عدل', 'قاض'] }, skins: ['👨🏻‍⚖️', '👨🏼‍⚖️', '👨🏽‍⚖️', '👨🏾‍⚖️', '👨🏿‍⚖️'] },
+  { emoji: '👩‍⚖️', category: 'people', keywords: ['woman judge'], localized: { fr: ['juge femme', 'balance', 'femme', 'juge', 'justice', 'métier'], ar: ['قاضية', 'امرأة', 'عدالة', 'عدل'] }, skins: ['👩🏻‍⚖️', '👩🏼‍⚖️', '👩🏽‍⚖️', '👩🏾‍⚖️', '👩🏿‍⚖️'] },
+  { emoji: '🧑‍🌾', category: 'people', keywords: ['farmer'], localized: { fr: ['fermier (tous genres)', 'fermier', 'fermière', 'jardinier', 'jardinière'], ar: ['مُزارع', 'عامل زراعي', 'فلاح', 'مزارع', 'منسق حدائق'] }, skins: ['🧑🏻‍🌾', '🧑🏼‍🌾', '🧑🏽‍🌾', '🧑🏾‍🌾', '🧑🏿‍🌾'] },
+  { emoji: '👨‍🌾', category: 'people', keywords: ['man farmer'], localized: { fr: ['fermier', 'agriculteur', 'homme', 'jardinier', 'métier'], ar: ['مزارع', 'رجل', 'عامل زراعي', 'فلاح', 'منسق حدائق'] }, skins: ['👨🏻‍🌾', '👨🏼‍🌾', '👨🏽‍🌾', '👨🏾‍🌾', '👨🏿‍🌾'] },
+  { emoji: '👩‍🌾', category: 'people', keywords: ['woman farmer'], localized: { fr: ['fermière', 'agricultrice', 'femme', 'jardinière', 'métier'], ar: ['مزارعة', 'امرأة', 'سيدة', 'عاملة زراعية', 'فلاحة', 'منسقة حدائق'] }, skins: ['👩🏻‍🌾', '👩🏼‍🌾', '👩🏽‍🌾', '👩🏾‍🌾', '👩🏿‍🌾'] },
+  { emoji: '🧑‍🍳', category: 'people', keywords: ['cook'], localized: { fr: ['cuisinier (tous genres)', 'chef', 'cuisinier', 'cuisinière'], ar: ['طاهي', 'شيف', 'طاه', 'طباخ'] }, skins: ['🧑🏻‍🍳', '🧑🏼‍🍳', '🧑🏽‍🍳', '🧑🏾‍🍳', '🧑🏿‍🍳'] },
+  { emoji: '👨‍🍳', category: 'people', keywords: ['man cook'], localized: { fr: ['cuisinier', 'chef', 'homme', 'métier'], ar: ['طباخ', 'رجل', 'شيف', 'طاه', 'طبخ'] }, skins: ['👨🏻‍🍳', '👨🏼‍🍳', '👨🏽‍🍳', '👨🏾‍🍳', '👨🏿‍🍳'] },
+  { emoji: '👩‍🍳', category: 'people', keywords: ['woman cook'], localized: { fr: ['cuisinière', 'chef', 'femme', 'métier'], ar: ['طباخة', 'أمرأة', 'سيدة', 'شيف', 'طاهية'] }, skins: ['👩🏻‍🍳', '👩🏼‍🍳', '👩🏽‍🍳', '👩🏾‍🍳', '👩🏿‍🍳'] },
+  { emoji: '🧑‍🔧', category: 'people', keywords: ['mechanic'], localized: { fr: ['mécanicien (tous genres)', 'artisan', 'électricien', 'électricienne', 'mécanicien', 'mécanicienne', 'plombier'], ar: ['خبير ميكانيكي', 'تاجر', 'حرفي', 'سباك', 'كهربائي', 'ميكانيكي'] }, skins: ['🧑🏻‍🔧', '🧑🏼‍🔧', '🧑🏽‍🔧', '🧑🏾‍🔧', '🧑🏿‍🔧'] },
+  { emoji: '👨‍🔧', category: 'people', keywords: ['man mechanic'], localized: { fr: ['mécanicien', 'électricien', 'homme', 'mécanique', 'métier', 'ouvrier', 'plombier'], ar: ['ميكانيكي', 'حرفي', 'سمكري', 'سنغري', 'سنكري', 'عامل', 'ميكانيسيان'] }, skins: ['👨🏻‍🔧', '👨🏼‍🔧', '👨🏽‍🔧', '👨🏾‍🔧', '👨🏿‍🔧'] },
+  { emoji: '👩‍🔧', category: 'people', keywords: ['woman mechanic'], localized: { fr: ['mécanicienne', 'électricienne', 'femme', 'mécanique', 'métier', 'ouvrière', 'plombier'], ar: ['ميكانيكية', 'امرأة', 'حرفية', 'سمكرية', 'سيدة', 'عاملة', 'كهربائية', 'مهنية'] }, skins: ['👩🏻‍🔧', '👩🏼‍🔧', '👩🏽‍🔧', '👩🏾‍🔧', '👩🏿‍🔧'] },
+  { emoji: '🧑‍🏭', category: 'people', keywords: ['factory worker'], localized: { fr: ['ouvrier (tous genres)', 'assemblage', 'industrie', 'ouvrier', 'ouvrière', 'usine'], ar: ['عامل في مصنع', 'تجميع', 'صناعة', 'عامل', 'مصنع'] }, skins: ['🧑🏻‍🏭', '🧑🏼‍🏭', '🧑🏽‍🏭', '🧑🏾‍🏭', '🧑🏿‍🏭'] },
+  { emoji: '👨‍🏭', category: 'people', keywords: ['man factory worker'], localized: { fr: ['ouvrier', 'assemblage', 'homme', 'industrie', 'métier', 'montage', 'usine'], ar: ['عامل مصنع', 'تجميع', 'رجل', 'صناعة', 'عامل', 'مصنع'] }, skins: ['👨🏻‍🏭', '👨🏼‍🏭', '👨🏽‍🏭', '👨🏾‍🏭', '👨🏿‍🏭'] },
+  { emoji: '👩‍🏭', category: 'people', keywords: ['woman factory worker'], localized: { fr: ['ouvrière', 'assemblage', 'femme', 'industrie', 'métier', 'montage', 'usine'], ar: ['عاملة مصنع', 'امرأة', 'تجميع', 'سيدة', 'صناعة', 'عاملة', 'مصنع'] }, skins: ['👩🏻‍🏭', '👩🏼‍🏭', '👩🏽‍🏭', '👩🏾‍🏭', '👩🏿‍🏭'] },
+  { emoji: '🧑‍💼', category: 'people', keywords: ['office worker'], localized: { fr: ['employé de bureau (tous genres)', 'affaires', 'architecte', 'bureau', 'employé de bureau', 'employée de bureau'], ar: ['موظف مكتب', 'شركة', 'مدير', 'مهندس', 'موظف'] }, skins: ['🧑🏻‍💼', '🧑🏼‍💼', '🧑🏽‍💼', '🧑🏾‍💼', '🧑🏿‍💼'] },
+  { emoji: '👨‍💼', category: 'people', keywords: ['man office worker'], localized: { fr: ['employé de bureau', 'affaires', 'architecte', 'bureau', 'cadre', 'directeur', 'homme', 'métier'], ar: ['موظف', 'رجل', 'شركة', 'مدير', 'مكتب', 'مهندس'] }, skins: ['👨🏻‍💼', '👨🏼‍💼', '👨🏽‍💼', '👨🏾‍💼', '👨🏿‍💼'] },
+  { emoji: '👩‍💼', category: 'people', keywords: ['woman office worker'], localized: { fr: ['employée de bureau', 'affaires', 'architecte', 'bureau', 'cadre', 'directrice', 'femme', 'métier'], ar: ['موظفة', 'امرأة', 'سيدة', 'شركة', 'مديرة', 'مكتب', 'مهندسة'] }, skins: ['👩🏻‍💼', '👩🏼‍💼', '👩🏽‍💼', '👩🏾‍💼', '👩🏿‍💼'] },
+  { emoji: '🧑‍🔬', category: 'people', keywords: ['scientist'], localized: { fr: ['scientifique', 'chimiste'], ar: ['عالِم', 'بيولوجي', 'عالم', 'فيزيائي', 'كيميائي', 'مهندس'] }, skins: ['🧑🏻‍🔬', '🧑🏼‍🔬', '🧑🏽‍🔬', '🧑🏾‍🔬', '🧑🏿‍🔬'] },
+  { emoji: '👨‍🔬', category: 'people', keywords: ['man scientist'], localized: { fr: ['scientifique homme', 'biologiste', 'chimiste', 'homme', 'ingénieur', 'mathématicien', 'métier', 'physicien', 'scientifique'], ar: ['عالم', 'بيولوجي', 'رجل', 'رياضي', 'رياضيات', 'فيزيائي', 'كيميائي', 'مهندس'] }, skins: ['👨🏻‍🔬', '👨🏼‍🔬', '👨🏽‍🔬', '👨🏾‍🔬', '👨🏿‍🔬'] },
+  { emoji: '👩‍🔬', category: 'people', keywords: ['woman scientist'], localized: { fr: ['scientifique femme', 'biologiste', 'chimiste', 'femme', 'ingénieure', 'mathématicienne', 'métier', 'physicienne', 'scientifique'], ar: ['عالِمة', 'امرأة', 'بيولوجية', 'سيدة', 'عالمة', 'فيزيائية', 'كيميائية', 'مهندسة'] }, skins: ['👩🏻‍🔬', '👩🏼‍🔬', '👩🏽‍🔬', '👩🏾‍🔬', '👩🏿‍🔬'] },
+  { emoji: '🧑‍💻', category: 'people', keywords: ['technologist'], localized: { fr: ['informaticien (tous genres)', 'développeur', 'développeuse', 'informaticien', 'informaticienne', 'logiciels', 'technologie'], ar: ['خبير تكنولوجيا', 'تقني', 'عالم تكنولوجيا', 'مبرمج', 'مصمم أكواد'] }, skins: ['🧑🏻‍💻', '🧑🏼‍💻', '🧑🏽‍💻', '🧑🏾‍💻', '🧑🏿‍💻'] },
+  { emoji: '👨‍💻', category: 'people', keywords: ['man technologist'], localized: { fr: ['informaticien', 'codeur', 'développeur', 'homme', 'inventeur', 'logiciels', 'métier', 'technologie'], ar: ['عالم تكنولوجيا', 'تقني', 'خبير تكنولوجي', 'رجل', 'كمبيوتر', 'مبتكر', 'مبرمج', 'مخترع', 'مصمم أكواد'] }, skins: ['👨🏻‍💻', '👨🏼‍💻', '👨🏽‍💻', '👨🏾‍💻', '👨🏿‍💻'] },
+  { emoji: '👩‍💻', category: 'people', keywords: ['woman technologist'], localized: { fr: ['informaticienne', 'codeuse', 'développeuse', 'femme', 'inventrice', 'logiciels', 'métier', 'technologie'], ar: ['عالِمة تكنولوجيا', 'امرأة', 'تقنية', 'خبيرة تكنولوجيا', 'سيدة', 'عالمة تكنولوجيا', 'كمبيوتر', 'مبتكرة', 'مبرمجة', 'مخترعة', 'مصممة أكواد'] }, skins: ['👩🏻‍💻', '👩🏼‍💻', '👩🏽‍💻', '👩🏾‍💻', '👩🏿‍💻'] },
+  { emoji: '🧑‍🎤', category: 'people', keywords: ['singer'], localized: { fr: ['chanteur (tous genres)', 'artiste', 'chanteur', 'chanteuse', 'rock', 'star'], ar: ['مغنّي', 'استعراضي', 'فنان', 'مطرب', 'مغني', 'نجم'] }, skins: ['🧑🏻‍🎤', '🧑🏼‍🎤', '🧑🏽‍🎤', '🧑🏾‍🎤', '🧑🏿‍🎤'] },
+  { emoji: '👨‍🎤', category: 'people', keywords: ['man singer'], localized: { fr: ['chanteur', 'acteur', 'artiste', 'homme', 'métier', 'rock', 'rockeur', 'star'], ar: ['مطرب', 'رجل', 'روك', 'مغني', 'ممثل', 'نجم', 'وان مان شو'] }, skins: ['👨🏻‍🎤', '👨🏼‍🎤', '👨🏽‍🎤', '👨🏾‍🎤', '👨🏿‍🎤'] },
+  { emoji: '👩‍🎤', category: 'people', keywords: ['woman singer'], localized: { fr: ['chanteuse', 'actrice', 'artiste', 'femme', 'métier', 'rock', 'rockeuse', 'star'], ar: ['مطربة', 'امرأة', 'سيدة', 'مغنية', 'ممثلة', 'نجمة'] }, skins: ['👩🏻‍🎤', '👩🏼‍🎤', '👩🏽‍🎤', '👩🏾‍🎤', '👩🏿‍🎤'] },
+  { emoji: '🧑‍🎨', category: 'people', keywords: ['artist'], localized: { fr: ['artiste', 'palette'], ar: ['فنان رسم', 'رسام', 'فنان'] }, skins: ['🧑🏻‍🎨', '🧑🏼‍🎨', '🧑🏽‍🎨', '🧑🏾‍🎨', '🧑🏿‍🎨'] },
+  { emoji: '👨‍🎨', category: 'people', keywords: ['man artist'], localized: { fr: ['artiste homme', 'artiste', 'homme', 'métier', 'palette', 'peintre'], ar: ['رسام', 'ألوان', 'باليت', 'تلوين', 'رجل', 'فنان'] }, skins: ['👨🏻‍🎨', '👨🏼‍🎨', '👨🏽‍🎨', '👨🏾‍🎨', '👨🏿‍🎨'] },
+  { emoji: '👩‍🎨', category: 'people', keywords: ['woman artist'], localized: { fr: ['artiste femme', 'artiste', 'femme', 'métier', 'palette', 'peintre'], ar: ['رسامة', 'ألوان', 'امرأة', 'سيدة', 'فنانة'] }, skins: ['👩🏻‍🎨', '👩🏼‍🎨', '👩🏽‍🎨', '👩🏾‍🎨', '👩🏿‍🎨'] },
+  { emoji: '🧑‍✈️', category: 'people', keywords: ['pilot'], localized: { fr: ['pilote', 'avion'], ar: ['ربان طائرة', 'ربان', 'طائرة', 'طيار'] }, skins: ['🧑🏻‍✈️', '🧑🏼‍✈️', '🧑🏽‍✈️', '🧑🏾‍✈️', '🧑🏿‍✈️'] },
+  { emoji: '👨‍✈️', category: 'people', keywords: ['man pilot'], localized: { fr: ['pilote homme', 'avion', 'homme', 'métier', 'pilote'], ar: ['طيار', 'ربان طائرة', 'رجل', 'قائد طائرة', 'كابتن', 'كبتن', 'مسافر'] }, skins: ['👨🏻‍✈️', '👨🏼‍✈️', '👨🏽‍✈️', '👨🏾‍✈️', '👨🏿‍✈️'] },
+  { emoji: '👩‍✈️', category: 'people', keywords: ['woman pilot'], localized: { fr: ['pilote femme', 'avion', 'femme', 'métier', 'pilote'], ar: ['ربّانة طائرة', 'امرأة', 'طيارة', 'طيرجية', 'قائدة طائرة', 'كابتن', 'كبتن', 'مسافرة'] }, skins: ['👩🏻‍✈️', '👩🏼‍✈️', '👩🏽‍✈️', '👩🏾‍✈️', '👩🏿‍✈️'] },
+  { emoji: '🧑‍🚀', category: 'people', keywords: ['astronaut'], localized: { fr: ['astronaute', 'fusée'], ar: ['رائد الفضاء', 'رائد فضاء', 'صاروخ'] }, skins: ['🧑🏻‍🚀', '🧑🏼‍🚀', '🧑🏽‍🚀', '🧑🏾‍🚀', '🧑🏿‍🚀'] },
+  { emoji: '👨‍🚀', category: 'people', keywords: ['man astronaut'], localized: { fr: ['astronaute homme', 'astronaute', 'casque', 'cosmonaute', 'espace', 'fusée', 'homme', 'métier', 'spationaute'], ar: ['رائد فضاء', 'رجل', 'صاروخ', 'عالم', 'فضاء', 'ملاح فضاء'] }, skins: ['👨🏻‍🚀', '👨🏼‍🚀', '👨🏽‍🚀', '👨🏾‍🚀', '👨🏿‍🚀'] },
+  { emoji: '👩‍🚀', category: 'people', keywords: ['woman astronaut'], localized: { fr: ['astronaute femme', 'astronaute', 'casque', 'cosmonaute', 'espace', 'femme', 'fusée', 'métier', 'spationaute'], ar: ['رائدة فضاء', 'امرأة', 'سيدة', 'فضاء', 'ملاحة فضاء'] }, skins: ['👩🏻‍🚀', '👩🏼‍🚀', '👩🏽‍🚀', '👩🏾‍🚀', '👩🏿‍🚀'] },
+  { emoji: '🧑‍🚒', category: 'people', keywords: ['firefighter'], localized: { fr: ['pompier', 'camion de pompiers'], ar: ['إطفائي', 'عربة إطفاء'] }, skins: ['🧑🏻‍🚒', '🧑🏼‍🚒', '🧑🏽‍🚒', '🧑🏾‍🚒', '🧑🏿‍🚒'] },
+  { emoji: '👨‍🚒', category: 'people', keywords: ['man firefighter'], localized: { fr: ['pompier homme', 'camion de pompiers', 'casque', 'casque de pompier', 'homme', 'métier', 'pompier'], ar: ['رجل إطفاء', 'إطفاء', 'اطفئجي', 'اطفائية', 'حريق', 'رجل', 'رجل مطافئ', 'عامل إطفاء'] }, skins: ['👨🏻‍🚒', '👨🏼‍🚒', '👨🏽‍🚒', '👨🏾‍🚒', '👨🏿‍🚒'] },
+  { emoji: '👩‍🚒', category: 'people', keywords: ['woman firefighter'], localized: { fr: ['pompier femme', 'camion de pompiers', 'casque', 'femme', 'métier', 'pompier'], ar: ['سيدة إطفاء', 'إطفأجية', 'إطفائية', 'امرأة', 'حريق', 'سيدة', 'سيدة مطافئ', 'عاملة إطفاء'] }, skins: ['👩🏻‍🚒', '👩🏼‍🚒', '👩🏽‍🚒', '👩🏾‍🚒', '👩🏿‍🚒'] },
+  { emoji: '👮', category: 'people', keywords: ['police officer'], localized: { fr: ['officier de police', 'autorité', 'flic', 'homme', 'loi', 'métier', 'officier', 'personne', 'police', 'policier', 'tenue', 'uniforme'], ar: ['ضابط شرطة', 'أشخاص', 'اعتقال', 'القانون', 'درك', 'رجل', 'شرطة', 'شرطي', 'ضابط'] }, skins: ['👮🏻', '👮🏼', '👮🏽', '👮🏾', '👮🏿'] },
+  { emoji: '👮‍♂️', category: 'people', keywords: ['man police officer'], localized: { fr: ['policier', 'flic', 'homme', 'officier', 'police'], ar: ['شرطي', 'شرطة', 'ضابط'] }, skins: ['👮🏻‍♂️', '👮🏼‍♂️', '👮🏽‍♂️', '👮🏾‍♂️', '👮🏿‍♂️'] },
+  { emoji: '👮‍♀️', category: 'people', keywords: ['woman police officer'], localized: { fr: ['policière', 'autorité', 'femme', 'flic', 'loi', 'métier', 'officier', 'personne', 'police', 'tenue', 'uniforme'], ar: ['شرطية', 'أشخاص', 'اعتقال', 'القانون', 'امرأة', 'توقيف', 'جندرمة', 'درك', 'شرطة', 'ضابطة'] }, skins: ['👮🏻‍♀️', '👮🏼‍♀️', '👮🏽‍♀️', '👮🏾‍♀️', '👮🏿‍♀️'] },
+  { emoji: '🕵️', category: 'people', keywords: ['detective'], localized: { fr: ['détective', 'enquêteur', 'espion', 'homme'], ar: ['شخص يحقّق', 'المحقق وحيد', 'جاسوس', 'رجل', 'عميل', 'مباحث', 'محقق', 'مفتش'] }, skins: ['🕵🏻', '🕵🏼', '🕵🏽', '🕵🏾', '🕵🏿'] },
+  { emoji: '🕵️‍♂️', category: 'people', keywords: ['man detective'], localized: { fr: ['détective homme', 'détective', 'enquêteur', 'espion', 'homme'], ar: ['محقّق', 'تحقيق سري', 'رجل مباحث', 'مباحث'] }, skins: ['🕵🏻‍♂️', '🕵🏼‍♂️', '🕵🏽‍♂️', '🕵🏾‍♂️', '🕵🏿‍♂️'] },
+  { emoji: '🕵️‍♀️', category: 'people', keywords: ['woman detective'], localized: { fr: ['détective femme', 'détective', 'enquêteuse', 'enquêtrice', 'espionne', 'femme'], ar: ['محقّقة', 'امرأة', 'بوليس', 'بوليس سري', 'تحقيق سري', 'جاسوسة', 'جندرمة', 'درك', 'سيدة مباحث', 'مباحث'] }, skins: ['🕵🏻‍♀️', '🕵🏼‍♀️', '🕵🏽‍♀️', '🕵🏾‍♀️', '🕵🏿‍♀️'] },
+  { emoji: '💂', category: 'people', keywords: ['guard'], localized: { fr: ['garde', 'buckingham palace', 'casque', 'garde homme', 'londres'], ar: ['حارس', 'بكنغهام', 'خفير', 'خوذة', 'درك', 'رجل', 'لندن'] }, skins: ['💂🏻', '💂🏼', '💂🏽', '💂🏾', '💂🏿'] },
+  { emoji: '💂‍♂️', category: 'people', keywords: ['man guard'], localized: { fr: ['garde homme', 'garde', 'homme'], ar: ['رجل حراسة', 'حارس', 'خفير'] }, skins: ['💂🏻‍♂️', '💂🏼‍♂️', '💂🏽‍♂️', '💂🏾‍♂️', '💂🏿‍♂️'] },
+  { emoji: '💂‍♀️', category: 'people', keywords: ['woman guard'], localized: { fr: ['garde femme', 'buckingham palace', 'casque', 'femme', 'garde', 'londres', 'métier'], ar: ['حارسة', 'امرأة', 'باكينغهام', 'حرس', 'خفيرة', 'لندن'] }, skins: ['💂🏻‍♀️', '💂🏼‍♀️', '💂🏽‍♀️', '💂🏾‍♀️', '💂🏿‍♀️'] },
+  { emoji: '🥷', category: 'people', keywords: ['ninja'], localized: { fr: ['ninja', 'assassin', 'combat', 'furtif', 'guerrier', 'masqué', 'personne', 'sabre', 'secret', 'soldat'], ar: ['نينجا', 'خفي', 'شخص', 'متخفٍ', 'متخفي', 'محارب', 'مقاتل', 'مقنّع'] }, skins: ['🥷🏻', '🥷🏼', '🥷🏽', '🥷🏾', '🥷🏿'] },
+  { emoji: '👷', category: 'people', keywords: ['construction worker'], localized: { fr: ['personnel du bâtiment', 'bâtiment', 'btp', 'casque', 'chantier', 'construction', 'homme', 'métier', 'ouvrier', 'personne', 'réparer'], ar: ['شخص يعمل في البناء', 'أشخاص', 'إصلاح', 'بناء', 'خوذة', 'رجل', 'شغل', 'عامل', 'عمل', 'قبعة', 'معمرجي'] }, skins: ['👷🏻', '👷🏼', '👷🏽', '👷🏾', '👷🏿'] },
+  { emoji: '👷‍♂️', category: 'people', keywords: ['man construction worker'], localized: { fr: ['ouvrier du bâtiment', 'bâtiment', 'homme', 'ouvrier'], ar: ['عامل بناء', 'بناء', 'تشييد', 'عامل'] }, skins: ['👷🏻‍♂️', '👷🏼‍♂️', '👷🏽‍♂️', '👷🏾‍♂️', '👷🏿‍♂️'] },
+  { emoji: '👷‍♀️', category: 'people', keywords: ['woman construction worker'], localized: { fr: ['ouvrière du bâtiment', 'bâtiment', 'casque', 'casque de chantier', 'chantier', 'femme', 'métier', 'ouvrier du bâtiment femme', 'ouvrière'], ar: ['عاملة بناء', 'امرأة', 'بناء', 'تشييد', 'شغل', 'عاملة', 'عمل', 'معمرجية'] }, skins: ['👷🏻‍♀️', '👷🏼‍♀️', '👷🏽‍♀️', '👷🏾‍♀️', '👷🏿‍♀️'] },
+  { emoji: '🫅', category: 'people', keywords: ['person with crown'], localized: { fr: ['personne avec une couronne', 'monarque', 'noble', 'royal', 'royauté'], ar: ['شخص يرتدي تاجاً', 'أسرة ملكية', 'تاج', 'شخص يرتدي تاجًا', 'عرش', 'ملك', 'ملكة'] }, skins: ['🫅🏻', '🫅🏼', '🫅🏽', '🫅🏾', '🫅🏿'] },
+  { emoji: '🤴', category: 'people', keywords: ['prince'], localized: { fr: ['prince', 'couronne', 'royal', 'royauté'], ar: ['أمير', 'برنس', 'رجل', 'سمو', 'ملكي'] }, skins: ['🤴🏻', '🤴🏼', '🤴🏽', '🤴🏾', '🤴🏿'] },
+  { emoji: '👸', category: 'people', keywords: ['princess'], localized: { fr: ['princesse', 'conte de fées', 'couronne', 'fantastique', 'personne', 'reine'], ar: ['أميرة', 'أشخاص', 'تاج', 'حدوتة', 'خرافة', 'قصة', 'ملكة'] }, skins: ['👸🏻', '👸🏼', '👸🏽', '👸🏾', '👸🏿'] },
+  { emoji: '👳', category: 'people', keywords: ['person wearing turban'], localized: { fr: ['personne en turban', 'homme avec turban', 'oriental', 'personne avec turban', 'turban', 'visage'], ar: ['رجل بعمامة', 'أشخاص', 'رجل', 'رجل يرتدي عمامة', 'شخص متعمم', 'شيخ', 'عمامة', 'متعمم', 'يتعمم'] }, skins: ['👳🏻', '👳🏼', '👳🏽', '👳🏾', '👳🏿'] },
+  { emoji: '👳‍♂️', category: 'people', keywords: ['man wearing turban'], localized: { fr: ['homme en turban', 'homme', 'turban'], ar: ['رجل يرتدي عمامة', 'رجل', 'عمامة'] }, skins: ['👳🏻‍♂️', '👳🏼‍♂️', '👳🏽‍♂️', '👳🏾‍♂️', '👳🏿‍♂️'] },
+  { emoji: '👳‍♀️', category: 'people', keywords: ['woman wearing turban'], localized: { fr: ['femme en turban', 'femme', 'femme avec turban', 'turban'], ar: ['سيدة ترتدي عمامة', 'امرأة', 'سيدة', 'عمامة'] }, skins: ['👳🏻‍♀️', '👳🏼‍♀️', '👳🏽‍♀️', '👳🏾‍♀️', '👳🏿‍♀️'] },
+  { emoji: '👲', category: 'people', keywords: ['person with skullcap'], localized: { fr: ['homme avec casquette chinoise', 'casquette mao', 'chapeau', 'homme'], ar: ['رجل بعمامة صينية', 'أشخاص', 'رجل', 'رجل يرتدي قبعة', 'غوا بي ماو', 'قبعة', 'قلنسوة'] }, skins: ['👲🏻', '👲🏼', '👲🏽', '👲🏾', '👲🏿'] },
+  { emoji: '🧕', category: 'people', keywords: ['woman with headscarf'], localized: { fr: ['femme avec foulard', 'bandana', 'femme avec un voile', 'foulard', 'hijab', 'mantilla', 'tichel', 'voile'], ar: ['امرأة محجّبة', 'حجاب', 'متحجبة', 'محجبة'] }, skins: ['🧕🏻', '🧕🏼', '🧕🏽', '🧕🏾', '🧕🏿'] },
+  { emoji: '🤵', category: 'people', keywords: ['person in tuxedo'], localized: { fr: ['personne en smoking', 'élégant', 'homme', 'marié', 'personne mariée', 'smoking'], ar: ['شخص ببدلة رسمية', 'بدلة', 'رجل', 'رجل بملابس سهرة', 'زوج', 'شخص', 'شخص بملابس سهرة', 'شخص في بدلة رسمية', 'عريس', 'ملابس سهرة'] }, skins: ['🤵🏻', '🤵🏼', '🤵🏽', '🤵🏾', '🤵🏿'] },
+  { emoji: '🤵‍♂️', category: 'people', keywords: ['man in tuxedo'], localized: { fr: ['homme en smoking', 'homme', 'smoking'], ar: ['رجل يرتدي بدلة رسمية', 'بدلة رسمية', 'رجل', 'رجل في بدلة رسمية'] }, skins: ['🤵🏻‍♂️', '🤵🏼‍♂️', '🤵🏽‍♂️', '🤵🏾‍♂️', '🤵🏿‍♂️'] },
+  { emoji: '🤵‍♀️', category: 'people', keywords: ['woman in tuxedo'], localized: { fr: ['femme en smoking', 'femme', 'smoking'], ar: ['امرأة ببدلة رسمية', 'امرأة', 'امرأة ترتدي بدلة رسمية', 'بدلة رسمية'] }, skins: ['🤵🏻‍♀️', '🤵🏼‍♀️', '🤵🏽‍♀️', '🤵🏾‍♀️', '🤵🏿‍♀️'] },
+  { emoji: '👰', category: 'people', keywords: ['person with veil'], localized: { fr: ['personne mariée avec voile', 'mariage', 'mariée', 'mariée avec voile', 'voile'], ar: ['عروس بطرحة', 'أشخاص', 'امرأة', 'حجاب', 'زفاف', 'زواج', 'زوجة', 'سيدة', 'طرحة', 'عرس', 'عروس', 'عروس بحجاب'] }, skins: ['👰🏻', '👰🏼', '👰🏽', '👰🏾', '👰🏿'] },
+  { emoji: '👰‍♂️', category: 'people', keywords: ['man with veil'], localized: { fr: ['homme avec voile', 'homme', 'voile'], ar: ['رجل بطرحة', 'رجل', 'رجل يرتدي طرحة', 'طرحة'] }, skins: ['👰🏻‍♂️', '👰🏼‍♂️', '👰🏽‍♂️', '👰🏾‍♂️', '👰🏿‍♂️'] },
+  { emoji: '👰‍♀️', category: 'people', keywords: ['woman with veil'], localized: { fr: ['femme avec voile', 'femme', 'voile'], ar: ['امرأة بطرحة', 'امرأة', 'امرأة ترتدي طرحة', 'طرحة'] }, skins: ['👰🏻‍♀️', '👰🏼‍♀️', '👰🏽‍♀️', '👰🏾‍♀️', '👰🏿‍♀️'] },
+  { emoji: '🤰', category: 'people', keywords: ['pregnant woman'], localized: { fr: ['femme enceinte', 'enceinte', 'femme'], ar: ['امرأة حامل', 'امرأة', 'بيبي', 'حامل', 'حبل', 'حبلة', 'سيدة'] }, skins: ['🤰🏻', '🤰🏼', '🤰🏽', '🤰🏾', '🤰🏿'] },
+  { emoji: '🫃', category: 'people', keywords: ['pregnant man'], localized: { fr: ['homme enceint', 'enceinte', 'grossesse', 'homme enceinte', 'personne enceinte', 'trop mangé', 'ventre'], ar: ['رجل حامل', 'بطن', 'حامل', 'ممتلئ', 'منتفخ'] }, skins: ['🫃🏻', '🫃🏼', '🫃🏽', '🫃🏾', '🫃🏿'] },
+  { emoji: '🫄', category: 'people', keywords: ['pregnant person'], localized: { fr: ['personne enceinte', 'enceinte', 'grossesse', 'trop mangé', 'ventre'], ar: ['شخص حامل', 'بطن', 'حامل', 'ممتلئ', 'منتفخ'] }, skins: ['🫄🏻', '🫄🏼', '🫄🏽', '🫄🏾', '🫄🏿'] },
+  { emoji: '🤱', category: 'people', keywords: ['breast-feeding'], localized: { fr: ['allaitement', 'bébé', 'maman', 'nourrice', 'nourrir le bébé', 'sein', 'soins'], ar: ['رضاعة', 'أم', 'أمومة', 'ترضيع', 'رضيع', 'شخص', 'صدر', 'طفل', 'مرضعة'] }, skins: ['🤱🏻', '🤱🏼', '🤱🏽', '🤱🏾', '🤱🏿'] },
+  { emoji: '👩‍🍼', category: 'people', keywords: ['woman feeding baby'], localized: { fr: ['femme allaitant un bébé', 'allaitement', 'bébé', 'biberon', 'femme', 'maman', 'mère', 'nounou', 'nouveau-né', 'personne'], ar: ['امرأة تُرضع طفلاً', 'أمومة', 'امرأة', 'تغذية', 'حليب', 'رضاعة', 'رضيع', 'رعاية', 'شخص', 'طفل', 'مولود'] }, skins: ['👩🏻‍🍼', '👩🏼‍🍼', '👩🏽‍🍼', '👩🏾‍🍼', '👩🏿‍🍼'] },
+  { emoji: '👨‍🍼', category: 'people', keywords: ['man feeding baby'], localized: { fr: ['homme allaitant un bébé', 'allaitement', 'bébé', 'biberon', 'homme', 'nouveau-né', 'papa', 'père', 'personne'], ar: ['رجل يُرضع طفلاً', 'أبوة', 'أمومة', 'تربية', 'رجل', 'رضاعة', 'رضيع', 'رعاية', 'شخص', 'طفل', 'مولود'] }, skins: ['👨🏻‍🍼', '👨🏼‍🍼', '👨🏽‍🍼', '👨🏾‍🍼', '👨🏿‍🍼'] },
+  { emoji: '🧑‍🍼', category: 'people', keywords: ['person feeding baby'], localized: { fr: ['personne allaitant un bébé', 'allaitement', 'bébé', 'biberon', 'homme', 'maman', 'mère', 'nounou', 'nouveau-né', 'papa', 'père', 'personne'], ar: ['شخص يُرضع طفلاً', 'أبوة', 'أمومة', 'تربية', 'رضاعة', 'رضيع', 'رعاية', 'شخص', 'طفل', 'مرضعة', 'مولود'] }, skins: ['🧑🏻‍🍼', '🧑🏼‍🍼', '🧑🏽‍🍼', '🧑🏾‍🍼', '🧑🏿‍🍼'] },
+  { emoji: '👼', category: 'people', keywords: ['baby angel'], localized: { fr: ['bébé ange', 'ailes', 'ange', 'auréole', 'bébé', 'église', 'émoticône', 'fantastique', 'visage'], ar: ['طفل ملاك', 'حدوتة', 'خرافة', 'قصة', 'كنيسة', 'ملاك', 'وجه'] }, skins: ['👼🏻', '👼🏼', '👼🏽', '👼🏾', '👼🏿'] },
+  { emoji: '🎅', category: 'people', keywords: ['santa claus'], localized: { fr: ['père noël', 'bonnet', 'fêtes', 'magie', 'noël', 'père', 'santa claus', 'tradition'], ar: ['بابا نويل', 'حدوتة', 'خرافة', 'سانتا', 'سانتا كلوز', 'عيد', 'عيد الميلاد', 'قصة'] }, skins: ['🎅🏻', '🎅🏼', '🎅🏽', '🎅🏾', '🎅🏿'] },
+  { emoji: '🤶', category: 'people', keywords: ['mrs. claus'], localized: { fr: ['mère noël', 'bonnet', 'fêtes', 'mère', 'noël', 'santa'], ar: ['سيدة سانتا كلوز', 'أم', 'سانتا', 'سانتا كلوز', 'عيد الميلاد', 'كريسماس', 'ماما نويل'] }, skins: ['🤶🏻', '🤶🏼', '🤶🏽', '🤶🏾', '🤶🏿'] },
+  { emoji: '🧑‍🎄', category: 'people', keywords: ['mx claus'], localized: { fr: ['santa', 'joyeux noël', 'noël', 'papa noël', 'père noël', 'personne', 'saint-nicolas'], ar: ['كلوز', 'أمنيات', 'بابا نويل', 'بهجة', 'رأس السنة', 'سانتا كلوز', 'شخص', 'عام جديد', 'عيد الميلاد', 'كريسماس', 'هدايا'] }, skins: ['🧑🏻‍🎄', '🧑🏼‍🎄', '🧑🏽‍🎄', '🧑🏾‍🎄', '🧑🏿‍🎄'] },
+  { emoji: '🦸', category: 'people', keywords: ['superhero'], localized: { fr: ['super-héros', 'bien', 'cape', 'force', 'heroïne', 'héroïne', 'héros', 'personnage', 'sauver le monde', 'super pouvoir', 'super-pouvoir', 'superhéros', 'superman', 'vengeur', 'voler'], ar: ['بطل خارق', 'باتمان', 'بطل', 'بطلة', 'خارق', 'سوبرمان', 'سوبرهيرو', 'طيب', 'قوة خارقة', 'قوي', 'منقذ'] }, skins: ['🦸🏻', '🦸🏼', '🦸🏽', '🦸🏾', '🦸🏿'] },
+  { emoji: '🦸‍♂️', category: 'people', keywords: ['man superhero'], localized: { fr: ['super-héros homme', 'bien', 'héros', 'homme', 'super-pouvoir'], ar: ['بطل خارق رجل', 'بطل', 'رجل', 'طيب', 'قوة خارقة'] }, skins: ['🦸🏻‍♂️', '🦸🏼‍♂️', '🦸🏽‍♂️', '🦸🏾‍♂️', '🦸🏿‍♂️'] },
+  { emoji: '🦸‍♀️', category: 'people', keywords: ['woman superhero'], localized: { fr: ['super-héroïne', 'bien', 'femme', 'héroïne', 'héros', 'super-pouvoir'], ar: ['بطلة خارقة', 'بطل', 'بطلة', 'سيدة', 'طيب', 'قوة خارقة'] }, skins: ['🦸🏻‍♀️', '🦸🏼‍♀️', '🦸🏽‍♀️', '🦸🏾‍♀️', '🦸🏿‍♀️'] },
+  { emoji: '🦹', category: 'people', keywords: ['supervillain'], localized: { fr: ['super-vilain', 'cape', 'criminel', 'déguisement', 'diabolique', 'mal', 'mauvais', 'méchant', 'personnage', 'super pouvoir', 'super vilain', 'super-pouvoir'], ar: ['شرير خارق', 'أشخاص', 'إجرامي', 'بطل', 'جريمة', 'خارق', 'سيء', 'شر', 'شرير', 'شريرة', 'قوة خارقة', 'قوى خارقة', 'مؤذ', 'مجرم', 'هيرو'] }, skins: ['🦹🏻', '🦹🏼', '🦹🏽', '🦹🏾', '🦹🏿'] },
+  { emoji: '🦹‍♂️', category: 'people', keywords: ['man supervillain'], localized: { fr: ['super-vilain homme', 'criminel', 'homme', 'mal', 'méchant', 'super-pouvoir'], ar: ['شرير خارق رجل', 'جريمة', 'رجل', 'شر', 'شرير', 'قوة خارقة', 'مجرم'] }, skins: ['🦹🏻‍♂️', '🦹🏼‍♂️', '🦹🏽‍♂️', '🦹🏾‍♂️', '🦹🏿‍♂️'] },
+  { emoji: '🦹‍♀️', category: 'people', keywords: ['woman supervillain'], localized: { fr: ['super-vilain femme', 'criminelle', 'femme', 'mal', 'méchante', 'super-pouvoir'], ar: ['شريرة خارقة', 'جريمة', 'شر', 'شريرة', 'قوة خارقة', 'مجرمة'] }, skins: ['🦹🏻‍♀️', '🦹🏼‍♀️', '🦹🏽‍♀️', '🦹🏾‍♀️', '🦹🏿‍♀️'] },
+  { emoji: '🧙', category: 'people', keywords: ['mage'], localized: { fr: ['mage', 'chapeau', 'enchantement', 'ensorceleur', 'envoûtement', 'jeu de rôle', 'magicien', 'personnage', 'sorcier', 'sorcière', 'sortilège'], ar: ['سحرة', 'أساطير', 'أشخاص', 'تعويذة', 'حكايات', 'ساحر', 'سحر', 'شعوذة', 'عراب', 'عراف', 'مشعوذ'] }, skins: ['🧙🏻', '🧙🏼', '🧙🏽', '🧙🏾', '🧙🏿'] },
+  { emoji: '🧙‍♂️', category: 'people', keywords: ['man mage'], localized: { fr: ['mage homme', 'magicien', 'sorcier'], ar: ['ساحر'] }, skins: ['🧙🏻‍♂️', '🧙🏼‍♂️', '🧙🏽‍♂️', '🧙🏾‍♂️', '🧙🏿‍♂️'] },
+  { emoji: '🧙‍♀️', category: 'people', keywords: ['woman mage'], localized: { fr: ['mage femme', 'ensorceleuse', 'sorcière'], ar: ['ساحرة'] }, skins: ['🧙🏻‍♀️', '🧙🏼‍♀️', '🧙🏽‍♀️', '🧙🏾‍♀️', '🧙🏿‍♀️'] },
+  { emoji: '🧚', category: 'people', keywords: ['fairy'], localized: { fr: ['personnage féérique', 'ailes', 'déguisement', 'fée', 'fée clochette', 'féerie', 'magie', 'obéron', 'puck', 'titania', 'voler'], ar: ['جنيّة خيالية', 'أجنحة', 'أساطير', 'أشخاص', 'بيتر بان', 'تنة ورنة', 'جنية', 'جنيّة', 'حكايات', 'عرابة'] }, skins: ['🧚🏻', '🧚🏼', '🧚🏽', '🧚🏾', '🧚🏿'] },
+  { emoji: '🧚‍♂️', category: 'people', keywords: ['man fairy'], localized: { fr: ['féetaud', 'obéron', 'puck'], ar: ['جنّي'] }, skins: ['🧚🏻‍♂️', '🧚🏼‍♂️', '🧚🏽‍♂️', '🧚🏾‍♂️', '🧚🏿‍♂️'] },
+  { emoji: '🧚‍♀️', category: 'people', keywords: ['woman fairy'], localized: { fr: ['fée', 'titania'], ar: ['جنّية'] }, skins: ['🧚🏻‍♀️', '🧚🏼‍♀️', '🧚🏽‍♀️', '🧚🏾‍♀️', '🧚🏿‍♀️'] },
+  { emoji: '🧛', category: 'people', keywords: ['vampire'], localized: { fr: ['vampire', 'canines', 'cape', 'conte', 'déguisement', 'dents', 'dracula', 'halloween', 'mort-vivant', 'personnage', 'sang'], ar: ['مصّاص دماء', 'أساطير', 'أسنان', 'أشخاص', 'أنياب', 'خيال', 'دراكولا', 'دم', 'فامباير', 'مصاص دماء'] }, skins: ['🧛🏻', '🧛🏼', '🧛🏽', '🧛🏾', '🧛🏿'] },
+  { emoji: '🧛‍♂️', category: 'people', keywords: ['man vampire'], localized: { fr: ['vampire homme', 'dracula', 'mort-vivant'], ar: ['مصاص دماء'] }, skins: ['🧛🏻‍♂️', '🧛🏼‍♂️', '🧛🏽‍♂️', '🧛🏾‍♂️', '🧛🏿‍♂️'] },
+  { emoji: '🧛‍♀️', category: 'people', keywords: ['woman vampire'], localized: { fr: ['vampire femme', 'morte-vivante'], ar: ['مصّاصة دماء'] }, skins: ['🧛🏻‍♀️', '🧛🏼‍♀️', '🧛🏽‍♀️', '🧛🏾‍♀️', '🧛🏿‍♀️'] },
+  { emoji: '🧜', category: 'people', keywords: ['merperson'], localized: { fr: ['créature aquatique', 'ariel', 'folklore', 'mer', 'océan', 'personnage', 'petite sirène', 'queue de poisson', 'sirène', 'trident', 'triton'], ar: ['مخلوق بحري بجسد بشري وذيل سمكة', 'أشخاص', 'جنية بحر', 'حكايات', 'حورية', 'عروس البحر', 'فولكلور', 'قصص خيالية', 'كائن بحري بجسد بشري وذيل سمكة'] }, skins: ['🧜🏻', '🧜🏼', '🧜🏽', '🧜🏾', '🧜🏿'] },
+  { emoji: '🧜‍♂️', category: 'people', keywords: ['merman'], localized: { fr: ['triton'], ar: ['مخلوق له جسد رجل وذيل سمكة'] }, skins: ['🧜🏻‍♂️', '🧜🏼‍♂️', '🧜🏽‍♂️', '🧜🏾‍♂️', '🧜🏿‍♂️'] },
+  { emoji: '🧜‍♀️', category: 'people', keywords: ['mermaid'], localized: { fr: ['sirène'], ar: ['حورية بحر', 'عروسة البحر'] }, skins: ['🧜🏻‍♀️', '🧜🏼‍♀️', '🧜🏽‍♀️', '🧜🏾‍♀️', '🧜🏿‍♀️'] },
+  { emoji: '🧝', category: 'people', keywords: ['elf'], localized: { fr: ['elfe', 'conte', 'elf', 'le seigneur des anneaux', 'legolas', 'magique', 'oreilles', 'personnage'], ar: ['جنّي صغير', 'أساطير', 'أشخاص', 'إلف', 'إيلف', 'جني', 'خيال', 'عفريت', 'كائن سحري', 'ليغولاس', 'مخلوق سحري'] }, skins: ['🧝🏻', '🧝🏼', '🧝🏽', '🧝🏾', '🧝🏿'] },
+  { emoji: '🧝‍♂️', category: 'people', keywords: ['man elf'], localized: { fr: ['elfe homme', 'magique'], ar: ['جنّي صغير ذكر', 'ذكر إلف', 'ذكر إيلف', 'كائن سحري', 'مخلوق سحري'] }, skins: ['🧝🏻‍♂️', '🧝🏼‍♂️', '🧝🏽‍♂️', '🧝🏾‍♂️', '🧝🏿‍♂️'] },
+  { emoji: '🧝‍♀️', category: 'people', keywords: ['woman elf'], localized: { fr: ['elfe femme', 'magique'], ar: ['جنيّة صغيرة', 'أنثى إلف', 'أنثى إيلف', 'كائن سحري', 'مخلوقة سحرية'] }, skins: ['🧝🏻‍♀️', '🧝🏼‍♀️', '🧝🏽‍♀️', '🧝🏾‍♀️', '🧝🏿‍♀️'] },
+  { emoji: '🧞', category: 'people', keywords: ['genie'], localized: { fr: ['génie', 'aladin', 'djinn', 'homme génie', 'lampe magique', 'magie', 'personnage', 'souhait', 'voeu', 'vœu'], ar: ['مارد سحري', 'أساطير', 'أشخاص', 'أمنيات', 'جن', 'جني', 'حكايات', 'عفريت', 'علاء الدين', 'مصباح'] } },
+  { emoji: '🧞‍♂️', category: 'people', keywords: ['man genie'], localized: { fr: ['génie homme', 'djinn'], ar: ['مارد'] } },
+  { emoji: '🧞‍♀️', category: 'people', keywords: ['woman genie'], localized: { fr: ['génie femme', 'djinn'], ar: ['ماردة'] } },
+  { emoji: '🧟', category: 'people', keywords: ['zombie'], localized: { fr: ['zombie', 'effrayant', 'flippant', 'halloween', 'horreur', 'mort vivant', 'mort-vivant', 'personnage', 'peur'], ar: ['زومبي', 'أشخاص', 'رعب', 'مخيف', 'مرعب', 'مفزع', 'موتى أحياء'] } },
+  { emoji: '🧟‍♂️', category: 'people', keywords: ['man zombie'], localized: { fr: ['zombie homme', 'mort-vivant'], ar: ['رجل زومبي'] } },
+  { emoji: '🧟‍♀️', category: 'people', keywords: ['woman zombie'], localized: { fr: ['zombie femme', 'morte-vivante'], ar: ['امرأة زومبي'] } },
+  { emoji: '🧌', category: 'people', keywords: ['troll'], localized: { fr: ['troll', 'conte de fées', 'légende', 'monstre', 'mythe', 'troller'], ar: ['الترول', 'بعبع', 'شبح', 'وحش'] } },
+  { emoji: '🫈', category: 'people', keywords: ['hairy creature'], localized: { fr: ['créature velue', 'bigfoot', 'cryptide', 'forêt', 'géant', 'homme sauvage', 'poilu', 'sasquatch', 'yéti'], ar: ['كائن مشعر', 'إنسان بربري', 'بيغ فوت', 'ساسكواتش', 'عملاق', 'غول', 'مخلوق ضخم'] } },
+  { emoji: '💆', category: 'people', keywords: ['person getting massage'], localized: { fr: ['personne qui se fait masser', 'détente', 'femme qui se fait masser', 'fermer les yeux', 'massage', 'relaxation', 'repos', 'salon', 'tête', 'thérapie', 'visage', 'zen'], ar: ['شخص يحصل على مساج', 'أشخاص', 'استرخاء', 'امرأة', 'تدليك', 'راحة', 'صالون', 'صداع', 'علاج', 'مساج', 'وجع رأس'] }, skins: ['💆🏻', '💆🏼', '💆🏽', '💆🏾', '💆🏿'] },
+  { emoji: '💆‍♂️', category: 'people', keywords: ['man getting massage'], localized: { fr: ['homme qui se fait masser', 'apaiser', 'homme', 'homme qui se fait masser le visage', 'mal de tête', 'massage', 'migraine', 'relaxation', 'salon', 'tension', 'visage'], ar: ['تدليك لرجل', 'ارتخاء', 'تدليك', 'توتر', 'رلاكس', 'صالون', 'صداع', 'مرتخي', 'مساج', 'وجع رأس'] }, skins: ['💆🏻‍♂️', '💆🏼‍♂️', '💆🏽‍♂️', '💆🏾‍♂️', '💆🏿‍♂️'] },
+  { emoji: '💆‍♀️', category: 'people', keywords: ['woman getting massage'], localized: { fr: ['femme qui se fait masser', 'femme', 'massage', 'visage'], ar: ['تدليك لسيدة', 'تدليك', 'مساج'] }, skins: ['💆🏻‍♀️', '💆🏼‍♀️', '💆🏽‍♀️', '💆🏾‍♀️', '💆🏿‍♀️'] },
+  { emoji: '💇', category: 'people', keywords: ['person getting haircut'], localized: { fr: ['personne qui se fait couper les cheveux', 'barbier', 'beauté', 'cheveux', 'ciseaux', 'coiffure', 'coupe de cheveux', 'couper', 'femme qui se fait couper les cheveux', 'personne', 'salon', 'style'], ar: ['شخص يُقص شعره', 'أشخاص', 'امرأة', 'تجميل', 'جمال', 'حلاق', 'حلاقة الشعر', 'شعر', 'صالون تجميل', 'قص الشعر', 'محل حلاقة'] }, skins: ['💇🏻', '💇🏼', '💇🏽', '💇🏾', '💇🏿'] },
+  { emoji: '💇‍♂️', category: 'people', keywords: ['man getting haircut'], localized: { fr: ['homme qui se fait couper les cheveux', 'coiffeur', 'coiffure', 'coupe de cheveux', 'couper les cheveux', 'homme', 'homme chez le coiffeur', 'salon de coiffure'], ar: ['يقص شعره', 'تجميل', 'حلاق', 'شعر', 'صالون', 'قص شعر', 'قصة شعر'] }, skins: ['💇🏻‍♂️', '💇🏼‍♂️', '💇🏽‍♂️', '💇🏾‍♂️', '💇🏿‍♂️'] },
+  { emoji: '💇‍♀️', category: 'people', keywords: ['woman getting haircut'], localized: { fr: ['femme qui se fait couper les cheveux', 'coiffure', 'femme'], ar: ['تقص شعرها', 'قص شعر'] }, skins: ['💇🏻‍♀️', '💇🏼‍♀️', '💇🏽‍♀️', '💇🏾‍♀️', '💇🏿‍♀️'] },
+  { emoji: '🚶', category: 'people', keywords: ['person walking'], localized: { fr: ['personne qui marche', 'balade', 'en route', 'flâner', 'homme', 'marche', 'marcher', 'nonchalant', 'personne', 'piéton', 'promenade', 'se balader'], ar: ['شخص يسير', 'أشخاص', 'خطوات', 'سير', 'كزدرة', 'كزدورة', 'مشي', 'نزهة'] }, skins: ['🚶🏻', '🚶🏼', '🚶🏽', '🚶🏾', '🚶🏿'] },
+  { emoji: '🚶‍♂️', category: 'people', keywords: ['man walking'], localized: { fr: ['homme qui marche', 'homme', 'marche', 'piéton'], ar: ['سائر', 'ماشٍ', 'مترجل'] }, skins: ['🚶🏻‍♂️', '🚶🏼‍♂️', '🚶🏽‍♂️', '🚶🏾‍♂️', '🚶🏿‍♂️'] },
+  { emoji: '🚶‍♀️', category: 'people', keywords: ['woman walking'], localized: { fr: ['femme qui marche', 'femme', 'marche', 'marcher', 'piétonne', 'randonneuse'], ar: ['سائرة', 'امرأة', 'تمشي', 'ماشية', 'مترجلة'] }, skins: ['🚶🏻‍♀️', '🚶🏼‍♀️', '🚶🏽‍♀️', '🚶🏾‍♀️', '🚶🏿‍♀️'] },
+  { emoji: '🚶‍➡️', category: 'people', keywords: ['person walking facing right'], localized: { fr: ['personne qui marche vers la droite', 'balade', 'droite', 'en route', 'flâner', 'homme', 'la', 'marche', 'marcher', 'nonchalant', 'personne', 'personne qui marche', 'piéton', 'promenade', 'se balader', 'vers'], ar: ['شخص يسير متجه لليمين', 'أشخاص', 'خطوات', 'سير', 'شخص يسير', 'كزدرة', 'كزدورة', 'لليمين', 'متجه', 'مشي', 'نزهة'] }, skins: ['🚶🏻‍➡️', '🚶🏼‍➡️', '🚶🏽‍➡️', '🚶🏾‍➡️', '🚶🏿‍➡️'] },
+  { emoji: '🚶‍♀️‍➡️', category: 'people', keywords: ['woman walking facing right'], localized: { fr: ['femme qui marche vers la droite', 'droite', 'femme', 'femme qui marche', 'la', 'marche', 'marcher', 'piétonne', 'randonneuse', 'vers'], ar: ['سائرة متجه لليمين', 'امرأة', 'تمشي', 'سائرة', 'لليمين', 'ماشية', 'متجه', 'مترجلة'] }, skins: ['🚶🏻‍♀️‍➡️', '🚶🏼‍♀️‍➡️', '🚶🏽‍♀️‍➡️', '🚶🏾‍♀️‍➡️', '🚶🏿‍♀️‍➡️'] },
+  { emoji: '🚶‍♂️‍➡️', category: 'people', keywords: ['man walking facing right'], localized: { fr: ['homme qui marche vers la droite', 'droite', 'homme', 'homme qui marche', 'la', 'marche', 'piéton', 'vers'], ar: ['سائر متجه لليمين', 'سائر', 'لليمين', 'ماشٍ', 'متجه', 'مترجل'] }, skins: ['🚶🏻‍♂️‍➡️', '🚶🏼‍♂️‍➡️', '🚶🏽‍♂️‍➡️', '🚶🏾‍♂️‍➡️', '🚶🏿‍♂️‍➡️'] },
+  { emoji: '🧍', category: 'people', keywords: ['person standing'], localized: { fr: ['personne debout', 'debout'], ar: ['شخص واقف', 'طفل', 'مهذب', 'واقف', 'وقوف', 'يخفي يديه', 'يقف'] }, skins: ['🧍🏻', '🧍🏼', '🧍🏽', '🧍🏾', '🧍🏿'] },
+  { emoji: '🧍‍♂️', category: 'people', keywords: ['man standing'], localized: { fr: ['homme debout', 'debout', 'homme'], ar: ['رجل واقف', 'رجل', 'واقف', 'وقوف', 'يقف'] }, skins: ['🧍🏻‍♂️', '🧍🏼‍♂️', '🧍🏽‍♂️', '🧍🏾‍♂️', '🧍🏿‍♂️'] },
+  { emoji: '🧍‍♀️', category: 'people', keywords: ['woman standing'], localized: { fr: ['femme debout', 'debout', 'femme'], ar: ['سيدة واقفة', 'تقف', 'سيدة', 'واقفة', 'وقوف'] }, skins: ['🧍🏻‍♀️', '🧍🏼‍♀️', '🧍🏽‍♀️', '🧍🏾‍♀️', '🧍🏿‍♀️'] },
+  { emoji: '🧎', category: 'people', keywords: ['person kneeling'], localized: { fr: ['personne à genoux', 'à genoux', 'prière', 'religion'], ar: ['شخص جالس على ركبتيه', 'تشهد', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع', 'شخص', 'صلاة', 'طفل', 'على ركبتين', 'يصلي'] }, skins: ['🧎🏻', '🧎🏼', '🧎🏽', '🧎🏾', '🧎🏿'] },
+  { emoji: '🧎‍♂️', category: 'people', keywords: ['man kneeling'], localized: { fr: ['homme à genoux', 'à genoux', 'homme'], ar: ['رجل جالس على ركبتيه', 'رجل', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع'] }, skins: ['🧎🏻‍♂️', '🧎🏼‍♂️', '🧎🏽‍♂️', '🧎🏾‍♂️', '🧎🏿‍♂️'] },
+  { emoji: '🧎‍♀️', category: 'people', keywords: ['woman kneeling'], localized: { fr: ['femme à genoux', 'à genoux', 'femme'], ar: ['سيدة جالسة على ركبتيها', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع', 'سيدة'] }, skins: ['🧎🏻‍♀️', '🧎🏼‍♀️', '🧎🏽‍♀️', '🧎🏾‍♀️', '🧎🏿‍♀️'] },
+  { emoji: '🧎‍➡️', category: 'people', keywords: ['person kneeling facing right'], localized: { fr: ['personne à genoux vers la droite', 'à genoux', 'droite', 'la', 'personne à genoux', 'prière', 'religion', 'vers'], ar: ['شخص جالس على ركبتيه متجه لليمين', 'تشهد', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع', 'شخص', 'شخص جالس على ركبتيه', 'صلاة', 'طفل', 'على ركبتين', 'لليمين', 'متجه', 'يصلي'] }, skins: ['🧎🏻‍➡️', '🧎🏼‍➡️', '🧎🏽‍➡️', '🧎🏾‍➡️', '🧎🏿‍➡️'] },
+  { emoji: '🧎‍♀️‍➡️', category: 'people', keywords: ['woman kneeling facing right'], localized: { fr: ['femme à genoux vers la droite', 'à genoux', 'droite', 'femme', 'femme à genoux', 'la', 'vers'], ar: ['سيدة جالسة على ركبتيها متجه لليمين', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع', 'سيدة', 'سيدة جالسة على ركبتيها', 'لليمين', 'متجه'] }, skins: ['🧎🏻‍♀️‍➡️', '🧎🏼‍♀️‍➡️', '🧎🏽‍♀️‍➡️', '🧎🏾‍♀️‍➡️', '🧎🏿‍♀️‍➡️'] },
+  { emoji: '🧎‍♂️‍➡️', category: 'people', keywords: ['man kneeling facing right'], localized: { fr: ['homme à genoux vers la droite', 'à genoux', 'droite', 'homme', 'homme à genoux', 'la', 'vers'], ar: ['رجل جالس على ركبتيه متجه لليمين', 'رجل', 'رجل جالس على ركبتيه', 'ركبة', 'ركبتان', 'ركبتين', 'ركوع', 'لليمين', 'متجه'] }, skins: ['🧎🏻‍♂️‍➡️', '🧎🏼‍♂️‍➡️', '🧎🏽‍♂️‍➡️', '🧎🏾‍♂️‍➡️', '🧎🏿‍♂️‍➡️'] },
+  { emoji: '🧑‍🦯', category: 'people', keywords: ['person with white cane'], localized: { fr: ['personne avec une canne blanche', 'accessibilité', 'aveugle'], ar: ['شخص مع عصا سير', 'أعمى', 'احتياجات خاصة', 'ضرير', 'كفيف'] }, skins: ['🧑🏻‍🦯', '🧑🏼‍🦯', '🧑🏽‍🦯', '🧑🏾‍🦯', '🧑🏿‍🦯'] },
+  { emoji: '🧑‍🦯‍➡️', category: 'people', keywords: ['person with white cane facing right'], localized: { fr: ['personne avec une canne blanche vers la droite', 'accessibilité', 'aveugle', 'droite', 'la', 'personne avec une canne blanche', 'vers'], ar: ['شخص مع عصا سير متجه لليمين', 'أعمى', 'احتياجات خاصة', 'شخص مع عصا سير', 'ضرير', 'كفيف', 'لليمين', 'متجه'] }, skins: ['🧑🏻‍🦯‍➡️', '🧑🏼‍🦯‍➡️', '🧑🏽‍🦯‍➡️', '🧑🏾‍🦯‍➡️', '🧑🏿‍🦯‍➡️'] },
+  { emoji: '👨‍🦯', category: 'people', keywords: ['man with white cane'], localized: { fr: ['homme avec canne blanche', 'accessibilité', 'aveugle', 'déficient visuel', 'handicap', 'handicap visuel', 'homme', 'malvoyant'], ar: ['رجل بعصا سير', 'أعمى', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'ذو احتياجات', 'رجل', 'شخص', 'ضرير', 'كفيف', 'مشي', 'معاق', 'مكفوف', 'يمشي'] }, skins: ['👨🏻‍🦯', '👨🏼‍🦯', '👨🏽‍🦯', '👨🏾‍🦯', '👨🏿‍🦯'] },
+  { emoji: '👨‍🦯‍➡️', category: 'people', keywords: ['man with white cane facing right'], localized: { fr: ['homme avec canne blanche vers la droite', 'accessibilité', 'aveugle', 'déficient visuel', 'droite', 'handicap', 'handicap visuel', 'homme', 'homme avec canne blanche', 'la', 'malvoyant', 'vers'], ar: ['رجل بعصا سير متجه لليمين', 'أعمى', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'ذو احتياجات', 'رجل', 'رجل بعصا سير', 'شخص', 'ضرير', 'كفيف', 'لليمين', 'متجه', 'مشي', 'معاق', 'مكفوف', 'يمشي'] }, skins: ['👨🏻‍🦯‍➡️', '👨🏼‍🦯‍➡️', '👨🏽‍🦯‍➡️', '👨🏾‍🦯‍➡️', '👨🏿‍🦯‍➡️'] },
+  { emoji: '👩‍🦯', category: 'people', keywords: ['woman with white cane'], localized: { fr: ['femme avec canne blanche', 'accessibilité', 'aveugle', 'déficiente visuelle', 'femme', 'handicap', 'malvoyante'], ar: ['سيدة بعصا سير', 'أعمى', 'إمكانية الوصول', 'احتياجات خاصة', 'ذات احتياجات', 'سيدة', 'شخص', 'ضريرة', 'عصا بيضاء', 'عمياء', 'كفيفة', 'معاقة'] }, skins: ['👩🏻‍🦯', '👩🏼‍🦯', '👩🏽‍🦯', '👩🏾‍🦯', '👩🏿‍🦯'] },
+  { emoji: '👩‍🦯‍➡️', category: 'people', keywords: ['woman with white cane facing right'], localized: { fr: ['femme avec canne blanche vers la droite', 'accessibilité', 'aveugle', 'déficiente visuelle', 'droite', 'femme', 'femme avec canne blanche', 'handicap', 'la', 'malvoyante', 'vers'], ar: ['سيدة بعصا سير متجه لليمين', 'أعمى', 'إمكانية الوصول', 'احتياجات خاصة', 'ذات احتياجات', 'سيدة', 'سيدة بعصا سير', 'شخص', 'ضريرة', 'عصا بيضاء', 'عمياء', 'كفيفة', 'لليمين', 'متجه', 'معاقة'] }, skins: ['👩🏻‍🦯‍➡️', '👩🏼‍🦯‍➡️', '👩🏽‍🦯‍➡️', '👩🏾‍🦯‍➡️', '👩🏿‍🦯‍➡️'] },
+  { emoji: '🧑‍🦼', category: 'people', keywords: ['person in motorized wheelchair'], localized: { fr: ['personne en fauteuil motorisé', 'accessibilité', 'fauteuil roulant'], ar: ['شخص على كرسي متحرك كهربائي', 'احتياجات خاصة', 'كرسي متحرك'] }, skins: ['🧑🏻‍🦼', '🧑🏼‍🦼', '🧑🏽‍🦼', '🧑🏾‍🦼', '🧑🏿‍🦼'] },
+  { emoji: '🧑‍🦼‍➡️', category: 'people', keywords: ['person in motorized wheelchair facing right'], localized: { fr: ['personne en fauteuil motorisé vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'la', 'personne en fauteuil motorisé', 'vers'], ar: ['شخص على كرسي متحرك كهربائي متجه لليمين', 'احتياجات خاصة', 'شخص على كرسي متحرك كهربائي', 'كرسي متحرك', 'لليمين', 'متجه'] }, skins: ['🧑🏻‍🦼‍➡️', '🧑🏼‍🦼‍➡️', '🧑🏽‍🦼‍➡️', '🧑🏾‍🦼‍➡️', '🧑🏿‍🦼‍➡️'] },
+  { emoji: '👨‍🦼', category: 'people', keywords: ['man in motorized wheelchair'], localized: { fr: ['homme en fauteuil motorisé', 'accessibilité', 'fauteuil roulant', 'handicap', 'homme'], ar: ['رجل على كرسي متحرك كهربائي', 'إمكانية الوصول', 'احتياجات خاصة', 'رجل', 'شخص', 'طب', 'قعيد', 'كرسي متحرك', 'مقعد', 'وسيلة'] }, skins: ['👨🏻‍🦼', '👨🏼‍🦼', '👨🏽‍🦼', '👨🏾‍🦼', '👨🏿‍🦼'] },
+  { emoji: '👨‍🦼‍➡️', category: 'people', keywords: ['man in motorized wheelchair facing right'], localized: { fr: ['homme en fauteuil motorisé vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'handicap', 'homme', 'homme en fauteuil motorisé', 'la', 'vers'], ar: ['رجل على كرسي متحرك كهربائي متجه لليمين', 'إمكانية الوصول', 'احتياجات خاصة', 'رجل', 'رجل على كرسي متحرك كهربائي', 'شخص', 'طب', 'قعيد', 'كرسي متحرك', 'لليمين', 'متجه', 'مقعد', 'وسيلة'] }, skins: ['👨🏻‍🦼‍➡️', '👨🏼‍🦼‍➡️', '👨🏽‍🦼‍➡️', '👨🏾‍🦼‍➡️', '👨🏿‍🦼‍➡️'] },
+  { emoji: '👩‍🦼', category: 'people', keywords: ['woman in motorized wheelchair'], localized: { fr: ['femme en fauteuil motorisé', 'accessibilité', 'fauteuil roulant', 'femme', 'handicap'], ar: ['سيدة على كرسي متحرك كهربائي', 'إمكانية الوصول', 'احتياجات خاصة', 'سيدة', 'شخص', 'طب', 'قعيدة', 'كرسي متحرك', 'معاق', 'مقعدة', 'وسيلة'] }, skins: ['👩🏻‍🦼', '👩🏼‍🦼', '👩🏽‍🦼', '👩🏾‍🦼', '👩🏿‍🦼'] },
+  { emoji: '👩‍🦼‍➡️', category: 'people', keywords: ['woman in motorized wheelchair facing right'], localized: { fr: ['femme en fauteuil motorisé vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'femme', 'femme en fauteuil motorisé', 'handicap', 'la', 'vers'], ar: ['سيدة على كرسي متحرك كهربائي متجه لليمين', 'إمكانية الوصول', 'احتياجات خاصة', 'سيدة', 'سيدة على كرسي متحرك كهربائي', 'شخص', 'طب', 'قعيدة', 'كرسي متحرك', 'لليمين', 'متجه', 'معاق', 'مقعدة', 'وسيلة'] }, skins: ['👩🏻‍🦼‍➡️', '👩🏼‍🦼‍➡️', '👩🏽‍🦼‍➡️', '👩🏾‍🦼‍➡️', '👩🏿‍🦼‍➡️'] },
+  { emoji: '🧑‍🦽', category: 'people', keywords: ['person in manual wheelchair'], localized: { fr: ['personne en fauteuil roulant manuel', 'accessibilité', 'fauteuil roulant'], ar: ['شخص على كرسي متحرك يدوي', 'احتياجات خاصة', 'كرسي متحرك'] }, skins: ['🧑🏻‍🦽', '🧑🏼‍🦽', '🧑🏽‍🦽', '🧑🏾‍🦽', '🧑🏿‍🦽'] },
+  { emoji: '🧑‍🦽‍➡️', category: 'people', keywords: ['person in manual wheelchair facing right'], localized: { fr: ['personne en fauteuil roulant manuel vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'la', 'personne en fauteuil roulant manuel', 'vers'], ar: ['شخص على كرسي متحرك يدوي متجه لليمين', 'احتياجات خاصة', 'شخص على كرسي متحرك يدوي', 'كرسي متحرك', 'لليمين', 'متجه'] }, skins: ['🧑🏻‍🦽‍➡️', '🧑🏼‍🦽‍➡️', '🧑🏽‍🦽‍➡️', '🧑🏾‍🦽‍➡️', '🧑🏿‍🦽‍➡️'] },
+  { emoji: '👨‍🦽', category: 'people', keywords: ['man in manual wheelchair'], localized: { fr: ['homme en fauteuil roulant manuel', 'accessibilité', 'fauteuil roulant', 'handicap', 'homme'], ar: ['رجل على كرسي متحرك يدوي', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'رجل', 'شخص', 'قعيد', 'كرسي بعجل', 'كرسي متحرك', 'معاق', 'مقعد'] }, skins: ['👨🏻‍🦽', '👨🏼‍🦽', '👨🏽‍🦽', '👨🏾‍🦽', '👨🏿‍🦽'] },
+  { emoji: '👨‍🦽‍➡️', category: 'people', keywords: ['man in manual wheelchair facing right'], localized: { fr: ['homme en fauteuil roulant manuel vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'handicap', 'homme', 'homme en fauteuil roulant manuel', 'la', 'vers'], ar: ['رجل على كرسي متحرك يدوي متجه لليمين', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'رجل', 'رجل على كرسي متحرك يدوي', 'شخص', 'قعيد', 'كرسي بعجل', 'كرسي متحرك', 'لليمين', 'متجه', 'معاق', 'مقعد'] }, skins: ['👨🏻‍🦽‍➡️', '👨🏼‍🦽‍➡️', '👨🏽‍🦽‍➡️', '👨🏾‍🦽‍➡️', '👨🏿‍🦽‍➡️'] },
+  { emoji: '👩‍🦽', category: 'people', keywords: ['woman in manual wheelchair'], localized: { fr: ['femme en fauteuil roulant manuel', 'accessibilité', 'fauteuil roulant', 'femme', 'handicap'], ar: ['سيدة على كرسي متحرك يدوي', 'إمكانية الوصول', 'احتياجات خاصة', 'سيدة', 'شخص', 'قعيدة', 'كرسي متحرك', 'مقعدة', 'وسيلة'] }, skins: ['👩🏻‍🦽', '👩🏼‍🦽', '👩🏽‍🦽', '👩🏾‍🦽', '👩🏿‍🦽'] },
+  { emoji: '👩‍🦽‍➡️', category: 'people', keywords: ['woman in manual wheelchair facing right'], localized: { fr: ['femme en fauteuil roulant manuel vers la droite', 'accessibilité', 'droite', 'fauteuil roulant', 'femme', 'femme en fauteuil roulant manuel', 'handicap', 'la', 'vers'], ar: ['سيدة على كرسي متحرك يدوي متجه لليمين', 'إمكانية الوصول', 'احتياجات خاصة', 'سيدة', 'سيدة على كرسي متحرك يدوي', 'شخص', 'قعيدة', 'كرسي متحرك', 'لليمين', 'متجه', 'مقعدة', 'وسيلة'] }, skins: ['👩🏻‍🦽‍➡️', '👩🏼‍🦽‍➡️', '👩🏽‍🦽‍➡️', '👩🏾‍🦽‍➡️', '👩🏿‍🦽‍➡️'] },
+  { emoji: '🏃', category: 'people', keywords: ['person running'], localized: { fr: ['personne qui court', 'arriver', 'coureur', 'courir', 'course à pied', 'homme qui court', 'jogging', 'marathon', 'marathonien', 'pressé', 'rapide', 'sportif', 'vite'], ar: ['شخص يجري', 'أشخاص', 'جري', 'حركة', 'ركض', 'رياضة', 'سريع', 'عدّاء', 'ماراثون', 'مستعجل'] }, skins: ['🏃🏻', '🏃🏼', '🏃🏽', '🏃🏾', '🏃🏿'] },
+  { emoji: '🏃‍♂️', category: 'people', keywords: ['man running'], localized: { fr: ['homme qui court', 'course à pied', 'homme', 'jogging', 'marathon'], ar: ['راكض', 'يجري', 'يركض', 'يعدو'] }, skins: ['🏃🏻‍♂️', '🏃🏼‍♂️', '🏃🏽‍♂️', '🏃🏾‍♂️', '🏃🏿‍♂️'] },
+  { emoji: '🏃‍♀️', category: 'people', keywords: ['woman running'], localized: { fr: ['femme qui court', 'course à pied', 'femme', 'joggeuse', 'jogging', 'marathon', 'running', 'se dépêcher', 'vite', 'vitesse'], ar: ['راكضة', 'آتية', 'امرأة', 'تجري', 'تركض', 'تعدو', 'ركض', 'سرعة', 'سريعة', 'عجلة', 'عدو', 'ماراتون', 'مستعجلة'] }, skins: ['🏃🏻‍♀️', '🏃🏼‍♀️', '🏃🏽‍♀️', '🏃🏾‍♀️', '🏃🏿‍♀️'] },
+  { emoji: '🏃‍➡️', category: 'people', keywords: ['person running facing right'], localized: { fr: ['personne qui court vers la droite', 'arriver', 'coureur', 'courir', 'course à pied', 'droite', 'homme qui court', 'jogging', 'la', 'marathon', 'marathonien', 'personne qui court', 'pressé', 'rapide', 'sportif', 'vers', 'vite'], ar: ['شخص يجري متجه لليمين', 'أشخاص', 'جري', 'حركة', 'ركض', 'رياضة', 'سريع', 'شخص يجري', 'عدّاء', 'لليمين', 'ماراثون', 'متجه', 'مستعجل'] }, skins: ['🏃🏻‍➡️', '🏃🏼‍➡️', '🏃🏽‍➡️', '🏃🏾‍➡️', '🏃🏿‍➡️'] },
+  { emoji: '🏃‍♀️‍➡️', category: 'people', keywords: ['woman running facing right'], localized: { fr: ['femme qui court vers la droite', 'course à pied', 'droite', 'femme', 'femme qui court', 'joggeuse', 'jogging', 'la', 'marathon', 'running', 'se dépêcher', 'vers', 'vite', 'vitesse'], ar: ['راكضة متجه لليمين', 'آتية', 'امرأة', 'تجري', 'تركض', 'تعدو', 'راكضة', 'ركض', 'سرعة', 'سريعة', 'عجلة', 'عدو', 'لليمين', 'ماراتون', 'متجه', 'مستعجلة'] }, skins: ['🏃🏻‍♀️‍➡️', '🏃🏼‍♀️‍➡️', '🏃🏽‍♀️‍➡️', '🏃🏾‍♀️‍➡️', '🏃🏿‍♀️‍➡️'] },
+  { emoji: '🏃‍♂️‍➡️', category: 'people', keywords: ['man running facing right'], localized: { fr: ['homme qui court vers la droite', 'course à pied', 'droite', 'homme', 'homme qui court', 'jogging', 'la', 'marathon', 'vers'], ar: ['راكض متجه لليمين', 'راكض', 'لليمين', 'متجه', 'يجري', 'يركض', 'يعدو'] }, skins: ['🏃🏻‍♂️‍➡️', '🏃🏼‍♂️‍➡️', '🏃🏽‍♂️‍➡️', '🏃🏾‍♂️‍➡️', '🏃🏿‍♂️‍➡️'] },
+  { emoji: '🧑‍🩰', category: 'people', keywords: ['ballet dancer'], localized: { fr: ['danseuse de ballet', 'ballerine', 'ballet', 'danse classique', 'danseuse'], ar: ['راقصة باليه', 'الباليه', 'راقصة'] }, skins: ['🧑🏻‍🩰', '🧑🏼‍🩰', '🧑🏽‍🩰', '🧑🏾‍🩰', '🧑🏿‍🩰'] },
+  { emoji: '💃', category: 'people', keywords: ['woman dancing'], localized: { fr: ['danseuse', 'danse', 'femme', 'femme qui danse', 'fête', 'flamenco', 'rythme', 'salsa', 'sortir danser', 'tango'], ar: ['راقصة', 'أشخاص', 'تنغو', 'رقص', 'فلامينكو'] }, skins: ['💃🏻', '💃🏼', '💃🏽', '💃🏾', '💃🏿'] },
+  { emoji: '🕺', category: 'people', keywords: ['man dancing'], localized: { fr: ['danseur', 'danse', 'femme', 'fête', 'flamenco', 'homme', 'homme qui danse', 'rythme', 'salsa'], ar: ['رجل يرقص', 'أناقة', 'أنيق', 'تانغو', 'راقص', 'رجل', 'رقص', 'سلسا', 'فلامينكو', 'متأنق'] }, skins: ['🕺🏻', '🕺🏼', '🕺🏽', '🕺🏾', '🕺🏿'] },
+  { emoji: '🕴️', category: 'people', keywords: ['person in suit levitating'], localized: { fr: ['homme d’affaires en lévitation', 'affaires', 'costume', 'homme'], ar: ['رجل أعمال يرتقي', 'أعمال', 'بدلة', 'رجل'] }, skins: ['🕴🏻', '🕴🏼', '🕴🏽', '🕴🏾', '🕴🏿'] },
+  { emoji: '👯', category: 'people', keywords: ['people with bunny ears'], localized: { fr: ['personnes avec des oreilles de lapin', 'amies', 'bunny', 'danseuse', 'déguisement', 'double', 'femme', 'femmes', 'fête', 'fille', 'filles', 'jumelles', 'oreilles de lapin', 'synchro'], ar: ['شخصان يرقصان', 'أذن أرنبية', 'أشخاص', 'احتفال', 'امرأة', 'بنات راقصة', 'توأم', 'رفيق', 'رقص', 'صديق', 'متماثل'] }, skins: ['👯🏻', '👯🏼', '👯🏽', '👯🏾', '👯🏿'] },
+  { emoji: '👯‍♂️', category: 'people', keywords: ['men with bunny ears'], localized: { fr: ['hommes avec des oreilles de lapin', 'amis', 'danseur', 'faire la fête', 'fête', 'homme', 'oreilles de lapin'], ar: ['رجلان يرقصان', 'أرنب', 'أصدقاء', 'توأم', 'توم', 'حفل', 'حفلة', 'رقص'] }, skins: ['👯🏻‍♂️', '👯🏼‍♂️', '👯🏽‍♂️', '👯🏾‍♂️', '👯🏿‍♂️'] },
+  { emoji: '👯‍♀️', category: 'people', keywords: ['women with bunny ears'], localized: { fr: ['femmes avec des oreilles de lapin', 'danseuse', 'femme', 'fête', 'oreilles de lapin'], ar: ['امرأتان ترقصان', 'حفل', 'رقص'] }, skins: ['👯🏻‍♀️', '👯🏼‍♀️', '👯🏽‍♀️', '👯🏾‍♀️', '👯🏿‍♀️'] },
+  { emoji: '🧖', category: 'people', keywords: ['person in steamy room'], localized: { fr: ['personne au hammam', 'bien-être', 'chaud', 'détente', 'hammam', 'personne dans un sauna', 'relaxation', 'sauna', 'spa', 'vapeur'], ar: ['شخص في حمّام بخار', 'أشخاص', 'استرخاء', 'تجميل', 'حمام', 'حمام بخار', 'راحة', 'ساونا', 'سونا', 'عناية'] }, skins: ['🧖🏻', '🧖🏼', '🧖🏽', '🧖🏾', '🧖🏿'] },
+  { emoji: '🧖‍♂️', category: 'people', keywords: ['man in steamy room'], localized: { fr: ['homme au hammam', 'hammam', 'sauna'], ar: ['رجل في حمّام بخار'] }, skins: ['🧖🏻‍♂️', '🧖🏼‍♂️', '🧖🏽‍♂️', '🧖🏾‍♂️', '🧖🏿‍♂️'] },
+  { emoji: '🧖‍♀️', category: 'people', keywords: ['woman in steamy room'], localized: { fr: ['femme au hammam', 'hammam', 'sauna'], ar: ['امرأة في حمّام بخار'] }, skins: ['🧖🏻‍♀️', '🧖🏼‍♀️', '🧖🏽‍♀️', '🧖🏾‍♀️', '🧖🏿‍♀️'] },
+  { emoji: '🧗', category: 'people', keywords: ['climber', 'mountain', 'person climbing'], localized: { fr: ['grimpeur', 'montagne', 'personne qui grimpe', 'alpiniste', 'escalader', 'grimper', 'personne qui escalade', 'sport'], ar: ['متسلق', 'جبل', 'شخص يتسلّق', 'أشخاص', 'تسلق', 'جبال', 'رياضة', 'صخور', 'صعود', 'متسلقة', 'مغامرة', 'وصولية'] }, skins: ['🧗🏻', '🧗🏼', '🧗🏽', '🧗🏾', '🧗🏿'] },
+  { emoji: '🧗‍♂️', category: 'people', keywords: ['man climbing'], localized: { fr: ['homme qui grimpe', 'alpiniste', 'grimpeur'], ar: ['رجل يتسلّق'] }, skins: ['🧗🏻‍♂️', '🧗🏼‍♂️', '🧗🏽‍♂️', '🧗🏾‍♂️', '🧗🏿‍♂️'] },
+  { emoji: '🧗‍♀️', category: 'people', keywords: ['woman climbing'], localized: { fr: ['femme qui grimpe', 'alpiniste', 'grimpeuse'], ar: ['امرأة تتسلّق'] }, skins: ['🧗🏻‍♀️', '🧗🏼‍♀️', '🧗🏽‍♀️', '🧗🏾‍♀️', '🧗🏿‍♀️'] },
+  { emoji: '🤺', category: 'people', keywords: ['fencer', 'person fencing'], localized: { fr: ['escrimeur', 'épée', 'escrime', 'escrimeuse', 'personne', 'sport'], ar: ['مبارز', 'رياضة', 'سيف', 'شخص', 'مبارزة'] } },
+  { emoji: '🏇', category: 'people', keywords: ['horse racing'], localized: { fr: ['course de chevaux', 'course hippique', 'cheval', 'jockey', 'sport'], ar: ['سباق خيل', 'سباق خيول', 'حصان', 'خيل', 'ركوب الخيل', 'رياضة', 'سباق', 'سبق', 'فرس', 'مباراة'] }, skins: ['🏇🏻', '🏇🏼', '🏇🏽', '🏇🏾', '🏇🏿'] },
+  { emoji: '⛷️', category: 'people', keywords: ['skier'], localized: { fr: ['skieur', 'neige', 'ski', 'sport'], ar: ['متزلّج على الثلج', 'تزحلق', 'تزلج', 'ثلج', 'جليد', 'رياضة', 'سكي'] } },
+  { emoji: '🏂', category: 'people', keywords: ['snowboarder'], localized: { fr: ['snowboard', 'snowboardeur', 'homme', 'neige', 'ski', 'sport'], ar: ['تزلج على الثلج', 'متزلج', 'تزلج', 'رياضة', 'سكي', 'سنو بورد', 'لوح تزلج'] }, skins: ['🏂🏻', '🏂🏼', '🏂🏽', '🏂🏾', '🏂🏿'] },
+  { emoji: '🏌️', category: 'people', keywords: ['person golfing'], localized: { fr: ['joueur de golf', 'balle', 'golf', 'golfeur', 'green', 'homme', 'personne', 'pga', 'pitch', 'sport'], ar: ['شخص يلعب غولف', 'أشخاص', 'انطلاق', 'جولف', 'رجل', 'ضرب الكرة', 'غولف', 'كرة', 'مضرب'] }, skins: ['🏌🏻', '🏌🏼', '🏌🏽', '🏌🏾', '🏌🏿'] },
+  { emoji: '🏌️‍♂️', category: 'people', keywords: ['man golfing'], localized: { fr: ['golfeur', 'golf', 'homme'], ar: ['لاعب غولف', 'غولف'] }, skins: ['🏌🏻‍♂️', '🏌🏼‍♂️', '🏌🏽‍♂️', '🏌🏾‍♂️', '🏌🏿‍♂️'] },
+  { emoji: '🏌️‍♀️', category: 'people', keywords: ['woman golfing'], localized: { fr: ['golfeuse', 'femme', 'golf', 'practice', 'sport'], ar: ['لاعبة غولف', 'جولف', 'طابة', 'غولف', 'كرة'] }, skins: ['🏌🏻‍♀️', '🏌🏼‍♀️', '🏌🏽‍♀️', '🏌🏾‍♀️', '🏌🏿‍♀️'] },
+  { emoji: '🏄', category: 'people', keywords: ['surfer', 'beach', 'person surfing'], localized: { fr: ['surfeur', 'plage', 'personne faisant du surf', 'glisse', 'homme', 'mer', 'océan', 'personne', 'planche', 'sport', 'surf', 'vagues'], ar: ['راكب أمواج', 'شاطئ', 'شخص يركب الأمواج', 'أشخاص', 'أمواج', 'بحر', 'ركوب أمواج', 'رياضة', 'شخص يركب أمواج', 'محيط', 'موج', 'موجة طويلة'] }, skins: ['🏄🏻', '🏄🏼', '🏄🏽', '🏄🏾', '🏄🏿'] },
+  { emoji: '🏄‍♂️', category: 'people', keywords: ['man surfing'], localized: { fr: ['surfeur', 'homme', 'surf'], ar: ['راكب أمواج', 'تزلج', 'ركوب أمواج'] }, skins: ['🏄🏻‍♂️', '🏄🏼‍♂️', '🏄🏽‍♂️', '🏄🏾‍♂️', '🏄🏿‍♂️'] },
+  { emoji: '🏄‍♀️', category: 'people', keywords: ['woman surfing'], localized: { fr: ['surfeuse', 'femme', 'mer', 'océan', 'plage', 'sport', 'surf', 'vagues'], ar: ['راكبة أمواج', 'أمواج', 'امرأة', 'بحر', 'ركمجة', 'ركوب أمواج', 'سورف', 'سيدة', 'شخص', 'موج'] }, skins: ['🏄🏻‍♀️', '🏄🏼‍♀️', '🏄🏽‍♀️', '🏄🏾‍♀️', '🏄🏿‍♀️'] },
+  { emoji: '🚣', category: 'people', keywords: ['rowboat', 'person rowing boat'], localized: { fr: ['barque', 'aviron', 'personne ramant dans une barque', 'bateau', 'lac', 'naviguer', 'pêche', 'personne', 'ramer', 'rameur', 'rivière', 'sport'], ar: ['قارب تجديف', 'شخص يجدف بزورق', 'أشخاص', 'بحيرة', 'تجديف', 'رياضة', 'زورق', 'صيد سمك', 'قارب', 'مجداف', 'مركبة', 'نهر', 'يجدف'] }, skins: ['🚣🏻', '🚣🏼', '🚣🏽', '🚣🏾', '🚣🏿'] },
+  { emoji: '🚣‍♂️', category: 'people', keywords: ['man rowing boat'], localized: { fr: ['rameur dans une barque', 'barque', 'bateau', 'homme'], ar: ['رجل يجدف بقارب', 'تجديف', 'قارب'] }, skins: ['🚣🏻‍♂️', '🚣🏼‍♂️', '🚣🏽‍♂️', '🚣🏾‍♂️', '🚣🏿‍♂️'] },
+  { emoji: '🚣‍♀️', category: 'people', keywords: ['woman rowing boat'], localized: { fr: ['rameuse dans une barque', 'barque', 'bateau', 'femme', 'lac', 'navigation', 'pêche', 'plaisance', 'ramer', 'rivière', 'sport'], ar: ['سيدة تجدف بقارب', 'بحر', 'بحيرة', 'تجديف', 'رحلة', 'زورق', 'شختورة', 'صيد سمك', 'قارب'] }, skins: ['🚣🏻‍♀️', '🚣🏼‍♀️', '🚣🏽‍♀️', '🚣🏾‍♀️', '🚣🏿‍♀️'] },
+  { emoji: '🏊', category: 'people', keywords: ['swimmer', 'pool', 'person swimming'], localized: { fr: ['nageur', 'piscine', 'personne nageant', 'crawl', 'eau', 'exercice', 'homme', 'nage', 'natation', 'personne', 'sport'], ar: ['سباح', 'مسبح', 'شخص يسبح', 'أشخاص', 'بحر', 'رياضة', 'سباحة', 'سباحة حرة', 'سباق ثلاثي', 'يسبح'] }, skins: ['🏊🏻', '🏊🏼', '🏊🏽', '🏊🏾', '🏊🏿'] },
+  { emoji: '🏊‍♂️', category: 'people', keywords: ['man swimming'], localized: { fr: ['nageur', 'homme', 'nage'], ar: ['سباح', 'يسبح', 'يعوم'] }, skins: ['🏊🏻‍♂️', '🏊🏼‍♂️', '🏊🏽‍♂️', '🏊🏾‍♂️', '🏊🏿‍♂️'] },
+  { emoji: '🏊‍♀️', category: 'people', keywords: ['woman swimming'], localized: { fr: ['nageuse', 'femme', 'nage', 'natation', 'sport'], ar: ['سبَّاحة', 'أمرأة', 'تسبح', 'تعوم', 'رياضة', 'سباحة', 'سيدة'] }, skins: ['🏊🏻‍♀️', '🏊🏼‍♀️', '🏊🏽‍♀️', '🏊🏾‍♀️', '🏊🏿‍♀️'] },
+  { emoji: '⛹️', category: 'people', keywords: ['person bouncing ball', 'basketball'], localized: { fr: ['dribbler', 'basket', 'personne avec ballon', 'athlétique', 'ballon', 'basket-ball', 'basketteur', 'dribble', 'joueur', 'match', 'personne', 'rebond', 'sport'], ar: ['تنطيط الكرة', 'كرة السلة', 'شخص وكرة', 'أشخاص', 'باسكت بول', 'رمية حرة', 'رياضة', 'رياضي', 'كرة', 'كرة سلة', 'مباراة', 'مراوغة'] }, skins: ['⛹🏻', '⛹🏼', '⛹🏽', '⛹🏾', '⛹🏿'] },
+  { emoji: '⛹️‍♂️', category: 'people', keywords: ['man bouncing ball'], localized: { fr: ['homme avec ballon', 'ballon', 'homme'], ar: ['رجل وكرة', 'كرة'] }, skins: ['⛹🏻‍♂️', '⛹🏼‍♂️', '⛹🏽‍♂️', '⛹🏾‍♂️', '⛹🏿‍♂️'] },
+  { emoji: '⛹️‍♀️', category: 'people', keywords: ['woman bouncing ball'], localized: { fr: ['femme avec ballon', 'ballon', 'basket-ball', 'basketteuse', 'femme', 'sport'], ar: ['سيدة وكرة', 'باسكت بول', 'باسكتبول', 'رياضة', 'شخص', 'طابة', 'كرة', 'كرة سلة', 'لاعبة باسكت بول', 'لاعبة كرة سلة'] }, skins: ['⛹🏻‍♀️', '⛹🏼‍♀️', '⛹🏽‍♀️', '⛹🏾‍♀️', '⛹🏿‍♀️'] },
+  { emoji: '🏋️', category: 'people', keywords: ['weight lifter', 'gym', 'person lifting weights'], localized: { fr: ['haltérophile', 'salle de sport', 'bodybuilding', 'entraînement', 'force', 'haltérophilie', 'homme', 'lever des poids', 'muscles', 'personne', 'poids', 'sport'], ar: ['رافع أثقال', 'صالة رياضية', 'شخص يرفع أثقال', 'أثقال', 'أشخاص', 'أوزان', 'تمرين', 'رفع', 'رفع الأثقال', 'رياضة', 'لاعب كمال أجسام'] }, skins: ['🏋🏻', '🏋🏼', '🏋🏽', '🏋🏾', '🏋🏿'] },
+  { emoji: '🏋️‍♂️', category: 'people', keywords: ['man lifting weights'], localized: { fr: ['homme haltérophile', 'haltérophile', 'homme'], ar: ['رافع أثقال', 'رفع أثقال'] }, skins: ['🏋🏻‍♂️', '🏋🏼‍♂️', '🏋🏽‍♂️', '🏋🏾‍♂️', '🏋🏿‍♂️'] },
+  { emoji: '🏋️‍♀️', category: 'people', keywords: ['woman lifting weights'], localized: { fr: ['femme haltérophile', 'entraînement', 'exercice', 'femme', 'haltérophile', 'sport'], ar: ['رافعة أثقال', 'أثقال', 'أوزان', 'امرأة', 'تمرين', 'رفع أثقال', 'رياضة', 'سيدة'] }, skins: ['🏋🏻‍♀️', '🏋🏼‍♀️', '🏋🏽‍♀️', '🏋🏾‍♀️', '🏋🏿‍♀️'] },
+  { emoji: '🚴', category: 'people', keywords: ['bicyclist', 'person biking'], localized: { fr: ['cycliste', 'course', 'guidon', 'homme', 'pédaler', 'personne', 'rouler', 'sport', 'tour de france', 'vélo'], ar: ['راكب دراجة', 'شخص يركب دراجة', 'أشخاص', 'بيسيكليت', 'دراجة', 'ركوب الدرجات', 'رياضة', 'سبق', 'سيكل', 'يركب دراجة'] }, skins: ['🚴🏻', '🚴🏼', '🚴🏽', '🚴🏾', '🚴🏿'] },
+  { emoji: '🚴‍♂️', category: 'people', keywords: ['man biking'], localized: { fr: ['cycliste homme', 'cyclisme', 'cycliste', 'homme', 'vélo'], ar: ['راكب دراجة', 'دراج', 'دراجة'] }, skins: ['🚴🏻‍♂️', '🚴🏼‍♂️', '🚴🏽‍♂️', '🚴🏾‍♂️', '🚴🏿‍♂️'] },
+  { emoji: '🚴‍♀️', category: 'people', keywords: ['woman biking'], localized: { fr: ['cycliste femme', 'cyclisme', 'cycliste', 'femme', 'sport', 'vélo'], ar: ['راكبة دراجة', 'بيسيكليت', 'دراجة', 'رياضة', 'سباق'] }, skins: ['🚴🏻‍♀️', '🚴🏼‍♀️', '🚴🏽‍♀️', '🚴🏾‍♀️', '🚴🏿‍♀️'] },
+  { emoji: '🚵', category: 'people', keywords: ['mountain biker', 'person mountain biking'], localized: { fr: ['vtt', 'vélo de montagne', 'personne en vtt', 'coureur', 'cyclisme', 'grimper', 'homme en vtt', 'montagne', 'personne', 'sport', 'tour de france', 'vélo'], ar: ['دراجة جبلية', 'شخص يركب دراجة في الجبال', 'أشخاص', 'الدراجات الجبلية', 'بيسيكليت', 'جبال', 'دراجة', 'راكب دراجة', 'راكب دراجة في الجبال', 'ركوب الدراجات', 'رياضة', 'سيكل'] }, skins: ['🚵🏻', '🚵🏼', '🚵🏽', '🚵🏾', '🚵🏿'] },
+  { emoji: '🚵‍♂️', category: 'people', keywords: ['man mountain biking'], localized: { fr: ['homme en vtt', 'cycliste', 'homme', 'vélo', 'vtt'], ar: ['متسلق جبال بدراجة', 'جبال', 'دراجة', 'صعود'] }, skins: ['🚵🏻‍♂️', '🚵🏼‍♂️', '🚵🏽‍♂️', '🚵🏾‍♂️', '🚵🏿‍♂️'] },
+  { emoji: '🚵‍♀️', category: 'people', keywords: ['woman mountain biking'], localized: { fr: ['femme en vtt', 'cycliste', 'femme', 'montagne', 'sport', 'vélo', 'vtt', 'vttiste'], ar: ['متسلقة جبال بدراجة', 'جبال', 'دراجة', 'سيكل', 'صعود'] }, skins: ['🚵🏻‍♀️', '🚵🏼‍♀️', '🚵🏽‍♀️', '🚵🏾‍♀️', '🚵🏿‍♀️'] },
+  { emoji: '🤸', category: 'people', keywords: ['person cartwheeling', 'gymnast'], localized: { fr: ['roue', 'gymnaste', 'personne faisant la roue', 'agilité', 'athlète', 'faire la roue', 'femme faisant la roue', 'gymnastique', 'personne', 'sport'], ar: ['شقلبة', 'لاعب جمباز', 'شخص يؤدي حركة العجلة', 'أشخاص', 'جمباز', 'حركة العجلة', 'رياضة', 'سعيد', 'شخص', 'عجلة', 'متحمس', 'نشيط'] }, skins: ['🤸🏻', '🤸🏼', '🤸🏽', '🤸🏾', '🤸🏿'] },
+  { emoji: '🤸‍♂️', category: 'people', keywords: ['man cartwheeling'], localized: { fr: ['homme faisant la roue', 'acrobatie', 'content', 'faire la roue', 'garçon', 'gymnastique', 'homme', 'personne', 'roue', 'souple', 'sport'], ar: ['رجل يفعل حركة العجلة', 'أشخاص', 'جمباز', 'رجل', 'رياضة', 'سعيد', 'شقلبة', 'عجلة', 'متحمس', 'نشيط'] }, skins: ['🤸🏻‍♂️', '🤸🏼‍♂️', '🤸🏽‍♂️', '🤸🏾‍♂️', '🤸🏿‍♂️'] },
+  { emoji: '🤸‍♀️', category: 'people', keywords: ['woman cartwheeling'], localized: { fr: ['femme faisant la roue', 'acrobatie', 'exercice', 'faire la roue', 'femme', 'gymnaste', 'gymnastique', 'personne', 'roue', 'sport'], ar: ['سيدة تفعل حركة العجلة', 'أشخاص', 'الجمباز', 'امرأة', 'جمباز', 'حركة العجلة', 'رياضة', 'سعيد', 'شقلبة', 'عجلة', 'متحمس', 'نشيط'] }, skins: ['🤸🏻‍♀️', '🤸🏼‍♀️', '🤸🏽‍♀️', '🤸🏾‍♀️', '🤸🏿‍♀️'] },
+  { emoji: '🤼', category: 'people', keywords: ['wrestlers', 'people wrestling'], localized: { fr: ['lutteurs', 'personnes faisant de la lutte', 'bataille', 'lutte', 'lutteur', 'personnes', 'sport'], ar: ['مصارعون', 'أشخاص', 'بطولة مصارعة', 'حلبة', 'رياضة', 'شخص', 'قتال', 'مبارزة', 'مصارع', 'مصارعة'] }, skins: ['🤼🏻', '🤼🏼', '🤼🏽', '🤼🏾', '🤼🏿'] },
+  { emoji: '🤼‍♂️', category: 'people', keywords: ['men wrestling'], localized: { fr: ['lutteurs', 'athlètes', 'bataille', 'force', 'hommes', 'lutte', 'personne', 'personnes', 'sport', 'sur le ring'], ar: ['مصارعة رجال', 'أشخاص', 'بطولة مصارعة', 'تعادل', 'حلبة', 'رجال', 'رياضة', 'قتال', 'مباراة', 'مصارعة', 'يلعب مصارعة'] }, skins: ['🤼🏻‍♂️', '🤼🏼‍♂️', '🤼🏽‍♂️', '🤼🏾‍♂️', '🤼🏿‍♂️'] },
+  { emoji: '🤼‍♀️', category: 'people', keywords: ['women wrestling'], localized: { fr: ['lutteuses', 'bataille', 'combat', 'duel', 'femmes', 'lutte', 'lutteuse', 'personne', 'personnes', 'sport'], ar: ['مصارعة سيدات', 'أشخاص', 'بطولة', 'تصارع', 'حلبة', 'رياضة', 'سيدات', 'قتال', 'مصارعة', 'نساء'] }, skins: ['🤼🏻‍♀️', '🤼🏼‍♀️', '🤼🏽‍♀️', '🤼🏾‍♀️', '🤼🏿‍♀️'] },
+  { emoji: '🤽', category: 'people', keywords: ['water polo', 'person playing water polo'], localized: { fr: ['water-polo', 'personne jouant au water-polo', 'ballon', 'homme qui joue au water-polo', 'personne', 'piscine', 'sport'], ar: ['كرة الماء', 'شخص يلعب كرة ماء', 'أشخاص', 'ألعاب مائية', 'أنشطة', 'الأشخاص والجسد', 'رياضة', 'سباحة', 'شخص', 'كرة ماء', 'ماء'] }, skins: ['🤽🏻', '🤽🏼', '🤽🏽', '🤽🏾', '🤽🏿'] },
+  { emoji: '🤽‍♂️', category: 'people', keywords: ['man playing water polo'], localized: { fr: ['joueur de water-polo', 'ballon', 'eau', 'homme', 'jeu', 'match', 'personne', 'piscine', 'sport', 'water-polo'], ar: ['لاعب كرة ماء', 'أشخاص', 'أنشطة', 'رجل', 'رياضة', 'رياضة مائية', 'سباحة', 'كرة ماء', 'مسبح', 'واتر بولو'] }, skins: ['🤽🏻‍♂️', '🤽🏼‍♂️', '🤽🏽‍♂️', '🤽🏾‍♂️', '🤽🏿‍♂️'] },
+  { emoji: '🤽‍♀️', category: 'people', keywords: ['woman playing water polo'], localized: { fr: ['joueuse de water-polo', 'ballon', 'femme', 'nager', 'personne', 'piscine', 'sport', 'water-polo'], ar: ['لاعبة كرة ماء', 'أشخاص', 'السباحة', 'امرأة', 'رياضة', 'رياضة مائية', 'سيدة', 'كرة الماء', 'كرة ماء', 'واتر بولو'] }, skins: ['🤽🏻‍♀️', '🤽🏼‍♀️', '🤽🏽‍♀️', '🤽🏾‍♀️', '🤽🏿‍♀️'] },
+  { emoji: '🤾', category: 'people', keywords: ['person playing handball'], localized: { fr: ['personne jouant au handball', 'athlète', 'ballon', 'handball', 'handballeur', 'lancer', 'personne', 'sport'], ar: ['شخص يلعب كرة يد', 'أشخاص', 'التقاط الكرة', 'رجل يلعب كرة يد', 'رفع الكرة', 'رمي', 'رمية قصيرة', 'رياضة', 'شخص', 'كرة', 'كرة يد', 'لاعب', 'مباراة'] }, skins: ['🤾🏻', '🤾🏼', '🤾🏽', '🤾🏾', '🤾🏿'] },
+  { emoji: '🤾‍♂️', category: 'people', keywords: ['man playing handball'], localized: { fr: ['handballeur', 'handball', 'homme', 'sport'], ar: ['لاعب كرة يد', 'رجال', 'رجل', 'رياضة', 'كرة يد'] }, skins: ['🤾🏻‍♂️', '🤾🏼‍♂️', '🤾🏽‍♂️', '🤾🏾‍♂️', '🤾🏿‍♂️'] },
+  { emoji: '🤾‍♀️', category: 'people', keywords: ['woman playing handball'], localized: { fr: ['handballeuse', 'athlète', 'attaquante', 'ballon', 'femme', 'handball', 'personne', 'sport', 'tir'], ar: ['لاعبة كرة يد', 'أشخاص', 'التقاط', 'الملعب', 'امرأة', 'رفع الكرة', 'رمي', 'رياضة', 'سيدة', 'كرة يد'] }, skins: ['🤾🏻‍♀️', '🤾🏼‍♀️', '🤾🏽‍♀️', '🤾🏾‍♀️', '🤾🏿‍♀️'] },
+  { emoji: '🤹', category: 'people', keywords: ['person juggling'], localized: { fr: ['personne qui jongle', 'artiste', 'cirque', 'gérer', 'jongler', 'jongleur', 'multitâche'], ar: ['شخص يؤدي ألعابًا بهلوانية', 'أشخاص', 'إدارة', 'بهلوان', 'تعامل', 'تعدد المهام', 'تلاعب', 'توازن', 'شعوذة', 'مهارة'] }, skins: ['🤹🏻', '🤹🏼', '🤹🏽', '🤹🏾', '🤹🏿'] },
+  { emoji: '🤹‍♂️', category: 'people', keywords: ['man juggling'], localized: { fr: ['jongleur', 'acrobatie', 'artiste', 'balles', 'cirque', 'homme', 'jonglage', 'multitâche', 'personne'], ar: ['لاعب قذف الكرات', 'أشخاص', 'ألعاب خفة', 'إدارة', 'تعامل', 'تلاعب', 'توازن', 'خدع', 'رجل', 'شعوذة', 'مهام متعددة'] }, skins: ['🤹🏻‍♂️', '🤹🏼‍♂️', '🤹🏽‍♂️', '🤹🏾‍♂️', '🤹🏿‍♂️'] },
+  { emoji: '🤹‍♀️', category: 'people', keywords: ['woman juggling'], localized: { fr: ['jongleuse', 'femme', 'jonglage', 'multitâche'], ar: ['لاعبة قذف كرات', 'ألعاب الخفة', 'امرأة', 'تعدد المهام', 'خدع', 'سيدة', 'كرة', 'لعبة', 'مهام متعددة'] }, skins: ['🤹🏻‍♀️', '🤹🏼‍♀️', '🤹🏽‍♀️', '🤹🏾‍♀️', '🤹🏿‍♀️'] },
+  { emoji: '🧘', category: 'people', keywords: ['meditation', 'yoga', 'person in lotus position'], localized: { fr: ['méditation', 'yoga', 'personne dans la posture du lotus', 'détendu', 'femme', 'lotus', 'personne assise en position du lotus', 'position du lotus', 'relax', 'relaxation', 'tailleur', 'zen'], ar: ['تأمل', 'يوغا', 'شخص متربّع', 'أشخاص', 'استرخاء', 'راحة', 'سكون', 'صفاء', 'متربعة', 'هدوء', 'يوجا'] }, skins: ['🧘🏻', '🧘🏼', '🧘🏽', '🧘🏾', '🧘🏿'] },
+  { emoji: '🧘‍♂️', category: 'people', keywords: ['man in lotus position'], localized: { fr: ['homme dans la posture du lotus', 'méditation', 'position du lotus', 'yoga'], ar: ['رجل متربّع'] }, skins: ['🧘🏻‍♂️', '🧘🏼‍♂️', '🧘🏽‍♂️', '🧘🏾‍♂️', '🧘🏿‍♂️'] },
+  { emoji: '🧘‍♀️', category: 'people', keywords: ['woman in lotus position'], localized: { fr: ['femme dans la posture du lotus', 'méditation', 'position du lotus', 'yoga'], ar: ['امرأة متربّعة'] }, skins: ['🧘🏻‍♀️', '🧘🏼‍♀️', '🧘🏽‍♀️', '🧘🏾‍♀️', '🧘🏿‍♀️'] },
+  { emoji: '🛀', category: 'people', keywords: ['person taking bath'], localized: { fr: ['personne prenant un bain', 'baignoire', 'bain', 'personne qui prend un bain'], ar: ['شخص يستحم', 'استحمام', 'بانيو', 'حوض استحمام', 'دوش'] }, skins: ['🛀🏻', '🛀🏼', '🛀🏽', '🛀🏾', '🛀🏿'] },
+  { emoji: '🛌', category: 'people', keywords: ['person in bed'], localized: { fr: ['personne au lit', 'auberge', 'bonne nuit', 'coucher', 'dodo', 'dormir', 'fatigué', 'hôtel', 'lit', 'sieste'], ar: ['شخص على سرير', 'استلقاء', 'الأشخاص والاستلقاء على السرير', 'اوتيل', 'راحة', 'فندق', 'في سابع نومة', 'نائم', 'نايم', 'نوم', 'ينام'] }, skins: ['🛌🏻', '🛌🏼', '🛌🏽', '🛌🏾', '🛌🏿'] },
+  { emoji: '🧑‍🤝‍🧑', category: 'people', keywords: ['people holding hands'], localized: { fr: ['deux personnes se tenant la main', 'couple', 'couple homosexuel', 'gay', 'main', 'personne', 'personnes se tenant par la main', 'poignée de main', 'tenir la main'], ar: ['أشخاص يمسكون بأيدي بعضهم', 'أشخاص', 'أيدي', 'توأم', 'زوجان', 'شخص', 'شريكان', 'صداقة', 'ولدان', 'يد', 'يدان'] }, skins: ['🧑🏻‍🤝‍🧑🏻', '🧑🏼‍🤝‍🧑🏼', '🧑🏽‍🤝‍🧑🏽', '🧑🏾‍🤝‍🧑🏾', '🧑🏿‍🤝‍🧑🏿'] },
+  { emoji: '👭', category: 'people', keywords: ['women holding hands'], localized: { fr: ['deux femmes se tenant la main', 'amies', 'amitié', 'amoureuses', 'couple', 'deux femmes se donnant la main', 'femmes', 'filles', 'gay', 'homosexuelles', 'jumelles', 'lesbiennes', 'lgbt', 'lgbtq', 'lgbtqia', 'main dans la main', 'meilleures amies', 'petite amie', 'rendez-vous', 'sœurs'], ar: ['امرأتان تمسكان بيد بعضهما', 'أخت', 'أخوات', 'امرأة', 'امرأتان', 'بنات', 'ثنائي', 'زوج', 'سيدة', 'سيدتان', 'صداقة', 'صديقات', 'صديقة', 'صديقتان', 'يد بيد'] }, skins: ['👭🏻', '👭🏼', '👭🏽', '👭🏾', '👭🏿'] },
+  { emoji: '👫', category: 'people', keywords: ['woman and man holding hands'], localized: { fr: ['femme et homme se tenant la main', 'amis', 'amoureux', 'couple', 'femme', 'homme', 'homme et femme se donnant la main', 'main dans la main', 'petit ami', 'petite amie', 'rendez-vous'], ar: ['رجل وامرأة يمسكان بيد بعضهما', 'أشخاص', 'أصدقاء', 'إمرأة', 'ثنائي', 'حب', 'رجل', 'رجل وامرأة', 'زوج', 'غرام', 'مغروم', 'موعد', 'يد بيد'] }, skins: ['👫🏻', '👫🏼', '👫🏽', '👫🏾', '👫🏿'] },
+  { emoji: '👬', category: 'people', keywords: ['men holding hands'], localized: { fr: ['deux hommes se tenant la main', 'amis', 'amitié', 'amoureux', 'couple', 'deux hommes se donnant la main', 'fils', 'frères', 'gay', 'gémeaux', 'hommes', 'homosexuels', 'jumeaux', 'lgbt', 'main dans la main', 'meilleurs amis', 'petit ami', 'rendez-vous', 'zodiaque'], ar: ['رجلان يمسكان بيد بعضهما', 'أخ', 'أصدقاء', 'إخوة', 'توأم', 'ثنائي', 'رجل', 'رجلان', 'زوج', 'صديق', 'يد بيد'] }, skins: ['👬🏻', '👬🏼', '👬🏽', '👬🏾', '👬🏿'] },
+  { emoji: '💏', category: 'people', keywords: ['kiss'], localized: { fr: ['bisou', 'amour', 'anniversaire', 'baiser', 'couple', 'femme', 'homme'], ar: ['قبلة', 'أشخاص', 'تقبيل', 'ثنائي', 'حب', 'حبيبي', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'عيد', 'عيد زواج', 'غرام', 'قلب', 'موعد'] }, skins: ['💏🏻', '💏🏼', '💏🏽', '💏🏾', '💏🏿'] },
+  { emoji: '👩‍❤️‍💋‍👨', category: 'people', keywords: ['kiss woman, man'], localized: { fr: ['bisou femme et homme', 'amour', 'anniversaire', 'baiser', 'bisou', 'couple', 'femme', 'homme'], ar: ['قبلة سيدة ورجل', 'أشخاص', 'تقبيل', 'ثنائي', 'حب', 'حبيبي', 'رجل', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'سيدة', 'عيد', 'عيد زواج', 'غرام', 'قبلة', 'قلب', 'موعد'] }, skins: ['👩🏻‍❤️‍💋‍👨🏻', '👩🏼‍❤️‍💋‍👨🏼', '👩🏽‍❤️‍💋‍👨🏽', '👩🏾‍❤️‍💋‍👨🏾', '👩🏿‍❤️‍💋‍👨🏿'] },
+  { emoji: '👨‍❤️‍💋‍👨', category: 'people', keywords: ['kiss man, man'], localized: { fr: ['bisou homme et homme', 'amour', 'anniversaire', 'baiser', 'bisou', 'couple', 'femme', 'homme'], ar: ['قبلة رجل ورجل', 'أشخاص', 'تقبيل', 'ثنائي', 'حب', 'حبيبي', 'رجل', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'عيد', 'عيد زواج', 'غرام', 'قبلة', 'قلب', 'موعد'] }, skins: ['👨🏻‍❤️‍💋‍👨🏻', '👨🏼‍❤️‍💋‍👨🏼', '👨🏽‍❤️‍💋‍👨🏽', '👨🏾‍❤️‍💋‍👨🏾', '👨🏿‍❤️‍💋‍👨🏿'] },
+  { emoji: '👩‍❤️‍💋‍👩', category: 'people', keywords: ['kiss woman, woman'], localized: { fr: ['bisou femme et femme', 'amour', 'anniversaire', 'baiser', 'bisou', 'couple', 'femme', 'homme'], ar: ['قبلة سيدة وسيدة', 'أشخاص', 'تقبيل', 'ثنائي', 'حب', 'حبيبي', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'سيدة', 'عيد', 'عيد زواج', 'غرام', 'قبلة', 'قلب', 'موعد'] }, skins: ['👩🏻‍❤️‍💋‍👩🏻', '👩🏼‍❤️‍💋‍👩🏼', '👩🏽‍❤️‍💋‍👩🏽', '👩🏾‍❤️‍💋‍👩🏾', '👩🏿‍❤️‍💋‍👩🏿'] },
+  { emoji: '💑', category: 'people', keywords: ['couple with heart'], localized: { fr: ['couple avec cœur', 'amour', 'anniversaire', 'cœur', 'couple', 'femme', 'homme', 'rendez-vous'], ar: ['زوج وقلب', 'أشخاص', 'ثنائي', 'حب', 'حبيبي', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'غرام', 'قلب'] }, skins: ['💑🏻', '💑🏼', '💑🏽', '💑🏾', '💑🏿'] },
+  { emoji: '👩‍❤️‍👨', category: 'people', keywords: ['couple with heart woman, man'], localized: { fr: ['couple avec cœur femme et homme', 'amour', 'anniversaire', 'cœur', 'couple', 'couple avec cœur', 'femme', 'homme', 'rendez-vous'], ar: ['زوج وقلب سيدة ورجل', 'أشخاص', 'ثنائي', 'حب', 'حبيبي', 'رجل', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'زوج وقلب', 'سيدة', 'غرام', 'قلب'] }, skins: ['👩🏻‍❤️‍👨🏻', '👩🏼‍❤️‍👨🏼', '👩🏽‍❤️‍👨🏽', '👩🏾‍❤️‍👨🏾', '👩🏿‍❤️‍👨🏿'] },
+  { emoji: '👨‍❤️‍👨', category: 'people', keywords: ['couple with heart man, man'], localized: { fr: ['couple avec cœur homme et homme', 'amour', 'anniversaire', 'cœur', 'couple', 'couple avec cœur', 'femme', 'homme', 'rendez-vous'], ar: ['زوج وقلب رجل ورجل', 'أشخاص', 'ثنائي', 'حب', 'حبيبي', 'رجل', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'زوج وقلب', 'غرام', 'قلب'] }, skins: ['👨🏻‍❤️‍👨🏻', '👨🏼‍❤️‍👨🏼', '👨🏽‍❤️‍👨🏽', '👨🏾‍❤️‍👨🏾', '👨🏿‍❤️‍👨🏿'] },
+  { emoji: '👩‍❤️‍👩', category: 'people', keywords: ['couple with heart woman, woman'], localized: { fr: ['couple avec cœur femme et femme', 'amour', 'anniversaire', 'cœur', 'couple', 'couple avec cœur', 'femme', 'homme', 'rendez-vous'], ar: ['زوج وقلب سيدة وسيدة', 'أشخاص', 'ثنائي', 'حب', 'حبيبي', 'رومانس', 'رومانسية', 'رومنس', 'زوج', 'زوج وقلب', 'سيدة', 'غرام', 'قلب'] }, skins: ['👩🏻‍❤️‍👩🏻', '👩🏼‍❤️‍👩🏼', '👩🏽‍❤️‍👩🏽', '👩🏾‍❤️‍👩🏾', '👩🏿‍❤️‍👩🏿'] },
+  { emoji: '👨‍👩‍👦', category: 'people', keywords: ['family man, woman, boy'], localized: { fr: ['famille homme, femme et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وسيدة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👩‍👧', category: 'people', keywords: ['family man, woman, girl'], localized: { fr: ['famille homme, femme et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وسيدة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👩‍👧‍👦', category: 'people', keywords: ['family man, woman, girl, boy'], localized: { fr: ['famille homme, femme, fille et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وسيدة، وفتاة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'سيدة', 'صبي', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👩‍👦‍👦', category: 'people', keywords: ['family man, woman, boy, boy'], localized: { fr: ['famille homme, femme, garçon et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وسيدة، وصبي، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👩‍👧‍👧', category: 'people', keywords: ['family man, woman, girl, girl'], localized: { fr: ['famille homme, femme, fille et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وسيدة، وفتاة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👨‍👦', category: 'people', keywords: ['family man, man, boy'], localized: { fr: ['famille homme, homme et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، ورجل، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👨‍👧', category: 'people', keywords: ['family man, man, girl'], localized: { fr: ['famille homme, homme et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، ورجل، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👨‍👧‍👦', category: 'people', keywords: ['family man, man, girl, boy'], localized: { fr: ['famille homme, homme, fille et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، ورجل، وفتاة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👨‍👦‍👦', category: 'people', keywords: ['family man, man, boy, boy'], localized: { fr: ['famille homme, homme, garçon et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، ورجل، وصبي، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👨‍👧‍👧', category: 'people', keywords: ['family man, man, girl, girl'], localized: { fr: ['famille homme, homme, fille et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، ورجل، وفتاة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👩‍👦', category: 'people', keywords: ['family woman, woman, boy'], localized: { fr: ['famille femme, femme et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وسيدة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👩‍👩‍👧', category: 'people', keywords: ['family woman, woman, girl'], localized: { fr: ['famille femme, femme et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وسيدة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👩‍👧‍👦', category: 'people', keywords: ['family woman, woman, girl, boy'], localized: { fr: ['famille femme, femme, fille et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وسيدة، وفتاة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👩‍👦‍👦', category: 'people', keywords: ['family woman, woman, boy, boy'], localized: { fr: ['famille femme, femme, garçon et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وسيدة، وصبي، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👩‍👩‍👧‍👧', category: 'people', keywords: ['family woman, woman, girl, girl'], localized: { fr: ['famille femme, femme, fille et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وسيدة، وفتاة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👦', category: 'people', keywords: ['family man, boy'], localized: { fr: ['famille homme et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👦‍👦', category: 'people', keywords: ['family man, boy, boy'], localized: { fr: ['famille homme, garçon et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وصبي، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👨‍👧', category: 'people', keywords: ['family man, girl'], localized: { fr: ['famille homme et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👧‍👦', category: 'people', keywords: ['family man, girl, boy'], localized: { fr: ['famille homme, fille et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وفتاة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'صبي', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👨‍👧‍👧', category: 'people', keywords: ['family man, girl, girl'], localized: { fr: ['famille homme, fille et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة رجل، وفتاة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'رجل', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👦', category: 'people', keywords: ['family woman, boy'], localized: { fr: ['famille femme et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👩‍👦‍👦', category: 'people', keywords: ['family woman, boy, boy'], localized: { fr: ['famille femme, garçon et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وصبي، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة'] } },
+  { emoji: '👩‍👧', category: 'people', keywords: ['family woman, girl'], localized: { fr: ['famille femme et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👧‍👦', category: 'people', keywords: ['family woman, girl, boy'], localized: { fr: ['famille femme, fille et garçon', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وفتاة، وصبي', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'صبي', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '👩‍👧‍👧', category: 'people', keywords: ['family woman, girl, girl'], localized: { fr: ['famille femme, fille et fille', 'enfant', 'famille', 'famille avec un père, une mère et un fils', 'femme', 'fille', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة سيدة، وفتاة، وفتاة', 'أب', 'أسرة', 'أشخاص', 'أم', 'سيدة', 'طفل', 'عائلة', 'فتاة'] } },
+  { emoji: '🗣️', category: 'people', keywords: ['speaking head'], localized: { fr: ['tête qui parle', 'parler', 'silhouette'], ar: ['رأس تتحدث', 'تحدث', 'حديث', 'رأس', 'صراخ', 'صرخ', 'صريخ', 'صوت عالي', 'ظل', 'عيط', 'عييط', 'كلام', 'نطق', 'وجه'] } },
+  { emoji: '👤', category: 'people', keywords: ['silhouette', 'user', 'shadow', 'bust in silhouette'], localized: { fr: ['silhouette', 'utilisateur', 'ombre', 'silhouette de buste', 'buste', 'mystère'], ar: ['صورة ظلية', 'مستخدم', 'ظل', 'أشخاص', 'خفي', 'شخص', 'صورة', 'غامض', 'غير معروف', 'مبهم', 'مخفي'] } },
+  { emoji: '👥', category: 'people', keywords: ['silhouettes', 'users', 'group', 'busts in silhouette'], localized: { fr: ['silhouettes', 'utilisateurs', 'groupe', 'silhouettes de bustes', 'amis', 'bff', 'bustes', 'gens', 'meilleur ami', 'meilleure amie', 'meilleures amies', 'meilleurs amis', 'personnes', 'tout le monde'], ar: ['صور ظلية', 'مستخدمون', 'مجموعة', 'صورتان ظليتان', 'أشخاص', 'أصحاب', 'أصدقاء', 'الجميع', 'الكل', 'صاحب', 'صديق', 'صورتان', 'ظل', 'كلنا'] } },
+  { emoji: '🫂', category: 'people', keywords: ['people hugging', 'comfort'], localized: { fr: ['câlin', 'réconfort', 'étreinte', 'accolade', 'amitié', 'au revoir', 'bonjour', 'embrassades', 'gratitude', 'merci', 'personne'], ar: ['عناق', 'مواساة', 'شخصان يتعانقان', 'احتواء', 'ترحيب', 'توديع', 'حب', 'حضن', 'دعم', 'شكر'] } },
+  { emoji: '👪', category: 'people', keywords: ['family'], localized: { fr: ['famille', 'enfant', 'famille avec un père, une mère et un fils', 'femme', 'fils', 'garçon', 'homme', 'mère', 'père'], ar: ['أسرة', 'أب', 'أشخاص', 'أم', 'طفل', 'عائلة'] } },
+  { emoji: '🧑‍🧑‍🧒', category: 'people', keywords: ['family adult, adult, child'], localized: { fr: ['famille adulte, adulte, enfant', 'adulte', 'enfant', 'famille : adulte', 'famille : adulte, adulte, enfant'], ar: ['أسرة بالغ، بالغة، طفل', 'أب', 'أسرة', 'أم', 'بالغ', 'بالغة', 'بالغين', 'طفل', 'عائلة', 'والد', 'والدة'] } },
+  { emoji: '🧑‍🧑‍🧒‍🧒', category: 'people', keywords: ['family adult, adult, child, child'], localized: { fr: ['famille adulte, adulte, enfant, enfant', 'adulte', 'enfant', 'famille : adulte', 'famille : adulte, adulte, enfant, enfant'], ar: ['أسرة بالغ، بالغة، طفل، طفلة', 'أب', 'أخ', 'أخت', 'أسرة', 'أم', 'بنت', 'طفل', 'طفلة', 'عائلة', 'والد', 'والدة', 'ولد'] } },
+  { emoji: '🧑‍🧒', category: 'people', keywords: ['family adult, child'], localized: { fr: ['famille adulte, enfant', 'enfant', 'famille : adulte', 'famille : adulte, enfant', 'famille monoparentale'], ar: ['أسرة بالغ، طفل', 'أسرة', 'بالغ', 'طفل', 'عائلة'] } },
+  { emoji: '🧑‍🧒‍🧒', category: 'people', keywords: ['family adult, child, child'], localized: { fr: ['famille adulte, enfant, enfant', 'enfant', 'famille : adulte', 'famille : adulte, enfant, enfant', 'famille monoparentale'], ar: ['أسرة بالغ، طفل، طفلة', 'أسرة', 'بالغ', 'بالغة', 'طفل', 'طفلة', 'عائلة'] } },
+  { emoji: '👣', category: 'people', keywords: ['footprints'], localized: { fr: ['empreintes de pas', 'pieds', 'traces de pas', 'empreintes', 'pied', 'pieds nus'], ar: ['آثار أقدام', 'أقدام', 'أثر قدمين', 'أثر قدم', 'أمشي', 'تمشي', 'جسم', 'حافي', 'خطى', 'دعسات', 'قدم', 'يمشي'] } },
+  { emoji: '🫆', category: 'people', keywords: ['fingerprint'], localized: { fr: ['empreinte digitale', 'dermatoglyphe', 'données biométriques', 'identité', 'sécurité'], ar: ['بصمة', 'أدلة جنائية', 'أمان', 'هوية'] } },
   // --- ANIMALS & NATURE ---
-  { emoji: '🐶', category: 'animals', keywords: ['dog', 'puppy', 'pet'] },
-  { emoji: '🐱', category: 'animals', keywords: ['cat', 'kitten', 'pet'] },
-  { emoji: '🐭', category: 'animals', keywords: ['mouse', 'rodent'] },
-  { emoji: '🐹', category: 'animals', keywords: ['hamster', 'pet'] },
-  { emoji: '🐰', category: 'animals', keywords: ['rabbit', 'bunny'] },
-  { emoji: '🦊', category: 'animals', keywords: ['fox'] },
-  { emoji: '🐻', category: 'animals', keywords: ['bear'] },
-  { emoji: '🐼', category: 'animals', keywords: ['panda'] },
-  { emoji: '🐻‍❄️', category: 'animals', keywords: ['polar bear'] },
-  { emoji: '🐨', category: 'animals', keywords: ['koala'] },
-  { emoji: '🐯', category: 'animals', keywords: ['tiger'] },
-  { emoji: '🦁', category: 'animals', keywords: ['lion', 'king'] },
-  { emoji: '🐮', category: 'animals', keywords: ['cow'] },
-  { emoji: '🐷', category: 'animals', keywords: ['pig'] },
-  { emoji: '🐽', category: 'animals', keywords: ['pig nose'] },
-  { emoji: '🐸', category: 'animals', keywords: ['frog'] },
-  { emoji: '🐵', category: 'animals', keywords: ['monkey', 'face'] },
-  { emoji: '🙈', category: 'animals', keywords: ['see no evil monkey'] },
-  { emoji: '🙉', category: 'animals', keywords: ['hear no evil monkey'] },
-  { emoji: '🙊', category: 'animals', keywords: ['speak no evil monkey'] },
-  { emoji: '🐒', category: 'animals', keywords: ['monkey'] },
-  { emoji: '🐔', category: 'animals', keywords: ['chicken', 'hen'] },
-  { emoji: '🐧', category: 'animals', keywords: ['penguin'] },
-  { emoji: '🐦', category: 'animals', keywords: ['bird'] },
-  { emoji: '🐤', category: 'animals', keywords: ['baby chick'] },
-  { emoji: '🐣', category: 'animals', keywords: ['hatching chick'] },
-  { emoji: '🐥', category: 'animals', keywords: ['chick'] },
-  { emoji: '🦆', category: 'animals', keywords: ['duck'] },
-  { emoji: '🦅', category: 'animals', keywords: ['eagle'] },
-  { emoji: '🦉', category: 'animals', keywords: ['owl'] },
-  { emoji: '🦇', category: 'animals', keywords: ['bat', 'vampire'] },
-  { emoji: '🐺', category: 'animals', keywords: ['wolf'] },
-  { emoji: '🐗', category: 'animals', keywords: ['boar'] },
-  { emoji: '🐴', category: 'animals', keywords: ['horse'] },
-  { emoji: '🦄', category: 'animals', keywords: ['unicorn', 'magic'] },
-  { emoji: '🐝', category: 'animals', keywords: ['bee', 'insect'] },
-  { emoji: '🪱', category: 'animals', keywords: ['worm'] },
-  { emoji: '🐛', category: 'animals', keywords: ['bug', 'caterpillar'] },
-  { emoji: '🦋', category: 'animals', keywords: ['butterfly'] },
-  { emoji: '🐌', category: 'animals', keywords: ['snail'] },
-  { emoji: '🐞', category: 'animals', keywords: ['lady beetle', 'luck'] },
-  { emoji: '🐜', category: 'animals', keywords: ['ant'] },
-  { emoji: '🦗', category: 'animals', keywords: ['cricket'] },
-  { emoji: '🪳', category: 'animals', keywords: ['cockroach'] },
-  { emoji: '🕷️', category: 'animals', keywords: ['spider', 'scary'] },
-  { emoji: '🕸️', category: 'animals', keywords: ['web', 'spider'] },
-  { emoji: '🦂', category: 'animals', keywords: ['scorpion', 'scorpio'] },
-  { emoji: '🦟', category: 'animals', keywords: ['mosquito'] },
-  { emoji: '🪰', category: 'animals', keywords: ['fly'] },
-  { emoji: '🐢', category: 'animals', keywords: ['turtle'] },
-  { emoji: '🐍', category: 'animals', keywords: ['snake'] },
-  { emoji: '🦎', category: 'animals', keywords: ['lizard'] },
-  { emoji: '🦖', category: 'animals', keywords: ['t-rex', 'dinosaur'] },
-  { emoji: '🦕', category: 'animals', keywords: ['sauropod', 'dinosaur'] },
-  { emoji: '🐙', category: 'animals', keywords: ['octopus'] },
-  { emoji: '🦑', category: 'animals', keywords: ['squid'] },
-  { emoji: '🦐', category: 'animals', keywords: ['shrimp'] },
-  { emoji: '🦞', category: 'animals', keywords: ['lobster'] },
-  { emoji: '🦀', category: 'animals', keywords: ['crab'] },
-  { emoji: '🐡', category: 'animals', keywords: ['blowfish'] },
-  { emoji: '🐠', category: 'animals', keywords: ['tropical fish'] },
-  { emoji: '🐟', category: 'animals', keywords: ['fish'] },
-  { emoji: '🐬', category: 'animals', keywords: ['dolphin'] },
-  { emoji: '🐳', category: 'animals', keywords: ['whale', 'spouting'] },
-  { emoji: '🐋', category: 'animals', keywords: ['whale'] },
-  { emoji: '🦈', category: 'animals', keywords: ['shark'] },
-  { emoji: '🐊', category: 'animals', keywords: ['crocodile'] },
-  { emoji: '🐅', category: 'animals', keywords: ['tiger'] },
-  { emoji: '🐆', category: 'animals', keywords: ['leopard'] },
-  { emoji: '🦓', category: 'animals', keywords: ['zebra'] },
-  { emoji: '🦍', category: 'animals', keywords: ['gorilla'] },
-  { emoji: '🦧', category: 'animals', keywords: ['orangutan'] },
-  { emoji: '🐘', category: 'animals', keywords: ['elephant'] },
-  { emoji: '🦛', category: 'animals', keywords: ['hippo'] },
-  { emoji: '🦏', category: 'animals', keywords: ['rhino'] },
-  { emoji: '🐪', category: 'animals', keywords: ['camel'] },
-  { emoji: '🦒', category: 'animals', keywords: ['giraffe'] },
-  { emoji: '🦘', category: 'animals', keywords: ['kangaroo'] },
-  { emoji: '🦬', category: 'animals', keywords: ['bison'] },
-  { emoji: '🐃', category: 'animals', keywords: ['water buffalo'] },
-  { emoji: '🐂', category: 'animals', keywords: ['ox'] },
-  { emoji: '🐄', category: 'animals', keywords: ['cow'] },
-  { emoji: '🐏', category: 'animals', keywords: ['ram'] },
-  { emoji: '🐑', category: 'animals', keywords: ['sheep', 'ewe'] },
-  { emoji: '🐐', category: 'animals', keywords: ['goat'] },
-  { emoji: '🦌', category: 'animals', keywords: ['deer'] },
-  { emoji: '🦙', category: 'animals', keywords: ['llama'] },
-  { emoji: '🦥', category: 'animals', keywords: ['sloth'] },
-  { emoji: '🦨', category: 'animals', keywords: ['skunk'] },
-  { emoji: '🦡', category: 'animals', keywords: ['badger'] },
-  { emoji: '🦃', category: 'animals', keywords: ['turkey', 'thanksgiving'] },
-  { emoji: '🕊️', category: 'animals', keywords: ['dove', 'peace'] },
-  { emoji: '🐕', category: 'animals', keywords: ['dog'] },
-  { emoji: '🐩', category: 'animals', keywords: ['poodle'] },
-  { emoji: '🦮', category: 'animals', keywords: ['guide dog'] },
-  { emoji: '🐾', category: 'animals', keywords: ['paw prints'] },
-  { emoji: '🐉', category: 'animals', keywords: ['dragon'] },
-  { emoji: '🐲', category: 'animals', keywords: ['dragon face'] },
-  { emoji: '🌵', category: 'animals', keywords: ['cactus', 'desert'] },
-  { emoji: '🎄', category: 'animals', keywords: ['christmas tree'] },
-  { emoji: '🌲', category: 'animals', keywords: ['evergreen tree'] },
-  { emoji: '🌳', category: 'animals', keywords: ['deciduous tree'] },
-  { emoji: '🌴', category: 'animals', keywords: ['palm tree', 'beach'] },
-  { emoji: '🌱', category: 'animals', keywords: ['seedling', 'plant', 'grow'] },
-  { emoji: '🌿', category: 'animals', keywords: ['herb'] },
-  { emoji: '☘️', category: 'animals', keywords: ['shamrock', 'luck'] },
-  { emoji: '🍀', category: 'animals', keywords: ['four leaf clover', 'luck'] },
-  { emoji: '🎍', category: 'animals', keywords: ['pine decoration'] },
-  { emoji: '🎋', category: 'animals', keywords: ['tanabata tree'] },
-  { emoji: '🍃', category: 'animals', keywords: ['leaf fluttering in wind'] },
-  { emoji: '🍂', category: 'animals', keywords: ['fallen leaf', 'autumn'] },
-  { emoji: '🍁', category: 'animals', keywords: ['maple leaf', 'canada'] },
-  { emoji: '🍄', category: 'animals', keywords: ['mushroom'] },
-  { emoji: '🌾', category: 'animals', keywords: ['sheaf of rice'] },
-  { emoji: '💐', category: 'animals', keywords: ['bouquet', 'flowers'] },
-  { emoji: '🌷', category: 'animals', keywords: ['tulip'] },
-  { emoji: '🌹', category: 'animals', keywords: ['rose', 'love'] },
-  { emoji: '🥀', category: 'animals', keywords: ['wilted flower', 'sad'] },
-  { emoji: '🌺', category: 'animals', keywords: ['hibiscus'] },
-  { emoji: '🌸', category: 'animals', keywords: ['cherry blossom', 'sakura'] },
-  { emoji: '🌼', category: 'animals', keywords: ['blossom'] },
-  { emoji: '🌻', category: 'animals', keywords: ['sunflower'] },
-  { emoji: '🌞', category: 'animals', keywords: ['sun with face'] },
-  { emoji: '🌝', category: 'animals', keywords: ['full moon with face'] },
-  { emoji: '🌚', category: 'animals', keywords: ['new moon with face'] },
-  { emoji: '🌛', category: 'animals', keywords: ['first quarter moon with face'] },
-  { emoji: '🌜', category: 'animals', keywords: ['last quarter moon with face'] },
-  { emoji: '🌙', category: 'animals', keywords: ['crescent moon', 'night'] },
-  { emoji: '🌍', category: 'animals', keywords: ['earth globe europe-africa'] },
-  { emoji: '🌎', category: 'animals', keywords: ['earth globe americas'] },
-  { emoji: '🌏', category: 'animals', keywords: ['earth globe asia-australia'] },
-  { emoji: '🌐', category: 'animals', keywords: ['globe with meridians', 'internet'] },
-  { emoji: '🌋', category: 'animals', keywords: ['volcano', 'hot'] },
-  { emoji: '🌌', category: 'animals', keywords: ['milky way', 'space'] },
-  { emoji: '🌠', category: 'animals', keywords: ['shooting star'] },
-  { emoji: '⭐', category: 'animals', keywords: ['star'] },
-  { emoji: '☀️', category: 'animals', keywords: ['sun', 'hot'] },
-  { emoji: '⛅', category: 'animals', keywords: ['sun behind cloud'] },
-  { emoji: '☁️', category: 'animals', keywords: ['cloud'] },
-  { emoji: '⚡', category: 'animals', keywords: ['high voltage', 'lightning', 'zap'] },
-  { emoji: '🔥', category: 'animals', keywords: ['fire', 'hot', 'lit'] },
-  { emoji: '💥', category: 'animals', keywords: ['collision', 'boom'] },
-  { emoji: '❄️', category: 'animals', keywords: ['snowflake', 'cold'] },
-  { emoji: '🌨️', category: 'animals', keywords: ['cloud with snow'] },
-  { emoji: '⛈️', category: 'animals', keywords: ['cloud with lightning and rain'] },
-  { emoji: '🌧️', category: 'animals', keywords: ['cloud with rain'] },
-  { emoji: '💧', category: 'animals', keywords: ['droplet', 'water'] },
-  { emoji: '💦', category: 'animals', keywords: ['sweat drops', 'water'] },
-  { emoji: '🌊', category: 'animals', keywords: ['water wave', 'ocean'] },
-  { emoji: '🌈', category: 'animals', keywords: ['rainbow', 'proud'] },
-
+  { emoji: '🐵', category: 'animals', keywords: ['monkey', 'face', 'monkey face'], localized: { fr: ['singe', 'tête', 'tête de singe', 'animal', 'georges le petit curieux', 'sourire', 'visage'], ar: ['قرد', 'وجه', 'وجه قرد', 'ادغال', 'حيوان', 'سعدان', 'شاذي', 'موز', 'وجه مهتم'] } },
+  { emoji: '🐒', category: 'animals', keywords: ['monkey'], localized: { fr: ['singe', 'animal', 'primate'], ar: ['قرد', 'حيوان', 'سعدان', 'شاذي', 'موز'] } },
+  { emoji: '🦍', category: 'animals', keywords: ['gorilla'], localized: { fr: ['gorille', 'animal', 'primate'], ar: ['غوريلا', 'افريقيا', 'جوريلا', 'حديقة الحيوان', 'حديقة الحيوانات', 'حيوان'] } },
+  { emoji: '🦧', category: 'animals', keywords: ['orangutan'], localized: { fr: ['orang-outan', 'animal', 'primate', 'singe'], ar: ['إنسان الغاب', 'أورانجوتان', 'أورانغوتان', 'إنسان الغابة', 'حيوان', 'غوريلا', 'قرد'] } },
+  { emoji: '🐶', category: 'animals', keywords: ['dog', 'puppy', 'pet', 'dog face'], localized: { fr: ['chien', 'chiot', 'animal', 'tête de chien', 'animal domestique', 'visage'], ar: ['كلب', 'جرو', 'حيوان أليف', 'وجه كلب', 'اليف', 'حيوان', 'مزرعة', 'وجه'] } },
+  { emoji: '🐕', category: 'animals', keywords: ['dog'], localized: { fr: ['chien', 'aboyer', 'animal', 'animal domestique'], ar: ['كلب', 'اليف', 'حيوان', 'مزرعة'] } },
+  { emoji: '🦮', category: 'animals', keywords: ['guide dog'], localized: { fr: ['chien guide', 'accessibilité', 'animal', 'aveugle', 'guide', 'malvoyant', 'non-voyant'], ar: ['كلب مرشد', 'كلب دليل', 'أعمى', 'إرشاد', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'حيوان', 'دليل', 'ضرير', 'كفيف', 'كلب', 'مساعدة'] } },
+  { emoji: '🐕‍🦺', category: 'animals', keywords: ['service dog'], localized: { fr: ['chien d’assistance', 'accessibilité', 'aide', 'animal', 'assistance', 'chien-guide', 'handicap'], ar: ['كلب مساعدة', 'أعمى', 'إمكانية الوصول', 'احتياجات خاصة', 'حيوان', 'خدمة', 'رمز الوفاء', 'سيرفيس دوغ', 'ضرير', 'كفيف', 'كلب', 'مساعدة'] } },
+  { emoji: '🐩', category: 'animals', keywords: ['poodle'], localized: { fr: ['caniche', 'animal', 'chien'], ar: ['كلب بودل', 'بودل', 'حيوان', 'كلب', 'منفوش'] } },
+  { emoji: '🐺', category: 'animals', keywords: ['wolf'], localized: { fr: ['loup', 'animal', 'louve', 'tête', 'tête de loup'], ar: ['ذئب', 'وجه ذئب', 'حيوان', 'وجه'] } },
+  { emoji: '🦊', category: 'animals', keywords: ['fox'], localized: { fr: ['renard', 'animal', 'nature', 'tête', 'visage'], ar: ['ثعلب', 'وجه ثعلب', 'حيوان', 'محتال', 'واوي', 'وجه'] } },
+  { emoji: '🦝', category: 'animals', keywords: ['raccoon'], localized: { fr: ['raton laveur', 'animal', 'curieux', 'sournois'], ar: ['راكون', 'حيوان', 'خبيث', 'راقون', 'فضولي', 'لئيم', 'ماكر', 'محتال', 'مخادع', 'نِمس'] } },
+  { emoji: '🐱', category: 'animals', keywords: ['cat', 'kitten', 'pet', 'cat face'], localized: { fr: ['chat', 'chaton', 'animal', 'tête de chat', 'miaou', 'minou'], ar: ['قطة', 'قط', 'حيوان أليف', 'وجه قطة', 'اليف', 'بسة', 'بيسة', 'حيوان', 'هر', 'هرة', 'هريرة', 'وجه'] } },
+  { emoji: '🐈', category: 'animals', keywords: ['cat'], localized: { fr: ['chat', 'animal', 'animal domestique', 'chaton', 'miaou', 'miauler'], ar: ['قطة', 'اليف', 'بسة', 'بسينة', 'بيسة', 'حيوان', 'قط', 'هريرة'] } },
+  { emoji: '🐈‍⬛', category: 'animals', keywords: ['black cat'], localized: { fr: ['chat noir', 'animal', 'chat', 'chaton', 'félin', 'halloween', 'malchanceux', 'matou', 'miaou', 'noir', 'superstition'], ar: ['هرّ أسود', 'أسود', 'أليف', 'حيوان', 'سوداء', 'سيئ الحظ', 'شؤم', 'طبيعة', 'فأل سيء', 'قطة', 'مياو', 'هر'] } },
+  { emoji: '🦁', category: 'animals', keywords: ['lion', 'king'], localized: { fr: ['lion', 'roi', 'tête de lion', 'animal', 'astrologie', 'crinière', 'fort', 'horoscope', 'rugissement', 'safari', 'savane', 'visage', 'zodiaque'], ar: ['أسد', 'ملك', 'وجه أسد', 'أبراج', 'الأبراج', 'برج', 'زئير', 'سفاري', 'صحراء', 'قوي', 'لبدة', 'وجه'] } },
+  { emoji: '🐯', category: 'animals', keywords: ['tiger', 'tiger face'], localized: { fr: ['tigre', 'tête de tigre', 'animal', 'félin', 'prédateur', 'visage'], ar: ['نمر', 'وجه نمر', 'حيوان', 'قط كبير', 'قطة كبيرة', 'مفترس'] } },
+  { emoji: '🐅', category: 'animals', keywords: ['tiger'], localized: { fr: ['tigre', 'animal', 'félin', 'prédateur', 'tigresse', 'zoo'], ar: ['نمر', 'حديقة الحيوانات', 'حيوان', 'قط كبير', 'مفترس'] } },
+  { emoji: '🐆', category: 'animals', keywords: ['leopard'], localized: { fr: ['léopard', 'animal', 'félin', 'prédateur', 'zoo'], ar: ['فهد', 'بري', 'تشيتا', 'حديقة الحيوانات', 'حيوان', 'شيتا', 'قط كبير', 'قطة كبير', 'قطة كبيرة', 'مفترس', 'نمر'] } },
+  { emoji: '🐴', category: 'animals', keywords: ['horse', 'horse face'], localized: { fr: ['cheval', 'tête de cheval', 'animal', 'dressage', 'équitation', 'ferme', 'jument'], ar: ['حصان', 'وجه حصان', 'حيوان', 'خيل', 'ركوب', 'فرس', 'مزرعة', 'مهر', 'وجه'] } },
+  { emoji: '🫎', category: 'animals', keywords: ['moose'], localized: { fr: ['élan', 'animal', 'bois', 'cervidé', 'mammifère', 'orignal', 'ramure'], ar: ['أيّل', 'ثديات', 'ثدييات', 'حيوان', 'قرون', 'موظ'] } },
+  { emoji: '🫏', category: 'animals', keywords: ['donkey'], localized: { fr: ['âne', 'animal', 'bourricot', 'mammifère', 'mule', 'têtu'], ar: ['حمار', 'بغل', 'ثديات', 'ثدييات', 'جحش', 'حظيرة', 'حيوان', 'عنيد', 'غبي'] } },
+  { emoji: '🐎', category: 'animals', keywords: ['horse'], localized: { fr: ['cheval', 'animal', 'course hippique', 'hippodrome', 'tiercé'], ar: ['حصان', 'حيوان', 'خيل', 'ركوب', 'سباق', 'سبق احضنة', 'مزرعة'] } },
+  { emoji: '🦄', category: 'animals', keywords: ['unicorn', 'magic'], localized: { fr: ['licorne', 'magie', 'animal', 'licrone', 'tête', 'tête de licorne'], ar: ['وحيد القرن الأسطوري', 'سحر', 'وجه أحادي قرن', 'أحادي القرن', 'حصان ابيض', 'وجه', 'يونيكورن'] } },
+  { emoji: '🦓', category: 'animals', keywords: ['zebra'], localized: { fr: ['zèbre', 'animal', 'noir et blanc', 'rayure', 'rayures', 'zébrure'], ar: ['حمار وحشي', 'حمار الوحش', 'حيوان', 'زيبرا', 'مخطط'] } },
+  { emoji: '🦌', category: 'animals', keywords: ['deer'], localized: { fr: ['cerf', 'animal', 'bois'], ar: ['غزال', 'أيل', 'حيوان'] } },
+  { emoji: '🦬', category: 'animals', keywords: ['bison'], localized: { fr: ['bison', 'animal', 'buffle', 'cornes', 'herbivore', 'nature', 'troupeau'], ar: ['بيسون', 'ثور أمريكي', 'بايسن', 'ثور', 'جاموس', 'حيوان', 'طبيعة', 'قطيع', 'مصارعة ثيران', 'هائج'] } },
+  { emoji: '🐮', category: 'animals', keywords: ['cow', 'cow face'], localized: { fr: ['vache', 'tête de vache', 'animal', 'lait', 'meuh', 'visage'], ar: ['بقرة', 'وجه بقرة', 'حليب', 'حيوان', 'لبن', 'مزرعة', 'موو', 'وجه'] } },
+  { emoji: '🐂', category: 'animals', keywords: ['ox'], localized: { fr: ['bœuf', 'animal', 'astrologie', 'ferme', 'horoscope', 'taureau', 'zodiaque'], ar: ['ثور', 'أبراج', 'ابراج', 'الأبراج', 'برج', 'برج الثور', 'تور', 'حيوان', 'فحل', 'فدان', 'مزرعة'] } },
+  { emoji: '🐃', category: 'animals', keywords: ['water buffalo'], localized: { fr: ['buffle', 'animal', 'corne', 'zoo'], ar: ['جاموس', 'جاموس مائي', 'جاموسة', 'حديقة الحيوانات', 'حيوان', 'فدان'] } },
+  { emoji: '🐄', category: 'animals', keywords: ['cow'], localized: { fr: ['vache', 'animal', 'ferme', 'lait', 'meuh'], ar: ['بقرة', 'حليب', 'حيوان', 'لبن', 'مزرعة', 'موو'] } },
+  { emoji: '🐷', category: 'animals', keywords: ['pig', 'pig face'], localized: { fr: ['cochon', 'tête de cochon', 'animal', 'ferme', 'porc', 'visage'], ar: ['خنزير', 'وجه خنزير', 'حيوان', 'مزرعة', 'وجه'] } },
+  { emoji: '🐖', category: 'animals', keywords: ['pig'], localized: { fr: ['cochon', 'animal', 'ferme', 'gros', 'jambon', 'porc', 'truie'], ar: ['خنزير', 'جومبو', 'حيوان', 'دهن', 'سمين', 'مزرعة'] } },
+  { emoji: '🐗', category: 'animals', keywords: ['boar'], localized: { fr: ['sanglier', 'animal', 'game of thrones'], ar: ['خنزير بري', 'حيوان', 'خنزير', 'صراع العروش'] } },
+  { emoji: '🐽', category: 'animals', keywords: ['pig nose'], localized: { fr: ['groin', 'nez de cochon', 'animal', 'cochon', 'ferme', 'flair', 'museau', 'porc', 'sentir', 'tête de cochon'], ar: ['أنف خنزير', 'أنف', 'انف كبير', 'حيوان', 'خنزير', 'مزرعة', 'وجه', 'يشتم'] } },
+  { emoji: '🐏', category: 'animals', keywords: ['ram'], localized: { fr: ['bélier', 'animal', 'astrologie', 'corne', 'ferme', 'horoscope', 'mouton', 'zodiaque'], ar: ['كبش', 'أبراج', 'ابراج', 'الأبراج', 'برج', 'برج الحمل', 'حديقة الحيوان', 'حمل', 'حيوان', 'خروف', 'فحل', 'قرون', 'مزرعة'] } },
+  { emoji: '🐑', category: 'animals', keywords: ['sheep', 'ewe'], localized: { fr: ['mouton', 'brebis', 'animal', 'bêler', 'doux', 'ferme', 'laine', 'lait'], ar: ['خروف', 'نعجة', 'حيوان', 'خاروف', 'خراف', 'صوف', 'مااااء', 'مزرعة'] } },
+  { emoji: '🐐', category: 'animals', keywords: ['goat'], localized: { fr: ['chèvre', 'animal', 'astrologie', 'capricorne', 'ferme', 'fromage', 'horoscope', 'lait', 'zodiaque'], ar: ['ماعز', 'معزة', 'أبراج', 'ابراج', 'الأبراج', 'برج', 'برج الجدي', 'جدي', 'حليب', 'حيوان', 'عنزة', 'لبن', 'مزرعة', 'معزاية'] } },
+  { emoji: '🐪', category: 'animals', keywords: ['camel'], localized: { fr: ['chameau', 'dromadaire', 'animal', 'bosse', 'désert', 'une bosse'], ar: ['جمل', 'جمل وحيد السنام', 'بعير', 'حردبة', 'حيوان', 'سفينة الصحراء', 'سنام', 'صحراء'] } },
+  { emoji: '🐫', category: 'animals', keywords: ['two-hump camel'], localized: { fr: ['chameau', 'animal', 'bosse', 'chameau à deux bosses', 'désert', 'deux bosses'], ar: ['جمل ثنائي السنام', 'بعير', 'حردبة', 'حيوان', 'سفينة الصحراء', 'سنام', 'صحراء'] } },
+  { emoji: '🦙', category: 'animals', keywords: ['llama'], localized: { fr: ['lama', 'alpaca', 'alpaga', 'animal', 'guanaco', 'laine', 'llama', 'pérou', 'vicuña', 'vigogne'], ar: ['لاما', 'ألباكا', 'ألبكة', 'الاباكا', 'الفكونة', 'اللاما', 'جمل', 'حيوان', 'حيون الغوناق', 'صوف', 'غوناق', 'غَوْنَاق', 'فكونة', 'فيكونيا'] } },
+  { emoji: '🦒', category: 'animals', keywords: ['giraffe'], localized: { fr: ['girafe', 'animal', 'cou', 'taches'], ar: ['زرافة', 'حيوان', 'منقط', 'نقط'] } },
+  { emoji: '🐘', category: 'animals', keywords: ['elephant'], localized: { fr: ['éléphant', 'animal', 'pachyderme', 'trompe'], ar: ['فيل', 'افريقيا', 'حيوان', 'خرطوم', 'ضخم'] } },
+  { emoji: '🦣', category: 'animals', keywords: ['mammoth'], localized: { fr: ['mammouth', 'animal', 'défenses', 'extinction', 'géant', 'grand', 'laineux'], ar: ['ماموث', 'أنياب', 'حيوان', 'صوف', 'ضخم', 'طبيعة', 'فيل', 'منقرض'] } },
+  { emoji: '🦏', category: 'animals', keywords: ['rhino', 'rhinoceros'], localized: { fr: ['rhinocéros', 'animal', 'corne'], ar: ['وحيد القرن', 'حيوان', 'رينو', 'ضخم'] } },
+  { emoji: '🦛', category: 'animals', keywords: ['hippo', 'hippopotamus'], localized: { fr: ['hippopotame', 'animal', 'hippo'], ar: ['فرس النهر', 'برنيق', 'جاموس البحر', 'حيوان', 'سيد قشطة', 'هيبو'] } },
+  { emoji: '🐭', category: 'animals', keywords: ['mouse', 'rodent', 'mouse face'], localized: { fr: ['souris', 'rongeur', 'tête de souris', 'animal', 'visage'], ar: ['فأر', 'قارض', 'وجه فأر', 'حيوان', 'فارة', 'وجه'] } },
+  { emoji: '🐁', category: 'animals', keywords: ['mouse'], localized: { fr: ['souris', 'animal'], ar: ['فأر', 'جردون', 'جرذ', 'حيوان', 'فأر أبيض', 'فارة'] } },
+  { emoji: '🐀', category: 'animals', keywords: ['rat'], localized: { fr: ['rat', 'animal'], ar: ['جرذ', 'جردون', 'حيوان', 'فأر', 'فأر كبير'] } },
+  { emoji: '🐹', category: 'animals', keywords: ['hamster', 'pet'], localized: { fr: ['hamster', 'animal', 'animal domestique', 'tête', 'tête de hamster', 'visage'], ar: ['هامستر', 'حيوان أليف', 'وجه حيوان الهمستر', 'حديقة', 'حيوان', 'فار', 'همستر', 'وجه'] } },
+  { emoji: '🐰', category: 'animals', keywords: ['rabbit', 'bunny', 'rabbit face'], localized: { fr: ['lapin', 'lapinou', 'tête de lapin', 'animal', 'animal domestique', 'dents'], ar: ['أرنب', 'أرنوب', 'وجه أرنب', 'اذن طويلة', 'اسنان', 'اليف', 'حيوان', 'وجه'] } },
+  { emoji: '🐇', category: 'animals', keywords: ['rabbit'], localized: { fr: ['lapin', 'animal', 'animal domestique'], ar: ['أرنب', 'أرنوب', 'اذن طويلة', 'اليف', 'حيوان', 'قفز'] } },
+  { emoji: '🐿️', category: 'animals', keywords: ['chipmunk'], localized: { fr: ['écureuil', 'animal', 'noisettes'], ar: ['سنجاب', 'بلوط', 'حيوان', 'ذيل طويل'] } },
+  { emoji: '🦫', category: 'animals', keywords: ['beaver'], localized: { fr: ['castor', 'animal', 'barrage', 'dents', 'rongeur'], ar: ['سمّور', 'حيوان', 'سد', 'طبيعة', 'فأر', 'قندس', 'قوارض', 'كلب الماء'] } },
+  { emoji: '🦔', category: 'animals', keywords: ['hedgehog'], localized: { fr: ['hérisson', 'animal', 'épines', 'épineux', 'piquant', 'porc-épic'], ar: ['قنفد', 'حيوان', 'شائك', 'شوك', 'قنفذ', 'قنفذة', 'مشوك'] } },
+  { emoji: '🦇', category: 'animals', keywords: ['bat', 'vampire'], localized: { fr: ['chauve-souris', 'vampire', 'animal'], ar: ['خفاش', 'مصاص دماء', 'حيوان', 'مصاص', 'وطواط'] } },
+  { emoji: '🐻', category: 'animals', keywords: ['bear'], localized: { fr: ['ours', 'animal', 'miel', 'nounours', 'ours brun', 'teddy', 'tête', 'visage'], ar: ['دب', 'وجه دب', 'حيوان', 'دب اشهب', 'عسل', 'وجه'] } },
+  { emoji: '🐻‍❄️', category: 'animals', keywords: ['polar bear'], localized: { fr: ['ours polaire', 'arctique', 'blanc', 'ours'], ar: ['دب قطبي', 'أبيض', 'القطب الشمالي', 'دب'] } },
+  { emoji: '🐨', category: 'animals', keywords: ['koala'], localized: { fr: ['koala', 'animal', 'australie'], ar: ['كوالا', 'دب كوالا', 'استراليا', 'حيوان', 'دب', 'وجه'] } },
+  { emoji: '🐼', category: 'animals', keywords: ['panda'], localized: { fr: ['panda', 'animal', 'tête', 'tête de panda', 'visage'], ar: ['باندا', 'وجه باندا', 'بامبو', 'حيوان', 'دب', 'قصب البامبو', 'وجه'] } },
+  { emoji: '🦥', category: 'animals', keywords: ['sloth'], localized: { fr: ['paresseux', 'aï', 'animal', 'endormi', 'lent'], ar: ['كسلان', 'الكسلان', 'بطيء', 'حيوان', 'كسول'] } },
+  { emoji: '🦦', category: 'animals', keywords: ['otter'], localized: { fr: ['loutre', 'animal', 'joueur', 'mignon', 'pêcheur'], ar: ['قندس', 'استرخاء', 'ثعلب الماء', 'حيوان', 'حيوانات', 'صيد', 'لعوب'] } },
+  { emoji: '🦨', category: 'animals', keywords: ['skunk'], localized: { fr: ['mouffette', 'animal', 'odeur', 'puer', 'putois'], ar: ['ظربان', 'حيوان', 'رائحة كريهة', 'سكنك', 'مقرف', 'مقزز'] } },
+  { emoji: '🦘', category: 'animals', keywords: ['kangaroo'], localized: { fr: ['kangourou', 'austalie', 'joey', 'kangoo', 'marsupial', 'marsupiaux', 'saut'], ar: ['كنغر', 'أستراليا', 'جراب', 'جيب', 'حيوان', 'فرح', 'فرحة', 'قفز', 'قفزة', 'قنغر', 'كانجرو', 'كانغرو', 'كيس', 'مرح'] } },
+  { emoji: '🦡', category: 'animals', keywords: ['badger'], localized: { fr: ['blaireau', 'animal', 'ratel'], ar: ['غرير', 'أبو كعب', 'ابن عرس', 'الغرير', 'حيوان', 'رائحة كريهة', 'غرير العسل', 'غريراء', 'مزعج'] } },
+  { emoji: '🐾', category: 'animals', keywords: ['paw prints'], localized: { fr: ['empreintes de pattes', 'empreintes d’animaux', 'empreintes', 'pattes'], ar: ['آثار أقدام', 'آثار حوافر', 'آثار', 'حوافر', 'حيوان', 'طبعات رجل', 'طبعة رجل', 'قوائم'] } },
+  { emoji: '🦃', category: 'animals', keywords: ['turkey', 'thanksgiving'], localized: { fr: ['dinde', 'thanksgiving', 'dindon', 'action de grâces', 'animal', 'oiseau', 'volaille'], ar: ['ديك رومي', 'عيد الشكر', 'حبش', 'دجاح', 'رومي', 'كركرة'] } },
+  { emoji: '🐔', category: 'animals', keywords: ['chicken', 'hen'], localized: { fr: ['poulet', 'poule', 'animal', 'coq', 'ferme', 'oiseau', 'volaille'], ar: ['دجاجة', 'فرخة', 'حيوان', 'دجاج', 'طائر', 'طير', 'مزرعة', 'وجه دجاجة', 'وجه ديك'] } },
+  { emoji: '🐓', category: 'animals', keywords: ['rooster'], localized: { fr: ['coq', 'animal', 'oiseau', 'volaille'], ar: ['ديك', 'حيوان', 'طائر', 'طير', 'مزرعة'] } },
+  { emoji: '🐣', category: 'animals', keywords: ['hatching chick'], localized: { fr: ['éclosion', 'poussin', 'poussin qui éclôt', 'animal', 'bébé', 'naissance', 'naître', 'nouveau-né', 'œuf', 'oiseau'], ar: ['فقس', 'كتكوت', 'كتكوت خارج البيضة', 'بيضة', 'حيوان', 'صوص'] } },
+  { emoji: '🐤', category: 'animals', keywords: ['baby chick'], localized: { fr: ['poussin', 'animal', 'oiseau', 'tête de poussin'], ar: ['كتكوت', 'كتكوت صغير', 'حيوان', 'صوص', 'طائر'] } },
+  { emoji: '🐥', category: 'animals', keywords: ['chick', 'front-facing baby chick'], localized: { fr: ['poussin', 'poussin de face', 'animal', 'bébé', 'nouveau-né', 'oiseau'], ar: ['صوص', 'كتكوت صغير بوجه للأمام', 'بيبي', 'رضيع', 'طائر', 'كتكوت', 'مولود جديد'] } },
+  { emoji: '🐦', category: 'animals', keywords: ['bird'], localized: { fr: ['oiseau', 'animal', 'ornithologie'], ar: ['طائر', 'عصفور', 'حيوان', 'طير', 'منقار', 'وجه'] } },
+  { emoji: '🐧', category: 'animals', keywords: ['penguin'], localized: { fr: ['pingouin', 'manchot', 'animal', 'antarctique', 'banquise', 'oiseau'], ar: ['بطريق', 'القارة القطبية', 'جليد', 'طائر', 'قطب'] } },
+  { emoji: '🕊️', category: 'animals', keywords: ['dove', 'peace'], localized: { fr: ['colombe', 'paix', 'animal', 'oiseau', 'rameau', 'voler'], ar: ['حمامة', 'سلام', 'ترفرف', 'زيتون', 'طائر', 'طير', 'عصفور', 'هواء', 'يرفرف', 'يمامه'] } },
+  { emoji: '🦅', category: 'animals', keywords: ['eagle'], localized: { fr: ['aigle', 'animal', 'oiseau', 'rapace'], ar: ['نسر', 'جوارح', 'حيوان', 'صحراء', 'صقر', 'طائر', 'طاير', 'طير', 'عقاب'] } },
+  { emoji: '🦆', category: 'animals', keywords: ['duck'], localized: { fr: ['canard', 'animal', 'coin-coin', 'oiseau'], ar: ['بطة', 'حيوان', 'طائر', 'طير'] } },
+  { emoji: '🦢', category: 'animals', keywords: ['swan'], localized: { fr: ['cygne', 'animal', 'jeune cygne', 'oiseau', 'vilain petit canard'], ar: ['إوزة', 'أوز', 'أوزة', 'إوز', 'إوز عراقي', 'البطة السوداء', 'بجع', 'بجعة', 'بحيرة', 'تم', 'حيوان', 'سوان', 'طائر', 'فرخ', 'وِز', 'وِزة'] } },
+  { emoji: '🦉', category: 'animals', keywords: ['owl'], localized: { fr: ['hibou', 'chouette', 'animal', 'oiseau', 'sage'], ar: ['بومة', 'حكمة', 'حكيم', 'حيوان', 'رشيد', 'طائر'] } },
+  { emoji: '🦤', category: 'animals', keywords: ['dodo'], localized: { fr: ['dodo', 'animal', 'dronte', 'espèce éteinte', 'extinction', 'grand', 'maurice', 'oiseau'], ar: ['طائر الدودو', 'بطة', 'حيوان', 'ريش', 'ضخم', 'طائر', 'طبيعة', 'منقار', 'منقرض', 'موريشيوس'] } },
+  { emoji: '🪶', category: 'animals', keywords: ['feather'], localized: { fr: ['plume', 'écrire', 'écrivain', 'léger', 'oiseau', 'plumage', 'voler'], ar: ['ريشة', 'تحليق', 'حيوان', 'خفيف', 'طائر', 'طبيعة'] } },
+  { emoji: '🦩', category: 'animals', keywords: ['flamingo'], localized: { fr: ['flamant', 'animal', 'oiseau', 'rose', 'tropical'], ar: ['فلامينغو', 'استوائي', 'طائر', 'طير', 'فلامينجو', 'لامع', 'مبهج', 'مبهرج'] } },
+  { emoji: '🦚', category: 'animals', keywords: ['peacock'], localized: { fr: ['paon', 'animal', 'bel oiseau', 'coloré', 'fier', 'fière', 'oiseau', 'paonne', 'prétentieux'], ar: ['طاووس', 'أنثى الطاووس', 'الطاووس', 'الطاووسة', 'حيوان', 'طائر', 'طائر جميل', 'طاووسة', 'فتباهي', 'فخور', 'متباه', 'متفاخر', 'ملون', 'يتباهى', 'يتفاخر'] } },
+  { emoji: '🦜', category: 'animals', keywords: ['parrot'], localized: { fr: ['perroquet', 'animal', 'oiseau', 'parle', 'pirate', 'répète'], ar: ['ببغاء', 'أصوات', 'ألوان', 'بغبغان', 'تقليد', 'تكلم', 'حيوان', 'طائر', 'قراصنة', 'قرصان', 'كلام', 'يتكلم', 'يرغي'] } },
+  { emoji: '🪽', category: 'animals', keywords: ['wing'], localized: { fr: ['aile', 'angélique', 'aviation', 'céleste', 'mythologie', 'oiseau', 's’élever', 's’envoler', 'voler'], ar: ['جناح', 'أساطير', 'بريء', 'سماوي', 'طائر', 'طيران', 'عصفور', 'ملائكي', 'ملاك', 'يحلق', 'يصعد'] } },
+  { emoji: '🐦‍⬛', category: 'animals', keywords: ['black bird'], localized: { fr: ['oiseau noir', 'animal', 'bec', 'corbeau', 'corneille', 'corvidé', 'croasser', 'merle', 'noir', 'oiseau'], ar: ['طائر أسود', 'أسود', 'حيوان', 'صياح', 'طائر', 'غداف', 'غراب', 'قاق', 'منقار', 'نعيق'] } },
+  { emoji: '🪿', category: 'animals', keywords: ['goose'], localized: { fr: ['oie', 'animal', 'bête', 'cacarder', 'canard', 'jars', 'oiseau', 'troupeau', 'volaille', 'volée'], ar: ['إوزّة', 'إوز', 'بطة', 'حيوان', 'ساذج', 'سرب', 'صياح', 'طائر', 'طير'] } },
+  { emoji: '🐦‍🔥', category: 'animals', keywords: ['phoenix'], localized: { fr: ['phénix', 'ailes', 'cendres', 'feu', 'gloire', 'immortel', 'mythologie', 'oiseau', 'renaissance', 'renaître', 'revivre', 'transformation'], ar: ['العنقاء', 'إحياء', 'الحيوانات والطبيعة', 'خالد', 'خيال', 'خيال، طائر النار، انبعاث، تناسخ', 'صعود', 'طائر النار', 'ولادة جديدة'] } },
+  { emoji: '🐸', category: 'animals', keywords: ['frog'], localized: { fr: ['grenouille', 'animal', 'crapaud', 'tête', 'tête de grenouille'], ar: ['ضفدع', 'وجه ضفدع', 'اميرة', 'حيوان', 'وجه'] } },
+  { emoji: '🐊', category: 'animals', keywords: ['crocodile'], localized: { fr: ['crocodile', 'alligator', 'animal', 'caïman', 'reptile', 'zoo'], ar: ['تمساح', 'جلد متمسح', 'حديقة الحيوانات', 'حيوان', 'فلوريدا'] } },
+  { emoji: '🐢', category: 'animals', keywords: ['turtle'], localized: { fr: ['tortue', 'animal', 'carapace', 'lentement', 'reptile'], ar: ['سلحفاة', 'حيوان', 'زلحفة', 'مزرعة'] } },
+  { emoji: '🦎', category: 'animals', keywords: ['lizard'], localized: { fr: ['lézard', 'animal', 'reptile'], ar: ['سحلية', 'حيوان', 'زواحف', 'سقاية', 'شختة', 'عظاءة'] } },
+  { emoji: '🐍', category: 'animals', keywords: ['snake'], localized: { fr: ['serpent', 'animal', 'reptile', 'serpent à sonnette', 'venin'], ar: ['ثعبان', 'أفعى', 'أبراج', 'أفعة', 'ابراج', 'الأبراج', 'الحواء', 'برج', 'حية', 'حيوان', 'كوكبة الحواء'] } },
+  { emoji: '🐲', category: 'animals', keywords: ['dragon face'], localized: { fr: ['tête de dragon', 'animal', 'dragon', 'mythe', 'tradition'], ar: ['وجه تنين', 'اسطوري', 'تنين', 'حيوان', 'خرافة', 'شوارب طويلة', 'قبيح', 'قصة', 'وجه', 'وجه اخضر'] } },
+  { emoji: '🐉', category: 'animals', keywords: ['dragon'], localized: { fr: ['dragon', 'animal', 'chine', 'chinois', 'game of thrones', 'mythe', 'tradition'], ar: ['تنين', 'اخضر', 'اسطوري', 'حدوتة', 'حية', 'حيوان', 'خرافة', 'صراع العروش', 'صيني', 'فارس', 'قصة'] } },
+  { emoji: '🦕', category: 'animals', keywords: ['sauropod', 'dinosaur'], localized: { fr: ['sauropode', 'dinosaure', 'animal', 'brachiosaure', 'brontosaure', 'diplodocus'], ar: ['صوروبود', 'ديناصور', 'ديناصور صوروبودا', 'برونتوزوروس', 'حيوان', 'منقرض'] } },
+  { emoji: '🦖', category: 'animals', keywords: ['t-rex', 'dinosaur'], localized: { fr: ['t-rex', 'dinosaure', 'animal', 't. rex', 'tyrannosaure', 'tyrannosaurus rex'], ar: ['تيرانوصور', 'ديناصور', 'التيرانوصور', 'ترايناصور', 'تي ريكس', 'حيوان'] } },
+  { emoji: '🐳', category: 'animals', keywords: ['whale', 'spouting', 'spouting whale'], localized: { fr: ['baleine', 'jet', 'baleine soufflant par son évent', 'animal', 'baleine avec évent', 'mer', 'océan', 'plage', 'souffle'], ar: ['حوت', 'نافورة', 'حوت بنافورة', 'أبراج', 'بحر', 'برج', 'حيوان', 'شاطىء', 'محيط'] } },
+  { emoji: '🐋', category: 'animals', keywords: ['whale'], localized: { fr: ['baleine', 'animal', 'mer', 'océan', 'plage'], ar: ['حوت', 'بحر', 'حيوان', 'شاطىء', 'طبيعة', 'محيط'] } },
+  { emoji: '🐬', category: 'animals', keywords: ['dolphin'], localized: { fr: ['dauphin', 'animal', 'flipper', 'mer', 'océan', 'plage'], ar: ['دلفين', 'دولفين', 'بحر', 'حيوان', 'زعانف', 'شاطىء', 'محيط'] } },
+  { emoji: '🫍', category: 'animals', keywords: ['orca'], localized: { fr: ['orque', 'baleine', 'marin', 'océan'], ar: ['الحوت القاتل', 'المحيط', 'بحري', 'حوت', 'حوت الأوركا'] } },
+  { emoji: '🦭', category: 'animals', keywords: ['seal'], localized: { fr: ['phoque', 'animal', 'lion de mer', 'océan', 'otarie'], ar: ['فقمة', 'أسد البحر', 'حيوان', 'طبيعة', 'عجل البحر', 'كلب البحر', 'مائي'] } },
+  { emoji: '🐟', category: 'animals', keywords: ['fish'], localized: { fr: ['poisson', 'alimentation', 'animal', 'astrologie', 'horoscope', 'manger', 'nourriture', 'poissons', 'repas', 'zodiaque'], ar: ['سمكة', 'اصطياد', 'بحر', 'برج', 'حيوان', 'سمك', 'صيد', 'عشاء', 'غداء', 'محيط'] } },
+  { emoji: '🐠', category: 'animals', keywords: ['tropical fish'], localized: { fr: ['poisson tropical', 'animal', 'poisson'], ar: ['سمكة استوائية', 'استوائي', 'بحر', 'حيوان', 'ريف', 'سمك', 'سمكة', 'محيط'] } },
+  { emoji: '🐡', category: 'animals', keywords: ['blowfish'], localized: { fr: ['poisson-globe', 'poisson-lune', 'animal', 'poisson'], ar: ['سمكة منتفخة', 'بحر', 'حيوان', 'سمك', 'سمكة', 'طبيعة', 'محيط'] } },
+  { emoji: '🦈', category: 'animals', keywords: ['shark'], localized: { fr: ['requin', 'animal', 'dents de la mer', 'poisson'], ar: ['قرش', 'سمكة قرش', 'محيط'] } },
+  { emoji: '🐙', category: 'animals', keywords: ['octopus'], localized: { fr: ['pieuvre', 'poulpe', 'animal', 'créature', 'mer', 'mollusque', 'océan'], ar: ['أخطبوط', 'حيوان', 'محيط', 'مخلوق'] } },
+  { emoji: '🐚', category: 'animals', keywords: ['spiral shell'], localized: { fr: ['coquille en spirale', 'animal', 'conque', 'coquillage', 'coquille', 'mer', 'plage', 'spirale'], ar: ['صدفة حلزونية', 'بحر', 'حيوان', 'شاطىء', 'صدفة', 'صفد'] } },
+  { emoji: '🪸', category: 'animals', keywords: ['coral'], localized: { fr: ['corail', 'océan', 'réchauffement climatique', 'récif'], ar: ['مرجان', 'المحيط', 'بحر', 'تغير المناخ', 'شعب مرجانية'] } },
+  { emoji: '🪼', category: 'animals', keywords: ['jellyfish'], localized: { fr: ['méduse', 'aïe', 'animal', 'aquarium', 'brûlure', 'gélatineux', 'invertébré', 'marin', 'mer', 'mou', 'océan', 'piqûre', 'plancton', 'tentacules', 'vie marine'], ar: ['قنديل بحر', 'ألم', 'بحر', 'بحري', 'حوض سمك', 'حياة بحرية', 'حيوان', 'سمكة هلامية', 'عوالق', 'لافقري', 'لدغة', 'لسعة', 'لوامس', 'هلامي'] } },
+  { emoji: '🦀', category: 'animals', keywords: ['crab'], localized: { fr: ['crabe', 'animal', 'astrologie', 'cancer', 'horoscope', 'mer', 'pinces', 'plage', 'zodiaque'], ar: ['سلطعون', 'كابوريا', 'سرطان', '٨ ارجل', 'أبراج', 'أكل بحري', 'بحر', 'برج', 'حيوان', 'سلطعان', 'صيد', 'محيط'] } },
+  { emoji: '🦞', category: 'animals', keywords: ['lobster'], localized: { fr: ['homard', 'animal', 'bisque', 'fruit de mer', 'fruits de mer', 'pinces'], ar: ['كركند', 'أكل', 'استاكوزا', 'استاكوزا حمرا', 'البحر', 'بيسك', 'جراد البحر', 'جمبري', 'حساء', 'حيوان', 'سرطان', 'شوربة', 'قرصة', 'كابوريا', 'كلابات', 'مأكولات بحرية', 'مخالب', 'مرق', 'مرقة'] } },
+  { emoji: '🦐', category: 'animals', keywords: ['shrimp'], localized: { fr: ['crevette', 'aliment', 'crustacé', 'fruits de mer', 'nourriture'], ar: ['روبيان', 'جمبري', 'أكل', 'بحر', 'حيوان', 'شرمب', 'طعام', 'قريدس', 'محار'] } },
+  { emoji: '🦑', category: 'animals', keywords: ['squid'], localized: { fr: ['calmar', 'calamar', 'aliment', 'animal', 'encornet', 'mollusque', 'nourriture'], ar: ['حبار', 'أكل', 'بحر', 'حيوان', 'صبيدج', 'طعام', 'محيط'] } },
+  { emoji: '🦪', category: 'animals', keywords: ['oyster'], localized: { fr: ['huître', 'coquillage', 'coquille', 'mollusque', 'perle'], ar: ['محار', 'بحر', 'جندوفلي', 'صدف', 'صدفة', 'طعام', 'غطس', 'كنز', 'كنوز', 'لؤلؤ', 'محارة'] } },
+  { emoji: '🐌', category: 'animals', keywords: ['snail'], localized: { fr: ['escargot', 'animal', 'jardin', 'lentement', 'nature'], ar: ['حلزون', 'بزاق', 'بزاقة', 'بزيق', 'حيوان', 'طبيعة', 'قوقع', 'مزبلط'] } },
+  { emoji: '🦋', category: 'animals', keywords: ['butterfly'], localized: { fr: ['papillon', 'animal', 'insecte', 'mignon', 'printemps'], ar: ['فراشة', 'بابيون', 'بستان', 'جمال', 'حشرة', 'طبيعة'] } },
+  { emoji: '🫌', category: 'animals', keywords: ['monarch butterfly'], localized: { fr: ['papillon monarque', 'papillon'], ar: ['فراشة ملكية', 'فراشة'] } },
+  { emoji: '🐛', category: 'animals', keywords: ['bug', 'caterpillar'], localized: { fr: ['insecte', 'chenille', 'animal', 'jardin'], ar: ['حشرة', 'يرقة', 'بق', 'أم أربعة وأربعين', 'ام ٤٤', 'ام اربعة واربعين', 'بستان', 'حديقة', 'حيوان', 'دودة', 'يرقانة حيوان'] } },
+  { emoji: '🐜', category: 'animals', keywords: ['ant'], localized: { fr: ['fourmi', 'animal', 'insecte', 'jardin'], ar: ['نملة', 'بستان', 'حديقة', 'حشرة', 'حيوان'] } },
+  { emoji: '🐝', category: 'animals', keywords: ['bee', 'insect', 'honeybee'], localized: { fr: ['abeille', 'insecte', 'animal', 'bourdon', 'guêpe', 'miel', 'nature', 'printemps'], ar: ['نحلة', 'حشرة', 'الربيع', 'الطبيعة', 'حيوان', 'ربيع', 'طنانة', 'عسل نحل', 'نحل'] } },
+  { emoji: '🪲', category: 'animals', keywords: ['beetle'], localized: { fr: ['scarabée', 'animal', 'insecte'], ar: ['خنفساء', 'آفة خضراء', 'حشرة', 'حيوان', 'طبيعة'] } },
+  { emoji: '🐞', category: 'animals', keywords: ['lady beetle', 'luck'], localized: { fr: ['coccinelle', 'chance', 'animal', 'bête', 'insecte', 'jardin', 'nature'], ar: ['دعسوقة', 'حظ', 'بستان', 'حديقة', 'حشرة', 'خنفساء', 'خنفسة', 'طبيعة'] } },
+  { emoji: '🦗', category: 'animals', keywords: ['cricket'], localized: { fr: ['grillon', 'criquet', 'animal', 'insecte', 'sauterelle'], ar: ['صرصور الليل', 'جدجد', 'جراد', 'جندب', 'حشرة', 'قبوط'] } },
+  { emoji: '🪳', category: 'animals', keywords: ['cockroach'], localized: { fr: ['cafard', 'blatte', 'animal', 'coquerelle', 'insecte', 'nuisible'], ar: ['صرصور', 'جدجد', 'حشرة', 'حيوان', 'مبيد حشري', 'مقرف'] } },
+  { emoji: '🕷️', category: 'animals', keywords: ['spider', 'scary'], localized: { fr: ['araignée', 'effrayant', 'animal', 'insecte'], ar: ['عنكبوت', 'مخيف', 'ثمان ارجل', 'حشرة'] } },
+  { emoji: '🕸️', category: 'animals', keywords: ['web', 'spider', 'spider web'], localized: { fr: ['toile', 'araignée', 'toile d’araignée'], ar: ['شبكة', 'عنكبوت', 'شبكة عنكبوت', 'حشرة', 'ويب'] } },
+  { emoji: '🦂', category: 'animals', keywords: ['scorpion', 'scorpio'], localized: { fr: ['scorpion', 'animal', 'astrologie', 'désert', 'horoscope', 'zodiaque'], ar: ['عقرب', 'أبراج', 'الأبراج', 'برج', 'حشرة', 'مسم', 'يعقس'] } },
+  { emoji: '🦟', category: 'animals', keywords: ['mosquito'], localized: { fr: ['moustique', 'fièvre', 'infection', 'insecte', 'maladie', 'malaria', 'piqûre', 'virus'], ar: ['بعوضة', 'برغش', 'حشرة', 'حمى', 'عدوى', 'عضة', 'عقسة', 'فيرس', 'فيروس', 'قرصة', 'لدغة', 'مرض', 'ملاريا', 'ناموسة'] } },
+  { emoji: '🪰', category: 'animals', keywords: ['fly'], localized: { fr: ['mouche', 'animal', 'asticot', 'insecte', 'maladie', 'nuisible', 'pourrissement', 'puanteur', 'putréfaction', 'tsé-tsé'], ar: ['ذبابة', 'باعوضة', 'بعوضة', 'حشرة', 'حيوان', 'طبيعة', 'عفن', 'مرض', 'نفايات', 'يرقة'] } },
+  { emoji: '🪱', category: 'animals', keywords: ['worm'], localized: { fr: ['ver', 'lombric', 'animal', 'annélide', 'insecte', 'parasite', 'ver de terre'], ar: ['دودة', 'بريمة', 'حشرة', 'حيوان', 'دودة أرض', 'دودة علقية', 'طبيعة', 'طفيليات', 'متطفل'] } },
+  { emoji: '🦠', category: 'animals', keywords: ['microbe'], localized: { fr: ['microbe', 'amibe', 'bactérie', 'biologie', 'microorganisme', 'phagocytose', 'pseudopode', 'science', 'virus'], ar: ['جرثومة', 'أميبا', 'بكتيريا', 'جراثيم', 'جرثوم', 'علوم', 'فيرس', 'فيروس', 'فيروسات', 'ميكروب', 'ميكروبات'] } },
+  { emoji: '💐', category: 'animals', keywords: ['bouquet', 'flowers'], localized: { fr: ['bouquet', 'fleurs', 'amoureux', 'anniversaire', 'fleur', 'plante', 'rendez-vous', 'roses'], ar: ['باقة', 'زهور', 'باقة زهور', 'احتفال', 'ازهار', 'باقة ورد', 'بوكيه', 'حب', 'ذكرى سنوية', 'رومانس', 'رومانسية', 'رومنس', 'عيد ميلاد', 'غرام', 'موعد', 'نبات', 'ورد'] } },
+  { emoji: '🌸', category: 'animals', keywords: ['cherry blossom', 'sakura'], localized: { fr: ['fleur de cerisier', 'sakura', 'bourgeon', 'fleur', 'plante', 'printemps'], ar: ['زهر الكرز', 'ساكورا', 'زهرة الكرز', 'بستان', 'جمال', 'حديقة', 'ربيع', 'زهرة', 'زهرة كرز', 'نبات', 'وردة كرز'] } },
+  { emoji: '💮', category: 'animals', keywords: ['white flower'], localized: { fr: ['fleur blanche', 'fleur'], ar: ['زهرة بيضاء', 'وردة بيضاء', 'رمز', 'زهور', 'طابع'] } },
+  { emoji: '🪷', category: 'animals', keywords: ['lotus'], localized: { fr: ['lotus', 'beauté', 'bouddhisme', 'calme', 'fleur', 'hindouisme', 'pureté', 'sérénité'], ar: ['لوتس', 'البوذية', 'الهند', 'الهندوسية', 'جمال', 'زهرة', 'سكون', 'صفاء', 'فيتنام', 'هدوء'] } },
+  { emoji: '🏵️', category: 'animals', keywords: ['rosette'], localized: { fr: ['rosette', 'plante'], ar: ['وردة زينة', 'وردية', 'ميدالية', 'نبات', 'نيشان', 'وسام'] } },
+  { emoji: '🌹', category: 'animals', keywords: ['rose', 'love'], localized: { fr: ['rose', 'amour', 'beauté', 'fleur', 'plante', 'rouge', 'saint-valentin'], ar: ['وردة', 'حب', 'احمر', 'اناقة', 'جمال', 'جميل', 'زهرة', 'عيد الحب', 'عيد العشاق', 'نبات'] } },
+  { emoji: '🥀', category: 'animals', keywords: ['wilted flower', 'sad'], localized: { fr: ['fleur fanée', 'triste', 'fanée', 'fleur', 'mort', 'rose'], ar: ['زهرة ذابلة', 'حزين', 'وردة ذابلة', 'تموت', 'ذابلة', 'زهرة', 'زوال', 'وردة', 'يبست'] } },
+  { emoji: '🌺', category: 'animals', keywords: ['hibiscus'], localized: { fr: ['hibiscus', 'fleur', 'plante'], ar: ['كركديه', 'بستان', 'زهرة', 'نبات'] } },
+  { emoji: '🌻', category: 'animals', keywords: ['sunflower'], localized: { fr: ['tournesol', 'champs', 'fleur', 'plante', 'soleil'], ar: ['عباد الشمس', 'دوار الشمس', 'حديقة', 'طبيعة', 'نبات', 'نزهة'] } },
+  { emoji: '🌼', category: 'animals', keywords: ['blossom'], localized: { fr: ['fleur', 'bourgeon', 'bouton d’or', 'dent-de-lion', 'pissenlit', 'plante', 'printemps'], ar: ['زهرة', 'اصفر', 'حديقة', 'ديزي', 'نبات'] } },
+  { emoji: '🌷', category: 'animals', keywords: ['tulip'], localized: { fr: ['tulipe', 'bourgeon', 'fleur', 'plante', 'printemps'], ar: ['توليب', 'خزامى', 'زهرة التوليب', 'اناقة', 'بستان', 'زهرة', 'نبات'] } },
+  { emoji: '🪻', category: 'animals', keywords: ['hyacinth'], localized: { fr: ['jacinthe', 'fleur', 'fleurir', 'indigo', 'lavande', 'lilas', 'lupin', 'mauve', 'muflier', 'plante', 'printemps', 'violet'], ar: ['زهرة الياقوتية', 'أرجواني', 'أزرق نيلي', 'إزهار', 'القلنسوة الزرقاء', 'بنفسجي فاتح', 'ترمس', 'تفتح', 'خزامة', 'خزامى', 'ربيع', 'زهرة', 'زهرة الخطم', 'شجيرة', 'لافندر', 'ليلك', 'مكحّلة', 'نبات', 'نبات النيلة'] } },
+  { emoji: '🌱', category: 'animals', keywords: ['seedling', 'plant', 'grow'], localized: { fr: ['pousse', 'plante', 'grandir', 'jeune pousse', 'germe', 'jeune plant', 'plantule', 'pousser', 'printemps', 'semis'], ar: ['شتلة', 'نبتة', 'نمو', 'بستان', 'تنبت', 'حديقة', 'زريعة', 'صغير', 'طبيعة', 'يافع'] } },
+  { emoji: '🪴', category: 'animals', keywords: ['potted plant'], localized: { fr: ['plante en pot', 'décoration', 'ennuyeux', 'faire pousser', 'intérieur', 'nature', 'plante', 'pousser', 'prendre soin'], ar: ['نبتة في وعاء', 'إصيص', 'بدون فائدة', 'ديكور', 'رعاية', 'زراعة', 'زينة', 'صبار', 'طبيعة', 'ممل', 'منزل', 'نبتة'] } },
+  { emoji: '🌲', category: 'animals', keywords: ['evergreen tree'], localized: { fr: ['sapin', 'conifère', 'arbre', 'feuilles persistantes', 'forêt', 'pin', 'plante', 'sapin de noël'], ar: ['شجرة صنوبر', 'شجرة دائمة الخضرة', 'شجرة', 'صنوبر', 'عيد الميلاد', 'غابة', 'نبات'] } },
+  { emoji: '🌳', category: 'animals', keywords: ['deciduous tree'], localized: { fr: ['arbre', 'arbre à feuilles caduques', 'feuilles caduques', 'feuillu', 'forêt', 'nature', 'plante'], ar: ['شجرة', 'شجرة زائلة الخضرة', 'اخضرار', 'تساقط', 'خضار', 'غابة', 'متساقط', 'موطن', 'نبات'] } },
+  { emoji: '🌴', category: 'animals', keywords: ['palm tree', 'beach'], localized: { fr: ['palmier', 'plage', 'arbre', 'cocotier', 'plante', 'tropical', 'tropiques'], ar: ['نخلة', 'شاطئ', 'استوائي', 'بحر', 'شاطىء', 'شجرة', 'نبات', 'نخيل'] } },
+  { emoji: '🌵', category: 'animals', keywords: ['cactus', 'desert'], localized: { fr: ['cactus', 'désert', 'épines', 'nature', 'piquant', 'plante', 'sécheresse'], ar: ['صبار', 'صحراء', 'الطبيعة', 'جفاف', 'صبيرة', 'طبيعة', 'قحط', 'نبات'] } },
+  { emoji: '🌾', category: 'animals', keywords: ['sheaf of rice'], localized: { fr: ['épi de riz', 'blé', 'plant de riz', 'grain', 'plante', 'riz'], ar: ['سنبلة', 'قمح', 'حزمة من الأرز', 'أرز', 'حبوب', 'رز', 'زرع', 'سنبلة أرز', 'نبات', 'ورق الارز'] } },
+  { emoji: '🌿', category: 'animals', keywords: ['herb'], localized: { fr: ['herbe', 'plante', 'feuille', 'arbre', 'feuilles'], ar: ['عشب', 'بستان', 'نبتة', 'ورق'] } },
+  { emoji: '☘️', category: 'animals', keywords: ['shamrock', 'luck'], localized: { fr: ['trèfle', 'chance', 'irlande', 'plante'], ar: ['نفل', 'حظ', 'نبات النفل', 'ايرلندي', 'شامروك', 'نبات'] } },
+  { emoji: '🍀', category: 'animals', keywords: ['four leaf clover', 'luck'], localized: { fr: ['trèfle à quatre feuilles', 'chance', '4', 'feuilles', 'irlande', 'plante', 'porte-bonheur', 'quatre', 'trèfle'], ar: ['برسيم رباعي', 'حظ', 'ورقة برسيم رباعية', '4', 'أربعة', 'ايرلندي', 'باتريك', 'برسيم', 'نبات', 'ورقة'] } },
+  { emoji: '🍁', category: 'animals', keywords: ['maple leaf', 'canada'], localized: { fr: ['feuille d\'érable', 'canada', 'feuille d’érable', 'automne', 'érable', 'feuille', 'feuille morte', 'tomber'], ar: ['ورقة القيقب', 'كندا', 'ورقة شجر القيقب', 'خريف', 'سقوط', 'قيقب', 'نبات', 'ورقة', 'ورقة قبقب'] } },
+  { emoji: '🍂', category: 'animals', keywords: ['fallen leaf', 'autumn'], localized: { fr: ['feuille morte', 'automne', 'feuille', 'feuilles mortes', 'tomber'], ar: ['ورقة متساقطة', 'خريف', 'أوراق متساقطة', 'سقوط', 'نبات', 'ورقة'] } },
+  { emoji: '🍃', category: 'animals', keywords: ['leaf fluttering in wind'], localized: { fr: ['feuilles au vent', 'feuille virevoltante', 'bourrasque', 'feuille', 'souffle', 'tourbillon de feuilles', 'vent', 'virevolter'], ar: ['أوراق في الريح', 'ورقة متطايرة', 'رياح', 'ريح', 'طبيعة', 'نبات', 'هبوب', 'ورقة'] } },
+  { emoji: '🪹', category: 'animals', keywords: ['empty nest'], localized: { fr: ['nid vide', 'branches', 'faire son nid', 'maison', 'nid'], ar: ['عش فارغ', 'بيت', 'تعشيش', 'طائر', 'فرع شجرة'] } },
+  { emoji: '🪺', category: 'animals', keywords: ['nest with eggs'], localized: { fr: ['nid avec œufs', 'branches', 'faire son nid', 'nid', 'oiseau'], ar: ['عش به بيض', 'بيض', 'تعشيش', 'حمام', 'طائر', 'عصفور'] } },
+  { emoji: '🍄', category: 'animals', keywords: ['mushroom'], localized: { fr: ['champignon', 'champignon vénéneux', 'mario', 'plante'], ar: ['فطر', 'عيش الغراب', 'شومبنيو', 'عيش غراب', 'مشروم'] } },
+  { emoji: '🪾', category: 'animals', keywords: ['leafless tree'], localized: { fr: ['arbre sans feuille', 'aride', 'hiver', 'sécheresse'], ar: ['شجرة بلا أوراق', 'الشتاء', 'جرداء', 'جفاف'] } },
   // --- FOOD & DRINK ---
-  { emoji: '🍇', category: 'food', keywords: ['grapes', 'fruit'] },
-  { emoji: '🍈', category: 'food', keywords: ['melon', 'fruit'] },
-  { emoji: '🍉', category: 'food', keywords: ['watermelon', 'fruit'] },
-  { emoji: '🍊', category: 'food', keywords: ['tangerine', 'orange', 'fruit'] },
-  { emoji: '🍋', category: 'food', keywords: ['lemon', 'citrus'] },
-  { emoji: '🍋‍🟩', category: 'food', keywords: ['lime', 'citrus'] },
-  { emoji: '🍌', category: 'food', keywords: ['banana', 'fruit'] },
-  { emoji: '🍍', category: 'food', keywords: ['pineapple', 'fruit'] },
-  { emoji: '🥭', category: 'food', keywords: ['mango', 'fruit'] },
-  { emoji: '🍎', category: 'food', keywords: ['red apple', 'fruit'] },
-  { emoji: '🍏', category: 'food', keywords: ['green apple', 'fruit'] },
-  { emoji: '🍐', category: 'food', keywords: ['pear', 'fruit'] },
-  { emoji: '🍑', category: 'food', keywords: ['peach', 'fruit', 'butt'] },
-  { emoji: '🍒', category: 'food', keywords: ['cherries', 'fruit'] },
-  { emoji: '🍓', category: 'food', keywords: ['strawberry', 'fruit'] },
-  { emoji: '🫐', category: 'food', keywords: ['blueberries', 'fruit'] },
-  { emoji: '🥝', category: 'food', keywords: ['kiwi fruit'] },
-  { emoji: '🍅', category: 'food', keywords: ['tomato', 'vegetable'] },
-  { emoji: '🫒', category: 'food', keywords: ['olive'] },
-  { emoji: '🥥', category: 'food', keywords: ['coconut'] },
-  { emoji: '🥑', category: 'food', keywords: ['avocado', 'healthy'] },
-  { emoji: '🍆', category: 'food', keywords: ['eggplant', 'vegetable', 'penis'] },
-  { emoji: '🥔', category: 'food', keywords: ['potato', 'starch'] },
-  { emoji: '🥕', category: 'food', keywords: ['carrot', 'vegetable'] },
-  { emoji: '🌽', category: 'food', keywords: ['ear of corn', 'maize'] },
-  { emoji: '🌶️', category: 'food', keywords: ['hot pepper', 'spicy'] },
-  { emoji: '🫑', category: 'food', keywords: ['bell pepper'] },
-  { emoji: '🥒', category: 'food', keywords: ['cucumber'] },
-  { emoji: '🥬', category: 'food', keywords: ['leafy green', 'salad'] },
-  { emoji: '🥦', category: 'food', keywords: ['broccoli'] },
-  { emoji: '🧄', category: 'food', keywords: ['garlic'] },
-  { emoji: '🧅', category: 'food', keywords: ['onion'] },
-  { emoji: '🍄', category: 'food', keywords: ['mushroom'] },
-  { emoji: '🫟', category: 'food', keywords: ['ginger root'] },
-  { emoji: '🥜', category: 'food', keywords: ['peanuts', 'nut'] },
-  { emoji: '🫘', category: 'food', keywords: ['beans'] },
-  { emoji: '🌰', category: 'food', keywords: ['chestnut'] },
-  { emoji: '🫗', category: 'food', keywords: ['pouring liquid'] },
-  { emoji: '🍞', category: 'food', keywords: ['bread', 'toast'] },
-  { emoji: '🥐', category: 'food', keywords: ['croissant'] },
-  { emoji: '🥖', category: 'food', keywords: ['baguette bread'] },
-  { emoji: '🫓', category: 'food', keywords: ['flatbread'] },
-  { emoji: '🥨', category: 'food', keywords: ['pretzel'] },
-  { emoji: '🥯', category: 'food', keywords: ['bagel'] },
-  { emoji: '🥞', category: 'food', keywords: ['pancakes', 'breakfast'] },
-  { emoji: '🧇', category: 'food', keywords: ['waffle'] },
-  { emoji: '🧀', category: 'food', keywords: ['cheese wedge'] },
-  { emoji: '🍖', category: 'food', keywords: ['meat on bone'] },
-  { emoji: '🍗', category: 'food', keywords: ['poultry leg', 'chicken'] },
-  { emoji: '🥩', category: 'food', keywords: ['cut of meat', 'steak'] },
-  { emoji: '🥓', category: 'food', keywords: ['bacon'] },
-  { emoji: '🍔', category: 'food', keywords: ['hamburger', 'burger', 'fast food'] },
-  { emoji: '🍟', category: 'food', keywords: ['french fries', 'fast food'] },
-  { emoji: '🍕', category: 'food', keywords: ['pizza', 'fast food'] },
-  { emoji: '🌭', category: 'food', keywords: ['hot dog'] },
-  { emoji: '🥪', category: 'food', keywords: ['sandwich'] },
-  { emoji: '🌮', category: 'food', keywords: ['taco', 'mexican'] },
-  { emoji: '🌯', category: 'food', keywords: ['burrito', 'mexican'] },
-  { emoji: '🫔', category: 'food', keywords: ['tamale'] },
-  { emoji: '🥙', category: 'food', keywords: ['stuffed flatbread', 'gyro'] },
-  { emoji: '🧆', category: 'food', keywords: ['falafel'] },
-  { emoji: '🥚', category: 'food', keywords: ['egg'] },
-  { emoji: '🍳', category: 'food', keywords: ['cooking', 'egg', 'frying pan'] },
-  { emoji: '🥘', category: 'food', keywords: ['shallow pan of food', 'paella'] },
-  { emoji: '🍲', category: 'food', keywords: ['pot of food', 'stew'] },
-  { emoji: '🫕', category: 'food', keywords: ['fondue'] },
-  { emoji: '🥣', category: 'food', keywords: ['bowl with spoon', 'cereal', 'soup'] },
-  { emoji: '🥗', category: 'food', keywords: ['green salad', 'healthy'] },
-  { emoji: '🍿', category: 'food', keywords: ['popcorn', 'movie'] },
-  { emoji: '🧈', category: 'food', keywords: ['butter'] },
-  { emoji: '🧂', category: 'food', keywords: ['salt'] },
-  { emoji: '🥫', category: 'food', keywords: ['canned food'] },
-  { emoji: '🍱', category: 'food', keywords: ['bento box'] },
-  { emoji: '🍘', category: 'food', keywords: ['rice cracker'] },
-  { emoji: '🍙', category: 'food', keywords: ['rice ball'] },
-  { emoji: '🍚', category: 'food', keywords: ['cooked rice'] },
-  { emoji: '🍛', category: 'food', keywords: ['curry rice'] },
-  { emoji: '🍜', category: 'food', keywords: ['steaming bowl', 'ramen', 'noodles'] },
-  { emoji: '🍝', category: 'food', keywords: ['spaghetti', 'pasta'] },
-  { emoji: '🍠', category: 'food', keywords: ['roasted sweet potato'] },
-  { emoji: '🍢', category: 'food', keywords: ['oden'] },
-  { emoji: '🍣', category: 'food', keywords: ['sushi'] },
-  { emoji: '🍤', category: 'food', keywords: ['fried shrimp', 'tempura'] },
-  { emoji: '🍥', category: 'food', keywords: ['fish cake with swirl', 'naruto'] },
-  { emoji: '🥮', category: 'food', keywords: ['moon cake'] },
-  { emoji: '🍡', category: 'food', keywords: ['dango'] },
-  { emoji: '🥟', category: 'food', keywords: ['dumpling'] },
-  { emoji: '🥠', category: 'food', keywords: ['fortune cookie'] },
-  { emoji: '🥡', category: 'food', keywords: ['takeout box', 'chinese food'] },
-  { emoji: '🦀', category: 'food', keywords: ['crab'] },
-  { emoji: '🦞', category: 'food', keywords: ['lobster'] },
-  { emoji: '🦐', category: 'food', keywords: ['shrimp'] },
-  { emoji: '🦑', category: 'food', keywords: ['squid'] },
-  { emoji: '🦪', category: 'food', keywords: ['oyster'] },
-  { emoji: '🍦', category: 'food', keywords: ['soft serve', 'ice cream'] },
-  { emoji: '🍧', category: 'food', keywords: ['shaved ice'] },
-  { emoji: '🍨', category: 'food', keywords: ['ice cream'] },
-  { emoji: '🍩', category: 'food', keywords: ['doughnut', 'donut'] },
-  { emoji: '🍪', category: 'food', keywords: ['cookie', 'biscuit'] },
-  { emoji: '🎂', category: 'food', keywords: ['birthday cake'] },
-  { emoji: '🍰', category: 'food', keywords: ['shortcake', 'cake slice'] },
-  { emoji: '🧁', category: 'food', keywords: ['cupcake'] },
-  { emoji: '🥧', category: 'food', keywords: ['pie'] },
-  { emoji: '🍫', category: 'food', keywords: ['chocolate bar'] },
-  { emoji: '🍬', category: 'food', keywords: ['candy'] },
-  { emoji: '🍭', category: 'food', keywords: ['lollipop'] },
-  { emoji: '🍮', category: 'food', keywords: ['custard', 'flan'] },
-  { emoji: '🍯', category: 'food', keywords: ['honey pot'] },
-  { emoji: '🍼', category: 'food', keywords: ['baby bottle', 'milk'] },
-  { emoji: '🥛', category: 'food', keywords: ['glass of milk'] },
-  { emoji: '☕', category: 'food', keywords: ['hot beverage', 'coffee', 'tea'] },
-  { emoji: '🫖', category: 'food', keywords: ['teapot'] },
-  { emoji: '🍵', category: 'food', keywords: ['teacup without handle', 'green tea'] },
-  { emoji: '🍶', category: 'food', keywords: ['sake'] },
-  { emoji: '🍾', category: 'food', keywords: ['bottle with popping cork', 'champagne', 'party'] },
-  { emoji: '🍷', category: 'food', keywords: ['wine glass'] },
-  { emoji: '🍸', category: 'food', keywords: ['cocktail glass', 'martini'] },
-  { emoji: '🍹', category: 'food', keywords: ['tropical drink'] },
-  { emoji: '🍺', category: 'food', keywords: ['beer mug'] },
-  { emoji: '🍻', category: 'food', keywords: ['clinking beer mugs', 'cheers'] },
-  { emoji: '🥂', category: 'food', keywords: ['clinking glasses', 'celebrate'] },
-  { emoji: '🥃', category: 'food', keywords: ['tumbler glass', 'whiskey'] },
-  { emoji: '🫗', category: 'food', keywords: ['pouring liquid'] },
-  { emoji: '🥤', category: 'food', keywords: ['cup with straw', 'soda', 'shake'] },
-  { emoji: '🧋', category: 'food', keywords: ['bubble tea', 'boba'] },
-  { emoji: '🧃', category: 'food', keywords: ['beverage box', 'juice'] },
-  { emoji: '🧉', category: 'food', keywords: ['mate'] },
-  { emoji: '🧊', category: 'food', keywords: ['ice cube', 'cold'] },
-  { emoji: '🥢', category: 'food', keywords: ['chopsticks'] },
-  { emoji: '🍽️', category: 'food', keywords: ['fork and knife with plate', 'dinner'] },
-  { emoji: '🍴', category: 'food', keywords: ['fork and knife'] },
-  { emoji: '🥄', category: 'food', keywords: ['spoon'] },
-
+  { emoji: '🍇', category: 'food', keywords: ['grapes', 'fruit'], localized: { fr: ['raisin', 'fruit', 'nourriture'], ar: ['عنب', 'فاكهة', 'فواكه'] } },
+  { emoji: '🍈', category: 'food', keywords: ['melon', 'fruit'], localized: { fr: ['melon', 'fruit'], ar: ['شمام', 'فاكهة', 'بطيخ أصفر', 'فواكه'] } },
+  { emoji: '🍉', category: 'food', keywords: ['watermelon', 'fruit'], localized: { fr: ['pastèque', 'fruit'], ar: ['بطيخ', 'فاكهة', 'جبس', 'جح', 'فواكه'] } },
+  { emoji: '🍊', category: 'food', keywords: ['tangerine', 'orange', 'fruit'], localized: { fr: ['mandarine', 'orange', 'fruit', 'agrume', 'clémentine', 'nourriture', 'vitamine c'], ar: ['يوسفي', 'برتقال', 'فاكهة', 'بو صرة', 'فواكه', 'فيتامين', 'ليمونة', 'مندرين', 'نكتارين'] } },
+  { emoji: '🍋', category: 'food', keywords: ['lemon', 'citrus'], localized: { fr: ['citron', 'agrume', 'acide', 'fruit', 'nourriture', 'zeste'], ar: ['ليمون', 'حمضيات', 'حامض', 'فاكهة', 'فواكه', 'موالح'] } },
+  { emoji: '🍋‍🟩', category: 'food', keywords: ['lime', 'citrus'], localized: { fr: ['citron vert', 'agrume', 'acide', 'citron', 'fruit', 'lime', 'mojito', 'tropical', 'vert', 'zeste'], ar: ['ليمون أخضر', 'حمضيات', 'الليم', 'أخضر', 'استوائي', 'المأكولات والمشروبات', 'حامض', 'حامض، فاكهة، إستوائي', 'عصير', 'فواكه', 'ليم', 'ليمون', 'منعش'] } },
+  { emoji: '🍌', category: 'food', keywords: ['banana', 'fruit'], localized: { fr: ['banane', 'fruit', 'nourriture', 'potassium'], ar: ['موز', 'فاكهة', 'بوتاسيوم', 'فواكه'] } },
+  { emoji: '🍍', category: 'food', keywords: ['pineapple', 'fruit'], localized: { fr: ['ananas', 'fruit', 'nourriture', 'tropical'], ar: ['أناناس', 'فاكهة', 'فواكه'] } },
+  { emoji: '🥭', category: 'food', keywords: ['mango', 'fruit'], localized: { fr: ['mangue', 'fruit', 'nourriture', 'tropical', 'tropique'], ar: ['مانجو', 'فاكهة', 'أكل', 'استوائي', 'استوائية', 'طعام', 'مانجا', 'مانجة', 'مانجه'] } },
+  { emoji: '🍎', category: 'food', keywords: ['red apple', 'fruit'], localized: { fr: ['pomme rouge', 'fruit', 'nourriture', 'pomme'], ar: ['تفاحة حمراء', 'فاكهة', 'تفاح أحمر', 'تفاح', 'تفاحة', 'فواكه'] } },
+  { emoji: '🍏', category: 'food', keywords: ['green apple', 'fruit'], localized: { fr: ['pomme verte', 'fruit', 'nourriture', 'pomme'], ar: ['تفاحة خضراء', 'فاكهة', 'تفاح أخضر', 'تفاح', 'فواكه'] } },
+  { emoji: '🍐', category: 'food', keywords: ['pear', 'fruit'], localized: { fr: ['poire', 'fruit', 'nourriture'], ar: ['كمثرى', 'فاكهة', 'إجاص', 'فواكه', 'نجاص'] } },
+  { emoji: '🍑', category: 'food', keywords: ['peach', 'fruit', 'butt'], localized: { fr: ['pêche', 'fruit', 'fesses', 'nourriture'], ar: ['خوخ', 'فاكهة', 'مؤخرة', 'دراق', 'درانقة', 'فواكه'] } },
+  { emoji: '🍒', category: 'food', keywords: ['cherries', 'fruit'], localized: { fr: ['cerises', 'fruit', 'cerise', 'nourriture'], ar: ['كرز', 'فاكهة', 'فواكه'] } },
+  { emoji: '🍓', category: 'food', keywords: ['strawberry', 'fruit'], localized: { fr: ['fraise', 'fruit', 'nourriture'], ar: ['فراولة', 'فاكهة', 'فريز', 'فواكه'] } },
+  { emoji: '🫐', category: 'food', keywords: ['blueberries', 'fruit'], localized: { fr: ['myrtilles', 'fruit', 'airelles', 'baies', 'bleu', 'bleuets', 'nourriture', 'violet'], ar: ['توت أزرق', 'فاكهة', 'توت برّي', 'برّي', 'توت', 'حلوة', 'زرع', 'شراب', 'طعام', 'عنب برّي', 'كيتو', 'نبات'] } },
+  { emoji: '🥝', category: 'food', keywords: ['kiwi fruit'], localized: { fr: ['kiwi', 'fruit', 'nourriture'], ar: ['كيوي', 'فاكهة', 'طعام', 'فواكه'] } },
+  { emoji: '🍅', category: 'food', keywords: ['tomato', 'vegetable'], localized: { fr: ['tomate', 'légume', 'fruit', 'nourriture', 'plante'], ar: ['طماطم', 'خضار', 'بندورة', 'خضرا'] } },
+  { emoji: '🫒', category: 'food', keywords: ['olive'], localized: { fr: ['olive', 'aliment', 'apéritif', 'apéro', 'nourriture', 'olivier', 'rameau'], ar: ['زيتون', 'أوراق', 'ثمار', 'حبات', 'زيت زيتون', 'سلام', 'صحي', 'طعام', 'غصن زيتون', 'نبات'] } },
+  { emoji: '🥥', category: 'food', keywords: ['coconut'], localized: { fr: ['noix de coco', 'coco', 'fruit', 'nourriture', 'palmier', 'piña colada'], ar: ['جوز الهند', 'بينيا كولادا', 'جوز هند', 'نخيل'] } },
+  { emoji: '🥑', category: 'food', keywords: ['avocado', 'healthy'], localized: { fr: ['avocat', 'sain', 'fruit', 'nourriture'], ar: ['أفوكادو', 'صحي', 'أفوكا', 'طعام', 'فاكهة', 'فواكه'] } },
+  { emoji: '🍆', category: 'food', keywords: ['eggplant', 'vegetable', 'penis'], localized: { fr: ['aubergine', 'légume', 'nourriture'], ar: ['باذنجان', 'خضار', 'باتنجان'] } },
+  { emoji: '🥔', category: 'food', keywords: ['potato', 'starch'], localized: { fr: ['pomme de terre', 'patate', 'légume', 'nourriture', 'purée'], ar: ['بطاطس', 'بطاطا', 'أكل', 'خضار', 'خضرا', 'خضروات', 'طعام'] } },
+  { emoji: '🥕', category: 'food', keywords: ['carrot', 'vegetable'], localized: { fr: ['carotte', 'légume', 'nourriture'], ar: ['جزر', 'خضار', 'خضرا', 'خضروات', 'طعام'] } },
+  { emoji: '🌽', category: 'food', keywords: ['ear of corn', 'maize'], localized: { fr: ['épi de maïs', 'maïs', 'épi', 'ferme', 'nourriture'], ar: ['كوز ذرة', 'ذرة', 'عرنوس', 'كوز'] } },
+  { emoji: '🌶️', category: 'food', keywords: ['hot pepper', 'spicy'], localized: { fr: ['piment', 'épicé', 'piment rouge', 'nourriture', 'piquant'], ar: ['فلفل حار', 'حار', 'شطة', 'فلفل', 'فلفل أحمر', 'نبات'] } },
+  { emoji: '🫑', category: 'food', keywords: ['bell pepper'], localized: { fr: ['poivron', 'légume', 'piment', 'poivron rouge', 'poivron vert'], ar: ['فلفل رومي', 'فلفل حلو', 'أخضر', 'حمية', 'خضار', 'دايت', 'سلطة', 'صحي', 'طعام', 'فلفل', 'فلفل أحمر'] } },
+  { emoji: '🥒', category: 'food', keywords: ['cucumber'], localized: { fr: ['concombre', 'cornichon', 'légume', 'nourriture'], ar: ['خيار', 'خضار', 'خضرا', 'خضروات', 'طعام', 'كبيس', 'مخللات'] } },
+  { emoji: '🫝', category: 'food', keywords: ['pickle'], localized: { fr: ['cornichon', 'pickle'], ar: ['مخلل', 'خيار مخلل'] } },
+  { emoji: '🥬', category: 'food', keywords: ['leafy green', 'salad'], localized: { fr: ['salade', 'légume vert', 'légume à feuilles vertes', 'bok choy', 'chou', 'chou chinois', 'chou frisé', 'chou pommé', 'kale', 'laitue'], ar: ['خس', 'خضار ورقية', 'خضار ورقي', 'أخضر', 'برجر', 'بوك تشوي', 'جرجير', 'خضراء', 'خضرة', 'خضروات', 'سلطات', 'سلطة', 'كرفس', 'لفت', 'ملفوف', 'ورقيات'] } },
+  { emoji: '🥦', category: 'food', keywords: ['broccoli'], localized: { fr: ['brocoli', 'broccoli', 'chou', 'chou sauvage', 'légume'], ar: ['بروكلي', 'بروكولي', 'قرنبيط الشتاء'] } },
+  { emoji: '🧄', category: 'food', keywords: ['garlic'], localized: { fr: ['ail', 'aromate', 'assaisonnement', 'condiment', 'légume', 'vampire'], ar: ['ثوم', 'أكل', 'توم', 'طعام', 'طعم', 'نكهة'] } },
+  { emoji: '🧅', category: 'food', keywords: ['onion'], localized: { fr: ['oignon', 'assaisonnement', 'condiment', 'légume', 'ognon'], ar: ['بصل', 'بصلة', 'بكاء', 'خضراوات', 'دموع', 'سلطة', 'طعام', 'طعم', 'نكهة'] } },
+  { emoji: '🥜', category: 'food', keywords: ['peanuts', 'nut'], localized: { fr: ['cacahuètes', 'noix', 'arachide', 'cacahuète', 'noisette', 'nourriture'], ar: ['فول سوداني', 'مكسرات', 'خضروات', 'طعام', 'فستق'] } },
+  { emoji: '🫘', category: 'food', keywords: ['beans'], localized: { fr: ['haricots', 'haricot rouge', 'légume', 'légumineuse', 'nourriture', 'petit', 'rognon'], ar: ['فاصوليا', 'فول', 'بقول', 'بقوليات', 'طعام', 'كلية'] } },
+  { emoji: '🌰', category: 'food', keywords: ['chestnut'], localized: { fr: ['châtaigne', 'marron', 'nourriture', 'plante'], ar: ['كستناء', 'أبو فروة', 'كستنا', 'كستنة', 'لوز', 'نبات'] } },
+  { emoji: '🫚', category: 'food', keywords: ['ginger root'], localized: { fr: ['gingembre', 'racine de gingembre', 'bière', 'épice', 'naturel', 'racine', 'santé'], ar: ['زنجبيل', 'جذر الزنجبيل', 'أعشاب', 'بيرة', 'توابل', 'جذر', 'جعة', 'صحة', 'طبيعي', 'عشب'] } },
+  { emoji: '🫛', category: 'food', keywords: ['pea pod'], localized: { fr: ['cosse de petits pois', 'cosse', 'edamame', 'fève', 'haricot', 'légume', 'légumineuse', 'pois', 'soja'], ar: ['قرن بازلاء', 'إدامامي', 'بازلاء', 'بقلة', 'بقوليات', 'حبوب', 'خضار', 'ساق فول', 'فاصولياء', 'فول صويا', 'قرن', 'نباتي'] } },
+  { emoji: '🍄‍🟫', category: 'food', keywords: ['brown mushroom'], localized: { fr: ['champignon marron', 'automne', 'brun', 'cèpe', 'champignon', 'fongus', 'marron', 'nature', 'nourriture'], ar: ['فطر بني', 'إضافات البيتزا', 'المأكولات والمشروبات', 'براعم', 'خضروات', 'طبيعي', 'طعام', 'طعام، فطر، طبيعة، خضار', 'كمأة', 'مشروم', 'نباتي'] } },
+  { emoji: '🫜', category: 'food', keywords: ['root vegetable'], localized: { fr: ['légume-racine', 'betterave', 'jardin', 'légume', 'navet', 'racine'], ar: ['خضراوات جذرية', 'بنجر', 'جذر', 'حديقة', 'خضراوات', 'شمندر', 'لفت'] } },
+  { emoji: '🍞', category: 'food', keywords: ['bread', 'toast'], localized: { fr: ['pain', 'toast', 'miche', 'nourriture', 'pain de mie'], ar: ['خبز', 'توست', 'رغيف', 'عيش', 'قمح', 'مطعم'] } },
+  { emoji: '🥐', category: 'food', keywords: ['croissant'], localized: { fr: ['croissant', 'nourriture', 'pain', 'petit-déjeuner', 'viennoiserie'], ar: ['كرواسون', 'خبز', 'خبز هلالي الشكل', 'فرنسي'] } },
+  { emoji: '🥖', category: 'food', keywords: ['baguette bread'], localized: { fr: ['baguette', 'pain', 'nourriture'], ar: ['باغيت', 'خبز فرنسي', 'الخبز الفرنسي', 'باجيت', 'خبز باجيت', 'خبز فرنجي', 'طعام'] } },
+  { emoji: '🫓', category: 'food', keywords: ['flatbread'], localized: { fr: ['pain plat', 'galette', 'arepa', 'gordita', 'lavash', 'naan', 'nourriture', 'pita'], ar: ['خبز مسطح', 'رغيف', 'خبز مفرود', 'آريبا', 'إفطار', 'بيتا', 'جائع', 'خبز', 'شطيرة', 'شهي', 'طعام', 'عشاء', 'لذيذ', 'لواش', 'نان'] } },
+  { emoji: '🥨', category: 'food', keywords: ['pretzel'], localized: { fr: ['bretzel', 'nourriture', 'torsade'], ar: ['بريتزل', 'معرقل', 'معقد', 'ملتف', 'ملتوي'] } },
+  { emoji: '🥯', category: 'food', keywords: ['bagel'], localized: { fr: ['bagel', 'boulangerie', 'petit-déjeuner', 'sandwich', 'schmear'], ar: ['بيغل', 'خبز البيغل', 'أكل', 'إفطار', 'بايغل', 'بيجل', 'خبز البيجل', 'دونات', 'دونس', 'طعام', 'عيش', 'كعك', 'مخبز', 'مخبوزات'] } },
+  { emoji: '🥞', category: 'food', keywords: ['pancakes', 'breakfast'], localized: { fr: ['crêpes', 'pancakes', 'petit déjeuner', 'crêpe', 'goûter', 'nourriture', 'pancake', 'petit-déjeuner'], ar: ['فطائر', 'بان كيك', 'فطور', 'أكل', 'بانكيك', 'تحلاية', 'حلا', 'حلو', 'حلويات', 'طعام', 'فطيرة', 'كريب'] } },
+  { emoji: '🧇', category: 'food', keywords: ['waffle'], localized: { fr: ['gaufre', 'brunch', 'gourmandise', 'goûter', 'moule', 'pâtisserie', 'petit déjeuner', 'petit-déjeuner'], ar: ['وافل', 'ترويقة', 'حلوى', 'حلويات', 'طعام', 'فطور', 'متردد', 'مذبذب'] } },
+  { emoji: '🧀', category: 'food', keywords: ['cheese wedge'], localized: { fr: ['fromage', 'part de fromage', 'nourriture'], ar: ['جبن', 'قطعة جبن', 'جبنة'] } },
+  { emoji: '🍖', category: 'food', keywords: ['meat on bone'], localized: { fr: ['viande sur l\'os', 'viande sur un os', 'nourriture', 'os', 'viande'], ar: ['لحم على العظم', 'لحم بعظم', 'عضم', 'عظم', 'لحم'] } },
+  { emoji: '🍗', category: 'food', keywords: ['poultry leg', 'chicken'], localized: { fr: ['cuisse de poulet', 'poulet', 'cuisse', 'dinde', 'nourriture', 'os', 'volaille'], ar: ['فخذ دجاج', 'دجاج', 'ساق دجاجة', 'جوع', 'جوعان', 'جيعان', 'حبش', 'دجاجة', 'عظم'] } },
+  { emoji: '🥩', category: 'food', keywords: ['cut of meat', 'steak'], localized: { fr: ['morceau de viande', 'steak', 'côtelette', 'côtelette d’agneau', 'côtelette de porc', 'nourriture', 'viande', 'viande rouge'], ar: ['قطعة لحم', 'ستيك', 'لحم', 'لحم أحمر', 'لحمة حمرة'] } },
+  { emoji: '🥓', category: 'food', keywords: ['bacon'], localized: { fr: ['bacon', 'lard', 'nourriture', 'porc', 'viande'], ar: ['لحم مقدد', 'أكل', 'بيكون', 'طعام', 'لحم', 'لحم خنزير مقدد'] } },
+  { emoji: '🍔', category: 'food', keywords: ['hamburger', 'burger', 'fast food'], localized: { fr: ['hamburger', 'burger', 'fast food', 'cheeseburger', 'nourriture'], ar: ['همبرغر', 'برغر', 'وجبة سريعة', 'جوع', 'جوعان', 'جيعان', 'مطعم', 'همبورغر'] } },
+  { emoji: '🍟', category: 'food', keywords: ['french fries', 'fast food'], localized: { fr: ['frites', 'fast food', 'potatoes', 'potatœs'], ar: ['بطاطس مقلية', 'وجبة سريعة', 'بطاطا', 'فاست فود', 'ماك دونالد', 'ماكدو', 'مطعم'] } },
+  { emoji: '🍕', category: 'food', keywords: ['pizza', 'fast food'], localized: { fr: ['pizza', 'fast food', 'fromage', 'nourriture', 'part', 'pepperoni', 'tranche'], ar: ['بيتزا', 'وجبة سريعة', 'أكل', 'طعام', 'مطعم'] } },
+  { emoji: '🌭', category: 'food', keywords: ['hot dog'], localized: { fr: ['hot dog', 'nourriture', 'saucisse', 'saucisse de francfort'], ar: ['هوت دوغ', 'نقانق', 'سجق', 'فرانكفورتر', 'مقانق'] } },
+  { emoji: '🥪', category: 'food', keywords: ['sandwich'], localized: { fr: ['sandwich', 'nourriture', 'pain', 'pain de mie', 'pique-nique'], ar: ['ساندويتش', 'شطيرة', 'ساندوتش', 'خبز', 'ساندويش', 'عروس', 'عيش'] } },
+  { emoji: '🌮', category: 'food', keywords: ['taco', 'mexican'], localized: { fr: ['taco', 'mexicain', 'nourriture'], ar: ['تاكو', 'مكسيكي', 'أكل', 'طعام'] } },
+  { emoji: '🌯', category: 'food', keywords: ['burrito', 'mexican'], localized: { fr: ['burrito', 'mexicain', 'kebab', 'wrap'], ar: ['بوريتو', 'مكسيكي', 'أكل', 'سندويتش', 'سندويش', 'طعام', 'عروس'] } },
+  { emoji: '🫔', category: 'food', keywords: ['tamale'], localized: { fr: ['tamale', 'tamal', 'mexicain', 'nourriture', 'pamonha', 'papillote'], ar: ['تامالي', 'تامال', 'جائع', 'ساندوتش', 'شطيرة', 'شهي', 'طعام', 'لذيذ', 'مكسيك', 'ملفوف', 'وجبة'] } },
+  { emoji: '🥙', category: 'food', keywords: ['stuffed flatbread', 'gyro'], localized: { fr: ['pain farci', 'kebab', 'chawarma', 'falafel', 'nourriture', 'pain pita'], ar: ['خبز محشو', 'كباب', 'شاورما', 'خبز مفرود محشو', 'جيرو', 'خبز', 'خبز مفرود', 'رغيف', 'ساندويش فلافل', 'شورما', 'طعام', 'فلافل', 'محشو', 'محشي'] } },
+  { emoji: '🧆', category: 'food', keywords: ['falafel'], localized: { fr: ['falafel', 'falafels', 'boulette', 'boulettes', 'pois chiches', 'seitan', 'soja', 'viande'], ar: ['فلافل', 'طعمية', 'حمص', 'طعام', 'قرص', 'كرات لحم', 'كرة'] } },
+  { emoji: '🥚', category: 'food', keywords: ['egg'], localized: { fr: ['œuf', 'nourriture'], ar: ['بيضة', 'بيض', 'أكل', 'طعام'] } },
+  { emoji: '🍳', category: 'food', keywords: ['cooking', 'egg', 'frying pan'], localized: { fr: ['cuisiner', 'œuf', 'poêle', 'œuf au plat', 'cuisine', 'friture', 'nourriture', 'petit-déjeuner', 'poêle à frire', 'se faire cuire un œuf'], ar: ['طبخ', 'بيض', 'مقلاة', 'أم عيون', 'بيض عيون', 'بيضة مقلية', 'ترويقة', 'طهي', 'فطور', 'قلاية', 'مطعم', 'مقلاية'] } },
+  { emoji: '🥘', category: 'food', keywords: ['shallow pan of food', 'paella'], localized: { fr: ['poêle de paella', 'plat', 'plat mitonné', 'casserole', 'espagne', 'paella', 'poêle', 'riz'], ar: ['مقلاة طعام', 'باييا', 'مقلاة مسطحة بها طعام', 'أكل', 'بايلا', 'طعام', 'فايشة', 'كاسرولا', 'مسطحة', 'مقلاة', 'مقلاية'] } },
+  { emoji: '🍲', category: 'food', keywords: ['pot of food', 'stew'], localized: { fr: ['marmite', 'ragoût', 'nourriture'], ar: ['قدر طعام', 'يخنة', 'وعاء طعام', 'أكل', 'حلة طعام', 'طعام', 'طنجرة', 'مطعم'] } },
+  { emoji: '🫕', category: 'food', keywords: ['fondue'], localized: { fr: ['fondue', 'bourguignonne', 'chocolat', 'fromage', 'plat', 'poêlon', 'savoyarde', 'ski', 'suisse'], ar: ['فوندو', 'جبن', 'حساء', 'ذائب', 'سائح', 'سويسرا', 'شهي', 'شوكولاتة', 'طبيخ', 'طعام', 'موقد', 'وعاء'] } },
+  { emoji: '🥣', category: 'food', keywords: ['bowl with spoon', 'cereal', 'soup'], localized: { fr: ['bol et cuillère', 'céréales', 'soupe', 'bol avec cuillère', 'bol avec une cuillère', 'congee', 'déjeuner', 'petit déjeuner'], ar: ['وعاء وملعقة', 'حبوب', 'شوربة', 'طبق وملعقة', 'حساء', 'شوربا', 'فطور', 'كاسة', 'مامونية'] } },
+  { emoji: '🥗', category: 'food', keywords: ['green salad', 'healthy'], localized: { fr: ['salade verte', 'sain', 'nourriture', 'salade', 'verte'], ar: ['سلطة خضراء', 'صحي', 'أخضر', 'أكل', 'خضرا', 'خضراء', 'سلطة', 'طعام'] } },
+  { emoji: '🍿', category: 'food', keywords: ['popcorn', 'movie'], localized: { fr: ['pop-corn', 'film', 'cinéma', 'nourriture'], ar: ['فشار', 'فيلم', 'سينما', 'بوب كورن', 'بوشار', 'ذرة', 'فوشار', 'فيشار', 'موفي'] } },
+  { emoji: '🧈', category: 'food', keywords: ['butter'], localized: { fr: ['beurre', 'gras', 'produit laitier'], ar: ['زبدة', 'زبد', 'أكل', 'ألبان', 'جبن', 'جبنة', 'طعام', 'قشدة', 'منتجات ألبان'] } },
+  { emoji: '🧂', category: 'food', keywords: ['salt'], localized: { fr: ['sel', 'condiment', 'salé', 'salière', 'saveur'], ar: ['ملح', 'بهارات', 'توابل', 'حائر', 'رشاشة ملح', 'مالح', 'مجنون', 'مذاق', 'مستاء', 'ملّاحة', 'مملحة', 'نكهة'] } },
+  { emoji: '🥫', category: 'food', keywords: ['canned food'], localized: { fr: ['conserve', 'aliments en conserve', 'boîte de conserve', 'nourriture'], ar: ['طعام معلب', 'طعام معلّب', 'علب', 'مأكولات معلبة', 'معلبات'] } },
+  { emoji: '🍱', category: 'food', keywords: ['bento box'], localized: { fr: ['bento', 'boîte déjeuner', 'boîte', 'déjeuner', 'nourriture'], ar: ['بينتو', 'علبة طعام', 'أكل', 'بنتو', 'سوشي', 'طعام', 'مطعم', 'ياباني'] } },
+  { emoji: '🍘', category: 'food', keywords: ['rice cracker'], localized: { fr: ['galette de riz', 'cracker', 'nourriture', 'riz'], ar: ['بسكويت أرز', 'مقرمشات أرز', 'أرز', 'أكل', 'رز', 'طعام', 'قراقيش أرز', 'كراكرز'] } },
+  { emoji: '🍙', category: 'food', keywords: ['rice ball'], localized: { fr: ['boulette de riz', 'japonais', 'nourriture', 'onigiri', 'plat', 'riz'], ar: ['كرة أرز', 'أرز', 'أكل', 'رز', 'طعام', 'مطعم', 'ياباني'] } },
+  { emoji: '🍚', category: 'food', keywords: ['cooked rice'], localized: { fr: ['riz cuit', 'bol de riz', 'nourriture', 'riz'], ar: ['أرز مطبوخ', 'أرز', 'أكل', 'رز', 'طعام', 'مطعم'] } },
+  { emoji: '🍛', category: 'food', keywords: ['curry rice'], localized: { fr: ['riz au curry', 'curry', 'nourriture', 'riz'], ar: ['أرز بالكاري', 'أرز وكاري', 'أرز', 'أكل', 'رز', 'رز بالكاري', 'طعام', 'كاري', 'كبسة', 'مطعم', 'هندي'] } },
+  { emoji: '🍜', category: 'food', keywords: ['steaming bowl', 'ramen', 'noodles'], localized: { fr: ['bol fumant', 'ramen', 'nouilles', 'bol', 'nourriture', 'vapeur'], ar: ['وعاء ساخن', 'رامن', 'نودلز', 'سلطانية البخار', 'أكل', 'أكل ياباني', 'حساء', 'شوبستكس', 'شوربا', 'شوربة', 'طعام', 'مطعم', 'معكرونة', 'مكرونة'] } },
+  { emoji: '🍝', category: 'food', keywords: ['spaghetti', 'pasta'], localized: { fr: ['spaghetti', 'pâtes', 'italien', 'nourriture', 'restaurant', 'sauce bolognaise'], ar: ['سباغيتي', 'معكرونة', 'سباغتي', 'أكل', 'إيطالي', 'باستا', 'طعام', 'طلياني', 'مطعم', 'مكرونة'] } },
+  { emoji: '🍠', category: 'food', keywords: ['roasted sweet potato'], localized: { fr: ['patate douce rôtie', 'patate douce', 'nourriture', 'patate', 'patate douce au four'], ar: ['بطاطا حلوة مشوية', 'بطاطا مشوية', 'بطاطا معسلة', 'بطاطس', 'مطعم'] } },
+  { emoji: '🍢', category: 'food', keywords: ['oden'], localized: { fr: ['oden', 'brochette', 'brochette de poisson', 'fruits de mer', 'nourriture', 'restaurant'], ar: ['أودن', 'سيخ', 'طعام مشكل', 'أودين', 'كباب', 'مشاوي', 'مطعم'] } },
+  { emoji: '🍣', category: 'food', keywords: ['sushi'], localized: { fr: ['sushi', 'japonais', 'nourriture', 'poisson', 'riz'], ar: ['سوشي', 'أكل', 'أكل ياباني', 'طعام', 'مطعم'] } },
+  { emoji: '🍤', category: 'food', keywords: ['fried shrimp', 'tempura'], localized: { fr: ['crevette frite', 'tempura', 'beignet de crevette', 'crevette'], ar: ['روبيان مقلي', 'تمبورا', 'جمبري مقلي', 'تامبورا', 'جمبري', 'قريدس', 'مطعم', 'مقلي'] } },
+  { emoji: '🍥', category: 'food', keywords: ['fish cake with swirl', 'naruto'], localized: { fr: ['naruto', 'galette de poisson', 'croquette de poisson', 'gâteau', 'narutomaki', 'nourriture', 'poisson', 'restaurant', 'surimi'], ar: ['ناروتو', 'كعكة سمك', 'كعكة سمك بشكل حلزوني', 'أكل', 'سمك', 'طعام', 'كفتة سمك', 'كفتة سمك ملفوفة', 'مأكولات', 'مطعم'] } },
+  { emoji: '🥮', category: 'food', keywords: ['moon cake'], localized: { fr: ['gâteau de lune', 'automne', 'festival', 'moon cake', 'yuèbǐng'], ar: ['كعكة القمر', 'احتفال', 'الخريف', 'حفلة', 'حلويات', 'خريف', 'صين', 'كيكة', 'مهرجان', 'مهرجان منتصف الخريف'] } },
+  { emoji: '🍡', category: 'food', keywords: ['dango'], localized: { fr: ['dango', 'brochette de bonbons', 'bonbons', 'dessert', 'japonais', 'nourriture'], ar: ['دانغو', 'حلوى الدانغو', 'حلو', 'حلو ياباني', 'حلوى', 'حلوى من الأرز', 'حلويات', 'شيش'] } },
+  { emoji: '🥟', category: 'food', keywords: ['dumpling'], localized: { fr: ['ravioli', 'dumpling', 'boulette de pâte', 'empanada', 'gyoza', 'jiaozi', 'pierogi', 'potsticker'], ar: ['زلابية', 'فطيرة محشوة', 'زلابية صينية', 'أكل', 'أكل صيني', 'إمبانادا', 'زلابي', 'طعام', 'فطاير', 'فطاير صينية', 'مأكولات'] } },
+  { emoji: '🥠', category: 'food', keywords: ['fortune cookie'], localized: { fr: ['biscuit chinois', 'fortune', 'nourriture', 'prophétie'], ar: ['كعكة الحظ', 'بخت', 'تبصير', 'كوكي', 'كوكيز', 'نبوة'] } },
+  { emoji: '🥡', category: 'food', keywords: ['takeout box', 'chinese food'], localized: { fr: ['boîte à emporter', 'chinois', 'baguettes', 'carton', 'nourriture à emporter'], ar: ['علبة طعام جاهز', 'طعام صيني', 'علبة طعام للخارج', 'أكل صيني', 'دليفري', 'ديليفيري', 'شوبستيكس'] } },
+  { emoji: '🍦', category: 'food', keywords: ['soft serve', 'ice cream', 'soft ice cream'], localized: { fr: ['glace italienne', 'glace', 'cornet de glace', 'dessert', 'nourriture', 'sucré'], ar: ['آيس كريم ناعم', 'بوظة', 'آيس كريم مخفف', 'آيس كريم', 'أيس كريم', 'بررد', 'حلو', 'حلويات', 'مطعم', 'ميري كريم'] } },
+  { emoji: '🍧', category: 'food', keywords: ['shaved ice'], localized: { fr: ['glace pilée', 'granité', 'coupe de glace', 'crème glacée', 'dessert', 'glace', 'nourriture', 'restaurant', 'sucré'], ar: ['ثلج مبشور', 'آيس كريم مجروش', 'ايس كريم', 'بررد', 'بوظة', 'مطعم'] } },
+  { emoji: '🍨', category: 'food', keywords: ['ice cream'], localized: { fr: ['glace', 'crème glacée', 'coupe de glace', 'crème', 'dessert', 'nourriture', 'restaurant', 'sucré'], ar: ['آيس كريم', 'بوظة', 'أيس كريم', 'بارد', 'برد', 'حلو', 'حلويات', 'مطعم'] } },
+  { emoji: '🍩', category: 'food', keywords: ['doughnut', 'donut'], localized: { fr: ['donut', 'beignet', 'doughnut', 'dessert', 'goûter', 'nourriture', 'sucré', 'sucrerie'], ar: ['دونات', 'كعكة محلاة', 'حلو', 'حلويات', 'مطعم'] } },
+  { emoji: '🍪', category: 'food', keywords: ['cookie', 'biscuit'], localized: { fr: ['cookie', 'biscuit', 'dessert', 'gâteau', 'goûter', 'nourriture', 'pépites de chocolat', 'sucré'], ar: ['كوكيز', 'بسكويت', 'كعكة', 'حلو', 'حلويات', 'كوكي', 'مطعم'] } },
+  { emoji: '🎂', category: 'food', keywords: ['birthday cake'], localized: { fr: ['gâteau d\'anniversaire', 'gâteau d’anniversaire', 'anniversaire', 'bougies', 'dessert', 'fête', 'gâteau', 'goûter', 'joyeux anniversaire', 'nourriture', 'pâtisserie'], ar: ['كعكة عيد ميلاد', 'احتفال', 'المأكولات والمشروبات', 'تورتة', 'تورتة عيد ميلاد', 'عيد ميلاد', 'غاتو', 'كعكة', 'كعكة عيد الميلاد', 'كيكة'] } },
+  { emoji: '🍰', category: 'food', keywords: ['shortcake', 'cake slice'], localized: { fr: ['part de gâteau', 'gâteau', 'gâteau sablé', 'dessert', 'goûter', 'nourriture', 'pâtisserie', 'sucré'], ar: ['قطعة كعك', 'كيك', 'قطعة من الكعك', 'أكل', 'تحلاية', 'تورتة', 'جاتو', 'حلا', 'حلو', 'حلويات', 'شريحة كيكة', 'طعام', 'غاتو', 'قطعة', 'كيكة', 'مطعم'] } },
+  { emoji: '🧁', category: 'food', keywords: ['cupcake'], localized: { fr: ['cupcake', 'dessert', 'muffin', 'pâtisserie', 'sucre', 'sucrerie'], ar: ['كب كيك', 'كعكة صغيرة', 'بهجة', 'تحلية', 'حلاوة', 'حلو', 'حلوى', 'حلويات', 'سكر', 'سكر مرشوش', 'فرحة', 'كاب كيك', 'كعك مكوب', 'مخبز', 'مخبوزات'] } },
+  { emoji: '🥧', category: 'food', keywords: ['pie'], localized: { fr: ['tarte', 'décoration', 'garniture', 'gâteau', 'nourriture', 'pâte à tarte', 'pâtisserie', 'tarte aux fruits', 'tourte'], ar: ['فطيرة', 'حشوة', 'حلويات', 'فطيرة تفاح', 'فواكه', 'لحوم'] } },
+  { emoji: '🍫', category: 'food', keywords: ['chocolate bar'], localized: { fr: ['chocolat', 'tablette', 'barre chocolatée', 'barre', 'dessert', 'goûter', 'nourriture', 'sucré'], ar: ['شوكولاتة', 'لوح', 'لوح شوكولاتة', 'بار شيكولاتة', 'حلو', 'حلويات', 'شوكولا', 'شوكولاته', 'شيكولاتة', 'ضرسو طيب', 'لوح شوكولاتا', 'لوح شيكولا', 'لوح شيكولاتة'] } },
+  { emoji: '🍬', category: 'food', keywords: ['candy'], localized: { fr: ['bonbon', 'dessert', 'goûter', 'nourriture', 'sucré', 'sucrerie'], ar: ['حلوى', 'بونبون', 'حلو', 'حلويات', 'ضرسو طيب', 'كاندي', 'مطعم'] } },
+  { emoji: '🍭', category: 'food', keywords: ['lollipop'], localized: { fr: ['sucette', 'dessert', 'goûter', 'nourriture', 'sucré', 'sucrerie'], ar: ['مصاصة', 'حلاوة', 'حلو', 'حلويات', 'سوسيت', 'مطعم'] } },
+  { emoji: '🍮', category: 'food', keywords: ['custard', 'flan'], localized: { fr: ['flan', 'crème', 'crème renversée', 'dessert', 'nourriture', 'pudding', 'sucré'], ar: ['كاسترد', 'كريم كراميل', 'بودينغ', 'حلويات', 'مطعم'] } },
+  { emoji: '🍯', category: 'food', keywords: ['honey pot'], localized: { fr: ['pot de miel', 'miel', 'nourriture', 'ours', 'pot', 'sucré'], ar: ['جرة عسل', 'عسل', 'أكل', 'جرة', 'حلو', 'حلويات', 'دب', 'صحي', 'مطعم', 'نحل', 'نحلة'] } },
+  { emoji: '🍼', category: 'food', keywords: ['baby bottle', 'milk'], localized: { fr: ['biberon', 'lait', 'bébé', 'boisson', 'naissance', 'nouveau-né', 'tétine'], ar: ['رضاعة', 'حليب', 'زجاجة الرضاعة', 'بيبرونة', 'بيبي', 'رضيع', 'زجاجة إرضاع', 'لبن', 'مشروب', 'مصاصة', 'مولود'] } },
+  { emoji: '🥛', category: 'food', keywords: ['glass of milk'], localized: { fr: ['verre de lait', 'boisson', 'lait', 'verre'], ar: ['كوب حليب', 'حليب', 'شراب', 'كوب', 'لبن'] } },
+  { emoji: '☕', category: 'food', keywords: ['hot beverage', 'coffee', 'tea'], localized: { fr: ['boisson chaude', 'café', 'thé', 'boisson', 'caféine', 'matin'], ar: ['مشروب ساخن', 'قهوة', 'شاي', 'بخار', 'زهورات', 'ساخن', 'سخن', 'شراب', 'صباح', 'صبحية', 'كوب', 'مشروب'] } },
+  { emoji: '🫖', category: 'food', keywords: ['teapot'], localized: { fr: ['théière', 'boisson', 'boisson chaude', 'infusion', 'thé'], ar: ['إبريق شاي', 'إبريق', 'شاي', 'شراب', 'ضيافة', 'طعام', 'غلاية', 'مشروب', 'وعاء'] } },
+  { emoji: '🍵', category: 'food', keywords: ['teacup without handle', 'green tea'], localized: { fr: ['tasse sans anse', 'thé vert', 'tasse', 'boisson', 'tasse de thé sans anse', 'thé'], ar: ['فنجان بلا مقبض', 'شاي أخضر', 'فنجان شاي بدون مقبض', 'شاي', 'شراب', 'فنجان', 'كاسة'] } },
+  { emoji: '🍶', category: 'food', keywords: ['sake'], localized: { fr: ['saké', 'boisson', 'bouteille', 'bouteille et verre', 'restaurant', 'verre'], ar: ['ساكي', 'زجاجة وفنجان', 'بار', 'زجاجة', 'شراب', 'فنجان', 'مشروب', 'مطعم'] } },
+  { emoji: '🍾', category: 'food', keywords: ['bottle with popping cork', 'champagne', 'party'], localized: { fr: ['bouteille', 'champagne', 'fête', 'bouteille de champagne', 'alcool', 'boisson', 'bouchon', 'félicitations', 'pop'], ar: ['زجاجة', 'شمبانيا', 'حفلة', 'زجاجة بسدادة مفرقعة', 'بار', 'سدادة', 'شامبانيا', 'شراب', 'قنينة', 'مشروب'] } },
+  { emoji: '🍷', category: 'food', keywords: ['wine glass'], localized: { fr: ['verre de vin', 'vin', 'alcool', 'bar', 'boisson', 'club', 'restaurant', 'verre', 'verre à vin'], ar: ['كأس نبيذ', 'نبيذ', 'كأس شراب', 'بار', 'خمرة', 'شراب', 'كأس', 'كحول', 'مشروب', 'مطعم'] } },
+  { emoji: '🍸', category: 'food', keywords: ['cocktail glass', 'martini'], localized: { fr: ['cocktail', 'martini', 'alcool', 'bar', 'boisson', 'club', 'verre', 'verre à cocktail', 'verre à pied'], ar: ['كوكتيل', 'مارتيني', 'كأس عصير كوكتيل', 'شراب', 'كأس كوكتيل', 'كحول', 'محل تقديم المشروبات', 'مشروب'] } },
+  { emoji: '🍹', category: 'food', keywords: ['tropical drink'], localized: { fr: ['boisson tropicale', 'cocktail tropical', 'alcool', 'bar', 'boîte', 'cocktail', 'fête', 'tequila sunrise', 'verre'], ar: ['مشروب استوائي', 'بار', 'حفل', 'كاسك', 'كحول', 'ماي تاي', 'محل تقديم المشروبات', 'مشروب'] } },
+  { emoji: '🍺', category: 'food', keywords: ['beer mug'], localized: { fr: ['chope de bière', 'bière', 'chope', 'alcool', 'bar', 'boisson', 'oktoberfest', 'picoler', 'pinte', 'santé'], ar: ['كوب بيرة', 'بيرة', 'كأس بيرة', 'أوكتوبر فيست', 'بار', 'جعة', 'شراب', 'كاسك', 'كحول', 'ماغ', 'مشروب'] } },
+  { emoji: '🍻', category: 'food', keywords: ['clinking beer mugs', 'cheers'], localized: { fr: ['trinquer', 'santé', 'chopes de bière', 'alcool', 'bière', 'boisson', 'tchin'], ar: ['قرع الأكواب', 'في صحتك', 'كأسا بيرة', 'بار', 'بيرة', 'جعة', 'شيرز', 'كاسك', 'كحول', 'كوب', 'كوبان', 'محل مشروب', 'مشروب'] } },
+  { emoji: '🥂', category: 'food', keywords: ['clinking glasses', 'celebrate'], localized: { fr: ['trinquer', 'célébrer', 'alcool', 'champagne', 'fêter', 'santé', 'tchin', 'verre', 'verres'], ar: ['قرع الكؤوس', 'احتفال', 'كأسان يرتطمان', 'ارتطام', 'حفل', 'شراب', 'شيرز', 'كأس', 'كاسك', 'مشروب'] } },
+  { emoji: '🥃', category: 'food', keywords: ['tumbler glass', 'whiskey'], localized: { fr: ['verre', 'whisky', 'verre tumbler', 'alcool', 'liqueur', 'tumbler'], ar: ['كأس', 'ويسكي', 'كوب زجاجي', 'شراب كحول', 'كباية', 'كحول', 'كوب', 'ليكور', 'مشروب'] } },
+  { emoji: '🫗', category: 'food', keywords: ['pouring liquid'], localized: { fr: ['verser', 'liquide', 'verser un liquide', 'accident', 'boisson', 'eau', 'oups', 'renverser', 'verre', 'vider'], ar: ['سكب', 'سائل', 'سكب السائل', 'أوبس', 'حادث', 'شراب', 'صب', 'فارغ', 'كوب', 'ماء'] } },
+  { emoji: '🥤', category: 'food', keywords: ['cup with straw', 'soda', 'shake'], localized: { fr: ['gobelet avec paille', 'soda', 'milkshake', 'boisson', 'eau', 'jus de fruit', 'jus de fruits', 'verre avec une paille'], ar: ['كوب بشفاطة', 'مشروب غازي', 'ميلك شيك', 'كأس وقشة للشرب', 'صودا', 'عصير', 'ماء', 'مشروب', 'مي'] } },
+  { emoji: '🧋', category: 'food', keywords: ['bubble tea', 'boba'], localized: { fr: ['bubble tea', 'boba', 'thé aux perles', 'boisson', 'bulle', 'lait', 'paille', 'perle', 'thé aux bulles', 'thé froid', 'zenzou'], ar: ['شاي الفقاعات', 'بوبا', 'حليب', 'شاليموه', 'شاي', 'شراب', 'طعام', 'عصير', 'فقاعات', 'كافيتيريا', 'كوب', 'مشروب', 'مقهى'] } },
+  { emoji: '🧃', category: 'food', keywords: ['beverage box', 'juice'], localized: { fr: ['brique', 'jus', 'briquette de jus', 'boisson', 'carton', 'jus de fruits', 'paille'], ar: ['علبة عصير', 'عصير', 'شاليموه', 'شراب', 'عبوة عصير', 'قنينة عصير', 'كوب', 'مرطبات', 'يشرب'] } },
+  { emoji: '🧉', category: 'food', keywords: ['mate'], localized: { fr: ['maté', 'boisson'], ar: ['متة', 'بومبيجا', 'جيربا', 'شراب', 'قرعة', 'كوب', 'متي', 'مشروب'] } },
+  { emoji: '🧊', category: 'food', keywords: ['ice cube', 'cold', 'ice'], localized: { fr: ['glaçon', 'froid', 'cube', 'glace', 'iceberg'], ar: ['مكعب ثلج', 'برد', 'أيس', 'بارد', 'ثلج', 'جليدي', 'طعام', 'قمة جليد', 'مكعبات ثلج'] } },
+  { emoji: '🥢', category: 'food', keywords: ['chopsticks'], localized: { fr: ['baguettes', 'hashi'], ar: ['عيدان الأكل', 'عيدان للأكل', 'أكل صيني', 'سوشي', 'شوبستيكس'] } },
+  { emoji: '🍽️', category: 'food', keywords: ['fork and knife with plate', 'dinner'], localized: { fr: ['assiette', 'fourchette et couteau', 'dîner', 'fourchette et couteau avec assiette', 'assiette et couverts', 'couteau', 'cuisine', 'fourchette', 'restaurant', 'table'], ar: ['صحن', 'شوكة وسكين', 'عشاء', 'طبق وشوكة وسكينة', 'أكل', 'سكين', 'شوكة', 'طبخ', 'طبق', 'طعام', 'طهي'] } },
+  { emoji: '🍴', category: 'food', keywords: ['fork and knife'], localized: { fr: ['fourchette et couteau', 'couteau et fourchette', 'couverts', 'faim', 'manger', 'nourriture', 'repas', 'restaurant'], ar: ['شوكة وسكين', 'شوكة وسكينة', 'جائع', 'جوع', 'جوعان', 'سكينة', 'شوكة', 'صفرة', 'طبخ', 'طعام', 'عشاء', 'غدا', 'غذاء', 'فطور', 'مأكولات ومشروبات', 'مطعم'] } },
+  { emoji: '🥄', category: 'food', keywords: ['spoon'], localized: { fr: ['cuillère', 'couvert', 'manger'], ar: ['ملعقة', 'أدوات مائدة', 'أكل', 'صفرة', 'طعام', 'ملقعة'] } },
+  { emoji: '🔪', category: 'food', keywords: ['kitchen knife', 'weapon'], localized: { fr: ['couteau de cuisine', 'arme', 'chef', 'couteau', 'cuisine', 'outil'], ar: ['سكين مطبخ', 'سلاح', 'سكين طهي', 'اداة', 'حاد', 'سكين', 'شيف', 'طبخ', 'قطع', 'مطبخ'] } },
+  { emoji: '🫙', category: 'food', keywords: ['jar'], localized: { fr: ['bocal', 'condiments', 'conserver', 'pot', 'récipient', 'rien', 'sauce', 'vide'], ar: ['برطمان', 'تخزين', 'حفظ', 'طعام', 'قطرميز'] } },
+  { emoji: '🏺', category: 'food', keywords: ['amphora'], localized: { fr: ['amphore', 'astrologie', 'cuisine', 'grec', 'grèce', 'horoscope', 'vase', 'verseau', 'zodiaque'], ar: ['جرة', 'أمفورة', 'أداة', 'اداة', 'برج', 'دلو', 'سلاح', 'شراب', 'طبخ', 'طهي', 'فخارة'] } },
   // --- TRAVEL & PLACES ---
-  { emoji: '🚗', category: 'travel', keywords: ['automobile', 'car'] },
-  { emoji: '🚕', category: 'travel', keywords: ['taxi', 'cab'] },
-  { emoji: '🚙', category: 'travel', keywords: ['recreational vehicle', 'suv'] },
-  { emoji: '🚌', category: 'travel', keywords: ['bus'] },
-  { emoji: '🚎', category: 'travel', keywords: ['trolleybus'] },
-  { emoji: '🏎️', category: 'travel', keywords: ['racing car', 'formula1'] },
-  { emoji: '🚓', category: 'travel', keywords: ['police car'] },
-  { emoji: '🚑', category: 'travel', keywords: ['ambulance'] },
-  { emoji: '🚒', category: 'travel', keywords: ['fire engine'] },
-  { emoji: '🚐', category: 'travel', keywords: ['minibus'] },
-  { emoji: '🚚', category: 'travel', keywords: ['delivery truck'] },
-  { emoji: '🚛', category: 'travel', keywords: ['articulated lorry', 'truck'] },
-  { emoji: '🚜', category: 'travel', keywords: ['tractor'] },
-  { emoji: '🚲', category: 'travel', keywords: ['bicycle', 'bike'] },
-  { emoji: '🛴', category: 'travel', keywords: ['kick scooter'] },
-  { emoji: '🛵', category: 'travel', keywords: ['motor scooter', 'vespa'] },
-  { emoji: '🏍️', category: 'travel', keywords: ['motorcycle'] },
-  { emoji: '🛺', category: 'travel', keywords: ['auto rickshaw'] },
-  { emoji: '🚔', category: 'travel', keywords: ['oncoming police car'] },
-  { emoji: '🚍', category: 'travel', keywords: ['oncoming bus'] },
-  { emoji: '🚘', category: 'travel', keywords: ['oncoming automobile'] },
-  { emoji: '🚖', category: 'travel', keywords: ['oncoming taxi'] },
-  { emoji: '🚟', category: 'travel', keywords: ['aerial tramway'] },
-  { emoji: '🚠', category: 'travel', keywords: ['mountain cableway'] },
-  { emoji: '🚠', category: 'travel', keywords: ['monorail'] },
-  { emoji: '🚄', category: 'travel', keywords: ['high-speed train'] },
-  { emoji: '🚅', category: 'travel', keywords: ['bullet train'] },
-  { emoji: '🚆', category: 'travel', keywords: ['train'] },
-  { emoji: '🚇', category: 'travel', keywords: ['metro', 'subway'] },
-  { emoji: '🚈', category: 'travel', keywords: ['light rail'] },
-  { emoji: '🚉', category: 'travel', keywords: ['station'] },
-  { emoji: '🚊', category: 'travel', keywords: ['tram'] },
-  { emoji: '⛴️', category: 'travel', keywords: ['ferry', 'boat'] },
-  { emoji: '🛳️', category: 'travel', keywords: ['passenger ship', 'cruise'] },
-  { emoji: '🚢', category: 'travel', keywords: ['ship'] },
-  { emoji: '✈️', category: 'travel', keywords: ['airplane', 'flight'] },
-  { emoji: '🛩️', category: 'travel', keywords: ['small airplane'] },
-  { emoji: '🚀', category: 'travel', keywords: ['rocket', 'space'] },
-  { emoji: '🛰️', category: 'travel', keywords: ['satellite'] },
-  { emoji: '🛸', category: 'travel', keywords: ['ufo', 'alien'] },
-  { emoji: '🚁', category: 'travel', keywords: ['helicopter'] },
-  { emoji: '🛶', category: 'travel', keywords: ['canoe'] },
-  { emoji: '⛵', category: 'travel', keywords: ['sailboat', 'boat'] },
-  { emoji: '🚤', category: 'travel', keywords: ['speedboat'] },
-  { emoji: '⚓', category: 'travel', keywords: ['anchor', 'sea'] },
-  { emoji: '🎡', category: 'travel', keywords: ['ferris wheel', 'fair'] },
-  { emoji: '🎢', category: 'travel', keywords: ['roller coaster', 'fair'] },
-  { emoji: '🎠', category: 'travel', keywords: ['carousel horse'] },
-  { emoji: '🏗️', category: 'travel', keywords: ['building construction'] },
-  { emoji: '🏠', category: 'travel', keywords: ['house'] },
-  { emoji: '🏡', category: 'travel', keywords: ['house with garden'] },
-  { emoji: '🏘️', category: 'travel', keywords: ['houses'] },
-  { emoji: '🏚️', category: 'travel', keywords: ['derelict house', 'old'] },
-  { emoji: '🏢', category: 'travel', keywords: ['office building'] },
-  { emoji: '🏣', category: 'travel', keywords: ['japanese post office'] },
-  { emoji: '🏤', category: 'travel', keywords: ['post office'] },
-  { emoji: '🏥', category: 'travel', keywords: ['hospital'] },
-  { emoji: '🏦', category: 'travel', keywords: ['bank'] },
-  { emoji: '🏨', category: 'travel', keywords: ['hotel'] },
-  { emoji: '🏩', category: 'travel', keywords: ['love hotel'] },
-  { emoji: '🏪', category: 'travel', keywords: ['convenience store'] },
-  { emoji: '🏫', category: 'travel', keywords: ['school'] },
-  { emoji: '🏬', category: 'travel', keywords: ['department store'] },
-  { emoji: '🏭', category: 'travel', keywords: ['factory'] },
-  { emoji: '🏯', category: 'travel', keywords: ['japanese castle'] },
-  { emoji: '🏰', category: 'travel', keywords: ['castle'] },
-  { emoji: '💒', category: 'travel', keywords: ['wedding'] },
-  { emoji: '🗼', category: 'travel', keywords: ['tokyo tower'] },
-  { emoji: '🗽', category: 'travel', keywords: ['statue of liberty', 'usa'] },
-  { emoji: '⛪', category: 'travel', keywords: ['church'] },
-  { emoji: '🕌', category: 'travel', keywords: ['mosque'] },
-  { emoji: '🛕', category: 'travel', keywords: ['hindu temple'] },
-  { emoji: '✡️', category: 'travel', keywords: ['star of david'] },
-  { emoji: '⛩️', category: 'travel', keywords: ['shinto shrine'] },
-  { emoji: '🕋', category: 'travel', keywords: ['kaaba'] },
-  { emoji: '⛲', category: 'travel', keywords: ['fountain'] },
-  { emoji: '⛺', category: 'travel', keywords: ['tent', 'camping'] },
-  { emoji: '🌁', category: 'travel', keywords: ['foggy'] },
-  { emoji: '🌃', category: 'travel', keywords: ['night with stars'] },
-  { emoji: '🏙️', category: 'travel', keywords: ['cityscape', 'buildings'] },
-  { emoji: '🌄', category: 'travel', keywords: ['sunrise over mountains'] },
-  { emoji: '🌅', category: 'travel', keywords: ['sunrise', 'beach'] },
-  { emoji: '🌆', category: 'travel', keywords: ['cityscape at dusk'] },
-  { emoji: '🌇', category: 'travel', keywords: ['sunset'] },
-  { emoji: '🌉', category: 'travel', keywords: ['bridge at night'] },
-  { emoji: '🎠', category: 'travel', keywords: ['carousel'] },
-  { emoji: '🎡', category: 'travel', keywords: ['ferris wheel'] },
-  { emoji: '🎢', category: 'travel', keywords: ['roller coaster'] },
-  { emoji: '⛰️', category: 'travel', keywords: ['mountain'] },
-  { emoji: '🏔️', category: 'travel', keywords: ['snow-capped mountain'] },
-  { emoji: '🗻', category: 'travel', keywords: ['mount fuji'] },
-  { emoji: '🌋', category: 'travel', keywords: ['volcano'] },
-  { emoji: '🏗️', category: 'travel', keywords: ['construction'] },
-  { emoji: '🧱', category: 'travel', keywords: ['brick'] },
-  { emoji: '🪵', category: 'travel', keywords: ['wood'] },
-  { emoji: '🛖', category: 'travel', keywords: ['hut'] },
-  { emoji: '⛺', category: 'travel', keywords: ['camping'] },
-  { emoji: '🏞️', category: 'travel', keywords: ['national park'] },
-  { emoji: '🏟️', category: 'travel', keywords: ['stadium'] },
-  { emoji: '🏜️', category: 'travel', keywords: ['desert'] },
-  { emoji: '🏝️', category: 'travel', keywords: ['island'] },
-
+  { emoji: '🌍', category: 'travel', keywords: ['earth globe europe-africa', 'globe showing europe-africa'], localized: { fr: ['terre', 'globe', 'europe', 'afrique', 'globe tourné sur l’afrique et l’europe', 'espace', 'globe présentant l’europe et l’afrique', 'monde', 'planète'], ar: ['الأرض', 'كرة أرضية', 'أوروبا', 'أفريقيا', 'كرة أرضية تعرض أوروبا وإفريقيا', 'أوروبا وإفريقيا', 'إفريقيا', 'العالم'] } },
+  { emoji: '🌎', category: 'travel', keywords: ['earth globe americas', 'globe showing americas'], localized: { fr: ['terre', 'globe', 'amériques', 'globe tourné sur les amériques', 'amérique', 'espace', 'globe présentant l’amérique', 'monde', 'planète'], ar: ['الأرض', 'كرة أرضية', 'الأمريكتين', 'كرة أرضية تعرض الأمريكتين', 'أمريكا', 'أميركا', 'الارض', 'العالم', 'الكرة الأرضية', 'اميركا', 'كرة أرضية الأمريكتان', 'كرة ارضية'] } },
+  { emoji: '🌏', category: 'travel', keywords: ['earth globe asia-australia', 'globe showing asia-australia'], localized: { fr: ['terre', 'globe', 'asie', 'australie', 'globe tourné sur l’asie et l’australie', 'espace', 'globe présentant l’asie et l’australie', 'monde', 'planète'], ar: ['الأرض', 'كرة أرضية', 'آسيا', 'أستراليا', 'كرة أرضية تعرض آسيا وأستراليا', 'آسيا وأستراليا', 'أرض', 'العالم', 'طبيعة', 'كوكب'] } },
+  { emoji: '🌐', category: 'travel', keywords: ['globe with meridians', 'internet'], localized: { fr: ['globe', 'internet', 'monde', 'globe avec méridiens', 'globe terrestre', 'méridiens', 'net', 'toile'], ar: ['كرة أرضية', 'إنترنت', 'عالم', 'كرة أرضية بخطوط طول', 'الارض', 'انترنت', 'خطوط طول', 'خطوط عرض', 'رمز', 'نت'] } },
+  { emoji: '🗺️', category: 'travel', keywords: ['world map'], localized: { fr: ['carte du monde', 'carte', 'monde', 'planisphère', 'voyage'], ar: ['خريطة العالم', 'خريطة', 'عالم'] } },
+  { emoji: '🗾', category: 'travel', keywords: ['map of japan'], localized: { fr: ['carte du japon', 'carte', 'japon', 'voyage'], ar: ['خريطة اليابان', 'اليابان', 'خريطة'] } },
+  { emoji: '🧭', category: 'travel', keywords: ['compass', 'map'], localized: { fr: ['boussole', 'carte', 'compas', 'direction', 'magnétique', 'navigation', 'orientation'], ar: ['بوصلة', 'خريطة', 'اتجاه', 'استرشاد بالبوصلة', 'تخييم', 'تنقل', 'توجيه', 'سفر', 'مغناطيسي', 'مغناطيسية', 'ملاحة', 'وجهة'] } },
+  { emoji: '🏔️', category: 'travel', keywords: ['snow-capped mountain'], localized: { fr: ['montagne enneigée', 'froid', 'montagne', 'neige', 'sommet', 'voyage'], ar: ['جبل مكسو بالثلج', 'جبل بقمة ثلجية', 'برد', 'جبل', 'جليد', 'صقيع', 'قمة جبل', 'مرتفع'] } },
+  { emoji: '⛰️', category: 'travel', keywords: ['mountain'], localized: { fr: ['montagne', 'nature', 'sommet', 'voyage'], ar: ['جبل'] } },
+  { emoji: '🛘', category: 'travel', keywords: ['landslide'], localized: { fr: ['éboulement', 'avalanche', 'catastrophe', 'coulée de boue', 'danger', 'glissement de terrain', 'montagne', 'rochers', 'tremblement de terre'], ar: ['انزلاق أرضي', 'انهيار', 'انهيار طيني', 'جبل', 'خطر', 'صخور', 'كارثة', 'هزة أرضية'] } },
+  { emoji: '🌋', category: 'travel', keywords: ['volcano', 'hot'], localized: { fr: ['volcan', 'chaud', 'éruption', 'lave', 'nature'], ar: ['بركان', 'حار', 'انفجار', 'ثوران', 'جبل', 'طبيعة', 'طقس'] } },
+  { emoji: '🗻', category: 'travel', keywords: ['mount fuji'], localized: { fr: ['mont fuji', 'montagne', 'nature', 'sommet', 'voyage'], ar: ['جبل فوجي', 'ثلج', 'جبل', 'طبيعة', 'قمة'] } },
+  { emoji: '🏕️', category: 'travel', keywords: ['camping'], localized: { fr: ['camping', 'nature', 'tente avec un sapin', 'voyage'], ar: ['تخييم', 'خيمة'] } },
+  { emoji: '🏖️', category: 'travel', keywords: ['beach with umbrella'], localized: { fr: ['plage avec parasol', 'parasol', 'plage', 'voyage'], ar: ['شاطئ وشمسية', 'استجمام', 'استرخاء', 'بحر', 'جزيرة', 'شاطئ', 'شمسية', 'مشمس'] } },
+  { emoji: '🏜️', category: 'travel', keywords: ['desert'], localized: { fr: ['désert', 'voyage'], ar: ['صحراء', 'بادية'] } },
+  { emoji: '🏝️', category: 'travel', keywords: ['island', 'desert island'], localized: { fr: ['île', 'île déserte', 'cocotier', 'palmier', 'voyage'], ar: ['جزيرة', 'جزيرة صحراوية', 'تالا', 'صحراء', 'نخلة'] } },
+  { emoji: '🏞️', category: 'travel', keywords: ['national park'], localized: { fr: ['parc national', 'nature', 'voyage'], ar: ['حديقة وطنية', 'جنينة', 'متنزه'] } },
+  { emoji: '🏟️', category: 'travel', keywords: ['stadium'], localized: { fr: ['stade'], ar: ['ملعب', 'استاد', 'مدرج'] } },
+  { emoji: '🏛️', category: 'travel', keywords: ['classical building'], localized: { fr: ['monument classique', 'colonnes', 'monument', 'voyage'], ar: ['مبنى أثري', 'أثر', 'قديم', 'كلاسيكي', 'مبنى', 'متحف'] } },
+  { emoji: '🏗️', category: 'travel', keywords: ['building construction', 'construction'], localized: { fr: ['chantier', 'construction', 'construction d’un bâtiment', 'grue'], ar: ['موقع بناء', 'بناء', 'إنشاءات', 'إنشاء', 'رافعة', 'سقالات', 'مبنى', 'ورشة بناء'] } },
+  { emoji: '🧱', category: 'travel', keywords: ['brick'], localized: { fr: ['brique', 'argile', 'briques', 'mortier', 'mur', 'mur de briques', 'the wall', 'voie 9 3/4'], ar: ['طوب', 'قرميد', 'طوبة', 'أحجار', 'أسمنت', 'حائط', 'حجارة', 'حيط', 'سد', 'طمي', 'طين', 'ملاط', 'مونة'] } },
+  { emoji: '🪨', category: 'travel', keywords: ['rock'], localized: { fr: ['rocher', 'caillou', 'dur', 'lourd', 'pierre', 'roc', 'roche', 'solide'], ar: ['صخرة', 'أماكن', 'تضاريس', 'ثقيل', 'جلمود', 'حجر', 'صخر', 'صلب', 'طوب', 'قاس', 'قسوة', 'وعر'] } },
+  { emoji: '🪵', category: 'travel', keywords: ['wood'], localized: { fr: ['bois', 'bûche', 'arbre', 'bûcheron', 'rondins', 'tronc'], ar: ['خشب', 'جذع', 'ألواح خشب', 'أماكن', 'تصحّر', 'جذع شجرة', 'حطب', 'قطع', 'لوح', 'مقطوع'] } },
+  { emoji: '🛖', category: 'travel', keywords: ['hut'], localized: { fr: ['hutte', 'cabane', 'abri', 'case', 'maison', 'maisonnette', 'yourte'], ar: ['كوخ', 'بيت', 'بيت دائري', 'سكن', 'مأوى', 'مبنى', 'مكان', 'منزل', 'يورت'] } },
+  { emoji: '🏘️', category: 'travel', keywords: ['houses'], localized: { fr: ['maisons', 'bâtiment', 'bâtiments', 'maison', 'pavillons'], ar: ['بيوت', 'منازل', 'بلدة', 'بناء', 'بيت', 'منزل'] } },
+  { emoji: '🏚️', category: 'travel', keywords: ['derelict house', 'old'], localized: { fr: ['maison abandonnée', 'vieux', 'maison'], ar: ['بيت مهجور', 'قديم', 'مبنى مهجور', 'حطام', 'مباني', 'مشعور', 'منزل', 'مهجور', 'مهلهل', 'هزة ارضية'] } },
+  { emoji: '🏠', category: 'travel', keywords: ['house'], localized: { fr: ['maison', 'bâtiment', 'foyer', 'maison simple', 'pavillon', 'résidentiel'], ar: ['بيت', 'منزل', 'ضاحية', 'ضيعة', 'فيلا', 'مبنى', 'مزرعة'] } },
+  { emoji: '🏡', category: 'travel', keywords: ['house with garden'], localized: { fr: ['maison avec jardin', 'foyer', 'jardin', 'maison', 'pavillon', 'résidentiel'], ar: ['بيت بحديقة', 'منزل بحديقة', 'بيت', 'حديقة', 'ضيعة', 'فيلا', 'مبنى'] } },
+  { emoji: '🏢', category: 'travel', keywords: ['office building'], localized: { fr: ['immeuble de bureaux', 'bureaux', 'immeuble', 'ville'], ar: ['مبنى مكاتب', 'مبنى إداري', 'تجاري', 'سنتر', 'شغل', 'عمل', 'مبنى', 'مدينة', 'مكتب'] } },
+  { emoji: '🏣', category: 'travel', keywords: ['japanese post office'], localized: { fr: ['poste japonaise', 'bureau de poste japonais', 'bâtiment', 'japon', 'poste', 'voyage'], ar: ['بريد ياباني', 'مكتب بريد ياباني', 'ارسال', 'البريد', 'بريد', 'مبنى', 'مكتب بريد'] } },
+  { emoji: '🏤', category: 'travel', keywords: ['post office'], localized: { fr: ['bureau de poste', 'bâtiment', 'européen', 'poste'], ar: ['مكتب بريد', 'اوروبي', 'بريد', 'مكتب بريد أوروبي'] } },
+  { emoji: '🏥', category: 'travel', keywords: ['hospital'], localized: { fr: ['hôpital', 'bâtiment', 'docteur', 'médecin', 'urgences'], ar: ['مستشفى', 'ادوية', 'حكيم', 'دكتور', 'دواء', 'صليب الاحمر', 'طبيب', 'مبنى'] } },
+  { emoji: '🏦', category: 'travel', keywords: ['bank'], localized: { fr: ['banque', 'bâtiment'], ar: ['بنك', 'مصرف', 'مال', 'مبنى', 'مصاري', 'نقد'] } },
+  { emoji: '🏨', category: 'travel', keywords: ['hotel'], localized: { fr: ['hôtel', 'bâtiment', 'voyage'], ar: ['فندق', 'اوتيل', 'مبنى', 'مبيت'] } },
+  { emoji: '🏩', category: 'travel', keywords: ['love hotel'], localized: { fr: ['hôtel de l\'amour', 'love hotel', 'amour', 'bâtiment', 'cœur', 'hôtel', 'voyage'], ar: ['فندق الحب', 'فندق حب', 'حب', 'شهر العسل', 'فندق', 'مبنى', 'مكان للحب'] } },
+  { emoji: '🏪', category: 'travel', keywords: ['convenience store'], localized: { fr: ['supérette', 'épicerie', '24h/24', 'bâtiment', 'magasin', 'supermarché'], ar: ['بقالة', 'متجر', 'متجر بقالة', 'دكان', 'سوق 24 ساعة', 'كشك', 'مبنى', 'متجر صغير', 'محل', 'محل صغير', 'مول'] } },
+  { emoji: '🏫', category: 'travel', keywords: ['school'], localized: { fr: ['école', 'bâtiment'], ar: ['مدرسة', 'تعليم', 'ثقافة', 'مبنى'] } },
+  { emoji: '🏬', category: 'travel', keywords: ['department store'], localized: { fr: ['grand magasin', 'bâtiment', 'centre commercial', 'magasin'], ar: ['متجر كبير', 'متجر شامل', 'سنتر تسوق', 'سوق', 'سوق شامل'] } },
+  { emoji: '🏭', category: 'travel', keywords: ['factory'], localized: { fr: ['usine', 'bâtiment'], ar: ['مصنع', 'مبنى', 'مشغل'] } },
+  { emoji: '🏯', category: 'travel', keywords: ['japanese castle'], localized: { fr: ['château japonais', 'bâtiment', 'château', 'japonais', 'voyage'], ar: ['قلعة يابانية', 'بناء ياباني', 'طراز ياباني', 'قلعة', 'مبنى'] } },
+  { emoji: '🏰', category: 'travel', keywords: ['castle'], localized: { fr: ['château', 'bâtiment', 'européen', 'voyage'], ar: ['قلعة', 'قصر', 'قلعة أوروبية', 'مبنى'] } },
+  { emoji: '💒', category: 'travel', keywords: ['wedding'], localized: { fr: ['mariage', 'amour', 'chapelle', 'cœur', 'église'], ar: ['زفاف', 'عرس', 'كنيسة زفاف', 'رومانس', 'رومانسية', 'رومنس', 'زواج'] } },
+  { emoji: '🗼', category: 'travel', keywords: ['tokyo tower'], localized: { fr: ['tour de tokyo', 'japon', 'tokyo', 'tour', 'voyage'], ar: ['برج طوكيو', 'برج', 'طوكيو', 'مرتفع', 'يابان'] } },
+  { emoji: '🗽', category: 'travel', keywords: ['statue of liberty', 'usa'], localized: { fr: ['statue de la liberté', 'usa', 'liberté', 'new york', 'statue', 'voyage'], ar: ['تمثال الحرية', 'أمريكا', 'الحرية', 'تمثال', 'حرية', 'نيويورك'] } },
+  { emoji: '⛪', category: 'travel', keywords: ['church'], localized: { fr: ['église', 'bâtiment', 'chapelle', 'chrétien', 'croix', 'religion', 'voyage'], ar: ['كنيسة', 'مبنى', 'مسيحية'] } },
+  { emoji: '🕌', category: 'travel', keywords: ['mosque'], localized: { fr: ['mosquée', 'islam', 'musulman', 'musulmane', 'religion', 'voyage'], ar: ['مسجد', 'جامع', 'إسلام', 'تراويح', 'دين', 'رمضان', 'صلاة الجمعة', 'صلاة جماعة', 'مسلمون'] } },
+  { emoji: '🛕', category: 'travel', keywords: ['hindu temple'], localized: { fr: ['temple hindou', 'bouddhisme', 'hindou', 'pagode', 'religion', 'stupa', 'temple', 'temple bouddhiste'], ar: ['معبد هندوسي', 'أماكن', 'ديانة', 'طقوس دينية', 'معبد', 'هندوسي', 'هندوسية', 'هندي'] } },
+  { emoji: '🕍', category: 'travel', keywords: ['synagogue'], localized: { fr: ['synagogue', 'judaïsme', 'juif', 'juive', 'religion', 'temple', 'voyage'], ar: ['معبد يهودي', 'دين', 'معبد', 'يهود', 'يهودية'] } },
+  { emoji: '⛩️', category: 'travel', keywords: ['shinto shrine'], localized: { fr: ['sanctuaire shinto', 'religion', 'shinto', 'voyage'], ar: ['ضريح شنتو', 'ضريح', 'دين', 'شنتو'] } },
+  { emoji: '🕋', category: 'travel', keywords: ['kaaba'], localized: { fr: ['kaaba', 'islam', 'musulman', 'musulmane', 'religion', 'voyage'], ar: ['الكعبة', 'إسلام', 'حج', 'دين', 'طواف', 'كعبة', 'مسلم'] } },
+  { emoji: '⛲', category: 'travel', keywords: ['fountain'], localized: { fr: ['fontaine', 'eau'], ar: ['نافورة', 'ماء', 'مياه'] } },
+  { emoji: '⛺', category: 'travel', keywords: ['tent', 'camping'], localized: { fr: ['tente', 'camping', 'nature', 'voyage'], ar: ['خيمة', 'تخييم', 'كشاف', 'مخيم'] } },
+  { emoji: '🌁', category: 'travel', keywords: ['foggy'], localized: { fr: ['brouillard', 'brume', 'voyage'], ar: ['ضباب', 'جبل', 'طبيعة', 'طقس'] } },
+  { emoji: '🌃', category: 'travel', keywords: ['night with stars'], localized: { fr: ['nuit étoilée', 'étoiles', 'nuit', 'ville', 'voyage'], ar: ['ليلة مرصعة بالنجوم', 'ليل مع نجوم', 'ابنية مرتفعة', 'طقس', 'ليل', 'مدينة', 'نجوم', 'نيويورك'] } },
+  { emoji: '🏙️', category: 'travel', keywords: ['cityscape', 'buildings'], localized: { fr: ['ville', 'immeubles', 'bâtiment', 'voyage'], ar: ['مدينة', 'مباني', 'ناطحات سحاب', 'ابنية شاهقة', 'ابنية مرتفعة', 'منظر مدينة'] } },
+  { emoji: '🌄', category: 'travel', keywords: ['sunrise over mountains'], localized: { fr: ['lever de soleil sur les montagnes', 'soleil levant derrière les montagnes', 'lever de soleil', 'matin', 'nature', 'soleil', 'voyage'], ar: ['شروق فوق الجبال', 'شروق على جبل', 'شمس الصباح', 'شمس بين جبلين', 'صباح', 'طبيعة'] } },
+  { emoji: '🌅', category: 'travel', keywords: ['sunrise', 'beach'], localized: { fr: ['lever de soleil', 'plage', 'soleil levant', 'matin', 'nature', 'soleil', 'voyage'], ar: ['شروق الشمس', 'شاطئ', 'شروق', 'شمس', 'صباح', 'طبيعة', 'طقس', 'طلوع الشمس'] } },
+  { emoji: '🌆', category: 'travel', keywords: ['cityscape at dusk'], localized: { fr: ['ville au crépuscule', 'coucher de soleil', 'crépuscule', 'immeubles', 'soir', 'soleil', 'tombée de la nuit', 'ville', 'voyage'], ar: ['مدينة عند الغسق', 'غروب مدينة', 'ابنية شاهقة', 'ابنية مرتفعة', 'غسق', 'مساء'] } },
+  { emoji: '🌇', category: 'travel', keywords: ['sunset'], localized: { fr: ['coucher de soleil', 'coucher de soleil en ville', 'crépuscule', 'soir', 'soleil', 'tombée de la nuit', 'ville', 'voyage'], ar: ['غروب الشمس', 'غسق', 'ابنية مرتفعة', 'شمس تغرب', 'مدينة', 'مغيب'] } },
+  { emoji: '🌉', category: 'travel', keywords: ['bridge at night'], localized: { fr: ['pont la nuit', 'pont de nuit', 'nuit', 'pont'], ar: ['جسر في الليل', 'بحر وجسر', 'جسر', 'طقس', 'ليل', 'مساء'] } },
+  { emoji: '♨️', category: 'travel', keywords: ['hot springs'], localized: { fr: ['sources chaudes', 'chaud', 'source', 'vapeur'], ar: ['ينابيع حارة', 'ينابيع ساخنة', 'رمز', 'ساخن', 'عيون', 'متبخر', 'يغلي', 'ينبوع ساخن'] } },
+  { emoji: '🎠', category: 'travel', keywords: ['carousel horse', 'carousel'], localized: { fr: ['manège', 'cheval de bois', 'cheval de manège', 'cheval'], ar: ['دوامة خيل', 'حصان خشبي', 'حصان الدوامة', 'العاب', 'ترفيه', 'حصان', 'مدينة العاب', 'مدينة ملاهي'] } },
+  { emoji: '🛝', category: 'travel', keywords: ['playground slide'], localized: { fr: ['toboggan', 'aire de jeu', 'glissade', 'jouer'], ar: ['منزلق اللعب', 'تزحلق', 'حديقة ألعاب', 'لعب', 'ملعب'] } },
+  { emoji: '🎡', category: 'travel', keywords: ['ferris wheel', 'fair'], localized: { fr: ['grande roue', 'fête foraine', 'attractions', 'parc d’attractions', 'roue'], ar: ['عجلة دوارة', 'مدينة ملاهي', 'ترفيه', 'تسلية', 'حديقة', 'دولاب دوار', 'دولاب ملاهي', 'دولاب هواء', 'عجلة فيريس', 'مدينة العاب'] } },
+  { emoji: '🎢', category: 'travel', keywords: ['roller coaster', 'fair'], localized: { fr: ['montagnes russes', 'fête foraine', 'attractions', 'montagnes', 'parc d’attractions', 'russes'], ar: ['أفعوانية', 'مدينة ملاهي', 'قطار ملاهي', 'ترفيه', 'حديقة', 'رعب', 'قطار', 'مدينة العاب'] } },
+  { emoji: '💈', category: 'travel', keywords: ['barber pole'], localized: { fr: ['enseigne de barbier', 'coiffeur', 'barbier', 'coiffure', 'enseigne', 'salon'], ar: ['عمود الحلاق', 'حلاق', 'محل حلاقة', 'تزيين شعر', 'تصفيف شعر', 'حلق', 'شارة', 'صالون حلاقة'] } },
+  { emoji: '🎪', category: 'travel', keywords: ['circus tent'], localized: { fr: ['chapiteau', 'cirque'], ar: ['خيمة سيرك', 'ترفيه', 'خيمة', 'سرك', 'سيرك'] } },
+  { emoji: '🚂', category: 'travel', keywords: ['locomotive'], localized: { fr: ['locomotive', 'chemin de fer', 'machine à vapeur', 'moyen de transport', 'rail', 'tchou tchou', 'train', 'vapeur', 'voyage'], ar: ['جرار بخار', 'جرار', 'سفر', 'قطار', 'قطار بخار', 'قطر', 'محرك', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚃', category: 'travel', keywords: ['railway car'], localized: { fr: ['wagon', 'chemin de fer', 'moyen de transport', 'rail', 'train', 'tram', 'tramway', 'voiture', 'voyage'], ar: ['عربة قطار', 'ترام', 'ركوب', 'سفر', 'قطار', 'كهربائي', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚄', category: 'travel', keywords: ['high-speed train'], localized: { fr: ['train à grande vitesse', 'tgv', 'chemin de fer', 'moyen de transport', 'rail', 'rapide', 'train', 'vitesse', 'voyage'], ar: ['قطار سريع', 'ركوب', 'شينكانسن', 'قطار', 'مركبة', 'نقل سريع', 'نقل عام'] } },
+  { emoji: '🚅', category: 'travel', keywords: ['bullet train'], localized: { fr: ['tgv', 'train rapide', 'train à grande vitesse', 'chemin de fer', 'moyen de transport', 'rail', 'rapide', 'train', 'voyage'], ar: ['قطار الطلقة', 'قطار سريع بوجه محدب', 'سرعة فائقة', 'سفر', 'شينكانسن بوجه محدب', 'قطار', 'مركبة', 'نقل عام', 'وجه محدب'] } },
+  { emoji: '🚆', category: 'travel', keywords: ['train'], localized: { fr: ['train', 'arrivée', 'chemin de fer', 'moyen de transport', 'rail', 'voyage'], ar: ['قطار', 'تشو تشو', 'سكة حديد', 'قطر', 'مركبة', 'نقل عام', 'وصول'] } },
+  { emoji: '🚇', category: 'travel', keywords: ['metro', 'subway'], localized: { fr: ['métro', 'moyen de transport'], ar: ['مترو', 'قطار أنفاق', 'أنفاق', 'سفر', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚈', category: 'travel', keywords: ['light rail'], localized: { fr: ['métro léger', 'métro', 'monorail', 'moyen de transport', 'rail', 'rer'], ar: ['قطار خفيف', 'نقل خفيف', 'خفيف', 'سفر', 'سكة حديد', 'قطار', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚉', category: 'travel', keywords: ['station'], localized: { fr: ['gare', 'chemin de fer', 'moyen de transport', 'rail', 'rer', 'train'], ar: ['محطة', 'محطة قطار', 'سفر', 'سكة', 'قطار', 'نقل عام'] } },
+  { emoji: '🚊', category: 'travel', keywords: ['tram'], localized: { fr: ['tramway', 'moyen de transport', 'rer', 'tram', 'transport', 'trolley', 'trolleybus'], ar: ['ترام', 'سفر', 'قطار', 'مركبة'] } },
+  { emoji: '🚝', category: 'travel', keywords: ['monorail'], localized: { fr: ['monorail', 'moyen de transport', 'véhicule'], ar: ['خط سكة حديد أحادي', 'قطار', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚞', category: 'travel', keywords: ['mountain railway'], localized: { fr: ['train de montagne', 'chemin de fer', 'moyen de transport', 'rail', 'train', 'voyage', 'wagon'], ar: ['سكة حديد جبلية', 'جبل', 'رحلة', 'سكة حديد', 'عربة قطار جبلي', 'مركبة'] } },
+  { emoji: '🚋', category: 'travel', keywords: ['tram car'], localized: { fr: ['wagon de tramway', 'moyen de transport', 'tram', 'trolleybus', 'voiture', 'voyage'], ar: ['سيارة ترام', 'باص', 'ترام', 'سيارة', 'مركبة'] } },
+  { emoji: '🚌', category: 'travel', keywords: ['bus'], localized: { fr: ['bus', 'école', 'moyen de transport', 'véhicule'], ar: ['حافلة', 'باص', 'مدرسة', 'مركبة', 'نقل تلاميذ'] } },
+  { emoji: '🚍', category: 'travel', keywords: ['oncoming bus'], localized: { fr: ['bus en approche', 'bus de face', 'bus', 'bus qui arrive', 'car', 'moyen de transport'], ar: ['حافلة قادمة', 'حافلة مقتربة', 'اقتراب حافلة', 'باص', 'مركبة', 'مقترب', 'نقل'] } },
+  { emoji: '🚎', category: 'travel', keywords: ['trolleybus'], localized: { fr: ['trolleybus', 'bus', 'moyen de transport', 'tram', 'tramway', 'trolley'], ar: ['ترولي باص', 'أتوبيس ترولي', 'أتوبيس كهربائي', 'باص كهربائي', 'ترولي', 'ركوب', 'مركبة', 'نقل', 'نقل عام'] } },
+  { emoji: '🚐', category: 'travel', keywords: ['minibus'], localized: { fr: ['minibus', 'bus', 'moyen de transport', 'navette', 'véhicule'], ar: ['حافلة صغيرة', 'باص', 'حافلة', 'ركوب', 'فان', 'قيادة', 'مركبة', 'نقل عام'] } },
+  { emoji: '🚑', category: 'travel', keywords: ['ambulance'], localized: { fr: ['ambulance', 'urgences', 'véhicule'], ar: ['إسعاف', 'سيارة إسعاف', 'اومبلونس', 'حالة طارئة', 'طارىء', 'طوارىء', 'مركبة'] } },
+  { emoji: '🚒', category: 'travel', keywords: ['fire engine'], localized: { fr: ['camion de pompiers', 'camion de pompier', 'pin-pon', 'pompier'], ar: ['سيارة إطفاء', 'إطفاء', 'حريق', 'سيارة اطفاء', 'سيارة حريق', 'مركبة'] } },
+  { emoji: '🚓', category: 'travel', keywords: ['police car'], localized: { fr: ['voiture de police', 'flic', 'patrouille', 'police', 'véhicule'], ar: ['سيارة شرطة', 'سيارة دورية', 'شرطة', 'مركبة'] } },
+  { emoji: '🚔', category: 'travel', keywords: ['oncoming police car'], localized: { fr: ['police en approche', 'voiture de police de face', 'police', 'véhicule', 'voiture de police qui arrive'], ar: ['سيارة شرطة قادمة', 'سيارة شرطة مقتربة', 'حاجز', 'دورية', 'سيارة شرطة', 'شرطة', 'مركبة'] } },
+  { emoji: '🚕', category: 'travel', keywords: ['taxi', 'cab'], localized: { fr: ['taxi', 'moyen de transport', 'taxi jaune', 'uber', 'véhicule'], ar: ['تاكسي', 'سيارة أجرة', 'uber', 'اوبر', 'سيرفيس', 'مركبة'] } },
+  { emoji: '🚖', category: 'travel', keywords: ['oncoming taxi'], localized: { fr: ['taxi en approche', 'taxi de face', 'joe le taxi', 'new york', 'taxi', 'taxi jaune', 'uber', 'voiture'], ar: ['تاكسي قادم', 'تاكسي مقترب', 'تاكسي', 'ركوب', 'سيرفيس', 'مركبة', 'نقل'] } },
+  { emoji: '🚗', category: 'travel', keywords: ['automobile', 'car'], localized: { fr: ['voiture', 'automobile', 'conduire', 'moyen de transport', 'véhicule', 'voyage'], ar: ['سيارة', 'عربية', 'ركوب', 'قيادة', 'مركبة', 'نقل'] } },
+  { emoji: '🚘', category: 'travel', keywords: ['oncoming automobile'], localized: { fr: ['voiture en approche', 'voiture de face', 'automobile', 'conduire', 'moyen de transport', 'véhicule', 'voiture', 'voiture qui arrive', 'voyage'], ar: ['سيارة قادمة', 'سيارة مقتربة', 'ركوب', 'سيارة', 'قيادة', 'مركبة', 'نقل'] } },
+  { emoji: '🚙', category: 'travel', keywords: ['recreational vehicle', 'suv', 'sport utility vehicle'], localized: { fr: ['4x4', 'suv', 'véhicule utilitaire sport', 'automobile', 'conduire', 'loisirs', 'moyen de transport', 'véhicule de loisirs', 'voiture', 'voyage'], ar: ['سيارة رياضية', 'دفع رباعي', 'مركبة رياضية', 'آر في', 'تخييم', 'رحلة', 'سيارة', 'عربية', 'مركبة', 'مركبة استجمام'] } },
+  { emoji: '🛻', category: 'travel', keywords: ['pickup truck'], localized: { fr: ['pick-up', 'auto', 'camion benne', 'camionnette', 'pickup', 'plateau', 'poids lourd', 'transports', 'véhicule'], ar: ['شاحنة خفيفة', 'بيك أب', 'سائق', 'سفر', 'سيارة', 'شاحنة', 'طريق', 'قيادة', 'مواصلات', 'نقل'] } },
+  { emoji: '🚚', category: 'travel', keywords: ['delivery truck'], localized: { fr: ['camion de livraison', 'camion', 'camionnette', 'moyen de transport', 'véhicule'], ar: ['شاحنة توصيل', 'شاحنة توصيل طلبات', 'توصيل', 'دليفري', 'ركوب', 'شاحنة', 'مركبة', 'نقل'] } },
+  { emoji: '🚛', category: 'travel', keywords: ['articulated lorry', 'truck'], localized: { fr: ['semi-remorque', 'camion', 'moyen de transport', 'poids lourd', 'semi', 'véhicule'], ar: ['شاحنة مقطورة', 'شاحنة', 'لوري', 'انتقال', 'بضائع', 'لوري شبه مقطورة', 'مركبة', 'مقطورة'] } },
+  { emoji: '🚜', category: 'travel', keywords: ['tractor'], localized: { fr: ['tracteur', 'moyen de transport', 'véhicule'], ar: ['جرار', 'تراكتور', 'تركتور', 'زراعة', 'مركبة'] } },
+  { emoji: '🏎️', category: 'travel', keywords: ['racing car', 'formula1'], localized: { fr: ['voiture de course', 'formule1', 'course', 'course automobile', 'formule 1', 'voiture'], ar: ['سيارة سباق', 'فورمولا1', 'سباق', 'سبق سيارات', 'سيارة'] } },
+  { emoji: '🏍️', category: 'travel', keywords: ['motorcycle'], localized: { fr: ['moto', 'course'], ar: ['دراجة نارية', 'موتور', 'دراجة بخارية', 'دباب', 'سباق', 'سبق', 'طقطاقي', 'موتسيك', 'موتو'] } },
+  { emoji: '🛵', category: 'travel', keywords: ['motor scooter', 'vespa'], localized: { fr: ['scooter', 'vespa'], ar: ['دراجة نارية صغيرة', 'فيسبا', 'سكوتر بمحرك', 'دراجة نارية', 'سكوتر', 'طقطاقي', 'قيادة', 'محرك', 'نقل'] } },
+  { emoji: '🦽', category: 'travel', keywords: ['manual wheelchair'], localized: { fr: ['fauteuil roulant manuel', 'accessibilité', 'fauteuil roulant', 'handicap'], ar: ['كرسي متحرك يدوي', 'إمكانية الوصول', 'احتياجات خاصة', 'اعاقة', 'ذوو احتياجات', 'ذوي احتياجات', 'قعيد', 'كرسي', 'معاق', 'مقعد', 'وسيلة'] } },
+  { emoji: '🦼', category: 'travel', keywords: ['motorized wheelchair'], localized: { fr: ['fauteuil motorisé', 'accessibilité', 'fauteuil roulant', 'fauteuil roulant motorisé', 'handicap'], ar: ['كرسي متحرك كهربائي', 'إعاقة', 'إمكانية الوصول', 'احتياجات خاصة', 'ذوو احتياجات', 'ذوي الاحتياجات الخاصة'] } },
+  { emoji: '🛺', category: 'travel', keywords: ['auto rickshaw'], localized: { fr: ['tuk-tuk', 'rickshaw', 'tuk tuk', 'taxi', 'thaï', 'tricycle'], ar: ['توك توك', 'ريكشا', 'توكتوك', 'الهند', 'تكتوك', 'ريكاشة', 'عربة هندية', 'مواصلات'] } },
+  { emoji: '🚲', category: 'travel', keywords: ['bicycle', 'bike'], localized: { fr: ['vélo', 'bicyclette', 'cyclisme', 'moyen de transport', 'voyage'], ar: ['دراجة', 'بسكليت', 'بسكلتة', 'ركوب', 'سيكل', 'مركبة'] } },
+  { emoji: '🛴', category: 'travel', keywords: ['kick scooter'], localized: { fr: ['trottinette'], ar: ['سكوتر', 'سكوتر بدون محرك', 'ركل'] } },
+  { emoji: '🛹', category: 'travel', keywords: ['skateboard'], localized: { fr: ['planche à roulettes', 'glisse', 'longboard', 'roulettes', 'skate', 'skateboard'], ar: ['لوح التزلج', 'تزحلق', 'تزلج', 'رياضة', 'زحلقة', 'سكيت', 'سكيت بورد', 'عجل', 'عجلات', 'لوح', 'متزلج', 'مرح'] } },
+  { emoji: '🛼', category: 'travel', keywords: ['roller skate'], localized: { fr: ['patin à roulettes', 'derby', 'roller', 'roulette', 'roulettes', 'sport'], ar: ['حذاء مع عجلات', 'أماكن', 'أنشطة', 'باتيناج', 'ترفيه', 'تزلج', 'حذاء', 'حذاء بعجلات', 'رحلة', 'رياضة', 'زلاجة', 'عجلات', 'مزلجة'] } },
+  { emoji: '🚏', category: 'travel', keywords: ['bus stop'], localized: { fr: ['arrêt de bus', 'bus'], ar: ['موقف حافلات', 'حافلات', 'سفر', 'كاراج', 'محطة', 'موقف'] } },
+  { emoji: '🛣️', category: 'travel', keywords: ['motorway'], localized: { fr: ['autoroute', 'route', 'voyage'], ar: ['طريق سريع', 'اوتوستراد', 'شارع', 'طريق'] } },
+  { emoji: '🛤️', category: 'travel', keywords: ['railway track'], localized: { fr: ['voie ferrée', 'chemin de fer', 'rail', 'train', 'voyage'], ar: ['سكة حديد', 'ترين', 'قطار', 'قطر'] } },
+  { emoji: '🛢️', category: 'travel', keywords: ['oil drum'], localized: { fr: ['baril de pétrole', 'baril', 'pétrole'], ar: ['برميل نفط', 'برميل', 'زيت'] } },
+  { emoji: '⛽', category: 'travel', keywords: ['fuel pump'], localized: { fr: ['pompe à essence', 'diesel', 'essence', 'gazole', 'station'], ar: ['مضخة وقود', 'بنزين', 'بنزينة', 'محطة', 'وقود'] } },
+  { emoji: '🛞', category: 'travel', keywords: ['wheel'], localized: { fr: ['roue', 'cercle', 'pneu', 'tourner', 'véhicule', 'voiture'], ar: ['عجلة', 'إطار', 'دائرة', 'دوران', 'سيارة', 'مركبة'] } },
+  { emoji: '🚨', category: 'travel', keywords: ['police car light'], localized: { fr: ['gyrophare', 'alarme', 'alerte', 'lumière', 'police', 'sirène', 'urgences', 'voiture'], ar: ['إضاءة سيارة شرطة دوارة', 'إضاءة دوارة', 'إضاءة سيارة شرطة', 'انذار', 'تنبيه', 'حاجز', 'سيارة شرطة', 'ضوء', 'طوارىء'] } },
+  { emoji: '🚥', category: 'travel', keywords: ['horizontal traffic light'], localized: { fr: ['feu tricolore horizontal', 'carrefour', 'croisement', 'feu', 'feu de circulation', 'tricolore'], ar: ['إشارة مرور أفقية', 'إشارات مرور أفقية', 'اشارة مرور', 'مرور'] } },
+  { emoji: '🚦', category: 'travel', keywords: ['vertical traffic light'], localized: { fr: ['feu tricolore vertical', 'carrefour', 'croisement', 'feu', 'feu de circulation', 'tricolore'], ar: ['إشارة مرور رأسية', 'إشارات مرور عرضية', 'اشارات السير', 'اشارة سير', 'تنظيم المرور', 'سير', 'ضوء', 'مرور'] } },
+  { emoji: '🛑', category: 'travel', keywords: ['stop sign'], localized: { fr: ['panneau stop', 'stop', 'octogonal', 'panneau', 'signe'], ar: ['إشارة قف', 'علامة توقف', 'توقف', 'ستوب', 'شكل سداسي', 'علامة'] } },
+  { emoji: '🚧', category: 'travel', keywords: ['construction'], localized: { fr: ['travaux', 'barrière'], ar: ['تحت الإنشاء', 'إشارة', 'إنشاء', 'اشغال', 'قيد الانشاء'] } },
+  { emoji: '🛙', category: 'travel', keywords: ['lighthouse'], localized: { fr: ['phare', 'mer'], ar: ['منارة', 'بحر'] } },
+  { emoji: '⚓', category: 'travel', keywords: ['anchor', 'sea'], localized: { fr: ['ancre', 'mer', 'bateau', 'outil', 'voyage'], ar: ['مرساة', 'بحر', 'إشارة', 'اداة', 'سفينة'] } },
+  { emoji: '🛟', category: 'travel', keywords: ['ring buoy'], localized: { fr: ['bouée de sauvetage', 'flotter', 'sauver', 'sauveteur', 'secours', 'sécurité'], ar: ['عوامة', 'إنقاذ', 'السلامة', 'حفظ الحياة', 'عوم', 'منقذ'] } },
+  { emoji: '⛵', category: 'travel', keywords: ['sailboat', 'boat'], localized: { fr: ['voilier', 'bateau', 'mer', 'moyen de transport', 'plaisance', 'voyage', 'yacht'], ar: ['مركب شراعي', 'قارب', 'شخطورة', 'منتجع', 'منتجع بحري', 'يخت'] } },
+  { emoji: '🛶', category: 'travel', keywords: ['canoe'], localized: { fr: ['canoë', 'bateau', 'rame', 'ramer'], ar: ['كانو', 'زورق', 'شخطورة', 'قارب'] } },
+  { emoji: '🚤', category: 'travel', keywords: ['speedboat'], localized: { fr: ['hors-bord', 'bateau', 'été', 'luxe', 'moyen de transport', 'vedette', 'voyage'], ar: ['زورق سريع', 'قارب سريع', 'ابحار', 'زورق', 'سفر', 'صبف', 'غني', 'فخفخة', 'قارب', 'مركبة', 'يخت'] } },
+  { emoji: '🛳️', category: 'travel', keywords: ['passenger ship', 'cruise'], localized: { fr: ['paquebot', 'croisière', 'bateau', 'voyage'], ar: ['سفينة ركاب', 'رحلة بحرية', 'راكب', 'سفر', 'سفينة', 'مركبة', 'نقل عام'] } },
+  { emoji: '⛴️', category: 'travel', keywords: ['ferry', 'boat'], localized: { fr: ['ferry', 'bateau', 'moyen de transport', 'voyage'], ar: ['عبارة', 'قارب', 'عبّارة', 'زورق', 'سفر', 'سفينة', 'مركب'] } },
+  { emoji: '🛥️', category: 'travel', keywords: ['motor boat'], localized: { fr: ['bateau à moteur', 'bateau'], ar: ['زورق بخاري', 'ابحار', 'بخاري', 'زورق', 'مركب', 'مركبة', 'يخت'] } },
+  { emoji: '🚢', category: 'travel', keywords: ['ship'], localized: { fr: ['navire', 'bateau', 'croisière', 'moyen de transport', 'paquebot', 'titanic', 'voyage'], ar: ['سفينة', 'باخرة', 'تايتنك', 'سفر', 'كروز', 'مركبة', 'مسافر', 'نقل'] } },
+  { emoji: '✈️', category: 'travel', keywords: ['airplane', 'flight'], localized: { fr: ['avion', 'vol', 'avion en vol', 'jet', 'moyen de transport', 'véhicule', 'voyage'], ar: ['طائرة', 'رحلة', 'اقلاع', 'سفر', 'طيارة', 'مركبة'] } },
+  { emoji: '🛩️', category: 'travel', keywords: ['small airplane'], localized: { fr: ['petit avion', 'avion', 'moyen de transport', 'voyage'], ar: ['طائرة صغيرة', 'طائرة', 'مركبة'] } },
+  { emoji: '🛫', category: 'travel', keywords: ['airplane departure'], localized: { fr: ['avion au décollage', 'avion', 'décollage', 'départ', 'moyen de transport', 'voyage'], ar: ['مغادرة طائرة', 'رحيل', 'سفر', 'طائرة', 'طائرة مغادرة', 'مركبة', 'مسافر', 'نقل عام', 'هربان', 'وصول'] } },
+  { emoji: '🛬', category: 'travel', keywords: ['airplane arrival'], localized: { fr: ['avion à l’atterrissage', 'arrivée', 'atterrissage', 'avion', 'moyen de transport', 'voyage'], ar: ['وصول طائرة', 'سفر', 'طائرة', 'طيارة', 'مدرج', 'مركبة', 'مسافر', 'هبوط', 'وصول'] } },
+  { emoji: '🪂', category: 'travel', keywords: ['parachute'], localized: { fr: ['parachute', 'chute libre', 'parachute ascensionnel', 'parapente', 'sensations fortes'], ar: ['باراشوت', 'إبحار بالمظلات الهوائية', 'السماء', 'تحليق', 'رياضة', 'قفز بالمظلات', 'مظلة هبوط', 'هواية'] } },
+  { emoji: '💺', category: 'travel', keywords: ['seat'], localized: { fr: ['siège', 'chaise', 'fauteuil', 'place'], ar: ['مقعد', 'كرسي'] } },
+  { emoji: '🚁', category: 'travel', keywords: ['helicopter'], localized: { fr: ['hélicoptère', 'hélico', 'moyen de transport', 'véhicule'], ar: ['مروحية', 'هليكوبتر', 'سفر', 'طائرة', 'مركبة', 'نقل'] } },
+  { emoji: '🚟', category: 'travel', keywords: ['aerial tramway', 'suspension railway'], localized: { fr: ['téléphérique suspendu', 'train suspendu', 'moyen de transport', 'train', 'voyage'], ar: ['ترام معلق', 'سكة حديد معلقة', 'ركوب', 'سكة حديد', 'مركبة', 'معلقة', 'نقل عام'] } },
+  { emoji: '🚠', category: 'travel', keywords: ['mountain cableway', 'monorail'], localized: { fr: ['téléphérique de montagne', 'téléphérique', 'montagne', 'moyen de transport', 'ski', 'télécabine'], ar: ['تلفريك جبلي', 'قطار جبلي', 'تليفريك', 'جبل', 'سيارة', 'سيارة قطار جبلي', 'قطار', 'مركبة'] } },
+  { emoji: '🚡', category: 'travel', keywords: ['aerial tramway'], localized: { fr: ['tramway aérien', 'moyen de transport', 'télécabine', 'tramway'], ar: ['عربة قطار هوائي', 'تيليفريك', 'خط ترام', 'خط ترام هوائي', 'غوندولا', 'مركبة', 'هوائي'] } },
+  { emoji: '🛰️', category: 'travel', keywords: ['satellite'], localized: { fr: ['satellite', 'espace'], ar: ['قمر صناعي', 'ستالايت', 'ستلايت', 'فضاء', 'مركبة', 'مكوك'] } },
+  { emoji: '🚀', category: 'travel', keywords: ['rocket', 'space'], localized: { fr: ['fusée', 'espace', 'décollage', 'moyen de transport', 'voyage'], ar: ['صاروخ', 'فضاء', 'انطلاق', 'سفر', 'مركبة'] } },
+  { emoji: '🛸', category: 'travel', keywords: ['ufo', 'alien', 'flying saucer'], localized: { fr: ['ovni', 'extraterrestre', 'soucoupe volante', 'alien'], ar: ['صحن طائر', 'كائن فضائي', 'طبق طائر', 'غريب', 'فضاء', 'مخلوق فضائي', 'مركبة فضائية'] } },
+  { emoji: '🛎️', category: 'travel', keywords: ['bellhop bell'], localized: { fr: ['cloche de comptoir', 'cloche', 'clochette', 'hôtel', 'réception', 'sonnette'], ar: ['جرس فندق', 'اوتيل', 'جرس', 'فندق', 'مساعدة'] } },
+  { emoji: '🧳', category: 'travel', keywords: ['luggage'], localized: { fr: ['bagage', 'valise', 'voyage'], ar: ['حقائب السفر', 'أمتعة', 'تروللي', 'تعبئة', 'حقائب', 'حقيبة', 'حقيبة بعجلات', 'سفر', 'شنط', 'شنطة بعجل', 'شنطة سفر'] } },
+  { emoji: '⌛', category: 'travel', keywords: ['hourglass done'], localized: { fr: ['sablier écoulé', 'sablier', 'chronomètre', 'minuteur', 'sable', 'temps'], ar: ['ساعة رملية منتهية', 'مؤقت رملي مكتمل', 'تاريخ', 'توقيت', 'رمال', 'رمل', 'زمن', 'ساعة رملية', 'ساعة رملية مكتملة'] } },
+  { emoji: '⏳', category: 'travel', keywords: ['hourglass not done'], localized: { fr: ['sablier', 'sablier avec sable qui coule', 'attendre', 'chronomètre', 'minuteur', 'sable', 'temps'], ar: ['ساعة رملية', 'مؤقت رملي غير مكتمل', 'موقت', 'موقت رملي'] } },
+  { emoji: '⌚', category: 'travel', keywords: ['watch'], localized: { fr: ['montre', 'heure'], ar: ['ساعة', 'ساعة يد', 'وقت'] } },
+  { emoji: '⏰', category: 'travel', keywords: ['alarm clock'], localized: { fr: ['réveil', 'alarme', 'attendre', 'dring', 'heure', 'matin', 'retard', 'sonnerie'], ar: ['منبه', 'ساعة منبه', 'انتظار', 'ساعات', 'ساعة'] } },
+  { emoji: '⏱️', category: 'travel', keywords: ['stopwatch'], localized: { fr: ['chronomètre', 'heure', 'temps'], ar: ['ساعة إيقاف', 'ساعة توقف', 'توقيت', 'ساعة'] } },
+  { emoji: '⏲️', category: 'travel', keywords: ['timer clock'], localized: { fr: ['minuteur', 'horloge', 'heure', 'temps'], ar: ['مؤقت', 'ساعة مؤقت', 'توقيت', 'ساعة'] } },
+  { emoji: '🕰️', category: 'travel', keywords: ['mantelpiece clock'], localized: { fr: ['pendule', 'horloge', 'horloge posée'], ar: ['ساعة رف', 'ساعة موقد', 'توقيت', 'ساعة', 'وقت'] } },
+  { emoji: '🕛', category: 'travel', keywords: ['twelve o’clock'], localized: { fr: ['midi/minuit', '0 h', '12 h', 'heure', 'horloge', 'midi', 'midi pile', 'minuit', 'minuit pile'], ar: ['الساعة الثانية عشرة', '12:00', 'الثانية عشر', 'الساعة', 'الساعة 12', 'الظهر', 'توقيت', 'ظهر', 'وقت'] } },
+  { emoji: '🕧', category: 'travel', keywords: ['twelve-thirty'], localized: { fr: ['midi/minuit et demie', '00 h 30', '12 h 30', 'heure', 'horloge', 'midi et demi', 'minuit et demi'], ar: ['الثانية عشرة والنصف', '12:30', 'الثانية عشر والنصف', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕐', category: 'travel', keywords: ['one o’clock'], localized: { fr: ['une heure', '1 h', '13 h', 'heure', 'horloge', 'treize heures'], ar: ['الساعة الواحدة', '1:00', 'الساعة 1', 'الواحدة', 'توقيت', 'ساعة', 'وقت'] } },
+  { emoji: '🕜', category: 'travel', keywords: ['one-thirty'], localized: { fr: ['une heure et demie', '1 h 30', '13 h 30', 'heure', 'horloge', 'treize heures trente'], ar: ['الواحدة والنصف', '1', '1:30', '30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕑', category: 'travel', keywords: ['two o’clock'], localized: { fr: ['deux heures', '14 h', '2 h', 'heure', 'horloge', 'quatorze heures'], ar: ['الساعة الثانية', '2:00', 'الثانية', 'الساعة', 'الساعة ٢'] } },
+  { emoji: '🕝', category: 'travel', keywords: ['two-thirty'], localized: { fr: ['deux heures et demie', '14 h 30', '2 h 30', 'heure', 'horloge', 'quatorze heures trente'], ar: ['الثانية والنصف', '2:30', 'الساعة', 'الساعة ٢'] } },
+  { emoji: '🕒', category: 'travel', keywords: ['three o’clock'], localized: { fr: ['trois heures', '15 h', '3 h', 'heure', 'horloge', 'quinze heures'], ar: ['الساعة الثالثة', '3:00', 'الثالثة', 'الساعة', 'الساعة 3'] } },
+  { emoji: '🕞', category: 'travel', keywords: ['three-thirty'], localized: { fr: ['trois heures et demie', '15 h 30', '3 h 30', 'heure', 'horloge', 'quinze heures trente'], ar: ['الثالثة والنصف', '٣:٣٠', 'الساعة 3:30'] } },
+  { emoji: '🕓', category: 'travel', keywords: ['four o’clock'], localized: { fr: ['quatre heures', '16 h', '4 h', 'seize heures'], ar: ['الساعة الرابعة', '4:00', 'الرابعة', 'الساعة', 'الساعة 4'] } },
+  { emoji: '🕟', category: 'travel', keywords: ['four-thirty'], localized: { fr: ['quatre heures et demie', '16 h 30', '4 h 30', 'heure', 'horloge', 'seize heures trente'], ar: ['الرابعة والنصف', '4:30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕔', category: 'travel', keywords: ['five o’clock'], localized: { fr: ['cinq heures', '17 h', '5 h', 'dix-sept heures', 'heure', 'horloge'], ar: ['الساعة الخامسة', '5:00', 'الخامسة', 'الساعة', 'الساعة 5', 'توقيت', 'وقت'] } },
+  { emoji: '🕠', category: 'travel', keywords: ['five-thirty'], localized: { fr: ['cinq heures et demie', '17 h 30', '5 h 30', 'dix-sept heures trente', 'heure', 'horloge'], ar: ['الخامسة والنصف', '5:30', 'الساعة', 'وقت'] } },
+  { emoji: '🕕', category: 'travel', keywords: ['six o’clock'], localized: { fr: ['six heures', '18 h', '6 h', 'dix-huit heures', 'heure', 'horloge'], ar: ['الساعة السادسة', '٦', '6:00', 'السادسة', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕡', category: 'travel', keywords: ['six-thirty'], localized: { fr: ['six heures et demie', '18 h 30', '6 h 30', 'dix-huit heures trente', 'heure', 'horloge'], ar: ['السادسة والنصف', '6:30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕖', category: 'travel', keywords: ['seven o’clock'], localized: { fr: ['sept heures', '19 h', '7 h', 'dix-neuf heures', 'heure', 'horloge'], ar: ['الساعة السابعة', '7:00', 'السابعة', 'الساعة', 'الساعة 7', 'توقيت', 'وقت'] } },
+  { emoji: '🕢', category: 'travel', keywords: ['seven-thirty'], localized: { fr: ['sept heures et demie', '19 h 30', '7 h 30', 'dix-neuf heures trente', 'heure', 'horloge'], ar: ['السابعة والنصف', '7:30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕗', category: 'travel', keywords: ['eight o’clock'], localized: { fr: ['huit heures', '20 h', '8 h', 'heure', 'horloge', 'vingt heures'], ar: ['الساعة الثامنة', '٨', '8:00', 'الثامنة', 'الساعة'] } },
+  { emoji: '🕣', category: 'travel', keywords: ['eight-thirty'], localized: { fr: ['huit heures et demie', '20 h 30', '8 h 30', 'heure', 'horloge', 'vingt heures trente'], ar: ['الثامنة والنصف', '7:30', '٨', '8:30', 'الساعة'] } },
+  { emoji: '🕘', category: 'travel', keywords: ['nine o’clock'], localized: { fr: ['neuf heures', '21 h', '9 h'], ar: ['الساعة التاسعة', '٩', '9:00', 'التاسعة', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕤', category: 'travel', keywords: ['nine-thirty'], localized: { fr: ['neuf heures et demie', '21 h 30', '9 h 30', 'heure', 'horloge', 'vingt et une heures trente'], ar: ['التاسعة والنصف', '9:30', 'الساعة', 'تسعة ونص', 'تسعه ونص'] } },
+  { emoji: '🕙', category: 'travel', keywords: ['ten o’clock'], localized: { fr: ['dix heures', '10 h', '22 h', 'heure', 'horloge', 'vingt-deux heures'], ar: ['الساعة العاشرة', '10:00', 'الساعة', 'الساعة 10', 'العاشرة', 'توقيت', 'وقت'] } },
+  { emoji: '🕥', category: 'travel', keywords: ['ten-thirty'], localized: { fr: ['dix heures et demie', '10 h 30', '22 h 30', 'heure', 'horloge', 'vingt-deux heures trente'], ar: ['العاشرة والنصف', '10:30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🕚', category: 'travel', keywords: ['eleven o’clock'], localized: { fr: ['onze heures', '11 h', '23 h', 'heure', 'horloge', 'vingt-trois heures'], ar: ['الساعة الحادية عشرة', '11:00', 'الحادية عشر', 'الساعة', 'الساعة 11', 'ساعة'] } },
+  { emoji: '🕦', category: 'travel', keywords: ['eleven-thirty'], localized: { fr: ['onze heures et demie', '11 h 30', '23 h 30', 'heure', 'horloge', 'vingt-trois heures trente'], ar: ['الحادية عشر ونصف', '11:30', 'الساعة', 'توقيت', 'وقت'] } },
+  { emoji: '🌑', category: 'travel', keywords: ['new moon'], localized: { fr: ['nouvelle lune', 'espace', 'lune', 'sombre'], ar: ['محاق', 'طبيعة', 'طقس', 'فضاء', 'قمر', 'معتم'] } },
+  { emoji: '🌒', category: 'travel', keywords: ['waxing crescent moon'], localized: { fr: ['lune croissante', 'espace', 'lune', 'nuit'], ar: ['هلال بداية الشهر', 'طبيعة', 'طقس', 'فضاء', 'قمر', 'هلال', 'هلال أول شهر'] } },
+  { emoji: '🌓', category: 'travel', keywords: ['first quarter moon'], localized: { fr: ['premier quartier de lune', 'espace', 'lune', 'nuit', 'premier quartier', 'quartier'], ar: ['تربيع أول', 'أول', 'تربيع', 'طبيعة', 'طقس', 'فضاء', 'قمر'] } },
+  { emoji: '🌔', category: 'travel', keywords: ['waxing gibbous moon'], localized: { fr: ['lune gibbeuse croissante', 'croissant', 'espace', 'gibbeux', 'lune', 'nuit'], ar: ['قمر أحدب متزايد', 'أحدب متزايد', 'طبيعة', 'طقس', 'فضاء', 'قمر', 'محدودب'] } },
+  { emoji: '🌕', category: 'travel', keywords: ['full moon'], localized: { fr: ['pleine lune', 'espace', 'lune', 'nuit'], ar: ['بدر', 'طبيعة', 'طقس', 'فضاء', 'قمر', 'كامل'] } },
+  { emoji: '🌖', category: 'travel', keywords: ['waning gibbous moon'], localized: { fr: ['lune gibbeuse décroissante', 'décroissant', 'espace', 'gibbeux', 'lune', 'nuit'], ar: ['قمر أحدب متناقص', 'أحدب', 'تضاءل', 'طقس', 'فضاء', 'قمر', 'متناقص'] } },
+  { emoji: '🌗', category: 'travel', keywords: ['last quarter moon'], localized: { fr: ['dernier quartier de lune', 'dernier quartier', 'espace', 'lune', 'quartier'], ar: ['تربيع ثان', 'تربيع', 'طبيعة', 'طقس', 'فضاء', 'قمر'] } },
+  { emoji: '🌘', category: 'travel', keywords: ['waning crescent moon'], localized: { fr: ['lune décroissante', 'croissant', 'croissant de lune', 'espace', 'lune', 'lune descendante', 'nuit'], ar: ['هلال آخر الشهر', 'طقس', 'فضاء', 'قمر', 'متناقص', 'هلال'] } },
+  { emoji: '🌙', category: 'travel', keywords: ['crescent moon', 'night'], localized: { fr: ['croissant de lune', 'nuit', 'croissant', 'espace', 'lune', 'ramadan'], ar: ['هلال', 'ليل', 'الهلال', 'رمضان', 'طقس', 'فضاء', 'قمر'] } },
+  { emoji: '🌚', category: 'travel', keywords: ['new moon with face', 'new moon face'], localized: { fr: ['nouvelle lune avec visage', 'espace', 'lune', 'nouvelle lune à visage', 'nuit', 'visage'], ar: ['هلال جديد بوجه', 'وجه محاق', 'طقس', 'فضاء', 'قمر', 'محاق بوجه', 'وجه'] } },
+  { emoji: '🌛', category: 'travel', keywords: ['first quarter moon with face', 'first quarter moon face'], localized: { fr: ['premier quartier avec visage', 'premier quartier de lune avec visage', 'croissant de lune', 'espace', 'lune', 'lune à visage', 'nuit', 'premier quartier de lune', 'quartier', 'visage'], ar: ['تربيع أول بوجه', 'وجه تربيع أول', 'أول', 'بداية الشهر', 'بدر', 'تربيع', 'طقس', 'فضاء', 'قمر', 'هلال', 'وجه'] } },
+  { emoji: '🌜', category: 'travel', keywords: ['last quarter moon with face', 'last quarter moon face'], localized: { fr: ['dernier quartier avec visage', 'dernier quartier de lune avec visage', 'croissant de lune', 'dernier quartier de lune', 'lune', 'lune à visage', 'nuit', 'quartier', 'visage'], ar: ['تربيع أخير بوجه', 'وجه تربيع ثانٍ', 'اخر الشهر', 'تربيع', 'حلم', 'طقس', 'فضا', 'قمر', 'وجه'] } },
+  { emoji: '🌡️', category: 'travel', keywords: ['thermometer'], localized: { fr: ['thermomètre', 'météo'], ar: ['ترمومتر', 'درجة الحرارة', 'طقس'] } },
+  { emoji: '☀️', category: 'travel', keywords: ['sun', 'hot'], localized: { fr: ['soleil', 'chaud', 'beau temps', 'brillant', 'espace', 'grand soleil', 'météo', 'rayons'], ar: ['شمس', 'حار', 'أشعة', 'ساطعة', 'طبيعة', 'طقس', 'فضاء', 'مشمس'] } },
+  { emoji: '🌝', category: 'travel', keywords: ['full moon with face', 'full moon face'], localized: { fr: ['pleine lune avec visage', 'lune', 'lune à visage', 'nuit', 'pleine lune', 'sourire', 'visage'], ar: ['بدر بوجه', 'وجه البدر', 'بدر', 'ساطعة', 'طقس', 'فضاء', 'قمر', 'قمر مكتمل', 'كامل', 'وجه'] } },
+  { emoji: '🌞', category: 'travel', keywords: ['sun with face'], localized: { fr: ['soleil avec visage', 'chaleur', 'chaud', 'éclatant', 'ensoleillé', 'jour', 'lumière', 'météo', 'plage', 'rayon de soleil', 'soleil', 'soleil à visage'], ar: ['شمس بوجه', 'وجه الشمس', 'حرارة', 'ساطع', 'شاطىء', 'شمس', 'طقس', 'فضاء', 'لامع', 'مشمس', 'نجم', 'نهار', 'وجه'] } },
+  { emoji: '🪐', category: 'travel', keywords: ['ringed planet'], localized: { fr: ['planète à anneaux', 'anneaux', 'saturne', 'saturnien', 'saturnienne'], ar: ['كوكب داخل حلقة', 'أماكن', 'الفضاء', 'الفضاء الخارجي', 'زحل', 'فضائي', 'كواكب', 'كوكب زحل'] } },
+  { emoji: '⭐', category: 'travel', keywords: ['star'], localized: { fr: ['étoile', 'astronomie', 'nuit'], ar: ['نجمة', 'نجم متوسط أبيض', 'فلك', 'نجم', 'نجوم'] } },
+  { emoji: '🌟', category: 'travel', keywords: ['glowing star'], localized: { fr: ['étoile brillante', 'éclat', 'étincelant', 'étincelle', 'étoile', 'nuit', 'nuit étoilée', 'succès'], ar: ['نجم ساطع', 'إشراق', 'ربح', 'زهو', 'سطوع', 'لامع', 'لمعان', 'مساء', 'نجم'] } },
+  { emoji: '🌠', category: 'travel', keywords: ['shooting star'], localized: { fr: ['étoile filante', 'espace', 'étoile', 'nuit'], ar: ['شهاب', 'نجم ساقط', 'انطلاق', 'سقوط', 'طبيعة', 'فضاء', 'قنص', 'نجم'] } },
+  { emoji: '🌌', category: 'travel', keywords: ['milky way', 'space'], localized: { fr: ['voie lactée', 'espace', 'galaxie'], ar: ['درب التبانة', 'فضاء', 'مجرة', 'طبيعة', 'نجوم'] } },
+  { emoji: '☁️', category: 'travel', keywords: ['cloud'], localized: { fr: ['nuage', 'gris', 'météo'], ar: ['غيمة', 'سحابة', 'طبيعة', 'طقس', 'غمامة', 'مغيم'] } },
+  { emoji: '⛅', category: 'travel', keywords: ['sun behind cloud'], localized: { fr: ['soleil derrière un nuage', 'soleil derrière les nuages', 'caché', 'météo', 'nuage', 'nuageux', 'soleil', 'soleil derrière nuages'], ar: ['شمس خلف غيمة', 'شمس خلف السحب', 'سحابة', 'شمس', 'شمس مع سحب', 'طبيعة', 'غيمة', 'مغيم'] } },
+  { emoji: '⛈️', category: 'travel', keywords: ['cloud with lightning and rain'], localized: { fr: ['orage', 'éclair et pluie', 'nuage avec éclair et pluie', 'éclair', 'météo', 'nuage', 'pluie'], ar: ['عاصفة رعدية', 'برق ومطر', 'سحابة وبرق ورعد', 'برق', 'رعد', 'سحابة', 'شتاء', 'طقس', 'غمامة', 'غيمة', 'مطر'] } },
+  { emoji: '🌤️', category: 'travel', keywords: ['sun behind small cloud'], localized: { fr: ['soleil derrière un petit nuage', 'caché', 'météo', 'nuage', 'soleil', 'soleil derrière petit nuage'], ar: ['شمس خلف سحابة صغيرة', 'سحاب', 'شمس', 'طبيعة', 'طقس', 'غيمة', 'مشمس جزئيا'] } },
+  { emoji: '🌥️', category: 'travel', keywords: ['sun behind large cloud'], localized: { fr: ['soleil derrière un gros nuage', 'caché', 'météo', 'nuage', 'soleil', 'soleil derrière gros nuage'], ar: ['شمس خلف سحابة كبيرة', 'سحابة', 'شمس', 'طقس', 'غمامة', 'غيمة'] } },
+  { emoji: '🌦️', category: 'travel', keywords: ['sun behind rain cloud'], localized: { fr: ['soleil derrière un nuage de pluie', 'caché', 'gouttes', 'météo', 'nuage', 'pluie', 'soleil', 'soleil derrière un nuage'], ar: ['شمس خلف سحابة ومطر', 'سحب', 'شتاء', 'شمس', 'طقس', 'غائم', 'غمامة', 'غيمة', 'مشمس جزئيا', 'مطر'] } },
+  { emoji: '🌧️', category: 'travel', keywords: ['cloud with rain'], localized: { fr: ['nuage avec pluie', 'averse', 'gouttes', 'mauvais temps', 'météo', 'nuage', 'nuage de pluie', 'pluie'], ar: ['غيمة مع مطر', 'سحابة ومطر', 'سحب', 'طبيعة', 'طقس', 'غمامة', 'غيمة', 'مطر', 'ممطر'] } },
+  { emoji: '🌨️', category: 'travel', keywords: ['cloud with snow'], localized: { fr: ['nuage avec neige', 'flocons', 'froid', 'hiver', 'météo', 'neige', 'nuage', 'nuage de neige'], ar: ['غيمة مع ثلج', 'سحابة وثلج', 'بارد', 'بلوري', 'ثلج', 'سحابة', 'سماء', 'طبيعة', 'طقس', 'غيم', 'كريستال', 'مطر', 'ندى'] } },
+  { emoji: '🌩️', category: 'travel', keywords: ['cloud with lightning'], localized: { fr: ['nuage avec éclair', 'éclair', 'nuage', 'nuage avec un éclair', 'orage', 'orageux', 'temps'], ar: ['سحابة وبرق', 'برق', 'رعد', 'سحابة', 'طقس', 'غيم', 'غيمة', 'مطر'] } },
+  { emoji: '🌪️', category: 'travel', keywords: ['tornado'], localized: { fr: ['tornade', 'cyclone', 'météo', 'nuage', 'tourbillon'], ar: ['إعصار', 'سحابة', 'طبيعة', 'طقس', 'مدمر'] } },
+  { emoji: '🌫️', category: 'travel', keywords: ['fog'], localized: { fr: ['brouillard', 'brume', 'fog', 'météo', 'nuage'], ar: ['ضبابي', 'رمادي', 'سحاب', 'سحب', 'ضباب', 'طقس', 'غيمة', 'غيوم داكنه', 'معتم', 'مغيمة', 'ملبدة'] } },
+  { emoji: '🌬️', category: 'travel', keywords: ['wind face'], localized: { fr: ['vent avec visage', 'météo', 'nuage', 'souffle', 'vent', 'visage', 'visage du vent'], ar: ['رياح', 'سحاب', 'طقس', 'هبوب', 'وجه', 'ينفث', 'ينفخ'] } },
+  { emoji: '🌀', category: 'travel', keywords: ['cyclone', 'twist'], localized: { fr: ['cyclone', 'tourbillon', 'spirale', 'typhon', 'vertige'], ar: ['إعصار', 'دوامة', 'عاصفة', 'التيفون', 'تيفون', 'دوار', 'طقس'] } },
+  { emoji: '🌈', category: 'travel', keywords: ['rainbow', 'proud'], localized: { fr: ['arc-en-ciel', 'fierté', 'bisexuelle', 'gay pride', 'homosexuelle', 'lesbienne', 'lgbtqia', 'météo', 'nature', 'pluie', 'transgenre'], ar: ['قوس قزح', 'فخر', 'ألوان الطيف', 'إل جي بي تي', 'الوان الطيف', 'انعكاس الضوء', 'انكسار الضوء', 'ثنائي الميول', 'طبيعة', 'طقس', 'قوس الرحمة', 'متحول', 'مثلي', 'مثليات', 'مثلية', 'مثليين', 'مسيرة الفخر', 'مطر'] } },
+  { emoji: '🌂', category: 'travel', keywords: ['closed umbrella'], localized: { fr: ['parapluie fermé', 'météo', 'parapluie', 'pluie'], ar: ['شمسية مغلقة', 'أمطار', 'شتاء', 'شتي', 'شمسية', 'طقس', 'مطر', 'مظلة', 'ملابس'] } },
+  { emoji: '☂️', category: 'travel', keywords: ['umbrella'], localized: { fr: ['parapluie ouvert', 'parapluie', 'pluie'], ar: ['شمسية', 'شتاء', 'شتي', 'طقس', 'مطر', 'مظلة', 'ملابس'] } },
+  { emoji: '☔', category: 'travel', keywords: ['umbrella with rain drops'], localized: { fr: ['parapluie avec gouttes de pluie', 'gouttes', 'météo', 'parapluie', 'parapluie avec gouttes', 'pluie'], ar: ['شمسية وقطرات مطر', 'تمطر', 'شتاء', 'شتي', 'شمسة', 'شمسية', 'طقس', 'قطرة', 'مطر', 'مظلة', 'ملابس'] } },
+  { emoji: '⛱️', category: 'travel', keywords: ['umbrella on ground'], localized: { fr: ['parasol sur le sol', 'météo', 'parapluie', 'parapluie au sol', 'parasol', 'plage', 'pluie', 'soleil', 'voyage'], ar: ['شمسية على الأرض', 'شمس', 'طقس', 'مطر', 'مظلة'] } },
+  { emoji: '⚡', category: 'travel', keywords: ['high voltage', 'lightning', 'zap'], localized: { fr: ['haute tension', 'éclair', 'foudre', 'courant', 'danger', 'électricité', 'nature', 'orage', 'symbole haute tension', 'tension', 'vitesse'], ar: ['جهد عالي', 'برق', 'صاعقة', 'جهد كهربي عالٍ', 'إشارة', 'إشارة جهد كهربي عالٍ', 'إشارة فولت عال', 'توتر عالي', 'خطر', 'خطر جهد كهربي عالٍ', 'خطر فولت عال', 'طبيعة', 'فولت عال', 'كهرباء'] } },
+  { emoji: '❄️', category: 'travel', keywords: ['snowflake', 'cold'], localized: { fr: ['flocon de neige', 'froid', 'flocon', 'météo', 'neige'], ar: ['ندفة ثلج', 'برد', 'كتلة ثلج', 'بارد', 'ثلج', 'صقيع', 'طبيعة', 'طقس', 'كريستال'] } },
+  { emoji: '☃️', category: 'travel', keywords: ['snowman'], localized: { fr: ['bonhomme de neige', 'bonhomme de neige avec flocons', 'flocons', 'neige'], ar: ['رجل ثلج', 'برد', 'جليد', 'جمدة', 'صقيع', 'طقس'] } },
+  { emoji: '⛄', category: 'travel', keywords: ['snowman without snow'], localized: { fr: ['bonhomme de neige sans neige', 'bonhomme de neige', 'bonhomme de neige sans flocons', 'froid', 'neige'], ar: ['رجل ثلج بدون ثلج متساقط', 'برد', 'ثلج', 'رجل ثلج', 'رجل ثلج بدون ثلج', 'رجل من الثلج', 'صقيع', 'مثلج'] } },
+  { emoji: '☄️', category: 'travel', keywords: ['comet'], localized: { fr: ['comète', 'espace', 'météore'], ar: ['مذنّب', 'شهاب', 'طبيعة', 'فضاء', 'محرق', 'مذنب'] } },
+  { emoji: '🪋', category: 'travel', keywords: ['meteor'], localized: { fr: ['météore', 'étoile filante'], ar: ['نيزك', 'شهاب'] } },
+  { emoji: '🔥', category: 'travel', keywords: ['fire', 'hot', 'lit'], localized: { fr: ['feu', 'chaud', 'flamme', 'allumer', 'brûler', 'fournaise', 'incendie'], ar: ['نار', 'حار', 'لهب', 'حريق', 'تاجج', 'ساخن', 'شوب', 'يحرق'] } },
+  { emoji: '💧', category: 'travel', keywords: ['droplet', 'water'], localized: { fr: ['goutte', 'eau', 'goutte d’eau', 'bd', 'froid', 'larme', 'météo', 'nature', 'pluie', 'sueurs froides', 'tristesse'], ar: ['قطرة', 'ماء', 'حزن', 'دمع', 'طبيعة', 'طقس', 'عرق', 'مبلل عرقًا', 'نقطة ماء', 'هزل'] } },
+  { emoji: '🌊', category: 'travel', keywords: ['water wave', 'ocean'], localized: { fr: ['vague', 'océan', 'mer', 'eau', 'kanagawa', 'lame', 'large', 'marée', 'nature', 'remous', 'rouleau', 'surf'], ar: ['موجة', 'محيط', 'بحر', 'امواج', 'ركوب البحر', 'ركوب امواج', 'طبيعة', 'طقس', 'ماء', 'مياه'] } },
   // --- ACTIVITIES ---
-  { emoji: '⚽', category: 'activities', keywords: ['soccer', 'football', 'ball'] },
-  { emoji: '🏀', category: 'activities', keywords: ['basketball', 'ball'] },
-  { emoji: '🏈', category: 'activities', keywords: ['american football', 'ball'] },
-  { emoji: '⚾', category: 'activities', keywords: ['baseball', 'ball'] },
-  { emoji: '🥎', category: 'activities', keywords: ['softball', 'ball'] },
-  { emoji: '🎾', category: 'activities', keywords: ['tennis', 'ball'] },
-  { emoji: '🏐', category: 'activities', keywords: ['volleyball', 'ball'] },
-  { emoji: '🏉', category: 'activities', keywords: ['rugby football', 'ball'] },
-  { emoji: '🎱', category: 'activities', keywords: ['billiards', 'pool', 'eight ball'] },
-  { emoji: '🏓', category: 'activities', keywords: ['ping pong', 'table tennis'] },
-  { emoji: '🏸', category: 'activities', keywords: ['badminton'] },
-  { emoji: '🏒', category: 'activities', keywords: ['ice hockey'] },
-  { emoji: '🏑', category: 'activities', keywords: ['field hockey'] },
-  { emoji: '🥍', category: 'activities', keywords: ['lacrosse'] },
-  { emoji: '🏏', category: 'activities', keywords: ['cricket game'] },
-  { emoji: '🪃', category: 'activities', keywords: ['boomerang'] },
-  { emoji: '🥅', category: 'activities', keywords: ['goal net'] },
-  { emoji: '⛳', category: 'activities', keywords: ['flag in hole', 'golf'] },
-  { emoji: '🏹', category: 'activities', keywords: ['bow and arrow', 'archery'] },
-  { emoji: '🎣', category: 'activities', keywords: ['fishing pole', 'fish'] },
-  { emoji: '🤿', category: 'activities', keywords: ['diving mask', 'swim'] },
-  { emoji: '🥊', category: 'activities', keywords: ['boxing glove'] },
-  { emoji: '🥋', category: 'activities', keywords: ['martial arts uniform', 'karate'] },
-  { emoji: '⛸️', category: 'activities', keywords: ['ice skate'] },
-  { emoji: '🛷', category: 'activities', keywords: ['sled'] },
-  { emoji: '🎿', category: 'activities', keywords: ['skis'] },
-  { emoji: '🏂', category: 'activities', keywords: ['snowboarder'] },
-  { emoji: '🏋️', category: 'activities', keywords: ['weight lifter', 'gym'] },
-  { emoji: '🤺', category: 'activities', keywords: ['fencer'] },
-  { emoji: '🤼', category: 'activities', keywords: ['wrestlers'] },
-  { emoji: '🤸', category: 'activities', keywords: ['person cartwheeling', 'gymnast'] },
-  { emoji: '⛹️', category: 'activities', keywords: ['person bouncing ball', 'basketball'] },
-  { emoji: '🧘', category: 'activities', keywords: ['meditation', 'yoga'] },
-  { emoji: '🏇', category: 'activities', keywords: ['horse racing'] },
-  { emoji: '🏄', category: 'activities', keywords: ['surfer', 'beach'] },
-  { emoji: '🏊', category: 'activities', keywords: ['swimmer', 'pool'] },
-  { emoji: '🤽', category: 'activities', keywords: ['water polo'] },
-  { emoji: '🚣', category: 'activities', keywords: ['rowboat'] },
-  { emoji: '🧗', category: 'activities', keywords: ['climber', 'mountain'] },
-  { emoji: '🚵', category: 'activities', keywords: ['mountain biker'] },
-  { emoji: '🚴', category: 'activities', keywords: ['bicyclist'] },
-  { emoji: '🏆', category: 'activities', keywords: ['trophy', 'winner'] },
-  { emoji: '🥇', category: 'activities', keywords: ['1st place medal', 'gold'] },
-  { emoji: '🥈', category: 'activities', keywords: ['2nd place medal', 'silver'] },
-  { emoji: '🥉', category: 'activities', keywords: ['3rd place medal', 'bronze'] },
-  { emoji: '🏅', category: 'activities', keywords: ['sports medal'] },
-  { emoji: '🎖️', category: 'activities', keywords: ['military medal'] },
-  { emoji: '🏵️', category: 'activities', keywords: ['rosette'] },
-  { emoji: '🎫', category: 'activities', keywords: ['ticket'] },
-  { emoji: '🎟️', category: 'activities', keywords: ['admission tickets'] },
-  { emoji: '🎭', category: 'activities', keywords: ['performing arts', 'theater', 'mask'] },
-  { emoji: '🎨', category: 'activities', keywords: ['artist palette', 'art', 'paint'] },
-  { emoji: '🎬', category: 'activities', keywords: ['clapper board', 'movie'] },
-  { emoji: '🎤', category: 'activities', keywords: ['microphone', 'sing'] },
-  { emoji: '🎧', category: 'activities', keywords: ['headphone', 'music'] },
-  { emoji: '🎼', category: 'activities', keywords: ['musical score'] },
-  { emoji: '🎹', category: 'activities', keywords: ['musical keyboard', 'piano'] },
-  { emoji: '🥁', category: 'activities', keywords: ['drum'] },
-  { emoji: '🎷', category: 'activities', keywords: ['saxophone'] },
-  { emoji: '🎺', category: 'activities', keywords: ['trumpet'] },
-  { emoji: '🎸', category: 'activities', keywords: ['guitar'] },
-  { emoji: '🪕', category: 'activities', keywords: ['banjo'] },
-  { emoji: '🎻', category: 'activities', keywords: ['violin'] },
-  { emoji: '🎮', category: 'activities', keywords: ['video game', 'controller'] },
-  { emoji: '🕹️', category: 'activities', keywords: ['joystick'] },
-  { emoji: '🎰', category: 'activities', keywords: ['slot machine', 'casino'] },
-  { emoji: '🎲', category: 'activities', keywords: ['game die', 'dice', 'luck'] },
-  { emoji: '♟️', category: 'activities', keywords: ['chess pawn'] },
-  { emoji: '🧩', category: 'activities', keywords: ['puzzle piece'] },
-  { emoji: '🧸', category: 'activities', keywords: ['teddy bear'] },
-  { emoji: '🃏', category: 'activities', keywords: ['joker', 'cards'] },
-  { emoji: '🀄', category: 'activities', keywords: ['mahjong red dragon'] },
-  { emoji: '🎴', category: 'activities', keywords: ['flower playing cards'] },
-  { emoji: '🎯', category: 'activities', keywords: ['bullseye', 'dart'] },
-
+  { emoji: '🎃', category: 'activities', keywords: ['jack-o-lantern'], localized: { fr: ['citrouille', 'halloween', 'lanterne'], ar: ['هالوين', 'قرع', 'قرعة مضيئة', 'هالويين'] } },
+  { emoji: '🎄', category: 'activities', keywords: ['christmas tree'], localized: { fr: ['sapin de noël', 'arbre', 'fête', 'fêtes', 'guirlandes', 'noël'], ar: ['شجرة عيد الميلاد', 'احتفال', 'شجرة', 'شجرة الميلاد'] } },
+  { emoji: '🎆', category: 'activities', keywords: ['fireworks'], localized: { fr: ['feu d’artifice', '14 juillet', 'artifice', 'fête'], ar: ['ألعاب نارية', 'ابتهاج', 'احتفال', 'العاب نارية', 'بووم', 'حفلة', 'فرقيع', 'مفرقعات'] } },
+  { emoji: '🎇', category: 'activities', keywords: ['sparkler'], localized: { fr: ['cierge magique', '14 juillet', 'artifice', 'étincelle', 'étincelles', 'fête', 'feu d’artifice'], ar: ['ماسة نارية', 'ألعاب نارية', 'بووم', 'طراطيع', 'عيد', 'فرقيع', 'ماسة ألعاب نارية', 'مفرقعات'] } },
+  { emoji: '🧨', category: 'activities', keywords: ['firecracker'], localized: { fr: ['pétard', 'dynamite', 'étincelle', 'explosif', 'explosive', 'feu d’artifice', 'tnt'], ar: ['مفرقعة', 'مفرقعات', 'ألعاب نارية', 'احتفال', 'انفجار', 'بهجة', 'تفجير', 'حفلة', 'ديناميت', 'شرارة', 'شرر', 'شعلة', 'ضوء', 'فرقع', 'فرقعة', 'قنبلة', 'متفجرات', 'مفرقعات نارية', 'مهرجان', 'نار', 'نيران'] } },
+  { emoji: '✨', category: 'activities', keywords: ['sparkles'], localized: { fr: ['étincelles', '*', 'étoile', 'étoiles', 'magie', 'nuit', 'nuit étoilée', 'scintiller'], ar: ['ومضات', 'ثلاث نجمات', 'فضاء', 'لامع', 'نجمة', 'نجوم', 'نجوم ساطعة', 'ومضة', 'وميض'] } },
+  { emoji: '🎈', category: 'activities', keywords: ['balloon'], localized: { fr: ['ballon gonflable', 'anniversaire', 'ballon', 'ballon de baudruche', 'fête'], ar: ['بالون', 'احتفال', 'بالونة', 'حفلة', 'ذكرى ميلاد', 'عيد ميلاد'] } },
+  { emoji: '🎉', category: 'activities', keywords: ['party popper'], localized: { fr: ['cotillons', 'anniversaire', 'fête', 'super'], ar: ['فرقعة حفلة', 'احتفال', 'بارتي بوبر', 'بجنن', 'حفلة', 'رائع', 'زمور', 'مبتهج'] } },
+  { emoji: '🎊', category: 'activities', keywords: ['confetti ball'], localized: { fr: ['confettis', 'anniversaire', 'fête'], ar: ['كرة أوراق ملونة', 'احتفال', 'حفلة', 'زينة', 'فرح', 'كرة كونفتي', 'كونفتي'] } },
+  { emoji: '🎋', category: 'activities', keywords: ['tanabata tree'], localized: { fr: ['arbre tanabata', 'bambou', 'arbre à vœux', 'arbre', 'fête', 'japon', 'prières', 'tanabata', 'vœux'], ar: ['شجرة تاناباتا', 'خيزران', 'شجرة احتفال', 'بانر', 'زينة', 'شجرة', 'شجرة وشرائط ورقية', 'ياباني'] } },
+  { emoji: '🎍', category: 'activities', keywords: ['pine decoration'], localized: { fr: ['décoration de pin', 'bambou décoratif', 'bambou', 'fête', 'japonais', 'plante'], ar: ['زينة الصنوبر', 'ديكور صنوبر', 'احتفال', 'باميو', 'صنوبر', 'عام جديد', 'ياباني'] } },
+  { emoji: '🎎', category: 'activities', keywords: ['japanese dolls'], localized: { fr: ['poupées japonaises', 'festival', 'japon', 'poupées'], ar: ['دميتان يابانيتان', 'احتفال', 'دمية', 'دميتان', 'مهرجان', 'ياباني'] } },
+  { emoji: '🎏', category: 'activities', keywords: ['carp streamer'], localized: { fr: ['koinobori', 'carpe', 'fête'], ar: ['قصاصات ملونة', 'أوراق ملونة', 'احتفال', 'الوان', 'سمك ياباني', 'علم قصاصات'] } },
+  { emoji: '🎐', category: 'activities', keywords: ['wind chime'], localized: { fr: ['carillon éolien', 'carillon', 'clochette', 'fête', 'vent'], ar: ['جرس الريح', 'جرس', 'دق الجرس', 'ريح', 'قرع الجرس'] } },
+  { emoji: '🎑', category: 'activities', keywords: ['moon viewing ceremony'], localized: { fr: ['cérémonie de la lune', 'cérémonie', 'lune'], ar: ['احتفال برؤية القمر', 'احتفال', 'استطلاع', 'استطلاع القمر', 'بهجة'] } },
+  { emoji: '🧧', category: 'activities', keywords: ['red envelope'], localized: { fr: ['enveloppe rouge', 'argent', 'bonne chance', 'cadeau', 'hóngbāo', 'lai see'], ar: ['ظرف أحمر بكتابة صينية', 'أموال', 'أنغ بو', 'ثروة', 'ثري', 'حظ', 'حظ سعيد', 'ذهب', 'صين', 'علبة', 'علبة حمراء', 'غلاف', 'غلاف أحمر', 'غني', 'فلوس', 'مصاري', 'مغلف أحمر', 'نقود', 'هدية'] } },
+  { emoji: '🎀', category: 'activities', keywords: ['ribbon'], localized: { fr: ['ruban', 'fête', 'nœud', 'ruban rose'], ar: ['شريط', 'احتفال', 'افتتاح', 'بابيون', 'حفلة'] } },
+  { emoji: '🎁', category: 'activities', keywords: ['wrapped gift'], localized: { fr: ['cadeau', 'anniversaire', 'cadeau emballé', 'fête', 'noël', 'nœud', 'surprise'], ar: ['هدية ملفوفة', 'احتفال', 'عيد ميلاد', 'مفاجاة', 'مناسبة', 'هدية'] } },
+  { emoji: '🎗️', category: 'activities', keywords: ['reminder ribbon'], localized: { fr: ['ruban de mémoire', 'mémoire', 'ruban', 'souvenir'], ar: ['شريطة تذكير', 'احتفال', 'تذكار', 'تذكير', 'شريطة'] } },
+  { emoji: '🎟️', category: 'activities', keywords: ['admission tickets'], localized: { fr: ['billets d\'entrée', 'billet d’entrée', 'place', 'spectacle'], ar: ['تذاكر دخول', 'تذكرتا دخول', 'تذكرة', 'تكت', 'دخول', 'قبول'] } },
+  { emoji: '🎫', category: 'activities', keywords: ['ticket'], localized: { fr: ['billet', 'ticket', 'place', 'spectacle'], ar: ['تذكرة', 'بطاقة', 'ترفيه', 'تيكت'] } },
+  { emoji: '🎖️', category: 'activities', keywords: ['military medal'], localized: { fr: ['médaille militaire', 'médaille'], ar: ['وسام عسكري', 'ميدالية عسكرية', 'احتفال', 'جائزة', 'عسكري', 'ميدالية', 'نيشان', 'وسام'] } },
+  { emoji: '🏆', category: 'activities', keywords: ['trophy', 'winner'], localized: { fr: ['trophée', 'gagnant', 'champion', 'championne', 'coupe', 'gagner', 'prix', 'victoire'], ar: ['كأس', 'فائز', 'أبطال', 'انتصار', 'بطل', 'جائزة', 'رياضة', 'ميدالية', 'نصر'] } },
+  { emoji: '🏅', category: 'activities', keywords: ['sports medal'], localized: { fr: ['médaille sportive', 'champion', 'championne', 'médaille', 'médaille d’or', 'sport', 'vainqueur', 'victoire'], ar: ['ميدالية رياضية', 'بطل', 'جائزة', 'ذهبية', 'رابح', 'رياضة', 'ميدالية'] } },
+  { emoji: '🥇', category: 'activities', keywords: ['1st place medal', 'gold'], localized: { fr: ['médaille d\'or', 'premier', 'médaille d’or', '1er', 'médaille', 'or'], ar: ['ميدالية ذهبية', 'الأول', 'ميدالية مركز أول', '١', 'أول', 'ذهبية', 'ميدالية'] } },
+  { emoji: '🥈', category: 'activities', keywords: ['2nd place medal', 'silver'], localized: { fr: ['médaille d\'argent', 'deuxième', 'médaille d’argent', '2e', 'argent', 'médaille'], ar: ['ميدالية فضية', 'الثاني', 'ميدالية مركز ثانٍ', '٢', 'ثانٍ', 'ثاني', 'فضية', 'ميدالية'] } },
+  { emoji: '🥉', category: 'activities', keywords: ['3rd place medal', 'bronze'], localized: { fr: ['médaille de bronze', 'troisième', '3e', 'bronze', 'médaille'], ar: ['ميدالية برونزية', 'الثالث', 'ميدالية مركز ثالث', '٣', 'المركز الثالث', 'برونزية', 'ثالث', 'ميدالية'] } },
+  { emoji: '⚽', category: 'activities', keywords: ['soccer', 'football', 'ball', 'soccer ball'], localized: { fr: ['football', 'ballon', 'ballon de football', 'balle', 'sport'], ar: ['كرة القدم', 'كرة', 'كرة قدم', 'جول', 'طابة', 'غول', 'فوتبول', 'قدم'] } },
+  { emoji: '⚾', category: 'activities', keywords: ['baseball', 'ball'], localized: { fr: ['baseball', 'balle', 'balle de baseball', 'sport'], ar: ['بيسبول', 'كرة', 'رياضة', 'طابة'] } },
+  { emoji: '🥎', category: 'activities', keywords: ['softball', 'ball'], localized: { fr: ['softball', 'balle', 'gant', 'sports'], ar: ['سوفتبول', 'كرة', 'كرة ليّنة', 'تنس', 'ضربة تحتية', 'طابة', 'قفاز', 'كرة صفراء', 'كرة لينة'] } },
+  { emoji: '🏀', category: 'activities', keywords: ['basketball', 'ball'], localized: { fr: ['basket', 'ballon', 'basket-ball', 'panier', 'sport'], ar: ['كرة السلة', 'كرة', 'كرة سلة', 'باسكت بول', 'باسكتبول', 'رياضة'] } },
+  { emoji: '🏐', category: 'activities', keywords: ['volleyball', 'ball'], localized: { fr: ['volley', 'ballon', 'volley-ball', 'jeu', 'match', 'sport'], ar: ['كرة الطائرة', 'كرة', 'كرة طائرة', 'لعب'] } },
+  { emoji: '🏈', category: 'activities', keywords: ['american football', 'ball'], localized: { fr: ['football américain', 'ballon', 'sport', 'super bowl'], ar: ['كرة القدم الأمريكية', 'كرة', 'كرة قدم أمريكية', 'رياضة', 'سوبر بول', 'طابة'] } },
+  { emoji: '🏉', category: 'activities', keywords: ['rugby football', 'ball'], localized: { fr: ['rugby', 'ballon', 'sport'], ar: ['رغبي', 'كرة', 'كرة رجبي', 'رجبي', 'روجبي', 'رياضة', 'طابة'] } },
+  { emoji: '🎾', category: 'activities', keywords: ['tennis', 'ball'], localized: { fr: ['tennis', 'balle', 'balle de tennis', 'sport'], ar: ['تنس', 'كرة', 'رياضة', 'طابة', 'كرة مضرب', 'مضرب تنس وكرة'] } },
+  { emoji: '🥏', category: 'activities', keywords: ['flying disc'], localized: { fr: ['disque volant', 'discoplane', 'disque', 'disque-volant', 'frisbee', 'sport', 'ultimate', 'ultime-passe'], ar: ['قرص طائر', 'رياضة', 'صحن', 'صحن طائر', 'طبق طائر', 'فائق', 'فريزبي', 'قرص', 'لعبة'] } },
+  { emoji: '🎳', category: 'activities', keywords: ['bowling'], localized: { fr: ['bowling', 'boule', 'jeu', 'partie', 'quilles', 'sport', 'strike'], ar: ['بولينغ', 'رياضة', 'طابة', 'كرة', 'لعبة'] } },
+  { emoji: '🏏', category: 'activities', keywords: ['cricket game'], localized: { fr: ['cricket', 'balle', 'balle de cricket', 'batte', 'jeu', 'match', 'sport'], ar: ['كريكيت', 'رياضة', 'كرة', 'لعبة', 'مباراة', 'مضرب'] } },
+  { emoji: '🏑', category: 'activities', keywords: ['field hockey'], localized: { fr: ['hockey sur gazon', 'balle', 'crosse', 'hockey', 'sport'], ar: ['هوكي الميدان', 'هوكي أرضي', 'رياضة', 'طابة', 'عصا', 'كرة', 'لعبة', 'مباراة', 'ملعب', 'هوكي'] } },
+  { emoji: '🏒', category: 'activities', keywords: ['ice hockey'], localized: { fr: ['hockey sur glace', 'crosse', 'hockey', 'palet', 'sport'], ar: ['هوكي الجليد', 'عصا هوكي جليد', 'ثلج', 'جليد', 'رياضة', 'عصا', 'لعبة', 'مباراة', 'هوكي'] } },
+  { emoji: '🥍', category: 'activities', keywords: ['lacrosse'], localized: { fr: ['crosse', 'balle', 'but', 'lacrosse', 'raquette', 'sport'], ar: ['لاكروس', 'تانس', 'خشبة', 'رياضة', 'طابة', 'عصا', 'كرة', 'لكروس', 'مرمى', 'مضرب', 'هدف'] } },
+  { emoji: '🏓', category: 'activities', keywords: ['ping pong', 'table tennis'], localized: { fr: ['ping-pong', 'tennis de table', 'balle', 'jeu', 'partie', 'raquette', 'sport'], ar: ['بينغ بونغ', 'تنس الطاولة', 'بنغ بونغ', 'تنس', 'رياضة', 'ضرب', 'طاولة', 'كرة', 'لعبة', 'مباراة', 'مضرب'] } },
+  { emoji: '🏸', category: 'activities', keywords: ['badminton'], localized: { fr: ['badminton', 'jeu', 'match', 'raquette', 'sport', 'volant'], ar: ['ريشة طائرة', 'تنس الريشة', 'بدمنتن', 'راكيت', 'رياضة', 'ريشة', 'شطكوك', 'لاعب الريشة', 'لعبة'] } },
+  { emoji: '🥊', category: 'activities', keywords: ['boxing glove'], localized: { fr: ['gant de boxe', 'boxe', 'gant', 'sport'], ar: ['قفاز ملاكمة', 'بوكس', 'رياضة', 'قفاز', 'كف', 'ملاكمة'] } },
+  { emoji: '🥋', category: 'activities', keywords: ['martial arts uniform', 'karate'], localized: { fr: ['kimono', 'karaté', 'tenue d’arts martiaux', 'arts martiaux', 'judo', 'sport', 'taekwondo', 'tenue'], ar: ['زي فنون قتالية', 'كاراتيه', 'تايكوندو', 'جودو', 'رياضة', 'زي', 'فنون قتالية'] } },
+  { emoji: '🥅', category: 'activities', keywords: ['goal net'], localized: { fr: ['cage de but', 'filet', 'cage', 'but', 'sport'], ar: ['مرمى', 'شبكة', 'شبكة المرمى', 'جول', 'رياضة', 'غول'] } },
+  { emoji: '⛳', category: 'activities', keywords: ['flag in hole', 'golf'], localized: { fr: ['drapeau dans le trou', 'golf', 'drapeau de golf', 'sport', 'trou'], ar: ['علم في الحفرة', 'غولف', 'علم على حفرة', 'جولف', 'حفرة', 'رياضة', 'علم جولف', 'علم غولف'] } },
+  { emoji: '⛸️', category: 'activities', keywords: ['ice skate'], localized: { fr: ['patin à glace', 'glace', 'patin', 'patiner', 'patinoire', 'sport'], ar: ['زلاجة جليد', 'حذاء تزلج', 'تزلج', 'تزلج على الجليد', 'ثلج', 'جليد', 'رياضة'] } },
+  { emoji: '🎣', category: 'activities', keywords: ['fishing pole', 'fish'], localized: { fr: ['canne à pêche', 'poisson', 'pêche à la ligne', 'pêche', 'sport'], ar: ['صنارة', 'سمك', 'صنارة صيد', 'استجمام', 'ترفيه', 'رياضة', 'صيد'] } },
+  { emoji: '🤿', category: 'activities', keywords: ['diving mask', 'swim'], localized: { fr: ['masque de plongée', 'nager', 'apnée', 'masque', 'masque et tuba', 'plongée', 'plonger', 'snorkeling', 'tuba'], ar: ['قناع غوص', 'سباحة', 'قناع غطس', 'أداة', 'تحت الماء', 'سكوبا', 'سنوركلينج', 'غطس', 'غوص', 'غوص حر', 'ماسك', 'نظارة السباحة', 'نظارة الغطس', 'نظارة الغوص'] } },
+  { emoji: '🎽', category: 'activities', keywords: ['running shirt'], localized: { fr: ['maillot de course', 'athlétisme', 'course à pied', 'jogging', 'running', 'sport', 'tee-shirt de course'], ar: ['قميص رياضي', 'جري', 'ركض', 'رياضة', 'شيرت للجري', 'شيرت للجري ووشاح', 'عدو', 'قميص'] } },
+  { emoji: '🎿', category: 'activities', keywords: ['skis'], localized: { fr: ['skis', 'ski', 'neige', 'sport'], ar: ['تزلج', 'ثلج', 'رياضة', 'سكي'] } },
+  { emoji: '🛷', category: 'activities', keywords: ['sled'], localized: { fr: ['luge', 'glisser', 'neige', 'traîneau'], ar: ['مزلجة', 'تزلج', 'ثلج', 'مزلاج'] } },
+  { emoji: '🥌', category: 'activities', keywords: ['curling stone'], localized: { fr: ['pierre de curling', 'curling', 'granit', 'jeu', 'match', 'partie', 'pierre', 'sport'], ar: ['حجرة لعبة الكرلنغ', 'رياضة', 'صخرة', 'كيرلنغ', 'مباراة'] } },
+  { emoji: '🎯', category: 'activities', keywords: ['bullseye', 'dart'], localized: { fr: ['dans le mille', 'fléchettes', 'cible', 'jeu'], ar: ['إصابة الهدف', 'سهام', 'هدف', 'نشان', 'إصابة', 'صابها', 'لعبة', 'مباشر', 'مركز هدف'] } },
+  { emoji: '🪀', category: 'activities', keywords: ['yo-yo'], localized: { fr: ['yoyo', 'descendre', 'jouet', 'monter', 'osciller'], ar: ['يويو', 'أطفال', 'تأرجح', 'كلات', 'لعبة'] } },
+  { emoji: '🪁', category: 'activities', keywords: ['kite'], localized: { fr: ['cerf-volant', 'planer', 'voler'], ar: ['طائرة ورقية', 'العاب', 'تحليق', 'طيارة', 'طيارة ورق', 'طيران', 'هواء'] } },
+  { emoji: '🔫', category: 'activities', keywords: ['pistol', 'water gun', 'water pistol'], localized: { fr: ['pistolet', 'pistolet à eau', 'arme', 'arme à feu', 'flingue', 'revolver'], ar: ['مسدس', 'مسدس ماء', 'اداة', 'طبنجة', 'فرد', 'لعبة'] } },
+  { emoji: '🎱', category: 'activities', keywords: ['billiards', 'pool', 'eight ball', 'pool 8 ball'], localized: { fr: ['billard', 'boule huit', 'boule de billard', '8', 'boule magique', 'huit', 'jeu', 'pool'], ar: ['بلياردو', 'الكرة ثمانية', '٨', 'بيليار', 'بيلياردو', 'ثمانية', 'طابة', 'كرة', 'كرة رقم ثمانية', 'لعبة', 'مباراة'] } },
+  { emoji: '🔮', category: 'activities', keywords: ['crystal ball', 'magic'], localized: { fr: ['boule de cristal', 'magie', 'avenir', 'cristal', 'voyant', 'voyante'], ar: ['كرة بلورية', 'سحر', 'كرة كريستال', 'تبصير', 'تنجيم', 'حدوتة', 'خرافة', 'طالع', 'كرة', 'كريستال', 'مستقبل'] } },
+  { emoji: '🪄', category: 'activities', keywords: ['magic wand'], localized: { fr: ['baguette magique', 'abracadabra', 'magicien', 'magie', 'sorcier', 'sorcière', 'sort', 'tour de magie'], ar: ['عصا سحرية', 'أبرا كدابرا', 'أشياء', 'أنشطة', 'تعويذة', 'ساحر', 'ساحرة', 'سحر', 'عصا'] } },
+  { emoji: '🎮', category: 'activities', keywords: ['video game', 'controller'], localized: { fr: ['jeu vidéo', 'manette', 'joystick', 'playstation', 'xbox'], ar: ['لعبة فيديو', 'يد تحكم', 'ألعاب', 'إكس بوكس', 'العاب كمبيوتر', 'بلاي ستايشن', 'جويستك', 'فيديو غايم'] } },
+  { emoji: '🕹️', category: 'activities', keywords: ['joystick'], localized: { fr: ['joystick', 'manette de jeu', 'jeu', 'jeu vidéo'], ar: ['عصا تحكم', 'ذراع تحكم', 'العاب كمبيوتر', 'لعبة', 'لعبة فيديو'] } },
+  { emoji: '🎰', category: 'activities', keywords: ['slot machine', 'casino'], localized: { fr: ['machine à sous', 'casino', 'jeu'], ar: ['آلة قمار', 'كازينو', 'جهاز قمار', 'قمار', 'لعبة', 'ميسر'] } },
+  { emoji: '🎲', category: 'activities', keywords: ['game die', 'dice', 'luck'], localized: { fr: ['dé', 'dés', 'chance', 'hasard', 'jeu'], ar: ['نرد', 'زهر', 'حظ', 'لعبة'] } },
+  { emoji: '🧩', category: 'activities', keywords: ['puzzle piece'], localized: { fr: ['pièce de puzzle', 'assemblage', 'énigme', 'indice', 'interloqué', 'pièce manquante', 'puzzle'], ar: ['قطعة أحجية', 'بازل', 'أحجية الصور المقطوعة', 'أحجية', 'تحدي', 'تداخل', 'تركيب', 'دليل', 'فزورة', 'قطع', 'قطعة', 'لعبة', 'لغز', 'منشار'] } },
+  { emoji: '🧸', category: 'activities', keywords: ['teddy bear'], localized: { fr: ['ours en peluche', 'nounours', 'jeu', 'jouet', 'ours', 'peluche'], ar: ['دب محشو', 'دبدوب', 'لعبة محشوة بشكل دب', 'تيدي', 'دب', 'دب فرو', 'دبوب', 'دمية', 'سمين', 'لعبة', 'محشو', 'محشوة', 'ممتلىء'] } },
+  { emoji: '🪅', category: 'activities', keywords: ['piñata'], localized: { fr: ['piñata', '5 mai', 'bonbons', 'cinco de mayo', 'confiseries', 'fête', 'mexicain'], ar: ['بنياتا', 'أشياء', 'أنشطة', 'احتفال', 'حفلة', 'حلوى', 'عيد ميلاد', 'معلّقة', 'مفاجأة', 'هدية'] } },
+  { emoji: '🪩', category: 'activities', keywords: ['mirror ball'], localized: { fr: ['boule à facettes', 'briller', 'danse', 'disco', 'fête', 'soirée'], ar: ['الكرة المضيئة', 'حفل', 'ديسكو', 'رقص', 'كرة', 'ملهى ليلي'] } },
+  { emoji: '🪆', category: 'activities', keywords: ['nesting dolls'], localized: { fr: ['poupées russes', 'emboîté', 'empiler', 'jouet', 'matriochka', 'poupée gigogne', 'poupée russe', 'russe', 'russie'], ar: ['دمية روسية', 'أنشطة', 'دمية', 'روسيا', 'عروسة', 'لعبة', 'ماتريوشكا'] } },
+  { emoji: '♠️', category: 'activities', keywords: ['spade suit'], localized: { fr: ['pique', 'carte', 'couleur', 'jeu'], ar: ['ورقة البستوني', 'بطاقة', 'رمز', 'كرت', 'كوتشينة', 'لعبة', 'ورق شدة', 'ورقة'] } },
+  { emoji: '♥️', category: 'activities', keywords: ['heart suit'], localized: { fr: ['cœur cartes', 'cartes à jouer', 'cœur', 'couleur', 'jeu', 'rouge'], ar: ['ورقة قلب أحمر', 'رمز', 'قلب', 'قلوب', 'كوتشينة', 'لعبة', 'ورق شدة', 'ورقة'] } },
+  { emoji: '♦️', category: 'activities', keywords: ['diamond suit'], localized: { fr: ['carreau', 'carreaux', 'carte', 'couleur', 'jeu'], ar: ['ورقة لعب بشكل ماسة', 'بطاقة', 'رمز', 'لعب', 'ماسة', 'ورق', 'ورق شدة'] } },
+  { emoji: '♣️', category: 'activities', keywords: ['club suit'], localized: { fr: ['trèfle cartes', 'cartes à jouer', 'couleur', 'jeu', 'noir', 'trèfle'], ar: ['ورقة لعب بشكل شجرة', 'أوراق', 'رمز', 'سباتي', 'شجرة', 'كوتشينة', 'لعبة', 'نادي', 'نوادٍ', 'ورق شدة', 'ورق لعب'] } },
+  { emoji: '♟️', category: 'activities', keywords: ['chess pawn'], localized: { fr: ['pion', 'échecs', 'pion d’échec', 'duper', 'échec', 'sacrifiable'], ar: ['بيدق', 'شطرنج', 'جندي', 'ضعيف'] } },
+  { emoji: '🃏', category: 'activities', keywords: ['joker', 'cards'], localized: { fr: ['joker', 'cartes', 'carte joker', 'cartes à jouer', 'jeu'], ar: ['جوكر', 'ورق لعب', 'أوراق', 'لعبة', 'ورق شدة', 'ورقة', 'يلعب'] } },
+  { emoji: '🀄', category: 'activities', keywords: ['mahjong red dragon'], localized: { fr: ['mahjong', 'dragon rouge', 'dragon rouge mahjong', 'jeu', 'mah-jong', 'rouge'], ar: ['ماجونغ', 'تنين أحمر', 'لعبة ورق يابانية', 'تنين', 'رمز', 'لعبة', 'لعبة ماهجونج'] } },
+  { emoji: '🎴', category: 'activities', keywords: ['flower playing cards'], localized: { fr: ['cartes à fleurs', 'jeu des fleurs', 'carte', 'carte à jouer', 'fleur', 'fleurs', 'japonais', 'jeu'], ar: ['بطاقات الزهور', 'بطاقات لعب', 'كرت زهور', 'لعبة كرت', 'ياباني'] } },
+  { emoji: '🎭', category: 'activities', keywords: ['performing arts', 'theater', 'mask'], localized: { fr: ['arts du spectacle', 'théâtre', 'masque', 'spectacle vivant', 'acteur', 'actrice', 'art', 'spectacle'], ar: ['فنون أداء', 'مسرح', 'قناع', 'قناع وجه', 'بربارا', 'ترفيه', 'تمثيل', 'شيكسبير', 'فن', 'فن استعراضي', 'فنون جميلة'] } },
+  { emoji: '🖼️', category: 'activities', keywords: ['framed picture'], localized: { fr: ['cadre avec image', 'art', 'image', 'musée', 'peinture', 'tableau', 'tableau encadré'], ar: ['إطار وصورة', 'إطار', 'رسم', 'صورة', 'غاليري', 'فن', 'متحف', 'معرض'] } },
+  { emoji: '🎨', category: 'activities', keywords: ['artist palette', 'art', 'paint'], localized: { fr: ['palette', 'art', 'peinture', 'palette de peinture', 'artiste', 'couleurs', 'musée de peinture', 'peindre', 'peintre'], ar: ['لوحة ألوان', 'فن', 'رسم', 'لوحة ألوان الرسام', 'ألوان', 'باليت', 'تلوين', 'رسام', 'فنان', 'لوحة'] } },
+  { emoji: '🧵', category: 'activities', keywords: ['thread'], localized: { fr: ['bobine de fil', 'aiguille', 'bobine', 'coudre', 'couture', 'ficelle', 'fil'], ar: ['بكرة خيط', 'إبرة', 'بكرة', 'حياكة', 'خياطة', 'خيط', 'خيوط', 'فتلة', 'مغزل', 'نسيج'] } },
+  { emoji: '🪡', category: 'activities', keywords: ['sewing needle'], localized: { fr: ['aiguille à coudre', 'broderie', 'coudre', 'couture', 'fil à coudre', 'points', 'suture', 'tailleur'], ar: ['إبرة خياطة', 'أنشطة', 'إبرة', 'إصلاح ملابس', 'تطريز', 'حياكة', 'خياطة', 'غرز', 'فتلة', 'ملابس', 'هواية'] } },
+  { emoji: '🧶', category: 'activities', keywords: ['yarn'], localized: { fr: ['fil', 'boule', 'crochet', 'laine', 'pelote', 'tricot'], ar: ['خيط حياكة', 'أشغال يدوية', 'أعمال يدوية', 'إبرة وفتلة', 'حياكة', 'خياطة', 'خيط', 'دوبار', 'دوبارة', 'شَلة صوف', 'صنارة', 'صوف', 'غرزة', 'غزْل', 'فتلة', 'كرة', 'كروشيه', 'لفة صوف', 'نسيج', 'يدوي'] } },
+  { emoji: '🪢', category: 'activities', keywords: ['knot'], localized: { fr: ['nœud', 'attacher', 'corde', 'entrelacer', 'lien', 'noué', 'tordre'], ar: ['عُقدة', 'أدوات', 'أنشطة', 'ارتباط', 'حبل', 'عقدة', 'متشابك', 'مجدول', 'مربوط', 'ميثاق'] } },
   // --- OBJECTS ---
-  { emoji: '📱', category: 'objects', keywords: ['mobile phone', 'iphone'] },
-  { emoji: '📲', category: 'objects', keywords: ['mobile phone with arrow'] },
-  { emoji: '☎️', category: 'objects', keywords: ['telephone'] },
-  { emoji: '📞', category: 'objects', keywords: ['telephone receiver'] },
-  { emoji: '📟', category: 'objects', keywords: ['pager'] },
-  { emoji: '📠', category: 'objects', keywords: ['fax machine'] },
-  { emoji: '🔋', category: 'objects', keywords: ['battery'] },
-  { emoji: '🔌', category: 'objects', keywords: ['electric plug'] },
-  { emoji: '💻', category: 'objects', keywords: ['laptop computer'] },
-  { emoji: '🖥️', category: 'objects', keywords: ['desktop computer'] },
-  { emoji: '🖨️', category: 'objects', keywords: ['printer'] },
-  { emoji: '⌨️', category: 'objects', keywords: ['keyboard'] },
-  { emoji: '🖱️', category: 'objects', keywords: ['computer mouse'] },
-  { emoji: '🖲️', category: 'objects', keywords: ['trackball'] },
-  { emoji: '💽', category: 'objects', keywords: ['computer disk', 'minidisc'] },
-  { emoji: '💾', category: 'objects', keywords: ['floppy disk', 'save'] },
-  { emoji: '💿', category: 'objects', keywords: ['optical disk', 'cd'] },
-  { emoji: '📀', category: 'objects', keywords: ['dvd'] },
-  { emoji: '🧮', category: 'objects', keywords: ['abacus'] },
-  { emoji: '📷', category: 'objects', keywords: ['camera', 'photo'] },
-  { emoji: '📸', category: 'objects', keywords: ['camera with flash'] },
-  { emoji: '📹', category: 'objects', keywords: ['video camera'] },
-  { emoji: '🎥', category: 'objects', keywords: ['movie camera'] },
-  { emoji: '📽️', category: 'objects', keywords: ['film projector'] },
-  { emoji: '🎞️', category: 'objects', keywords: ['film frames'] },
-  { emoji: '📞', category: 'objects', keywords: ['phone', 'call'] },
-  { emoji: '📺', category: 'objects', keywords: ['television', 'tv'] },
-  { emoji: '📻', category: 'objects', keywords: ['radio'] },
-  { emoji: '🎙️', category: 'objects', keywords: ['studio microphone'] },
-  { emoji: '🎚️', category: 'objects', keywords: ['level slider'] },
-  { emoji: '🎛️', category: 'objects', keywords: ['control knobs'] },
-  { emoji: '🧭', category: 'objects', keywords: ['compass', 'map'] },
-  { emoji: '⏱️', category: 'objects', keywords: ['stopwatch'] },
-  { emoji: '⏲️', category: 'objects', keywords: ['timer clock'] },
-  { emoji: '⏰', category: 'objects', keywords: ['alarm clock'] },
-  { emoji: '🕰️', category: 'objects', keywords: ['mantelpiece clock'] },
-  { emoji: '⌛', category: 'objects', keywords: ['hourglass done'] },
-  { emoji: '⏳', category: 'objects', keywords: ['hourglass not done'] },
-  { emoji: '📡', category: 'objects', keywords: ['satellite antenna'] },
-  { emoji: '🔋', category: 'objects', keywords: ['power', 'battery'] },
-  { emoji: '🔌', category: 'objects', keywords: ['power', 'plug'] },
-  { emoji: '💡', category: 'objects', keywords: ['light bulb', 'idea'] },
-  { emoji: '🔦', category: 'objects', keywords: ['flashlight'] },
-  { emoji: '🏮', category: 'objects', keywords: ['red paper lantern'] },
-  { emoji: '🪔', category: 'objects', keywords: ['diya lamp'] },
-  { emoji: '🕯️', category: 'objects', keywords: ['candle'] },
-  { emoji: '🪔', category: 'objects', keywords: ['diya'] },
-  { emoji: '🗑️', category: 'objects', keywords: ['trash can', 'bin'] },
-  { emoji: '🛢️', category: 'objects', keywords: ['oil drum'] },
-  { emoji: '💸', category: 'objects', keywords: ['money with wings'] },
-  { emoji: '💵', category: 'objects', keywords: ['dollar banknote', 'money'] },
-  { emoji: '💴', category: 'objects', keywords: ['yen banknote', 'money'] },
-  { emoji: '💶', category: 'objects', keywords: ['euro banknote', 'money'] },
-  { emoji: '💷', category: 'objects', keywords: ['pound banknote', 'money'] },
-  { emoji: '💰', category: 'objects', keywords: ['money bag'] },
-  { emoji: '💳', category: 'objects', keywords: ['credit card'] },
-  { emoji: '💎', category: 'objects', keywords: ['gem stone', 'diamond'] },
-  { emoji: '⚖️', category: 'objects', keywords: ['balance scale', 'justice'] },
-  { emoji: '🧰', category: 'objects', keywords: ['toolbox'] },
-  { emoji: '🔧', category: 'objects', keywords: ['wrench', 'tool'] },
-  { emoji: '🔨', category: 'objects', keywords: ['hammer', 'tool'] },
-  { emoji: '🛠️', category: 'objects', keywords: ['hammer and wrench'] },
-  { emoji: '⛏️', category: 'objects', keywords: ['pick'] },
-  { emoji: '⚙️', category: 'objects', keywords: ['gear', 'settings'] },
-  { emoji: '🧱', category: 'objects', keywords: ['brick'] },
-  { emoji: '⛓️', category: 'objects', keywords: ['chains'] },
-  { emoji: '🪝', category: 'objects', keywords: ['hook'] },
-  { emoji: '🧲', category: 'objects', keywords: ['magnet'] },
-  { emoji: '🔫', category: 'objects', keywords: ['pistol', 'water gun'] },
-  { emoji: '💣', category: 'objects', keywords: ['bomb'] },
-  { emoji: '🧨', category: 'objects', keywords: ['firecracker'] },
-  { emoji: '🔪', category: 'objects', keywords: ['kitchen knife', 'weapon'] },
-  { emoji: '🗡️', category: 'objects', keywords: ['dagger'] },
-  { emoji: '⚔️', category: 'objects', keywords: ['crossed swords'] },
-  { emoji: '🛡️', category: 'objects', keywords: ['shield'] },
-  { emoji: '🚬', category: 'objects', keywords: ['smoking', 'cigarette'] },
-  { emoji: '⚰️', category: 'objects', keywords: ['coffin', 'dead'] },
-  { emoji: '🪦', category: 'objects', keywords: ['headstone', 'dead'] },
-  { emoji: '⚱️', category: 'objects', keywords: ['funeral urn'] },
-  { emoji: '🏺', category: 'objects', keywords: ['amphora'] },
-  { emoji: '🔮', category: 'objects', keywords: ['crystal ball', 'magic'] },
-  { emoji: '🪄', category: 'objects', keywords: ['magic wand'] },
-  { emoji: '📿', category: 'objects', keywords: ['prayer beads'] },
-  { emoji: '🧿', category: 'objects', keywords: ['nazar amulet'] },
-  { emoji: '💈', category: 'objects', keywords: ['barber pole'] },
-  { emoji: '📡', category: 'objects', keywords: ['satellite'] },
-
+  { emoji: '👓', category: 'objects', keywords: ['glasses'], localized: { fr: ['lunettes de vue', 'accessoire', 'lunettes', 'œil', 'vêtements', 'yeux'], ar: ['نظارة', 'عوينات', 'ملابس', 'نظارات'] } },
+  { emoji: '🕶️', category: 'objects', keywords: ['sunglasses'], localized: { fr: ['lunettes de soleil', 'lunettes', 'lunettes noires', 'soleil'], ar: ['نظارة شمس', 'ظلام', 'عتمة', 'عوينات', 'عين', 'عيون', 'مظلم', 'نظارات', 'نظارة'] } },
+  { emoji: '🥽', category: 'objects', keywords: ['goggles'], localized: { fr: ['lunettes', 'lunettes de chimiste', 'lunettes de labo', 'lunettes de piscine', 'lunettes de protection', 'lunettes de soudage', 'lunettes de soudure', 'masque', 'natation', 'protection des yeux', 'soudage'], ar: ['نظارة واقية', 'حماية', 'حماية العينين', 'حماية للعين', 'سباح', 'سباحة', 'سنوركلينج', 'شرارة', 'عوم', 'عينين', 'غطاس', 'غطس', 'غواص', 'غوص', 'غوغلز', 'لحام', 'مياه', 'نظارة'] } },
+  { emoji: '🥼', category: 'objects', keywords: ['lab coat'], localized: { fr: ['blouse blanche', 'blouse', 'docteur', 'expérience', 'expérimentation', 'labo', 'laboratoire', 'manteau blanc', 'médecin', 'scientifique', 'vêtements'], ar: ['معطف مختبر', 'بالطو', 'بالطو أبيض', 'تجارب', 'تجربة', 'ثوب', 'جاكت', 'حكيم', 'دكتور', 'سترة', 'طبيب', 'عالم', 'علوم', 'مختبرات', 'معطف', 'معطف أبيض', 'معطف معمل', 'ملابس', 'هدوم', 'ياقة بيضاء'] } },
+  { emoji: '🦺', category: 'objects', keywords: ['safety vest'], localized: { fr: ['gilet de sécurité', 'chantier', 'fluo', 'gilet jaune', 'gilet orange', 'sécurité', 'sûreté', 'visibilité'], ar: ['سترة سلامة', 'أمان', 'ثياب', 'سترة', 'سلامة', 'صديري', 'صرية', 'طوارئ', 'عامل', 'فست', 'فيست', 'ملابس'] } },
+  { emoji: '👔', category: 'objects', keywords: ['necktie'], localized: { fr: ['cravate', 'chemise', 'travail', 'vêtements'], ar: ['رابطة عنق', 'تياب', 'ثياب', 'جاد', 'قميص', 'كرافات', 'كرافتة', 'ملابس', 'موظف', 'وظيفة'] } },
+  { emoji: '👕', category: 'objects', keywords: ['t-shirt'], localized: { fr: ['t-shirt', 'bleu', 'chemise', 'courses', 'décontracté', 'polo', 'shopping', 'tee-shirt', 'vêtements', 'week-end'], ar: ['تي شيرت', 'تسوق', 'تياب', 'ثياب', 'شوبينغ', 'قميص', 'ملابس', 'نهاية الأسبوع', 'ويك أند'] } },
+  { emoji: '👖', category: 'objects', keywords: ['jeans'], localized: { fr: ['jean', 'bleu', 'courses', 'denim', 'pantalon', 'shopping', 'vêtements', 'week-end'], ar: ['بنطلون جينز', 'بنطال', 'بنطلون', 'تسوق', 'تياب', 'ثياب', 'جينز', 'شوبينغ', 'ملابس', 'نهاية الأسبوع', 'ويك أند'] } },
+  { emoji: '🧣', category: 'objects', keywords: ['scarf'], localized: { fr: ['foulard', 'cou', 'écharpe', 'froid', 'glagla', 'vêtements'], ar: ['وشاح', 'برد', 'دافئ', 'شال', 'عنق', 'لفاف'] } },
+  { emoji: '🧤', category: 'objects', keywords: ['gloves'], localized: { fr: ['gants', 'gant', 'main', 'vêtements'], ar: ['قفّازان', 'كف', 'يد'] } },
+  { emoji: '🧥', category: 'objects', keywords: ['coat'], localized: { fr: ['manteau', 'froid', 'glagla', 'veste', 'vêtements'], ar: ['معطف', 'أحح', 'أنوراك', 'برد', 'جاكيت', 'دافئ', 'سترة'] } },
+  { emoji: '🧦', category: 'objects', keywords: ['socks'], localized: { fr: ['chaussettes', 'pieds', 'vêtements'], ar: ['جورب', 'جرابات', 'جوارب', 'شرابات', 'كلسات'] } },
+  { emoji: '👗', category: 'objects', keywords: ['dress'], localized: { fr: ['robe', 'courses', 'élégante', 'jolie', 'shopping', 'vêtements'], ar: ['فستان', 'تسوق', 'تياب', 'ثياب', 'شوبينغ', 'قطعة واحدة', 'ملابس'] } },
+  { emoji: '👘', category: 'objects', keywords: ['kimono'], localized: { fr: ['kimono', 'vêtements'], ar: ['كيمونو ياباني', 'تياب', 'ثياب', 'زي ياباني', 'فستان', 'كيمونو', 'مريح', 'ملابس', 'يايان'] } },
+  { emoji: '🥻', category: 'objects', keywords: ['sari'], localized: { fr: ['sari', 'inde', 'mode', 'robe', 'traditionnel', 'vêtement'], ar: ['ساري', 'أزياء', 'أزياء هندية', 'ثياب', 'فستان', 'ملابس', 'موضة'] } },
+  { emoji: '🩱', category: 'objects', keywords: ['one-piece swimsuit'], localized: { fr: ['maillot de bain une pièce', 'maillot', 'maillot de bain', 'maillot une pièce'], ar: ['مايوه من قطعة واحدة', 'بحر', 'بدلة استحمام', 'بدلة سباحة', 'بدلة غطس', 'ثياب', 'مايوه', 'ملابس', 'ملابس سباحة'] } },
+  { emoji: '🩲', category: 'objects', keywords: ['briefs'], localized: { fr: ['slip', 'maillot de bain', 'slip de bain', 'sous-vêtement', 'une pièce'], ar: ['ملابس تحتية', 'بدلة استحمام', 'بدلة سباحة', 'ثياب', 'سروال', 'قطعة واحدة', 'كيلوت', 'مايوه', 'ملابس داخلية'] } },
+  { emoji: '🩳', category: 'objects', keywords: ['shorts'], localized: { fr: ['short', 'baignade', 'caleçon', 'maillot de bain', 'piscine', 'plage', 'short de bain', 'sous-vêtement'], ar: ['شورت', 'بدلة استحمام', 'ثياب', 'شورت أخضر', 'مايوه', 'ملابس تحتية', 'ملابس داخلية', 'ملابس سباحة', 'ملابس غطس'] } },
+  { emoji: '👙', category: 'objects', keywords: ['bikini'], localized: { fr: ['bikini', 'maillot de bain', 'nager', 'piscine', 'plage', 'vêtements'], ar: ['ملابس البحر', 'بحر', 'بيكيني', 'تياب', 'ثياب', 'سباحة', 'مايو', 'مسبح', 'ملابس', 'ملابس استحمام'] } },
+  { emoji: '👚', category: 'objects', keywords: ['woman’s clothes'], localized: { fr: ['vêtements de femme', 'chemise', 'chemisier', 'courses', 'femme', 'shopping', 'vêtements'], ar: ['ملابس حريمي', 'إمرأة', 'تسوق', 'تياب', 'ثياب', 'سيدة', 'شوبينغ', 'فستان', 'قميص', 'ملابس', 'ملابس ستاتية'] } },
+  { emoji: '🪭', category: 'objects', keywords: ['folding hand fan'], localized: { fr: ['éventail', 'agiter', 'chaleur', 'charmer', 'chaud', 'danse', 'danser', 'éventer', 'rafraîchir', 'timide'], ar: ['مروحة يدوية', 'تبريد', 'تهوية', 'حر', 'خجل', 'رفرف', 'رقص', 'طي', 'مروحة'] } },
+  { emoji: '👛', category: 'objects', keywords: ['purse'], localized: { fr: ['porte-monnaie', 'accessoire', 'courses', 'monnaie', 'sac à main', 'shopping', 'vêtements'], ar: ['كيس نقود', 'تسوق', 'جزدان', 'شنطة', 'شوبينغ', 'فلوس', 'مال', 'محفظة', 'ملابس', 'نقود'] } },
+  { emoji: '👜', category: 'objects', keywords: ['handbag'], localized: { fr: ['sac à main', 'accessoire', 'courses', 'sac', 'shopping', 'vêtements'], ar: ['شنطة يد', 'تبضع', 'جزدان', 'حقيبة', 'حقيبة يد', 'شراء', 'شنطة', 'شوبينغ', 'محفظة', 'ملابس'] } },
+  { emoji: '👝', category: 'objects', keywords: ['clutch bag'], localized: { fr: ['pochette', 'accessoire', 'sac', 'sac à main', 'trousse', 'vêtements'], ar: ['محفظة يد', 'جزدان', 'حقيبة', 'حقيبة يد', 'شنطة', 'ملابس'] } },
+  { emoji: '🛍️', category: 'objects', keywords: ['shopping bags'], localized: { fr: ['sacs de shopping', 'achats', 'courses', 'sac', 'sacs', 'shopping'], ar: ['حقائب تسوق', 'اوتيل', 'تسوق', 'حقيبة', 'شراء', 'شنط', 'فندق'] } },
+  { emoji: '🎒', category: 'objects', keywords: ['backpack'], localized: { fr: ['cartable', 'école', 'sac', 'sac à dos'], ar: ['حقيبة مدرسة', 'تعليم', 'دراسة', 'شنطة', 'علم', 'مدرسة'] } },
+  { emoji: '🩴', category: 'objects', keywords: ['thong sandal'], localized: { fr: ['tong', 'claquettes', 'été', 'mer', 'plage', 'sandales', 'sandales de plage', 'tatanes', 'tongs'], ar: ['صندل إصبع', 'أزياء الصيف', 'أشياء', 'بإصبع', 'حذاء', 'شبشب حمام', 'صنادل', 'صنادل إصبع', 'صندل للشاطئ', 'قدم', 'موضة', 'نعل'] } },
+  { emoji: '👞', category: 'objects', keywords: ['man’s shoe'], localized: { fr: ['chaussure d’homme', 'accessoire', 'chaussure', 'coup de pied', 'courses', 'homme', 'marron', 'pied', 'shopping', 'vêtements'], ar: ['حذاء رجالي', 'تسوق', 'ثياب', 'جزمة', 'حذاء', 'رجل', 'ركل', 'شوبينغ', 'لبط', 'ملابس', 'نعلة'] } },
+  { emoji: '👟', category: 'objects', keywords: ['running shoe'], localized: { fr: ['chaussure de sport', 'accessoire', 'athlétisme', 'basket', 'chaussure', 'coup de pied', 'courir', 'courses', 'shopping', 'tennis', 'vêtements', 'vite'], ar: ['حذاء رياضي', 'تسوق', 'ثياب', 'جري', 'جزمة رياضة', 'حذاء', 'حذاء رياضة', 'ركض', 'ركل', 'سريع', 'سنيكرز', 'شوبينغ', 'عدو', 'لبط', 'ملابس', 'يجري', 'يركض', 'يعدو'] } },
+  { emoji: '🥾', category: 'objects', keywords: ['hiking boot'], localized: { fr: ['chaussure de randonnée', 'camping', 'chaussure de marche', 'chaussures de chantier', 'chaussures de montagne', 'chaussures de sécurité', 'chaussures marron', 'marche', 'rando', 'randonnée', 'timberland', 'vêtements'], ar: ['حذاء لرحلات المشي', 'أحذية', 'بوت', 'تخييم', 'جِزم', 'جزمة', 'جزمة برقبة', 'حذاء', 'حذاء برقبة', 'رحلة', 'مخيم', 'مشي لمسافات طويلة', 'مشي مسافات طويلة', 'مغامرة', 'نعل', 'هايكينغ'] } },
+  { emoji: '🥿', category: 'objects', keywords: ['flat shoe'], localized: { fr: ['chaussure plate', 'ballerine', 'chaussure sans lacets', 'chaussures plates', 'mule', 'vêtements'], ar: ['حذاء نسائي بدون كعب', 'باليرينا', 'بلا كعب', 'جزمة', 'جزمة خفيفة', 'جزمة فلات', 'جزمة مريحة', 'جزمة مسطحة', 'جزمة واطية', 'حذاء باليه', 'حذاء خفيف', 'حذاء مريح', 'حذاء مسطح', 'خف', 'خفان', 'دون كعب', 'نعل'] } },
+  { emoji: '👠', category: 'objects', keywords: ['high-heeled shoe'], localized: { fr: ['chaussure à talon haut', 'accessoire', 'chaussure', 'chaussure à talon', 'chaussure de femme', 'courses', 'mode', 'shopping', 'stilletto', 'talon aiguille', 'talon haut', 'vêtements'], ar: ['حذاء بكعب عالٍ', 'أحمر', 'ثياب', 'حذاء', 'ستيليتو', 'سكربينة', 'فاشون', 'فستان', 'كعب', 'كعب عال', 'ملابس'] } },
+  { emoji: '👡', category: 'objects', keywords: ['woman’s sandal'], localized: { fr: ['sandale de femme', 'chaussure', 'chaussure à talon', 'chaussure de femme', 'femme', 'sandale', 'talon haut', 'vêtements'], ar: ['صندل حريمي', 'امرأة', 'حذاء', 'ستاتي', 'سرماية', 'شحاطة', 'صندال', 'صندل', 'ملابس'] } },
+  { emoji: '🩰', category: 'objects', keywords: ['ballet shoes'], localized: { fr: ['chaussons de danse', 'ballerines', 'ballet', 'chaussures', 'classique', 'danse'], ar: ['حذاء باليه', 'أحذية', 'باليرينا', 'باليه', 'حذاء', 'رقص', 'فن', 'هواية'] } },
+  { emoji: '👢', category: 'objects', keywords: ['woman’s boot'], localized: { fr: ['botte de femme', 'accessoire', 'botte', 'chaussure', 'courses', 'femme', 'shopping', 'vêtements'], ar: ['حذاء طويل الساق حريمي', 'بوت حريمي', 'بوت ستاتي', 'بوتس', 'ثياب', 'حذاء', 'حذاء طويل', 'حذاء عال', 'حذاء نسائي', 'ملابس'] } },
+  { emoji: '🪮', category: 'objects', keywords: ['hair pick'], localized: { fr: ['peigne afro', 'afro', 'cheveux', 'démêler', 'démêloir', 'peigne', 'peigner'], ar: ['مشط عريض', 'أفرو', 'تصفيف', 'شعر', 'شعر أفريقي', 'كثافة', 'مشط', 'يمشط', 'يهندم'] } },
+  { emoji: '👑', category: 'objects', keywords: ['crown'], localized: { fr: ['couronne', 'accessoire', 'famille royale', 'monarchie', 'monarque', 'reine', 'roi', 'royauté', 'succès', 'vêtements'], ar: ['تاج', 'أسرة مالكة', 'صراع العروش', 'عائلة مالكة', 'ملابس', 'ملك', 'ملكي'] } },
+  { emoji: '👒', category: 'objects', keywords: ['woman’s hat'], localized: { fr: ['chapeau de femme', 'chapeau', 'femme', 'vêtements'], ar: ['قبعة نسائية', 'امرأة', 'برنيطة', 'سيدة', 'قبعة', 'قبعة حريمي', 'قبعة ستاتية', 'ملابس'] } },
+  { emoji: '🎩', category: 'objects', keywords: ['top hat'], localized: { fr: ['haut de forme', 'accessoire', 'chapeau', 'élégant', 'haut-de-forme', 'magie', 'vêtements'], ar: ['قبعة رسمية', 'برنيطة', 'ترفيه', 'سحر', 'قبعة', 'قبعة عالية'] } },
+  { emoji: '🎓', category: 'objects', keywords: ['graduation cap'], localized: { fr: ['toque universitaire', 'accessoire', 'chapeau', 'diplôme', 'étudiant', 'université', 'vêtements'], ar: ['قبعة تخرج', 'احتفال', 'تخرج', 'تعليم', 'قبعة'] } },
+  { emoji: '🧢', category: 'objects', keywords: ['billed cap'], localized: { fr: ['casquette américaine', 'baseball cap', 'casquette', 'casquette de baseball', 'chapeau', 'vêtements'], ar: ['قبعة رياضية', 'طاقية', 'قبعة', 'قبعة بسبول', 'قبعة بيسبول', 'كاب', 'كاسكيت'] } },
+  { emoji: '🪖', category: 'objects', keywords: ['military helmet'], localized: { fr: ['casque militaire', 'armée', 'casque', 'équipement', 'guerre', 'guerrier', 'militaire', 'protection', 'soldat'], ar: ['خوذة عسكرية', 'أشياء', 'جندي', 'جيش', 'خوذة', 'زي', 'عسكري', 'عسكرية', 'محارب', 'مقاتل', 'مهنة', 'واجب عسكري'] } },
+  { emoji: '⛑️', category: 'objects', keywords: ['rescue worker’s helmet'], localized: { fr: ['casque de secouriste', 'assistance', 'casque', 'casque croix blanche', 'casque de sauveteur', 'croix', 'secours'], ar: ['خوذة رجل إنقاذ', 'إسعاف', 'خوذة', 'خوذة بصليب أبيض', 'صليب', 'قبعة', 'مساعدة', 'مسعف', 'وجه'] } },
+  { emoji: '📿', category: 'objects', keywords: ['prayer beads'], localized: { fr: ['chapelet', 'accessoire', 'collier', 'perles', 'prière', 'religion', 'vêtements'], ar: ['مسبحة', 'مسبحة صلاة', 'تسبيح', 'خرز', 'دين', 'صلاة', 'قلادة', 'ملابس'] } },
+  { emoji: '💄', category: 'objects', keywords: ['lipstick'], localized: { fr: ['rouge à lèvres', 'cosmétiques', 'maquillage', 'rendez-vous'], ar: ['أحمر شفاه', 'أحمر', 'تجميل', 'حمرة', 'روج', 'مستحضرات تجميل'] } },
+  { emoji: '💍', category: 'objects', keywords: ['ring'], localized: { fr: ['bague', 'alliance', 'amour', 'brillant', 'diamant', 'étincelant', 'fiançailles', 'mariage', 'solitaire'], ar: ['خاتم', 'ألماس', 'بتتجوزيني', 'براق', 'تجوزني', 'تجوزيني', 'تزوجني', 'تزوجيني', 'تقدم', 'خطبة', 'خطوبة', 'رومانس', 'رومانسية', 'رومنس', 'زواج', 'ماس', 'مبروك', 'متزوج', 'مخطوب', 'يلمع'] } },
+  { emoji: '💎', category: 'objects', keywords: ['gem stone', 'diamond'], localized: { fr: ['pierre précieuse', 'diamant', 'argent', 'bijou', 'fiançailles', 'joyau', 'mariage', 'romantique'], ar: ['حجر كريم', 'ألماس', 'جوهرة', 'الماسة', 'خطوبة', 'رومانس', 'رومانسية', 'رومنس', 'زفاف', 'زواج', 'عرس', 'غني', 'ماسة', 'مال', 'مجوهرات'] } },
+  { emoji: '🔇', category: 'objects', keywords: ['muted speaker'], localized: { fr: ['muet', 'chut', 'enceinte', 'haut-parleur barré', 'haut-parleur d’enceinte', 'silence', 'son', 'sourdine'], ar: ['ممنوع الحديث', 'تسكيت', 'تصميت', 'رمز', 'سبيكر', 'سماعة وعلامة إلغاء', 'صامت', 'صمت', 'ميوت', 'هدوء'] } },
+  { emoji: '🔈', category: 'objects', keywords: ['speaker low volume'], localized: { fr: ['volume des enceintes faible', 'enceinte', 'haut-parleur', 'haut-parleur d’enceinte', 'son', 'volume bas'], ar: ['صوت سماعة منخفض', 'رمز', 'سبيكر', 'سماعة', 'صوت', 'صوت منخفض', 'مجهر', 'مكبّر صوت', 'منخفض جدا'] } },
+  { emoji: '🔉', category: 'objects', keywords: ['speaker medium volume'], localized: { fr: ['volume des enceintes moyen', 'enceinte', 'haut-parleur', 'haut-parleur d’enceinte', 'son', 'volume moyen'], ar: ['صوت معتدل', 'رمز', 'سبيكر', 'سماعة بصوت', 'سماعة بصوت منخفض', 'صوت', 'صوت سماعة متوسط', 'متوسط', 'منخفض'] } },
+  { emoji: '🔊', category: 'objects', keywords: ['speaker high volume'], localized: { fr: ['volume des enceintes élevé', 'enceinte', 'fort', 'haut-parleur', 'haut-parleur d’enceinte', 'musique', 'son', 'volume élevé'], ar: ['صوت سماعة مرتفع', 'سماعة بصوت مرتفع', 'صوت عالي', 'مرتفع'] } },
+  { emoji: '📢', category: 'objects', keywords: ['loudspeaker'], localized: { fr: ['haut-parleur', 'communication', 'fort', 'mégaphone', 'message', 'son'], ar: ['مكبر صوت', 'اعلان', 'تواصل', 'سماعة محمولة', 'صوت عال', 'صوت مرتفع', 'مجهار', 'مكرفون'] } },
+  { emoji: '📣', category: 'objects', keywords: ['megaphone'], localized: { fr: ['porte-voix', 'encourager', 'hourra', 'manifestation', 'mégaphone'], ar: ['مضخم الصوت', 'تواصل', 'ميغافون', 'هتاف'] } },
+  { emoji: '📯', category: 'objects', keywords: ['postal horn'], localized: { fr: ['cor postal', 'cor de facteur', 'facteur', 'poste'], ar: ['جرس بريد', 'بوق', 'جرس', 'نفخ'] } },
+  { emoji: '🔔', category: 'objects', keywords: ['bell'], localized: { fr: ['cloche', 'clochette', 'sonner'], ar: ['جرس', 'صوت', 'فرصة', 'كنيسة'] } },
+  { emoji: '🔕', category: 'objects', keywords: ['bell with slash'], localized: { fr: ['alarme désactivée', 'barrée', 'cloche', 'silence'], ar: ['ممنوع استخدام الجرس', 'جرس', 'جرس عليه علامة إلغاء', 'رمز', 'سكوت', 'عدم الازعاج', 'ممنوع الصوت', 'هدوء'] } },
+  { emoji: '🎼', category: 'objects', keywords: ['musical score'], localized: { fr: ['partition', 'musique', 'note'], ar: ['نوتة موسيقية', 'علامة موسيقية', 'أنغام', 'سكور', 'موسيقى', 'نغم', 'نغمة'] } },
+  { emoji: '🎵', category: 'objects', keywords: ['musical note'], localized: { fr: ['note de musique', 'musique', 'note'], ar: ['نوتة موسيقية', 'صوت', 'موسيقى', 'نغم', 'نوتة'] } },
+  { emoji: '🎶', category: 'objects', keywords: ['musical notes'], localized: { fr: ['notes de musique', 'musique', 'note', 'notes', 'partition'], ar: ['نوتات موسيقية', 'رمز', 'صوت', 'موسيقى', 'نوتات', 'نوتة'] } },
+  { emoji: '🎙️', category: 'objects', keywords: ['studio microphone'], localized: { fr: ['micro de studio', 'chant', 'enregistrement', 'micro', 'microphone', 'musique', 'studio'], ar: ['ميكروفون استوديو', 'اذاعة', 'استديو', 'استوديو', 'تسجيل صوتي', 'مايك', 'موسيقى', 'ميكروفون'] } },
+  { emoji: '🎚️', category: 'objects', keywords: ['level slider'], localized: { fr: ['curseur de niveau', 'curseur', 'musique', 'niveau'], ar: ['منزلق مستوى', 'شريط منسوب', 'مؤشر', 'مزيكا', 'مستوى', 'موسيقى'] } },
+  { emoji: '🎛️', category: 'objects', keywords: ['control knobs'], localized: { fr: ['boutons de contrôle', 'boutons de réglage', 'boutons', 'boutons de commande', 'commande', 'musique', 'réglages'], ar: ['مقابض تحكم', 'أزرار تحكم', 'أزرار', 'تحكم', 'كونترول', 'موسيقى'] } },
+  { emoji: '🎤', category: 'objects', keywords: ['microphone', 'sing'], localized: { fr: ['micro', 'chanter', 'karaoke', 'karaoké', 'microphone', 'musique'], ar: ['ميكروفون', 'غناء', 'صوت', 'طرب', 'كاراوكي', 'مايك', 'موسيقى'] } },
+  { emoji: '🎧', category: 'objects', keywords: ['headphone', 'music'], localized: { fr: ['casque', 'musique', 'écouteur', 'écouteurs', 'son'], ar: ['سماعات', 'موسيقى', 'سماعة رأس', 'ترفيه', 'صوت', 'هيدفون'] } },
+  { emoji: '📻', category: 'objects', keywords: ['radio'], localized: { fr: ['radio', 'actualités', 'communication', 'loisirs', 'musique', 'vidéo'], ar: ['راديو', 'مذياع', 'اذاعة', 'ترفيه', 'تسلية', 'فيديو'] } },
+  { emoji: '🎷', category: 'objects', keywords: ['saxophone'], localized: { fr: ['saxophone', 'instrument', 'musique'], ar: ['ساكسفون', 'آلة', 'آلة موسيقية', 'موسيقى'] } },
+  { emoji: '🎺', category: 'objects', keywords: ['trumpet'], localized: { fr: ['trompette', 'instrument', 'musique'], ar: ['بوق', 'آلة نفخ', 'آلة موسيقية', 'ترومبت', 'عزف', 'موسيقى'] } },
+  { emoji: '🪊', category: 'objects', keywords: ['trombone'], localized: { fr: ['trombone à coulisse', 'instrument', 'musique', 'trombone'], ar: ['ترومبون', 'آلات النفخ', 'أداة', 'جاز', 'حزين', 'موسيقى', 'نحاس'] } },
+  { emoji: '🪗', category: 'objects', keywords: ['accordion'], localized: { fr: ['accordéon', 'bandonéon', 'concert', 'concertina', 'instrument', 'mélodie', 'musique', 'piano à bretelles'], ar: ['أكورديون', 'آلة موسيقية', 'أشياء', 'أصابع بيانو', 'احتفال', 'عزف', 'غناء', 'فن', 'موسيقى'] } },
+  { emoji: '🎸', category: 'objects', keywords: ['guitar'], localized: { fr: ['guitare', 'guitare électrique', 'instrument', 'musique'], ar: ['غيتار', 'آلة', 'آلة موسيقية', 'روك', 'موسيقى', 'نغم'] } },
+  { emoji: '🎹', category: 'objects', keywords: ['musical keyboard', 'piano'], localized: { fr: ['clavier', 'piano', 'instrument', 'musique', 'touches'], ar: ['لوحة مفاتيح', 'بيانو', 'عزف', 'لوحة مفاتيح موسيقية', 'موسيقى'] } },
+  { emoji: '🎻', category: 'objects', keywords: ['violin'], localized: { fr: ['violon', 'instrument', 'musique'], ar: ['كمان', 'آلة موسيقية', 'عزف', 'كمنجا', 'موسيقى'] } },
+  { emoji: '🪕', category: 'objects', keywords: ['banjo'], localized: { fr: ['banjo', 'cordes', 'instrument', 'instrument à cordes', 'musique'], ar: ['بانجو', 'آلة بانجو', 'أداة', 'البانجو', 'مزيكا', 'موسيقى', 'وتريات'] } },
+  { emoji: '🥁', category: 'objects', keywords: ['drum'], localized: { fr: ['tambour', 'batterie', 'baguette', 'baguettes', 'musique'], ar: ['طبل', 'طبلة', 'تطبيل', 'عصا الطبلة', 'موسيقى'] } },
+  { emoji: '🪘', category: 'objects', keywords: ['long drum'], localized: { fr: ['djembé', 'battement', 'conga', 'instrument', 'musique', 'percussions', 'rythme', 'tambour'], ar: ['طبل طويل', 'أداة', 'أشياء', 'احتفال', 'دف', 'دق', 'رقص', 'طبل', 'فرح', 'كونغا', 'لحن', 'موسيقى'] } },
+  { emoji: '🪇', category: 'objects', keywords: ['maracas'], localized: { fr: ['maracas', 'cha cha cha', 'danse', 'danser', 'fête', 'hochet', 'instrument', 'musique', 'percussion', 'secouer'], ar: ['مركاس', 'آلة موسيقية', 'تشا تشا', 'حفلة', 'خشخيشة', 'دق', 'رجّاجة', 'رقص', 'شخشيخة', 'شخلل', 'موسيقى', 'نقر', 'هز'] } },
+  { emoji: '🪈', category: 'objects', keywords: ['flute'], localized: { fr: ['flûte', 'bois', 'fanfare', 'fifre', 'flûte à bec', 'flûtiste', 'instrument', 'musique', 'orchestre', 'piccolo'], ar: ['فلوت', 'آلة موسيقية', 'أداة موسيقية', 'أوركسترا', 'عزف', 'قصبة', 'مزمار', 'موسيقى', 'نفخ'] } },
+  { emoji: '🪉', category: 'objects', keywords: ['harp'], localized: { fr: ['harpe', 'amour', 'cupidon', 'instrument', 'musique', 'orchestre'], ar: ['قيثارة', 'آلة', 'أوركسترا', 'كيوبيد', 'موسيقى'] } },
+  { emoji: '📱', category: 'objects', keywords: ['mobile phone', 'iphone'], localized: { fr: ['téléphone portable', 'smartphone', 'communication', 'téléphone'], ar: ['هاتف محمول', 'جوال', 'هاتف جوال', 'تليفون', 'خلوي', 'محمول', 'موبايل', 'نقال', 'هاتف'] } },
+  { emoji: '📲', category: 'objects', keywords: ['mobile phone with arrow'], localized: { fr: ['téléphone avec flèche', 'appeler', 'appel entrant', 'appel', 'communication', 'recevoir un appel', 'smartphone', 'téléphone portable avec une flèche'], ar: ['هاتف مع سهم', 'اتصال', 'هاتف جوال مع سهم', 'إجراء مكالمة', 'استقبال اتصال', 'تليفون', 'تواصل', 'خلوي', 'رد على اتصال', 'سليلور', 'موبايل', 'هاتف', 'هاتف جوال', 'هاتف خلوي مع سهم'] } },
+  { emoji: '☎️', category: 'objects', keywords: ['telephone'], localized: { fr: ['téléphone', 'téléphone rouge'], ar: ['هاتف', 'هاتف أرضي', 'تليفون'] } },
+  { emoji: '📞', category: 'objects', keywords: ['telephone receiver', 'phone', 'call'], localized: { fr: ['combiné téléphonique', 'communication', 'téléphone'], ar: ['سماعة هاتف', 'تليفون', 'تواصل', 'هاتف'] } },
+  { emoji: '📟', category: 'objects', keywords: ['pager'], localized: { fr: ['bipeur', 'bip', 'communication', 'pager'], ar: ['جهاز نداء', 'جهاز نداء آلي', 'بيجر', 'تواصل', 'جهاز مناداة'] } },
+  { emoji: '📠', category: 'objects', keywords: ['fax machine'], localized: { fr: ['fax', 'communication', 'télécopieur'], ar: ['فاكس', 'تلفاكس', 'تواصل', 'ماكنة'] } },
+  { emoji: '🔋', category: 'objects', keywords: ['battery', 'power'], localized: { fr: ['batterie', 'pile'], ar: ['بطارية', 'طاقة'] } },
+  { emoji: '🪫', category: 'objects', keywords: ['low battery'], localized: { fr: ['pile faible', 'batterie', 'batterie faible', 'déchargé', 'électronique', 'énergie faible'], ar: ['بطارية ضعيفة', 'إلكتروني', 'بطارية', 'طاقة منخفضة', 'مُستنزَف'] } },
+  { emoji: '🔌', category: 'objects', keywords: ['electric plug', 'power', 'plug'], localized: { fr: ['prise électrique', 'câble avec fiche électrique', 'branché', 'électricité', 'prise'], ar: ['قابس كهربائي', 'فيشة كهرباء', 'بريز', 'فيش كهرباء', 'كهرباء'] } },
+  { emoji: '💻', category: 'objects', keywords: ['laptop computer', 'laptop'], localized: { fr: ['ordinateur portable', 'bureau', 'ordinateur', 'travail'], ar: ['حاسوب محمول', 'لابتوب', 'كمبيوتر محمول', 'pc', 'حاسوب', 'شخصي', 'كمبيوتر', 'كومبيوتر', 'مكتب'] } },
+  { emoji: '🖥️', category: 'objects', keywords: ['desktop computer'], localized: { fr: ['ordinateur de bureau', 'moniteur', 'ordinateur'], ar: ['حاسوب مكتبي', 'كمبيوتر', 'ايكران', 'ايكرون', 'سطح مكتب', 'سكرين', 'شاشة كمبيوتر', 'كمبيوتر شخصي'] } },
+  { emoji: '🖨️', category: 'objects', keywords: ['printer'], localized: { fr: ['imprimante', 'imprimer', 'ordinateur'], ar: ['طابعة', 'برنتر', 'كمبيوتر'] } },
+  { emoji: '⌨️', category: 'objects', keywords: ['keyboard'], localized: { fr: ['clavier', 'informatique', 'ordinateur'], ar: ['لوحة مفاتيح', 'ازرار', 'الكمبيوتر', 'كمبيوتر', 'كومبيوتر', 'كيبورد'] } },
+  { emoji: '🖱️', category: 'objects', keywords: ['computer mouse'], localized: { fr: ['souris d\'ordinateur', 'souris d’ordinateur', 'informatique', 'souris'], ar: ['فأرة حاسوب', 'ماوس', '3', 'ثلاثة', 'زر', 'فارة', 'كمبيوتر', 'كومبيوتر'] } },
+  { emoji: '🖲️', category: 'objects', keywords: ['trackball'], localized: { fr: ['trackball', 'boule de commande', 'informatique', 'ordinateur', 'souris à boule'], ar: ['كرة تتبع', 'كرة مسار', 'فارة', 'كمبيوتر', 'كومبيوتر', 'ماوس'] } },
+  { emoji: '💽', category: 'objects', keywords: ['computer disk', 'minidisc'], localized: { fr: ['disque', 'minidisque', 'disque d’ordinateur', 'minidisc'], ar: ['قرص', 'قرص صغير', 'قرص كمبيوتر', 'بصري', 'سي دس', 'كمبيوتر', 'كومبيوتر', 'ميني ديسك'] } },
+  { emoji: '💾', category: 'objects', keywords: ['floppy disk', 'save'], localized: { fr: ['disquette', 'sauvegarder', 'disque', 'informatique', 'ordinateur'], ar: ['قرص مرن', 'حفظ', 'فلوبي', 'قرص'] } },
+  { emoji: '💿', category: 'objects', keywords: ['optical disk', 'cd'], localized: { fr: ['cd', 'disque optique', 'blu-ray', 'disque', 'dvd'], ar: ['قرص مضغوط', 'سي دي', 'bluray', 'cd', 'dvd', 'دي في دي', 'قرص', 'قرص ضوئي', 'كمبيوتر', 'كومبيوتر'] } },
+  { emoji: '📀', category: 'objects', keywords: ['dvd'], localized: { fr: ['dvd', 'blu-ray', 'cd', 'disque'], ar: ['دي في دي', 'قرص dvd', 'cd', 'dvd', 'بصري', 'بلو راي', 'ديسك', 'سي دي', 'قرص', 'قرص دي في دي', 'كمبيوتر', 'كومبيوتر'] } },
+  { emoji: '🧮', category: 'objects', keywords: ['abacus'], localized: { fr: ['boulier', 'abaque', 'calcul', 'calculation', 'math', 'mathématiques'], ar: ['معداد', 'آلة حاسبة', 'أباكوس', 'تعداد', 'حاسبة', 'حساب', 'حسابات', 'عداد', 'عداد خشبي', 'محاسبة'] } },
+  { emoji: '🎥', category: 'objects', keywords: ['movie camera'], localized: { fr: ['caméra de cinéma', 'caméra', 'cinéma', 'film', 'filmer', 'réalisateur', 'réalisatrice', 'vidéo'], ar: ['كاميرا سينمائية', 'كاميرا أفلام', 'تسجيل', 'سينما', 'صناعة افلام', 'فيلم', 'كاميرا', 'هوليوود'] } },
+  { emoji: '🎞️', category: 'objects', keywords: ['film frames'], localized: { fr: ['pellicule', 'bande', 'cinéma', 'film'], ar: ['شريط فيلم', 'شريط سينمائي', 'إطارات', 'سينما', 'فيلم'] } },
+  { emoji: '📽️', category: 'objects', keywords: ['film projector'], localized: { fr: ['projecteur de film', 'projecteur cinématographique', 'cinéma', 'film', 'projecteur', 'vidéo'], ar: ['جهاز عرض أفلام', 'أفلام', 'إسقاط فيديو', 'بروجكتور', 'سينما', 'عارض', 'فلم', 'فيلم'] } },
+  { emoji: '🎬', category: 'objects', keywords: ['clapper board', 'movie'], localized: { fr: ['clap', 'film', 'cinéma', 'action', 'ça tourne'], ar: ['كلاكيت', 'فيلم', 'سينما', 'أكشون', 'أكشيون', 'ترفيه', 'موفي'] } },
+  { emoji: '📺', category: 'objects', keywords: ['television', 'tv'], localized: { fr: ['télévision', 'télé', 'téléviseur', 'petit écran', 'tv'], ar: ['تلفاز', 'تلفزيون', 'تليفزيون', 'تي في', 'سهرة', 'فيديو', 'مشاهدة'] } },
+  { emoji: '📷', category: 'objects', keywords: ['camera', 'photo'], localized: { fr: ['appareil photo', 'photo', 'selfie', 'vidéo'], ar: ['كاميرا', 'صورة', 'التقاط', 'انستاغرام', 'تصوير', 'سلفي', 'سيلفي', 'فيديو', 'لحظات'] } },
+  { emoji: '📸', category: 'objects', keywords: ['camera with flash'], localized: { fr: ['appareil photo avec flash', 'appareil photo', 'flash'], ar: ['كاميرا بفلاش', 'تصوير', 'فلاش', 'فيديو', 'كاميرا'] } },
+  { emoji: '📹', category: 'objects', keywords: ['video camera'], localized: { fr: ['caméra vidéo', 'caméscope', 'caméra', 'filmer', 'vidéo'], ar: ['كاميرا فيديو', 'ذكريات', 'فيديو', 'كاميرا'] } },
+  { emoji: '📼', category: 'objects', keywords: ['videocassette'], localized: { fr: ['cassette vidéo', 'magnétoscope', 'vhs', 'vidéocassette', 'vintage'], ar: ['شريط فيديو', 'vcr', 'شريط', 'فيديو'] } },
+  { emoji: '🔍', category: 'objects', keywords: ['magnifying glass tilted left'], localized: { fr: ['loupe orientée à gauche', 'agrandir', 'chercher', 'détective', 'loupe', 'loupe gauche', 'recherche'], ar: ['عدسة مكبرة اتجاه اليسار', 'بحث', 'تكبير', 'عدسة', 'عدسة مكبرة لليسار', 'علم', 'مختبر', 'مكبر'] } },
+  { emoji: '🔎', category: 'objects', keywords: ['magnifying glass tilted right'], localized: { fr: ['loupe orientée à droite', 'agrandir', 'chercher', 'détective', 'loupe', 'loupe droite', 'recherche'], ar: ['عدسة مكبرة اتجاه اليمين', 'اداة', 'بحث', 'عدسة', 'عدسة مكبرة لليمين', 'عدسة مكبرة يسار', 'علم', 'مختبر', 'مكبر'] } },
+  { emoji: '🕯️', category: 'objects', keywords: ['candle'], localized: { fr: ['bougie', 'chandelle', 'lumière'], ar: ['شمعة', 'اضاءة', 'سلام', 'ضوء'] } },
+  { emoji: '💡', category: 'objects', keywords: ['light bulb', 'idea'], localized: { fr: ['ampoule', 'idée', 'allumer', 'bande dessinée', 'bd', 'dessin', 'lampe', 'lumière'], ar: ['مصباح', 'فكرة', 'مصباح مضاء', 'كهرباء', 'لمبة مضيئة'] } },
+  { emoji: '🔦', category: 'objects', keywords: ['flashlight'], localized: { fr: ['lampe torche', 'torche', 'lampe électrique', 'lumière', 'outil'], ar: ['مصباح يدوي', 'ضوء فلاش', 'اداة', 'الكتريك', 'ضوء', 'كشاف', 'كهربائي'] } },
+  { emoji: '🏮', category: 'objects', keywords: ['red paper lantern'], localized: { fr: ['lanterne rouge', 'lampion rouge', 'japonais', 'lanterne', 'lumière', 'restaurant', 'rouge'], ar: ['فانوس أحمر', 'فانوس بورق أحمر', 'إزاكايا', 'بار', 'ضوء', 'فانوس', 'فانوس ورقي', 'مطعم', 'ياباني'] } },
+  { emoji: '🪔', category: 'objects', keywords: ['diya lamp', 'diya'], localized: { fr: ['lampe diya', 'diya', 'ārtī', 'diwali', 'fête inde', 'huile', 'lampe', 'lampe à beurre', 'lampe inde'], ar: ['قنديل', 'مصباح ضياء', 'أداة', 'إضاءة', 'زيت', 'سراج', 'شمعة', 'مشكاة', 'مصباح', 'مطفأة سجائر', 'منفضة'] } },
+  { emoji: '📔', category: 'objects', keywords: ['notebook with decorative cover'], localized: { fr: ['carnet avec couverture', 'cahier', 'carnet', 'école', 'écrire', 'livre'], ar: ['دفتر مزين', 'تعليم', 'دفتر مزخرف', 'دفتر ملاحظات', 'غلاف', 'غلاف مزخرف', 'كتاب مزخرف', 'مدرسة'] } },
+  { emoji: '📕', category: 'objects', keywords: ['closed book'], localized: { fr: ['livre fermé', 'apprendre', 'école', 'enseignement', 'lire', 'littérature', 'livre', 'livre rouge', 'manuel scolaire', 'savoir'], ar: ['كتاب مغلق', 'تعليم', 'ثقافة', 'دراسة', 'كتاب', 'مكتبة'] } },
+  { emoji: '📖', category: 'objects', keywords: ['open book'], localized: { fr: ['livre ouvert', 'apprendre', 'bibliothèque', 'école', 'enseignement', 'étudier', 'lecture', 'lire', 'littérature', 'manuel scolaire', 'roman', 'savoir'], ar: ['كتاب مفتوح', 'امتحانات', 'دراسة', 'علم', 'قراءة', 'كتاب', 'مدرسة', 'معرفة'] } },
+  { emoji: '📗', category: 'objects', keywords: ['green book'], localized: { fr: ['livre vert', 'apprendre', 'bibliothèque', 'école', 'enseignement', 'étudier', 'lecture', 'lire', 'littérature', 'livre', 'manuel scolaire', 'savoir'], ar: ['كتاب أخضر', 'تعلم', 'تعليم', 'دراسة', 'قراءة', 'كتاب', 'مكتبة'] } },
+  { emoji: '📘', category: 'objects', keywords: ['blue book'], localized: { fr: ['livre bleu', 'apprendre', 'école', 'éducation', 'lecture', 'lire', 'littérature', 'livre', 'manuel scolaire', 'roman'], ar: ['كتاب أزرق', 'أزرق', 'تعليم', 'دراسة', 'قراءة', 'كتاب', 'مدرسة', 'مكتبة'] } },
+  { emoji: '📙', category: 'objects', keywords: ['orange book'], localized: { fr: ['livre orange', 'apprendre', 'école', 'éducation', 'lecture', 'lire', 'littérature', 'livre', 'manuel scolaire', 'roman'], ar: ['كتاب برتقالي', 'تعليم', 'دراسة', 'قراءة', 'كتاب', 'مدرسة', 'مكتبة'] } },
+  { emoji: '📚', category: 'objects', keywords: ['books'], localized: { fr: ['livres', 'apprendre', 'bibliothèque', 'école', 'enseignement', 'étudier', 'lecture', 'lire', 'littérature', 'manuels scolaires', 'roman', 'savoir'], ar: ['كتب', 'امتحانات', 'تعليم', 'جامعة', 'دراسة', 'درس', 'قراءة', 'كتاب', 'مدرسة', 'معرفة', 'وظيفية'] } },
+  { emoji: '📓', category: 'objects', keywords: ['notebook'], localized: { fr: ['carnet', 'cahier', 'écrire'], ar: ['دفتر ملاحظات', 'دفتر'] } },
+  { emoji: '📒', category: 'objects', keywords: ['ledger'], localized: { fr: ['carnet de compte', 'cahier', 'classeur', 'grand livre'], ar: ['دفتر', 'كراسة ملاحظات', 'ملاحظات'] } },
+  { emoji: '📃', category: 'objects', keywords: ['page with curl'], localized: { fr: ['page enroulée', 'document', 'page'], ar: ['صفحة ملفوفة', 'صحيفة', 'صفحة', 'صفحة بطية', 'صفحة مطوية', 'مستند'] } },
+  { emoji: '📜', category: 'objects', keywords: ['scroll'], localized: { fr: ['parchemin', 'papier'], ar: ['ورقة ملفوفة', 'تاريخ', 'رسالة', 'مخطوطة', 'ورقة'] } },
+  { emoji: '📄', category: 'objects', keywords: ['page facing up'], localized: { fr: ['page', 'document'], ar: ['مستند', 'أعلى', 'صفحة', 'صفحة بوجه لأعلى', 'فوق', 'وجه لأعلى', 'ورق', 'ورقة'] } },
+  { emoji: '📰', category: 'objects', keywords: ['newspaper'], localized: { fr: ['journal', 'actualités', 'communication', 'gros titres', 'presse', 'une'], ar: ['جريدة', 'أخبار', 'صحافة', 'صحيفة'] } },
+  { emoji: '🗞️', category: 'objects', keywords: ['rolled-up newspaper'], localized: { fr: ['journal roulé', 'actualités', 'journal', 'presse'], ar: ['صحيفة مطوية', 'أخبار', 'اخبار', 'جريدة', 'صحيفة', 'مطوية'] } },
+  { emoji: '📑', category: 'objects', keywords: ['bookmark tabs'], localized: { fr: ['signets', 'marque', 'marqueur', 'onglets', 'signet'], ar: ['لصاقات علامات توقف قراءة', 'بوك مارك', 'تبويب', 'علامة', 'لصاقة', 'لصاقة علامات', 'مؤشر'] } },
+  { emoji: '🔖', category: 'objects', keywords: ['bookmark'], localized: { fr: ['marque-page', 'marqueur', 'signet'], ar: ['علامة توقف قراءة', 'بوك مارك', 'علامة'] } },
+  { emoji: '🏷️', category: 'objects', keywords: ['label'], localized: { fr: ['étiquette'], ar: ['ملصق', 'تاغ', 'تاق', 'تيكيت', 'علامة'] } },
+  { emoji: '🪙', category: 'objects', keywords: ['coin'], localized: { fr: ['pièce', 'argent', 'euro', 'fortune', 'métal', 'or', 'pièce de monnaie', 'riche', 'sou', 'trésor'], ar: ['عملة معدنية', 'أشياء', 'ثري', 'ذهب', 'فضة', 'كنز', 'مال', 'معدن'] } },
+  { emoji: '💰', category: 'objects', keywords: ['money bag'], localized: { fr: ['sac d\'argent', 'sac plein d’argent', 'argent', 'avare', 'banque', 'dollar', 'parier', 'payer', 'sac', 'sac d’argent'], ar: ['كيس نقود', 'حقيبة نقود', 'أموال', 'احتياط', 'بنك', 'حقيبة دولارات', 'دراهم', 'دفع', 'ذهب', 'رهن', 'شنطة', 'غني', 'فلوس', 'كاش', 'كيس', 'مال', 'مصاري', 'مصرف', 'نقود'] } },
+  { emoji: '🪎', category: 'objects', keywords: ['treasure chest'], localized: { fr: ['coffre au trésor', 'argent', 'argenterie', 'bijoux', 'butin', 'objets de valeur', 'or', 'pierre précieuse', 'richesse'], ar: ['صندوق كنز', 'أشياء ثمينة', 'أموال', 'ثروة', 'جائزة', 'جواهر', 'جوهرة', 'ذهب', 'غنيمة', 'فضة'] } },
+  { emoji: '💴', category: 'objects', keywords: ['yen banknote', 'money'], localized: { fr: ['billet de yen', 'argent', 'billet en yens', 'billet', 'billet de banque', 'payer', 'yens'], ar: ['ورقة ين', 'مال', 'أموال', 'بانكنوت', 'بنك', 'عملة', 'فلوس', 'مصاري', 'مصرف', 'نقود', 'ين'] } },
+  { emoji: '💵', category: 'objects', keywords: ['dollar banknote', 'money'], localized: { fr: ['billet de dollar', 'argent', 'billet en dollars', 'billet', 'billet de banque', 'dollar', 'payer'], ar: ['ورقة دولار', 'مال', 'أموال', 'بنك', 'بنكنوت', 'دولار', 'سيولة', 'عملة', 'فلوس', 'مصاري', 'مصرف', 'نقود'] } },
+  { emoji: '💶', category: 'objects', keywords: ['euro banknote', 'money'], localized: { fr: ['billet d\'euro', 'argent', 'billet en euros', 'billet', 'billet de banque', 'euros', 'payer'], ar: ['ورقة يورو', 'مال', '١٠٠', 'أموال', 'اموال', 'بانكنوت', 'مصاري', 'نقود', 'يورو'] } },
+  { emoji: '💷', category: 'objects', keywords: ['pound banknote', 'money'], localized: { fr: ['billet de livre', 'argent', 'billet en livres', 'billet', 'billet de banque', 'livres', 'payer'], ar: ['ورقة جنيه', 'مال', 'أموال', 'اموال', 'بانكنوت', 'باوند', 'جنيه', 'عملة', 'فلوس', 'كاش', 'مصاري', 'نقود'] } },
+  { emoji: '💸', category: 'objects', keywords: ['money with wings'], localized: { fr: ['argent qui s\'envole', 'billet avec des ailes', 'ailes', 'argent', 'billet', 'billet de banque', 'dollars', 'payer'], ar: ['مال طائر', 'أموال تطير', 'أموال', 'أموال بأجنحة', 'بانكنوت طائر', 'بليون', 'دولار', 'طائر', 'مال', 'مال باجنحة', 'مصاري'] } },
+  { emoji: '💳', category: 'objects', keywords: ['credit card'], localized: { fr: ['carte bancaire', 'carte de crédit', 'argent', 'bancaire', 'banque', 'carte', 'payer'], ar: ['بطاقة بنكية', 'بطاقة ائتمان', 'بطاقة', 'بنك', 'دفع', 'كاش', 'كردت كارد', 'مال', 'مصرف'] } },
+  { emoji: '🧾', category: 'objects', keywords: ['receipt'], localized: { fr: ['reçu', 'compta', 'comptabilité', 'comptable', 'facture', 'faire les comptes', 'justificatif', 'preuve', 'ticket de caisse'], ar: ['إيصال', 'إثبات', 'برهان', 'حساب', 'حسابات', 'حفظ الدفاتر', 'دليل', 'ريسيت', 'فاتورة', 'فواتير', 'محاسبة', 'مستند', 'وصْل'] } },
+  { emoji: '💹', category: 'objects', keywords: ['chart increasing with yen'], localized: { fr: ['graphique en hausse', 'courbe avec yen en hausse', 'banque', 'croissance', 'devise', 'graphique', 'hausse', 'marché', 'monnaie', 'tendance', 'yen'], ar: ['رسم بياني صاعد', 'مخطط لبيانات متزايدة مع الين', 'أسهم مرتفعة', 'ارتفاع', 'اسهم', 'اقتصاد', 'انتاج', 'بنك', 'بيانات', 'رمز', 'زيادة معدل', 'سوق', 'سوق رائجة', 'مال', 'مصارف', 'نمو'] } },
+  { emoji: '✉️', category: 'objects', keywords: ['envelope'], localized: { fr: ['enveloppe', 'courrier électronique', 'e-mail', 'lettre', 'message'], ar: ['ظرف', 'ايميل', 'بريد إلكتروني', 'رسالة'] } },
+  { emoji: '📧', category: 'objects', keywords: ['e-mail'], localized: { fr: ['e-mail', 'courriel', 'courrier électronique', 'lettre', 'message'], ar: ['بريد إلكتروني', 'ايميل', 'بريد', 'تواصل', 'خطاب', 'رسالة'] } },
+  { emoji: '📨', category: 'objects', keywords: ['incoming envelope'], localized: { fr: ['message reçu', 'courriel', 'courrier', 'courrier électronique', 'e-mail', 'enveloppe', 'envoyer', 'lettre', 'message', 'message électronique', 'recevoir'], ar: ['بريد وارد', 'ايميل', 'بريد', 'بريد إلكتروني', 'بريد مستلم', 'تواصل', 'توصيل', 'خطاب', 'ظرف', 'كمبيوتر', 'مرسال', 'مرسل', 'وارد'] } },
+  { emoji: '📩', category: 'objects', keywords: ['envelope with arrow'], localized: { fr: ['enveloppe avec flèche', 'communication', 'courriel', 'courrier électronique', 'e-mail', 'enveloppe', 'envoi', 'envoyer', 'flèche', 'message', 'message électronique', 'message envoyé'], ar: ['بريد صادر', 'ايميل', 'بريد', 'بريد إلكتروني', 'بريد قادم', 'بريد مرسل', 'بريد وارد', 'تواصل', 'خطاب', 'رسالة واردة', 'صادر', 'ظرف'] } },
+  { emoji: '📤', category: 'objects', keywords: ['outbox tray'], localized: { fr: ['boîte d’envoi', 'courriel', 'courrier électronique', 'e-mail', 'envoyer', 'flèche', 'lettre', 'message', 'message électronique'], ar: ['صندوق صادر', 'ايميل', 'بريد', 'تواصل', 'جارور', 'رسالة', 'صندوق', 'صندوق الوارد', 'علبة', 'مرسل'] } },
+  { emoji: '📥', category: 'objects', keywords: ['inbox tray'], localized: { fr: ['boîte de réception', 'courriel', 'courrier électronique', 'e-mail', 'flèche', 'lettre', 'message', 'message électronique', 'recevoir'], ar: ['صندوق وارد', 'ايميل', 'بريد', 'بريد مستلم', 'تواصل', 'جارور', 'صينية', 'علبة', 'لا توجد رسائل'] } },
+  { emoji: '📦', category: 'objects', keywords: ['package'], localized: { fr: ['colis', 'boîte', 'livraison', 'paquet'], ar: ['طرد', 'بريد', 'بضائع', 'تسليم', 'حزمة', 'رزمة', 'شحن', 'علبة', 'كرتونة'] } },
+  { emoji: '📫', category: 'objects', keywords: ['closed mailbox with raised flag'], localized: { fr: ['boîte aux lettres fermée drapeau levé', 'boîte aux lettres', 'courrier'], ar: ['صندوق بريد مغلق بإشارة مرفوعة', 'بريد', 'صندوق بريد بعلامة لأعلى', 'علبة بريد', 'مغلق'] } },
+  { emoji: '📪', category: 'objects', keywords: ['closed mailbox with lowered flag'], localized: { fr: ['boîte aux lettres fermée drapeau baissé', 'boîte aux lettres', 'courrier'], ar: ['صندوق بريد مغلق بإشارة لأسفل', 'بريد', 'صندوق بريد بعلامة لأسفل', 'علبة بريد', 'مغلق'] } },
+  { emoji: '📬', category: 'objects', keywords: ['open mailbox with raised flag'], localized: { fr: ['boîte aux lettres ouverte drapeau levé', 'boîte aux lettres', 'courrier'], ar: ['صندوق بريد مفتوح بإشارة مرفوعة', 'بريد', 'صندوق بريد بعلامة لأسفل', 'علبة بريد', 'مفتوح'] } },
+  { emoji: '📭', category: 'objects', keywords: ['open mailbox with lowered flag'], localized: { fr: ['boîte aux lettres ouverte drapeau baissé', 'boîte aux lettres', 'courrier'], ar: ['صندوق بريد مفتوح بإشارة لأسفل', 'بريد', 'صندوق بريد بعلامة لأعلى', 'علبة بريد', 'مفتوح'] } },
+  { emoji: '📮', category: 'objects', keywords: ['postbox'], localized: { fr: ['boîte aux lettres', 'courrier', 'poste'], ar: ['صندوق بريد', 'بريد'] } },
+  { emoji: '🗳️', category: 'objects', keywords: ['ballot box with ballot'], localized: { fr: ['urne électorale', 'a voté', 'bulletin de vote', 'urne', 'urne électorale avec un bulletin', 'voter'], ar: ['صندوق اقتراع وورقة اقتراع', 'اقتراع', 'انتخابات', 'صندوق'] } },
+  { emoji: '✏️', category: 'objects', keywords: ['pencil'], localized: { fr: ['crayon', 'crayon à papier', 'gomme', 'mine'], ar: ['قلم رصاص', 'تدوين', 'رصاص', 'قلم', 'كتابة'] } },
+  { emoji: '✒️', category: 'objects', keywords: ['black nib'], localized: { fr: ['stylo plume noir', 'écrire', 'stylo'], ar: ['سن قلم أسود', 'حبر اسود', 'خط', 'ستيلو', 'سن', 'قلم', 'كتابة'] } },
+  { emoji: '🖋️', category: 'objects', keywords: ['fountain pen'], localized: { fr: ['stylo plume', 'écrire', 'stylo'], ar: ['قلم حبر', 'حبر', 'ستيلو', 'قلم', 'كتابة', 'محبرة'] } },
+  { emoji: '🖊️', category: 'objects', keywords: ['pen'], localized: { fr: ['stylo', 'écrire', 'stylo bille', 'stylo-bille'], ar: ['قلم', 'جاف', 'حبر'] } },
+  { emoji: '🖌️', category: 'objects', keywords: ['paintbrush'], localized: { fr: ['pinceau', 'peinture'], ar: ['فرشاة ألوان', 'تلوين', 'رسم'] } },
+  { emoji: '🖍️', category: 'objects', keywords: ['crayon'], localized: { fr: ['crayon pastel', 'pastel', 'rouge'], ar: ['قلم شمع ملون', 'قلم ألوان'] } },
+  { emoji: '📝', category: 'objects', keywords: ['memo'], localized: { fr: ['mémo', 'bloc-notes', 'crayon', 'écrire'], ar: ['مذكرة', 'تدوين', 'تذكير', 'تواصل', 'قلم رصاص', 'ملاحظة', 'ميديا'] } },
+  { emoji: '🪌', category: 'objects', keywords: ['eraser'], localized: { fr: ['gomme', 'effacer'], ar: ['ممحاة', 'مسح'] } },
+  { emoji: '💼', category: 'objects', keywords: ['briefcase'], localized: { fr: ['porte-documents', 'accessoire', 'bureau', 'cartable'], ar: ['حقيبة كتب', 'حقيبة', 'شنطة', 'مكتب'] } },
+  { emoji: '📁', category: 'objects', keywords: ['file folder'], localized: { fr: ['dossier', 'fichier', 'répertoire'], ar: ['مجلد ملفات', 'فولدر', 'مجلد', 'ملف'] } },
+  { emoji: '📂', category: 'objects', keywords: ['open file folder'], localized: { fr: ['dossier ouvert', 'dossier', 'ouvrir', 'ouvrir le dossier', 'répertoire'], ar: ['مجلد مفتوح', 'فولدر', 'مجلد', 'مجلد ملفات مفتوح', 'مفتوح', 'ملف'] } },
+  { emoji: '🗂️', category: 'objects', keywords: ['card index dividers'], localized: { fr: ['intercalaires', 'classement', 'classeur', 'index', 'intercalaire'], ar: ['حاجز بطاقات', 'بطاقة', 'ترتيب', 'حواجز', 'فهرسة', 'مؤشر'] } },
+  { emoji: '📅', category: 'objects', keywords: ['calendar'], localized: { fr: ['calendrier', 'date'], ar: ['تقويم', 'رزنامة', 'روزنامة'] } },
+  { emoji: '📆', category: 'objects', keywords: ['tear-off calendar'], localized: { fr: ['éphéméride', 'agenda', 'calendrier', 'date', 'planning'], ar: ['تقويم بأوراق للقطع', 'رزنامة', 'روزنامة'] } },
+  { emoji: '🗒️', category: 'objects', keywords: ['spiral notepad'], localized: { fr: ['bloc-notes à spirale', 'bloc-notes à spirales', 'cahier', 'notes'], ar: ['ورقة ملاحظات', 'حلزوني', 'ملاحظة', 'ورقة'] } },
+  { emoji: '🗓️', category: 'objects', keywords: ['spiral calendar'], localized: { fr: ['calendrier à spirale', 'bloc-notes', 'calendrier', 'calendrier à spirales'], ar: ['تقويم حلزوني', 'تقويم', 'حلزوني', 'رزنامة', 'ورقة'] } },
+  { emoji: '📇', category: 'objects', keywords: ['card index'], localized: { fr: ['carnet d’adresses', 'carte', 'fiche', 'index', 'rolodex', 'vintage'], ar: ['فهرس بطاقات', 'دقة قديمة', 'فهرس', 'كارت', 'مدرسة قديمة'] } },
+  { emoji: '📈', category: 'objects', keywords: ['chart increasing'], localized: { fr: ['graphique en hausse', 'croissance', 'données', 'graphique', 'hausse', 'haut', 'tendance'], ar: ['اتجاه لأعلى', 'احصائيات', 'ارتفاع', 'بيانات', 'زيادة', 'مخطط', 'نمو'] } },
+  { emoji: '📉', category: 'objects', keywords: ['chart decreasing'], localized: { fr: ['graphique en baisse', 'baisse', 'bas', 'chute', 'données', 'graphique', 'négatif', 'tendance'], ar: ['مخطط بياني لأسفل', 'اتجاه لأسفل', 'احصائيات', 'انخفاض', 'بيانات', 'تراجع', 'سقوط', 'مخطط'] } },
+  { emoji: '📊', category: 'objects', keywords: ['bar chart'], localized: { fr: ['graphiques à barres', 'données', 'graphique'], ar: ['مخطط بياني شريطي', 'احصائيات', 'بيانات', 'تخطيط', 'مخطط', 'مخطط شريطي'] } },
+  { emoji: '📋', category: 'objects', keywords: ['clipboard'], localized: { fr: ['porte-bloc', 'fournitures', 'liste', 'presse-papiers'], ar: ['لوح كتابة مشبكي', 'لائحة', 'لوحة ملصقات', 'ليسته', 'مشبك'] } },
+  { emoji: '📌', category: 'objects', keywords: ['pushpin'], localized: { fr: ['punaise', 'fournitures'], ar: ['دبوس ضغط', 'تثبيت', 'دبوس'] } },
+  { emoji: '📍', category: 'objects', keywords: ['round pushpin'], localized: { fr: ['épingle', 'carte', 'emplacement', 'fournitures', 'punaise ronde'], ar: ['دبوس مستدير', 'تثبيت', 'دبوس', 'مشبك', 'موقع'] } },
+  { emoji: '📎', category: 'objects', keywords: ['paperclip'], localized: { fr: ['trombone', 'fournitures'], ar: ['مشبك ورق', 'اتاش', 'مشبك'] } },
+  { emoji: '🖇️', category: 'objects', keywords: ['linked paperclips'], localized: { fr: ['trombones', 'fournitures'], ar: ['مشبك ورق مقترن', 'أوراق', 'اتاش', 'مشبك'] } },
+  { emoji: '📏', category: 'objects', keywords: ['straight ruler'], localized: { fr: ['règle', 'fournitures', 'mathématiques', 'règle plate'], ar: ['مسطرة', 'حافة مستوية'] } },
+  { emoji: '📐', category: 'objects', keywords: ['triangular ruler'], localized: { fr: ['équerre', 'fournitures', 'mathématiques'], ar: ['مسطرة مثلثة', 'حساب', 'رياضيات', 'مثلث', 'مثلث رسم', 'مسطرة'] } },
+  { emoji: '✂️', category: 'objects', keywords: ['scissors'], localized: { fr: ['ciseaux', 'couper', 'découper', 'fournitures', 'papier'], ar: ['مقص', 'أداة', 'اداة', 'قص', 'ورق'] } },
+  { emoji: '🗃️', category: 'objects', keywords: ['card file box'], localized: { fr: ['boîte à dossiers', 'classeur', 'dossier'], ar: ['صندوق بطاقات', 'بطاقة', 'صندوق', 'ملف'] } },
+  { emoji: '🗄️', category: 'objects', keywords: ['file cabinet'], localized: { fr: ['meuble à dossiers', 'classement', 'classer', 'classeur', 'dossier', 'meuble'], ar: ['خزانة ملفات', 'توثيق', 'جارور', 'جوارير', 'خزانة', 'ملف'] } },
+  { emoji: '🗑️', category: 'objects', keywords: ['trash can', 'bin', 'wastebasket'], localized: { fr: ['poubelle', 'corbeille à papiers', 'corbeille'], ar: ['سلة مهملات', 'قمامة', 'سلة نفايات', 'سلة', 'مهملات', 'نفايات'] } },
+  { emoji: '🔒', category: 'objects', keywords: ['locked'], localized: { fr: ['cadenas fermé', 'cadenas', 'privé', 'verrouillé', 'verrouiller'], ar: ['قفل', 'خاص', 'سري', 'مغلق', 'مقفل'] } },
+  { emoji: '🔓', category: 'objects', keywords: ['unlocked'], localized: { fr: ['cadenas ouvert', 'cadenas', 'déverrouiller', 'ouvert', 'ouvrir'], ar: ['قفل مفتوح', 'فتح', 'قفل'] } },
+  { emoji: '🔏', category: 'objects', keywords: ['locked with pen'], localized: { fr: ['cadenas fermé avec stylo', 'cadenas avec un stylo plume', 'confidentiel', 'privé', 'stylo plume', 'verrouillé'], ar: ['قفل مغلق بقلم', 'حبر', 'خصوصية', 'سرية', 'قفل عليه قلم حبر', 'مقفل بقلم'] } },
+  { emoji: '🔐', category: 'objects', keywords: ['locked with key'], localized: { fr: ['cadenas fermé avec clé', 'cadenas', 'cadenas avec une clé', 'clé', 'fermé', 'privé', 'sécurisé', 'verrouillé'], ar: ['قفل مغلق بمفتاح', 'آمن', 'امن', 'قفل دراجة هوائية', 'قفل عليه مفتاح', 'مفتاح'] } },
+  { emoji: '🔑', category: 'objects', keywords: ['key'], localized: { fr: ['clé', 'mot de passe', 'ouvrir', 'serrure'], ar: ['مفتاح', 'فتح', 'قفل', 'قفل اساسي', 'كلمة سر', 'كلمة مرور'] } },
+  { emoji: '🗝️', category: 'objects', keywords: ['old key'], localized: { fr: ['clé ancienne', 'clé', 'fermer', 'indice', 'serrure', 'verrouiller'], ar: ['مفتاح قديم', 'فكرة', 'قديم', 'قفل', 'لغز', 'مساعدة', 'مفتاح'] } },
+  { emoji: '🪍', category: 'objects', keywords: ['net with handle'], localized: { fr: ['épuisette', 'filet'], ar: ['شبكة بمقبض', 'شبكة'] } },
+  { emoji: '🔨', category: 'objects', keywords: ['hammer', 'tool'], localized: { fr: ['marteau', 'outil', 'réparer', 'travaux'], ar: ['مطرقة', 'أداة', 'اداة', 'اصلاح', 'تصليح', 'شاكوش', 'عدة'] } },
+  { emoji: '🪓', category: 'objects', keywords: ['axe'], localized: { fr: ['hache', 'bois', 'bûcheron', 'fendre', 'hachette'], ar: ['بلطة', 'أداة', 'أدوات', 'تقسيم', 'تقطيع', 'خشب', 'شاكوش', 'عامل', 'فأس', 'فلاح', 'معدات', 'نجار'] } },
+  { emoji: '⛏️', category: 'objects', keywords: ['pick'], localized: { fr: ['pioche', 'mine', 'outil'], ar: ['معول', 'فأس', 'أداة', 'اداة', 'تنقيب', 'شاكوش', 'منجم'] } },
+  { emoji: '⚒️', category: 'objects', keywords: ['hammer and pick'], localized: { fr: ['marteau et pioche', 'burin', 'marteau', 'marteau et burin', 'outil', 'outils', 'pioche'], ar: ['مطرقة ومثقاب', 'أداة', 'ثقب', 'دق', 'شاكوش', 'مطرقة'] } },
+  { emoji: '🛠️', category: 'objects', keywords: ['hammer and wrench'], localized: { fr: ['marteau et clé', 'outils', 'marteau et clé à molette', 'clé', 'clé à molette', 'marteau', 'outil'], ar: ['مطرقة ومفتاح', 'أدوات', 'شاكوش ومفتاح', 'أداة', 'اداة', 'شاكوش', 'مفتاح'] } },
+  { emoji: '🗡️', category: 'objects', keywords: ['dagger'], localized: { fr: ['dague', 'poignard', 'arme', 'couteau'], ar: ['خنجر', 'سكين', 'سلاح', 'سيف', 'طعن'] } },
+  { emoji: '⚔️', category: 'objects', keywords: ['crossed swords'], localized: { fr: ['épées croisées', 'arme', 'armes', 'croisées', 'épées'], ar: ['سيفان متقاطعان', 'سيفان متصالبان', 'سلاح', 'سيفان', 'معقوق'] } },
+  { emoji: '💣', category: 'objects', keywords: ['bomb', 'danger', 'boom'], localized: { fr: ['bombe', 'danger', 'boum', 'bande dessinée', 'bd', 'dessin', 'explosion'], ar: ['قنبلة', 'خطر', 'انفجار', 'بووم', 'رعب', 'مشاعر'] } },
+  { emoji: '🪃', category: 'objects', keywords: ['boomerang'], localized: { fr: ['boomerang', 'aborigène', 'australie', 'jeu', 'outil', 'répercussion', 'retour'], ar: ['بوميرانغ', 'خذوف مرتد', 'أداة', 'أستراليا', 'أشياء', 'ارتداد', 'خذوف', 'سلاح', 'ضرب', 'عصا مقوسة', 'كيد', 'مرتد', 'هجوم'] } },
+  { emoji: '🏹', category: 'objects', keywords: ['bow and arrow', 'archery'], localized: { fr: ['arc et flèche', 'tir à l\'arc', 'arc', 'archer', 'astrologie', 'flèche', 'horoscope', 'sagittaire', 'sport', 'tir à l’arc', 'zodiaque'], ar: ['قوس وسهم', 'رماية', 'برج', 'برج الرامي', 'رامي', 'سلاح', 'سهم', 'قوس', 'وتر'] } },
+  { emoji: '🛡️', category: 'objects', keywords: ['shield'], localized: { fr: ['bouclier', 'arme'], ar: ['درع', 'حماية', 'سلاح'] } },
+  { emoji: '🪚', category: 'objects', keywords: ['carpentry saw'], localized: { fr: ['scie', 'bois', 'outil', 'scie à bois', 'scie égoïne', 'scier'], ar: ['منشار يدوي', 'أداة', 'أشياء', 'خشب', 'قطع', 'منشار', 'نجار'] } },
+  { emoji: '🔧', category: 'objects', keywords: ['wrench', 'tool'], localized: { fr: ['clé', 'outil', 'clé à molette', 'travaux'], ar: ['مفتاح ربط', 'أداة', 'اداة', 'رانش', 'رنش', 'عدة', 'مفك'] } },
+  { emoji: '🪛', category: 'objects', keywords: ['screwdriver'], localized: { fr: ['tournevis', 'outil', 'outillage', 'vis'], ar: ['مفك براغي', 'أداة', 'أشياء', 'إصلاح', 'براغي', 'مفك', 'مفك عادة'] } },
+  { emoji: '🔩', category: 'objects', keywords: ['nut and bolt'], localized: { fr: ['vis et écrou', 'boulon', 'écrou', 'outil', 'travaux', 'vis'], ar: ['صامولة ومسمار', 'اصلاح', 'برغي', 'تصليح', 'صامولة', 'عدة', 'عزقة', 'مسمار'] } },
+  { emoji: '⚙️', category: 'objects', keywords: ['gear', 'settings'], localized: { fr: ['engrenage', 'réglages', 'roue dentée', 'outil'], ar: ['ترس', 'إعدادات', 'أداة', 'اعدادات', 'بكرة', 'مسننة'] } },
+  { emoji: '🗜️', category: 'objects', keywords: ['clamp'], localized: { fr: ['serre-joint', 'compresser', 'comprimer', 'outil', 'serre-joints'], ar: ['آلة ضغط', 'أداة', 'سنكري', 'ضغط', 'ملزمة'] } },
+  { emoji: '⚖️', category: 'objects', keywords: ['balance scale', 'justice'], localized: { fr: ['balance', 'justice', 'balance à poids', 'astrologie', 'horoscope', 'poids', 'zodiaque'], ar: ['ميزان', 'عدالة', 'أداة', 'برج', 'برج الميزان', 'توازن', 'كفتان', 'وزن'] } },
+  { emoji: '🦯', category: 'objects', keywords: ['white cane'], localized: { fr: ['canne blanche', 'accessibilité', 'aveugle', 'déficient visuel', 'malvoyant'], ar: ['عصا سير', 'أداة', 'أعمى', 'إمكانية الوصول', 'احتياجات خاصة', 'ضرير', 'كفيف'] } },
+  { emoji: '🔗', category: 'objects', keywords: ['link'], localized: { fr: ['chaînons', 'chaîne', 'maillons', 'mousqueton'], ar: ['علامة رابط', 'حلقتان', 'ربط', 'روابط', 'لينك'] } },
+  { emoji: '⛓️‍💥', category: 'objects', keywords: ['broken chain'], localized: { fr: ['chaîne brisée', 'chaîne', 'chaîne cassée', 'chaîne rompue', 'liberté'], ar: ['سلسلة مكسورة', 'يكسر، كسر، سلسلة، أصفاد، حرية'] } },
+  { emoji: '⛓️', category: 'objects', keywords: ['chains'], localized: { fr: ['chaînes', 'chaîne'], ar: ['سلاسل', 'جنزير', 'سلسلة'] } },
+  { emoji: '🪝', category: 'objects', keywords: ['hook'], localized: { fr: ['crochet', 'accrocher', 'appâter', 'attraper', 'capitaine', 'ferrer', 'hameçon', 'hameçonner'], ar: ['خطاف', 'أداة', 'أشياء', 'إبزيم', 'إلتقاط', 'سمكة', 'صنارة', 'صيد', 'طُعم', 'كبشة', 'كلاب', 'مشبك', 'نقطة شراء'] } },
+  { emoji: '🧰', category: 'objects', keywords: ['toolbox'], localized: { fr: ['boîte à outils', 'caisse à outils', 'coffre', 'mécanique', 'mécano', 'outil', 'outils'], ar: ['صندوق أدوات', 'أداة', 'أدراج', 'أدوات', 'صدر', 'صندوق', 'صندوق أحمر', 'عدة', 'عِدة', 'علبة', 'معدات', 'مفكات', 'ميكانيكي'] } },
+  { emoji: '🧲', category: 'objects', keywords: ['magnet'], localized: { fr: ['aimant', 'aimanter', 'attirer', 'attraction', 'fer à cheval', 'magnet', 'magnétique', 'positif négatif'], ar: ['مغناطيس', 'u', 'جاذبية', 'جذب', 'حدوة', 'حرف u', 'حصان', 'شكل u', 'فرس', 'مغناطيسي', 'هورس شو'] } },
+  { emoji: '🪜', category: 'objects', keywords: ['ladder'], localized: { fr: ['échelle', 'ascension', 'barreau', 'échelon', 'escabeau', 'grimper', 'monter'], ar: ['سلّم', 'أشياء', 'تسلق', 'درج', 'سلم النجاح', 'صعود', 'عارضة', 'متسلق', 'وصولي'] } },
+  { emoji: '🪏', category: 'objects', keywords: ['shovel'], localized: { fr: ['pelle', 'bêche', 'creuser', 'trou'], ar: ['جاروف', 'حفر', 'حفرة', 'رفش', 'مجراف'] } },
+  { emoji: '⚗️', category: 'objects', keywords: ['alembic'], localized: { fr: ['alambic', 'chimie', 'outil'], ar: ['أمبيق', 'أداة', 'اداة', 'انبيق', 'تقطير', 'جهاز تقطير', 'كيمياء', 'مختبر'] } },
+  { emoji: '🧪', category: 'objects', keywords: ['test tube'], localized: { fr: ['tube à essai', 'chimie', 'chimiste', 'expérience', 'expérimentation', 'labo', 'laboratoire', 'réaction', 'science', 'sciences'], ar: ['أنبوب اختبار', 'أنبوب', 'أنبوبة', 'أنبوبة اختبار', 'تجارب', 'تجربة', 'علوم', 'كيمياء', 'كيميائي', 'معمل'] } },
+  { emoji: '🧫', category: 'objects', keywords: ['petri dish'], localized: { fr: ['boîte de pétri', 'bactérie', 'bactériologie', 'biologie', 'biologiste', 'boîte de petri', 'culture', 'labo', 'laboratoire', 'micro-organismes', 'microbiologie', 'science'], ar: ['صحفة بتري', 'أحياء', 'أحيائي', 'باكتيريا', 'بكتيريا', 'بيولوجي', 'بيولوجيا', 'تايه', 'ثقافة', 'طبق بتري', 'عامل دماغ', 'عينة', 'فحص', 'مختبر', 'مش مركز', 'مشوش الذهن', 'معمل'] } },
+  { emoji: '🧬', category: 'objects', keywords: ['dna'], localized: { fr: ['adn', 'biologie', 'biologiste', 'évolution', 'gène', 'génétique', 'science', 'vie'], ar: ['الحامض النووي', 'dna', 'أحيائي', 'الجينوم', 'الحياة', 'بيولوجي', 'تطور', 'جين', 'جينات', 'جيني', 'حلزون', 'حياة', 'دي إن إيه', 'دي ان اي', 'علم الجينات'] } },
+  { emoji: '🔬', category: 'objects', keywords: ['microscope'], localized: { fr: ['microscope', 'expérience', 'laboratoire', 'outil', 'science'], ar: ['ميكروسكوب', 'أداة', 'بحث', 'تجارب', 'طب', 'طبابة', 'علم', 'فحص', 'مختبر'] } },
+  { emoji: '🔭', category: 'objects', keywords: ['telescope'], localized: { fr: ['télescope', 'astronomie', 'espace', 'outil', 'planètes', 'science'], ar: ['تليسكوب', 'أداة', 'سماء', 'علم', 'فضاء', 'معاينة'] } },
+  { emoji: '📡', category: 'objects', keywords: ['satellite antenna', 'satellite'], localized: { fr: ['antenne satellite', 'antenne', 'antenne parabolique', 'parabole', 'satellite', 'science'], ar: ['طبق لاقط', 'هوائي', 'طبق قمر صناعي', 'تواصل', 'دش', 'ساتلايت', 'ستلايت', 'صحن', 'علم', 'قمر صناعي', 'هوائي قمر صناعي'] } },
+  { emoji: '💉', category: 'objects', keywords: ['syringe'], localized: { fr: ['seringue', 'aiguille', 'docteur', 'malade', 'médecine', 'piqûre', 'vaccin', 'vaccination'], ar: ['إبرة حقن', 'إبرة', 'ابرة', 'تلقيح', 'جريب', 'حقنة', 'دواء', 'سرنجة', 'طب', 'طبيب', 'طعم', 'لقاح', 'مرض', 'مريض', 'مطاعيم', 'مطعوم'] } },
+  { emoji: '🩸', category: 'objects', keywords: ['drop of blood'], localized: { fr: ['goutte de sang', 'don du sang', 'médecine', 'menstruation', 'menstruations', 'règles', 'sang'], ar: ['قطرة دم', 'تبرع بالدم', 'جرح', 'حيض', 'طب', 'طمث', 'مختبر', 'نزيف', 'نقطة', 'ينزف'] } },
+  { emoji: '💊', category: 'objects', keywords: ['pill'], localized: { fr: ['pilule', 'docteur', 'gélule', 'malade', 'médecine', 'médicament', 'vitamines'], ar: ['حبوب', 'التهاب', 'انتيبيوتيك', 'جرعة', 'حبة دواء', 'دواء', 'طب', 'طبيب', 'فيتامين', 'مرض', 'مريض'] } },
+  { emoji: '🩹', category: 'objects', keywords: ['adhesive bandage'], localized: { fr: ['sparadrap', 'bandage', 'bobo', 'médecine', 'pansement', 'premiers secours'], ar: ['ضمادة لاصقة', 'ألم', 'إصابة', 'جرح', 'طب', 'لاصقة جروح'] } },
+  { emoji: '🩼', category: 'objects', keywords: ['crutch'], localized: { fr: ['béquille', 'accident', 'aide', 'blessé', 'boiter', 'canne', 'handicap'], ar: ['عكاز', 'إصابة', 'إعاقة', 'ضرر', 'عصا', 'مساعدة', 'وسيلة مساعدة على الحركة'] } },
+  { emoji: '🩺', category: 'objects', keywords: ['stethoscope'], localized: { fr: ['stéthoscope', 'cœur', 'diagnostic', 'docteur', 'médecin', 'médecine', 'poumons'], ar: ['سماعة طبيب', 'أداة', 'دكتور', 'سماعة طبية', 'ضربات القلب', 'طب', 'طبيب', 'قلب', 'كشف', 'نبضات القلب'] } },
+  { emoji: '🩻', category: 'objects', keywords: ['x-ray'], localized: { fr: ['radiographie', 'cage thoracique', 'docteur', 'médical', 'os', 'rayons x', 'squelette'], ar: ['أشعة سينية', 'طبي', 'طبيب', 'عظام', 'هيكل عظمي'] } },
+  { emoji: '🚪', category: 'objects', keywords: ['door'], localized: { fr: ['porte', 'placard', 'porte d’entrée'], ar: ['باب', 'باب امامي', 'باب خلفي', 'خزانة', 'مدخل'] } },
+  { emoji: '🛗', category: 'objects', keywords: ['elevator'], localized: { fr: ['ascenseur', 'accessibilité', 'descente', 'monte-charge', 'monte-personnes', 'montée'], ar: ['مصعد', 'أسانسير', 'أشياء', 'إمكانية الوصول', 'رافع', 'صعود', 'نزول', 'هبوط', 'وصول'] } },
+  { emoji: '🪞', category: 'objects', keywords: ['mirror'], localized: { fr: ['miroir', 'beauté', 'glace', 'image', 'maquillage', 'psyché', 'reflet'], ar: ['مرآة', 'أثاث', 'أدوات', 'أشياء', 'انعكاس', 'تجميل', 'تزيين', 'ديكور', 'عاكس', 'مرآة معدنية'] } },
+  { emoji: '🪟', category: 'objects', keywords: ['window'], localized: { fr: ['fenêtre', 'air frais', 'cadre', 'carreaux', 'ouverture', 'transparent', 'vitre', 'vue'], ar: ['نافذة', 'أشياء', 'إطار', 'إطلالة', 'زجاجي', 'شباك', 'شفاف', 'فتحة', 'منظر', 'نجارة', 'هواء منعش', 'وندوز'] } },
+  { emoji: '🛏️', category: 'objects', keywords: ['bed'], localized: { fr: ['lit', 'dormir', 'hôtel'], ar: ['سرير', 'اوتيل', 'فندق', 'نوم'] } },
+  { emoji: '🛋️', category: 'objects', keywords: ['couch and lamp'], localized: { fr: ['canapé et lampe', 'canapé', 'canapé avec une lampe', 'lampe'], ar: ['كنبة ومصباح', 'استراحة', 'استرخاء', 'اوتيل', 'صوفه', 'فندق', 'كنبة', 'مصباح'] } },
+  { emoji: '🪑', category: 'objects', keywords: ['chair'], localized: { fr: ['chaise', 'assis', 'siège'], ar: ['كرسي', 'أثاث', 'جلس', 'جلوس', 'خشب', 'قعد', 'قعود', 'مقعد', 'يقعد'] } },
+  { emoji: '🚽', category: 'objects', keywords: ['toilet'], localized: { fr: ['toilettes', 'cabinets', 'wc'], ar: ['مرحاض', 'تواليت', 'حمام'] } },
+  { emoji: '🪠', category: 'objects', keywords: ['plunger'], localized: { fr: ['ventouse', 'bouché', 'déboucheur', 'dégorgement', 'outil', 'plombier', 'succion', 'toilettes'], ar: ['مكبس غطاس', 'أدوات', 'أشياء', 'امتصاص', 'حمام', 'سباك', 'سباكة', 'شفط', 'ضغط', 'مرحاض'] } },
+  { emoji: '🚿', category: 'objects', keywords: ['shower'], localized: { fr: ['douche', 'eau', 'pommeau de douche'], ar: ['دوش', 'استحمام شاور', 'بخاخ'] } },
+  { emoji: '🛁', category: 'objects', keywords: ['bathtub'], localized: { fr: ['baignoire', 'bain', 'mousse'], ar: ['حوض استحمام', 'استرخاء', 'بانيو', 'حمام', 'دوش', 'رغوة', 'صابون', 'مغطس'] } },
+  { emoji: '🪤', category: 'objects', keywords: ['mouse trap'], localized: { fr: ['tapette à souris', 'apât', 'appât', 'fromage', 'leurre', 'piège', 'piège à souris', 'rat', 'tapette'], ar: ['مصيدة فئران', 'أشياء', 'أمسك', 'جيري', 'طعم', 'فأر', 'فخ', 'كمين', 'مصيدة'] } },
+  { emoji: '🪒', category: 'objects', keywords: ['razor'], localized: { fr: ['rasoir', 'coupant', 'lame', 'raser', 'tranchant'], ar: ['موس حلاقة', 'أداة', 'حاد', 'حلاقة', 'شفرة'] } },
+  { emoji: '🧴', category: 'objects', keywords: ['lotion bottle'], localized: { fr: ['bouteille de lotion', 'après-shampoing', 'crème hydratante', 'crème pour le corps', 'crème solaire', 'flacon', 'hydratant', 'lotion', 'shampoing', 'shampooing'], ar: ['زجاجة غسول', 'بلسم', 'زجاجة', 'شامبو', 'غسول', 'لوشن', 'مرطب', 'واقي من أشعة الشمس', 'واقي من الشمس'] } },
+  { emoji: '🧷', category: 'objects', keywords: ['safety pin'], localized: { fr: ['épingle de sûreté', 'couche', 'épingle à nourrice', 'épingle de nourrice', 'imperdable', 'lange', 'punk rock'], ar: ['دبوس أمان', 'حفاضة', 'حقيبة بانك روك', 'دبوس', 'دبوس آمن', 'دبوس فرنجي', 'دبوس مشبك'] } },
+  { emoji: '🧹', category: 'objects', keywords: ['broom'], localized: { fr: ['balai', 'balais', 'balayage', 'ménage', 'nettoie', 'nettoyage', 'nettoyé', 'nettoyer', 'sorcière'], ar: ['مكنسة', 'تنظيف', 'ساحر', 'ساحرة', 'ساحرة شريرة', 'كنس', 'مسح', 'مقشة', 'مقشة طائرة'] } },
+  { emoji: '🧺', category: 'objects', keywords: ['basket'], localized: { fr: ['panier', 'agriculture', 'cueillette', 'lessive', 'linge', 'pique-nique'], ar: ['سلة', 'باسكت', 'حصاد', 'رحلة', 'رحلة قصيرة', 'زراعة', 'سَبَت', 'غسيل', 'قش', 'مزرعة', 'يحصد'] } },
+  { emoji: '🧻', category: 'objects', keywords: ['roll of paper'], localized: { fr: ['rouleau de papier', 'essuie-tout', 'papier hygiénique', 'papier toilette', 'rouleau de pq'], ar: ['لفة ورق', 'بكرة', 'بكرة ورق', 'كلينكس', 'مناديل', 'مناديل حمام', 'مناشف ورقية', 'ورق تواليت', 'ورق حمام'] } },
+  { emoji: '🪣', category: 'objects', keywords: ['bucket'], localized: { fr: ['seau', 'conteneur', 'plage'], ar: ['دلو', 'أدوات', 'أشياء', 'برميل', 'تنظيف', 'جردل', 'خابية', 'مسح', 'وعاء'] } },
+  { emoji: '🧼', category: 'objects', keywords: ['soap'], localized: { fr: ['savon', 'bain', 'bulles', 'lavage', 'laver', 'me lave', 'me laver', 'mousse', 'pain de savon', 'porte-savon', 'se lave', 'se laver'], ar: ['صابون', 'استحمام', 'اغتسال', 'تنظيف', 'تنظيفة', 'جلد', 'حمام', 'دش', 'دُش', 'دوش', 'رغوة', 'شامبو', 'شاور', 'طبق صابون', 'قالب', 'لوح صابون', 'نظافة'] } },
+  { emoji: '🫧', category: 'objects', keywords: ['bubbles'], localized: { fr: ['bulles', 'bulle', 'propre', 'savon', 'sous l’eau'], ar: ['فقاعات', 'تحت الماء', 'تنظيف', 'جشاء', 'صابون', 'طفو'] } },
+  { emoji: '🪥', category: 'objects', keywords: ['toothbrush'], localized: { fr: ['brosse à dents', 'brosse', 'brosser les dents', 'dentaire', 'dents', 'hygiène', 'laver', 'laver les dents', 'salle de bain'], ar: ['فرشاة أسنان', 'أداة', 'أسنان', 'أشياء', 'تسوس', 'تنظيف', 'حمام', 'غسيل أسنان', 'فرشاة', 'فم', 'نظافة'] } },
+  { emoji: '🧽', category: 'objects', keywords: ['sponge'], localized: { fr: ['éponge', 'absorbante', 'absorbe', 'laver', 'nettoyage', 'nettoyer', 'poreuse', 'savonner'], ar: ['اسفنجة', 'إسفنج', 'إسفنجة', 'تنظيف', 'حك', 'دعك', 'سفنج', 'سفنجة', 'فراغ', 'فراغات', 'ماص', 'مسام', 'مسامي', 'نظافة', 'نقع'] } },
+  { emoji: '🧯', category: 'objects', keywords: ['fire extinguisher'], localized: { fr: ['extincteur', 'chaud', 'éteindre', 'feu', 'fire', 'incendie'], ar: ['مطفأة حريق', 'إخماد', 'إطفاء', 'حريق', 'طفاية حريق'] } },
+  { emoji: '🛒', category: 'objects', keywords: ['shopping cart'], localized: { fr: ['chariot', 'caddie', 'courses', 'panier', 'shopping', 'supermarché'], ar: ['عربة التسوق', 'تروللي', 'تسوق', 'شراء', 'عربة'] } },
+  { emoji: '🚬', category: 'objects', keywords: ['smoking', 'cigarette'], localized: { fr: ['fumer', 'cigarette', 'cigarette allumée', 'fumeur', 'signe fumeur'], ar: ['تدخين', 'سيجارة', 'إشارة', 'اشارة تدخين', 'مسموح بالتدخين'] } },
+  { emoji: '⚰️', category: 'objects', keywords: ['coffin', 'dead'], localized: { fr: ['cercueil', 'mort', 'enterrement', 'obsèques', 'vampire'], ar: ['تابوت', 'ميت', 'دفن', 'مصاص دماء', 'موت'] } },
+  { emoji: '🪦', category: 'objects', keywords: ['headstone', 'dead'], localized: { fr: ['pierre tombale', 'mort', 'cimetière', 'enterrement', 'funérailles', 'mémorial', 'rip', 'sépulture', 'stèle', 'tombe'], ar: ['شاهد قبر', 'ميت', 'حجر مقبرة', 'أشياء', 'أماكن', 'شاهد', 'شاهد القبر', 'عزاء', 'قبر', 'مقبرة', 'موت', 'نصب تذكاري', 'وفاة'] } },
+  { emoji: '⚱️', category: 'objects', keywords: ['funeral urn'], localized: { fr: ['urne funéraire', 'cendres', 'mort', 'obsèques', 'urne'], ar: ['جرة رماد', 'رماد موتى', 'جنازة', 'رماد', 'وفاة'] } },
+  { emoji: '🧿', category: 'objects', keywords: ['nazar amulet'], localized: { fr: ['nazar', 'amulette', 'mauvais œil', 'l’oeil bleu', 'mauvais oeil', 'nazar boncuk', 'nazarboncuk', 'œil bleu', 'perle', 'superstition', 'talisman', 'talisman turc'], ar: ['نظر', 'تميمة', 'عين الحسود', 'الخرزة الزرقاء', 'أزرق', 'تعويذة', 'حاسد', 'حسد', 'حسود', 'حظ', 'خرزة', 'خرزة زرقاء', 'سحر', 'طلاسم', 'طلسم', 'عمل', 'عين'] } },
+  { emoji: '🪬', category: 'objects', keywords: ['hamsa'], localized: { fr: ['main de fatma', 'amulette', 'chance', 'fatma', 'hamsa', 'khamsa', 'myriam', 'protection'], ar: ['خمسة', 'العذراء', 'تحصين', 'تعويذة', 'حسد', 'حظ', 'حماية', 'فاطمة', 'كف', 'مريم', 'يد'] } },
+  { emoji: '🗿', category: 'objects', keywords: ['moai'], localized: { fr: ['moai', 'île de pâques', 'moaï', 'monolithe', 'statue', 'voyage'], ar: ['تمثال', 'أصنام', 'سفر', 'صنم', 'مواي', 'موياي', 'وجه'] } },
+  { emoji: '🪧', category: 'objects', keywords: ['placard'], localized: { fr: ['pancarte', 'affiche', 'écriteau', 'grève', 'manifestation', 'panneau', 'protestation', 'signe'], ar: ['يافطة', 'أشياء', 'إعلان', 'اعتصام', 'تعليمات', 'سبورة', 'لافتة', 'لوحة', 'مظاهرة'] } },
+  { emoji: '🪪', category: 'objects', keywords: ['identification card'], localized: { fr: ['carte d’identité', 'justificatif', 'papiers', 'permis de conduire', 'pièce d’identité', 'sécurité'], ar: ['بطاقة الهوية', 'أمان', 'بطاقة تعريف شخصية', 'بيانات اعتماد', 'تحديد الهوية', 'تحقيق الشخصية', 'رخصة'] } },
   // --- SYMBOLS ---
-  { emoji: '❤️', category: 'symbols', keywords: ['red heart', 'love'] },
-  { emoji: '🧡', category: 'symbols', keywords: ['orange heart'] },
-  { emoji: '💛', category: 'symbols', keywords: ['yellow heart'] },
-  { emoji: '💚', category: 'symbols', keywords: ['green heart'] },
-  { emoji: '💙', category: 'symbols', keywords: ['blue heart'] },
-  { emoji: '💜', category: 'symbols', keywords: ['purple heart'] },
-  { emoji: '🖤', category: 'symbols', keywords: ['black heart'] },
-  { emoji: '🤍', category: 'symbols', keywords: ['white heart'] },
-  { emoji: '🤎', category: 'symbols', keywords: ['brown heart'] },
-  { emoji: '💔', category: 'symbols', keywords: ['broken heart'] },
-  { emoji: '❣️', category: 'symbols', keywords: ['heart exclamation'] },
-  { emoji: '💕', category: 'symbols', keywords: ['two hearts'] },
-  { emoji: '💞', category: 'symbols', keywords: ['revolving hearts'] },
-  { emoji: '💓', category: 'symbols', keywords: ['beating heart'] },
-  { emoji: '💗', category: 'symbols', keywords: ['growing heart'] },
-  { emoji: '💖', category: 'symbols', keywords: ['sparkling heart'] },
-  { emoji: '💘', category: 'symbols', keywords: ['heart with arrow'] },
-  { emoji: '💝', category: 'symbols', keywords: ['heart with ribbon'] },
-  { emoji: '💟', category: 'symbols', keywords: ['heart decoration'] },
-  { emoji: '☮️', category: 'symbols', keywords: ['peace symbol'] },
-  { emoji: '✝️', category: 'symbols', keywords: ['latin cross'] },
-  { emoji: '☪️', category: 'symbols', keywords: ['star and crescent'] },
-  { emoji: '🕉️', category: 'symbols', keywords: ['om'] },
-  { emoji: '☸️', category: 'symbols', keywords: ['wheel of dharma'] },
-  { emoji: '✡️', category: 'symbols', keywords: ['star of david'] },
-  { emoji: '🔯', category: 'symbols', keywords: ['six pointed star with dot'] },
-  { emoji: '🕎', category: 'symbols', keywords: ['menorah'] },
-  { emoji: '☯️', category: 'symbols', keywords: ['yin yang'] },
-  { emoji: '☦️', category: 'symbols', keywords: ['orthodox cross'] },
-  { emoji: '🛐', category: 'symbols', keywords: ['place of worship'] },
-  { emoji: '⛎', category: 'symbols', keywords: ['ophiuchus'] },
-  { emoji: '♈', category: 'symbols', keywords: ['aries'] },
-  { emoji: '♉', category: 'symbols', keywords: ['taurus'] },
-  { emoji: '♊', category: 'symbols', keywords: ['gemini'] },
-  { emoji: '♋', category: 'symbols', keywords: ['cancer'] },
-  { emoji: '♌', category: 'symbols', keywords: ['leo'] },
-  { emoji: '♍', category: 'symbols', keywords: ['virgo'] },
-  { emoji: '♎', category: 'symbols', keywords: ['libra'] },
-  { emoji: '♏', category: 'symbols', keywords: ['scorpio'] },
-  { emoji: '♐', category: 'symbols', keywords: ['射手座', 'sagittarius'] },
-  { emoji: '♑', category: 'symbols', keywords: ['capricorn'] },
-  { emoji: '♒', category: 'symbols', keywords: ['aquarius'] },
-  { emoji: '♓', category: 'symbols', keywords: ['pisces'] },
-  { emoji: '🆔', category: 'symbols', keywords: ['id'] },
-  { emoji: '⚛️', category: 'symbols', keywords: ['atom symbol'] },
-  { emoji: '🉑', category: 'symbols', keywords: ['japanese acceptable button'] },
-  { emoji: '☢️', category: 'symbols', keywords: ['radioactive'] },
-  { emoji: '☣️', category: 'symbols', keywords: ['biohazard'] },
-  { emoji: '📴', category: 'symbols', keywords: ['mobile phone off'] },
-  { emoji: '📳', category: 'symbols', keywords: ['vibration mode'] },
-  { emoji: '🈶', category: 'symbols', keywords: ['japanese not free of charge button'] },
-  { emoji: '🈚', category: 'symbols', keywords: ['japanese free of charge button'] },
-  { emoji: '🈸', category: 'symbols', keywords: ['japanese application button'] },
-  { emoji: '🈺', category: 'symbols', keywords: ['japanese open for business button'] },
-  { emoji: '🈷️', category: 'symbols', keywords: ['japanese monthly amount button'] },
-  { emoji: '✴️', category: 'symbols', keywords: ['eight pointed star'] },
-  { emoji: '🆚', category: 'symbols', keywords: ['vs button'] },
-  { emoji: '💮', category: 'symbols', keywords: ['white flower'] },
-  { emoji: '🉐', category: 'symbols', keywords: ['japanese advantageous button'] },
-  { emoji: '㊙️', category: 'symbols', keywords: ['japanese secret button'] },
-  { emoji: '㊗️', category: 'symbols', keywords: ['japanese congratulations button'] },
-  { emoji: '🈴', category: 'symbols', keywords: ['japanese passing grade button'] },
-  { emoji: '🈵', category: 'symbols', keywords: ['japanese no vacancy button'] },
-  { emoji: '🈹', category: 'symbols', keywords: ['japanese discount button'] },
-  { emoji: '🈲', category: 'symbols', keywords: ['japanese prohibited button'] },
-  { emoji: '🅰️', category: 'symbols', keywords: ['a button blood type'] },
-  { emoji: '🅱️', category: 'symbols', keywords: ['b button blood type'] },
-  { emoji: 'AB', category: 'symbols', keywords: ['ab button blood type'] },
-  { emoji: '🆎', category: 'symbols', keywords: ['ab button'] },
-  { emoji: '🅾️', category: 'symbols', keywords: ['o button blood type'] },
-  { emoji: '🆘', category: 'symbols', keywords: ['sos button'] },
-  { emoji: '❌', category: 'symbols', keywords: ['cross mark', 'no'] },
-  { emoji: '⭕', category: 'symbols', keywords: ['heavy large circle'] },
-  { emoji: '🛑', category: 'symbols', keywords: ['stop sign'] },
-  { emoji: '⛔', category: 'symbols', keywords: ['no entry'] },
-  { emoji: '📛', category: 'symbols', keywords: ['name badge'] },
-  { emoji: '🚫', category: 'symbols', keywords: ['prohibited'] },
-  { emoji: '💯', category: 'symbols', keywords: ['100'] },
-  { emoji: '💢', category: 'symbols', keywords: ['anger'] },
-  { emoji: '♨️', category: 'symbols', keywords: ['hot springs'] },
-  { emoji: '🚷', category: 'symbols', keywords: ['no pedestrians'] },
-  { emoji: '🚯', category: 'symbols', keywords: ['no littering'] },
-  { emoji: '🚳', category: 'symbols', keywords: ['no bicycles'] },
-  { emoji: '🚱', category: 'symbols', keywords: ['non-potable water'] },
-  { emoji: '🔞', category: 'symbols', keywords: ['no one under eighteen'] },
-  { emoji: '📵', category: 'symbols', keywords: ['no mobile phones'] },
-  { emoji: '🚭', category: 'symbols', keywords: ['no smoking'] },
-  { emoji: '❗', category: 'symbols', keywords: ['exclamation mark'] },
-  { emoji: '❕', category: 'symbols', keywords: ['white exclamation mark'] },
-  { emoji: '❓', category: 'symbols', keywords: ['question mark'] },
-  { emoji: '❔', category: 'symbols', keywords: ['white question mark'] },
-  { emoji: '‼️', category: 'symbols', keywords: ['double exclamation mark'] },
-  { emoji: '⁉️', category: 'symbols', keywords: ['exclamation question mark'] },
-  { emoji: '🔅', category: 'symbols', keywords: ['dim button'] },
-  { emoji: '🔆', category: 'symbols', keywords: ['bright button'] },
-  { emoji: '〽️', category: 'symbols', keywords: ['part alternation mark'] },
-  { emoji: '⚠️', category: 'symbols', keywords: ['warning', 'danger'] },
-  { emoji: '🚸', category: 'symbols', keywords: ['children crossing'] },
-  { emoji: '🔱', category: 'symbols', keywords: ['trident emblem'] },
-  { emoji: '⚜️', category: 'symbols', keywords: ['fleur-de-lis'] },
-  { emoji: '🔰', category: 'symbols', keywords: ['japanese symbol for beginner'] },
-  { emoji: '♻️', category: 'symbols', keywords: ['recycling symbol'] },
-  { emoji: '✅', category: 'symbols', keywords: ['check mark button', 'ok'] },
-  { emoji: '🈯', category: 'symbols', keywords: ['japanese reserved button'] },
-  { emoji: '💹', category: 'symbols', keywords: ['chart increasing with yen'] },
-  { emoji: '❇️', category: 'symbols', keywords: ['sparkle'] },
-  { emoji: '✳️', category: 'symbols', keywords: ['eight-spoked asterisk'] },
-  { emoji: '❎', category: 'symbols', keywords: ['cross mark button'] },
-  { emoji: '🌐', category: 'symbols', keywords: ['globe with meridians'] },
-  { emoji: '💠', category: 'symbols', keywords: ['diamond with a dot'] },
-  { emoji: 'Ⓜ️', category: 'symbols', keywords: ['circled m'] },
-  { emoji: '🌀', category: 'symbols', keywords: ['cyclone', 'twist'] },
-  { emoji: '💤', category: 'symbols', keywords: ['zzz'] },
-  { emoji: '🏧', category: 'symbols', keywords: ['atm sign'] },
-  { emoji: '🚾', category: 'symbols', keywords: ['water closet', 'wc'] },
-  { emoji: '♿', category: 'symbols', keywords: ['wheelchair symbol'] },
-  { emoji: '🅿️', category: 'symbols', keywords: ['p button parking'] },
-  { emoji: '🈳', category: 'symbols', keywords: ['japanese vacancy button'] },
-  { emoji: '🈂️', category: 'symbols', keywords: ['japanese service charge button'] },
-  { emoji: '🛂', category: 'symbols', keywords: ['passport control'] },
-  { emoji: '🛃', category: 'symbols', keywords: ['customs'] },
-  { emoji: '🛄', category: 'symbols', keywords: ['baggage claim'] },
-  { emoji: '🛅', category: 'symbols', keywords: ['left luggage'] },
-  { emoji: '🚹', category: 'symbols', keywords: ['men’s room'] },
-  { emoji: '🚺', category: 'symbols', keywords: ['women’s room'] },
-  { emoji: '🚼', category: 'symbols', keywords: ['baby symbol'] },
-  { emoji: '⚧️', category: 'symbols', keywords: ['transgender symbol'] },
-  { emoji: '🚻', category: 'symbols', keywords: ['restroom'] },
-  { emoji: '🚮', category: 'symbols', keywords: ['litter in bin symbol'] },
-  { emoji: '👣', category: 'symbols', keywords: ['footprints'] },
-  { emoji: '🚻', category: 'symbols', keywords: ['toilet'] }
+  { emoji: '🏧', category: 'symbols', keywords: ['atm sign'], localized: { fr: ['distributeur', 'guichet automatique', 'distributeur de billets', 'argent', 'banque', 'dab', 'distributeur automatiques de billets', 'retrait'], ar: ['صراف آلي', 'علامة ماكينة صرف آلي', 'atm', 'بنك', 'صرف آلي', 'علامة صراف آلي', 'علامة ماكينة صراف آلي', 'فلوس', 'كاش', 'ماكينة صرف آلي', 'مال', 'مصرف'] } },
+  { emoji: '🚮', category: 'symbols', keywords: ['litter in bin symbol', 'litter in bin sign'], localized: { fr: ['poubelle', 'symbole', 'icône poubelle', 'corbeille', 'déchets', 'jeter'], ar: ['سلة المهملات', 'رمز', 'إشارة صندوق النفايات', 'إشارة', 'اشارة', 'صندوق نفايات', 'ضع النفايات في مكانها'] } },
+  { emoji: '🚰', category: 'symbols', keywords: ['potable water'], localized: { fr: ['eau potable', 'eau', 'eau du robinet', 'robinet'], ar: ['مياه صالحة للشرب', 'إشارة مياه شرب', 'حنفية', 'شرب', 'عطش', 'كوب ماء', 'مياه شرب'] } },
+  { emoji: '♿', category: 'symbols', keywords: ['wheelchair symbol'], localized: { fr: ['fauteuil roulant', 'symbole accès handicapés', 'accès', 'accès handicapés', 'mobilité réduite'], ar: ['كرسي متحرك', 'إشارة', 'دخول', 'رمز', 'رمز كرسي متحرك'] } },
+  { emoji: '🚹', category: 'symbols', keywords: ['men’s room'], localized: { fr: ['toilettes hommes', 'symbole toilettes hommes', 'homme', 'symbole homme', 'toilettes', 'wc'], ar: ['حمام الرجال', 'للرجال', 'إشارة', 'تواليت', 'علامة رجال', 'غرفة رجال', 'مرحاض'] } },
+  { emoji: '🚺', category: 'symbols', keywords: ['women’s room'], localized: { fr: ['toilettes femmes', 'symbole toilettes femmes', 'femme', 'symbole femme', 'toilettes', 'wc'], ar: ['حمام النساء', 'للسيدات', 'wc', 'إشارة', 'حمام', 'رمز', 'علامة سيدات', 'غرفة سيدات', 'للبنات'] } },
+  { emoji: '🚻', category: 'symbols', keywords: ['restroom', 'toilet'], localized: { fr: ['toilettes', 'panneau toilettes', 'wc'], ar: ['حمامات', 'دورة مياه', 'wc', 'إشارة مرحاض', 'اشارة مرحاض', 'بيت الخلاء', 'حمام', 'خلاء', 'رمز', 'مرحاض'] } },
+  { emoji: '🚼', category: 'symbols', keywords: ['baby symbol'], localized: { fr: ['bébé', 'symbole', 'symbole bébé', 'espace de change'], ar: ['رضيع', 'رمز', 'إشارة طفل', 'اشارة طفل', 'طفل', 'طفل داخل السيارة', 'محطة تغيير ملابس أطفال', 'ولد'] } },
+  { emoji: '🚾', category: 'symbols', keywords: ['water closet', 'wc'], localized: { fr: ['toilettes', 'wc'], ar: ['دورة مياه', 'حمام', 'wc', 'بيت الخلاء', 'خزانة', 'خلاء', 'رمز', 'مرحاض'] } },
+  { emoji: '🛂', category: 'symbols', keywords: ['passport control'], localized: { fr: ['contrôle des passeports', 'contrôle', 'passeport'], ar: ['مراقبة الجوازات', 'مراقبة جوازات السفر', 'باسبور', 'جواز سفر', 'رمز', 'سفر', 'مراقبة'] } },
+  { emoji: '🛃', category: 'symbols', keywords: ['customs'], localized: { fr: ['douane', 'douanes'], ar: ['جمارك', 'جمرك', 'رمز'] } },
+  { emoji: '🛄', category: 'symbols', keywords: ['baggage claim'], localized: { fr: ['retrait des bagages', 'aéroport', 'arrivée', 'avion', 'bagages', 'valise', 'voyage'], ar: ['استلام الأمتعة', 'استرداد الحقائب', 'حقائب', 'شناط'] } },
+  { emoji: '🛅', category: 'symbols', keywords: ['left luggage'], localized: { fr: ['consigne', 'bagages', 'casier', 'clé', 'valise'], ar: ['أمانات الأمتعة', 'أمتعة', 'امتعة', 'تخزين', 'حفظ حقائب', 'حقائب سفر', 'خدمة حقائب السفر', 'خزانة', 'رمز', 'سفر', 'شنط', 'مطار'] } },
+  { emoji: '⚠️', category: 'symbols', keywords: ['warning', 'danger'], localized: { fr: ['attention', 'danger', 'symbole d’avertissement', 'avertissement'], ar: ['تحذير', 'خطر', 'إشارة تحذير', 'إشارة', 'اشارة', 'تنبيه', 'رمز'] } },
+  { emoji: '🚸', category: 'symbols', keywords: ['children crossing'], localized: { fr: ['passage d\'enfants', 'traversée d’enfants', 'circulation', 'école', 'enfants', 'piétons'], ar: ['عبور أطفال', 'أطفال', 'إشارة', 'اشارة سير', 'رمز', 'عبور', 'ممر عبور', 'ممر مشاة'] } },
+  { emoji: '⛔', category: 'symbols', keywords: ['no entry'], localized: { fr: ['sens interdit', 'circulation', 'entrée interdite', 'interdiction', 'interdit', 'non', 'panneau'], ar: ['ممنوع الدخول', 'اشارة حمراء', 'بتاتا', 'رمز', 'غير مسموح', 'كلا', 'ممنوع', 'ممنوع المرور'] } },
+  { emoji: '🚫', category: 'symbols', keywords: ['prohibited'], localized: { fr: ['interdit', 'symbole d’interdiction', 'entrée interdite', 'interdiction'], ar: ['ممنوع', 'إشارة', 'رمز', 'غير مسموح', 'كلا', 'ممنوع الدخول'] } },
+  { emoji: '🚳', category: 'symbols', keywords: ['no bicycles'], localized: { fr: ['interdit aux vélos', 'vélos interdits', 'bicyclette', 'interdiction', 'interdit', 'vélo'], ar: ['ممنوع الدراجات', 'ممنوع ركوب الدراجات', 'بسكلات', 'دراجة', 'دراجة هوائية', 'رمز', 'مركبة', 'ممنوع البسكلتة'] } },
+  { emoji: '🚭', category: 'symbols', keywords: ['no smoking'], localized: { fr: ['interdit de fumer', 'interdiction de fumer', 'cigarette barrée', 'fumer', 'interdiction', 'interdit'], ar: ['ممنوع التدخين', 'إشارة', 'إشارة ممنوع التدخين', 'اشارة', 'رمز', 'عدم التدخين'] } },
+  { emoji: '🚯', category: 'symbols', keywords: ['no littering'], localized: { fr: ['interdit de jeter', 'dépôt d’ordures interdit', 'déchets', 'interdiction', 'interdit', 'ne pas jeter'], ar: ['ممنوع رمي النفايات', 'ممنوع وضع النفايات', 'إشارة', 'إشارة لا تضع نفايات', 'حافظ على نظافة', 'رمز', 'لا ترم النفايات', 'لا ترم نقايات', 'لا تضع نفايات', 'لا نفايات', 'نظافة'] } },
+  { emoji: '🚱', category: 'symbols', keywords: ['non-potable water'], localized: { fr: ['eau non potable', 'eau', 'imbuvable', 'interdiction', 'interdit', 'ne pas boire'], ar: ['مياه غير صالحة للشرب', 'جفاف', 'غير صالحة للشرب', 'مياه'] } },
+  { emoji: '🚷', category: 'symbols', keywords: ['no pedestrians'], localized: { fr: ['interdit aux piétons', 'interdiction', 'interdit'], ar: ['ممنوع المشاة', 'ممنوع سير المشاة', 'إشارة', 'اشارة سير', 'رمز', 'ليس للمشاة', 'مشاة'] } },
+  { emoji: '📵', category: 'symbols', keywords: ['no mobile phones'], localized: { fr: ['téléphones interdits', 'téléphones portables interdits', 'interdiction', 'interdit', 'portable', 'téléphone'], ar: ['ممنوع الهواتف', 'ممنوع استخدام الهاتف الجوال', 'جوال', 'خلوي', 'رمز', 'عدم استعمال الهاتف', 'ممنوع استخدام الهاتف الخلوي', 'ممنوع الاتصال', 'نقال', 'هاتف'] } },
+  { emoji: '🔞', category: 'symbols', keywords: ['no one under eighteen'], localized: { fr: ['interdit aux moins de dix-huit ans', '18 ans et plus', 'dix-huit', 'interdiction', 'interdit', 'interdit aux mineurs', 'limite d’âge', 'majorité', 'mineur'], ar: ['ممنوع لأقل من ثمانية عشر', 'ممنوع لأقل من 18 عامًا', '18', 'أقل من 18', 'اقل من ١٨', 'رمز', 'غير مسموح للقاصرين', 'قاصر', 'ممنوع أقل من 18'] } },
+  { emoji: '☢️', category: 'symbols', keywords: ['radioactive'], localized: { fr: ['radioactif', 'radioactivité', 'symbole'], ar: ['مشع', 'إشعاع', 'إشارة', 'اشارة', 'اشعة', 'رمز'] } },
+  { emoji: '☣️', category: 'symbols', keywords: ['biohazard'], localized: { fr: ['danger biologique', 'danger', 'symbole'], ar: ['خطر بيولوجي', 'خطورة بيولوجية', 'إشارة', 'اشارة', 'خطر أحيائي', 'رمز'] } },
+  { emoji: '⬆️', category: 'symbols', keywords: ['up arrow'], localized: { fr: ['flèche haut', 'direction', 'flèche', 'nord', 'sens'], ar: ['سهم لأعلى', 'اتجاه', 'رمز', 'سهم', 'شمال', 'كاردينال'] } },
+  { emoji: '↗️', category: 'symbols', keywords: ['up-right arrow'], localized: { fr: ['flèche haut droite', 'direction', 'flèche', 'nord-est', 'sens'], ar: ['سهم لأعلى اليمين', 'اتجاه', 'رمز', 'سهم', 'سهم لاعلى اليمين', 'شمال شرق'] } },
+  { emoji: '➡️', category: 'symbols', keywords: ['right arrow'], localized: { fr: ['flèche droite', 'direction', 'droite', 'est', 'flèche', 'sens'], ar: ['سهم لليمين', 'اتجاه', 'رمز', 'سهم', 'شرق', 'كاردينال'] } },
+  { emoji: '↘️', category: 'symbols', keywords: ['down-right arrow'], localized: { fr: ['flèche bas droite', 'direction', 'flèche', 'sens', 'sud-est'], ar: ['سهم لأسفل اليمين', 'اتجاه', 'جنوب شرق', 'رمز', 'سهم', 'سهم لاسفل اليمين'] } },
+  { emoji: '⬇️', category: 'symbols', keywords: ['down arrow'], localized: { fr: ['flèche bas', 'direction', 'flèche', 'sens', 'sud'], ar: ['سهم لأسفل', 'اتجاه', 'جنوب', 'رمز', 'سهم', 'كاردينال'] } },
+  { emoji: '↙️', category: 'symbols', keywords: ['down-left arrow'], localized: { fr: ['flèche bas gauche', 'direction', 'flèche', 'sens', 'sud-ouest'], ar: ['سهم لأسفل اليسار', 'اتجاه', 'جنوب غرب', 'رمز', 'سهم', 'سهم لاسفل اليسار', 'كاردينال'] } },
+  { emoji: '⬅️', category: 'symbols', keywords: ['left arrow'], localized: { fr: ['flèche gauche', 'direction', 'flèche', 'ouest', 'sens'], ar: ['سهم لليسار', 'اتجاه', 'سهم', 'غرب', 'كاردينال'] } },
+  { emoji: '↖️', category: 'symbols', keywords: ['up-left arrow'], localized: { fr: ['flèche haut gauche', 'direction', 'flèche', 'nord-ouest', 'sens'], ar: ['سهم لأعلى اليسار', 'اتجاه', 'رمز', 'سهم', 'سهم لاعلى اليسار', 'شمال غرب', 'كاردينال'] } },
+  { emoji: '↕️', category: 'symbols', keywords: ['up-down arrow'], localized: { fr: ['flèche haut bas', 'flèche', 'flèche dans les deux sens'], ar: ['سهم لأعلى وأسفل', 'رمز', 'سهم'] } },
+  { emoji: '↔️', category: 'symbols', keywords: ['left-right arrow'], localized: { fr: ['flèche gauche droite', 'flèche'], ar: ['سهم لليسار واليمين', 'رمز', 'سهم'] } },
+  { emoji: '↩️', category: 'symbols', keywords: ['right arrow curving left'], localized: { fr: ['flèche courbe gauche', 'flèche'], ar: ['سهم أيمن بانحناء أيسر', 'رمز', 'سهم', 'سهم أيسر بانحناء أيمن', 'سهم باتجاه اليسار', 'سهم منحن'] } },
+  { emoji: '↪️', category: 'symbols', keywords: ['left arrow curving right'], localized: { fr: ['flèche courbe droite', 'flèche'], ar: ['سهم أيسر بانحناء أيمن', 'رمز', 'سهم', 'سهم أيمن بانحناء أيسر', 'سهم باتجاه اليمين', 'سهم منحن'] } },
+  { emoji: '⤴️', category: 'symbols', keywords: ['right arrow curving up'], localized: { fr: ['flèche courbe haut', 'flèche', 'flèche courbe vers la droite et le haut'], ar: ['سهم لأعلى من اليسار', 'رمز', 'سهم', 'سهم باتجاه الشمال', 'سهم صاعد'] } },
+  { emoji: '⤵️', category: 'symbols', keywords: ['right arrow curving down'], localized: { fr: ['flèche courbe bas', 'bas', 'flèche'], ar: ['سهم لأسفل من اليسار', 'رمز', 'سهم', 'سهم باتجاه الجنوب', 'لأسفل'] } },
+  { emoji: '🔃', category: 'symbols', keywords: ['clockwise vertical arrows'], localized: { fr: ['flèches dans le sens horaire', 'actualiser', 'flèche', 'sens des aiguilles d’une montre', 'sens horaire', 'symbole recharger'], ar: ['سهمان رأسيان مع عقارب الساعة', 'أسهم رأسية مع عقارب الساعة', 'أسهم عمودية باتجاه عقارب الساعة', 'اعادة تحميل', 'رمز', 'علامة إعادة تحميل'] } },
+  { emoji: '🔄', category: 'symbols', keywords: ['counterclockwise arrows button'], localized: { fr: ['flèches dans le sens antihoraire', 'actualiser', 'flèche', 'flèches', 'retour', 'sens antihoraire', 'sens contraire des aiguilles d’une montre', 'sens horaire inverse', 'sens inverse des aiguilles d’une montre'], ar: ['زر عكس اتجاه عقارب الساعة', 'أسهم', 'اعادة تحميل', 'رمز', 'سهم', 'عكس اتجاه عقارب الساعة', 'مجددا', 'يعيد نفسه'] } },
+  { emoji: '🔙', category: 'symbols', keywords: ['back arrow'], localized: { fr: ['flèche retour', 'flèche', 'flèche vers la gauche', 'retour'], ar: ['سهم رجوع', 'رجوع', 'رجوع مع سهم أيسر', 'سهم', 'سهم أيسر'] } },
+  { emoji: '🔚', category: 'symbols', keywords: ['end arrow'], localized: { fr: ['flèche fin', 'fin', 'flèche', 'flèche vers la gauche'], ar: ['سهم النهاية', 'النهاية', 'الى اليسار', 'انتهاء', 'انتهاء مع سهم أيسر', 'ايسر', 'رمز', 'سهم', 'سهم أيسر'] } },
+  { emoji: '🔛', category: 'symbols', keywords: ['on! arrow'], localized: { fr: ['flèche activé', 'activé', 'droite et gauche', 'flèche', 'flèche dans les deux sens'], ar: ['سهم تشغيل', 'تشغيل مع علامة تعجب وسهم', 'تعجب', 'رمز', 'سهم', 'علامة تعجب'] } },
+  { emoji: '🔜', category: 'symbols', keywords: ['soon arrow'], localized: { fr: ['flèche bientôt', 'bientôt', 'flèche'], ar: ['سهم علامة قريبًا', 'راجع', 'سهم', 'علامة قريبًا', 'عودة', 'قريباً', 'قريبًا', 'قريبًا مع سهم أيمن'] } },
+  { emoji: '🔝', category: 'symbols', keywords: ['top arrow'], localized: { fr: ['flèche en haut', 'flèche', 'flèche vers le haut', 'haut'], ar: ['السهم لأعلى', 'أعلى', 'أعلى مع سهم لأعلى', 'اعلى', 'توب', 'رمز', 'سهم لأعلى', 'علامة أعلى', 'موجب'] } },
+  { emoji: '🛐', category: 'symbols', keywords: ['place of worship'], localized: { fr: ['lieu de culte', 'culte', 'prier', 'religion'], ar: ['مكان عبادة', 'دين', 'رمز', 'صلاة', 'عبادة', 'مصلى'] } },
+  { emoji: '⚛️', category: 'symbols', keywords: ['atom symbol'], localized: { fr: ['atome', 'symbole de l’atome', 'athée'], ar: ['ذرة', 'نووي', 'إلحاد', 'رمز', 'نواة'] } },
+  { emoji: '🕉️', category: 'symbols', keywords: ['om'], localized: { fr: ['om', 'hindou', 'religion'], ar: ['أوم', 'دين هندوسي', 'دين', 'رمز', 'هندوسي'] } },
+  { emoji: '✡️', category: 'symbols', keywords: ['star of david'], localized: { fr: ['étoile de david', 'david', 'étoile', 'judaïsme', 'juif', 'juive', 'religion'], ar: ['نجمة داود', 'نجمة داوود', 'داوود', 'دين', 'رمز', 'نجم', 'يهود', 'يهودي'] } },
+  { emoji: '☸️', category: 'symbols', keywords: ['wheel of dharma'], localized: { fr: ['roue du dharma', 'bouddhisme', 'bouddhiste', 'dharma', 'religion', 'roue', 'roue de dharma'], ar: ['عجلة الدارما', 'عجلة دارما', 'بوذي', 'دارما', 'دين', 'رمز', 'عجلة'] } },
+  { emoji: '☯️', category: 'symbols', keywords: ['yin yang'], localized: { fr: ['yin yang', 'complémentaire', 'religion', 'tao', 'taoïsme', 'yang', 'yin'], ar: ['يين يانغ', 'نصفان متكاملان', 'تكامل', 'دين', 'رمز', 'صعب'] } },
+  { emoji: '✝️', category: 'symbols', keywords: ['latin cross'], localized: { fr: ['croix latine', 'chrétien', 'chrétienne', 'croix', 'religion'], ar: ['صليب لاتيني', 'جلجلة', 'دين', 'رمز', 'صليب', 'عيد الفصح', 'فصح', 'كاثوليك', 'مسيح', 'مسيحي'] } },
+  { emoji: '☦️', category: 'symbols', keywords: ['orthodox cross'], localized: { fr: ['croix orthodoxe', 'chrétien', 'chrétienne', 'croix', 'religion'], ar: ['صليب أرثوذكسي', 'صليب أرثوزوكس', 'دين', 'رمز', 'صليب', 'مسيحية'] } },
+  { emoji: '☪️', category: 'symbols', keywords: ['star and crescent'], localized: { fr: ['étoile et croissant', 'lune et étoile', 'étoile', 'islam', 'lune', 'musulman', 'musulmane', 'ramadan', 'religion'], ar: ['نجمة وهلال', 'هلال ونجمة', 'إسلام', 'دين', 'رمز', 'مسلم'] } },
+  { emoji: '☮️', category: 'symbols', keywords: ['peace symbol'], localized: { fr: ['symbole de paix', 'paix', 'paix et amour', 'peace and love'], ar: ['رمز السلام', 'رمز سلام', 'رمز', 'سلام', 'شفاء'] } },
+  { emoji: '🕎', category: 'symbols', keywords: ['menorah'], localized: { fr: ['ménorah', 'chandelier à sept branches', 'candélabre', 'chandelier', 'hanoucca', 'hanoukka', 'judaïsme', 'juif', 'juive', 'menora', 'menorah', 'religion'], ar: ['شمعدان', 'شمعدان شعار اليهودية', 'دين', 'دين يهودي', 'شموع', 'هانوكا'] } },
+  { emoji: '🔯', category: 'symbols', keywords: ['six pointed star with dot', 'dotted six-pointed star'], localized: { fr: ['étoile à six branches', 'étoile à 6 branches', 'chance', 'étoile', 'judaïsme', 'juif', 'juive'], ar: ['نجمة سداسية', 'تنجيم', 'حط', 'رمز', 'نجمة', 'يهود'] } },
+  { emoji: '🪯', category: 'symbols', keywords: ['khanda'], localized: { fr: ['khanda', 'deg tegh fateh', 'foi', 'khalsa', 'religion', 'sikh', 'sikhisme'], ar: ['خندا', 'إيمان سيخي', 'السيخ', 'ديانة', 'ديغ تيغ فاتح', 'عقيدة سيخية'] } },
+  { emoji: '♈', category: 'symbols', keywords: ['aries'], localized: { fr: ['bélier', 'bélier zodiaque', 'astrologie', 'horoscope', 'zodiaque'], ar: ['الحمل', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♉', category: 'symbols', keywords: ['taurus'], localized: { fr: ['taureau', 'astrologie', 'horoscope', 'zodiaque'], ar: ['الثور', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♊', category: 'symbols', keywords: ['gemini'], localized: { fr: ['gémeaux', 'astrologie', 'horoscope', 'zodiaque'], ar: ['الجوزاء', 'أبراج', 'الأبراج', 'برج', 'توأم', 'رمز'] } },
+  { emoji: '♋', category: 'symbols', keywords: ['cancer'], localized: { fr: ['cancer', 'astrologie', 'crabe', 'horoscope', 'zodiaque'], ar: ['السرطان', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♌', category: 'symbols', keywords: ['leo'], localized: { fr: ['lion', 'astrologie', 'horoscope', 'zodiaque'], ar: ['الأسد', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♍', category: 'symbols', keywords: ['virgo'], localized: { fr: ['vierge', 'astrologie', 'horoscope', 'zodiaque'], ar: ['العذراء', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♎', category: 'symbols', keywords: ['libra'], localized: { fr: ['balance', 'astrologie', 'horoscope', 'justice', 'zodiaque'], ar: ['الميزان', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♏', category: 'symbols', keywords: ['scorpio'], localized: { fr: ['scorpion', 'scorpion zodiaque', 'astrologie', 'horoscope', 'zodiaque'], ar: ['العقرب', 'أبراج', 'الأبراج', 'برج'] } },
+  { emoji: '♐', category: 'symbols', keywords: ['射手座', 'sagittarius'], localized: { fr: ['sagittaire', 'astrologie', 'horoscope', 'zodiaque'], ar: ['القوس', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♑', category: 'symbols', keywords: ['capricorn'], localized: { fr: ['capricorne', 'astrologie', 'chèvre', 'horoscope', 'zodiaque'], ar: ['الجدي', 'أبراج', 'الأبراج', 'برج', 'رمز', 'عنزة', 'ماعز', 'معزاية'] } },
+  { emoji: '♒', category: 'symbols', keywords: ['aquarius'], localized: { fr: ['verseau', 'astrologie', 'eau', 'horoscope', 'zodiaque'], ar: ['الدلو', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '♓', category: 'symbols', keywords: ['pisces'], localized: { fr: ['poissons', 'astrologie', 'horoscope', 'zodiaque'], ar: ['الحوت', 'أبراج', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '⛎', category: 'symbols', keywords: ['ophiuchus'], localized: { fr: ['serpentaire', 'ophiuchus', 'serpent', 'zodiaque'], ar: ['الحواء', 'الأبراج', 'برج', 'رمز'] } },
+  { emoji: '🔀', category: 'symbols', keywords: ['shuffle tracks button'], localized: { fr: ['bouton lecture aléatoire', 'flèche', 'flèches croisées', 'lecture aléatoire'], ar: ['زر أسهم متداخلة', 'أسهم', 'أسهم يمنى متداخلة', 'خلط'] } },
+  { emoji: '🔁', category: 'symbols', keywords: ['repeat button'], localized: { fr: ['bouton répétition', 'bouton répéter', 'flèche', 'flèches en cercle', 'répéter', 'sens des aiguilles d’une montre', 'sens horaire'], ar: ['زر تكرار', 'أسهم', 'اتجاه عقارب الساعة', 'تكرار'] } },
+  { emoji: '🔂', category: 'symbols', keywords: ['repeat single button'], localized: { fr: ['bouton répétition de la piste', 'flèche', 'flèches en cercle avec n°1', 'répéter', 'répéter une fois', 'sens des aiguilles d’une montre', 'sens horaire'], ar: ['زر تكرار مرة واحدة', 'أسهم باتجاه عقارب الساعة مع رقم 1', 'باتجاه عقرب الساعة', 'تكرار مرة واحدة', 'رمز', 'سهم', 'مرة واحدة'] } },
+  { emoji: '▶️', category: 'symbols', keywords: ['play button'], localized: { fr: ['bouton lecture', 'droite', 'flèche', 'lecture', 'lire', 'triangle'], ar: ['زر تشغيل', 'تشغيل', 'زر', 'سهم', 'مثلث', 'يمين'] } },
+  { emoji: '⏩', category: 'symbols', keywords: ['fast-forward button'], localized: { fr: ['bouton avance rapide', 'avance', 'avance rapide', 'bouton', 'double flèche', 'flèche avance rapide'], ar: ['زر تقديم سريع', 'تقديم سريع', 'رمز', 'زر', 'سهم', 'سهم مزدوج لليمين', 'يمين'] } },
+  { emoji: '⏭️', category: 'symbols', keywords: ['next track button'], localized: { fr: ['bouton piste suivante', 'bouton suivant', 'double flèche', 'piste suivante', 'scène suivante', 'suivant', 'triangle'], ar: ['زر التالي', 'التالي', 'المشهد التالي', 'المقطع التالي', 'رمز', 'زر', 'سهم', 'مثلث'] } },
+  { emoji: '⏯️', category: 'symbols', keywords: ['play or pause button'], localized: { fr: ['bouton lecture/pause', 'flèche', 'lecture', 'pause', 'triangle'], ar: ['زر تشغيل أو إيقاف مؤقت', 'إيقاف مؤقت', 'تشغيل', 'تشغيل أو إيقاف مؤقت', 'رمز', 'زر', 'سهم', 'مثلث', 'يمين'] } },
+  { emoji: '◀️', category: 'symbols', keywords: ['reverse button'], localized: { fr: ['bouton retour', 'flèche', 'gauche', 'retour', 'triangle'], ar: ['زر ترجيع', 'ترجيع', 'زر', 'سهم', 'مثلث', 'يسار'] } },
+  { emoji: '⏪', category: 'symbols', keywords: ['fast reverse button'], localized: { fr: ['bouton retour rapide', 'bouton', 'double flèche', 'flèche', 'flèche retour rapide', 'retour', 'retour rapide'], ar: ['زر ترجيع سريع', 'ترجيع سريع', 'رمز', 'زر', 'سهم', 'سهم مزدوج لليسار', 'يسار'] } },
+  { emoji: '⏮️', category: 'symbols', keywords: ['last track button'], localized: { fr: ['bouton piste précédente', 'bouton précédent', 'flèche', 'piste précédente', 'précédent', 'scène précédente', 'triangle'], ar: ['زر آخر مقطع', 'آخر مقطع', 'المشهد السابق', 'المقطع السابق', 'رمز', 'زر', 'سهم', 'مثلث'] } },
+  { emoji: '🔼', category: 'symbols', keywords: ['upwards button'], localized: { fr: ['petit triangle haut', 'bouton haut', 'flèche', 'haut'], ar: ['زر لأعلى', 'زر', 'لأعلى', 'مثلث'] } },
+  { emoji: '⏫', category: 'symbols', keywords: ['fast up button'], localized: { fr: ['double flèche vers le haut', 'flèche double', 'flèche vers le haut', 'haut', 'rapide'], ar: ['زر سريع لأعلى', 'أعلى', 'رمز', 'زر', 'سريع لأعلى', 'سهم', 'سهم مزدوج لأعلى'] } },
+  { emoji: '🔽', category: 'symbols', keywords: ['downwards button'], localized: { fr: ['petit triangle bas', 'bas', 'bouton bas', 'flèche'], ar: ['زر لأسفل', 'رمز', 'زر', 'لأسفل', 'مثلث'] } },
+  { emoji: '⏬', category: 'symbols', keywords: ['fast down button'], localized: { fr: ['double flèche vers le bas', 'bas', 'flèche double', 'flèche vers le bas', 'rapide'], ar: ['زر سريع لأسفل', 'أسفل', 'رمز', 'زر', 'سريع لأسفل', 'سهم'] } },
+  { emoji: '⏸️', category: 'symbols', keywords: ['pause button'], localized: { fr: ['bouton pause', 'pause'], ar: ['زر إيقاف مؤقت', 'شريط', 'ضعف', 'متوازٍ', 'وقف'] } },
+  { emoji: '⏹️', category: 'symbols', keywords: ['stop button'], localized: { fr: ['bouton stop', 'carré', 'stop'], ar: ['زر إيقاف', 'إيقاف', 'زر', 'مربع'] } },
+  { emoji: '⏺️', category: 'symbols', keywords: ['record button'], localized: { fr: ['bouton enregistrer', 'cercle', 'enregistrement', 'enregistrer', 'point blanc'], ar: ['زر تسجيل', 'تسجيل', 'دائرة', 'زر'] } },
+  { emoji: '⏏️', category: 'symbols', keywords: ['eject button'], localized: { fr: ['bouton éjecter', 'éjecter'], ar: ['زر إخراج', 'خروج'] } },
+  { emoji: '🎦', category: 'symbols', keywords: ['cinema'], localized: { fr: ['cinéma', 'caméra', 'film'], ar: ['سينما', 'ترفيه', 'فيلم', 'كاميرا', 'موفي'] } },
+  { emoji: '🔅', category: 'symbols', keywords: ['dim button'], localized: { fr: ['luminosité faible', 'brillance', 'lumière', 'luminosité', 'soleil'], ar: ['سطوع منخفض', 'زر سطوع منخفض', 'اقل سطوع', 'رمز', 'زر', 'سطوع', 'معتم', 'منخفض'] } },
+  { emoji: '🔆', category: 'symbols', keywords: ['bright button'], localized: { fr: ['luminosité forte', 'luminosité élevée', 'brillance', 'lumière', 'luminosité', 'soleil'], ar: ['سطوع عالي', 'زر سطوع مرتفع', 'حرارة', 'رمز', 'زر', 'زر السطوع', 'ساطع', 'سطوع', 'سطوع مرتفع', 'شمس', 'مشمس'] } },
+  { emoji: '📶', category: 'symbols', keywords: ['antenna bars'], localized: { fr: ['barres de réseau', 'communication', 'couverture', 'portable', 'réception', 'réseau', 'téléphone'], ar: ['إشارات هوائي', 'أنتين', 'إشارات الجوال', 'إشارة', 'الإشارة', 'تواصل', 'جوال', 'خلوي', 'شبكة', 'قوة الإشارة', 'مؤشر بأشرطة', 'هاتف'] } },
+  { emoji: '🛜', category: 'symbols', keywords: ['wireless'], localized: { fr: ['sans fil', 'connexion', 'haut débit', 'hotspot', 'internet', 'ordinateur', 'réseau', 'routeur', 'smartphone', 'wi-fi', 'wifi', 'wlan'], ar: ['اتصال لاسلكي', 'wlan', 'إنترنت', 'شبكة', 'كمبيوتر', 'نطاق واسع', 'نقطة اتصال', 'هاتف ذكي', 'واي فاي'] } },
+  { emoji: '📳', category: 'symbols', keywords: ['vibration mode'], localized: { fr: ['mode vibreur', 'communication', 'portable', 'téléphone', 'vibreur'], ar: ['وضع الاهتزاز', 'وضع اهتزاز', 'تليفون', 'جوال', 'رمز', 'هاتف', 'هاتف خلوي', 'هاتف نقال', 'وضع'] } },
+  { emoji: '📴', category: 'symbols', keywords: ['mobile phone off'], localized: { fr: ['téléphone éteint', 'éteindre', 'portable', 'téléphone'], ar: ['هاتف مغلق', 'إغلاق الجوال', 'اغلاق الجوال', 'تليفون', 'جوال', 'رمز', 'هاتف خلوي', 'هاتف مطفي'] } },
+  { emoji: '♀️', category: 'symbols', keywords: ['female sign'], localized: { fr: ['symbole de la femme', 'femme'], ar: ['رمز أنثى', 'مؤنث'] } },
+  { emoji: '♂️', category: 'symbols', keywords: ['male sign'], localized: { fr: ['symbole de l’homme', 'homme'], ar: ['رمز ذكر', 'مذكر'] } },
+  { emoji: '⚧️', category: 'symbols', keywords: ['transgender symbol'], localized: { fr: ['symbole transgenre', 'symbole de la communauté transgenre', 'transgenre'], ar: ['رمز العابرين جنسيا', 'رمز المتحوّلين جنسيًا', 'متحوّل جنسيًا', 'متحوّلة جنسيًا'] } },
+  { emoji: '✖️', category: 'symbols', keywords: ['multiply'], localized: { fr: ['signe multiplier', '*', '×', 'annuler', 'croix noire', 'multiplication', 'multiplier', 'non', 'x'], ar: ['علامة ضرب', '×', 'x', 'إلغاء', 'خطا', 'رمز', 'ضرب', 'علامة ضرب سميكة', 'مضاعفة'] } },
+  { emoji: '➕', category: 'symbols', keywords: ['plus'], localized: { fr: ['plus', '+', 'addition', 'ajouter', 'arithmétique', 'mathématiques', 'signe plus', 'somme'], ar: ['علامة جمع', '+', 'بلس', 'جمع', 'رمز', 'رياضيات', 'زائد', 'علامة', 'علامة جمع عريضة'] } },
+  { emoji: '➖', category: 'symbols', keywords: ['minus'], localized: { fr: ['moins', '-', '−', 'arithmétique', 'mathématiques', 'signe moins', 'soustraction', 'soustraire'], ar: ['علامة طرح', '−', 'رمز', 'رياضيات', 'طرح', 'علامة', 'علامة طرح عريضة', 'ناقص'] } },
+  { emoji: '➗', category: 'symbols', keywords: ['divide'], localized: { fr: ['signe diviser', '÷', 'algèbre', 'diviser', 'division', 'math', 'mathématique', 'mathématiques', 'signe'], ar: ['علامة قسمة', '÷', 'تقسيم', 'رمز', 'رياضيات', 'علامة', 'علامة قسمة عريضة', 'قسمة'] } },
+  { emoji: '🟰', category: 'symbols', keywords: ['heavy equals sign'], localized: { fr: ['signe égal gras', 'égal', 'égalité', 'mathématiques', 'réponse'], ar: ['علامة يساوي قاتمة', 'إجابة', 'رياضيات', 'علامة التساوي', 'يساوي'] } },
+  { emoji: '♾️', category: 'symbols', keywords: ['infinity'], localized: { fr: ['infini', 'éternité', 'illimité', 'universel'], ar: ['اللا نهاية', 'إلى الأبد', 'اللا نهائية', 'المالا نهاية', 'مالا نهاية'] } },
+  { emoji: '‼️', category: 'symbols', keywords: ['double exclamation mark'], localized: { fr: ['double point d\'exclamation', 'double point d’exclamation', '!', '!!', 'exclamation', 'point', 'ponctuation', 'surprise'], ar: ['علامتا تعجب', 'تعجب مزدوج', 'تعجب', 'رمز', 'علامة', 'ما هذا؟', 'مدهش'] } },
+  { emoji: '⁉️', category: 'symbols', keywords: ['exclamation question mark'], localized: { fr: ['exclamation interrogation', 'points d’exclamation et d’interrogation', '!', '!?', '?', 'exclamation', 'interrogation', 'point d’exclamation et d’interrogation', 'ponctuation', 'question', 'surprise'], ar: ['تعجب واستفهام', 'استفهام', 'التعجب', 'ترقيم', 'رمز', 'علامة', 'ماذا؟'] } },
+  { emoji: '❓', category: 'symbols', keywords: ['question mark', 'red question mark'], localized: { fr: ['point d\'interrogation', 'point d’interrogation rouge', '?', 'interrogation', 'point d’interrogation', 'ponctuation', 'question'], ar: ['علامة استفهام', 'علامة استفهام حمراء', 'استفهام', 'ترقيم', 'رمز', 'سؤال', 'علامة سؤال'] } },
+  { emoji: '❔', category: 'symbols', keywords: ['white question mark'], localized: { fr: ['point d\'interrogation blanc', 'point d’interrogation blanc', '?', 'interrogation', 'ponctuation', 'question'], ar: ['علامة استفهام بيضاء', 'استفهام', 'ترقيم', 'رمز', 'علامة سؤال'] } },
+  { emoji: '❕', category: 'symbols', keywords: ['white exclamation mark'], localized: { fr: ['point d\'exclamation blanc', 'point d’exclamation blanc', '!', 'exclamation', 'ponctuation', 'surprise'], ar: ['علامة تعجب بيضاء', 'ترقيم', 'تعجب', 'رمز', 'علامة تعجب'] } },
+  { emoji: '❗', category: 'symbols', keywords: ['exclamation mark', 'red exclamation mark'], localized: { fr: ['point d\'exclamation', 'point d’exclamation rouge', '!', 'exclamation', 'point d’exclamation', 'ponctuation'], ar: ['علامة تعجب', 'علامة تعجب حمراء', 'ترقيم', 'تعجب', 'رمز', 'علامة'] } },
+  { emoji: '〰️', category: 'symbols', keywords: ['wavy dash'], localized: { fr: ['ligne ondulée', 'ponctuation', 'tiret', 'trait d’union ondulé', 'vague'], ar: ['شرطة مموجة', 'رمز', 'شرطة', 'علامة', 'علامة صوت طويل', 'مموج'] } },
+  { emoji: '💱', category: 'symbols', keywords: ['currency exchange'], localized: { fr: ['conversion de devise', 'argent', 'banque', 'change', 'conversion', 'devise'], ar: ['صرف عملة', 'أموال', 'بنك', 'تبديل عملات', 'تغيير عملة', 'عملة', 'فلوس', 'مال', 'مصاري', 'مصرف', 'نقود'] } },
+  { emoji: '💲', category: 'symbols', keywords: ['heavy dollar sign'], localized: { fr: ['symbole dollar', 'argent', 'devise', 'dollar', 'espèces', 'payer'], ar: ['علامة دولار', 'أموال', 'ثروة', 'دفع', 'دولار', 'فلوس', 'كاش', 'مال'] } },
+  { emoji: '⚕️', category: 'symbols', keywords: ['medical symbol'], localized: { fr: ['caducée', 'docteur', 'esculape', 'médecine', 'personnel'], ar: ['رمز طبي', 'رمز', 'صيدلية', 'طب', 'فريق', 'فريق طبي'] } },
+  { emoji: '♻️', category: 'symbols', keywords: ['recycling symbol'], localized: { fr: ['recyclage', 'symbole recyclage'], ar: ['إعادة تدوير', 'رمز تدوير', 'إشارة', 'اعادة تدوير', 'تدوير', 'صلبة', 'علامة تدوير النفايات الصلبة'] } },
+  { emoji: '⚜️', category: 'symbols', keywords: ['fleur-de-lis'], localized: { fr: ['fleur de lys', 'blason', 'fleur de lis', 'reine', 'roi', 'royauté française'], ar: ['زهرة الزنبق', 'زنبقة', 'رمز', 'زهرة', 'فارس', 'كشاف'] } },
+  { emoji: '🔱', category: 'symbols', keywords: ['trident emblem'], localized: { fr: ['trident', 'ancre', 'bateau', 'fourche', 'mer', 'poséidon'], ar: ['رمح ثلاثي', 'رمز ثلاثي الشعب', 'اداة', 'رمز', 'سفينة', 'شعار', 'علم', 'مرساة'] } },
+  { emoji: '📛', category: 'symbols', keywords: ['name badge'], localized: { fr: ['badge nominatif', 'badge', 'nom'], ar: ['شارة اسم', 'ملصق اسم', 'اسم', 'رمز', 'ستيكر اسم', 'ملصق'] } },
+  { emoji: '🔰', category: 'symbols', keywords: ['japanese symbol for beginner'], localized: { fr: ['débutant', 'symbole japonais de débutant', 'chevron', 'chevron jaune et vert', 'symbole japonais'], ar: ['مبتدئ', 'ورقة خضراء وصفراء', 'أخضر وأصفر', 'شوفرون', 'ورقة', 'ياباني'] } },
+  { emoji: '⭕', category: 'symbols', keywords: ['heavy large circle', 'hollow red circle'], localized: { fr: ['grand cercle', 'cercle rouge', '0', 'anneau', 'cercle', 'gros cercle', 'o', 'rouge'], ar: ['دائرة كبيرة', 'دائرة كبيرة سميكة', 'o', 'دائرة', 'شكل هندسي'] } },
+  { emoji: '✅', category: 'symbols', keywords: ['check mark button', 'ok'], localized: { fr: ['coche', 'ok', 'bouton coché', '✓', 'carré', 'coche blanche', 'marque', 'oui', 'sélection', 'terminé', 'voilà'], ar: ['علامة صح', 'حسنا', 'زر علامة تحديد', 'تحديد', 'تم', 'صح', 'علامة تحديد', 'علامة تحديد بيضاء'] } },
+  { emoji: '☑️', category: 'symbols', keywords: ['check box with check'], localized: { fr: ['case cochée', '✓', 'bouton', 'carré', 'coche', 'ok', 'oui', 'sélection', 'terminé', 'voilà'], ar: ['مربع اختيار محدد', 'اختيار', 'اشارة صح', 'اقتراع', 'رمز', 'صح', 'مربع', 'مربع اقتراع محدد'] } },
+  { emoji: '✔️', category: 'symbols', keywords: ['check mark'], localized: { fr: ['coche', '✓', 'coche noire', 'ok', 'oui', 'sélection', 'terminé', 'voilà'], ar: ['علامة صح', 'تحديد', 'تم', 'رمز', 'علامة', 'مشي الحال'] } },
+  { emoji: '❌', category: 'symbols', keywords: ['cross mark', 'no'], localized: { fr: ['croix', 'non', '×', 'annuler', 'croix rouge', 'multiplication', 'multiplier', 'x'], ar: ['علامة خطأ', 'لا', 'علامة x', 'x', 'إلغاء', 'اكس', 'رمز', 'ضرب', 'علامة', 'مضاعفة'] } },
+  { emoji: '❎', category: 'symbols', keywords: ['cross mark button'], localized: { fr: ['bouton croix', '×', 'croix', 'multiplier', 'vert', 'x'], ar: ['زر علامة خطأ', 'علامة x في مربع', 'رمز', 'ضرب', 'علامة', 'مربع', 'مضاعفة'] } },
+  { emoji: '➰', category: 'symbols', keywords: ['curly loop'], localized: { fr: ['boucle', 'bouclette'], ar: ['عقدة', 'أنشوطة', 'رمز'] } },
+  { emoji: '➿', category: 'symbols', keywords: ['double curly loop'], localized: { fr: ['double boucle', 'boucle'], ar: ['عقدة مزدوجة', 'اتصال مجاني', 'اليابان', 'رمز', 'عقدة'] } },
+  { emoji: '〽️', category: 'symbols', keywords: ['part alternation mark'], localized: { fr: ['marque d\'alternance', 'alternance', 'symbole'], ar: ['علامة التناوب', 'بديل', 'جزء', 'رمز', 'علامة'] } },
+  { emoji: '✳️', category: 'symbols', keywords: ['eight-spoked asterisk'], localized: { fr: ['astérisque', 'astérisque huit branches', '*', 'astérique', 'astérique huit branches', 'étoile', 'huit'], ar: ['نجمة', 'نجمة ثمانية', '*', 'رمز'] } },
+  { emoji: '✴️', category: 'symbols', keywords: ['eight pointed star', 'eight-pointed star'], localized: { fr: ['étoile à huit branches', 'étoile huit branches', '*', 'astérisque', 'étoile', 'huit'], ar: ['نجمة ثمانية', 'نجمة بثمان نقاط', '*', 'رمز', 'نجمة', 'نجمة بثمان رؤوس'] } },
+  { emoji: '❇️', category: 'symbols', keywords: ['sparkle'], localized: { fr: ['étincelle', 'éclat', '*', 'briller', 'étinceler', 'scintiller'], ar: ['بريق', 'ومضة', 'رمز', 'شرارة', 'لامع'] } },
+  { emoji: '©️', category: 'symbols', keywords: ['copyright'], localized: { fr: ['symbole copyright', '©', 'c', 'copyright', 'droits d’auteur', 'propriété intellectuelle'], ar: ['علامة حقوق نشر', 'حقوق طبع', 'رمز'] } },
+  { emoji: '®️', category: 'symbols', keywords: ['registered'], localized: { fr: ['marque déposée', '®', 'marque commerciale', 'r'], ar: ['مسجَّل', 'رمز', 'علامة التسجيل', 'مسجل'] } },
+  { emoji: '™️', category: 'symbols', keywords: ['trade mark'], localized: { fr: ['marque commerciale déposée', 'marque déposée', 'tm'], ar: ['إشارة علامة تجارية', 'إشارة', 'رمز', 'علامة تجارية'] } },
+  { emoji: '🫟', category: 'symbols', keywords: ['splatter'], localized: { fr: ['éclaboussure', 'holi', 'peinture', 'tache'], ar: ['بقعة', 'انسكاب', 'بخ', 'بقع', 'حبر', 'دهان', 'سائل', 'سكب', 'طلاء'] } },
+  { emoji: '#️⃣', category: 'symbols', keywords: ['keycap #'], localized: { fr: ['touches #', 'touches'], ar: ['مفتاح #', 'مفتاح'] } },
+  { emoji: '*️⃣', category: 'symbols', keywords: ['keycap *'], localized: { fr: ['touches *', 'touches'], ar: ['مفتاح *', 'مفتاح'] } },
+  { emoji: '0️⃣', category: 'symbols', keywords: ['keycap 0'], localized: { fr: ['touches 0', '0', 'touches', 'zéro'], ar: ['مفتاح 0', '0', 'صفر', 'مفتاح'] } },
+  { emoji: '1️⃣', category: 'symbols', keywords: ['keycap 1'], localized: { fr: ['touches 1', '1', 'touches', 'un'], ar: ['مفتاح 1', '1', 'مفتاح', 'واحد'] } },
+  { emoji: '2️⃣', category: 'symbols', keywords: ['keycap 2'], localized: { fr: ['touches 2', '2', 'deux', 'touches'], ar: ['مفتاح 2', '2', 'إثنان', 'مفتاح'] } },
+  { emoji: '3️⃣', category: 'symbols', keywords: ['keycap 3'], localized: { fr: ['touches 3', '3', 'touches', 'trois'], ar: ['مفتاح 3', '3', 'ثلاثة', 'مفتاح'] } },
+  { emoji: '4️⃣', category: 'symbols', keywords: ['keycap 4'], localized: { fr: ['touches 4', '4', 'quatre', 'touches'], ar: ['مفتاح 4', '4', 'أربعة', 'مفتاح'] } },
+  { emoji: '5️⃣', category: 'symbols', keywords: ['keycap 5'], localized: { fr: ['touches 5', '5', 'cinq', 'touches'], ar: ['مفتاح 5', '5', 'خمسة', 'مفتاح'] } },
+  { emoji: '6️⃣', category: 'symbols', keywords: ['keycap 6'], localized: { fr: ['touches 6', '6', 'six', 'touches'], ar: ['مفتاح 6', '6', 'ستة', 'مفتاح'] } },
+  { emoji: '7️⃣', category: 'symbols', keywords: ['keycap 7'], localized: { fr: ['touches 7', '7', 'sept', 'touches'], ar: ['مفتاح 7', '7', 'سبعة', 'مفتاح'] } },
+  { emoji: '8️⃣', category: 'symbols', keywords: ['keycap 8'], localized: { fr: ['touches 8', '8', 'huit', 'touches'], ar: ['مفتاح 8', '8', 'ثمانية', 'مفتاح'] } },
+  { emoji: '9️⃣', category: 'symbols', keywords: ['keycap 9'], localized: { fr: ['touches 9', '9', 'neuf', 'touches'], ar: ['مفتاح 9', '9', 'تسعة', 'مفتاح'] } },
+  { emoji: '🔟', category: 'symbols', keywords: ['keycap 10'], localized: { fr: ['touches 10', 'touches'], ar: ['مفتاح 10', 'مفتاح'] } },
+  { emoji: '🔠', category: 'symbols', keywords: ['input latin uppercase'], localized: { fr: ['majuscules', 'abcd', 'alphabet latin', 'lettres', 'lettres latines', 'saisie', 'saisie en lettres majuscules'], ar: ['أحرف كبيرة', 'ابجدية انجليزية', 'ابجدية انكليزية', 'احرف الابجدية', 'حرف لاتيني كبير', 'رمز', 'زر'] } },
+  { emoji: '🔡', category: 'symbols', keywords: ['input latin lowercase'], localized: { fr: ['minuscules', 'abcd', 'alphabet latin', 'lettre', 'lettres', 'lettres latines', 'saisie', 'saisie de lettres minuscules'], ar: ['أحرف صغيرة', 'حرف لاتيني صغير'] } },
+  { emoji: '🔢', category: 'symbols', keywords: ['input numbers'], localized: { fr: ['saisie de chiffres', '1234', 'chiffres', 'saisie'], ar: ['أرقام', '١٢٣٤', 'أرقام إدخال', 'أعداد', 'ارقام', 'رقم', 'رمز', 'زر ادخال', 'عدد'] } },
+  { emoji: '🔣', category: 'symbols', keywords: ['input symbols'], localized: { fr: ['saisie de symboles', 'saisie', 'symboles'], ar: ['رموز', '&٪', 'ادخال', 'اشارة حساب', 'رمز', 'رموز إدخال', 'زر'] } },
+  { emoji: '🔤', category: 'symbols', keywords: ['input latin letters'], localized: { fr: ['alphabet latin', 'abc', 'alphabet', 'lettres', 'saisie', 'saisie de lettres'], ar: ['أبجدية لاتينية', 'abc', 'أبجدية إدخال لاتينية', 'إنجليزي', 'ابجدية انجليزية', 'احرف الابجدية الانكليزية', 'ادخال', 'اي بي سي', 'رمز', 'زر', 'لاتيني'] } },
+  { emoji: '🅰️', category: 'symbols', keywords: ['a button blood type', 'a button (blood type)'], localized: { fr: ['bouton a', 'groupe sanguin', 'groupe sanguin a', 'a'], ar: ['زر أ', 'فصيلة دم', 'زر a', 'إيه', 'رمز', 'فئة دم', 'فصيلة'] } },
+  { emoji: '🆎', category: 'symbols', keywords: ['ab button', 'ab button (blood type)'], localized: { fr: ['bouton ab', 'groupe sanguin ab', 'ab', 'groupe sanguin'], ar: ['زر أب', 'زر ab (فئة الدم)', 'إيه بي', 'رمز', 'زر ab', 'فئة دم', 'فصيلة', 'فصيلة دم'] } },
+  { emoji: '🅱️', category: 'symbols', keywords: ['b button blood type', 'b button (blood type)'], localized: { fr: ['bouton b', 'groupe sanguin', 'groupe sanguin b', 'b'], ar: ['زر ب', 'فصيلة دم', 'زر b', 'بي', 'دم', 'فصيلة'] } },
+  { emoji: '🆑', category: 'symbols', keywords: ['cl button'], localized: { fr: ['bouton effacer', 'cl', 'effacer', 'icône effacer'], ar: ['مسح داخل مربع', 'زر', 'مسح'] } },
+  { emoji: '🆒', category: 'symbols', keywords: ['cool button'], localized: { fr: ['bouton cool', 'cool', 'icône cool'], ar: ['بارد داخل مربع', 'بارد', 'حلو', 'رائع', 'لطيف', 'يا عين'] } },
+  { emoji: '🆓', category: 'symbols', keywords: ['free button'], localized: { fr: ['bouton gratuit', 'gratuit', 'icône gratuit'], ar: ['زر "مجاني"', 'free', 'حر', 'زر', 'كلمة free في مربع', 'مجاني'] } },
+  { emoji: 'ℹ️', category: 'symbols', keywords: ['information'], localized: { fr: ['source d’informations', 'guichet d’informations', 'i', 'informations'], ar: ['مصدر معلومات', 'رمز', 'معلومات'] } },
+  { emoji: '🆔', category: 'symbols', keywords: ['id', 'id button'], localized: { fr: ['identité', 'bouton identifiant', 'bouton', 'icône identifiant', 'id', 'identifiant'], ar: ['هوية', 'زر "معرّف الهويّة"', 'id', 'id في مربع', 'رمز'] } },
+  { emoji: 'Ⓜ️', category: 'symbols', keywords: ['circled m'], localized: { fr: ['m cerclé', 'métro', 'm encerclé', 'cercle', 'm'], ar: ['حرف م في دائرة', 'مترو', 'حرف إم', 'إم', 'حرف ام', 'حرف ميم', 'دائرة'] } },
+  { emoji: '🆕', category: 'symbols', keywords: ['new button'], localized: { fr: ['bouton nouveau', 'icône nouveau', 'nouveau', 'nouveauté'], ar: ['زر "جديد"', 'new', 'جديد', 'رمز', 'زر', 'كلمة new في مربع'] } },
+  { emoji: '🆖', category: 'symbols', keywords: ['ng button'], localized: { fr: ['bouton pas bien', 'bouton ng', 'interdit', 'mauvais', 'ng'], ar: ['زر "غير جيد"', 'ng', 'ng في مربع', 'رمز', 'غير جيد', 'غير صالح', 'ما زابط', 'مش منيح', 'مو زابط', 'مو منيح'] } },
+  { emoji: '🅾️', category: 'symbols', keywords: ['o button blood type', 'o button (blood type)'], localized: { fr: ['bouton o', 'groupe sanguin', 'groupe sanguin o', 'o'], ar: ['زر o', 'فصيلة دم', 'رمز', 'فئة دم', 'فصيلة أو'] } },
+  { emoji: '🆗', category: 'symbols', keywords: ['ok button'], localized: { fr: ['bouton ok', 'icône ok', 'ok'], ar: ['زر "موافق"', 'ok', 'ok في مربع', 'اوكي', 'رمز', 'موافق'] } },
+  { emoji: '🅿️', category: 'symbols', keywords: ['p button parking', 'p button'], localized: { fr: ['bouton p', 'parking', 'bouton', 'p', 'panneau parking'], ar: ['زر p', 'موقف سيارات', 'انتظار سيارات', 'انتظار', 'رمز', 'زر', 'كاراج', 'موقف'] } },
+  { emoji: '🆘', category: 'symbols', keywords: ['sos button'], localized: { fr: ['sos', 'au secours', 'bouton sos', 'à l’aide', 'icône sos'], ar: ['استغاثة', 'نجدة', 'زر "طوارئ"', 'sos', 'sos في مربع', 'أنقذوني', 'إسعاف', 'النجدة', 'مساعدة'] } },
+  { emoji: '🆙', category: 'symbols', keywords: ['up! button'], localized: { fr: ['bouton vers le haut', 'icône nouveauté', 'nouveau', 'nouveauté', 'up'], ar: ['أعلى', 'رمز', 'علامة', 'فوق'] } },
+  { emoji: '🆚', category: 'symbols', keywords: ['vs button'], localized: { fr: ['contre', 'versus', 'bouton vs', 'icône contre', 'vs'], ar: ['ضد', 'مقابل', 'زر', 'في مقابل'] } },
+  { emoji: '🈁', category: 'symbols', keywords: ['japanese “here” button'], localized: { fr: ['bouton ici en japonais', 'ici', 'idéogramme', 'idéogramme katakana ici', 'japonais'], ar: ['هنا بالياباني في مربع', 'رمز', 'ياباني'] } },
+  { emoji: '🈂️', category: 'symbols', keywords: ['japanese service charge button', 'japanese “service charge” button'], localized: { fr: ['bouton frais de service', 'bouton frais de service en japonais', 'frais de service', 'idéogramme katakana', 'japonais'], ar: ['زر رسوم الخدمة', 'الزر /خدمة برسوم/ باليابانية', 'مجاناً', 'مجاني', 'ياباني'] } },
+  { emoji: '🈷️', category: 'symbols', keywords: ['japanese monthly amount button', 'japanese “monthly amount” button'], localized: { fr: ['bouton mensuel', 'bouton montant mensuel en japonais', 'idéogramme', 'japonais', 'montant mensuel'], ar: ['زر شهري', 'الزر /مبلغ شهري/ باليابانية', 'اليابانية', 'رمز', 'رموز بالصينية', 'زر', 'قيمة الشهرية باليابانية', 'ياباني'] } },
+  { emoji: '🈶', category: 'symbols', keywords: ['japanese not free of charge button', 'japanese “not free of charge” button'], localized: { fr: ['bouton payant', 'bouton pas gratuit en japonais', 'idéogramme', 'japonais', 'pas gratuit', 'payant'], ar: ['زر غير مجاني', 'الزر /غير مجاني/ باليابانية', 'رمز', 'رموز بالصينية', 'زر', 'زر ليس مجانيا باليابانية', 'ليس مجانا باليابانية', 'يابان', 'ياباني'] } },
+  { emoji: '🈯', category: 'symbols', keywords: ['japanese reserved button', 'japanese “reserved” button'], localized: { fr: ['bouton réservé', 'bouton réservé en japonais', 'idéogramme', 'japonais', 'réservé'], ar: ['زر محجوز', 'الزر /محجوز/ باليابانية', 'الياباني', 'رمز', 'محجوز باليابانية'] } },
+  { emoji: '🉐', category: 'symbols', keywords: ['japanese advantageous button', 'japanese “bargain” button'], localized: { fr: ['bouton avantage', 'bouton bonne affaire en japonais', 'bonne affaire', 'idéogramme', 'idéogramme avantage', 'japonais'], ar: ['زر مفيد', 'الزر /صفقة/ باليابانية', 'اليابان', 'رمز', 'ميزة باليابانية'] } },
+  { emoji: '🈹', category: 'symbols', keywords: ['japanese discount button', 'japanese “discount” button'], localized: { fr: ['bouton réduction', 'bouton réduction en japonais', 'idéogramme', 'japonais', 'rabais', 'réduction'], ar: ['زر خصم', 'الزر /خصم/ باليابانية', 'باليابانية', 'حسم باليابانية', 'رمز', 'رموز بالصينية', 'زر حسم باليابانية'] } },
+  { emoji: '🈚', category: 'symbols', keywords: ['japanese free of charge button', 'japanese “free of charge” button'], localized: { fr: ['bouton gratuit', 'bouton gratuit en japonais', 'gratuit', 'idéogramme', 'japonais'], ar: ['زر مجاني', 'الزر /مجاناً/ باليابانية', 'الياباني', 'مجاني', 'ياباتي'] } },
+  { emoji: '🈲', category: 'symbols', keywords: ['japanese prohibited button', 'japanese “prohibited” button'], localized: { fr: ['bouton interdit', 'bouton interdit en japonais', 'idéogramme', 'idéogramme interdit', 'japonais'], ar: ['زر ممنوع', 'الزر /ممنوع/ باليابانية', 'رمز', 'منع باليابانية', 'ياباني'] } },
+  { emoji: '🉑', category: 'symbols', keywords: ['japanese acceptable button', 'japanese “acceptable” button'], localized: { fr: ['bouton acceptable', 'bouton accepter en japonais', 'acceptable', 'accepter', 'idéogramme', 'japonais'], ar: ['زر مقبول', 'الزر /مقبول/ باليابانية', 'صينية', 'مقبول باليابانية', 'ياباني'] } },
+  { emoji: '🈸', category: 'symbols', keywords: ['japanese application button', 'japanese “application” button'], localized: { fr: ['bouton candidature', 'bouton application en japonais', 'application', 'idéogramme', 'idéogramme appliquer', 'japonais'], ar: ['زر تقديم', 'الزر /تطبيق/ باليابانية', 'تطبيق باليابانية', 'رمز', 'رموز بالصينية', 'زر', 'زر تطبيق باليابانية', 'صيني', 'ياباني'] } },
+  { emoji: '🈴', category: 'symbols', keywords: ['japanese passing grade button', 'japanese “passing grade” button'], localized: { fr: ['bouton réussite', 'bouton note pour réussir en japonais', 'idéogramme', 'japonais', 'note de passage', 'note pour réussir'], ar: ['زر نجاح', 'الزر /درجة النجاح/ باليابانية', 'الصينية', 'رمز', 'رموز صينية', 'زر نجحنا معا باليابانية', 'نجحنا معا باليابانية', 'ياباني'] } },
+  { emoji: '🈳', category: 'symbols', keywords: ['japanese vacancy button', 'japanese “vacancy” button'], localized: { fr: ['bouton libre', 'bouton chambres disponibles en japonais', 'chambres disponibles', 'idéogramme', 'idéogramme vide', 'japonais'], ar: ['زر شاغر', 'الزر /خالٍ/ باليابانية', 'رمز', 'صيني', 'فارغ باليابانية', 'ياباني'] } },
+  { emoji: '㊗️', category: 'symbols', keywords: ['japanese congratulations button', 'japanese “congratulations” button'], localized: { fr: ['bouton félicitations', 'bouton félicitations en japonais', 'félicitations', 'idéogramme', 'japonais'], ar: ['زر تهنئة', 'الزر /تهانينا/ باليابانية', 'تهانينا', 'تهانينا باليابانية', 'صينية', 'مبروك', 'مبروك باليابانية'] } },
+  { emoji: '㊙️', category: 'symbols', keywords: ['japanese secret button', 'japanese “secret” button'], localized: { fr: ['bouton secret', 'bouton secret en japonais', 'idéogramme', 'japonais', 'secret'], ar: ['زر سري', 'الزر /سر/ باليابانية', 'سر', 'سر باليابانية', 'صيني'] } },
+  { emoji: '🈺', category: 'symbols', keywords: ['japanese open for business button', 'japanese “open for business” button'], localized: { fr: ['bouton ouvert', 'bouton ouvert pour affaires en japonais', 'idéogramme', 'japonais', 'ouvert', 'ouvert pour affaires'], ar: ['زر مفتوح للعمل', 'الزر /عمل/ باليابانية', 'المحل مفتوح باليابانية', 'رمز', 'صيني', 'ياباني', 'يعمل باليابانية'] } },
+  { emoji: '🈵', category: 'symbols', keywords: ['japanese no vacancy button', 'japanese “no vacancy” button'], localized: { fr: ['bouton complet', 'bouton complet en japonais', 'complet', 'idéogramme', 'idéogramme plénitude', 'japonais'], ar: ['زر لا شواغر', 'الزر /غير خالٍ/ باليابانية', 'الصينية', 'امتلاء بالصينية', 'امتلاء باليابانية', 'رمز', 'زر', 'ياباني'] } },
+  { emoji: '🔴', category: 'symbols', keywords: ['red circle'], localized: { fr: ['disque rouge', 'cercle', 'forme géométrique', 'géométrie', 'rond', 'rouge'], ar: ['دائرة حمراء', 'أحمر', 'دائرة', 'دائرة حمراء كبيرة', 'شكل هندسي'] } },
+  { emoji: '🟠', category: 'symbols', keywords: ['orange circle'], localized: { fr: ['disque orange', 'cercle', 'forme géométrique', 'géométrie', 'orange', 'rond'], ar: ['دائرة برتقالية', 'أشكال', 'برتقالي', 'دائرة', 'شكل', 'شمس', 'طابة', 'كرة', 'كرة برتقالية'] } },
+  { emoji: '🟡', category: 'symbols', keywords: ['yellow circle'], localized: { fr: ['disque jaune', 'cercle', 'forme géométrique', 'géométrie', 'jaune', 'rond'], ar: ['دائرة صفراء', 'أشكال', 'أصفر', 'إشارة', 'إشارة صفراء', 'دائرة', 'شكل', 'شمس', 'كرة', 'كرة صفراء'] } },
+  { emoji: '🟢', category: 'symbols', keywords: ['green circle'], localized: { fr: ['disque vert', 'cercle', 'forme géométrique', 'géométrie', 'rond', 'vert'], ar: ['دائرة خضراء', 'أخضر', 'أشكال', 'إشارة', 'إشارة خضراء', 'دائرة', 'شكل', 'طابة', 'كرة', 'كرة خضراء'] } },
+  { emoji: '🔵', category: 'symbols', keywords: ['blue circle'], localized: { fr: ['disque bleu', 'bleu', 'cercle', 'forme géométrique', 'géométrie', 'rond'], ar: ['دائرة زرقاء', 'أزرق', 'دائرة', 'دائرة زرقاء كبيرة', 'شكل هندسي'] } },
+  { emoji: '🟣', category: 'symbols', keywords: ['purple circle'], localized: { fr: ['disque violet', 'cercle', 'forme géométrique', 'géométrie', 'rond', 'violet'], ar: ['دائرة بنفسجية', 'أرجواني', 'أشكال', 'بنفسجي', 'دائرة', 'دائرة أرجوانية', 'شكل', 'طابة', 'كرة', 'كرة أرجوانية', 'كرة بنفسجية'] } },
+  { emoji: '🟤', category: 'symbols', keywords: ['brown circle'], localized: { fr: ['disque marron', 'brun', 'cercle', 'disque brun', 'forme géométrique', 'géométrie', 'marron', 'rond'], ar: ['دائرة بنية', 'أشكال', 'بني', 'دائرة', 'شكل', 'طابة', 'كرة', 'كرة بنية'] } },
+  { emoji: '⚫', category: 'symbols', keywords: ['black circle'], localized: { fr: ['disque noir', 'cercle', 'forme géométrique', 'géométrie', 'noir', 'rond'], ar: ['دائرة سوداء', 'دائرة', 'شكل هندسي', 'هندسية'] } },
+  { emoji: '⚪', category: 'symbols', keywords: ['white circle'], localized: { fr: ['disque blanc', 'blanc', 'cercle', 'forme géométrique', 'géométrie', 'rond'], ar: ['دائرة بيضاء', 'دائرة', 'شكل هندسي', 'هندسي'] } },
+  { emoji: '🟥', category: 'symbols', keywords: ['red square'], localized: { fr: ['carré rouge', 'carré', 'forme géométrique', 'géométrie', 'rouge'], ar: ['مربع أحمر', 'أحمر', 'أشكال', 'بطاقة', 'بطاقة حمراء', 'شكل', 'كارت أحمر', 'مربع'] } },
+  { emoji: '🟧', category: 'symbols', keywords: ['orange square'], localized: { fr: ['carré orange', 'carré', 'forme géométrique', 'géométrie', 'orange'], ar: ['مربع برتقالي', 'أشكال', 'أورونج', 'برتقالي', 'بطاقة', 'بطاقة صفراء', 'شكل', 'مربع'] } },
+  { emoji: '🟨', category: 'symbols', keywords: ['yellow square'], localized: { fr: ['carré jaune', 'carré', 'forme géométrique', 'géométrie', 'jaune'], ar: ['مربع أصفر', 'أشكال', 'أصفر', 'إنذار', 'بطاقة', 'بطاقة صفراء', 'شكل', 'كارت أصفر', 'مربع'] } },
+  { emoji: '🟩', category: 'symbols', keywords: ['green square'], localized: { fr: ['carré vert', 'carré', 'forme géométrique', 'géométrie', 'vert'], ar: ['مربع أخضر', 'أخضر', 'أشكال', 'بطاقة', 'بطاقة خضراء', 'شكل', 'مربع'] } },
+  { emoji: '🟦', category: 'symbols', keywords: ['blue square'], localized: { fr: ['carré bleu', 'bleu', 'carré', 'forme géométrique', 'géométrie'], ar: ['مربع أزرق', 'أزرق', 'أشكال', 'بطاقة', 'بطاقة زرقاء', 'شكل', 'مربع'] } },
+  { emoji: '🟪', category: 'symbols', keywords: ['purple square'], localized: { fr: ['carré violet', 'carré', 'forme géométrique', 'géométrie', 'violet'], ar: ['مربع بنفسجي', 'أشكال', 'بنفسجي', 'شكل', 'مربع', 'موف'] } },
+  { emoji: '🟫', category: 'symbols', keywords: ['brown square'], localized: { fr: ['carré marron', 'carré', 'carré brun', 'forme géométrique', 'géométrie', 'marron'], ar: ['مربع بني', 'أشكال', 'بني', 'شكل', 'مربع'] } },
+  { emoji: '⬛', category: 'symbols', keywords: ['black large square'], localized: { fr: ['grand carré noir', 'carré', 'forme', 'forme géométrique', 'géométrie'], ar: ['مربع كبير أسود', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '⬜', category: 'symbols', keywords: ['white large square'], localized: { fr: ['grand carré blanc', 'carré', 'forme', 'géométrie'], ar: ['مربع كبير أبيض', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '◼️', category: 'symbols', keywords: ['black medium square'], localized: { fr: ['carré moyen noir', 'carré', 'forme', 'forme géométrique', 'géométrie'], ar: ['مربع متوسط أسود', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '◻️', category: 'symbols', keywords: ['white medium square'], localized: { fr: ['carré moyen blanc', 'carré', 'forme', 'forme géométrique', 'géométrie'], ar: ['مربع متوسط أبيض', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '◾', category: 'symbols', keywords: ['black medium-small square'], localized: { fr: ['carré petit moyen noir', 'carré', 'forme', 'géométrie'], ar: ['مربع صغير متوسط أسود', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '◽', category: 'symbols', keywords: ['white medium-small square'], localized: { fr: ['carré petit moyen blanc', 'carré', 'forme', 'géométrie'], ar: ['مربع صغير متوسط أبيض', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '▪️', category: 'symbols', keywords: ['black small square'], localized: { fr: ['petit carré noir', 'carré', 'forme', 'forme géométrique', 'géométrie'], ar: ['مربع صغير أسود', 'شكل هندسي', 'مربع', 'هندسي'] } },
+  { emoji: '▫️', category: 'symbols', keywords: ['white small square'], localized: { fr: ['petit carré blanc', 'carré', 'forme', 'forme géométrique', 'géométrie'], ar: ['مربع صغير أبيض', 'شكل هندسي', 'مربع', 'هندسة'] } },
+  { emoji: '🔶', category: 'symbols', keywords: ['large orange diamond'], localized: { fr: ['grand losange orange', 'forme géométrique', 'géométrie', 'losange'], ar: ['ماسة برتقالي كبيرة', 'برتقالي', 'شكل هندسي', 'ماسة', 'ماسة برتقالية كبيرة', 'مُعني'] } },
+  { emoji: '🔷', category: 'symbols', keywords: ['large blue diamond'], localized: { fr: ['grand losange bleu', 'forme géométrique', 'géométrie', 'grand losange orange', 'losange'], ar: ['ماسة زرقاء كبيرة', 'أزرق', 'رمز', 'شكل هندسي', 'ماسة', 'معين'] } },
+  { emoji: '🔸', category: 'symbols', keywords: ['small orange diamond'], localized: { fr: ['petit losange orange', 'forme géométrique', 'géométrie', 'losange'], ar: ['ماسة برتقالي صغيرة', 'برتقالي', 'رباعي', 'شكل هندسي', 'ماسة', 'ماسة برتقالية صغيرة', 'مُعيـن'] } },
+  { emoji: '🔹', category: 'symbols', keywords: ['small blue diamond'], localized: { fr: ['petit losange bleu', 'forme géométrique', 'géométrie', 'losange'], ar: ['ماسة زرقاء صغيرة', 'أزرق', 'الماسة', 'رمز', 'ماسة'] } },
+  { emoji: '🔺', category: 'symbols', keywords: ['red triangle pointed up'], localized: { fr: ['triangle rouge pointant vers le haut', 'flèche', 'forme géométrique', 'géométrie', 'rouge', 'triangle haut', 'triangle rouge pointé vers le haut'], ar: ['مثلث لأعلى أحمر', 'أحمر', 'مثلث', 'مثلث أحمر لأعلى'] } },
+  { emoji: '🔻', category: 'symbols', keywords: ['red triangle pointed down'], localized: { fr: ['triangle rouge pointant vers le bas', 'bas', 'flèche', 'forme', 'géométrie', 'rouge', 'triangle bas', 'triangle rouge pointé vers le bas'], ar: ['مثلث لأسفل أحمر', 'أحمر', 'رمز', 'شكل هندسي', 'مثلث', 'مثلث أحمر لأسفل'] } },
+  { emoji: '💠', category: 'symbols', keywords: ['diamond with a dot'], localized: { fr: ['losange avec point', 'diamant avec un point', 'bande dessinée', 'bd', 'dessin', 'diamant', 'géométrie', 'géométrique', 'intérieur'], ar: ['معين بنقطة', 'ماسة مع نقطة', 'جذاب', 'شكل ماسة', 'شكل هندسي', 'ماسة', 'مشاعر', 'مُعين', 'ورد'] } },
+  { emoji: '🔘', category: 'symbols', keywords: ['radio button'], localized: { fr: ['bouton radio', 'bouton', 'forme', 'géométrie', 'géométrique', 'radio', 'rond'], ar: ['زر تبادلي', 'تبادلي', 'راديو', 'زر', 'شكل هندسي'] } },
+  { emoji: '🔳', category: 'symbols', keywords: ['white square button'], localized: { fr: ['carré blanc', 'bouton', 'carré', 'forme', 'géométrie'], ar: ['زر مربع أبيض', 'زر', 'شكل هندسي', 'مربع'] } },
+  { emoji: '🔲', category: 'symbols', keywords: ['black square button'], localized: { fr: ['carré noir', 'bouton', 'carré', 'forme', 'géométrie'], ar: ['زر مربع أسود', 'زر', 'شكل هندسي', 'مربع', 'مربع أسود'] } },
+  // --- FLAGS ---
+  { emoji: '🏁', category: 'flags', keywords: ['chequered flag'], localized: { fr: ['drapeau à damier', 'course automobile', 'damier', 'drapeau', 'formule 1', 'ligne d’arrivée', 'sport automobile', 'vainqueur'], ar: ['علم مربعات', 'العاب', 'اولمبيك', 'خط النهاية', 'راية', 'ربح', 'رياضة', 'سباق', 'سبق', 'علم', 'فوز', 'مباراة'] } },
+  { emoji: '🚩', category: 'flags', keywords: ['triangular flag'], localized: { fr: ['drapeau triangulaire', 'drapeau', 'drapeau rouge', 'fanion', 'golf'], ar: ['علم مثلث', 'اشغال', 'جولف', 'راية', 'علم', 'علم معلومات موقع', 'علم موقع مثلث', 'غولف', 'موقع', 'ورشة'] } },
+  { emoji: '🎌', category: 'flags', keywords: ['crossed flags'], localized: { fr: ['drapeaux croisés', 'drapeaux', 'japonais'], ar: ['علمان متقاطعان', 'أعلام', 'أعلام متقاطعة', 'أعلام متقاطعة لليابان', 'احتفال', 'راية', 'علم ياباني'] } },
+  { emoji: '🏴', category: 'flags', keywords: ['black flag'], localized: { fr: ['drapeau noir', 'drapeau', 'drapeau qui flotte au vent'], ar: ['علم أسود يرفرف', 'راية', 'علم اسود', 'يرفرف'] } },
+  { emoji: '🏳️', category: 'flags', keywords: ['white flag'], localized: { fr: ['drapeau blanc', 'drapeau', 'drapeau qui flotte au vent'], ar: ['علم أبيض يرفرف', 'راية', 'رفرفة', 'سلام', 'علم يرفرف'] } },
+  { emoji: '🏳️‍🌈', category: 'flags', keywords: ['rainbow flag'], localized: { fr: ['drapeau arc-en-ciel', 'arc-en-ciel', 'drapeau', 'lgbt'], ar: ['علم ألوان طيف', 'ألوان الطيف', 'ألوان طيف', 'إل جي بي تي', 'ثنائي الميول', 'راية', 'علم', 'علم قوس قزح', 'قوس قزح', 'متحول', 'مثلي', 'مثليات', 'مثلية', 'مثليين', 'مسيرة الفخر'] } },
+  { emoji: '🏳️‍⚧️', category: 'flags', keywords: ['transgender flag'], localized: { fr: ['drapeau transgenre', 'blanc', 'bleu clair', 'rose', 'transgenre'], ar: ['علم المتحولين جنسيًا', 'أبيض', 'أزرق', 'أزرق خفيف', 'المتحولون جنسيًا', 'المتحولين جنسيًا', 'زهري', 'علم', 'وردي'] } },
+  { emoji: '🏴‍☠️', category: 'flags', keywords: ['pirate flag'], localized: { fr: ['drapeau de pirate', 'pillage', 'piller', 'pirate', 'trésor'], ar: ['علم قراصنة', 'جولي روجر', 'قراصنة', 'قرصنة', 'كنز', 'كنوز'] } },
+  { emoji: '🇦🇨', category: 'flags', keywords: ['ascension island', 'flag'], localized: { fr: ['île de l’ascension', 'drapeau'], ar: ['جزيرة أسينشيون', 'علم'] } },
+  { emoji: '🇦🇩', category: 'flags', keywords: ['andorra', 'flag'], localized: { fr: ['andorre', 'drapeau'], ar: ['أندورا', 'علم'] } },
+  { emoji: '🇦🇪', category: 'flags', keywords: ['united arab emirates', 'flag'], localized: { fr: ['émirats arabes unis', 'drapeau'], ar: ['الإمارات العربية المتحدة', 'علم'] } },
+  { emoji: '🇦🇫', category: 'flags', keywords: ['afghanistan', 'flag'], localized: { fr: ['afghanistan', 'drapeau'], ar: ['أفغانستان', 'علم'] } },
+  { emoji: '🇦🇬', category: 'flags', keywords: ['antigua & barbuda', 'flag'], localized: { fr: ['antigua-et-barbuda', 'drapeau'], ar: ['أنتيغوا وبربودا', 'علم'] } },
+  { emoji: '🇦🇮', category: 'flags', keywords: ['anguilla', 'flag'], localized: { fr: ['anguilla', 'drapeau'], ar: ['أنغويلا', 'علم'] } },
+  { emoji: '🇦🇱', category: 'flags', keywords: ['albania', 'flag'], localized: { fr: ['albanie', 'drapeau'], ar: ['ألبانيا', 'علم'] } },
+  { emoji: '🇦🇲', category: 'flags', keywords: ['armenia', 'flag'], localized: { fr: ['arménie', 'drapeau'], ar: ['أرمينيا', 'علم'] } },
+  { emoji: '🇦🇴', category: 'flags', keywords: ['angola', 'flag'], localized: { fr: ['angola', 'drapeau'], ar: ['أنغولا', 'علم'] } },
+  { emoji: '🇦🇶', category: 'flags', keywords: ['antarctica', 'flag'], localized: { fr: ['antarctique', 'drapeau'], ar: ['أنتاركتيكا', 'علم'] } },
+  { emoji: '🇦🇷', category: 'flags', keywords: ['argentina', 'flag'], localized: { fr: ['argentine', 'drapeau'], ar: ['الأرجنتين', 'علم'] } },
+  { emoji: '🇦🇸', category: 'flags', keywords: ['american samoa', 'flag'], localized: { fr: ['samoa américaines', 'drapeau'], ar: ['ساموا الأمريكية', 'علم'] } },
+  { emoji: '🇦🇹', category: 'flags', keywords: ['austria', 'flag'], localized: { fr: ['autriche', 'drapeau'], ar: ['النمسا', 'علم'] } },
+  { emoji: '🇦🇺', category: 'flags', keywords: ['australia', 'flag'], localized: { fr: ['australie', 'drapeau'], ar: ['أستراليا', 'علم'] } },
+  { emoji: '🇦🇼', category: 'flags', keywords: ['aruba', 'flag'], localized: { fr: ['aruba', 'drapeau'], ar: ['أروبا', 'علم'] } },
+  { emoji: '🇦🇽', category: 'flags', keywords: ['åland islands', 'flag'], localized: { fr: ['îles åland', 'drapeau'], ar: ['جزر آلاند', 'علم'] } },
+  { emoji: '🇦🇿', category: 'flags', keywords: ['azerbaijan', 'flag'], localized: { fr: ['azerbaïdjan', 'drapeau'], ar: ['أذربيجان', 'علم'] } },
+  { emoji: '🇧🇦', category: 'flags', keywords: ['bosnia & herzegovina', 'flag'], localized: { fr: ['bosnie-herzégovine', 'drapeau'], ar: ['البوسنة والهرسك', 'علم'] } },
+  { emoji: '🇧🇧', category: 'flags', keywords: ['barbados', 'flag'], localized: { fr: ['barbade', 'drapeau'], ar: ['بربادوس', 'علم'] } },
+  { emoji: '🇧🇩', category: 'flags', keywords: ['bangladesh', 'flag'], localized: { fr: ['bangladesh', 'drapeau'], ar: ['بنغلاديش', 'علم'] } },
+  { emoji: '🇧🇪', category: 'flags', keywords: ['belgium', 'flag'], localized: { fr: ['belgique', 'drapeau'], ar: ['بلجيكا', 'علم'] } },
+  { emoji: '🇧🇫', category: 'flags', keywords: ['burkina faso', 'flag'], localized: { fr: ['burkina faso', 'drapeau'], ar: ['بوركينا فاسو', 'علم'] } },
+  { emoji: '🇧🇬', category: 'flags', keywords: ['bulgaria', 'flag'], localized: { fr: ['bulgarie', 'drapeau'], ar: ['بلغاريا', 'علم'] } },
+  { emoji: '🇧🇭', category: 'flags', keywords: ['bahrain', 'flag'], localized: { fr: ['bahreïn', 'drapeau'], ar: ['البحرين', 'علم'] } },
+  { emoji: '🇧🇮', category: 'flags', keywords: ['burundi', 'flag'], localized: { fr: ['burundi', 'drapeau'], ar: ['بوروندي', 'علم'] } },
+  { emoji: '🇧🇯', category: 'flags', keywords: ['benin', 'flag'], localized: { fr: ['bénin', 'drapeau'], ar: ['بنين', 'علم'] } },
+  { emoji: '🇧🇱', category: 'flags', keywords: ['st. barthélemy', 'flag'], localized: { fr: ['saint-barthélemy', 'drapeau'], ar: ['سان بارتليمي', 'علم'] } },
+  { emoji: '🇧🇲', category: 'flags', keywords: ['bermuda', 'flag'], localized: { fr: ['bermudes', 'drapeau'], ar: ['برمودا', 'علم'] } },
+  { emoji: '🇧🇳', category: 'flags', keywords: ['brunei', 'flag'], localized: { fr: ['brunei', 'drapeau'], ar: ['بروناي', 'علم'] } },
+  { emoji: '🇧🇴', category: 'flags', keywords: ['bolivia', 'flag'], localized: { fr: ['bolivie', 'drapeau'], ar: ['بوليفيا', 'علم'] } },
+  { emoji: '🇧🇶', category: 'flags', keywords: ['caribbean netherlands', 'flag'], localized: { fr: ['pays-bas caribéens', 'drapeau'], ar: ['هولندا الكاريبية', 'علم'] } },
+  { emoji: '🇧🇷', category: 'flags', keywords: ['brazil', 'flag'], localized: { fr: ['brésil', 'drapeau'], ar: ['البرازيل', 'علم'] } },
+  { emoji: '🇧🇸', category: 'flags', keywords: ['bahamas', 'flag'], localized: { fr: ['bahamas', 'drapeau'], ar: ['جزر البهاما', 'علم'] } },
+  { emoji: '🇧🇹', category: 'flags', keywords: ['bhutan', 'flag'], localized: { fr: ['bhoutan', 'drapeau'], ar: ['بوتان', 'علم'] } },
+  { emoji: '🇧🇻', category: 'flags', keywords: ['bouvet island', 'flag'], localized: { fr: ['île bouvet', 'drapeau'], ar: ['جزيرة بوفيه', 'علم'] } },
+  { emoji: '🇧🇼', category: 'flags', keywords: ['botswana', 'flag'], localized: { fr: ['botswana', 'drapeau'], ar: ['بوتسوانا', 'علم'] } },
+  { emoji: '🇧🇾', category: 'flags', keywords: ['belarus', 'flag'], localized: { fr: ['biélorussie', 'drapeau'], ar: ['بيلاروس', 'علم'] } },
+  { emoji: '🇧🇿', category: 'flags', keywords: ['belize', 'flag'], localized: { fr: ['belize', 'drapeau'], ar: ['بليز', 'علم'] } },
+  { emoji: '🇨🇦', category: 'flags', keywords: ['canada', 'flag'], localized: { fr: ['canada', 'drapeau'], ar: ['كندا', 'علم'] } },
+  { emoji: '🇨🇨', category: 'flags', keywords: ['cocos (keeling) islands', 'flag'], localized: { fr: ['îles cocos', 'drapeau'], ar: ['جزر كوكوس (كيلينغ)', 'علم'] } },
+  { emoji: '🇨🇩', category: 'flags', keywords: ['congo - kinshasa', 'flag'], localized: { fr: ['congo-kinshasa', 'drapeau'], ar: ['الكونغو - كينشاسا', 'علم'] } },
+  { emoji: '🇨🇫', category: 'flags', keywords: ['central african republic', 'flag'], localized: { fr: ['république centrafricaine', 'drapeau'], ar: ['جمهورية أفريقيا الوسطى', 'علم'] } },
+  { emoji: '🇨🇬', category: 'flags', keywords: ['congo - brazzaville', 'flag'], localized: { fr: ['congo-brazzaville', 'drapeau'], ar: ['الكونغو - برازافيل', 'علم'] } },
+  { emoji: '🇨🇭', category: 'flags', keywords: ['switzerland', 'flag'], localized: { fr: ['suisse', 'drapeau'], ar: ['سويسرا', 'علم'] } },
+  { emoji: '🇨🇮', category: 'flags', keywords: ['côte d’ivoire', 'flag'], localized: { fr: ['côte d’ivoire', 'drapeau'], ar: ['ساحل العاج', 'علم'] } },
+  { emoji: '🇨🇰', category: 'flags', keywords: ['cook islands', 'flag'], localized: { fr: ['îles cook', 'drapeau'], ar: ['جزر كوك', 'علم'] } },
+  { emoji: '🇨🇱', category: 'flags', keywords: ['chile', 'flag'], localized: { fr: ['chili', 'drapeau'], ar: ['تشيلي', 'علم'] } },
+  { emoji: '🇨🇲', category: 'flags', keywords: ['cameroon', 'flag'], localized: { fr: ['cameroun', 'drapeau'], ar: ['الكاميرون', 'علم'] } },
+  { emoji: '🇨🇳', category: 'flags', keywords: ['china', 'flag'], localized: { fr: ['chine', 'drapeau'], ar: ['الصين', 'علم'] } },
+  { emoji: '🇨🇴', category: 'flags', keywords: ['colombia', 'flag'], localized: { fr: ['colombie', 'drapeau'], ar: ['كولومبيا', 'علم'] } },
+  { emoji: '🇨🇵', category: 'flags', keywords: ['clipperton island', 'flag'], localized: { fr: ['île clipperton', 'drapeau'], ar: ['جزيرة كليبيرتون', 'علم'] } },
+  { emoji: '🇨🇶', category: 'flags', keywords: ['sark', 'flag'], localized: { fr: ['sercq', 'drapeau'], ar: ['سارك', 'علم'] } },
+  { emoji: '🇨🇷', category: 'flags', keywords: ['costa rica', 'flag'], localized: { fr: ['costa rica', 'drapeau'], ar: ['كوستاريكا', 'علم'] } },
+  { emoji: '🇨🇺', category: 'flags', keywords: ['cuba', 'flag'], localized: { fr: ['cuba', 'drapeau'], ar: ['كوبا', 'علم'] } },
+  { emoji: '🇨🇻', category: 'flags', keywords: ['cape verde', 'flag'], localized: { fr: ['cap-vert', 'drapeau'], ar: ['الرأس الأخضر', 'علم'] } },
+  { emoji: '🇨🇼', category: 'flags', keywords: ['curaçao', 'flag'], localized: { fr: ['curaçao', 'drapeau'], ar: ['كوراساو', 'علم'] } },
+  { emoji: '🇨🇽', category: 'flags', keywords: ['christmas island', 'flag'], localized: { fr: ['île christmas', 'drapeau'], ar: ['جزيرة كريسماس', 'علم'] } },
+  { emoji: '🇨🇾', category: 'flags', keywords: ['cyprus', 'flag'], localized: { fr: ['chypre', 'drapeau'], ar: ['قبرص', 'علم'] } },
+  { emoji: '🇨🇿', category: 'flags', keywords: ['czechia', 'flag'], localized: { fr: ['tchéquie', 'drapeau'], ar: ['التشيك', 'علم'] } },
+  { emoji: '🇩🇪', category: 'flags', keywords: ['germany', 'flag'], localized: { fr: ['allemagne', 'drapeau'], ar: ['ألمانيا', 'علم'] } },
+  { emoji: '🇩🇬', category: 'flags', keywords: ['diego garcia', 'flag'], localized: { fr: ['diego garcia', 'drapeau'], ar: ['دييغو غارسيا', 'علم'] } },
+  { emoji: '🇩🇯', category: 'flags', keywords: ['djibouti', 'flag'], localized: { fr: ['djibouti', 'drapeau'], ar: ['جيبوتي', 'علم'] } },
+  { emoji: '🇩🇰', category: 'flags', keywords: ['denmark', 'flag'], localized: { fr: ['danemark', 'drapeau'], ar: ['الدانمرك', 'علم'] } },
+  { emoji: '🇩🇲', category: 'flags', keywords: ['dominica', 'flag'], localized: { fr: ['dominique', 'drapeau'], ar: ['دومينيكا', 'علم'] } },
+  { emoji: '🇩🇴', category: 'flags', keywords: ['dominican republic', 'flag'], localized: { fr: ['république dominicaine', 'drapeau'], ar: ['جمهورية الدومينيكان', 'علم'] } },
+  { emoji: '🇩🇿', category: 'flags', keywords: ['algeria', 'flag'], localized: { fr: ['algérie', 'drapeau'], ar: ['الجزائر', 'علم'] } },
+  { emoji: '🇪🇦', category: 'flags', keywords: ['ceuta & melilla', 'flag'], localized: { fr: ['ceuta et melilla', 'drapeau'], ar: ['سيوتا وميليلا', 'علم'] } },
+  { emoji: '🇪🇨', category: 'flags', keywords: ['ecuador', 'flag'], localized: { fr: ['équateur', 'drapeau'], ar: ['الإكوادور', 'علم'] } },
+  { emoji: '🇪🇪', category: 'flags', keywords: ['estonia', 'flag'], localized: { fr: ['estonie', 'drapeau'], ar: ['إستونيا', 'علم'] } },
+  { emoji: '🇪🇬', category: 'flags', keywords: ['egypt', 'flag'], localized: { fr: ['égypte', 'drapeau'], ar: ['مصر', 'علم'] } },
+  { emoji: '🇪🇭', category: 'flags', keywords: ['western sahara', 'flag'], localized: { fr: ['sahara occidental', 'drapeau'], ar: ['الصحراء الغربية', 'علم'] } },
+  { emoji: '🇪🇷', category: 'flags', keywords: ['eritrea', 'flag'], localized: { fr: ['érythrée', 'drapeau'], ar: ['إريتريا', 'علم'] } },
+  { emoji: '🇪🇸', category: 'flags', keywords: ['spain', 'flag'], localized: { fr: ['espagne', 'drapeau'], ar: ['إسبانيا', 'علم'] } },
+  { emoji: '🇪🇹', category: 'flags', keywords: ['ethiopia', 'flag'], localized: { fr: ['éthiopie', 'drapeau'], ar: ['إثيوبيا', 'علم'] } },
+  { emoji: '🇪🇺', category: 'flags', keywords: ['european union', 'flag'], localized: { fr: ['union européenne', 'drapeau'], ar: ['الاتحاد الأوروبي', 'علم'] } },
+  { emoji: '🇫🇮', category: 'flags', keywords: ['finland', 'flag'], localized: { fr: ['finlande', 'drapeau'], ar: ['فنلندا', 'علم'] } },
+  { emoji: '🇫🇯', category: 'flags', keywords: ['fiji', 'flag'], localized: { fr: ['fidji', 'drapeau'], ar: ['فيجي', 'علم'] } },
+  { emoji: '🇫🇰', category: 'flags', keywords: ['falkland islands', 'flag'], localized: { fr: ['îles malouines', 'drapeau'], ar: ['جزر فوكلاند', 'علم'] } },
+  { emoji: '🇫🇲', category: 'flags', keywords: ['micronesia', 'flag'], localized: { fr: ['micronésie', 'drapeau'], ar: ['ميكرونيزيا', 'علم'] } },
+  { emoji: '🇫🇴', category: 'flags', keywords: ['faroe islands', 'flag'], localized: { fr: ['îles féroé', 'drapeau'], ar: ['جزر فارو', 'علم'] } },
+  { emoji: '🇫🇷', category: 'flags', keywords: ['france', 'flag'], localized: { fr: ['france', 'drapeau'], ar: ['فرنسا', 'علم'] } },
+  { emoji: '🇬🇦', category: 'flags', keywords: ['gabon', 'flag'], localized: { fr: ['gabon', 'drapeau'], ar: ['الغابون', 'علم'] } },
+  { emoji: '🇬🇧', category: 'flags', keywords: ['united kingdom', 'flag'], localized: { fr: ['royaume-uni', 'drapeau'], ar: ['المملكة المتحدة', 'علم'] } },
+  { emoji: '🇬🇩', category: 'flags', keywords: ['grenada', 'flag'], localized: { fr: ['grenade', 'drapeau'], ar: ['غرينادا', 'علم'] } },
+  { emoji: '🇬🇪', category: 'flags', keywords: ['georgia', 'flag'], localized: { fr: ['géorgie', 'drapeau'], ar: ['جورجيا', 'علم'] } },
+  { emoji: '🇬🇫', category: 'flags', keywords: ['french guiana', 'flag'], localized: { fr: ['guyane française', 'drapeau'], ar: ['غويانا الفرنسية', 'علم'] } },
+  { emoji: '🇬🇬', category: 'flags', keywords: ['guernsey', 'flag'], localized: { fr: ['guernesey', 'drapeau'], ar: ['غيرنزي', 'علم'] } },
+  { emoji: '🇬🇭', category: 'flags', keywords: ['ghana', 'flag'], localized: { fr: ['ghana', 'drapeau'], ar: ['غانا', 'علم'] } },
+  { emoji: '🇬🇮', category: 'flags', keywords: ['gibraltar', 'flag'], localized: { fr: ['gibraltar', 'drapeau'], ar: ['جبل طارق', 'علم'] } },
+  { emoji: '🇬🇱', category: 'flags', keywords: ['greenland', 'flag'], localized: { fr: ['groenland', 'drapeau'], ar: ['غرينلاند', 'علم'] } },
+  { emoji: '🇬🇲', category: 'flags', keywords: ['gambia', 'flag'], localized: { fr: ['gambie', 'drapeau'], ar: ['غامبيا', 'علم'] } },
+  { emoji: '🇬🇳', category: 'flags', keywords: ['guinea', 'flag'], localized: { fr: ['guinée', 'drapeau'], ar: ['غينيا', 'علم'] } },
+  { emoji: '🇬🇵', category: 'flags', keywords: ['guadeloupe', 'flag'], localized: { fr: ['guadeloupe', 'drapeau'], ar: ['غوادلوب', 'علم'] } },
+  { emoji: '🇬🇶', category: 'flags', keywords: ['equatorial guinea', 'flag'], localized: { fr: ['guinée équatoriale', 'drapeau'], ar: ['غينيا الاستوائية', 'علم'] } },
+  { emoji: '🇬🇷', category: 'flags', keywords: ['greece', 'flag'], localized: { fr: ['grèce', 'drapeau'], ar: ['اليونان', 'علم'] } },
+  { emoji: '🇬🇸', category: 'flags', keywords: ['south georgia & south sandwich islands', 'flag'], localized: { fr: ['géorgie du sud-et-les îles sandwich du sud', 'drapeau'], ar: ['جورجيا الجنوبية وجزر ساندويتش الجنوبية', 'علم'] } },
+  { emoji: '🇬🇹', category: 'flags', keywords: ['guatemala', 'flag'], localized: { fr: ['guatemala', 'drapeau'], ar: ['غواتيمالا', 'علم'] } },
+  { emoji: '🇬🇺', category: 'flags', keywords: ['guam', 'flag'], localized: { fr: ['guam', 'drapeau'], ar: ['غوام', 'علم'] } },
+  { emoji: '🇬🇼', category: 'flags', keywords: ['guinea-bissau', 'flag'], localized: { fr: ['guinée-bissau', 'drapeau'], ar: ['غينيا بيساو', 'علم'] } },
+  { emoji: '🇬🇾', category: 'flags', keywords: ['guyana', 'flag'], localized: { fr: ['guyana', 'drapeau'], ar: ['غيانا', 'علم'] } },
+  { emoji: '🇭🇰', category: 'flags', keywords: ['hong kong sar china', 'flag'], localized: { fr: ['r.a.s. chinoise de hong kong', 'drapeau'], ar: ['هونغ كونغ الصينية (منطقة إدارية خاصة)', 'علم'] } },
+  { emoji: '🇭🇲', category: 'flags', keywords: ['heard & mcdonald islands', 'flag'], localized: { fr: ['îles heard-et-macdonald', 'drapeau'], ar: ['جزيرة هيرد وجزر ماكدونالد', 'علم'] } },
+  { emoji: '🇭🇳', category: 'flags', keywords: ['honduras', 'flag'], localized: { fr: ['honduras', 'drapeau'], ar: ['هندوراس', 'علم'] } },
+  { emoji: '🇭🇷', category: 'flags', keywords: ['croatia', 'flag'], localized: { fr: ['croatie', 'drapeau'], ar: ['كرواتيا', 'علم'] } },
+  { emoji: '🇭🇹', category: 'flags', keywords: ['haiti', 'flag'], localized: { fr: ['haïti', 'drapeau'], ar: ['هايتي', 'علم'] } },
+  { emoji: '🇭🇺', category: 'flags', keywords: ['hungary', 'flag'], localized: { fr: ['hongrie', 'drapeau'], ar: ['هنغاريا', 'علم'] } },
+  { emoji: '🇮🇨', category: 'flags', keywords: ['canary islands', 'flag'], localized: { fr: ['îles canaries', 'drapeau'], ar: ['جزر الكناري', 'علم'] } },
+  { emoji: '🇮🇩', category: 'flags', keywords: ['indonesia', 'flag'], localized: { fr: ['indonésie', 'drapeau'], ar: ['إندونيسيا', 'علم'] } },
+  { emoji: '🇮🇪', category: 'flags', keywords: ['ireland', 'flag'], localized: { fr: ['irlande', 'drapeau'], ar: ['أيرلندا', 'علم'] } },
+  { emoji: '🇮🇱', category: 'flags', keywords: ['israel', 'flag'], localized: { fr: ['israël', 'drapeau'], ar: ['إسرائيل', 'علم'] } },
+  { emoji: '🇮🇲', category: 'flags', keywords: ['isle of man', 'flag'], localized: { fr: ['île de man', 'drapeau'], ar: ['جزيرة مان', 'علم'] } },
+  { emoji: '🇮🇳', category: 'flags', keywords: ['india', 'flag'], localized: { fr: ['inde', 'drapeau'], ar: ['الهند', 'علم'] } },
+  { emoji: '🇮🇴', category: 'flags', keywords: ['british indian ocean territory', 'flag'], localized: { fr: ['territoire britannique de l’océan indien', 'drapeau'], ar: ['الإقليم البريطاني في المحيط الهندي', 'علم'] } },
+  { emoji: '🇮🇶', category: 'flags', keywords: ['iraq', 'flag'], localized: { fr: ['irak', 'drapeau'], ar: ['العراق', 'علم'] } },
+  { emoji: '🇮🇷', category: 'flags', keywords: ['iran', 'flag'], localized: { fr: ['iran', 'drapeau'], ar: ['إيران', 'علم'] } },
+  { emoji: '🇮🇸', category: 'flags', keywords: ['iceland', 'flag'], localized: { fr: ['islande', 'drapeau'], ar: ['آيسلندا', 'علم'] } },
+  { emoji: '🇮🇹', category: 'flags', keywords: ['italy', 'flag'], localized: { fr: ['italie', 'drapeau'], ar: ['إيطاليا', 'علم'] } },
+  { emoji: '🇯🇪', category: 'flags', keywords: ['jersey', 'flag'], localized: { fr: ['jersey', 'drapeau'], ar: ['جيرسي', 'علم'] } },
+  { emoji: '🇯🇲', category: 'flags', keywords: ['jamaica', 'flag'], localized: { fr: ['jamaïque', 'drapeau'], ar: ['جامايكا', 'علم'] } },
+  { emoji: '🇯🇴', category: 'flags', keywords: ['jordan', 'flag'], localized: { fr: ['jordanie', 'drapeau'], ar: ['الأردن', 'علم'] } },
+  { emoji: '🇯🇵', category: 'flags', keywords: ['japan', 'flag'], localized: { fr: ['japon', 'drapeau'], ar: ['اليابان', 'علم'] } },
+  { emoji: '🇰🇪', category: 'flags', keywords: ['kenya', 'flag'], localized: { fr: ['kenya', 'drapeau'], ar: ['كينيا', 'علم'] } },
+  { emoji: '🇰🇬', category: 'flags', keywords: ['kyrgyzstan', 'flag'], localized: { fr: ['kirghizstan', 'drapeau'], ar: ['قيرغيزستان', 'علم'] } },
+  { emoji: '🇰🇭', category: 'flags', keywords: ['cambodia', 'flag'], localized: { fr: ['cambodge', 'drapeau'], ar: ['كمبوديا', 'علم'] } },
+  { emoji: '🇰🇮', category: 'flags', keywords: ['kiribati', 'flag'], localized: { fr: ['kiribati', 'drapeau'], ar: ['كيريباتي', 'علم'] } },
+  { emoji: '🇰🇲', category: 'flags', keywords: ['comoros', 'flag'], localized: { fr: ['comores', 'drapeau'], ar: ['جزر القمر', 'علم'] } },
+  { emoji: '🇰🇳', category: 'flags', keywords: ['st. kitts & nevis', 'flag'], localized: { fr: ['saint-christophe-et-niévès', 'drapeau'], ar: ['سانت كيتس ونيفيس', 'علم'] } },
+  { emoji: '🇰🇵', category: 'flags', keywords: ['north korea', 'flag'], localized: { fr: ['corée du nord', 'drapeau'], ar: ['كوريا الشمالية', 'علم'] } },
+  { emoji: '🇰🇷', category: 'flags', keywords: ['south korea', 'flag'], localized: { fr: ['corée du sud', 'drapeau'], ar: ['كوريا الجنوبية', 'علم'] } },
+  { emoji: '🇰🇼', category: 'flags', keywords: ['kuwait', 'flag'], localized: { fr: ['koweït', 'drapeau'], ar: ['الكويت', 'علم'] } },
+  { emoji: '🇰🇾', category: 'flags', keywords: ['cayman islands', 'flag'], localized: { fr: ['îles caïmans', 'drapeau'], ar: ['جزر كايمان', 'علم'] } },
+  { emoji: '🇰🇿', category: 'flags', keywords: ['kazakhstan', 'flag'], localized: { fr: ['kazakhstan', 'drapeau'], ar: ['كازاخستان', 'علم'] } },
+  { emoji: '🇱🇦', category: 'flags', keywords: ['laos', 'flag'], localized: { fr: ['laos', 'drapeau'], ar: ['لاوس', 'علم'] } },
+  { emoji: '🇱🇧', category: 'flags', keywords: ['lebanon', 'flag'], localized: { fr: ['liban', 'drapeau'], ar: ['لبنان', 'علم'] } },
+  { emoji: '🇱🇨', category: 'flags', keywords: ['st. lucia', 'flag'], localized: { fr: ['sainte-lucie', 'drapeau'], ar: ['سانت لوسيا', 'علم'] } },
+  { emoji: '🇱🇮', category: 'flags', keywords: ['liechtenstein', 'flag'], localized: { fr: ['liechtenstein', 'drapeau'], ar: ['ليختنشتاين', 'علم'] } },
+  { emoji: '🇱🇰', category: 'flags', keywords: ['sri lanka', 'flag'], localized: { fr: ['sri lanka', 'drapeau'], ar: ['سريلانكا', 'علم'] } },
+  { emoji: '🇱🇷', category: 'flags', keywords: ['liberia', 'flag'], localized: { fr: ['liberia', 'drapeau'], ar: ['ليبيريا', 'علم'] } },
+  { emoji: '🇱🇸', category: 'flags', keywords: ['lesotho', 'flag'], localized: { fr: ['lesotho', 'drapeau'], ar: ['ليسوتو', 'علم'] } },
+  { emoji: '🇱🇹', category: 'flags', keywords: ['lithuania', 'flag'], localized: { fr: ['lituanie', 'drapeau'], ar: ['ليتوانيا', 'علم'] } },
+  { emoji: '🇱🇺', category: 'flags', keywords: ['luxembourg', 'flag'], localized: { fr: ['luxembourg', 'drapeau'], ar: ['لوكسمبورغ', 'علم'] } },
+  { emoji: '🇱🇻', category: 'flags', keywords: ['latvia', 'flag'], localized: { fr: ['lettonie', 'drapeau'], ar: ['لاتفيا', 'علم'] } },
+  { emoji: '🇱🇾', category: 'flags', keywords: ['libya', 'flag'], localized: { fr: ['libye', 'drapeau'], ar: ['ليبيا', 'علم'] } },
+  { emoji: '🇲🇦', category: 'flags', keywords: ['morocco', 'flag'], localized: { fr: ['maroc', 'drapeau'], ar: ['المغرب', 'علم'] } },
+  { emoji: '🇲🇨', category: 'flags', keywords: ['monaco', 'flag'], localized: { fr: ['monaco', 'drapeau'], ar: ['موناكو', 'علم'] } },
+  { emoji: '🇲🇩', category: 'flags', keywords: ['moldova', 'flag'], localized: { fr: ['moldavie', 'drapeau'], ar: ['مولدوفا', 'علم'] } },
+  { emoji: '🇲🇪', category: 'flags', keywords: ['montenegro', 'flag'], localized: { fr: ['monténégro', 'drapeau'], ar: ['الجبل الأسود', 'علم'] } },
+  { emoji: '🇲🇫', category: 'flags', keywords: ['st. martin', 'flag'], localized: { fr: ['saint-martin', 'drapeau'], ar: ['سان مارتن', 'علم'] } },
+  { emoji: '🇲🇬', category: 'flags', keywords: ['madagascar', 'flag'], localized: { fr: ['madagascar', 'drapeau'], ar: ['مدغشقر', 'علم'] } },
+  { emoji: '🇲🇭', category: 'flags', keywords: ['marshall islands', 'flag'], localized: { fr: ['îles marshall', 'drapeau'], ar: ['جزر مارشال', 'علم'] } },
+  { emoji: '🇲🇰', category: 'flags', keywords: ['north macedonia', 'flag'], localized: { fr: ['macédoine du nord', 'drapeau'], ar: ['مقدونيا الشمالية', 'علم'] } },
+  { emoji: '🇲🇱', category: 'flags', keywords: ['mali', 'flag'], localized: { fr: ['mali', 'drapeau'], ar: ['مالي', 'علم'] } },
+  { emoji: '🇲🇲', category: 'flags', keywords: ['myanmar (burma)', 'flag'], localized: { fr: ['myanmar (birmanie)', 'drapeau'], ar: ['ميانمار (بورما)', 'علم'] } },
+  { emoji: '🇲🇳', category: 'flags', keywords: ['mongolia', 'flag'], localized: { fr: ['mongolie', 'drapeau'], ar: ['منغوليا', 'علم'] } },
+  { emoji: '🇲🇴', category: 'flags', keywords: ['macao sar china', 'flag'], localized: { fr: ['r.a.s. chinoise de macao', 'drapeau'], ar: ['منطقة ماكاو الإدارية الخاصة', 'علم'] } },
+  { emoji: '🇲🇵', category: 'flags', keywords: ['northern mariana islands', 'flag'], localized: { fr: ['îles mariannes du nord', 'drapeau'], ar: ['جزر ماريانا الشمالية', 'علم'] } },
+  { emoji: '🇲🇶', category: 'flags', keywords: ['martinique', 'flag'], localized: { fr: ['martinique', 'drapeau'], ar: ['جزر المارتينيك', 'علم'] } },
+  { emoji: '🇲🇷', category: 'flags', keywords: ['mauritania', 'flag'], localized: { fr: ['mauritanie', 'drapeau'], ar: ['موريتانيا', 'علم'] } },
+  { emoji: '🇲🇸', category: 'flags', keywords: ['montserrat', 'flag'], localized: { fr: ['montserrat', 'drapeau'], ar: ['مونتسرات', 'علم'] } },
+  { emoji: '🇲🇹', category: 'flags', keywords: ['malta', 'flag'], localized: { fr: ['malte', 'drapeau'], ar: ['مالطا', 'علم'] } },
+  { emoji: '🇲🇺', category: 'flags', keywords: ['mauritius', 'flag'], localized: { fr: ['maurice', 'drapeau'], ar: ['موريشيوس', 'علم'] } },
+  { emoji: '🇲🇻', category: 'flags', keywords: ['maldives', 'flag'], localized: { fr: ['maldives', 'drapeau'], ar: ['جزر المالديف', 'علم'] } },
+  { emoji: '🇲🇼', category: 'flags', keywords: ['malawi', 'flag'], localized: { fr: ['malawi', 'drapeau'], ar: ['ملاوي', 'علم'] } },
+  { emoji: '🇲🇽', category: 'flags', keywords: ['mexico', 'flag'], localized: { fr: ['mexique', 'drapeau'], ar: ['المكسيك', 'علم'] } },
+  { emoji: '🇲🇾', category: 'flags', keywords: ['malaysia', 'flag'], localized: { fr: ['malaisie', 'drapeau'], ar: ['ماليزيا', 'علم'] } },
+  { emoji: '🇲🇿', category: 'flags', keywords: ['mozambique', 'flag'], localized: { fr: ['mozambique', 'drapeau'], ar: ['موزمبيق', 'علم'] } },
+  { emoji: '🇳🇦', category: 'flags', keywords: ['namibia', 'flag'], localized: { fr: ['namibie', 'drapeau'], ar: ['ناميبيا', 'علم'] } },
+  { emoji: '🇳🇨', category: 'flags', keywords: ['new caledonia', 'flag'], localized: { fr: ['nouvelle-calédonie', 'drapeau'], ar: ['كاليدونيا الجديدة', 'علم'] } },
+  { emoji: '🇳🇪', category: 'flags', keywords: ['niger', 'flag'], localized: { fr: ['niger', 'drapeau'], ar: ['النيجر', 'علم'] } },
+  { emoji: '🇳🇫', category: 'flags', keywords: ['norfolk island', 'flag'], localized: { fr: ['île norfolk', 'drapeau'], ar: ['جزيرة نورفولك', 'علم'] } },
+  { emoji: '🇳🇬', category: 'flags', keywords: ['nigeria', 'flag'], localized: { fr: ['nigeria', 'drapeau'], ar: ['نيجيريا', 'علم'] } },
+  { emoji: '🇳🇮', category: 'flags', keywords: ['nicaragua', 'flag'], localized: { fr: ['nicaragua', 'drapeau'], ar: ['نيكاراغوا', 'علم'] } },
+  { emoji: '🇳🇱', category: 'flags', keywords: ['netherlands', 'flag'], localized: { fr: ['pays-bas', 'drapeau'], ar: ['هولندا', 'علم'] } },
+  { emoji: '🇳🇴', category: 'flags', keywords: ['norway', 'flag'], localized: { fr: ['norvège', 'drapeau'], ar: ['النرويج', 'علم'] } },
+  { emoji: '🇳🇵', category: 'flags', keywords: ['nepal', 'flag'], localized: { fr: ['népal', 'drapeau'], ar: ['نيبال', 'علم'] } },
+  { emoji: '🇳🇷', category: 'flags', keywords: ['nauru', 'flag'], localized: { fr: ['nauru', 'drapeau'], ar: ['ناورو', 'علم'] } },
+  { emoji: '🇳🇺', category: 'flags', keywords: ['niue', 'flag'], localized: { fr: ['niue', 'drapeau'], ar: ['نيوي', 'علم'] } },
+  { emoji: '🇳🇿', category: 'flags', keywords: ['new zealand', 'flag'], localized: { fr: ['nouvelle-zélande', 'drapeau'], ar: ['نيوزيلندا', 'علم'] } },
+  { emoji: '🇴🇲', category: 'flags', keywords: ['oman', 'flag'], localized: { fr: ['oman', 'drapeau'], ar: ['عُمان', 'علم'] } },
+  { emoji: '🇵🇦', category: 'flags', keywords: ['panama', 'flag'], localized: { fr: ['panama', 'drapeau'], ar: ['بنما', 'علم'] } },
+  { emoji: '🇵🇪', category: 'flags', keywords: ['peru', 'flag'], localized: { fr: ['pérou', 'drapeau'], ar: ['بيرو', 'علم'] } },
+  { emoji: '🇵🇫', category: 'flags', keywords: ['french polynesia', 'flag'], localized: { fr: ['polynésie française', 'drapeau'], ar: ['بولينيزيا الفرنسية', 'علم'] } },
+  { emoji: '🇵🇬', category: 'flags', keywords: ['papua new guinea', 'flag'], localized: { fr: ['papouasie-nouvelle-guinée', 'drapeau'], ar: ['بابوا غينيا الجديدة', 'علم'] } },
+  { emoji: '🇵🇭', category: 'flags', keywords: ['philippines', 'flag'], localized: { fr: ['philippines', 'drapeau'], ar: ['الفلبين', 'علم'] } },
+  { emoji: '🇵🇰', category: 'flags', keywords: ['pakistan', 'flag'], localized: { fr: ['pakistan', 'drapeau'], ar: ['باكستان', 'علم'] } },
+  { emoji: '🇵🇱', category: 'flags', keywords: ['poland', 'flag'], localized: { fr: ['pologne', 'drapeau'], ar: ['بولندا', 'علم'] } },
+  { emoji: '🇵🇲', category: 'flags', keywords: ['st. pierre & miquelon', 'flag'], localized: { fr: ['saint-pierre-et-miquelon', 'drapeau'], ar: ['سان بيير ومكويلون', 'علم'] } },
+  { emoji: '🇵🇳', category: 'flags', keywords: ['pitcairn islands', 'flag'], localized: { fr: ['îles pitcairn', 'drapeau'], ar: ['جزر بيتكيرن', 'علم'] } },
+  { emoji: '🇵🇷', category: 'flags', keywords: ['puerto rico', 'flag'], localized: { fr: ['porto rico', 'drapeau'], ar: ['بورتوريكو', 'علم'] } },
+  { emoji: '🇵🇸', category: 'flags', keywords: ['palestinian territories', 'flag'], localized: { fr: ['territoires palestiniens', 'drapeau'], ar: ['الأراضي الفلسطينية', 'علم'] } },
+  { emoji: '🇵🇹', category: 'flags', keywords: ['portugal', 'flag'], localized: { fr: ['portugal', 'drapeau'], ar: ['البرتغال', 'علم'] } },
+  { emoji: '🇵🇼', category: 'flags', keywords: ['palau', 'flag'], localized: { fr: ['palaos', 'drapeau'], ar: ['بالاو', 'علم'] } },
+  { emoji: '🇵🇾', category: 'flags', keywords: ['paraguay', 'flag'], localized: { fr: ['paraguay', 'drapeau'], ar: ['باراغواي', 'علم'] } },
+  { emoji: '🇶🇦', category: 'flags', keywords: ['qatar', 'flag'], localized: { fr: ['qatar', 'drapeau'], ar: ['قطر', 'علم'] } },
+  { emoji: '🇷🇪', category: 'flags', keywords: ['réunion', 'flag'], localized: { fr: ['la réunion', 'drapeau'], ar: ['روينيون', 'علم'] } },
+  { emoji: '🇷🇴', category: 'flags', keywords: ['romania', 'flag'], localized: { fr: ['roumanie', 'drapeau'], ar: ['رومانيا', 'علم'] } },
+  { emoji: '🇷🇸', category: 'flags', keywords: ['serbia', 'flag'], localized: { fr: ['serbie', 'drapeau'], ar: ['صربيا', 'علم'] } },
+  { emoji: '🇷🇺', category: 'flags', keywords: ['russia', 'flag'], localized: { fr: ['russie', 'drapeau'], ar: ['روسيا', 'علم'] } },
+  { emoji: '🇷🇼', category: 'flags', keywords: ['rwanda', 'flag'], localized: { fr: ['rwanda', 'drapeau'], ar: ['رواندا', 'علم'] } },
+  { emoji: '🇸🇦', category: 'flags', keywords: ['saudi arabia', 'flag'], localized: { fr: ['arabie saoudite', 'drapeau'], ar: ['المملكة العربية السعودية', 'علم'] } },
+  { emoji: '🇸🇧', category: 'flags', keywords: ['solomon islands', 'flag'], localized: { fr: ['îles salomon', 'drapeau'], ar: ['جزر سليمان', 'علم'] } },
+  { emoji: '🇸🇨', category: 'flags', keywords: ['seychelles', 'flag'], localized: { fr: ['seychelles', 'drapeau'], ar: ['سيشل', 'علم'] } },
+  { emoji: '🇸🇩', category: 'flags', keywords: ['sudan', 'flag'], localized: { fr: ['soudan', 'drapeau'], ar: ['السودان', 'علم'] } },
+  { emoji: '🇸🇪', category: 'flags', keywords: ['sweden', 'flag'], localized: { fr: ['suède', 'drapeau'], ar: ['السويد', 'علم'] } },
+  { emoji: '🇸🇬', category: 'flags', keywords: ['singapore', 'flag'], localized: { fr: ['singapour', 'drapeau'], ar: ['سنغافورة', 'علم'] } },
+  { emoji: '🇸🇭', category: 'flags', keywords: ['st. helena', 'flag'], localized: { fr: ['sainte-hélène', 'drapeau'], ar: ['سانت هيلينا', 'علم'] } },
+  { emoji: '🇸🇮', category: 'flags', keywords: ['slovenia', 'flag'], localized: { fr: ['slovénie', 'drapeau'], ar: ['سلوفينيا', 'علم'] } },
+  { emoji: '🇸🇯', category: 'flags', keywords: ['svalbard & jan mayen', 'flag'], localized: { fr: ['svalbard et jan mayen', 'drapeau'], ar: ['سفالبارد وجان ماين', 'علم'] } },
+  { emoji: '🇸🇰', category: 'flags', keywords: ['slovakia', 'flag'], localized: { fr: ['slovaquie', 'drapeau'], ar: ['سلوفاكيا', 'علم'] } },
+  { emoji: '🇸🇱', category: 'flags', keywords: ['sierra leone', 'flag'], localized: { fr: ['sierra leone', 'drapeau'], ar: ['سيراليون', 'علم'] } },
+  { emoji: '🇸🇲', category: 'flags', keywords: ['san marino', 'flag'], localized: { fr: ['saint-marin', 'drapeau'], ar: ['سان مارينو', 'علم'] } },
+  { emoji: '🇸🇳', category: 'flags', keywords: ['senegal', 'flag'], localized: { fr: ['sénégal', 'drapeau'], ar: ['السنغال', 'علم'] } },
+  { emoji: '🇸🇴', category: 'flags', keywords: ['somalia', 'flag'], localized: { fr: ['somalie', 'drapeau'], ar: ['الصومال', 'علم'] } },
+  { emoji: '🇸🇷', category: 'flags', keywords: ['suriname', 'flag'], localized: { fr: ['suriname', 'drapeau'], ar: ['سورينام', 'علم'] } },
+  { emoji: '🇸🇸', category: 'flags', keywords: ['south sudan', 'flag'], localized: { fr: ['soudan du sud', 'drapeau'], ar: ['جنوب السودان', 'علم'] } },
+  { emoji: '🇸🇹', category: 'flags', keywords: ['são tomé & príncipe', 'flag'], localized: { fr: ['sao tomé-et-principe', 'drapeau'], ar: ['ساو تومي وبرينسيبي', 'علم'] } },
+  { emoji: '🇸🇻', category: 'flags', keywords: ['el salvador', 'flag'], localized: { fr: ['salvador', 'drapeau'], ar: ['السلفادور', 'علم'] } },
+  { emoji: '🇸🇽', category: 'flags', keywords: ['sint maarten', 'flag'], localized: { fr: ['saint-martin (partie néerlandaise)', 'drapeau'], ar: ['سانت مارتن', 'علم'] } },
+  { emoji: '🇸🇾', category: 'flags', keywords: ['syria', 'flag'], localized: { fr: ['syrie', 'drapeau'], ar: ['سوريا', 'علم'] } },
+  { emoji: '🇸🇿', category: 'flags', keywords: ['eswatini', 'flag'], localized: { fr: ['eswatini', 'drapeau'], ar: ['إسواتيني', 'علم'] } },
+  { emoji: '🇹🇦', category: 'flags', keywords: ['tristan da cunha', 'flag'], localized: { fr: ['tristan da cunha', 'drapeau'], ar: ['تريستان دا كونا', 'علم'] } },
+  { emoji: '🇹🇨', category: 'flags', keywords: ['turks & caicos islands', 'flag'], localized: { fr: ['îles turques-et-caïques', 'drapeau'], ar: ['جزر توركس وكايكوس', 'علم'] } },
+  { emoji: '🇹🇩', category: 'flags', keywords: ['chad', 'flag'], localized: { fr: ['tchad', 'drapeau'], ar: ['تشاد', 'علم'] } },
+  { emoji: '🇹🇫', category: 'flags', keywords: ['french southern territories', 'flag'], localized: { fr: ['terres australes françaises', 'drapeau'], ar: ['الأقاليم الجنوبية الفرنسية', 'علم'] } },
+  { emoji: '🇹🇬', category: 'flags', keywords: ['togo', 'flag'], localized: { fr: ['togo', 'drapeau'], ar: ['توغو', 'علم'] } },
+  { emoji: '🇹🇭', category: 'flags', keywords: ['thailand', 'flag'], localized: { fr: ['thaïlande', 'drapeau'], ar: ['تايلاند', 'علم'] } },
+  { emoji: '🇹🇯', category: 'flags', keywords: ['tajikistan', 'flag'], localized: { fr: ['tadjikistan', 'drapeau'], ar: ['طاجيكستان', 'علم'] } },
+  { emoji: '🇹🇰', category: 'flags', keywords: ['tokelau', 'flag'], localized: { fr: ['tokelau', 'drapeau'], ar: ['توكيلاو', 'علم'] } },
+  { emoji: '🇹🇱', category: 'flags', keywords: ['timor-leste', 'flag'], localized: { fr: ['timor oriental', 'drapeau'], ar: ['تيمور - ليشتي', 'علم'] } },
+  { emoji: '🇹🇲', category: 'flags', keywords: ['turkmenistan', 'flag'], localized: { fr: ['turkménistan', 'drapeau'], ar: ['تركمانستان', 'علم'] } },
+  { emoji: '🇹🇳', category: 'flags', keywords: ['tunisia', 'flag'], localized: { fr: ['tunisie', 'drapeau'], ar: ['تونس', 'علم'] } },
+  { emoji: '🇹🇴', category: 'flags', keywords: ['tonga', 'flag'], localized: { fr: ['tonga', 'drapeau'], ar: ['تونغا', 'علم'] } },
+  { emoji: '🇹🇷', category: 'flags', keywords: ['türkiye', 'flag'], localized: { fr: ['turquie', 'drapeau'], ar: ['تركيا', 'علم'] } },
+  { emoji: '🇹🇹', category: 'flags', keywords: ['trinidad & tobago', 'flag'], localized: { fr: ['trinité-et-tobago', 'drapeau'], ar: ['ترينيداد وتوباغو', 'علم'] } },
+  { emoji: '🇹🇻', category: 'flags', keywords: ['tuvalu', 'flag'], localized: { fr: ['tuvalu', 'drapeau'], ar: ['توفالو', 'علم'] } },
+  { emoji: '🇹🇼', category: 'flags', keywords: ['taiwan', 'flag'], localized: { fr: ['taïwan', 'drapeau'], ar: ['تايوان', 'علم'] } },
+  { emoji: '🇹🇿', category: 'flags', keywords: ['tanzania', 'flag'], localized: { fr: ['tanzanie', 'drapeau'], ar: ['تنزانيا', 'علم'] } },
+  { emoji: '🇺🇦', category: 'flags', keywords: ['ukraine', 'flag'], localized: { fr: ['ukraine', 'drapeau'], ar: ['أوكرانيا', 'علم'] } },
+  { emoji: '🇺🇬', category: 'flags', keywords: ['uganda', 'flag'], localized: { fr: ['ouganda', 'drapeau'], ar: ['أوغندا', 'علم'] } },
+  { emoji: '🇺🇲', category: 'flags', keywords: ['u.s. outlying islands', 'flag'], localized: { fr: ['îles mineures éloignées des états-unis', 'drapeau'], ar: ['جزر الولايات المتحدة النائية', 'علم'] } },
+  { emoji: '🇺🇳', category: 'flags', keywords: ['united nations', 'flag'], localized: { fr: ['nations unies', 'drapeau'], ar: ['الأمم المتحدة', 'علم'] } },
+  { emoji: '🇺🇸', category: 'flags', keywords: ['united states', 'flag'], localized: { fr: ['états-unis', 'drapeau'], ar: ['الولايات المتحدة', 'علم'] } },
+  { emoji: '🇺🇾', category: 'flags', keywords: ['uruguay', 'flag'], localized: { fr: ['uruguay', 'drapeau'], ar: ['أورغواي', 'علم'] } },
+  { emoji: '🇺🇿', category: 'flags', keywords: ['uzbekistan', 'flag'], localized: { fr: ['ouzbékistan', 'drapeau'], ar: ['أوزبكستان', 'علم'] } },
+  { emoji: '🇻🇦', category: 'flags', keywords: ['vatican city', 'flag'], localized: { fr: ['état de la cité du vatican', 'drapeau'], ar: ['الفاتيكان', 'علم'] } },
+  { emoji: '🇻🇨', category: 'flags', keywords: ['st. vincent & grenadines', 'flag'], localized: { fr: ['saint-vincent-et-les grenadines', 'drapeau'], ar: ['سانت فنسنت وجزر غرينادين', 'علم'] } },
+  { emoji: '🇻🇪', category: 'flags', keywords: ['venezuela', 'flag'], localized: { fr: ['venezuela', 'drapeau'], ar: ['فنزويلا', 'علم'] } },
+  { emoji: '🇻🇬', category: 'flags', keywords: ['british virgin islands', 'flag'], localized: { fr: ['îles vierges britanniques', 'drapeau'], ar: ['جزر فيرجن البريطانية', 'علم'] } },
+  { emoji: '🇻🇮', category: 'flags', keywords: ['u.s. virgin islands', 'flag'], localized: { fr: ['îles vierges des états-unis', 'drapeau'], ar: ['جزر فيرجن الأمريكية', 'علم'] } },
+  { emoji: '🇻🇳', category: 'flags', keywords: ['vietnam', 'flag'], localized: { fr: ['viêt nam', 'drapeau'], ar: ['فيتنام', 'علم'] } },
+  { emoji: '🇻🇺', category: 'flags', keywords: ['vanuatu', 'flag'], localized: { fr: ['vanuatu', 'drapeau'], ar: ['فانواتو', 'علم'] } },
+  { emoji: '🇼🇫', category: 'flags', keywords: ['wallis & futuna', 'flag'], localized: { fr: ['wallis-et-futuna', 'drapeau'], ar: ['جزر والس وفوتونا', 'علم'] } },
+  { emoji: '🇼🇸', category: 'flags', keywords: ['samoa', 'flag'], localized: { fr: ['samoa', 'drapeau'], ar: ['ساموا', 'علم'] } },
+  { emoji: '🇽🇰', category: 'flags', keywords: ['kosovo', 'flag'], localized: { fr: ['kosovo', 'drapeau'], ar: ['كوسوفو', 'علم'] } },
+  { emoji: '🇾🇪', category: 'flags', keywords: ['yemen', 'flag'], localized: { fr: ['yémen', 'drapeau'], ar: ['اليمن', 'علم'] } },
+  { emoji: '🇾🇹', category: 'flags', keywords: ['mayotte', 'flag'], localized: { fr: ['mayotte', 'drapeau'], ar: ['مايوت', 'علم'] } },
+  { emoji: '🇿🇦', category: 'flags', keywords: ['south africa', 'flag'], localized: { fr: ['afrique du sud', 'drapeau'], ar: ['جنوب أفريقيا', 'علم'] } },
+  { emoji: '🇿🇲', category: 'flags', keywords: ['zambia', 'flag'], localized: { fr: ['zambie', 'drapeau'], ar: ['زامبيا', 'علم'] } },
+  { emoji: '🇿🇼', category: 'flags', keywords: ['zimbabwe', 'flag'], localized: { fr: ['zimbabwe', 'drapeau'], ar: ['زيمبابوي', 'علم'] } },
+  { emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', category: 'flags', keywords: ['england', 'flag'], localized: { fr: ['angleterre', 'drapeau'], ar: ['إنجلترا', 'علم'] } },
+  { emoji: '🏴󠁧󠁢󠁳󠁣󠁴󠁿', category: 'flags', keywords: ['scotland', 'flag'], localized: { fr: ['écosse', 'drapeau'], ar: ['اسكتلندا', 'علم'] } },
+  { emoji: '🏴󠁧󠁢󠁷󠁬󠁳󠁿', category: 'flags', keywords: ['wales', 'flag'], localized: { fr: ['pays de galles', 'drapeau'], ar: ['ويلز', 'علم'] } }
 ];
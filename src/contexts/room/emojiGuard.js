@@ -0,0 +1,34 @@
+import { findEmoji } from './emojiCatalog';
+
+// Anti-cheat for emoji answers: the payload is split into grapheme clusters (Intl.Segmenter) and every
+// cluster has to be an emoji from the picker's catalog, as picked (base, skin-toned, with or without
+// its variation selector). That rules out letters and digits, ASCII art such as ":-)" or "<3", and
+// regional indicators spelling words (🇭🇮 is not a flag, a lone 🇭 is just a letter).
+// Checked on submit and draft save (useRoomActions), and by advance_phase when the phase closes
+// (wdym_split_emoji_answer, against the same emojis in public.emoji_catalog).
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+// Older browsers without Intl.Segmenter split by code point, which only ever rejects more
+const splitGraphemes = (text) => segmenter
+    ? Array.from(segmenter.segment(text), ({ segment }) => segment)
+    : Array.from(text);
+
+const stripVariationSelectors = (emoji) => emoji.replace(/\uFE0F/g, '');
+
+export const isEmojiCluster = (cluster) => {
+    const item = findEmoji(cluster);
+    if (!item) return false;
+    const loose = stripVariationSelectors(cluster);
+    return [item.emoji, ...(item.skins || [])].some(emoji => stripVariationSelectors(emoji) === loose);
+};
+
+// Emojis of an answer, in order, or null if anything other than emojis and whitespace is in it
+export const splitEmojiAnswer = (value) => {
+    if (typeof value !== 'string') return null;
+    const clusters = splitGraphemes(value).filter(cluster => cluster.trim());
+    return clusters.every(isEmojiCluster) ? clusters : null;
+};
+
+// The answer re-joined with single spaces ('' when empty), or null if it is not emoji-only
+export const normalizeEmojiAnswer = (value) => splitEmojiAnswer(value)?.join(' ') ?? null;
@@ -0,0 +1,2591 @@
+// Hand-written emoji keywords, keyed by emoji. scripts/generate-emoji-data.js merges them into EMOJI_DATA:
+// the English ones next to each emoji's Unicode name, the French and Arabic ones (item.localized) ahead
+// of the emoji's CLDR annotations. An emoji CLDR does not annotate yet needs an entry in every language.
+
+// Lowercase without accents, Arabic harakat or tatweel, so "café" meets "cafe" and "قِطّة" meets "قطة"
+export const normalizeKeyword = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\p{M}\u0640]/gu, '');
+
+// Keywords of an EMOJI_DATA item in `language`, followed by its English ones
+export const getEmojiKeywords = (item, language = 'en') => {
+  const localized = language === 'en' ? null : item.localized?.[language];
+  return localized ? [...localized, ...item.keywords] : item.keywords;
+};
+
+export const EMOJI_KEYWORDS = {
+  en: {
+    '😀': ['smile', 'happy', 'grin'],
+    '😃': ['smile', 'happy', 'open mouth'],
+    '😄': ['smile', 'happy', 'eyes closed'],
+    '😁': ['smile', 'happy', 'beaming'],
+    '😆': ['grin', 'laugh', 'squint'],
+    '😅': ['sweat', 'laugh', 'nervous'],
+    '🤣': ['rofl', 'laughing', 'rolling'],
+    '😂': ['joy', 'laugh', 'tears'],
+    '🙂': ['smile', 'slight'],
+    '🙃': ['upside down', 'flipped'],
+    '🫠': ['melting', 'hot', 'shame'],
+    '😉': ['wink', 'flirty'],
+    '😊': ['blush', 'happy', 'soft'],
+    '😇': ['angel', 'halo', 'innocent'],
+    '🥰': ['hearts', 'love', 'blush'],
+    '😍': ['love', 'heart eyes'],
+    '🤩': ['starstruck', 'wow'],
+    '😘': ['kissing', 'heart', 'smooth'],
+    '😗': ['kissing'],
+    '☺️': ['smile', 'blush', 'sweet'],
+    '😚': ['kissing', 'closed eyes'],
+    '😙': ['kissing', 'smile'],
+    '😋': ['yum', 'delicious', 'tongue'],
+    '😛': ['tongue', 'playful'],
+    '😜': ['wink', 'tongue', 'crazy'],
+    '🤪': ['zany', 'crazy', 'goofy'],
+    '😝': ['tongue', 'closed eyes', 'squint'],
+    '🤑': ['money', 'rich', 'dollar'],
+    '🤗': ['hugging', 'warmth', 'jazz hands'],
+    '🫣': ['peeking', 'hiding', 'eye'],
+    '🤭': ['giggle', 'hand over mouth', 'oops'],
+    '🫢': ['open mouth', 'amazed', 'shock'],
+    '🤫': ['shushing', 'quiet', 'secret'],
+    '🤔': ['thinking', 'curious', 'ponder'],
+    '🫡': ['saluting', 'respect', 'yes sir'],
+    '🤐': ['zipper', 'quiet', 'sealed'],
+    '🤨': ['raised eyebrow', 'skeptical', 'suspicious'],
+    '😐': ['neutral', 'poker face'],
+    '😑': ['expressionless', 'meh', 'blank'],
+    '😶': ['no mouth', 'silent'],
+    '🫥': ['dotted line', 'invisible', 'disappearing'],
+    '😶‍🌫️': ['face in clouds', 'absent-minded', 'fog'],
+    '😏': ['smirk', 'cool', 'flirt'],
+    '😒': ['unamused', 'side eye'],
+    '🙄': ['rolling eyes', 'judging'],
+    '😬': ['grimace', 'awkward', 'teeth'],
+    '😮‍💨': ['face exhaling', 'relief', 'tired'],
+    '🤥': ['lying', 'pinocchio', 'long nose'],
+    '😌': ['relieved', 'peaceful'],
+    '😔': ['pensive', 'sad', 'down'],
+    '😪': ['sleepy', 'drool', 'tired'],
+    '🤤': ['drooling', 'delicious'],
+    '😴': ['sleeping', 'zzz'],
+    '😷': ['mask', 'sick', 'doctor'],
+    '🤒': ['thermometer', 'hot', 'febrile'],
+    '🤕': ['bandage', 'hurt', 'head injury'],
+    '🤢': ['nauseated', 'sick', 'green'],
+    '🤮': ['vomiting', 'puking', 'gross'],
+    '🤧': ['sneezing', 'allergy', 'tissue'],
+    '🥵': ['hot', 'overheated', 'sun'],
+    '🥶': ['cold', 'frozen', 'blue'],
+    '🥴': ['woozy', 'drunk', 'dizzy'],
+    '😵': ['dizzy', 'knocked out', 'dead'],
+    '😵‍💫': ['face with spiral eyes', 'hypnotized', 'confused'],
+    '🤯': ['exploding', 'mind blown', 'shock'],
+    '🤠': ['cowboy', 'hat', 'wild west'],
+    '🥳': ['partying', 'celebration', 'party'],
+    '🥸': ['disguise', 'mustache', 'glasses'],
+    '😎': ['cool', 'sunglasses'],
+    '🤓': ['nerd', 'geek', 'glasses'],
+    '🧐': ['monocle', 'inspect', 'curious'],
+    '😕': ['confused', 'puzzled'],
+    '🫤': ['diagonal mouth', 'skeptical', 'unsure'],
+    '😟': ['worried', 'nervous'],
+    '🙁': ['frown', 'sad'],
+    '☹️': ['frown', 'unhappy'],
+    '😮': ['shock', 'surprised', 'open mouth'],
+    '😯': ['hushed', 'quiet shock'],
+    '😲': ['astonished', 'amazed'],
+    '😳': ['flushed', 'blush', 'surprised'],
+    '🥺': ['pleading', 'pouty', 'sad'],
+    '🥹': ['face holding back tears', 'moved', 'emotional'],
+    '😦': ['frowning with open mouth', 'shock'],
+    '😧': ['anguished', 'scared', 'pain'],
+    '😨': ['fearful', 'scared', 'panic'],
+    '😰': ['anxious with sweat', 'blue', 'panic'],
+    '😥': ['sad but relieved', 'blue', 'tears'],
+    '😢': ['crying', 'sad', 'tears'],
+    '😭': ['sobbing', 'sad', 'tears', 'crying'],
+    '😱': ['scream', 'fear', 'shock'],
+    '😖': ['confounded', 'strained'],
+    '😣': ['persevering', 'strained', 'closed eyes'],
+    '😞': ['disappointed', 'sad'],
+    '😓': ['downcast with sweat', 'sad', 'work'],
+    '😩': ['weary', 'tired', 'moan'],
+    '😫': ['tired', 'exhausted'],
+    '🥱': ['yawning', 'tired', 'bored'],
+    '😤': ['triumph', 'angry', 'steam'],
+    '😡': ['pouting', 'angry', 'red'],
+    '😠': ['angry', 'mad'],
+    '🤬': ['cursing', 'censored', 'mad'],
+    '😈': ['smiling face with horns', 'demon', 'devil'],
+    '👿': ['pouting face with horns', 'demon', 'angry devil'],
+    '💀': ['skull', 'dead', 'laughing'],
+    '☠️': ['skull and crossbones', 'danger', 'poison'],
+    '💩': ['poop', 'crap', 'shit'],
+    '🤡': ['clown', 'silly', 'creepy'],
+    '👹': ['ogre', 'monster', 'scary'],
+    '👺': ['goblin', 'mask', 'evil'],
+    '👻': ['ghost', 'scary', 'spooky'],
+    '👽': ['alien', 'ufo', 'space'],
+    '👾': ['invader', 'pixel alien', 'game'],
+    '🤖': ['robot', 'bot', 'tech'],
+    '😺': ['grinning cat'],
+    '😸': ['grinning cat with smiling eyes'],
+    '😹': ['cat with tears of joy'],
+    '😻': ['smiling cat with heart-eyes'],
+    '😼': ['cat with wry smile'],
+    '😽': ['kissing cat'],
+    '🙀': ['weary cat', 'shock'],
+    '😿': ['crying cat'],
+    '😾': ['pouting cat', 'angry'],
+    '🙈': ['see no evil', 'monkey', 'hiding', 'see no evil monkey'],
+    '🙉': ['hear no evil', 'monkey', 'quiet', 'hear no evil monkey'],
+    '🙊': ['speak no evil', 'monkey', 'hush', 'speak no evil monkey'],
+    '💋': ['kiss', 'lipstick', 'lips'],
+    '💌': ['love letter', 'mail', 'heart'],
+    '💘': ['heart with arrow', 'cupid', 'love'],
+    '💝': ['heart with ribbon', 'gift', 'box'],
+    '💖': ['sparkling heart', 'glowing'],
+    '💗': ['growing heart', 'pulse'],
+    '💓': ['beating heart', 'pulse'],
+    '💞': ['revolving hearts'],
+    '💕': ['two hearts', 'love'],
+    '💟': ['heart decoration'],
+    '❣️': ['heart exclamation'],
+    '💔': ['broken heart', 'sad'],
+    '❤️‍🔥': ['heart on fire', 'passion'],
+    '❤️‍🩹': ['mending heart', 'healing'],
+    '❤️': ['red heart', 'love'],
+    '🧡': ['orange heart'],
+    '💛': ['yellow heart'],
+    '💚': ['green heart'],
+    '💙': ['blue heart'],
+    '💜': ['purple heart'],
+    '🤎': ['brown heart'],
+    '🖤': ['black heart'],
+    '🤍': ['white heart'],
+    '💯': ['hundred', 'score', 'perfect', '100'],
+    '💢': ['anger symbol', 'mad', 'vein', 'anger'],
+    '💥': ['boom', 'collision', 'bang'],
+    '💫': ['dizzy', 'stars'],
+    '💦': ['sweat droplets', 'water', 'hot', 'sweat drops'],
+    '💨': ['dash', 'fast', 'running', 'wind'],
+    '🕳️': ['hole', 'void'],
+    '💣': ['bomb', 'danger', 'boom'],
+    '💬': ['speech balloon', 'chat', 'talk'],
+    '👁️‍🗨️': ['eye in speech bubble'],
+    '🗨️': ['left speech bubble'],
+    '🗯️': ['right anger bubble'],
+    '💭': ['thought balloon', 'thinking'],
+    '💤': ['zzz', 'sleeping', 'tired'],
+    '👋': ['wave', 'hello', 'bye'],
+    '🤚': ['raised back of hand'],
+    '🖐️': ['hand with fingers splayed', 'five'],
+    '✋': ['raised hand', 'stop', 'high five'],
+    '🖖': ['vulcan salute', 'star trek'],
+    '🫱': ['rightward hand'],
+    '🫲': ['leftward hand'],
+    '🫵': ['index pointing at viewer', 'you', 'pointing you'],
+    '👌': ['ok', 'perfect'],
+    '🤌': ['pinched fingers', 'italian', 'what'],
+    '🤏': ['pinching hand', 'little bit'],
+    '✌️': ['victory', 'peace'],
+    '🤞': ['fingers crossed', 'luck'],
+    '🫰': ['hand with index finger and thumb crossed', 'finger heart', 'money'],
+    '🤟': ['love you gesture', 'ily'],
+    '🤘': ['rock on', 'horns'],
+    '🤙': ['call me', 'shaka'],
+    '👈': ['point left'],
+    '👉': ['point right'],
+    '👆': ['point up'],
+    '🖕': ['middle finger', 'rude'],
+    '👇': ['point down'],
+    '☝️': ['index up'],
+    '👍': ['thumbs up', 'yes', 'ok'],
+    '👎': ['thumbs down', 'no'],
+    '✊': ['raised fist', 'power'],
+    '👊': ['oncoming fist', 'bro fist', 'punch'],
+    '🤛': ['left-facing fist'],
+    '🤜': ['right-facing fist'],
+    '👏': ['clapping', 'bravo'],
+    '🙌': ['raising hands', 'celebrate'],
+    '🫶': ['heart hands', 'love'],
+    '👐': ['open hands'],
+    '🤲': ['palms up together', 'prayer', 'give'],
+    '🤝': ['handshake', 'deal', 'agreement'],
+    '🙏': ['folded hands', 'please', 'thank you', 'pray'],
+    '✍️': ['writing', 'draw'],
+    '💅': ['nail polish', 'fancy', 'slay'],
+    '🤳': ['selfie'],
+    '💪': ['muscle', 'strong', 'flex'],
+    '🦾': ['mechanical arm', 'robot'],
+    '🦿': ['mechanical leg', 'robot'],
+    '🦵': ['leg'],
+    '🦶': ['foot'],
+    '👂': ['ear', 'listen'],
+    '🦻': ['ear with hearing aid'],
+    '👃': ['nose', 'smell'],
+    '🧠': ['brain', 'smart', 'thinking'],
+    '🫀': ['anatomical heart', 'medical'],
+    '🫁': ['lungs', 'breath'],
+    '🦷': ['tooth', 'dentist'],
+    '🦴': ['bone', 'skeleton'],
+    '👀': ['eyes', 'looking', 'sus'],
+    '👁️': ['eye'],
+    '👅': ['tongue'],
+    '👄': ['mouth', 'lips'],
+    '🫦': ['biting lip', 'flirty', 'nervous'],
+    '👶': ['baby', 'boy', 'girl'],
+    '🧒': ['child', 'kid'],
+    '👦': ['boy', 'kid'],
+    '👧': ['girl', 'kid'],
+    '👤': ['silhouette', 'user', 'shadow'],
+    '👥': ['silhouettes', 'users', 'group'],
+    '🫂': ['people hugging', 'comfort'],
+    '🐶': ['dog', 'puppy', 'pet'],
+    '🐱': ['cat', 'kitten', 'pet'],
+    '🐭': ['mouse', 'rodent'],
+    '🐹': ['hamster', 'pet'],
+    '🐰': ['rabbit', 'bunny'],
+    '🦊': ['fox'],
+    '🐻': ['bear'],
+    '🐼': ['panda'],
+    '🐻‍❄️': ['polar bear'],
+    '🐨': ['koala'],
+    '🐯': ['tiger'],
+    '🦁': ['lion', 'king'],
+    '🐮': ['cow'],
+    '🐷': ['pig'],
+    '🐽': ['pig nose'],
+    '🐸': ['frog'],
+    '🐵': ['monkey', 'face'],
+    '🐒': ['monkey'],
+    '🐔': ['chicken', 'hen'],
+    '🐧': ['penguin'],
+    '🐦': ['bird'],
+    '🐤': ['baby chick'],
+    '🐣': ['hatching chick'],
+    '🐥': ['chick'],
+    '🦆': ['duck'],
+    '🦅': ['eagle'],
+    '🦉': ['owl'],
+    '🦇': ['bat', 'vampire'],
+    '🐺': ['wolf'],
+    '🐗': ['boar'],
+    '🐴': ['horse'],
+    '🦄': ['unicorn', 'magic'],
+    '🐝': ['bee', 'insect'],
+    '🪱': ['worm'],
+    '🐛': ['bug', 'caterpillar'],
+    '🦋': ['butterfly'],
+    '🐌': ['snail'],
+    '🐞': ['lady beetle', 'luck'],
+    '🐜': ['ant'],
+    '🦗': ['cricket'],
+    '🪳': ['cockroach'],
+    '🕷️': ['spider', 'scary'],
+    '🕸️': ['web', 'spider'],
+    '🦂': ['scorpion', 'scorpio'],
+    '🦟': ['mosquito'],
+    '🪰': ['fly'],
+    '🐢': ['turtle'],
+    '🐍': ['snake'],
+    '🦎': ['lizard'],
+    '🦖': ['t-rex', 'dinosaur'],
+    '🦕': ['sauropod', 'dinosaur'],
+    '🐙': ['octopus'],
+    '🦑': ['squid'],
+    '🦐': ['shrimp'],
+    '🦞': ['lobster'],
+    '🦀': ['crab'],
+    '🐡': ['blowfish'],
+    '🐠': ['tropical fish'],
+    '🐟': ['fish'],
+    '🐬': ['dolphin'],
+    '🐳': ['whale', 'spouting'],
+    '🐋': ['whale'],
+    '🦈': ['shark'],
+    '🐊': ['crocodile'],
+    '🐅': ['tiger'],
+    '🐆': ['leopard'],
+    '🦓': ['zebra'],
+    '🦍': ['gorilla'],
+    '🦧': ['orangutan'],
+    '🐘': ['elephant'],
+    '🦛': ['hippo'],
+    '🦏': ['rhino'],
+    '🐪': ['camel'],
+    '🦒': ['giraffe'],
+    '🦘': ['kangaroo'],
+    '🦬': ['bison'],
+    '🐃': ['water buffalo'],
+    '🐂': ['ox'],
+    '🐄': ['cow'],
+    '🐏': ['ram'],
+    '🐑': ['sheep', 'ewe'],
+    '🐐': ['goat'],
+    '🦌': ['deer'],
+    '🦙': ['llama'],
+    '🦥': ['sloth'],
+    '🦨': ['skunk'],
+    '🦡': ['badger'],
+    '🦃': ['turkey', 'thanksgiving'],
+    '🕊️': ['dove', 'peace'],
+    '🐕': ['dog'],
+    '🐩': ['poodle'],
+    '🦮': ['guide dog'],
+    '🐾': ['paw prints'],
+    '🐉': ['dragon'],
+    '🐲': ['dragon face'],
+    '🌵': ['cactus', 'desert'],
+    '🎄': ['christmas tree'],
+    '🌲': ['evergreen tree'],
+    '🌳': ['deciduous tree'],
+    '🌴': ['palm tree', 'beach'],
+    '🌱': ['seedling', 'plant', 'grow'],
+    '🌿': ['herb'],
+    '☘️': ['shamrock', 'luck'],
+    '🍀': ['four leaf clover', 'luck'],
+    '🎍': ['pine decoration'],
+    '🎋': ['tanabata tree'],
+    '🍃': ['leaf fluttering in wind'],
+    '🍂': ['fallen leaf', 'autumn'],
+    '🍁': ['maple leaf', 'canada'],
+    '🍄': ['mushroom'],
+    '🌾': ['sheaf of rice'],
+    '💐': ['bouquet', 'flowers'],
+    '🌷': ['tulip'],
+    '🌹': ['rose', 'love'],
+    '🥀': ['wilted flower', 'sad'],
+    '🌺': ['hibiscus'],
+    '🌸': ['cherry blossom', 'sakura'],
+    '🌼': ['blossom'],
+    '🌻': ['sunflower'],
+    '🌞': ['sun with face'],
+    '🌝': ['full moon with face'],
+    '🌚': ['new moon with face'],
+    '🌛': ['first quarter moon with face'],
+    '🌜': ['last quarter moon with face'],
+    '🌙': ['crescent moon', 'night'],
+    '🌍': ['earth globe europe-africa'],
+    '🌎': ['earth globe americas'],
+    '🌏': ['earth globe asia-australia'],
+    '🌐': ['globe with meridians', 'internet'],
+    '🌋': ['volcano', 'hot'],
+    '🌌': ['milky way', 'space'],
+    '🌠': ['shooting star'],
+    '⭐': ['star'],
+    '☀️': ['sun', 'hot'],
+    '⛅': ['sun behind cloud'],
+    '☁️': ['cloud'],
+    '⚡': ['high voltage', 'lightning', 'zap'],
+    '🔥': ['fire', 'hot', 'lit'],
+    '❄️': ['snowflake', 'cold'],
+    '🌨️': ['cloud with snow'],
+    '⛈️': ['cloud with lightning and rain'],
+    '🌧️': ['cloud with rain'],
+    '💧': ['droplet', 'water'],
+    '🌊': ['water wave', 'ocean'],
+    '🌈': ['rainbow', 'proud'],
+    '🍇': ['grapes', 'fruit'],
+    '🍈': ['melon', 'fruit'],
+    '🍉': ['watermelon', 'fruit'],
+    '🍊': ['tangerine', 'orange', 'fruit'],
+    '🍋': ['lemon', 'citrus'],
+    '🍋‍🟩': ['lime', 'citrus'],
+    '🍌': ['banana', 'fruit'],
+    '🍍': ['pineapple', 'fruit'],
+    '🥭': ['mango', 'fruit'],
+    '🍎': ['red apple', 'fruit'],
+    '🍏': ['green apple', 'fruit'],
+    '🍐': ['pear', 'fruit'],
+    '🍑': ['peach', 'fruit', 'butt'],
+    '🍒': ['cherries', 'fruit'],
+    '🍓': ['strawberry', 'fruit'],
+    '🫐': ['blueberries', 'fruit'],
+    '🥝': ['kiwi fruit'],
+    '🍅': ['tomato', 'vegetable'],
+    '🫒': ['olive'],
+    '🥥': ['coconut'],
+    '🥑': ['avocado', 'healthy'],
+    '🍆': ['eggplant', 'vegetable', 'penis'],
+    '🥔': ['potato', 'starch'],
+    '🥕': ['carrot', 'vegetable'],
+    '🌽': ['ear of corn', 'maize'],
+    '🌶️': ['hot pepper', 'spicy'],
+    '🫑': ['bell pepper'],
+    '🥒': ['cucumber'],
+    '🥬': ['leafy green', 'salad'],
+    '🥦': ['broccoli'],
+    '🧄': ['garlic'],
+    '🧅': ['onion'],
+    '🫚': ['ginger root'],
+    '🥜': ['peanuts', 'nut'],
+    '🫘': ['beans'],
+    '🌰': ['chestnut'],
+    '🫗': ['pouring liquid'],
+    '🍞': ['bread', 'toast'],
+    '🥐': ['croissant'],
+    '🥖': ['baguette bread'],
+    '🫓': ['flatbread'],
+    '🥨': ['pretzel'],
+    '🥯': ['bagel'],
+    '🥞': ['pancakes', 'breakfast'],
+    '🧇': ['waffle'],
+    '🧀': ['cheese wedge'],
+    '🍖': ['meat on bone'],
+    '🍗': ['poultry leg', 'chicken'],
+    '🥩': ['cut of meat', 'steak'],
+    '🥓': ['bacon'],
+    '🍔': ['hamburger', 'burger', 'fast food'],
+    '🍟': ['french fries', 'fast food'],
+    '🍕': ['pizza', 'fast food'],
+    '🌭': ['hot dog'],
+    '🥪': ['sandwich'],
+    '🌮': ['taco', 'mexican'],
+    '🌯': ['burrito', 'mexican'],
+    '🫔': ['tamale'],
+    '🥙': ['stuffed flatbread', 'gyro'],
+    '🧆': ['falafel'],
+    '🥚': ['egg'],
+    '🍳': ['cooking', 'egg', 'frying pan'],
+    '🥘': ['shallow pan of food', 'paella'],
+    '🍲': ['pot of food', 'stew'],
+    '🫕': ['fondue'],
+    '🥣': ['bowl with spoon', 'cereal', 'soup'],
+    '🥗': ['green salad', 'healthy'],
+    '🍿': ['popcorn', 'movie'],
+    '🧈': ['butter'],
+    '🧂': ['salt'],
+    '🥫': ['canned food'],
+    '🍱': ['bento box'],
+    '🍘': ['rice cracker'],
+    '🍙': ['rice ball'],
+    '🍚': ['cooked rice'],
+    '🍛': ['curry rice'],
+    '🍜': ['steaming bowl', 'ramen', 'noodles'],
+    '🍝': ['spaghetti', 'pasta'],
+    '🍠': ['roasted sweet potato'],
+    '🍢': ['oden'],
+    '🍣': ['sushi'],
+    '🍤': ['fried shrimp', 'tempura'],
+    '🍥': ['fish cake with swirl', 'naruto'],
+    '🥮': ['moon cake'],
+    '🍡': ['dango'],
+    '🥟': ['dumpling'],
+    '🥠': ['fortune cookie'],
+    '🥡': ['takeout box', 'chinese food'],
+    '🦪': ['oyster'],
+    '🍦': ['soft serve', 'ice cream'],
+    '🍧': ['shaved ice'],
+    '🍨': ['ice cream'],
+    '🍩': ['doughnut', 'donut'],
+    '🍪': ['cookie', 'biscuit'],
+    '🎂': ['birthday cake'],
+    '🍰': ['shortcake', 'cake slice'],
+    '🧁': ['cupcake'],
+    '🥧': ['pie'],
+    '🍫': ['chocolate bar'],
+    '🍬': ['candy'],
+    '🍭': ['lollipop'],
+    '🍮': ['custard', 'flan'],
+    '🍯': ['honey pot'],
+    '🍼': ['baby bottle', 'milk'],
+    '🥛': ['glass of milk'],
+    '☕': ['hot beverage', 'coffee', 'tea'],
+    '🫖': ['teapot'],
+    '🍵': ['teacup without handle', 'green tea'],
+    '🍶': ['sake'],
+    '🍾': ['bottle with popping cork', 'champagne', 'party'],
+    '🍷': ['wine glass'],
+    '🍸': ['cocktail glass', 'martini'],
+    '🍹': ['tropical drink'],
+    '🍺': ['beer mug'],
+    '🍻': ['clinking beer mugs', 'cheers'],
+    '🥂': ['clinking glasses', 'celebrate'],
+    '🥃': ['tumbler glass', 'whiskey'],
+    '🥤': ['cup with straw', 'soda', 'shake'],
+    '🧋': ['bubble tea', 'boba'],
+    '🧃': ['beverage box', 'juice'],
+    '🧉': ['mate'],
+    '🧊': ['ice cube', 'cold'],
+    '🥢': ['chopsticks'],
+    '🍽️': ['fork and knife with plate', 'dinner'],
+    '🍴': ['fork and knife'],
+    '🥄': ['spoon'],
+    '🚗': ['automobile', 'car'],
+    '🚕': ['taxi', 'cab'],
+    '🚙': ['recreational vehicle', 'suv'],
+    '🚌': ['bus'],
+    '🚎': ['trolleybus'],
+    '🏎️': ['racing car', 'formula1'],
+    '🚓': ['police car'],
+    '🚑': ['ambulance'],
+    '🚒': ['fire engine'],
+    '🚐': ['minibus'],
+    '🚚': ['delivery truck'],
+    '🚛': ['articulated lorry', 'truck'],
+    '🚜': ['tractor'],
+    '🚲': ['bicycle', 'bike'],
+    '🛴': ['kick scooter'],
+    '🛵': ['motor scooter', 'vespa'],
+    '🏍️': ['motorcycle'],
+    '🛺': ['auto rickshaw'],
+    '🚔': ['oncoming police car'],
+    '🚍': ['oncoming bus'],
+    '🚘': ['oncoming automobile'],
+    '🚖': ['oncoming taxi'],
+    '🚟': ['aerial tramway'],
+    '🚠': ['mountain cableway', 'monorail'],
+    '🚄': ['high-speed train'],
+    '🚅': ['bullet train'],
+    '🚆': ['train'],
+    '🚇': ['metro', 'subway'],
+    '🚈': ['light rail'],
+    '🚉': ['station'],
+    '🚊': ['tram'],
+    '⛴️': ['ferry', 'boat'],
+    '🛳️': ['passenger ship', 'cruise'],
+    '🚢': ['ship'],
+    '✈️': ['airplane', 'flight'],
+    '🛩️': ['small airplane'],
+    '🚀': ['rocket', 'space'],
+    '🛰️': ['satellite'],
+    '🛸': ['ufo', 'alien'],
+    '🚁': ['helicopter'],
+    '🛶': ['canoe'],
+    '⛵': ['sailboat', 'boat'],
+    '🚤': ['speedboat'],
+    '⚓': ['anchor', 'sea'],
+    '🎡': ['ferris wheel', 'fair'],
+    '🎢': ['roller coaster', 'fair'],
+    '🎠': ['carousel horse', 'carousel'],
+    '🏗️': ['building construction', 'construction'],
+    '🏠': ['house'],
+    '🏡': ['house with garden'],
+    '🏘️': ['houses'],
+    '🏚️': ['derelict house', 'old'],
+    '🏢': ['office building'],
+    '🏣': ['japanese post office'],
+    '🏤': ['post office'],
+    '🏥': ['hospital'],
+    '🏦': ['bank'],
+    '🏨': ['hotel'],
+    '🏩': ['love hotel'],
+    '🏪': ['convenience store'],
+    '🏫': ['school'],
+    '🏬': ['department store'],
+    '🏭': ['factory'],
+    '🏯': ['japanese castle'],
+    '🏰': ['castle'],
+    '💒': ['wedding'],
+    '🗼': ['tokyo tower'],
+    '🗽': ['statue of liberty', 'usa'],
+    '⛪': ['church'],
+    '🕌': ['mosque'],
+    '🛕': ['hindu temple'],
+    '✡️': ['star of david'],
+    '⛩️': ['shinto shrine'],
+    '🕋': ['kaaba'],
+    '⛲': ['fountain'],
+    '⛺': ['tent', 'camping'],
+    '🌁': ['foggy'],
+    '🌃': ['night with stars'],
+    '🏙️': ['cityscape', 'buildings'],
+    '🌄': ['sunrise over mountains'],
+    '🌅': ['sunrise', 'beach'],
+    '🌆': ['cityscape at dusk'],
+    '🌇': ['sunset'],
+    '🌉': ['bridge at night'],
+    '⛰️': ['mountain'],
+    '🏔️': ['snow-capped mountain'],
+    '🗻': ['mount fuji'],
+    '🧱': ['brick'],
+    '🪵': ['wood'],
+    '🛖': ['hut'],
+    '🏞️': ['national park'],
+    '🏟️': ['stadium'],
+    '🏜️': ['desert'],
+    '🏝️': ['island'],
+    '⚽': ['soccer', 'football', 'ball'],
+    '🏀': ['basketball', 'ball'],
+    '🏈': ['american football', 'ball'],
+    '⚾': ['baseball', 'ball'],
+    '🥎': ['softball', 'ball'],
+    '🎾': ['tennis', 'ball'],
+    '🏐': ['volleyball', 'ball'],
+    '🏉': ['rugby football', 'ball'],
+    '🎱': ['billiards', 'pool', 'eight ball'],
+    '🏓': ['ping pong', 'table tennis'],
+    '🏸': ['badminton'],
+    '🏒': ['ice hockey'],
+    '🏑': ['field hockey'],
+    '🥍': ['lacrosse'],
+    '🏏': ['cricket game'],
+    '🪃': ['boomerang'],
+    '🥅': ['goal net'],
+    '⛳': ['flag in hole', 'golf'],
+    '🏹': ['bow and arrow', 'archery'],
+    '🎣': ['fishing pole', 'fish'],
+    '🤿': ['diving mask', 'swim'],
+    '🥊': ['boxing glove'],
+    '🥋': ['martial arts uniform', 'karate'],
+    '⛸️': ['ice skate'],
+    '🛷': ['sled'],
+    '🎿': ['skis'],
+    '🏂': ['snowboarder'],
+    '🏋️': ['weight lifter', 'gym'],
+    '🤺': ['fencer'],
+    '🤼': ['wrestlers'],
+    '🤸': ['person cartwheeling', 'gymnast'],
+    '⛹️': ['person bouncing ball', 'basketball'],
+    '🧘': ['meditation', 'yoga'],
+    '🏇': ['horse racing'],
+    '🏄': ['surfer', 'beach'],
+    '🏊': ['swimmer', 'pool'],
+    '🤽': ['water polo'],
+    '🚣': ['rowboat'],
+    '🧗': ['climber', 'mountain'],
+    '🚵': ['mountain biker'],
+    '🚴': ['bicyclist'],
+    '🏆': ['trophy', 'winner'],
+    '🥇': ['1st place medal', 'gold'],
+    '🥈': ['2nd place medal', 'silver'],
+    '🥉': ['3rd place medal', 'bronze'],
+    '🏅': ['sports medal'],
+    '🎖️': ['military medal'],
+    '🏵️': ['rosette'],
+    '🎫': ['ticket'],
+    '🎟️': ['admission tickets'],
+    '🎭': ['performing arts', 'theater', 'mask'],
+    '🎨': ['artist palette', 'art', 'paint'],
+    '🎬': ['clapper board', 'movie'],
+    '🎤': ['microphone', 'sing'],
+    '🎧': ['headphone', 'music'],
+    '🎼': ['musical score'],
+    '🎹': ['musical keyboard', 'piano'],
+    '🥁': ['drum'],
+    '🎷': ['saxophone'],
+    '🎺': ['trumpet'],
+    '🎸': ['guitar'],
+    '🪕': ['banjo'],
+    '🎻': ['violin'],
+    '🎮': ['video game', 'controller'],
+    '🕹️': ['joystick'],
+    '🎰': ['slot machine', 'casino'],
+    '🎲': ['game die', 'dice', 'luck'],
+    '♟️': ['chess pawn'],
+    '🧩': ['puzzle piece'],
+    '🧸': ['teddy bear'],
+    '🃏': ['joker', 'cards'],
+    '🀄': ['mahjong red dragon'],
+    '🎴': ['flower playing cards'],
+    '🎯': ['bullseye', 'dart'],
+    '📱': ['mobile phone', 'iphone'],
+    '📲': ['mobile phone with arrow'],
+    '☎️': ['telephone'],
+    '📞': ['telephone receiver', 'phone', 'call'],
+    '📟': ['pager'],
+    '📠': ['fax machine'],
+    '🔋': ['battery', 'power'],
+    '🔌': ['electric plug', 'power', 'plug'],
+    '💻': ['laptop computer'],
+    '🖥️': ['desktop computer'],
+    '🖨️': ['printer'],
+    '⌨️': ['keyboard'],
+    '🖱️': ['computer mouse'],
+    '🖲️': ['trackball'],
+    '💽': ['computer disk', 'minidisc'],
+    '💾': ['floppy disk', 'save'],
+    '💿': ['optical disk', 'cd'],
+    '📀': ['dvd'],
+    '🧮': ['abacus'],
+    '📷': ['camera', 'photo'],
+    '📸': ['camera with flash'],
+    '📹': ['video camera'],
+    '🎥': ['movie camera'],
+    '📽️': ['film projector'],
+    '🎞️': ['film frames'],
+    '📺': ['television', 'tv'],
+    '📻': ['radio'],
+    '🎙️': ['studio microphone'],
+    '🎚️': ['level slider'],
+    '🎛️': ['control knobs'],
+    '🧭': ['compass', 'map'],
+    '⏱️': ['stopwatch'],
+    '⏲️': ['timer clock'],
+    '⏰': ['alarm clock'],
+    '🕰️': ['mantelpiece clock'],
+    '⌛': ['hourglass done'],
+    '⏳': ['hourglass not done'],
+    '📡': ['satellite antenna', 'satellite'],
+    '💡': ['light bulb', 'idea'],
+    '🔦': ['flashlight'],
+    '🏮': ['red paper lantern'],
+    '🪔': ['diya lamp', 'diya'],
+    '🕯️': ['candle'],
+    '🗑️': ['trash can', 'bin'],
+    '🛢️': ['oil drum'],
+    '💸': ['money with wings'],
+    '💵': ['dollar banknote', 'money'],
+    '💴': ['yen banknote', 'money'],
+    '💶': ['euro banknote', 'money'],
+    '💷': ['pound banknote', 'money'],
+    '💰': ['money bag'],
+    '💳': ['credit card'],
+    '💎': ['gem stone', 'diamond'],
+    '⚖️': ['balance scale', 'justice'],
+    '🧰': ['toolbox'],
+    '🔧': ['wrench', 'tool'],
+    '🔨': ['hammer', 'tool'],
+    '🛠️': ['hammer and wrench'],
+    '⛏️': ['pick'],
+    '⚙️': ['gear', 'settings'],
+    '⛓️': ['chains'],
+    '🪝': ['hook'],
+    '🧲': ['magnet'],
+    '🔫': ['pistol', 'water gun'],
+    '🧨': ['firecracker'],
+    '🔪': ['kitchen knife', 'weapon'],
+    '🗡️': ['dagger'],
+    '⚔️': ['crossed swords'],
+    '🛡️': ['shield'],
+    '🚬': ['smoking', 'cigarette'],
+    '⚰️': ['coffin', 'dead'],
+    '🪦': ['headstone', 'dead'],
+    '⚱️': ['funeral urn'],
+    '🏺': ['amphora'],
+    '🔮': ['crystal ball', 'magic'],
+    '🪄': ['magic wand'],
+    '📿': ['prayer beads'],
+    '🧿': ['nazar amulet'],
+    '💈': ['barber pole'],
+    '☮️': ['peace symbol'],
+    '✝️': ['latin cross'],
+    '☪️': ['star and crescent'],
+    '🕉️': ['om'],
+    '☸️': ['wheel of dharma'],
+    '🔯': ['six pointed star with dot'],
+    '🕎': ['menorah'],
+    '☯️': ['yin yang'],
+    '☦️': ['orthodox cross'],
+    '🛐': ['place of worship'],
+    '⛎': ['ophiuchus'],
+    '♈': ['aries'],
+    '♉': ['taurus'],
+    '♊': ['gemini'],
+    '♋': ['cancer'],
+    '♌': ['leo'],
+    '♍': ['virgo'],
+    '♎': ['libra'],
+    '♏': ['scorpio'],
+    '♐': ['射手座', 'sagittarius'],
+    '♑': ['capricorn'],
+    '♒': ['aquarius'],
+    '♓': ['pisces'],
+    '🆔': ['id'],
+    '⚛️': ['atom symbol'],
+    '🉑': ['japanese acceptable button'],
+    '☢️': ['radioactive'],
+    '☣️': ['biohazard'],
+    '📴': ['mobile phone off'],
+    '📳': ['vibration mode'],
+    '🈶': ['japanese not free of charge button'],
+    '🈚': ['japanese free of charge button'],
+    '🈸': ['japanese application button'],
+    '🈺': ['japanese open for business button'],
+    '🈷️': ['japanese monthly amount button'],
+    '✴️': ['eight pointed star'],
+    '🆚': ['vs button'],
+    '💮': ['white flower'],
+    '🉐': ['japanese advantageous button'],
+    '㊙️': ['japanese secret button'],
+    '㊗️': ['japanese congratulations button'],
+    '🈴': ['japanese passing grade button'],
+    '🈵': ['japanese no vacancy button'],
+    '🈹': ['japanese discount button'],
+    '🈲': ['japanese prohibited button'],
+    '🅰️': ['a button blood type'],
+    '🅱️': ['b button blood type'],
+    '🆎': ['ab button'],
+    '🅾️': ['o button blood type'],
+    '🆘': ['sos button'],
+    '❌': ['cross mark', 'no'],
+    '⭕': ['heavy large circle'],
+    '🛑': ['stop sign'],
+    '⛔': ['no entry'],
+    '📛': ['name badge'],
+    '🚫': ['prohibited'],
+    '♨️': ['hot springs'],
+    '🚷': ['no pedestrians'],
+    '🚯': ['no littering'],
+    '🚳': ['no bicycles'],
+    '🚱': ['non-potable water'],
+    '🔞': ['no one under eighteen'],
+    '📵': ['no mobile phones'],
+    '🚭': ['no smoking'],
+    '❗': ['exclamation mark'],
+    '❕': ['white exclamation mark'],
+    '❓': ['question mark'],
+    '❔': ['white question mark'],
+    '‼️': ['double exclamation mark'],
+    '⁉️': ['exclamation question mark'],
+    '🔅': ['dim button'],
+    '🔆': ['bright button'],
+    '〽️': ['part alternation mark'],
+    '⚠️': ['warning', 'danger'],
+    '🚸': ['children crossing'],
+    '🔱': ['trident emblem'],
+    '⚜️': ['fleur-de-lis'],
+    '🔰': ['japanese symbol for beginner'],
+    '♻️': ['recycling symbol'],
+    '✅': ['check mark button', 'ok'],
+    '🈯': ['japanese reserved button'],
+    '💹': ['chart increasing with yen'],
+    '❇️': ['sparkle'],
+    '✳️': ['eight-spoked asterisk'],
+    '❎': ['cross mark button'],
+    '💠': ['diamond with a dot'],
+    'Ⓜ️': ['circled m'],
+    '🌀': ['cyclone', 'twist'],
+    '🏧': ['atm sign'],
+    '🚾': ['water closet', 'wc'],
+    '♿': ['wheelchair symbol'],
+    '🅿️': ['p button parking'],
+    '🈳': ['japanese vacancy button'],
+    '🈂️': ['japanese service charge button'],
+    '🛂': ['passport control'],
+    '🛃': ['customs'],
+    '🛄': ['baggage claim'],
+    '🛅': ['left luggage'],
+    '🚹': ['men’s room'],
+    '🚺': ['women’s room'],
+    '🚼': ['baby symbol'],
+    '⚧️': ['transgender symbol'],
+    '🚻': ['restroom', 'toilet'],
+    '🚮': ['litter in bin symbol'],
+    '👣': ['footprints']
+  },
+  fr: {
+    '😀': ['sourire', 'content', 'joyeux'],
+    '😃': ['sourire', 'content', 'bouche ouverte'],
+    '😄': ['sourire', 'content', 'yeux fermés'],
+    '😁': ['sourire', 'content', 'rayonnant'],
+    '😆': ['rire', 'mort de rire', 'plissé'],
+    '😅': ['sueur', 'rire', 'nerveux'],
+    '🤣': ['mdr', 'rire', 'se rouler par terre'],
+    '😂': ['joie', 'rire', 'larmes'],
+    '🙂': ['sourire', 'léger'],
+    '🙃': ['à l\'envers', 'retourné'],
+    '🫠': ['fondre', 'chaud', 'honte'],
+    '😉': ['clin d\'œil', 'dragueur'],
+    '😊': ['rougir', 'content', 'doux'],
+    '😇': ['ange', 'auréole', 'innocent'],
+    '🥰': ['cœurs', 'amour', 'rougir'],
+    '😍': ['amour', 'yeux en cœur'],
+    '🤩': ['ébloui', 'waouh', 'étoiles'],
+    '😘': ['bisou', 'cœur', 'baiser'],
+    '😗': ['bisou', 'baiser'],
+    '☺️': ['sourire', 'rougir', 'mignon'],
+    '😚': ['bisou', 'yeux fermés'],
+    '😙': ['bisou', 'sourire'],
+    '😋': ['miam', 'délicieux', 'langue'],
+    '😛': ['langue', 'joueur'],
+    '😜': ['clin d\'œil', 'langue', 'fou'],
+    '🤪': ['loufoque', 'fou', 'farfelu'],
+    '😝': ['langue', 'yeux fermés', 'grimace'],
+    '🤑': ['argent', 'riche', 'dollar'],
+    '🤗': ['câlin', 'chaleur', 'accolade'],
+    '🫣': ['regarder', 'cacher', 'œil'],
+    '🤭': ['glousser', 'main sur la bouche', 'oups'],
+    '🫢': ['bouche ouverte', 'stupéfait', 'choc'],
+    '🤫': ['chut', 'silence', 'secret'],
+    '🤔': ['réfléchir', 'curieux', 'penser'],
+    '🫡': ['salut militaire', 'respect', 'oui chef'],
+    '🤐': ['fermeture éclair', 'silence', 'bouche cousue'],
+    '🤨': ['sourcil levé', 'sceptique', 'méfiant'],
+    '😐': ['neutre', 'impassible'],
+    '😑': ['inexpressif', 'bof', 'vide'],
+    '😶': ['sans bouche', 'silencieux'],
+    '🫥': ['pointillés', 'invisible', 'disparaître'],
+    '😶‍🌫️': ['dans les nuages', 'distrait', 'brouillard'],
+    '😏': ['sourire narquois', 'cool', 'séducteur'],
+    '😒': ['blasé', 'regard en coin'],
+    '🙄': ['yeux au ciel', 'juger'],
+    '😬': ['grimace', 'gêné', 'dents'],
+    '😮‍💨': ['souffler', 'soulagement', 'fatigué'],
+    '🤥': ['mentir', 'pinocchio', 'long nez'],
+    '😌': ['soulagé', 'paisible'],
+    '😔': ['pensif', 'triste', 'déprimé'],
+    '😪': ['somnolent', 'baver', 'fatigué'],
+    '🤤': ['baver', 'délicieux'],
+    '😴': ['dormir', 'zzz', 'sommeil'],
+    '😷': ['masque', 'malade', 'médecin'],
+    '🤒': ['thermomètre', 'chaud', 'fièvre'],
+    '🤕': ['bandage', 'blessé', 'tête'],
+    '🤢': ['nausée', 'malade', 'vert'],
+    '🤮': ['vomir', 'dégoûtant', 'beurk'],
+    '🤧': ['éternuer', 'allergie', 'mouchoir'],
+    '🥵': ['chaud', 'canicule', 'soleil'],
+    '🥶': ['froid', 'gelé', 'bleu'],
+    '🥴': ['éméché', 'ivre', 'étourdi'],
+    '😵': ['étourdi', 'assommé', 'mort'],
+    '😵‍💫': ['yeux en spirale', 'hypnotisé', 'confus'],
+    '🤯': ['explosion', 'esprit soufflé', 'choc'],
+    '🤠': ['cowboy', 'chapeau', 'far west'],
+    '🥳': ['fête', 'célébration', 'anniversaire'],
+    '🥸': ['déguisement', 'moustache', 'lunettes'],
+    '😎': ['cool', 'lunettes de soleil'],
+    '🤓': ['intello', 'geek', 'lunettes'],
+    '🧐': ['monocle', 'inspecter', 'curieux'],
+    '😕': ['confus', 'perplexe'],
+    '🫤': ['bouche de travers', 'sceptique', 'incertain'],
+    '😟': ['inquiet', 'nerveux'],
+    '🙁': ['froncer', 'triste'],
+    '☹️': ['froncer', 'malheureux'],
+    '😮': ['choc', 'surpris', 'bouche ouverte'],
+    '😯': ['étouffé', 'surprise silencieuse'],
+    '😲': ['stupéfait', 'étonné'],
+    '😳': ['rouge', 'gêné', 'surpris'],
+    '🥺': ['suppliant', 'moue', 'triste'],
+    '🥹': ['retenir ses larmes', 'ému', 'émotion'],
+    '😦': ['bouche bée', 'choc'],
+    '😧': ['angoissé', 'effrayé', 'douleur'],
+    '😨': ['peur', 'effrayé', 'panique'],
+    '😰': ['anxieux', 'sueur', 'panique'],
+    '😥': ['triste mais soulagé', 'larmes'],
+    '😢': ['pleurer', 'triste', 'larmes'],
+    '😭': ['sangloter', 'triste', 'larmes', 'pleurer'],
+    '😱': ['crier', 'peur', 'choc'],
+    '😖': ['déconcerté', 'crispé'],
+    '😣': ['persévérer', 'crispé', 'yeux fermés'],
+    '😞': ['déçu', 'triste'],
+    '😓': ['abattu', 'sueur', 'travail'],
+    '😩': ['las', 'fatigué', 'gémir'],
+    '😫': ['fatigué', 'épuisé'],
+    '🥱': ['bâiller', 'fatigué', 'ennuyé'],
+    '😤': ['triomphe', 'fâché', 'vapeur'],
+    '😡': ['bouder', 'fâché', 'rouge'],
+    '😠': ['fâché', 'en colère'],
+    '🤬': ['jurer', 'censuré', 'furieux'],
+    '😈': ['cornes', 'démon', 'diable'],
+    '👿': ['démon', 'diable en colère'],
+    '💀': ['crâne', 'mort', 'rire'],
+    '☠️': ['tête de mort', 'danger', 'poison'],
+    '💩': ['caca', 'crotte', 'merde'],
+    '🤡': ['clown', 'idiot', 'flippant'],
+    '👹': ['ogre', 'monstre', 'effrayant'],
+    '👺': ['gobelin', 'masque', 'maléfique'],
+    '👻': ['fantôme', 'effrayant', 'hanté'],
+    '👽': ['extraterrestre', 'ovni', 'espace'],
+    '👾': ['envahisseur', 'alien pixel', 'jeu'],
+    '🤖': ['robot', 'bot', 'technologie'],
+    '😺': ['chat souriant'],
+    '😸': ['chat souriant', 'yeux rieurs'],
+    '😹': ['chat qui rit', 'larmes de joie'],
+    '😻': ['chat amoureux', 'yeux en cœur', 'amour'],
+    '😼': ['chat narquois', 'sourire en coin'],
+    '😽': ['chat qui embrasse', 'bisou'],
+    '🙀': ['chat effrayé', 'choc'],
+    '😿': ['chat qui pleure'],
+    '😾': ['chat boudeur', 'fâché'],
+    '🙈': ['ne rien voir', 'singe', 'cacher'],
+    '🙉': ['ne rien entendre', 'singe', 'silence'],
+    '🙊': ['ne rien dire', 'singe', 'chut'],
+    '💋': ['bisou', 'rouge à lèvres', 'lèvres'],
+    '💌': ['lettre d\'amour', 'courrier', 'cœur'],
+    '💘': ['cœur fléché', 'cupidon', 'amour'],
+    '💝': ['cœur avec ruban', 'cadeau', 'boîte'],
+    '💖': ['cœur étincelant', 'brillant'],
+    '💗': ['cœur qui grandit', 'pouls'],
+    '💓': ['cœur qui bat', 'pouls'],
+    '💞': ['cœurs qui tournent'],
+    '💕': ['deux cœurs', 'amour'],
+    '💟': ['décoration cœur'],
+    '❣️': ['cœur exclamation'],
+    '💔': ['cœur brisé', 'triste'],
+    '❤️‍🔥': ['cœur en feu', 'passion'],
+    '❤️‍🩹': ['cœur pansé', 'guérison'],
+    '❤️': ['cœur rouge', 'amour'],
+    '🧡': ['cœur orange'],
+    '💛': ['cœur jaune'],
+    '💚': ['cœur vert'],
+    '💙': ['cœur bleu'],
+    '💜': ['cœur violet'],
+    '🤎': ['cœur marron'],
+    '🖤': ['cœur noir'],
+    '🤍': ['cœur blanc'],
+    '💯': ['cent', 'score', 'parfait'],
+    '💢': ['colère', 'furieux', 'veine'],
+    '💥': ['boum', 'collision', 'bang'],
+    '💫': ['étourdi', 'étoiles'],
+    '💦': ['gouttes de sueur', 'eau', 'chaud'],
+    '💨': ['foncer', 'rapide', 'courir', 'vent'],
+    '🕳️': ['trou', 'vide'],
+    '💣': ['bombe', 'danger', 'boum'],
+    '💬': ['bulle', 'discuter', 'parler'],
+    '👁️‍🗨️': ['œil dans une bulle', 'témoin'],
+    '🗨️': ['bulle de dialogue'],
+    '🗯️': ['bulle de colère'],
+    '💭': ['bulle de pensée', 'réfléchir'],
+    '💤': ['zzz', 'dormir', 'fatigué'],
+    '👋': ['coucou', 'bonjour', 'au revoir'],
+    '🤚': ['dos de la main levé'],
+    '🖐️': ['main ouverte', 'cinq'],
+    '✋': ['main levée', 'stop', 'tope là'],
+    '🖖': ['salut vulcain', 'star trek'],
+    '🫱': ['main vers la droite'],
+    '🫲': ['main vers la gauche'],
+    '🫵': ['doigt pointé', 'toi'],
+    '👌': ['ok', 'parfait'],
+    '🤌': ['doigts pincés', 'italien', 'quoi'],
+    '🤏': ['petite quantité', 'un peu'],
+    '✌️': ['victoire', 'paix'],
+    '🤞': ['doigts croisés', 'chance'],
+    '🫰': ['cœur avec les doigts', 'argent'],
+    '🤟': ['je t\'aime', 'geste'],
+    '🤘': ['rock', 'cornes'],
+    '🤙': ['appelle-moi', 'shaka'],
+    '👈': ['gauche', 'pointer'],
+    '👉': ['droite', 'pointer'],
+    '👆': ['haut', 'pointer'],
+    '🖕': ['doigt d\'honneur', 'grossier'],
+    '👇': ['bas', 'pointer'],
+    '☝️': ['index levé'],
+    '👍': ['pouce levé', 'oui', 'ok'],
+    '👎': ['pouce baissé', 'non'],
+    '✊': ['poing levé', 'pouvoir'],
+    '👊': ['coup de poing', 'poing'],
+    '🤛': ['poing gauche'],
+    '🤜': ['poing droit'],
+    '👏': ['applaudir', 'bravo'],
+    '🙌': ['mains levées', 'célébrer'],
+    '🫶': ['mains en cœur', 'amour'],
+    '👐': ['mains ouvertes'],
+    '🤲': ['paumes vers le haut', 'prière', 'donner'],
+    '🤝': ['poignée de main', 'accord', 'marché'],
+    '🙏': ['mains jointes', 's\'il te plaît', 'merci', 'prier'],
+    '✍️': ['écrire', 'dessiner'],
+    '💅': ['vernis à ongles', 'chic', 'classe'],
+    '🤳': ['selfie'],
+    '💪': ['muscle', 'fort', 'costaud'],
+    '🦾': ['bras mécanique', 'robot'],
+    '🦿': ['jambe mécanique', 'robot'],
+    '🦵': ['jambe'],
+    '🦶': ['pied'],
+    '👂': ['oreille', 'écouter'],
+    '🦻': ['oreille', 'appareil auditif'],
+    '👃': ['nez', 'sentir'],
+    '🧠': ['cerveau', 'intelligent', 'réfléchir'],
+    '🫀': ['cœur anatomique', 'médical'],
+    '🫁': ['poumons', 'respirer'],
+    '🦷': ['dent', 'dentiste'],
+    '🦴': ['os', 'squelette'],
+    '👀': ['yeux', 'regarder', 'louche'],
+    '👁️': ['œil'],
+    '👅': ['langue'],
+    '👄': ['bouche', 'lèvres'],
+    '🫦': ['mordre la lèvre', 'séducteur', 'nerveux'],
+    '👶': ['bébé', 'garçon', 'fille'],
+    '🧒': ['enfant', 'gamin'],
+    '👦': ['garçon', 'enfant'],
+    '👧': ['fille', 'enfant'],
+    '👤': ['silhouette', 'utilisateur', 'ombre'],
+    '👥': ['silhouettes', 'utilisateurs', 'groupe'],
+    '🫂': ['câlin', 'réconfort'],
+    '🐶': ['chien', 'chiot', 'animal'],
+    '🐱': ['chat', 'chaton', 'animal'],
+    '🐭': ['souris', 'rongeur'],
+    '🐹': ['hamster', 'animal'],
+    '🐰': ['lapin', 'lapinou'],
+    '🦊': ['renard'],
+    '🐻': ['ours'],
+    '🐼': ['panda'],
+    '🐻‍❄️': ['ours polaire'],
+    '🐨': ['koala'],
+    '🐯': ['tigre'],
+    '🦁': ['lion', 'roi'],
+    '🐮': ['vache'],
+    '🐷': ['cochon'],
+    '🐽': ['groin', 'nez de cochon'],
+    '🐸': ['grenouille'],
+    '🐵': ['singe', 'tête'],
+    '🐒': ['singe'],
+    '🐔': ['poulet', 'poule'],
+    '🐧': ['pingouin', 'manchot'],
+    '🐦': ['oiseau'],
+    '🐤': ['poussin'],
+    '🐣': ['éclosion', 'poussin'],
+    '🐥': ['poussin'],
+    '🦆': ['canard'],
+    '🦅': ['aigle'],
+    '🦉': ['hibou', 'chouette'],
+    '🦇': ['chauve-souris', 'vampire'],
+    '🐺': ['loup'],
+    '🐗': ['sanglier'],
+    '🐴': ['cheval'],
+    '🦄': ['licorne', 'magie'],
+    '🐝': ['abeille', 'insecte'],
+    '🪱': ['ver'],
+    '🐛': ['insecte', 'chenille'],
+    '🦋': ['papillon'],
+    '🐌': ['escargot'],
+    '🐞': ['coccinelle', 'chance'],
+    '🐜': ['fourmi'],
+    '🦗': ['grillon'],
+    '🪳': ['cafard', 'blatte'],
+    '🕷️': ['araignée', 'effrayant'],
+    '🕸️': ['toile', 'araignée'],
+    '🦂': ['scorpion'],
+    '🦟': ['moustique'],
+    '🪰': ['mouche'],
+    '🐢': ['tortue'],
+    '🐍': ['serpent'],
+    '🦎': ['lézard'],
+    '🦖': ['t-rex', 'dinosaure'],
+    '🦕': ['sauropode', 'dinosaure'],
+    '🐙': ['pieuvre', 'poulpe'],
+    '🦑': ['calmar'],
+    '🦐': ['crevette'],
+    '🦞': ['homard'],
+    '🦀': ['crabe'],
+    '🐡': ['poisson-globe'],
+    '🐠': ['poisson tropical'],
+    '🐟': ['poisson'],
+    '🐬': ['dauphin'],
+    '🐳': ['baleine', 'jet'],
+    '🐋': ['baleine'],
+    '🦈': ['requin'],
+    '🐊': ['crocodile'],
+    '🐅': ['tigre'],
+    '🐆': ['léopard'],
+    '🦓': ['zèbre'],
+    '🦍': ['gorille'],
+    '🦧': ['orang-outan'],
+    '🐘': ['éléphant'],
+    '🦛': ['hippopotame'],
+    '🦏': ['rhinocéros'],
+    '🐪': ['chameau'],
+    '🦒': ['girafe'],
+    '🦘': ['kangourou'],
+    '🦬': ['bison'],
+    '🐃': ['buffle'],
+    '🐂': ['bœuf'],
+    '🐄': ['vache'],
+    '🐏': ['bélier'],
+    '🐑': ['mouton', 'brebis'],
+    '🐐': ['chèvre'],
+    '🦌': ['cerf'],
+    '🦙': ['lama'],
+    '🦥': ['paresseux'],
+    '🦨': ['mouffette'],
+    '🦡': ['blaireau'],
+    '🦃': ['dinde', 'thanksgiving'],
+    '🕊️': ['colombe', 'paix'],
+    '🐕': ['chien'],
+    '🐩': ['caniche'],
+    '🦮': ['chien guide'],
+    '🐾': ['empreintes de pattes'],
+    '🐉': ['dragon'],
+    '🐲': ['tête de dragon'],
+    '🌵': ['cactus', 'désert'],
+    '🎄': ['sapin de noël'],
+    '🌲': ['sapin', 'conifère'],
+    '🌳': ['arbre'],
+    '🌴': ['palmier', 'plage'],
+    '🌱': ['pousse', 'plante', 'grandir'],
+    '🌿': ['herbe', 'plante'],
+    '☘️': ['trèfle', 'chance'],
+    '🍀': ['trèfle à quatre feuilles', 'chance'],
+    '🎍': ['décoration de pin'],
+    '🎋': ['arbre tanabata', 'bambou'],
+    '🍃': ['feuilles au vent'],
+    '🍂': ['feuille morte', 'automne'],
+    '🍁': ['feuille d\'érable', 'canada'],
+    '🍄': ['champignon'],
+    '🌾': ['épi de riz', 'blé'],
+    '💐': ['bouquet', 'fleurs'],
+    '🌷': ['tulipe'],
+    '🌹': ['rose', 'amour'],
+    '🥀': ['fleur fanée', 'triste'],
+    '🌺': ['hibiscus'],
+    '🌸': ['fleur de cerisier', 'sakura'],
+    '🌼': ['fleur'],
+    '🌻': ['tournesol'],
+    '🌞': ['soleil avec visage'],
+    '🌝': ['pleine lune avec visage'],
+    '🌚': ['nouvelle lune avec visage'],
+    '🌛': ['premier quartier avec visage'],
+    '🌜': ['dernier quartier avec visage'],
+    '🌙': ['croissant de lune', 'nuit'],
+    '🌍': ['terre', 'globe', 'europe', 'afrique'],
+    '🌎': ['terre', 'globe', 'amériques'],
+    '🌏': ['terre', 'globe', 'asie', 'australie'],
+    '🌐': ['globe', 'internet', 'monde'],
+    '🌋': ['volcan', 'chaud'],
+    '🌌': ['voie lactée', 'espace', 'galaxie'],
+    '🌠': ['étoile filante'],
+    '⭐': ['étoile'],
+    '☀️': ['soleil', 'chaud'],
+    '⛅': ['soleil derrière un nuage'],
+    '☁️': ['nuage'],
+    '⚡': ['haute tension', 'éclair', 'foudre'],
+    '🔥': ['feu', 'chaud', 'flamme'],
+    '❄️': ['flocon de neige', 'froid'],
+    '🌨️': ['nuage avec neige'],
+    '⛈️': ['orage', 'éclair et pluie'],
+    '🌧️': ['nuage avec pluie'],
+    '💧': ['goutte', 'eau'],
+    '🌊': ['vague', 'océan', 'mer'],
+    '🌈': ['arc-en-ciel', 'fierté'],
+    '🍇': ['raisin', 'fruit'],
+    '🍈': ['melon', 'fruit'],
+    '🍉': ['pastèque', 'fruit'],
+    '🍊': ['mandarine', 'orange', 'fruit'],
+    '🍋': ['citron', 'agrume'],
+    '🍋‍🟩': ['citron vert', 'agrume'],
+    '🍌': ['banane', 'fruit'],
+    '🍍': ['ananas', 'fruit'],
+    '🥭': ['mangue', 'fruit'],
+    '🍎': ['pomme rouge', 'fruit'],
+    '🍏': ['pomme verte', 'fruit'],
+    '🍐': ['poire', 'fruit'],
+    '🍑': ['pêche', 'fruit', 'fesses'],
+    '🍒': ['cerises', 'fruit'],
+    '🍓': ['fraise', 'fruit'],
+    '🫐': ['myrtilles', 'fruit'],
+    '🥝': ['kiwi', 'fruit'],
+    '🍅': ['tomate', 'légume'],
+    '🫒': ['olive'],
+    '🥥': ['noix de coco'],
+    '🥑': ['avocat', 'sain'],
+    '🍆': ['aubergine', 'légume'],
+    '🥔': ['pomme de terre', 'patate'],
+    '🥕': ['carotte', 'légume'],
+    '🌽': ['épi de maïs', 'maïs'],
+    '🌶️': ['piment', 'épicé'],
+    '🫑': ['poivron'],
+    '🥒': ['concombre'],
+    '🥬': ['salade', 'légume vert'],
+    '🥦': ['brocoli'],
+    '🧄': ['ail'],
+    '🧅': ['oignon'],
+    '🫚': ['gingembre'],
+    '🥜': ['cacahuètes', 'noix'],
+    '🫘': ['haricots'],
+    '🌰': ['châtaigne'],
+    '🫗': ['verser', 'liquide'],
+    '🍞': ['pain', 'toast'],
+    '🥐': ['croissant'],
+    '🥖': ['baguette', 'pain'],
+    '🫓': ['pain plat', 'galette'],
+    '🥨': ['bretzel'],
+    '🥯': ['bagel'],
+    '🥞': ['crêpes', 'pancakes', 'petit déjeuner'],
+    '🧇': ['gaufre'],
+    '🧀': ['fromage'],
+    '🍖': ['viande sur l\'os'],
+    '🍗': ['cuisse de poulet', 'poulet'],
+    '🥩': ['morceau de viande', 'steak'],
+    '🥓': ['bacon', 'lard'],
+    '🍔': ['hamburger', 'burger', 'fast food'],
+    '🍟': ['frites', 'fast food'],
+    '🍕': ['pizza', 'fast food'],
+    '🌭': ['hot dog'],
+    '🥪': ['sandwich'],
+    '🌮': ['taco', 'mexicain'],
+    '🌯': ['burrito', 'mexicain'],
+    '🫔': ['tamale'],
+    '🥙': ['pain farci', 'kebab', 'chawarma'],
+    '🧆': ['falafel'],
+    '🥚': ['œuf'],
+    '🍳': ['cuisiner', 'œuf', 'poêle'],
+    '🥘': ['poêle de paella', 'plat'],
+    '🍲': ['marmite', 'ragoût'],
+    '🫕': ['fondue'],
+    '🥣': ['bol et cuillère', 'céréales', 'soupe'],
+    '🥗': ['salade verte', 'sain'],
+    '🍿': ['pop-corn', 'film', 'cinéma'],
+    '🧈': ['beurre'],
+    '🧂': ['sel'],
+    '🥫': ['conserve'],
+    '🍱': ['bento'],
+    '🍘': ['galette de riz'],
+    '🍙': ['boulette de riz'],
+    '🍚': ['riz cuit'],
+    '🍛': ['riz au curry'],
+    '🍜': ['bol fumant', 'ramen', 'nouilles'],
+    '🍝': ['spaghetti', 'pâtes'],
+    '🍠': ['patate douce rôtie'],
+    '🍢': ['oden', 'brochette'],
+    '🍣': ['sushi'],
+    '🍤': ['crevette frite', 'tempura'],
+    '🍥': ['naruto', 'galette de poisson'],
+    '🥮': ['gâteau de lune'],
+    '🍡': ['dango'],
+    '🥟': ['ravioli', 'dumpling'],
+    '🥠': ['biscuit chinois', 'fortune'],
+    '🥡': ['boîte à emporter', 'chinois'],
+    '🦪': ['huître'],
+    '🍦': ['glace italienne', 'glace'],
+    '🍧': ['glace pilée'],
+    '🍨': ['glace', 'crème glacée'],
+    '🍩': ['donut', 'beignet'],
+    '🍪': ['cookie', 'biscuit'],
+    '🎂': ['gâteau d\'anniversaire'],
+    '🍰': ['part de gâteau', 'gâteau'],
+    '🧁': ['cupcake'],
+    '🥧': ['tarte'],
+    '🍫': ['chocolat', 'tablette'],
+    '🍬': ['bonbon'],
+    '🍭': ['sucette'],
+    '🍮': ['flan', 'crème'],
+    '🍯': ['pot de miel', 'miel'],
+    '🍼': ['biberon', 'lait'],
+    '🥛': ['verre de lait'],
+    '☕': ['boisson chaude', 'café', 'thé'],
+    '🫖': ['théière'],
+    '🍵': ['tasse sans anse', 'thé vert'],
+    '🍶': ['saké'],
+    '🍾': ['bouteille', 'champagne', 'fête'],
+    '🍷': ['verre de vin', 'vin'],
+    '🍸': ['cocktail', 'martini'],
+    '🍹': ['boisson tropicale'],
+    '🍺': ['chope de bière', 'bière'],
+    '🍻': ['trinquer', 'santé'],
+    '🥂': ['trinquer', 'célébrer'],
+    '🥃': ['verre', 'whisky'],
+    '🥤': ['gobelet avec paille', 'soda', 'milkshake'],
+    '🧋': ['bubble tea', 'boba'],
+    '🧃': ['brique', 'jus'],
+    '🧉': ['maté'],
+    '🧊': ['glaçon', 'froid'],
+    '🥢': ['baguettes'],
+    '🍽️': ['assiette', 'fourchette et couteau', 'dîner'],
+    '🍴': ['fourchette et couteau'],
+    '🥄': ['cuillère'],
+    '🚗': ['voiture', 'automobile'],
+    '🚕': ['taxi'],
+    '🚙': ['4x4', 'suv'],
+    '🚌': ['bus'],
+    '🚎': ['trolleybus'],
+    '🏎️': ['voiture de course', 'formule1'],
+    '🚓': ['voiture de police'],
+    '🚑': ['ambulance'],
+    '🚒': ['camion de pompiers'],
+    '🚐': ['minibus'],
+    '🚚': ['camion de livraison'],
+    '🚛': ['semi-remorque', 'camion'],
+    '🚜': ['tracteur'],
+    '🚲': ['vélo', 'bicyclette'],
+    '🛴': ['trottinette'],
+    '🛵': ['scooter', 'vespa'],
+    '🏍️': ['moto'],
+    '🛺': ['tuk-tuk', 'rickshaw'],
+    '🚔': ['police en approche'],
+    '🚍': ['bus en approche'],
+    '🚘': ['voiture en approche'],
+    '🚖': ['taxi en approche'],
+    '🚟': ['téléphérique suspendu'],
+    '🚠': ['téléphérique de montagne'],
+    '🚄': ['train à grande vitesse'],
+    '🚅': ['tgv', 'train rapide'],
+    '🚆': ['train'],
+    '🚇': ['métro'],
+    '🚈': ['métro léger'],
+    '🚉': ['gare'],
+    '🚊': ['tramway'],
+    '⛴️': ['ferry', 'bateau'],
+    '🛳️': ['paquebot', 'croisière'],
+    '🚢': ['navire', 'bateau'],
+    '✈️': ['avion', 'vol'],
+    '🛩️': ['petit avion'],
+    '🚀': ['fusée', 'espace'],
+    '🛰️': ['satellite'],
+    '🛸': ['ovni', 'extraterrestre'],
+    '🚁': ['hélicoptère'],
+    '🛶': ['canoë'],
+    '⛵': ['voilier', 'bateau'],
+    '🚤': ['hors-bord'],
+    '⚓': ['ancre', 'mer'],
+    '🎡': ['grande roue', 'fête foraine'],
+    '🎢': ['montagnes russes', 'fête foraine'],
+    '🎠': ['manège', 'cheval de bois'],
+    '🏗️': ['chantier', 'construction'],
+    '🏠': ['maison'],
+    '🏡': ['maison avec jardin'],
+    '🏘️': ['maisons'],
+    '🏚️': ['maison abandonnée', 'vieux'],
+    '🏢': ['immeuble de bureaux'],
+    '🏣': ['poste japonaise'],
+    '🏤': ['bureau de poste'],
+    '🏥': ['hôpital'],
+    '🏦': ['banque'],
+    '🏨': ['hôtel'],
+    '🏩': ['hôtel de l\'amour'],
+    '🏪': ['supérette', 'épicerie'],
+    '🏫': ['école'],
+    '🏬': ['grand magasin'],
+    '🏭': ['usine'],
+    '🏯': ['château japonais'],
+    '🏰': ['château'],
+    '💒': ['mariage'],
+    '🗼': ['tour de tokyo'],
+    '🗽': ['statue de la liberté', 'usa'],
+    '⛪': ['église'],
+    '🕌': ['mosquée'],
+    '🛕': ['temple hindou'],
+    '✡️': ['étoile de david'],
+    '⛩️': ['sanctuaire shinto'],
+    '🕋': ['kaaba'],
+    '⛲': ['fontaine'],
+    '⛺': ['tente', 'camping'],
+    '🌁': ['brouillard'],
+    '🌃': ['nuit étoilée'],
+    '🏙️': ['ville', 'immeubles'],
+    '🌄': ['lever de soleil sur les montagnes'],
+    '🌅': ['lever de soleil', 'plage'],
+    '🌆': ['ville au crépuscule'],
+    '🌇': ['coucher de soleil'],
+    '🌉': ['pont la nuit'],
+    '⛰️': ['montagne'],
+    '🏔️': ['montagne enneigée'],
+    '🗻': ['mont fuji'],
+    '🧱': ['brique'],
+    '🪵': ['bois', 'bûche'],
+    '🛖': ['hutte', 'cabane'],
+    '🏞️': ['parc national'],
+    '🏟️': ['stade'],
+    '🏜️': ['désert'],
+    '🏝️': ['île'],
+    '⚽': ['football', 'ballon'],
+    '🏀': ['basket', 'ballon'],
+    '🏈': ['football américain', 'ballon'],
+    '⚾': ['baseball', 'balle'],
+    '🥎': ['softball', 'balle'],
+    '🎾': ['tennis', 'balle'],
+    '🏐': ['volley', 'ballon'],
+    '🏉': ['rugby', 'ballon'],
+    '🎱': ['billard', 'boule huit'],
+    '🏓': ['ping-pong', 'tennis de table'],
+    '🏸': ['badminton'],
+    '🏒': ['hockey sur glace'],
+    '🏑': ['hockey sur gazon'],
+    '🥍': ['crosse'],
+    '🏏': ['cricket'],
+    '🪃': ['boomerang'],
+    '🥅': ['cage de but', 'filet'],
+    '⛳': ['drapeau dans le trou', 'golf'],
+    '🏹': ['arc et flèche', 'tir à l\'arc'],
+    '🎣': ['canne à pêche', 'poisson'],
+    '🤿': ['masque de plongée', 'nager'],
+    '🥊': ['gant de boxe'],
+    '🥋': ['kimono', 'karaté'],
+    '⛸️': ['patin à glace'],
+    '🛷': ['luge'],
+    '🎿': ['skis'],
+    '🏂': ['snowboard'],
+    '🏋️': ['haltérophile', 'salle de sport'],
+    '🤺': ['escrimeur'],
+    '🤼': ['lutteurs'],
+    '🤸': ['roue', 'gymnaste'],
+    '⛹️': ['dribbler', 'basket'],
+    '🧘': ['méditation', 'yoga'],
+    '🏇': ['course de chevaux'],
+    '🏄': ['surfeur', 'plage'],
+    '🏊': ['nageur', 'piscine'],
+    '🤽': ['water-polo'],
+    '🚣': ['barque', 'aviron'],
+    '🧗': ['grimpeur', 'montagne'],
+    '🚵': ['vtt', 'vélo de montagne'],
+    '🚴': ['cycliste'],
+    '🏆': ['trophée', 'gagnant'],
+    '🥇': ['médaille d\'or', 'premier'],
+    '🥈': ['médaille d\'argent', 'deuxième'],
+    '🥉': ['médaille de bronze', 'troisième'],
+    '🏅': ['médaille sportive'],
+    '🎖️': ['médaille militaire'],
+    '🏵️': ['rosette'],
+    '🎫': ['billet', 'ticket'],
+    '🎟️': ['billets d\'entrée'],
+    '🎭': ['arts du spectacle', 'théâtre', 'masque'],
+    '🎨': ['palette', 'art', 'peinture'],
+    '🎬': ['clap', 'film', 'cinéma'],
+    '🎤': ['micro', 'chanter'],
+    '🎧': ['casque', 'musique'],
+    '🎼': ['partition', 'musique'],
+    '🎹': ['clavier', 'piano'],
+    '🥁': ['tambour', 'batterie'],
+    '🎷': ['saxophone'],
+    '🎺': ['trompette'],
+    '🎸': ['guitare'],
+    '🪕': ['banjo'],
+    '🎻': ['violon'],
+    '🎮': ['jeu vidéo', 'manette'],
+    '🕹️': ['joystick'],
+    '🎰': ['machine à sous', 'casino'],
+    '🎲': ['dé', 'dés', 'chance'],
+    '♟️': ['pion', 'échecs'],
+    '🧩': ['pièce de puzzle'],
+    '🧸': ['ours en peluche', 'nounours'],
+    '🃏': ['joker', 'cartes'],
+    '🀄': ['mahjong', 'dragon rouge'],
+    '🎴': ['cartes à fleurs'],
+    '🎯': ['dans le mille', 'fléchettes', 'cible'],
+    '📱': ['téléphone portable', 'smartphone'],
+    '📲': ['téléphone avec flèche', 'appeler'],
+    '☎️': ['téléphone'],
+    '📞': ['combiné téléphonique'],
+    '📟': ['bipeur'],
+    '📠': ['fax'],
+    '🔋': ['batterie', 'pile'],
+    '🔌': ['prise électrique'],
+    '💻': ['ordinateur portable'],
+    '🖥️': ['ordinateur de bureau'],
+    '🖨️': ['imprimante'],
+    '⌨️': ['clavier'],
+    '🖱️': ['souris d\'ordinateur'],
+    '🖲️': ['trackball'],
+    '💽': ['disque', 'minidisque'],
+    '💾': ['disquette', 'sauvegarder'],
+    '💿': ['cd', 'disque optique'],
+    '📀': ['dvd'],
+    '🧮': ['boulier'],
+    '📷': ['appareil photo', 'photo'],
+    '📸': ['appareil photo avec flash'],
+    '📹': ['caméra vidéo'],
+    '🎥': ['caméra de cinéma'],
+    '📽️': ['projecteur de film'],
+    '🎞️': ['pellicule'],
+    '📺': ['télévision', 'télé'],
+    '📻': ['radio'],
+    '🎙️': ['micro de studio'],
+    '🎚️': ['curseur de niveau'],
+    '🎛️': ['boutons de contrôle'],
+    '🧭': ['boussole', 'carte'],
+    '⏱️': ['chronomètre'],
+    '⏲️': ['minuteur'],
+    '⏰': ['réveil'],
+    '🕰️': ['pendule'],
+    '⌛': ['sablier écoulé'],
+    '⏳': ['sablier'],
+    '📡': ['antenne satellite'],
+    '💡': ['ampoule', 'idée'],
+    '🔦': ['lampe torche'],
+    '🏮': ['lanterne rouge'],
+    '🪔': ['lampe diya'],
+    '🕯️': ['bougie'],
+    '🗑️': ['poubelle'],
+    '🛢️': ['baril de pétrole'],
+    '💸': ['argent qui s\'envole'],
+    '💵': ['billet de dollar', 'argent'],
+    '💴': ['billet de yen', 'argent'],
+    '💶': ['billet d\'euro', 'argent'],
+    '💷': ['billet de livre', 'argent'],
+    '💰': ['sac d\'argent'],
+    '💳': ['carte bancaire', 'carte de crédit'],
+    '💎': ['pierre précieuse', 'diamant'],
+    '⚖️': ['balance', 'justice'],
+    '🧰': ['boîte à outils'],
+    '🔧': ['clé', 'outil'],
+    '🔨': ['marteau', 'outil'],
+    '🛠️': ['marteau et clé', 'outils'],
+    '⛏️': ['pioche'],
+    '⚙️': ['engrenage', 'réglages'],
+    '⛓️': ['chaînes'],
+    '🪝': ['crochet'],
+    '🧲': ['aimant'],
+    '🔫': ['pistolet', 'pistolet à eau'],
+    '🧨': ['pétard'],
+    '🔪': ['couteau de cuisine', 'arme'],
+    '🗡️': ['dague', 'poignard'],
+    '⚔️': ['épées croisées'],
+    '🛡️': ['bouclier'],
+    '🚬': ['fumer', 'cigarette'],
+    '⚰️': ['cercueil', 'mort'],
+    '🪦': ['pierre tombale', 'mort'],
+    '⚱️': ['urne funéraire'],
+    '🏺': ['amphore'],
+    '🔮': ['boule de cristal', 'magie'],
+    '🪄': ['baguette magique'],
+    '📿': ['chapelet'],
+    '🧿': ['nazar', 'amulette', 'mauvais œil'],
+    '💈': ['enseigne de barbier', 'coiffeur'],
+    '☮️': ['symbole de paix'],
+    '✝️': ['croix latine'],
+    '☪️': ['étoile et croissant'],
+    '🕉️': ['om'],
+    '☸️': ['roue du dharma'],
+    '🔯': ['étoile à six branches'],
+    '🕎': ['ménorah'],
+    '☯️': ['yin yang'],
+    '☦️': ['croix orthodoxe'],
+    '🛐': ['lieu de culte'],
+    '⛎': ['serpentaire'],
+    '♈': ['bélier'],
+    '♉': ['taureau'],
+    '♊': ['gémeaux'],
+    '♋': ['cancer'],
+    '♌': ['lion'],
+    '♍': ['vierge'],
+    '♎': ['balance'],
+    '♏': ['scorpion'],
+    '♐': ['sagittaire'],
+    '♑': ['capricorne'],
+    '♒': ['verseau'],
+    '♓': ['poissons'],
+    '🆔': ['identité'],
+    '⚛️': ['atome'],
+    '🉑': ['bouton acceptable'],
+    '☢️': ['radioactif'],
+    '☣️': ['danger biologique'],
+    '📴': ['téléphone éteint'],
+    '📳': ['mode vibreur'],
+    '🈶': ['bouton payant'],
+    '🈚': ['bouton gratuit'],
+    '🈸': ['bouton candidature'],
+    '🈺': ['bouton ouvert'],
+    '🈷️': ['bouton mensuel'],
+    '✴️': ['étoile à huit branches'],
+    '🆚': ['contre', 'versus'],
+    '💮': ['fleur blanche'],
+    '🉐': ['bouton avantage'],
+    '㊙️': ['bouton secret'],
+    '㊗️': ['bouton félicitations'],
+    '🈴': ['bouton réussite'],
+    '🈵': ['bouton complet'],
+    '🈹': ['bouton réduction'],
+    '🈲': ['bouton interdit'],
+    '🅰️': ['bouton a', 'groupe sanguin'],
+    '🅱️': ['bouton b', 'groupe sanguin'],
+    '🆎': ['bouton ab'],
+    '🅾️': ['bouton o', 'groupe sanguin'],
+    '🆘': ['sos', 'au secours'],
+    '❌': ['croix', 'non'],
+    '⭕': ['grand cercle'],
+    '🛑': ['panneau stop'],
+    '⛔': ['sens interdit'],
+    '📛': ['badge nominatif'],
+    '🚫': ['interdit'],
+    '♨️': ['sources chaudes'],
+    '🚷': ['interdit aux piétons'],
+    '🚯': ['interdit de jeter'],
+    '🚳': ['interdit aux vélos'],
+    '🚱': ['eau non potable'],
+    '🔞': ['interdit aux moins de dix-huit ans'],
+    '📵': ['téléphones interdits'],
+    '🚭': ['interdit de fumer'],
+    '❗': ['point d\'exclamation'],
+    '❕': ['point d\'exclamation blanc'],
+    '❓': ['point d\'interrogation'],
+    '❔': ['point d\'interrogation blanc'],
+    '‼️': ['double point d\'exclamation'],
+    '⁉️': ['exclamation interrogation'],
+    '🔅': ['luminosité faible'],
+    '🔆': ['luminosité forte'],
+    '〽️': ['marque d\'alternance'],
+    '⚠️': ['attention', 'danger'],
+    '🚸': ['passage d\'enfants'],
+    '🔱': ['trident'],
+    '⚜️': ['fleur de lys'],
+    '🔰': ['débutant'],
+    '♻️': ['recyclage'],
+    '✅': ['coche', 'ok'],
+    '🈯': ['bouton réservé'],
+    '💹': ['graphique en hausse'],
+    '❇️': ['étincelle'],
+    '✳️': ['astérisque'],
+    '❎': ['bouton croix'],
+    '💠': ['losange avec point'],
+    'Ⓜ️': ['m cerclé', 'métro'],
+    '🌀': ['cyclone', 'tourbillon'],
+    '🏧': ['distributeur', 'guichet automatique'],
+    '🚾': ['toilettes', 'wc'],
+    '♿': ['fauteuil roulant'],
+    '🅿️': ['bouton p', 'parking'],
+    '🈳': ['bouton libre'],
+    '🈂️': ['bouton frais de service'],
+    '🛂': ['contrôle des passeports'],
+    '🛃': ['douane'],
+    '🛄': ['retrait des bagages'],
+    '🛅': ['consigne'],
+    '🚹': ['toilettes hommes'],
+    '🚺': ['toilettes femmes'],
+    '🚼': ['bébé', 'symbole'],
+    '⚧️': ['symbole transgenre'],
+    '🚻': ['toilettes'],
+    '🚮': ['poubelle', 'symbole'],
+    '👣': ['empreintes de pas', 'pieds'],
+    // Emoji 18.0, not in the CLDR annotations yet
+    '🫫': ['visage qui se fissure', 'fissure', 'craquer'],
+    '🫹': ['pouce vers la gauche', 'pouce', 'gauche'],
+    '🫺': ['pouce vers la droite', 'pouce', 'droite'],
+    '🫌': ['papillon monarque', 'papillon'],
+    '🫝': ['cornichon', 'pickle'],
+    '🛙': ['phare', 'mer'],
+    '🪋': ['météore', 'étoile filante'],
+    '🪌': ['gomme', 'effacer'],
+    '🪍': ['épuisette', 'filet']
+  },
+  ar: {
+    '😀': ['ابتسامة', 'سعيد', 'فرح'],
+    '😃': ['ابتسامة', 'سعيد', 'فم مفتوح'],
+    '😄': ['ابتسامة', 'سعيد', 'عيون مغلقة'],
+    '😁': ['ابتسامة', 'سعيد', 'مشرق'],
+    '😆': ['ضحك', 'ضحكة', 'مبتسم'],
+    '😅': ['عرق', 'ضحك', 'متوتر'],
+    '🤣': ['ضحك', 'يتدحرج', 'موت ضحك'],
+    '😂': ['فرح', 'ضحك', 'دموع'],
+    '🙂': ['ابتسامة', 'خفيف'],
+    '🙃': ['مقلوب', 'معكوس'],
+    '🫠': ['ذوبان', 'حر', 'خجل'],
+    '😉': ['غمزة', 'مغازلة'],
+    '😊': ['خجل', 'سعيد', 'لطيف'],
+    '😇': ['ملاك', 'هالة', 'بريء'],
+    '🥰': ['قلوب', 'حب', 'خجل'],
+    '😍': ['حب', 'عيون قلوب'],
+    '🤩': ['منبهر', 'واو', 'نجوم'],
+    '😘': ['قبلة', 'قلب', 'بوسة'],
+    '😗': ['قبلة', 'بوسة'],
+    '☺️': ['ابتسامة', 'خجل', 'لطيف'],
+    '😚': ['قبلة', 'عيون مغلقة'],
+    '😙': ['قبلة', 'ابتسامة'],
+    '😋': ['لذيذ', 'طعم', 'لسان'],
+    '😛': ['لسان', 'مرح'],
+    '😜': ['غمزة', 'لسان', 'مجنون'],
+    '🤪': ['مجنون', 'أحمق', 'مهرج'],
+    '😝': ['لسان', 'عيون مغلقة', 'تكشيرة'],
+    '🤑': ['مال', 'غني', 'دولار'],
+    '🤗': ['عناق', 'دفء', 'حضن'],
+    '🫣': ['اختلاس النظر', 'اختباء', 'عين'],
+    '🤭': ['ضحكة مكتومة', 'يد على الفم', 'عفوا'],
+    '🫢': ['فم مفتوح', 'مندهش', 'صدمة'],
+    '🤫': ['صه', 'هدوء', 'سر'],
+    '🤔': ['تفكير', 'فضول', 'تأمل'],
+    '🫡': ['تحية', 'احترام', 'حاضر'],
+    '🤐': ['سحاب', 'صمت', 'فم مغلق'],
+    '🤨': ['حاجب مرفوع', 'متشكك', 'مريب'],
+    '😐': ['محايد', 'بلا تعبير'],
+    '😑': ['جامد', 'ممل', 'فارغ'],
+    '😶': ['بلا فم', 'صامت'],
+    '🫥': ['منقط', 'خفي', 'اختفاء'],
+    '😶‍🌫️': ['في الغيوم', 'شارد', 'ضباب'],
+    '😏': ['ابتسامة ماكرة', 'رائع', 'مغازل'],
+    '😒': ['ممتعض', 'نظرة جانبية'],
+    '🙄': ['تدوير العيون', 'حكم'],
+    '😬': ['تكشيرة', 'محرج', 'أسنان'],
+    '😮‍💨': ['زفير', 'ارتياح', 'متعب'],
+    '🤥': ['كذب', 'بينوكيو', 'أنف طويل'],
+    '😌': ['مرتاح', 'هادئ'],
+    '😔': ['متأمل', 'حزين', 'مكتئب'],
+    '😪': ['نعسان', 'لعاب', 'متعب'],
+    '🤤': ['سيلان اللعاب', 'لذيذ'],
+    '😴': ['نوم', 'نائم', 'شخير'],
+    '😷': ['كمامة', 'مريض', 'طبيب'],
+    '🤒': ['ميزان حرارة', 'حار', 'حمى'],
+    '🤕': ['ضمادة', 'مصاب', 'رأس'],
+    '🤢': ['غثيان', 'مريض', 'أخضر'],
+    '🤮': ['تقيؤ', 'مقرف', 'قيء'],
+    '🤧': ['عطس', 'حساسية', 'منديل'],
+    '🥵': ['حار', 'حرارة', 'شمس'],
+    '🥶': ['برد', 'متجمد', 'أزرق'],
+    '🥴': ['ثمل', 'سكران', 'دوار'],
+    '😵': ['دوخة', 'مغمى عليه', 'ميت'],
+    '😵‍💫': ['عيون حلزونية', 'منوم', 'مشوش'],
+    '🤯': ['انفجار', 'مذهول', 'صدمة'],
+    '🤠': ['راعي بقر', 'قبعة', 'الغرب'],
+    '🥳': ['حفلة', 'احتفال', 'عيد ميلاد'],
+    '🥸': ['تنكر', 'شارب', 'نظارات'],
+    '😎': ['رائع', 'نظارة شمسية'],
+    '🤓': ['دحيح', 'مهووس', 'نظارات'],
+    '🧐': ['مونوكل', 'تفحص', 'فضولي'],
+    '😕': ['مرتبك', 'حائر'],
+    '🫤': ['فم مائل', 'متشكك', 'متردد'],
+    '😟': ['قلق', 'متوتر'],
+    '🙁': ['عبوس', 'حزين'],
+    '☹️': ['عبوس', 'تعيس'],
+    '😮': ['صدمة', 'متفاجئ', 'فم مفتوح'],
+    '😯': ['مكتوم', 'دهشة صامتة'],
+    '😲': ['مذهول', 'مندهش'],
+    '😳': ['احمرار', 'محرج', 'متفاجئ'],
+    '🥺': ['متوسل', 'عبوس', 'حزين'],
+    '🥹': ['حبس الدموع', 'متأثر', 'عاطفي'],
+    '😦': ['فاغر الفم', 'صدمة'],
+    '😧': ['متألم', 'خائف', 'ألم'],
+    '😨': ['خوف', 'خائف', 'ذعر'],
+    '😰': ['قلق', 'عرق', 'ذعر'],
+    '😥': ['حزين لكن مرتاح', 'دموع'],
+    '😢': ['بكاء', 'حزين', 'دموع'],
+    '😭': ['نحيب', 'حزين', 'دموع', 'بكاء'],
+    '😱': ['صراخ', 'خوف', 'صدمة'],
+    '😖': ['مرتبك', 'متوتر'],
+    '😣': ['مثابرة', 'متوتر', 'عيون مغلقة'],
+    '😞': ['خائب الأمل', 'حزين'],
+    '😓': ['محبط', 'عرق', 'عمل'],
+    '😩': ['منهك', 'متعب', 'أنين'],
+    '😫': ['متعب', 'مرهق'],
+    '🥱': ['تثاؤب', 'متعب', 'ملل'],
+    '😤': ['انتصار', 'غاضب', 'بخار'],
+    '😡': ['عبوس', 'غاضب', 'أحمر'],
+    '😠': ['غاضب', 'زعلان'],
+    '🤬': ['شتم', 'رقابة', 'هائج'],
+    '😈': ['قرون', 'شيطان', 'إبليس'],
+    '👿': ['شيطان', 'شيطان غاضب'],
+    '💀': ['جمجمة', 'ميت', 'ضحك'],
+    '☠️': ['جمجمة وعظمتان', 'خطر', 'سم'],
+    '💩': ['براز', 'خراء', 'قذارة'],
+    '🤡': ['مهرج', 'سخيف', 'مخيف'],
+    '👹': ['غول', 'وحش', 'مخيف'],
+    '👺': ['عفريت', 'قناع', 'شرير'],
+    '👻': ['شبح', 'مخيف', 'مسكون'],
+    '👽': ['كائن فضائي', 'صحن طائر', 'فضاء'],
+    '👾': ['غازي', 'فضائي بكسل', 'لعبة'],
+    '🤖': ['روبوت', 'آلي', 'تقنية'],
+    '😺': ['قط مبتسم'],
+    '😸': ['قط مبتسم', 'عيون ضاحكة'],
+    '😹': ['قط ضاحك', 'دموع الفرح'],
+    '😻': ['قط عاشق', 'عيون قلوب', 'حب'],
+    '😼': ['قط ساخر', 'ابتسامة ساخرة'],
+    '😽': ['قط يقبل', 'قبلة'],
+    '🙀': ['قط مذعور', 'صدمة'],
+    '😿': ['قط يبكي'],
+    '😾': ['قط عابس', 'غاضب'],
+    '🙈': ['لا أرى', 'قرد', 'اختباء'],
+    '🙉': ['لا أسمع', 'قرد', 'هدوء'],
+    '🙊': ['لا أتكلم', 'قرد', 'صه'],
+    '💋': ['قبلة', 'أحمر شفاه', 'شفاه'],
+    '💌': ['رسالة حب', 'بريد', 'قلب'],
+    '💘': ['قلب بسهم', 'كيوبيد', 'حب'],
+    '💝': ['قلب بشريط', 'هدية', 'علبة'],
+    '💖': ['قلب لامع', 'متوهج'],
+    '💗': ['قلب ينمو', 'نبض'],
+    '💓': ['قلب ينبض', 'نبض'],
+    '💞': ['قلوب دوارة'],
+    '💕': ['قلبان', 'حب'],
+    '💟': ['زخرفة قلب'],
+    '❣️': ['قلب تعجب'],
+    '💔': ['قلب مكسور', 'حزين'],
+    '❤️‍🔥': ['قلب مشتعل', 'شغف'],
+    '❤️‍🩹': ['قلب مضمد', 'شفاء'],
+    '❤️': ['قلب أحمر', 'حب'],
+    '🧡': ['قلب برتقالي'],
+    '💛': ['قلب أصفر'],
+    '💚': ['قلب أخضر'],
+    '💙': ['قلب أزرق'],
+    '💜': ['قلب بنفسجي'],
+    '🤎': ['قلب بني'],
+    '🖤': ['قلب أسود'],
+    '🤍': ['قلب أبيض'],
+    '💯': ['مئة', 'نتيجة', 'ممتاز'],
+    '💢': ['غضب', 'هائج', 'عرق'],
+    '💥': ['انفجار', 'اصطدام', 'بوم'],
+    '💫': ['دوخة', 'نجوم'],
+    '💦': ['قطرات عرق', 'ماء', 'حار'],
+    '💨': ['اندفاع', 'سريع', 'جري', 'ريح'],
+    '🕳️': ['حفرة', 'فراغ'],
+    '💣': ['قنبلة', 'خطر', 'انفجار'],
+    '💬': ['فقاعة كلام', 'دردشة', 'كلام'],
+    '👁️‍🗨️': ['عين في فقاعة', 'شاهد'],
+    '🗨️': ['فقاعة حوار'],
+    '🗯️': ['فقاعة غضب'],
+    '💭': ['فقاعة تفكير', 'تفكير'],
+    '💤': ['نوم', 'نائم', 'متعب'],
+    '👋': ['تلويح', 'مرحبا', 'وداعا'],
+    '🤚': ['ظهر اليد مرفوع'],
+    '🖐️': ['يد مفتوحة', 'خمسة'],
+    '✋': ['يد مرفوعة', 'قف', 'كف'],
+    '🖖': ['تحية فولكان', 'ستار تريك'],
+    '🫱': ['يد لليمين'],
+    '🫲': ['يد لليسار'],
+    '🫵': ['إصبع مشير', 'أنت'],
+    '👌': ['حسنا', 'ممتاز'],
+    '🤌': ['أصابع مضمومة', 'إيطالي', 'ماذا'],
+    '🤏': ['قليل', 'شوية'],
+    '✌️': ['نصر', 'سلام'],
+    '🤞': ['أصابع متقاطعة', 'حظ'],
+    '🫰': ['قلب بالأصابع', 'مال'],
+    '🤟': ['أحبك', 'إشارة'],
+    '🤘': ['روك', 'قرون'],
+    '🤙': ['اتصل بي', 'شاكا'],
+    '👈': ['يسار', 'إشارة'],
+    '👉': ['يمين', 'إشارة'],
+    '👆': ['أعلى', 'إشارة'],
+    '🖕': ['إصبع وسطى', 'وقح'],
+    '👇': ['أسفل', 'إشارة'],
+    '☝️': ['سبابة مرفوعة'],
+    '👍': ['إعجاب', 'نعم', 'حسنا'],
+    '👎': ['عدم إعجاب', 'لا'],
+    '✊': ['قبضة مرفوعة', 'قوة'],
+    '👊': ['لكمة', 'قبضة'],
+    '🤛': ['قبضة يسرى'],
+    '🤜': ['قبضة يمنى'],
+    '👏': ['تصفيق', 'برافو'],
+    '🙌': ['أيدي مرفوعة', 'احتفال'],
+    '🫶': ['قلب باليدين', 'حب'],
+    '👐': ['أيدي مفتوحة'],
+    '🤲': ['كفان مرفوعان', 'دعاء', 'عطاء'],
+    '🤝': ['مصافحة', 'صفقة', 'اتفاق'],
+    '🙏': ['يدان مضمومتان', 'من فضلك', 'شكرا', 'صلاة'],
+    '✍️': ['كتابة', 'رسم'],
+    '💅': ['طلاء أظافر', 'أنيق', 'أناقة'],
+    '🤳': ['سيلفي'],
+    '💪': ['عضلات', 'قوي', 'قوة'],
+    '🦾': ['ذراع آلية', 'روبوت'],
+    '🦿': ['ساق آلية', 'روبوت'],
+    '🦵': ['ساق'],
+    '🦶': ['قدم'],
+    '👂': ['أذن', 'استماع'],
+    '🦻': ['أذن', 'سماعة طبية'],
+    '👃': ['أنف', 'شم'],
+    '🧠': ['دماغ', 'ذكي', 'تفكير'],
+    '🫀': ['قلب تشريحي', 'طبي'],
+    '🫁': ['رئتان', 'تنفس'],
+    '🦷': ['سن', 'طبيب أسنان'],
+    '🦴': ['عظم', 'هيكل عظمي'],
+    '👀': ['عيون', 'نظر', 'مريب'],
+    '👁️': ['عين'],
+    '👅': ['لسان'],
+    '👄': ['فم', 'شفاه'],
+    '🫦': ['عض الشفاه', 'مغازل', 'متوتر'],
+    '👶': ['رضيع', 'ولد', 'بنت'],
+    '🧒': ['طفل', 'صغير'],
+    '👦': ['ولد', 'طفل'],
+    '👧': ['بنت', 'طفلة'],
+    '👤': ['صورة ظلية', 'مستخدم', 'ظل'],
+    '👥': ['صور ظلية', 'مستخدمون', 'مجموعة'],
+    '🫂': ['عناق', 'مواساة'],
+    '🐶': ['كلب', 'جرو', 'حيوان أليف'],
+    '🐱': ['قطة', 'قط', 'حيوان أليف'],
+    '🐭': ['فأر', 'قارض'],
+    '🐹': ['هامستر', 'حيوان أليف'],
+    '🐰': ['أرنب', 'أرنوب'],
+    '🦊': ['ثعلب'],
+    '🐻': ['دب'],
+    '🐼': ['باندا'],
+    '🐻‍❄️': ['دب قطبي'],
+    '🐨': ['كوالا'],
+    '🐯': ['نمر'],
+    '🦁': ['أسد', 'ملك'],
+    '🐮': ['بقرة'],
+    '🐷': ['خنزير'],
+    '🐽': ['أنف خنزير'],
+    '🐸': ['ضفدع'],
+    '🐵': ['قرد', 'وجه'],
+    '🐒': ['قرد'],
+    '🐔': ['دجاجة', 'فرخة'],
+    '🐧': ['بطريق'],
+    '🐦': ['طائر', 'عصفور'],
+    '🐤': ['كتكوت'],
+    '🐣': ['فقس', 'كتكوت'],
+    '🐥': ['صوص'],
+    '🦆': ['بطة'],
+    '🦅': ['نسر'],
+    '🦉': ['بومة'],
+    '🦇': ['خفاش', 'مصاص دماء'],
+    '🐺': ['ذئب'],
+    '🐗': ['خنزير بري'],
+    '🐴': ['حصان'],
+    '🦄': ['وحيد القرن الأسطوري', 'سحر'],
+    '🐝': ['نحلة', 'حشرة'],
+    '🪱': ['دودة'],
+    '🐛': ['حشرة', 'يرقة'],
+    '🦋': ['فراشة'],
+    '🐌': ['حلزون'],
+    '🐞': ['دعسوقة', 'حظ'],
+    '🐜': ['نملة'],
+    '🦗': ['صرصور الليل'],
+    '🪳': ['صرصور'],
+    '🕷️': ['عنكبوت', 'مخيف'],
+    '🕸️': ['شبكة', 'عنكبوت'],
+    '🦂': ['عقرب'],
+    '🦟': ['بعوضة'],
+    '🪰': ['ذبابة'],
+    '🐢': ['سلحفاة'],
+    '🐍': ['ثعبان', 'أفعى'],
+    '🦎': ['سحلية'],
+    '🦖': ['تيرانوصور', 'ديناصور'],
+    '🦕': ['صوروبود', 'ديناصور'],
+    '🐙': ['أخطبوط'],
+    '🦑': ['حبار'],
+    '🦐': ['روبيان', 'جمبري'],
+    '🦞': ['كركند'],
+    '🦀': ['سلطعون', 'كابوريا'],
+    '🐡': ['سمكة منتفخة'],
+    '🐠': ['سمكة استوائية'],
+    '🐟': ['سمكة'],
+    '🐬': ['دلفين'],
+    '🐳': ['حوت', 'نافورة'],
+    '🐋': ['حوت'],
+    '🦈': ['قرش'],
+    '🐊': ['تمساح'],
+    '🐅': ['نمر'],
+    '🐆': ['فهد'],
+    '🦓': ['حمار وحشي'],
+    '🦍': ['غوريلا'],
+    '🦧': ['إنسان الغاب'],
+    '🐘': ['فيل'],
+    '🦛': ['فرس النهر'],
+    '🦏': ['وحيد القرن'],
+    '🐪': ['جمل'],
+    '🦒': ['زرافة'],
+    '🦘': ['كنغر'],
+    '🦬': ['بيسون'],
+    '🐃': ['جاموس'],
+    '🐂': ['ثور'],
+    '🐄': ['بقرة'],
+    '🐏': ['كبش'],
+    '🐑': ['خروف', 'نعجة'],
+    '🐐': ['ماعز'],
+    '🦌': ['غزال', 'أيل'],
+    '🦙': ['لاما'],
+    '🦥': ['كسلان'],
+    '🦨': ['ظربان'],
+    '🦡': ['غرير'],
+    '🦃': ['ديك رومي', 'عيد الشكر'],
+    '🕊️': ['حمامة', 'سلام'],
+    '🐕': ['كلب'],
+    '🐩': ['كلب بودل'],
+    '🦮': ['كلب مرشد'],
+    '🐾': ['آثار أقدام'],
+    '🐉': ['تنين'],
+    '🐲': ['وجه تنين'],
+    '🌵': ['صبار', 'صحراء'],
+    '🎄': ['شجرة عيد الميلاد'],
+    '🌲': ['شجرة صنوبر'],
+    '🌳': ['شجرة'],
+    '🌴': ['نخلة', 'شاطئ'],
+    '🌱': ['شتلة', 'نبتة', 'نمو'],
+    '🌿': ['عشب'],
+    '☘️': ['نفل', 'حظ'],
+    '🍀': ['برسيم رباعي', 'حظ'],
+    '🎍': ['زينة الصنوبر'],
+    '🎋': ['شجرة تاناباتا', 'خيزران'],
+    '🍃': ['أوراق في الريح'],
+    '🍂': ['ورقة متساقطة', 'خريف'],
+    '🍁': ['ورقة القيقب', 'كندا'],
+    '🍄': ['فطر', 'عيش الغراب'],
+    '🌾': ['سنبلة', 'قمح'],
+    '💐': ['باقة', 'زهور'],
+    '🌷': ['توليب', 'خزامى'],
+    '🌹': ['وردة', 'حب'],
+    '🥀': ['زهرة ذابلة', 'حزين'],
+    '🌺': ['كركديه'],
+    '🌸': ['زهر الكرز', 'ساكورا'],
+    '🌼': ['زهرة'],
+    '🌻': ['عباد الشمس'],
+    '🌞': ['شمس بوجه'],
+    '🌝': ['بدر بوجه'],
+    '🌚': ['هلال جديد بوجه'],
+    '🌛': ['تربيع أول بوجه'],
+    '🌜': ['تربيع أخير بوجه'],
+    '🌙': ['هلال', 'ليل'],
+    '🌍': ['الأرض', 'كرة أرضية', 'أوروبا', 'أفريقيا'],
+    '🌎': ['الأرض', 'كرة أرضية', 'الأمريكتين'],
+    '🌏': ['الأرض', 'كرة أرضية', 'آسيا', 'أستراليا'],
+    '🌐': ['كرة أرضية', 'إنترنت', 'عالم'],
+    '🌋': ['بركان', 'حار'],
+    '🌌': ['درب التبانة', 'فضاء', 'مجرة'],
+    '🌠': ['شهاب', 'نجم ساقط'],
+    '⭐': ['نجمة'],
+    '☀️': ['شمس', 'حار'],
+    '⛅': ['شمس خلف غيمة'],
+    '☁️': ['غيمة', 'سحابة'],
+    '⚡': ['جهد عالي', 'برق', 'صاعقة'],
+    '🔥': ['نار', 'حار', 'لهب'],
+    '❄️': ['ندفة ثلج', 'برد'],
+    '🌨️': ['غيمة مع ثلج'],
+    '⛈️': ['عاصفة رعدية', 'برق ومطر'],
+    '🌧️': ['غيمة مع مطر'],
+    '💧': ['قطرة', 'ماء'],
+    '🌊': ['موجة', 'محيط', 'بحر'],
+    '🌈': ['قوس قزح', 'فخر'],
+    '🍇': ['عنب', 'فاكهة'],
+    '🍈': ['شمام', 'فاكهة'],
+    '🍉': ['بطيخ', 'فاكهة'],
+    '🍊': ['يوسفي', 'برتقال', 'فاكهة'],
+    '🍋': ['ليمون', 'حمضيات'],
+    '🍋‍🟩': ['ليمون أخضر', 'حمضيات'],
+    '🍌': ['موز', 'فاكهة'],
+    '🍍': ['أناناس', 'فاكهة'],
+    '🥭': ['مانجو', 'فاكهة'],
+    '🍎': ['تفاحة حمراء', 'فاكهة'],
+    '🍏': ['تفاحة خضراء', 'فاكهة'],
+    '🍐': ['كمثرى', 'فاكهة'],
+    '🍑': ['خوخ', 'فاكهة', 'مؤخرة'],
+    '🍒': ['كرز', 'فاكهة'],
+    '🍓': ['فراولة', 'فاكهة'],
+    '🫐': ['توت أزرق', 'فاكهة'],
+    '🥝': ['كيوي', 'فاكهة'],
+    '🍅': ['طماطم', 'خضار'],
+    '🫒': ['زيتون'],
+    '🥥': ['جوز الهند'],
+    '🥑': ['أفوكادو', 'صحي'],
+    '🍆': ['باذنجان', 'خضار'],
+    '🥔': ['بطاطس', 'بطاطا'],
+    '🥕': ['جزر', 'خضار'],
+    '🌽': ['كوز ذرة', 'ذرة'],
+    '🌶️': ['فلفل حار', 'حار'],
+    '🫑': ['فلفل رومي'],
+    '🥒': ['خيار'],
+    '🥬': ['خس', 'خضار ورقية'],
+    '🥦': ['بروكلي'],
+    '🧄': ['ثوم'],
+    '🧅': ['بصل'],
+    '🫚': ['زنجبيل'],
+    '🥜': ['فول سوداني', 'مكسرات'],
+    '🫘': ['فاصوليا', 'فول'],
+    '🌰': ['كستناء'],
+    '🫗': ['سكب', 'سائل'],
+    '🍞': ['خبز', 'توست'],
+    '🥐': ['كرواسون'],
+    '🥖': ['باغيت', 'خبز فرنسي'],
+    '🫓': ['خبز مسطح', 'رغيف'],
+    '🥨': ['بريتزل'],
+    '🥯': ['بيغل'],
+    '🥞': ['فطائر', 'بان كيك', 'فطور'],
+    '🧇': ['وافل'],
+    '🧀': ['جبن'],
+    '🍖': ['لحم على العظم'],
+    '🍗': ['فخذ دجاج', 'دجاج'],
+    '🥩': ['قطعة لحم', 'ستيك'],
+    '🥓': ['لحم مقدد'],
+    '🍔': ['همبرغر', 'برغر', 'وجبة سريعة'],
+    '🍟': ['بطاطس مقلية', 'وجبة سريعة'],
+    '🍕': ['بيتزا', 'وجبة سريعة'],
+    '🌭': ['هوت دوغ', 'نقانق'],
+    '🥪': ['ساندويتش', 'شطيرة'],
+    '🌮': ['تاكو', 'مكسيكي'],
+    '🌯': ['بوريتو', 'مكسيكي'],
+    '🫔': ['تامالي'],
+    '🥙': ['خبز محشو', 'كباب', 'شاورما'],
+    '🧆': ['فلافل', 'طعمية'],
+    '🥚': ['بيضة'],
+    '🍳': ['طبخ', 'بيض', 'مقلاة'],
+    '🥘': ['مقلاة طعام', 'باييا'],
+    '🍲': ['قدر طعام', 'يخنة'],
+    '🫕': ['فوندو'],
+    '🥣': ['وعاء وملعقة', 'حبوب', 'شوربة'],
+    '🥗': ['سلطة خضراء', 'صحي'],
+    '🍿': ['فشار', 'فيلم', 'سينما'],
+    '🧈': ['زبدة'],
+    '🧂': ['ملح'],
+    '🥫': ['طعام معلب'],
+    '🍱': ['بينتو'],
+    '🍘': ['بسكويت أرز'],
+    '🍙': ['كرة أرز'],
+    '🍚': ['أرز مطبوخ'],
+    '🍛': ['أرز بالكاري'],
+    '🍜': ['وعاء ساخن', 'رامن', 'نودلز'],
+    '🍝': ['سباغيتي', 'معكرونة'],
+    '🍠': ['بطاطا حلوة مشوية'],
+    '🍢': ['أودن', 'سيخ'],
+    '🍣': ['سوشي'],
+    '🍤': ['روبيان مقلي', 'تمبورا'],
+    '🍥': ['ناروتو', 'كعكة سمك'],
+    '🥮': ['كعكة القمر'],
+    '🍡': ['دانغو'],
+    '🥟': ['زلابية', 'فطيرة محشوة'],
+    '🥠': ['كعكة الحظ'],
+    '🥡': ['علبة طعام جاهز', 'طعام صيني'],
+    '🦪': ['محار'],
+    '🍦': ['آيس كريم ناعم', 'بوظة'],
+    '🍧': ['ثلج مبشور'],
+    '🍨': ['آيس كريم', 'بوظة'],
+    '🍩': ['دونات'],
+    '🍪': ['كوكيز', 'بسكويت'],
+    '🎂': ['كعكة عيد ميلاد'],
+    '🍰': ['قطعة كعك', 'كيك'],
+    '🧁': ['كب كيك'],
+    '🥧': ['فطيرة'],
+    '🍫': ['شوكولاتة', 'لوح'],
+    '🍬': ['حلوى'],
+    '🍭': ['مصاصة'],
+    '🍮': ['كاسترد', 'كريم كراميل'],
+    '🍯': ['جرة عسل', 'عسل'],
+    '🍼': ['رضاعة', 'حليب'],
+    '🥛': ['كوب حليب'],
+    '☕': ['مشروب ساخن', 'قهوة', 'شاي'],
+    '🫖': ['إبريق شاي'],
+    '🍵': ['فنجان بلا مقبض', 'شاي أخضر'],
+    '🍶': ['ساكي'],
+    '🍾': ['زجاجة', 'شمبانيا', 'حفلة'],
+    '🍷': ['كأس نبيذ', 'نبيذ'],
+    '🍸': ['كوكتيل', 'مارتيني'],
+    '🍹': ['مشروب استوائي'],
+    '🍺': ['كوب بيرة', 'بيرة'],
+    '🍻': ['قرع الأكواب', 'في صحتك'],
+    '🥂': ['قرع الكؤوس', 'احتفال'],
+    '🥃': ['كأس', 'ويسكي'],
+    '🥤': ['كوب بشفاطة', 'مشروب غازي', 'ميلك شيك'],
+    '🧋': ['شاي الفقاعات', 'بوبا'],
+    '🧃': ['علبة عصير', 'عصير'],
+    '🧉': ['متة'],
+    '🧊': ['مكعب ثلج', 'برد'],
+    '🥢': ['عيدان الأكل'],
+    '🍽️': ['صحن', 'شوكة وسكين', 'عشاء'],
+    '🍴': ['شوكة وسكين'],
+    '🥄': ['ملعقة'],
+    '🚗': ['سيارة', 'عربية'],
+    '🚕': ['تاكسي', 'سيارة أجرة'],
+    '🚙': ['سيارة رياضية', 'دفع رباعي'],
+    '🚌': ['حافلة', 'باص'],
+    '🚎': ['ترولي باص'],
+    '🏎️': ['سيارة سباق', 'فورمولا1'],
+    '🚓': ['سيارة شرطة'],
+    '🚑': ['إسعاف'],
+    '🚒': ['سيارة إطفاء'],
+    '🚐': ['حافلة صغيرة'],
+    '🚚': ['شاحنة توصيل'],
+    '🚛': ['شاحنة مقطورة', 'شاحنة'],
+    '🚜': ['جرار'],
+    '🚲': ['دراجة', 'بسكليت'],
+    '🛴': ['سكوتر'],
+    '🛵': ['دراجة نارية صغيرة', 'فيسبا'],
+    '🏍️': ['دراجة نارية', 'موتور'],
+    '🛺': ['توك توك', 'ريكشا'],
+    '🚔': ['سيارة شرطة قادمة'],
+    '🚍': ['حافلة قادمة'],
+    '🚘': ['سيارة قادمة'],
+    '🚖': ['تاكسي قادم'],
+    '🚟': ['ترام معلق'],
+    '🚠': ['تلفريك جبلي'],
+    '🚄': ['قطار سريع'],
+    '🚅': ['قطار الطلقة'],
+    '🚆': ['قطار'],
+    '🚇': ['مترو', 'قطار أنفاق'],
+    '🚈': ['قطار خفيف'],
+    '🚉': ['محطة'],
+    '🚊': ['ترام'],
+    '⛴️': ['عبارة', 'قارب'],
+    '🛳️': ['سفينة ركاب', 'رحلة بحرية'],
+    '🚢': ['سفينة', 'باخرة'],
+    '✈️': ['طائرة', 'رحلة'],
+    '🛩️': ['طائرة صغيرة'],
+    '🚀': ['صاروخ', 'فضاء'],
+    '🛰️': ['قمر صناعي'],
+    '🛸': ['صحن طائر', 'كائن فضائي'],
+    '🚁': ['مروحية', 'هليكوبتر'],
+    '🛶': ['كانو', 'زورق'],
+    '⛵': ['مركب شراعي', 'قارب'],
+    '🚤': ['زورق سريع'],
+    '⚓': ['مرساة', 'بحر'],
+    '🎡': ['عجلة دوارة', 'مدينة ملاهي'],
+    '🎢': ['أفعوانية', 'مدينة ملاهي'],
+    '🎠': ['دوامة خيل', 'حصان خشبي'],
+    '🏗️': ['موقع بناء', 'بناء'],
+    '🏠': ['بيت', 'منزل'],
+    '🏡': ['بيت بحديقة'],
+    '🏘️': ['بيوت'],
+    '🏚️': ['بيت مهجور', 'قديم'],
+    '🏢': ['مبنى مكاتب'],
+    '🏣': ['بريد ياباني'],
+    '🏤': ['مكتب بريد'],
+    '🏥': ['مستشفى'],
+    '🏦': ['بنك', 'مصرف'],
+    '🏨': ['فندق'],
+    '🏩': ['فندق الحب'],
+    '🏪': ['بقالة', 'متجر'],
+    '🏫': ['مدرسة'],
+    '🏬': ['متجر كبير'],
+    '🏭': ['مصنع'],
+    '🏯': ['قلعة يابانية'],
+    '🏰': ['قلعة', 'قصر'],
+    '💒': ['زفاف', 'عرس'],
+    '🗼': ['برج طوكيو'],
+    '🗽': ['تمثال الحرية', 'أمريكا'],
+    '⛪': ['كنيسة'],
+    '🕌': ['مسجد', 'جامع'],
+    '🛕': ['معبد هندوسي'],
+    '✡️': ['نجمة داود'],
+    '⛩️': ['ضريح شنتو'],
+    '🕋': ['الكعبة'],
+    '⛲': ['نافورة'],
+    '⛺': ['خيمة', 'تخييم'],
+    '🌁': ['ضباب'],
+    '🌃': ['ليلة مرصعة بالنجوم'],
+    '🏙️': ['مدينة', 'مباني'],
+    '🌄': ['شروق فوق الجبال'],
+    '🌅': ['شروق الشمس', 'شاطئ'],
+    '🌆': ['مدينة عند الغسق'],
+    '🌇': ['غروب الشمس'],
+    '🌉': ['جسر في الليل'],
+    '⛰️': ['جبل'],
+    '🏔️': ['جبل مكسو بالثلج'],
+    '🗻': ['جبل فوجي'],
+    '🧱': ['طوب', 'قرميد'],
+    '🪵': ['خشب', 'جذع'],
+    '🛖': ['كوخ'],
+    '🏞️': ['حديقة وطنية'],
+    '🏟️': ['ملعب'],
+    '🏜️': ['صحراء'],
+    '🏝️': ['جزيرة'],
+    '⚽': ['كرة القدم', 'كرة'],
+    '🏀': ['كرة السلة', 'كرة'],
+    '🏈': ['كرة القدم الأمريكية', 'كرة'],
+    '⚾': ['بيسبول', 'كرة'],
+    '🥎': ['سوفتبول', 'كرة'],
+    '🎾': ['تنس', 'كرة'],
+    '🏐': ['كرة الطائرة', 'كرة'],
+    '🏉': ['رغبي', 'كرة'],
+    '🎱': ['بلياردو', 'الكرة ثمانية'],
+    '🏓': ['بينغ بونغ', 'تنس الطاولة'],
+    '🏸': ['ريشة طائرة'],
+    '🏒': ['هوكي الجليد'],
+    '🏑': ['هوكي الميدان'],
+    '🥍': ['لاكروس'],
+    '🏏': ['كريكيت'],
+    '🪃': ['بوميرانغ'],
+    '🥅': ['مرمى', 'شبكة'],
+    '⛳': ['علم في الحفرة', 'غولف'],
+    '🏹': ['قوس وسهم', 'رماية'],
+    '🎣': ['صنارة', 'سمك'],
+    '🤿': ['قناع غوص', 'سباحة'],
+    '🥊': ['قفاز ملاكمة'],
+    '🥋': ['زي فنون قتالية', 'كاراتيه'],
+    '⛸️': ['زلاجة جليد'],
+    '🛷': ['مزلجة'],
+    '🎿': ['تزلج'],
+    '🏂': ['تزلج على الثلج'],
+    '🏋️': ['رافع أثقال', 'صالة رياضية'],
+    '🤺': ['مبارز'],
+    '🤼': ['مصارعون'],
+    '🤸': ['شقلبة', 'لاعب جمباز'],
+    '⛹️': ['تنطيط الكرة', 'كرة السلة'],
+    '🧘': ['تأمل', 'يوغا'],
+    '🏇': ['سباق خيل'],
+    '🏄': ['راكب أمواج', 'شاطئ'],
+    '🏊': ['سباح', 'مسبح'],
+    '🤽': ['كرة الماء'],
+    '🚣': ['قارب تجديف'],
+    '🧗': ['متسلق', 'جبل'],
+    '🚵': ['دراجة جبلية'],
+    '🚴': ['راكب دراجة'],
+    '🏆': ['كأس', 'فائز'],
+    '🥇': ['ميدالية ذهبية', 'الأول'],
+    '🥈': ['ميدالية فضية', 'الثاني'],
+    '🥉': ['ميدالية برونزية', 'الثالث'],
+    '🏅': ['ميدالية رياضية'],
+    '🎖️': ['وسام عسكري'],
+    '🏵️': ['وردة زينة'],
+    '🎫': ['تذكرة'],
+    '🎟️': ['تذاكر دخول'],
+    '🎭': ['فنون أداء', 'مسرح', 'قناع'],
+    '🎨': ['لوحة ألوان', 'فن', 'رسم'],
+    '🎬': ['كلاكيت', 'فيلم', 'سينما'],
+    '🎤': ['ميكروفون', 'غناء'],
+    '🎧': ['سماعات', 'موسيقى'],
+    '🎼': ['نوتة موسيقية'],
+    '🎹': ['لوحة مفاتيح', 'بيانو'],
+    '🥁': ['طبل'],
+    '🎷': ['ساكسفون'],
+    '🎺': ['بوق'],
+    '🎸': ['غيتار'],
+    '🪕': ['بانجو'],
+    '🎻': ['كمان'],
+    '🎮': ['لعبة فيديو', 'يد تحكم'],
+    '🕹️': ['عصا تحكم'],
+    '🎰': ['آلة قمار', 'كازينو'],
+    '🎲': ['نرد', 'زهر', 'حظ'],
+    '♟️': ['بيدق', 'شطرنج'],
+    '🧩': ['قطعة أحجية', 'بازل'],
+    '🧸': ['دب محشو', 'دبدوب'],
+    '🃏': ['جوكر', 'ورق لعب'],
+    '🀄': ['ماجونغ', 'تنين أحمر'],
+    '🎴': ['بطاقات الزهور'],
+    '🎯': ['إصابة الهدف', 'سهام', 'هدف'],
+    '📱': ['هاتف محمول', 'جوال'],
+    '📲': ['هاتف مع سهم', 'اتصال'],
+    '☎️': ['هاتف'],
+    '📞': ['سماعة هاتف'],
+    '📟': ['جهاز نداء'],
+    '📠': ['فاكس'],
+    '🔋': ['بطارية'],
+    '🔌': ['قابس كهربائي'],
+    '💻': ['حاسوب محمول', 'لابتوب'],
+    '🖥️': ['حاسوب مكتبي'],
+    '🖨️': ['طابعة'],
+    '⌨️': ['لوحة مفاتيح'],
+    '🖱️': ['فأرة حاسوب', 'ماوس'],
+    '🖲️': ['كرة تتبع'],
+    '💽': ['قرص', 'قرص صغير'],
+    '💾': ['قرص مرن', 'حفظ'],
+    '💿': ['قرص مضغوط', 'سي دي'],
+    '📀': ['دي في دي'],
+    '🧮': ['معداد'],
+    '📷': ['كاميرا', 'صورة'],
+    '📸': ['كاميرا بفلاش'],
+    '📹': ['كاميرا فيديو'],
+    '🎥': ['كاميرا سينمائية'],
+    '📽️': ['جهاز عرض أفلام'],
+    '🎞️': ['شريط فيلم'],
+    '📺': ['تلفاز', 'تلفزيون'],
+    '📻': ['راديو', 'مذياع'],
+    '🎙️': ['ميكروفون استوديو'],
+    '🎚️': ['منزلق مستوى'],
+    '🎛️': ['مقابض تحكم'],
+    '🧭': ['بوصلة', 'خريطة'],
+    '⏱️': ['ساعة إيقاف'],
+    '⏲️': ['مؤقت'],
+    '⏰': ['منبه'],
+    '🕰️': ['ساعة رف'],
+    '⌛': ['ساعة رملية منتهية'],
+    '⏳': ['ساعة رملية'],
+    '📡': ['طبق لاقط', 'هوائي'],
+    '💡': ['مصباح', 'فكرة'],
+    '🔦': ['مصباح يدوي'],
+    '🏮': ['فانوس أحمر'],
+    '🪔': ['قنديل'],
+    '🕯️': ['شمعة'],
+    '🗑️': ['سلة مهملات', 'قمامة'],
+    '🛢️': ['برميل نفط'],
+    '💸': ['مال طائر'],
+    '💵': ['ورقة دولار', 'مال'],
+    '💴': ['ورقة ين', 'مال'],
+    '💶': ['ورقة يورو', 'مال'],
+    '💷': ['ورقة جنيه', 'مال'],
+    '💰': ['كيس نقود'],
+    '💳': ['بطاقة بنكية', 'بطاقة ائتمان'],
+    '💎': ['حجر كريم', 'ألماس'],
+    '⚖️': ['ميزان', 'عدالة'],
+    '🧰': ['صندوق أدوات'],
+    '🔧': ['مفتاح ربط', 'أداة'],
+    '🔨': ['مطرقة', 'أداة'],
+    '🛠️': ['مطرقة ومفتاح', 'أدوات'],
+    '⛏️': ['معول', 'فأس'],
+    '⚙️': ['ترس', 'إعدادات'],
+    '⛓️': ['سلاسل'],
+    '🪝': ['خطاف'],
+    '🧲': ['مغناطيس'],
+    '🔫': ['مسدس', 'مسدس ماء'],
+    '🧨': ['مفرقعة'],
+    '🔪': ['سكين مطبخ', 'سلاح'],
+    '🗡️': ['خنجر'],
+    '⚔️': ['سيفان متقاطعان'],
+    '🛡️': ['درع'],
+    '🚬': ['تدخين', 'سيجارة'],
+    '⚰️': ['تابوت', 'ميت'],
+    '🪦': ['شاهد قبر', 'ميت'],
+    '⚱️': ['جرة رماد'],
+    '🏺': ['جرة', 'أمفورة'],
+    '🔮': ['كرة بلورية', 'سحر'],
+    '🪄': ['عصا سحرية'],
+    '📿': ['مسبحة'],
+    '🧿': ['نظر', 'تميمة', 'عين الحسود'],
+    '💈': ['عمود الحلاق', 'حلاق'],
+    '☮️': ['رمز السلام'],
+    '✝️': ['صليب لاتيني'],
+    '☪️': ['نجمة وهلال'],
+    '🕉️': ['أوم'],
+    '☸️': ['عجلة الدارما'],
+    '🔯': ['نجمة سداسية'],
+    '🕎': ['شمعدان'],
+    '☯️': ['يين يانغ'],
+    '☦️': ['صليب أرثوذكسي'],
+    '🛐': ['مكان عبادة'],
+    '⛎': ['الحواء'],
+    '♈': ['الحمل'],
+    '♉': ['الثور'],
+    '♊': ['الجوزاء'],
+    '♋': ['السرطان'],
+    '♌': ['الأسد'],
+    '♍': ['العذراء'],
+    '♎': ['الميزان'],
+    '♏': ['العقرب'],
+    '♐': ['القوس'],
+    '♑': ['الجدي'],
+    '♒': ['الدلو'],
+    '♓': ['الحوت'],
+    '🆔': ['هوية'],
+    '⚛️': ['ذرة'],
+    '🉑': ['زر مقبول'],
+    '☢️': ['مشع'],
+    '☣️': ['خطر بيولوجي'],
+    '📴': ['هاتف مغلق'],
+    '📳': ['وضع الاهتزاز'],
+    '🈶': ['زر غير مجاني'],
+    '🈚': ['زر مجاني'],
+    '🈸': ['زر تقديم'],
+    '🈺': ['زر مفتوح للعمل'],
+    '🈷️': ['زر شهري'],
+    '✴️': ['نجمة ثمانية'],
+    '🆚': ['ضد', 'مقابل'],
+    '💮': ['زهرة بيضاء'],
+    '🉐': ['زر مفيد'],
+    '㊙️': ['زر سري'],
+    '㊗️': ['زر تهنئة'],
+    '🈴': ['زر نجاح'],
+    '🈵': ['زر لا شواغر'],
+    '🈹': ['زر خصم'],
+    '🈲': ['زر ممنوع'],
+    '🅰️': ['زر أ', 'فصيلة دم'],
+    '🅱️': ['زر ب', 'فصيلة دم'],
+    '🆎': ['زر أب'],
+    '🅾️': ['زر o', 'فصيلة دم'],
+    '🆘': ['استغاثة', 'نجدة'],
+    '❌': ['علامة خطأ', 'لا'],
+    '⭕': ['دائرة كبيرة'],
+    '🛑': ['إشارة قف'],
+    '⛔': ['ممنوع الدخول'],
+    '📛': ['شارة اسم'],
+    '🚫': ['ممنوع'],
+    '♨️': ['ينابيع حارة'],
+    '🚷': ['ممنوع المشاة'],
+    '🚯': ['ممنوع رمي النفايات'],
+    '🚳': ['ممنوع الدراجات'],
+    '🚱': ['مياه غير صالحة للشرب'],
+    '🔞': ['ممنوع لأقل من ثمانية عشر'],
+    '📵': ['ممنوع الهواتف'],
+    '🚭': ['ممنوع التدخين'],
+    '❗': ['علامة تعجب'],
+    '❕': ['علامة تعجب بيضاء'],
+    '❓': ['علامة استفهام'],
+    '❔': ['علامة استفهام بيضاء'],
+    '‼️': ['علامتا تعجب'],
+    '⁉️': ['تعجب واستفهام'],
+    '🔅': ['سطوع منخفض'],
+    '🔆': ['سطوع عالي'],
+    '〽️': ['علامة التناوب'],
+    '⚠️': ['تحذير', 'خطر'],
+    '🚸': ['عبور أطفال'],
+    '🔱': ['رمح ثلاثي'],
+    '⚜️': ['زهرة الزنبق'],
+    '🔰': ['مبتدئ'],
+    '♻️': ['إعادة تدوير'],
+    '✅': ['علامة صح', 'حسنا'],
+    '🈯': ['زر محجوز'],
+    '💹': ['رسم بياني صاعد'],
+    '❇️': ['بريق'],
+    '✳️': ['نجمة'],
+    '❎': ['زر علامة خطأ'],
+    '💠': ['معين بنقطة'],
+    'Ⓜ️': ['حرف م في دائرة', 'مترو'],
+    '🌀': ['إعصار', 'دوامة'],
+    '🏧': ['صراف آلي'],
+    '🚾': ['دورة مياه', 'حمام'],
+    '♿': ['كرسي متحرك'],
+    '🅿️': ['زر p', 'موقف سيارات'],
+    '🈳': ['زر شاغر'],
+    '🈂️': ['زر رسوم الخدمة'],
+    '🛂': ['مراقبة الجوازات'],
+    '🛃': ['جمارك'],
+    '🛄': ['استلام الأمتعة'],
+    '🛅': ['أمانات الأمتعة'],
+    '🚹': ['حمام الرجال'],
+    '🚺': ['حمام النساء'],
+    '🚼': ['رضيع', 'رمز'],
+    '⚧️': ['رمز العابرين جنسيا'],
+    '🚻': ['حمامات'],
+    '🚮': ['سلة المهملات', 'رمز'],
+    '👣': ['آثار أقدام', 'أقدام'],
+    // Emoji 18.0, not in the CLDR annotations yet
+    '🫫': ['وجه متشقق', 'تشقق'],
+    '🫹': ['إبهام إلى اليسار', 'إبهام', 'يسار'],
+    '🫺': ['إبهام إلى اليمين', 'إبهام', 'يمين'],
+    '🫌': ['فراشة ملكية', 'فراشة'],
+    '🫝': ['مخلل', 'خيار مخلل'],
+    '🛙': ['منارة', 'بحر'],
+    '🪋': ['نيزك', 'شهاب'],
+    '🪌': ['ممحاة', 'مسح'],
+    '🪍': ['شبكة بمقبض', 'شبكة']
+  }
+};
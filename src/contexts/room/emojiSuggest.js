@@ -0,0 +1,109 @@
+import { EMOJI_DATA } from './emojiData';
+import { getEmojiKeywords, normalizeKeyword } from './emojiKeywords';
+import { isEmojiAllowed } from './gameModes';
+
+// Keyword-based emoji suggestions for a phrase: the EmojiPhase "suggest" row and the bots' translations.
+// Words are matched against EMOJI_DATA keywords (in the phrase's language, then English) exactly, by stem,
+// then by prefix, ignoring accents and harakat; the best-scoring emojis come first, in phrase order.
+
+const STOP_WORDS = {
+    en: ['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'is', 'are', 'was', 'be', 'it', 'its', 'his', 'her', 'their', 'my', 'your', 'that', 'this', 'who', 'when', 'what', 'just', 'too', 'very', 'so', 'up', 'out', 'into', 'nobody', 'gets'],
+    fr: ['un', 'une', 'le', 'la', 'les', 'des', 'de', 'du', 'et', 'ou', 'à', 'au', 'aux', 'en', 'dans', 'sur', 'pour', 'par', 'avec', 'qui', 'que', 'est', 'sont', 'son', 'sa', 'ses', 'mon', 'ma', 'mes', 'ce', 'cette', 'il', 'elle', 'se', 'ne', 'pas', 'plus', 'trop', 'très', 'quand', 'personne'],
+    ar: ['في', 'من', 'على', 'إلى', 'الى', 'عن', 'مع', 'و', 'أو', 'او', 'ثم', 'هذا', 'هذه', 'الذي', 'التي', 'كان', 'لا', 'ما', 'عندما', 'كل', 'أحد', 'جدًا', 'جدا']
+};
+
+// Light suffix stripping, enough for "cats" to meet "cat" and "dancing" to meet "dance"
+const SUFFIXES = {
+    en: ['ies', 'ing', 'ers', 'ied', 'es', 'ed', 'er', 'ly', 's', 'e'],
+    fr: ['euses', 'euse', 'eux', 'aux', 'ées', 'ée', 'és', 'es', 'er', 'é', 's', 'x', 'e'],
+    ar: ['ات', 'ون', 'ين', 'ها', 'ة']
+};
+const AR_PREFIXES = ['وال', 'بال', 'لل', 'ال'];
+
+// Word lists compared against normalized words, so accents in them must go too
+const normalizeList = (list) => list.map(normalizeKeyword);
+const NORMALIZED_STOP_WORDS = Object.fromEntries(Object.entries(STOP_WORDS).map(([lang, words]) => [lang, normalizeList(words)]));
+const NORMALIZED_SUFFIXES = Object.fromEntries(Object.entries(SUFFIXES).map(([lang, suffixes]) => [lang, normalizeList(suffixes)]));
+
+const MAX_PER_WORD = 2;
+
+export const stemWord = (word, language = 'en') => {
+    let stem = word;
+    if (language === 'ar') {
+        const prefix = AR_PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= 2);
+        if (prefix) stem = stem.slice(prefix.length);
+    }
+    const suffix = (NORMALIZED_SUFFIXES[language] || NORMALIZED_SUFFIXES.en).find(s => stem.endsWith(s) && stem.length - s.length >= 3);
+    return suffix ? stem.slice(0, -suffix.length) : stem;
+};
+
+// Normalized words of the phrase, without the language's stop words
+export const tokenize = (text, language = 'en') => {
+    const stopWords = NORMALIZED_STOP_WORDS[language] || NORMALIZED_STOP_WORDS.en;
+    return normalizeKeyword(text)
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(w => w.length > 1 && !stopWords.includes(w));
+};
+
+// Normalized keywords per language and emoji, built on first use
+const keywordCache = {};
+const getKeywords = (item, language) => {
+    const cache = keywordCache[language] || (keywordCache[language] = new Map());
+    if (!cache.has(item.emoji)) cache.set(item.emoji, getEmojiKeywords(item, language).map(normalizeKeyword));
+    return cache.get(item.emoji);
+};
+
+// Best match of one keyword in the phrase: { score, index } of the word it matched, or null
+const matchKeyword = (keyword, words, language) => {
+    const parts = keyword.split(' ');
+    if (parts.length > 1) {
+        const index = words.findIndex((_, i) => parts.every((part, j) => words[i + j] === part));
+        return index === -1 ? null : { score: 4, index };
+    }
+
+    let best = null;
+    words.forEach((word, index) => {
+        let score = 0;
+        if (word === keyword) score = 3;
+        else if (stemWord(word, language) === stemWord(keyword, language) || stemWord(word) === stemWord(keyword)) score = 2;
+        else if (word.length >= 4 && keyword.length >= 4 && (keyword.startsWith(word) || word.startsWith(keyword))) score = 1;
+        if (score > (best?.score || 0)) best = { score, index };
+    });
+    return best;
+};
+
+// Ranked emojis for `phrase`. constraints: the mode's emoji rules (banned categories/chars);
+// exclude: emojis already in the received phrase, which the picker disables too.
+export const suggestEmojis = (phrase, { language = 'en', constraints = null, exclude = [], limit = 8 } = {}) => {
+    const words = tokenize(phrase, language);
+    if (words.length === 0) return [];
+
+    const candidates = [];
+    EMOJI_DATA.forEach((item, order) => {
+        if (!isEmojiAllowed(item, constraints) || exclude.includes(item.emoji)) return;
+        if (candidates.some(c => c.emoji === item.emoji)) return;
+
+        let best = null;
+        const matchedWords = new Set();
+        for (const keyword of getKeywords(item, language)) {
+            const match = matchKeyword(keyword, words, language);
+            if (!match) continue;
+            matchedWords.add(match.index);
+            if (!best || match.score > best.score || (match.score === best.score && match.index < best.index)) best = match;
+        }
+        // An emoji that fits several words of the phrase beats one that fits a single word
+        if (best) candidates.push({ emoji: item.emoji, score: best.score + (matchedWords.size - 1) * 0.5, index: best.index, order });
+    });
+
+    candidates.sort((a, b) => (b.score - a.score) || (a.index - b.index) || (a.order - b.order));
+
+    const perWord = {};
+    const picked = [];
+    for (const candidate of candidates) {
+        if ((perWord[candidate.index] || 0) >= MAX_PER_WORD) continue;
+        perWord[candidate.index] = (perWord[candidate.index] || 0) + 1;
+        picked.push(candidate.emoji);
+        if (picked.length >= limit) break;
+    }
+    return picked;
+};
@@ -0,0 +1,51 @@
+import { supabase } from '../../supabaseClient';
+
+// Past games, read from the `games` table (see the games_archive migration). advance_phase writes it:
+// one row per game, a round appended at vote -> scoreboard, the final scores at scoreboard -> winner.
+
+const GAME_LIST_COLUMNS = 'id, room_code, mode, player_names, scores, winner_id, started_at, finished_at';
+const MAX_LISTED_GAMES = 50;
+
+// Finished games, newest first; roomCode narrows the list to one room
+export const listArchivedGames = async (roomCode = '') => {
+    let query = supabase.from('games').select(GAME_LIST_COLUMNS).not('finished_at', 'is', null);
+    const code = roomCode.trim().toUpperCase();
+    if (code) query = query.eq('room_code', code);
+
+    const { data, error } = await query.order('finished_at', { ascending: false }).limit(MAX_LISTED_GAMES);
+    if (error) {
+        console.error('gameArchive: Failed to list games', error);
+        return [];
+    }
+    return data || [];
+};
+
+// The room's last finished game, matched by room id since room codes get reused
+export const loadLatestRoomGame = async (roomId) => {
+    if (!roomId) return null;
+    const { data, error } = await supabase.from('games').select('*')
+        .eq('room_id', roomId)
+        .not('finished_at', 'is', null)
+        .order('finished_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) {
+        console.error('gameArchive: Failed to load the last room game', error);
+        return null;
+    }
+    return data;
+};
+
+export const loadArchivedGame = async (id) => {
+    const { data, error } = await supabase.from('games').select('*').eq('id', id).maybeSingle();
+    if (error) {
+        console.error('gameArchive: Failed to load game', error);
+        return null;
+    }
+    return data;
+};
+
+// [{ id, name, score }] best first
+export const getArchivedStandings = (game) => Object.entries(game?.scores || {})
+    .map(([id, score]) => ({ id, name: game.player_names?.[id] || '...', score: score || 0 }))
+    .sort((a, b) => b.score - a.score);
@@ -0,0 +1,167 @@
+// Game mode registry. A mode is declared once here and everything else reads it:
+// getPhaseOrder / getPhaseStep (roomUtils), the phase pages' input rules, the Lobby mode picker,
+// phase timers and vote scoring (gameReducer, and the SQL engine through settings.mode_rules).
+//
+//   id          value stored in settings.selectedMode
+//   labelKey    translation key, icon shown next to it in the Lobby
+//   stepCycle   phase types played after the opening `text`, repeated until the chain is long enough
+//   constraints per phase type: maxLength / bannedChars for typed answers,
+//               maxEmojis / bannedCategories (see EMOJI_CATEGORIES) / bannedChars for emoji answers,
+//               maxStrokes for drawings. The host's emoji rules (settings.emojiRules, see getEmojiRules)
+//               are merged into the emoji ones by getModeConstraints.
+//   timers      multiplier applied to the host's roundTime / voteDuration, per phase type
+//   scoring     points per vote category
+
+export const DEFAULT_MODE_ID = 'Classic';
+
+const DEFAULT_CONSTRAINTS = {
+    text: { maxLength: 100, bannedChars: [] },
+    interpretation: { maxLength: 100, bannedChars: [] },
+    emoji: { maxEmojis: 10, bannedCategories: [], bannedChars: [] },
+    draw: { maxStrokes: 200 }
+};
+
+const DEFAULT_TIMERS = { text: 1, emoji: 1, draw: 1, interpretation: 1, vote: 1 };
+
+const DEFAULT_SCORING = { funniest: 1, mostAccurate: 2, mostDestroyed: -1 };
+
+const defineMode = ({ constraints = {}, timers = {}, scoring = {}, ...mode }) => ({
+    ...mode,
+    constraints: Object.fromEntries(Object.entries(DEFAULT_CONSTRAINTS).map(([type, rules]) => [type, { ...rules, ...(constraints[type] || {}) }])),
+    timers: { ...DEFAULT_TIMERS, ...timers },
+    scoring: { ...DEFAULT_SCORING, ...scoring }
+});
+
+export const GAME_MODES = {
+    Classic: defineMode({
+        id: 'Classic',
+        labelKey: 'classic',
+        icon: '🎲',
+        stepCycle: ['emoji', 'interpretation']
+    }),
+    'Emoji Only': defineMode({
+        id: 'Emoji Only',
+        labelKey: 'emojiOnly',
+        icon: '😜',
+        stepCycle: ['emoji']
+    }),
+    'No Faces': defineMode({
+        id: 'No Faces',
+        labelKey: 'noFaces',
+        icon: '😶',
+        stepCycle: ['emoji', 'interpretation'],
+        constraints: { emoji: { bannedCategories: ['smileys'] } }
+    }),
+    Draw: defineMode({
+        id: 'Draw',
+        labelKey: 'drawMode',
+        icon: '🎨',
+        stepCycle: ['draw', 'interpretation'],
+        timers: { draw: 1.5 }
+    })
+};
+
+export const getModeList = () => Object.values(GAME_MODES);
+
+// Accepts a mode id or room settings; unknown modes fall back to Classic
+export const getGameMode = (settingsOrId) => {
+    const id = typeof settingsOrId === 'string' ? settingsOrId : settingsOrId?.selectedMode;
+    return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE_ID];
+};
+
+// 'emoji_2' -> 'emoji', 'draw_1' -> 'draw', 'interpretation_1' -> 'interpretation', 'text' -> 'text'
+export const getPhaseType = (phase = '') => String(phase).split('_')[0];
+
+// Host-configurable rules for emoji answers, stored in settings.emojiRules
+export const MAX_EMOJIS_LIMIT = 10;
+export const DEFAULT_EMOJI_RULES = { minEmojis: 1, maxEmojis: MAX_EMOJIS_LIMIT, noRepeats: false, noLetters: false, noPromptEmojis: true };
+
+export const getEmojiRules = (settings) => {
+    const rules = { ...DEFAULT_EMOJI_RULES, ...(settings?.emojiRules || {}) };
+    const maxEmojis = Math.min(MAX_EMOJIS_LIMIT, Math.max(1, parseInt(rules.maxEmojis, 10) || MAX_EMOJIS_LIMIT));
+    return {
+        minEmojis: Math.min(maxEmojis, Math.max(1, parseInt(rules.minEmojis, 10) || 1)),
+        maxEmojis,
+        noRepeats: !!rules.noRepeats,
+        noLetters: !!rules.noLetters,
+        noPromptEmojis: rules.noPromptEmojis !== false
+    };
+};
+
+export const getModeConstraints = (settings, phase) => {
+    const type = getPhaseType(phase);
+    const constraints = getGameMode(settings).constraints[type] || {};
+    if (type !== 'emoji') return constraints;
+
+    const rules = getEmojiRules(settings);
+    return { ...constraints, ...rules, maxEmojis: Math.min(constraints.maxEmojis || MAX_EMOJIS_LIMIT, rules.maxEmojis) };
+};
+
+// Seconds a phase lasts in this room
+export const getModePhaseDuration = (settings, phase) => {
+    const type = getPhaseType(phase);
+    const base = type === 'vote' ? (settings?.voteDuration || 30) : (settings?.roundTime || 60);
+    return Math.round(base * (getGameMode(settings).timers[type] ?? 1));
+};
+
+// The part of the mode the server engine needs, snapshotted into settings.mode_rules at game start
+export const getModeRules = (settingsOrId) => {
+    const { id, stepCycle, timers, scoring } = getGameMode(settingsOrId);
+    const settings = typeof settingsOrId === 'string' ? { selectedMode: settingsOrId } : settingsOrId;
+    const { minEmojis, maxEmojis, noRepeats, noLetters, noPromptEmojis } = getModeConstraints(settings, 'emoji');
+    return { id, stepCycle, timers, scoring, emojiRules: { minEmojis, maxEmojis, noRepeats, noLetters, noPromptEmojis } };
+};
+
+// Votes a player can spend per category over a whole game: funniest gets 3x, the others 1x, per 5 points to win
+export const getVoteLimits = (settings) => {
+    const multiplier = Math.max(1, Math.floor((settings?.scoreToWin || 5) / 5));
+    return { funniest: 3 * multiplier, mostAccurate: multiplier, mostDestroyed: multiplier };
+};
+
+// Drop characters the mode bans from a typed answer, then cap its length
+export const applyTextConstraints = (value, constraints) => {
+    const banned = constraints?.bannedChars || [];
+    const cleaned = banned.length ? [...String(value)].filter(ch => !banned.includes(ch)).join('') : String(value);
+    return constraints?.maxLength ? cleaned.slice(0, constraints.maxLength) : cleaned;
+};
+
+// Keycaps (1️⃣, #️⃣, 🔟), enclosed letters (🅰️, 🆎, Ⓜ️, ℹ️), ideograph buttons (🈯, ㊙️) and 🔠-🔤.
+// Same ranges as wdym_is_letter_emoji in supabase/migrations.
+const LETTER_EMOJI_PATTERN = /\u20E3|[\u{1F170}-\u{1F19A}\u{1F200}-\u{1F251}\u{1F51F}-\u{1F524}\u2139\u24C2\u3297\u3299]/u;
+
+// Skin tones and variation selectors, ignored when comparing emojis (👋🏽 repeats 👋)
+const EMOJI_VARIANT_PATTERN = /[\u{1F3FB}-\u{1F3FF}]|\uFE0F/gu;
+const emojiBase = (emoji) => String(emoji).replace(EMOJI_VARIANT_PATTERN, '');
+
+export const isLetterEmoji = (emoji) => LETTER_EMOJI_PATTERN.test(emoji);
+
+export const isEmojiAllowed = (item, constraints) => {
+    if (constraints?.bannedCategories?.includes(item.category)) return false;
+    if (constraints?.bannedChars?.includes(item.emoji)) return false;
+    if (constraints?.noLetters && isLetterEmoji(item.emoji)) return false;
+    return true;
+};
+
+const isInPrompt = (emoji, received) => !!received && emojiBase(received).includes(emojiBase(emoji));
+
+// Translation key of the rule adding `emoji` after `selected` would break, or null.
+// received: the phrase (or emojis) the player is translating.
+export const getEmojiRuleError = (emoji, selected, constraints, received = '') => {
+    if (constraints?.noLetters && isLetterEmoji(emoji)) return 'emojiRuleLetters';
+    if (constraints?.noPromptEmojis && isInPrompt(emoji, received)) return 'emojiRulePrompt';
+    if (constraints?.noRepeats && selected.some(e => emojiBase(e) === emojiBase(emoji))) return 'emojiRuleRepeat';
+    if (selected.length >= (constraints?.maxEmojis || MAX_EMOJIS_LIMIT)) return 'emojiRuleMax';
+    return null;
+};
+
+// Server-side check of a submitted emoji answer (space-joined): emojis breaking a rule are dropped and
+// the rest capped at maxEmojis; null if fewer than minEmojis are left, so the phase fallback is used.
+// Mirrors wdym_apply_emoji_rules in supabase/migrations.
+export const applyEmojiConstraints = (value, constraints, received = '') => {
+    const kept = [];
+    String(value || '').split(' ').filter(Boolean).forEach(emoji => {
+        if (getEmojiRuleError(emoji, kept, constraints, received)) return;
+        kept.push(emoji);
+    });
+    return kept.length >= (constraints?.minEmojis || 1) ? kept.join(' ') : null;
+};
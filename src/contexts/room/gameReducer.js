@@ -0,0 +1,337 @@
+import { shuffleArr, generateChainAssignments, getNextPhase, getPhaseStep, getReceivedContent } from './roomUtils';
+import { decodeAnswer, encodeAnswer, getAnswerKind, getRoundId, isAnswerForPhase, isFinalAnswer } from './answerCodec';
+import { recordGameResult } from './matchUtils';
+import { DEFAULT_MODE_ID, applyEmojiConstraints, getGameMode, getModeConstraints, getModePhaseDuration, getVoteLimits } from './gameModes';
+import { FALLBACK_DRAWINGS } from './drawingCodec';
+import { getPackFallback } from './promptPacks';
+import { normalizeEmojiAnswer } from './emojiGuard';
+
+// Pure phase-transition rules. Same behaviour as the `advance_phase` RPC in supabase/migrations,
+// but with no React and no Supabase: state + answers + presence in, next state + side-effects out.
+// The client never applies it (the RPC is required); its tests pin the rules the SQL must follow, so
+// keep both in sync when rules change.
+
+export const FALLBACK_ANSWERS = {
+    text: { online: "I was too busy thinking of something brilliant! ✨", offline: "Ghost writer took over! (Player disconnected) 👻" },
+    emoji: { online: "❓🤔✨", offline: "👻❌❓" },
+    draw: FALLBACK_DRAWINGS,
+    interpretation: { online: "Clearly a masterpiece, though my mind is blank! 🎨", offline: "A mystery lost to the phantom realm... (Disconnected) 🌫️" }
+};
+
+const ONLINE_GRACE_MS = 15000;
+
+export const isGameplayPhase = (phase = '') => ['text', 'emoji', 'drawing', 'guess'].includes(getAnswerKind(phase));
+
+// With a prompt pack, the text phase falls back to one of its prompts (see promptPacks.js)
+export const getFallbackAnswer = (phase, isOnline, settings = null, key = null) => {
+    const kind = getAnswerKind(phase);
+    if (kind === 'text') {
+        const prompt = getPackFallback(settings, key);
+        if (prompt) return prompt;
+    }
+    const fallback = FALLBACK_ANSWERS[{ guess: 'interpretation', drawing: 'draw' }[kind] || kind];
+    if (!fallback) return null;
+    return isOnline ? fallback.online : fallback.offline;
+};
+
+// Payload of an answer for the given phase (final or draft), or null
+export const getAnswerContent = (answer, phase) => {
+    if (!isAnswerForPhase(answer, phase)) return null;
+    const { value } = decodeAnswer(answer);
+    return typeof value === 'string' ? (value.trim() || null) : null;
+};
+
+// Emoji answers must be emoji-only (see emojiGuard) and are re-checked against the room's emoji rules
+// (see applyEmojiConstraints); null if nothing valid is left
+const getRecordedContent = (answer, phase, settings, playerId) => {
+    const content = getAnswerContent(answer, phase);
+    if (!content || getAnswerKind(phase) !== 'emoji') return content;
+    const emojis = normalizeEmojiAnswer(content);
+    if (!emojis || !settings) return emojis || null;
+    return applyEmojiConstraints(emojis, getModeConstraints(settings, phase), getReceivedContent(settings, phase, playerId));
+};
+
+export const hasFinalAnswer = (player) => isFinalAnswer(player?.last_answer);
+
+export const getPhaseDuration = (phase, settings) => {
+    if (isGameplayPhase(phase) || phase === 'vote') return getModePhaseDuration(settings, phase);
+    return 60;
+};
+
+// A player counts as online if presence says so or their heartbeat is recent
+export const getOnlineIds = (players, presenceIds, now) => {
+    const online = new Set(presenceIds || []);
+    players.forEach(p => {
+        const lastSeenMs = p.last_seen ? new Date(p.last_seen).getTime() : 0;
+        if ((now - lastSeenMs) < ONLINE_GRACE_MS) online.add(p.id);
+    });
+    return online;
+};
+
+// { [playerId]: encoded final answer (see answerCodec) | raw vote string }
+export const extractPhaseAnswers = (phase, playerOrder, players, onlineIds, round = null, settings = null) => {
+    const isVote = getAnswerKind(phase) === 'vote';
+    return playerOrder.reduce((acc, pId) => {
+        const p = players.find(pl => pl.id === pId);
+        if (isVote) {
+            acc[pId] = p?.last_answer || '';
+            return acc;
+        }
+        const isOnline = onlineIds.has(pId) || hasFinalAnswer(p);
+        const content = getRecordedContent(p?.last_answer, phase, settings, pId) || getFallbackAnswer(phase, isOnline, settings, pId);
+        acc[pId] = encodeAnswer({ phase, value: content, round });
+        return acc;
+    }, {});
+};
+
+export const appendChainHistory = (chains, assignments, phase, phaseAnswers, onlineIds, settings = null) => {
+    const nextChains = {};
+    Object.keys(chains).forEach(chainId => {
+        const playerId = Object.keys(assignments).find(pId => assignments[pId] === chainId);
+        let content = playerId ? getAnswerContent(phaseAnswers[playerId], phase) : null;
+        if (!content) content = getFallbackAnswer(phase, !!playerId && onlineIds.has(playerId), settings, playerId || chainId);
+
+        nextChains[chainId] = {
+            ...chains[chainId],
+            history: [...(chains[chainId].history || []), { phase, playerId: playerId || 'ghost_player', content }]
+        };
+    });
+    return nextChains;
+};
+
+// Drop truly offline players (no presence, no final answer) once the pool is big enough
+export const filterOfflinePlayers = (playerOrder, players, onlineIds) => {
+    if (playerOrder.length < 4) return playerOrder;
+    return playerOrder.filter(id => onlineIds.has(id) || hasFinalAnswer(players.find(p => p.id === id)));
+};
+
+export const parseVotes = (voteStr) => {
+    const answer = decodeAnswer(voteStr);
+    return answer?.kind === 'vote' && !answer.draft ? answer.value : [];
+};
+
+// points: { [category]: delta }, from the room's game mode. A vote only counts for a player of the
+// round (playerOrder) other than the voter, once per category per voter and within the voter's limits
+// for the game (limits, minus votesUsed: { [voterId]: votes_used }); the rest is ignored.
+export const tallyVotes = (phaseAnswers, points = getGameMode().scoring, { playerOrder = null, votesUsed = {}, limits = null } = {}) => {
+    const scoreDelta = {};
+    const usageDelta = {};
+    Object.entries(phaseAnswers).forEach(([voterId, voteStr]) => {
+        const used = { ...(votesUsed[voterId] || {}) };
+        const voted = new Set();
+        parseVotes(voteStr).forEach(({ category, targetId }) => {
+            if (!Object.hasOwn(points, category) || voted.has(category) || targetId === voterId) return;
+            if (playerOrder && !playerOrder.includes(targetId)) return;
+            if (limits && (used[category] || 0) >= (limits[category] || 0)) return;
+            voted.add(category);
+            used[category] = (used[category] || 0) + 1;
+
+            scoreDelta[targetId] = (scoreDelta[targetId] || 0) + (points[category] || 0);
+            if (!usageDelta[voterId]) usageDelta[voterId] = {};
+            usageDelta[voterId][category] = (usageDelta[voterId][category] || 0) + 1;
+        });
+    });
+    return { scoreDelta, usageDelta };
+};
+
+// New scores (clamped at 0) for everyone in the round, keeping progression for players whose row is gone
+export const applyScores = (playerOrder, players, cachedScores, { scoreDelta, usageDelta }) => {
+    const nextCached = { ...(cachedScores || {}) };
+    const updates = [];
+
+    playerOrder.forEach(pId => {
+        const p = players.find(pl => pl.id === pId);
+        const newScore = Math.max(0, (p?.score ?? nextCached[pId] ?? 0) + (scoreDelta[pId] || 0));
+        nextCached[pId] = newScore;
+
+        if (p) {
+            const votesUsed = { ...(p.votes_used || {}) };
+            Object.entries(usageDelta[pId] || {}).forEach(([cat, n]) => {
+                votesUsed[cat] = (votesUsed[cat] || 0) + n;
+            });
+            updates.push({ id: pId, score: newScore, votes_used: votesUsed });
+        }
+    });
+
+    return { cachedScores: nextCached, updates };
+};
+
+// Every phase the room may go to from `phase`: the mode's next phase (getNextPhase), plus the host's
+// shortcuts: the scoreboard when fewer than two players of the round are online, the next game or the
+// lobby from the scoreboard and the winner screen, the lobby from the match summary.
+// Same rules as wdym_allowed_next_phases.
+export const getAllowedNextPhases = (phase, settings, onlineCount) => {
+    if (phase === 'lobby') return ['text'];
+    if (phase === 'scoreboard') return ['winner', 'text', 'lobby'];
+    if (phase === 'winner') return ['match', 'text', 'lobby'];
+    if (phase === 'match') return ['lobby'];
+
+    const next = getNextPhase(phase, settings);
+    const allowed = next ? [next] : [];
+    if (isGameplayPhase(phase) && onlineCount < 2) allowed.push('scoreboard');
+    return allowed;
+};
+
+// The mode rules snapshotted at game start (getModeRules, see startGame). As in wdym_mode_rules, a room
+// without them is an error rather than a Classic game.
+const getRoomModeRules = (settings) => {
+    if (!settings?.mode_rules?.scoring) throw new Error('gameReducer: settings.mode_rules is missing');
+    return settings.mode_rules;
+};
+
+const buildNewRound = (players, settings, onlineIds, now, shuffle) => {
+    const isSpecMode = settings.spectatorEnabled && players.length >= 4;
+    const playingIds = shuffle(players
+        .filter(p => !isSpecMode || !p.is_host)
+        .filter(p => onlineIds.has(p.id))
+        .map(p => p.id));
+
+    const chains = {};
+    const textAssignments = {};
+    playingIds.forEach(id => {
+        const chainId = `chain_${id}_${now}`;
+        chains[chainId] = { id: chainId, creator_id: id, history: [] };
+        textAssignments[id] = chainId;
+    });
+
+    const randomOffsets = playingIds.length > 1
+        ? shuffle(Array.from({ length: playingIds.length - 1 }, (_, i) => i + 1))
+        : [];
+
+    return { player_order: playingIds, assignments: { text: textAssignments }, history: {}, chains, random_offsets: randomOffsets };
+};
+
+// state: { roomId, roomCode, settings, status, phase, players, presenceIds, now, shuffle?, generateId? }
+// Returns { applied, settings, status, gameState, effects } where effects are the DB writes to perform:
+//   { table: 'players' | 'rooms' | 'game_state', match: { column: value }, values }
+//   { table: 'games', archive: 'round' | 'finish' | 'discard', match: { id }, values } (what advance_phase writes to the archive)
+export const reducePhaseTransition = (state, fromPhase, toPhase) => {
+    const {
+        roomId, roomCode = null, settings = {}, status, phase, players = [], presenceIds = [],
+        now = Date.now(), shuffle = shuffleArr, generateId = () => crypto.randomUUID()
+    } = state;
+
+    if (phase !== fromPhase || fromPhase === toPhase) {
+        return { applied: false, settings, status, gameState: { phase }, effects: [] };
+    }
+    const { scoring } = getRoomModeRules(settings);
+
+    const playerOrder = settings.player_order || [];
+    const onlineIds = getOnlineIds(players, presenceIds, now);
+    if (!getAllowedNextPhases(fromPhase, settings, playerOrder.filter(id => onlineIds.has(id)).length).includes(toPhase)) {
+        throw new Error(`gameReducer: ${toPhase} cannot follow ${fromPhase}`);
+    }
+    const duration = getPhaseDuration(toPhase, settings);
+    const phaseExpiry = ['reveal', 'lobby', 'scoreboard', 'winner', 'match'].includes(toPhase) ? null : now + (duration * 1000) + 1000;
+    const effects = [];
+
+    let next = { ...settings, phase: toPhase, phase_expiry: phaseExpiry || settings.phase_expiry };
+    let nextStatus = status;
+
+    // 1. Record answers + chain history
+    let phaseAnswers = {};
+    if (isGameplayPhase(fromPhase) || fromPhase === 'vote') {
+        phaseAnswers = extractPhaseAnswers(fromPhase, playerOrder, players, onlineIds, getRoundId(settings), settings);
+        next.history = { ...(next.history || {}), [fromPhase]: phaseAnswers };
+    }
+    if (isGameplayPhase(fromPhase)) {
+        next.chains = appendChainHistory(settings.chains || {}, settings.assignments?.[fromPhase] || {}, fromPhase, phaseAnswers, onlineIds, settings);
+    }
+
+    const playerNames = { ...(settings.player_names || {}) };
+    players.forEach(p => { if (p.name) playerNames[p.id] = p.name; });
+    next.player_names = playerNames;
+
+    // 2. Next round / assignments
+    if (toPhase === 'text') {
+        next = { ...next, ...buildNewRound(players, next, onlineIds, now, shuffle) };
+        if (fromPhase === 'lobby') nextStatus = 'playing';
+    } else if (isGameplayPhase(toPhase) || toPhase === 'vote') {
+        const playingIds = filterOfflinePlayers(playerOrder, players, onlineIds);
+        const chains = next.chains || {};
+        const chainsToUse = {};
+        Object.keys(chains)
+            .filter(cId => playingIds.includes(chains[cId]?.creator_id))
+            .slice(0, playingIds.length)
+            .forEach(cId => { chainsToUse[cId] = chains[cId]; });
+
+        next.assignments = {
+            ...(next.assignments || {}),
+            [toPhase]: generateChainAssignments(playingIds, chainsToUse, toPhase, next.random_offsets || null, getPhaseStep(toPhase, next))
+        };
+        next.player_order = playingIds;
+    }
+
+    if (toPhase === 'reveal') {
+        next.reveal_step = 0;
+        next.reveal_chain_index = 0;
+    }
+
+    if (toPhase === 'lobby') {
+        next.history = {};
+        next.assignments = {};
+        next.player_order = [];
+        delete next.match;
+        nextStatus = 'lobby';
+
+        // A game left before it had a winner is not archived
+        if (settings.game_id) effects.push({ table: 'games', archive: 'discard', match: { id: settings.game_id } });
+        delete next.game_id;
+    }
+
+    // 3. Scoring
+    if (fromPhase === 'vote' && toPhase === 'scoreboard') {
+        const votesUsed = Object.fromEntries(players.map(p => [p.id, p.votes_used || {}]));
+        const tally = tallyVotes(phaseAnswers, scoring, { playerOrder, votesUsed, limits: getVoteLimits(settings) });
+        const { cachedScores, updates } = applyScores(playerOrder, players, settings.cached_scores, tally);
+        next.cached_scores = cachedScores;
+        updates.forEach(({ id, score, votes_used }) => {
+            effects.push({ table: 'players', match: { id }, values: { score, votes_used } });
+        });
+
+        // 3a. Archive: the round's chains and votes are appended to the game's `games` row
+        next.game_id = settings.game_id || generateId();
+        const votes = Object.fromEntries(Object.entries(phaseAnswers).map(([voterId, raw]) => [voterId, parseVotes(raw)]));
+        effects.push({
+            table: 'games', archive: 'round', match: { id: next.game_id },
+            values: {
+                room_id: roomId,
+                room_code: roomCode,
+                mode: settings.selectedMode || DEFAULT_MODE_ID,
+                player_names: playerNames,
+                round: { at: now, chains: settings.chains || {}, votes }
+            }
+        });
+    }
+
+    // 4. Match: keep each finished game's standings, start the next game from zero
+    if (fromPhase === 'scoreboard' && toPhase === 'winner') {
+        next.match = recordGameResult(settings, settings.cached_scores, now);
+        if (settings.game_id) {
+            effects.push({
+                table: 'games', archive: 'finish', match: { id: settings.game_id },
+                values: { scores: settings.cached_scores || {}, winner_id: next.match.games.at(-1).winnerId, player_names: playerNames }
+            });
+        }
+        delete next.game_id;
+    }
+    if (['lobby', 'winner'].includes(fromPhase) && toPhase === 'text') {
+        next.cached_scores = {};
+        effects.push({ table: 'players', match: { room_id: roomId }, values: { score: 0, votes_used: {} } });
+    }
+
+    next.last_transition = { from: fromPhase, to: toPhase, at: now };
+
+    if (isGameplayPhase(toPhase) || toPhase === 'vote') {
+        effects.push({ table: 'players', match: { room_id: roomId }, values: { last_answer: null } });
+    }
+    if (toPhase === 'lobby') {
+        effects.push({ table: 'players', match: { room_id: roomId }, values: { score: 0, last_answer: null } });
+    }
+
+    const gameState = { phase: toPhase, timer: duration, phase_expiry: phaseExpiry };
+    effects.push({ table: 'rooms', match: { id: roomId }, values: { settings: next, status: nextStatus } });
+    effects.push({ table: 'game_state', match: { room_id: roomId }, values: gameState });
+
+    return { applied: true, settings: next, status: nextStatus, gameState, effects };
+};
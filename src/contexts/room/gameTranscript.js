@@ -0,0 +1,214 @@
+import { decodeDrawing, DRAWING_SIZE, ERASER } from './drawingCodec';
+import { parseVotes } from './gameReducer';
+import { getChainStepKind } from './roomUtils';
+import { loadArchivedGame, loadLatestRoomGame } from './gameArchive';
+import { downloadBlob } from './shareCard';
+
+// Full game transcript (Scoreboard / GameWinner export), built from the game's `games` archive row
+// and exported as Markdown, JSON or a printable page the browser saves as PDF.
+//
+// JSON schema (format "wdym-transcript", version 1):
+//
+//   {
+//     format: "wdym-transcript", version: 1,
+//     exported_at: ISO date, room_code: string, mode: game mode id,
+//     started_at: ISO date | null, finished_at: ISO date | null (null while the game is running),
+//     players: [{ id, name, score }]                              best score first
+//     rounds: [{
+//       round: number (from 1), at: ISO date | null,
+//       chains: [{
+//         id, creator: { id, name },
+//         steps: [{ author: { id, name }, phase, kind: "text" | "emoji" | "drawing", content }]
+//       }],
+//       votes: [{ voter: { id, name }, target: { id, name }, category }]
+//     }]
+//   }
+//
+// `content` is the sentence or guess for "text", space-separated emojis for "emoji" and the encoded
+// drawing (see drawingCodec) for "drawing". Authors who timed out are { id: "ghost_player" }.
+
+export const TRANSCRIPT_FORMAT = 'wdym-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+// The game being played or just finished: its archive row (advance_phase clears game_id at the
+// winner screen, so then the room's latest finished game), or the current round alone without it
+const loadGameRecord = async (room) => {
+    const gameId = room?.settings?.game_id;
+    if (gameId) return loadArchivedGame(gameId);
+    return loadLatestRoomGame(room?.id);
+};
+
+export const loadTranscript = async ({ room, players, t }) => {
+    const settings = room?.settings || {};
+    const game = await loadGameRecord(room);
+
+    const names = { ...(game?.player_names || {}), ...(settings.player_names || {}) };
+    (players || []).forEach(p => { if (!names[p.id]) names[p.id] = p.name; });
+    const person = (id) => ({ id, name: id === 'ghost_player' ? `👻 ${t('mysteryPlayer')}` : (names[id] || '...') });
+
+    const rounds = game?.rounds?.length ? game.rounds : [{ round: 1, at: null, chains: settings.chains || {}, votes: {} }];
+
+    // Live scores while in the room, the archived ones otherwise
+    const scores = { ...(game?.scores || {}), ...(settings.cached_scores || {}) };
+    (players || []).forEach(p => { scores[p.id] = p.score || 0; });
+    const playerIds = settings.player_order?.length ? settings.player_order : Object.keys(scores);
+
+    return {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exported_at: new Date().toISOString(),
+        room_code: room?.room_code || game?.room_code || '',
+        mode: settings.selectedMode || game?.mode || null,
+        started_at: game?.started_at || null,
+        finished_at: game?.finished_at || null,
+        players: playerIds
+            .map(id => ({ ...person(id), score: scores[id] || 0 }))
+            .sort((a, b) => b.score - a.score),
+        rounds: rounds.map((round, idx) => ({
+            round: round.round || idx + 1,
+            at: round.at || null,
+            chains: Object.keys(round.chains || {}).map(id => ({
+                id,
+                creator: person(round.chains[id].creator_id),
+                steps: (round.chains[id].history || []).map(entry => ({
+                    author: person(entry.playerId),
+                    phase: entry.phase,
+                    kind: getChainStepKind(entry.phase),
+                    content: entry.content ?? ''
+                }))
+            })).filter(chain => chain.steps.length > 0),
+            votes: Object.entries(round.votes || {}).flatMap(([voterId, list]) => (
+                // Archived rounds keep parsed votes; a raw vote answer is parsed here
+                (Array.isArray(list) ? list : parseVotes(list)).map(vote => ({
+                    voter: person(voterId),
+                    target: person(vote.targetId),
+                    category: vote.category
+                }))
+            ))
+        }))
+    };
+};
+
+// --- Markdown ---
+
+const getStepVerb = (step, t) => {
+    if (step.kind === 'drawing') return t('drew');
+    if (step.kind === 'emoji') return t('translated');
+    return step.phase === 'text' ? t('wrote') : t('guessed');
+};
+
+const getScoresTitle = (transcript, t) => (transcript.finished_at ? t('finalScores') : t('transcriptScores'));
+
+export const transcriptToMarkdown = (transcript, t) => {
+    const lines = [`# ${t('appTitlePart1')} ${t('appTitlePart2')}? — ${transcript.room_code}`, ''];
+    if (transcript.finished_at) lines.push(`_${new Date(transcript.finished_at).toLocaleString()}_`, '');
+
+    lines.push(`## ${getScoresTitle(transcript, t)}`, '');
+    transcript.players.forEach((p, i) => lines.push(`${i + 1}. **${p.name}** — ${p.score} pts`));
+
+    transcript.rounds.forEach(round => {
+        lines.push('', `## ${t('roundNumber').replace('{n}', round.round)}`);
+        round.chains.forEach((chain, idx) => {
+            lines.push('', `### ${t('chainCount').replace('{current}', idx + 1).replace('{total}', round.chains.length)}`, '');
+            chain.steps.forEach(step => {
+                const content = step.kind === 'drawing' ? '🎨' : step.kind === 'emoji' ? step.content : `"${step.content}"`;
+                lines.push(`- **${step.author.name}** ${getStepVerb(step, t)}: ${content}`);
+            });
+        });
+        if (round.votes.length > 0) {
+            lines.push('', `### 🗳️ ${t('transcriptVotes')}`, '');
+            round.votes.forEach(vote => lines.push(`- ${vote.voter.name} → **${vote.target.name}**: ${t(vote.category)}`));
+        }
+    });
+
+    return `${lines.join('\n')}\n`;
+};
+
+// --- Printable page (PDF) ---
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const drawingToSvg = (value) => {
+    const paths = (decodeDrawing(value) || []).map(stroke => {
+        const d = stroke.points.length === 1
+            ? `M${stroke.points[0][0]} ${stroke.points[0][1]}L${stroke.points[0][0] + 0.1} ${stroke.points[0][1]}`
+            : stroke.points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join('');
+        const color = stroke.color === ERASER ? '#FFFFFF' : stroke.color;
+        return `<path d="${d}" fill="none" stroke="${color}" stroke-width="${stroke.width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    });
+    return `<svg class="drawing" viewBox="0 0 ${DRAWING_SIZE} ${DRAWING_SIZE}">${paths.join('')}</svg>`;
+};
+
+const transcriptToHtml = (transcript, t, language) => {
+    const title = `${t('appTitlePart1')} ${t('appTitlePart2')}? — ${transcript.room_code}`;
+    const rounds = transcript.rounds.map(round => `
+        <h2>${escapeHtml(t('roundNumber').replace('{n}', round.round))}</h2>
+        ${round.chains.map((chain, idx) => `
+            <section class="chain">
+                <h3>${escapeHtml(t('chainCount').replace('{current}', idx + 1).replace('{total}', round.chains.length))}</h3>
+                ${chain.steps.map(step => `
+                    <div class="step">
+                        <div class="author">${escapeHtml(step.author.name)} ${escapeHtml(getStepVerb(step, t))}:</div>
+                        ${step.kind === 'drawing' ? drawingToSvg(step.content)
+                            : step.kind === 'emoji' ? `<div class="emoji">${escapeHtml(step.content)}</div>`
+                            : `<div class="text">"${escapeHtml(step.content)}"</div>`}
+                    </div>`).join('')}
+            </section>`).join('')}
+        ${round.votes.length > 0 ? `
+            <h3>🗳️ ${escapeHtml(t('transcriptVotes'))}</h3>
+            <ul>${round.votes.map(vote => `<li>${escapeHtml(vote.voter.name)} → <b>${escapeHtml(vote.target.name)}</b>: ${escapeHtml(t(vote.category))}</li>`).join('')}</ul>` : ''}
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${language}" dir="${language === 'ar' ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Poppins, system-ui, sans-serif; color: #1F2937; margin: 2rem; }
+    h1 { color: #4C1D95; }
+    h2 { color: #6C63FF; border-bottom: 2px solid #EDE9FE; padding-bottom: 4px; }
+    .chain { break-inside: avoid; margin-bottom: 1.5rem; }
+    .step { margin: 0.5rem 0 0.5rem 1rem; }
+    .author { font-size: 0.8rem; font-weight: 800; text-transform: uppercase; color: #6B7280; }
+    .text { font-size: 1.2rem; font-weight: 700; }
+    .emoji { font-size: 2rem; }
+    .drawing { width: 220px; height: 220px; border: 1px solid #E5E7EB; border-radius: 12px; }
+    ol li { font-weight: 700; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    ${transcript.finished_at ? `<p>${escapeHtml(new Date(transcript.finished_at).toLocaleString(language))}</p>` : ''}
+    <h2>${escapeHtml(getScoresTitle(transcript, t))}</h2>
+    <ol>${transcript.players.map(p => `<li>${escapeHtml(p.name)} — ${p.score} pts</li>`).join('')}</ol>
+    ${rounds}
+</body>
+</html>`;
+};
+
+// --- Export ---
+
+const getFileName = (transcript, extension) => `what-did-you-mean-${transcript.room_code || 'game'}-${transcript.exported_at.slice(0, 10)}.${extension}`;
+
+// format: 'markdown' | 'json' | 'pdf' (the print dialog, not a PDF file: the player picks "Save as PDF" there).
+// Returns false when the print window was blocked.
+export const exportTranscript = (transcript, format, t, language) => {
+    if (format === 'json') {
+        downloadBlob(new Blob([JSON.stringify(transcript, null, 2)], { type: 'application/json' }), getFileName(transcript, 'json'));
+        return true;
+    }
+    if (format === 'markdown') {
+        downloadBlob(new Blob([transcriptToMarkdown(transcript, t)], { type: 'text/markdown' }), getFileName(transcript, 'md'));
+        return true;
+    }
+
+    // PDF: the browser's print dialog ("Save as PDF") keeps emojis, Arabic and drawings as they look in the game
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+    printWindow.document.write(transcriptToHtml(transcript, t, language));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+};
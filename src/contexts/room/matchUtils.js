@@ -0,0 +1,62 @@
+// Matches: several games in a row in the same room.
+// A game is played until someone reaches scoreToWin (-> winner phase). With settings.matchGames > 1
+// the results of each game are kept in settings.match.games and the match ends once all N games are
+// played, or earlier when someone has already won a majority of them (best-of-N).
+
+export const MAX_MATCH_GAMES = 5;
+
+export const getMatchLength = (settings) => Math.min(MAX_MATCH_GAMES, Math.max(1, parseInt(settings?.matchGames, 10) || 1));
+
+export const isMatchEnabled = (settings) => getMatchLength(settings) > 1;
+
+export const getMatchGames = (settings) => settings?.match?.games || [];
+
+export const getWinsNeeded = (settings) => Math.floor(getMatchLength(settings) / 2) + 1;
+
+// Highest score wins the game; ties go to whoever comes first in player_order
+export const pickGameWinner = (scores, playerOrder = []) => {
+    const rank = (id) => {
+        const idx = playerOrder.indexOf(id);
+        return idx === -1 ? Infinity : idx;
+    };
+    const [best] = Object.keys(scores || {}).sort((a, b) => ((scores[b] || 0) - (scores[a] || 0)) || (rank(a) - rank(b)));
+    return best || null;
+};
+
+// settings.match after a game ended with `scores` ({ [playerId]: points })
+export const recordGameResult = (settings, scores, now) => {
+    const games = getMatchGames(settings);
+    return {
+        ...(settings?.match || {}),
+        games: [...games, {
+            game: games.length + 1,
+            winnerId: pickGameWinner(scores, settings?.player_order),
+            scores: { ...(scores || {}) },
+            at: now
+        }]
+    };
+};
+
+// [{ id, name, wins, total, played }] sorted by games won, then cumulative points
+export const getMatchStandings = (settings) => {
+    const names = settings?.player_names || {};
+    const rows = {};
+
+    getMatchGames(settings).forEach(game => {
+        Object.entries(game.scores || {}).forEach(([id, score]) => {
+            if (!rows[id]) rows[id] = { id, name: names[id] || '...', wins: 0, total: 0, played: 0 };
+            rows[id].total += score || 0;
+            rows[id].played += 1;
+        });
+        if (game.winnerId && rows[game.winnerId]) rows[game.winnerId].wins += 1;
+    });
+
+    return Object.values(rows).sort((a, b) => (b.wins - a.wins) || (b.total - a.total));
+};
+
+export const isMatchOver = (settings) => {
+    if (!isMatchEnabled(settings)) return true;
+    const games = getMatchGames(settings);
+    if (games.length >= getMatchLength(settings)) return true;
+    return (getMatchStandings(settings)[0]?.wins || 0) >= getWinsNeeded(settings);
+};
@@ -0,0 +1,34 @@
+import { supabase } from '../../supabaseClient';
+
+// Who this device is, whatever name and avatar it picks in a room. Reconnects, kicks and bans key on
+// it (players.identity_id, settings.kicked_identities, see the player_identity migration).
+// It is the Supabase anonymous auth user, which the row-level security policies check, so the project
+// must allow anonymous sign-ins: when signing in fails, getPlayerIdentity rejects with the auth error.
+
+let identityPromise = null;
+
+const resolveIdentity = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session?.user?.id) return session.user.id;
+
+    const { data, error } = await supabase.auth.signInAnonymously();
+    if (error) throw error;
+    if (!data?.user?.id) throw new Error('Anonymous sign-in returned no user');
+    return data.user.id;
+};
+
+// Resolved once per page load; a failed sign-in is tried again on the next call
+export const getPlayerIdentity = () => {
+    if (!identityPromise) {
+        identityPromise = resolveIdentity().catch(err => {
+            identityPromise = null;
+            throw err;
+        });
+    }
+    return identityPromise;
+};
+
+// "Could not sign in: <auth error>" for a rejected getPlayerIdentity
+export const getSignInErrorMessage = (err, t) => `${t('signInFailed')}: ${err?.message || err}`;
+
+export const isKickedIdentity = (settings, identity) => !!identity && (settings?.kicked_identities || []).includes(identity);
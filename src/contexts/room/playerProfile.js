@@ -0,0 +1,172 @@
+import { getPlayerIdentity } from './playerIdentity';
+import { downloadBlob } from './shareCard';
+
+// Optional player profile: lifetime stats kept on this device (localStorage), started and deleted from
+// the profile page and movable between devices as a JSON file. Nothing is recorded until it is started.
+//
+//   { version, identity, created_at, games_played, wins,
+//     votes_received: { [category]: n },          votes other players gave this player
+//     emojis: { [emoji]: n },                     emojis used in emoji phases
+//     longest_phrase: { words, text, original } | null,
+//     recorded_games: [key] }                     last games counted, so a game is never counted twice
+//
+// longest_phrase is the longest run of words from one of the player's opening sentences that was still
+// there, in order, in the last guess of its chain.
+
+export const PROFILE_FILE_VERSION = 1;
+const STORAGE_KEY = 'player_profile';
+const MAX_RECORDED_GAMES = 30;
+const MAX_TRACKED_EMOJIS = 60;
+
+const countMap = (raw) => Object.fromEntries(Object.entries(raw && typeof raw === 'object' ? raw : {})
+    .filter(([, n]) => Number.isFinite(n) && n > 0)
+    .map(([key, n]) => [key, Math.floor(n)]));
+
+// Clean copy of a stored or imported profile, or null if it is not one
+export const normalizeProfile = (raw) => {
+    if (!raw || typeof raw !== 'object' || raw.version !== PROFILE_FILE_VERSION) return null;
+    const phrase = raw.longest_phrase;
+    return {
+        version: PROFILE_FILE_VERSION,
+        identity: typeof raw.identity === 'string' ? raw.identity : null,
+        created_at: raw.created_at || new Date().toISOString(),
+        games_played: Math.max(0, Math.floor(raw.games_played) || 0),
+        wins: Math.max(0, Math.floor(raw.wins) || 0),
+        votes_received: countMap(raw.votes_received),
+        emojis: countMap(raw.emojis),
+        longest_phrase: phrase?.text && phrase.words > 0
+            ? { words: Math.floor(phrase.words), text: String(phrase.text), original: String(phrase.original || phrase.text) }
+            : null,
+        recorded_games: (Array.isArray(raw.recorded_games) ? raw.recorded_games : []).filter(k => typeof k === 'string').slice(-MAX_RECORDED_GAMES)
+    };
+};
+
+// --- Local storage ---
+
+export const loadProfile = () => {
+    try {
+        return normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+    } catch (e) {
+        console.error("playerProfile: Failed to read the profile", e);
+        return null;
+    }
+};
+
+const writeProfile = (profile) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch (e) {
+        console.error("playerProfile: Failed to save the profile", e);
+    }
+    return profile;
+};
+
+export const createProfile = async () => writeProfile(normalizeProfile({
+    version: PROFILE_FILE_VERSION,
+    identity: await getPlayerIdentity(),
+    created_at: new Date().toISOString()
+}));
+
+export const deleteProfile = () => localStorage.removeItem(STORAGE_KEY);
+
+// --- Files ---
+
+export const exportProfile = (profile) => {
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `what-did-you-mean-profile-${new Date().toISOString().slice(0, 10)}.json`);
+};
+
+// Replaces this device's profile with an exported one; returns it, or null if the file is not a profile
+export const importProfile = (text) => {
+    try {
+        const profile = normalizeProfile(JSON.parse(text));
+        return profile ? writeProfile(profile) : null;
+    } catch (e) {
+        console.error("playerProfile: Invalid profile file", e);
+        return null;
+    }
+};
+
+// --- Stats ---
+
+const toWords = (text) => String(text || '').split(/\s+/).filter(Boolean);
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Longest run of `original`'s words found in the same order in `guess`: { words, text }
+export const getSurvivingPhrase = (original, guess) => {
+    const source = toWords(original);
+    const a = source.map(normalizeWord);
+    const b = toWords(guess).map(normalizeWord);
+    let best = { words: 0, end: 0 };
+    let row = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const next = new Array(b.length + 1).fill(0);
+        for (let j = 1; j <= b.length; j++) {
+            if (a[i - 1] && a[i - 1] === b[j - 1]) {
+                next[j] = row[j - 1] + 1;
+                if (next[j] > best.words) best = { words: next[j], end: i };
+            }
+        }
+        row = next;
+    }
+    return { words: best.words, text: source.slice(best.end - best.words, best.end).join(' ') };
+};
+
+const addCounts = (target, keys) => {
+    const next = { ...target };
+    keys.forEach(key => { next[key] = (next[key] || 0) + 1; });
+    return next;
+};
+
+// Keeps the most used emojis so the profile does not grow without bound
+const trimCounts = (counts, max) => Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, max));
+
+// One transcript (see gameTranscript.js) only counts once: its first chain id is unique to the game
+const getGameKey = (transcript) => {
+    const firstChain = transcript.rounds[0]?.chains[0]?.id;
+    return firstChain ? `${transcript.room_code}:${firstChain}` : null;
+};
+
+// Adds a finished game to the profile. Returns the updated profile, or null when there is no profile,
+// the player did not play in that game or it was already counted.
+export const recordGame = (transcript, playerId) => {
+    const profile = loadProfile();
+    const key = getGameKey(transcript);
+    if (!profile || !key || profile.recorded_games.includes(key)) return null;
+
+    const me = transcript.players.find(p => p.id === playerId);
+    if (!me) return null;
+
+    const topScore = transcript.players[0]?.score || 0;
+    const chains = transcript.rounds.flatMap(round => round.chains);
+    const votes = transcript.rounds.flatMap(round => round.votes).filter(vote => vote.target.id === playerId && vote.voter.id !== playerId);
+    const emojis = chains.flatMap(chain => chain.steps)
+        .filter(step => step.kind === 'emoji' && step.author.id === playerId)
+        .flatMap(step => toWords(step.content));
+
+    let longestPhrase = profile.longest_phrase;
+    chains.filter(chain => chain.creator.id === playerId).forEach(chain => {
+        const [opening, ...rest] = chain.steps;
+        const lastGuess = [...rest].reverse().find(step => step.kind === 'text');
+        if (!opening || opening.kind !== 'text' || !lastGuess) return;
+        const survived = getSurvivingPhrase(opening.content, lastGuess.content);
+        if (survived.words > (longestPhrase?.words || 0)) {
+            longestPhrase = { ...survived, original: opening.content };
+        }
+    });
+
+    return writeProfile({
+        ...profile,
+        games_played: profile.games_played + 1,
+        wins: profile.wins + (me.score > 0 && me.score === topScore ? 1 : 0),
+        votes_received: addCounts(profile.votes_received, votes.map(vote => vote.category)),
+        emojis: trimCounts(addCounts(profile.emojis, emojis), MAX_TRACKED_EMOJIS),
+        longest_phrase: longestPhrase,
+        recorded_games: [...profile.recorded_games, key].slice(-MAX_RECORDED_GAMES)
+    });
+};
+
+// [[emoji, count]] most used first
+export const getFavoriteEmojis = (profile, count = 5) => Object.entries(profile?.emojis || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count);
@@ -0,0 +1,252 @@
+// Curated prompts for the opening `text` phase. The host picks a pack in the Lobby
+// (settings.promptPack); players can ask for a prompt from it, and it replaces the fixed
+// timeout fallback of the text phase.
+//
+// The engine cannot read this file, so startGame snapshots a shuffled copy of the pack in the
+// host's language into settings.prompt_fallbacks, the same way gameModes is snapshotted into mode_rules.
+// A host-authored deck (customDecks.js) plays as the pack CUSTOM_PACK_ID.
+
+import { CUSTOM_PACK_ID, normalizeDeck } from './customDecks';
+import { getMatchGames } from './matchUtils';
+
+export const PROMPT_PACKS = {
+    movies: {
+        id: 'movies',
+        labelKey: 'packMovies',
+        icon: '🎬',
+        prompts: {
+            en: [
+                "A shark that is afraid of water",
+                "The lion becomes king of the jungle",
+                "A wizard boy goes to a magic school",
+                "Toys come alive when nobody is watching",
+                "A ship hits an iceberg on its first trip",
+                "Dinosaurs escape from a theme park",
+                "A robot cleans an empty planet alone",
+                "An alien just wants to phone home",
+                "A clownfish dad searches the ocean for his son",
+                "A princess builds an ice castle",
+                "Ghost hunters fight a giant marshmallow man",
+                "A man lives his whole life on a TV show"
+            ],
+            fr: [
+                "Un requin qui a peur de l'eau",
+                "Le lion devient roi de la jungle",
+                "Un jeune sorcier entre dans une école de magie",
+                "Les jouets s'animent quand personne ne regarde",
+                "Un paquebot heurte un iceberg lors de son premier voyage",
+                "Des dinosaures s'échappent d'un parc d'attractions",
+                "Un robot nettoie seul une planète vide",
+                "Un extraterrestre veut juste téléphoner maison",
+                "Un papa poisson-clown cherche son fils dans l'océan",
+                "Une princesse construit un château de glace",
+                "Des chasseurs de fantômes affrontent un bonhomme en guimauve géant",
+                "Un homme vit toute sa vie dans une émission de télé"
+            ],
+            ar: [
+                "قرش يخاف من الماء",
+                "الأسد يصبح ملك الغابة",
+                "فتى ساحر يذهب إلى مدرسة السحر",
+                "الألعاب تستيقظ عندما لا يراها أحد",
+                "سفينة تصطدم بجبل جليدي في رحلتها الأولى",
+                "ديناصورات تهرب من حديقة ملاهي",
+                "روبوت ينظف كوكبًا فارغًا وحده",
+                "كائن فضائي يريد فقط الاتصال بالبيت",
+                "أب سمكة مهرج يبحث عن ابنه في المحيط",
+                "أميرة تبني قصرًا من الجليد",
+                "صائدو أشباح يقاتلون رجل مارشميلو عملاق",
+                "رجل يعيش حياته كلها داخل برنامج تلفزيوني"
+            ]
+        }
+    },
+    idioms: {
+        id: 'idioms',
+        labelKey: 'packIdioms',
+        icon: '🗯️',
+        prompts: {
+            en: [
+                "It's raining cats and dogs",
+                "Break a leg",
+                "Once in a blue moon",
+                "Let the cat out of the bag",
+                "The elephant in the room",
+                "Spill the beans",
+                "Kill two birds with one stone",
+                "When pigs fly",
+                "Under the weather",
+                "Barking up the wrong tree",
+                "A piece of cake",
+                "Hit the sack"
+            ],
+            fr: [
+                "Il pleut des cordes",
+                "Avoir un chat dans la gorge",
+                "Quand les poules auront des dents",
+                "Poser un lapin",
+                "Avoir la tête dans les nuages",
+                "Mettre les pieds dans le plat",
+                "Coûter les yeux de la tête",
+                "Tomber dans les pommes",
+                "Avoir le cafard",
+                "Raconter des salades",
+                "Être haut comme trois pommes",
+                "Donner sa langue au chat"
+            ],
+            ar: [
+                "عصفور في اليد خير من عشرة على الشجرة",
+                "الوقت كالسيف إن لم تقطعه قطعك",
+                "يضرب عصفورين بحجر واحد",
+                "بيته من زجاج",
+                "على نار هادئة",
+                "يصطاد في الماء العكر",
+                "القرد في عين أمه غزال",
+                "رجع بخفي حنين",
+                "ماء الوجه",
+                "الصبر مفتاح الفرج",
+                "اللي فات مات",
+                "حبل الكذب قصير"
+            ]
+        }
+    },
+    office: {
+        id: 'office',
+        labelKey: 'packOffice',
+        icon: '💼',
+        prompts: {
+            en: [
+                "This meeting could have been an email",
+                "Someone stole my lunch from the fridge",
+                "The printer is jammed again",
+                "You're on mute",
+                "Reply all by accident",
+                "The coffee machine is broken on Monday",
+                "Pretending to work when the boss walks by",
+                "A surprise birthday cake in the break room",
+                "The Wi-Fi dies during a presentation",
+                "Friday afternoon, nothing gets done",
+                "My camera turned on in my pyjamas",
+                "A deadline that was yesterday"
+            ],
+            fr: [
+                "Cette réunion aurait pu être un e-mail",
+                "Quelqu'un a volé mon déjeuner dans le frigo",
+                "L'imprimante est encore bloquée",
+                "Tu es en sourdine",
+                "Répondre à tous par erreur",
+                "La machine à café est en panne un lundi",
+                "Faire semblant de travailler quand le patron passe",
+                "Un gâteau d'anniversaire surprise en salle de pause",
+                "Le Wi-Fi coupe pendant une présentation",
+                "Vendredi après-midi, plus rien n'avance",
+                "Ma caméra s'allume alors que je suis en pyjama",
+                "Une échéance qui était hier"
+            ],
+            ar: [
+                "كان يمكن لهذا الاجتماع أن يكون رسالة بريد",
+                "أحدهم سرق غدائي من الثلاجة",
+                "الطابعة عالقة مرة أخرى",
+                "الميكروفون مكتوم عندك",
+                "الرد على الجميع بالخطأ",
+                "آلة القهوة معطلة يوم الاثنين",
+                "التظاهر بالعمل عندما يمر المدير",
+                "كعكة عيد ميلاد مفاجئة في غرفة الاستراحة",
+                "انقطاع الواي فاي أثناء العرض",
+                "بعد ظهر الجمعة، لا شيء يُنجز",
+                "الكاميرا اشتغلت وأنا بالبيجامة",
+                "موعد التسليم كان البارحة"
+            ]
+        }
+    },
+    kids: {
+        id: 'kids',
+        labelKey: 'packKids',
+        icon: '🧸',
+        prompts: {
+            en: [
+                "A dog eating birthday cake",
+                "A cat wearing sunglasses at the beach",
+                "A dragon who is scared of the dark",
+                "Building a snowman on a sunny day",
+                "A pizza with too many toppings",
+                "A monkey driving a school bus",
+                "A penguin learning to fly",
+                "Jumping in puddles after the rain",
+                "A unicorn eating ice cream",
+                "A pirate looking for treasure",
+                "A turtle winning a race",
+                "Camping under the stars"
+            ],
+            fr: [
+                "Un chien qui mange un gâteau d'anniversaire",
+                "Un chat avec des lunettes de soleil à la plage",
+                "Un dragon qui a peur du noir",
+                "Faire un bonhomme de neige au soleil",
+                "Une pizza avec beaucoup trop de garnitures",
+                "Un singe qui conduit un bus scolaire",
+                "Un pingouin qui apprend à voler",
+                "Sauter dans les flaques après la pluie",
+                "Une licorne qui mange une glace",
+                "Un pirate qui cherche un trésor",
+                "Une tortue qui gagne une course",
+                "Camper sous les étoiles"
+            ],
+            ar: [
+                "كلب يأكل كعكة عيد ميلاد",
+                "قطة تلبس نظارة شمسية على الشاطئ",
+                "تنين يخاف من الظلام",
+                "بناء رجل ثلج في يوم مشمس",
+                "بيتزا فيها إضافات كثيرة جدًا",
+                "قرد يقود حافلة المدرسة",
+                "بطريق يتعلم الطيران",
+                "القفز في البرك بعد المطر",
+                "حصان وحيد القرن يأكل المثلجات",
+                "قرصان يبحث عن كنز",
+                "سلحفاة تفوز بالسباق",
+                "التخييم تحت النجوم"
+            ]
+        }
+    }
+};
+
+export const getPromptPackList = () => Object.values(PROMPT_PACKS);
+
+// null when the room plays without a pack. The custom pack needs the room settings, which carry the deck.
+export const getPromptPack = (settingsOrId) => {
+    const id = typeof settingsOrId === 'string' ? settingsOrId : settingsOrId?.promptPack;
+    if (id === CUSTOM_PACK_ID) {
+        const deck = typeof settingsOrId === 'object' ? normalizeDeck(settingsOrId?.customDeck) : null;
+        return deck ? { id, label: deck.name, icon: '🃏', prompts: { en: deck.prompts } } : null;
+    }
+    return PROMPT_PACKS[id] || null;
+};
+
+export const isCustomDeck = (settings) => getPromptPack(settings)?.id === CUSTOM_PACK_ID;
+
+// Custom decks are named by the host, built-in packs are translated
+export const getPromptPackLabel = (pack, t) => pack ? (pack.label || t(pack.labelKey)) : '';
+
+export const getPackPrompts = (settingsOrId, language = 'en') => {
+    const pack = getPromptPack(settingsOrId);
+    if (!pack) return [];
+    return pack.prompts[language] || pack.prompts.en;
+};
+
+// A random prompt from the room's pack, avoiding `current` when possible.
+// A custom deck always deals the player their own prompt, so nobody in the room gets the same one.
+export const dealPrompt = (settings, language, current = '', playerId = null) => {
+    if (isCustomDeck(settings)) return getPackFallback(settings, playerId);
+    const prompts = getPackPrompts(settings, language);
+    const choices = prompts.length > 1 ? prompts.filter(p => p !== current) : prompts;
+    return choices[Math.floor(Math.random() * choices.length)] || null;
+};
+
+// Timeout fallback of the text phase for `key` (a player id, or the chain id of an orphaned chain):
+// the snapshot is already shuffled, so the key's seat in player_order picks a different prompt per
+// player, and each finished game of a match moves everyone one round further down the list.
+export const getPackFallback = (settings, key) => {
+    const prompts = settings?.prompt_fallbacks || [];
+    if (prompts.length === 0) return null;
+    const order = settings.player_order || [];
+    const seat = Math.max(0, order.indexOf(key));
+    return prompts[(seat + order.length * getMatchGames(settings).length) % prompts.length];
+};
@@ -1,13 +1,14 @@
+import { getGameMode, getPhaseType } from './gameModes';
+import { normalizeAvatar } from './avatars';
+
+// `identity` comes from identity_id (see playerIdentity.js). `avatar` is always structured (see avatars.js).
 export const decodePlayer = (p) => {
-    if (!p || !p.avatar) return p;
-    const avatarparts = String(p.avatar).split('|');
-    const emoji = avatarparts[0].trim();
-    const extractedFingerprint = avatarparts[1] || null;
+    if (!p) return p;
 
     return {
         ...p,
-        avatar: emoji,
-        fingerprint: extractedFingerprint
+        avatar: normalizeAvatar(p.avatar),
+        identity: p.identity_id || null
     };
 };
 
@@ -21,43 +22,69 @@ export const shuffleArr = (arr) => {
     return newArr;
 };
 
+// Chain length = number of gameplay steps, opening text phase included.
+// 0 / unset means one step per player, the original "everyone touches every chain once" game.
+export const MIN_CHAIN_LENGTH = 3;
+export const MAX_CHAIN_LENGTH = 12;
+
+export const getChainLength = (roomSettings) => {
+    const configured = parseInt(roomSettings?.chainLength, 10);
+    if (configured > 0) return Math.min(MAX_CHAIN_LENGTH, Math.max(MIN_CHAIN_LENGTH, configured));
+    return roomSettings?.player_order?.length || 0;
+};
+
+// Position of a gameplay phase in the chain (text = 0), or null for non-chain phases.
+// With a step cycle of length k, the n-th phase of a type sits at k * (n - 1) + its index in the cycle + 1.
+export const getPhaseStep = (phase, roomSettings) => {
+    if (phase === 'text') return 0;
+    const num = parseInt(String(phase).split('_')[1], 10);
+    if (!num) return null;
+
+    const { stepCycle } = getGameMode(roomSettings);
+    const typeIndex = stepCycle.indexOf(getPhaseType(phase));
+    if (typeIndex === -1) return null;
+    return (stepCycle.length * (num - 1)) + typeIndex + 1; // Classic: emoji_1 = 1, interpretation_1 = 2, emoji_2 = 3
+};
+
+// How far back around the ring a player's chain comes from at a given step.
+// Step 0 is the player's own chain. After that the offset is never 0 while 3+ players remain,
+// and never the same as the previous step's, so chains longer than the ring can wrap around
+// without anyone being handed the same chain twice in a row.
+export const getStepOffset = (step, playerCount, randomOffsets = null) => {
+    if (playerCount <= 1 || !step) return 0;
+
+    const isValid = (offset, previous) => offset !== previous && (offset !== 0 || playerCount === 2);
+    let previous = 0;
+    for (let s = 1; s <= step; s++) {
+        const candidate = (Array.isArray(randomOffsets) && randomOffsets.length > 0)
+            ? (randomOffsets[(s - 1) % randomOffsets.length] || s)
+            : s;
+
+        let offset = candidate % playerCount;
+        // Player count may have changed since the offsets were drawn: walk to the next safe shift
+        while (!isValid(offset, previous)) {
+            offset = (offset + 1) % playerCount;
+        }
+        previous = offset;
+    }
+    return previous;
+};
+
 // Helper: Cyclic chain assignment to ensure a perfect "Telephone Ring" pass.
 // playerIds: array of strictly ordered player IDs for the current round.
 // chains: the dictionary of all chains.
 // currentPhase: the phase we are generating assignments for.
 // randomOffsets: optional array of randomized offsets for each round.
-export const generateChainAssignments = (playerIds, chains, currentPhase, randomOffsets = null) => {
-    // 1. Determine which round we are on.
-    const isEmojiOnly = false; // Logic handled by phase names
-    let roundIndex = 0;
-
-    if (currentPhase.startsWith('emoji_')) {
-        const num = parseInt(currentPhase.split('_')[1], 10);
-        roundIndex = (num * 2) - 1; // emoji_1 = 1, emoji_2 = 3, emoji_3 = 5
-    } else if (currentPhase.startsWith('interpretation_')) {
-        const num = parseInt(currentPhase.split('_')[1], 10);
-        roundIndex = (num * 2); // interpretation_1 = 2, interpretation_2 = 4
-    }
+// step: position of currentPhase in the chain (see getPhaseStep); inferred from the phase name if omitted.
+export const generateChainAssignments = (playerIds, chains, currentPhase, randomOffsets = null, step = null) => {
+    // 1. Determine which step we are on.
+    const stepIndex = step ?? getPhaseStep(currentPhase) ?? 0;
 
     const playerCount = playerIds.length;
     const assignments = {};
 
     // 2. Select offset (Randomized or Deterministic Fallback)
-    let pushOffset = roundIndex;
-    if (randomOffsets && Array.isArray(randomOffsets) && roundIndex > 0) {
-        // Use the index directly. Offset 0 is reserved for 'text' phase (offset 0).
-        pushOffset = randomOffsets[roundIndex - 1] || roundIndex;
-    }
-
-    // CRITICAL FIX: If the player count has changed (player left), a previously safe 
-    // randomized offset might now align perfectly with the creator again (e.g. 3 % 3 = 0).
-    // We MUST force a non-zero offset if there's more than one player.
-    if (playerCount > 1 && (pushOffset % playerCount) === 0) {
-        console.log(`generateChainAssignments: Offset ${pushOffset} collides with creator for pool of ${playerCount}. Forcing safe shift...`);
-        // We use a deterministic but unique-per-round shift as a fallback: (roundIndex % (N-1)) + 1
-        // This is guaranteed to be in range [1, playerCount-1], which is always a valid "pass".
-        pushOffset = (roundIndex % (playerCount - 1)) + 1;
-    }
+    const pushOffset = getStepOffset(stepIndex, playerCount, randomOffsets);
 
     // Safety check: if only 1 player, no offset possible
     if (playerCount <= 1) {
@@ -71,7 +98,7 @@ export const generateChainAssignments = (playerIds, chains, currentPhase, random
     // Pass the notebooks in a circle
     playerIds.forEach((pId, idx) => {
         // Find the creator we are receiving the chain from by moving BACKWARDS around the ring
-        const originCreatorIdx = (idx - (pushOffset % playerCount) + playerCount) % playerCount;
+        const originCreatorIdx = (idx - pushOffset + playerCount) % playerCount;
         const originCreatorId = playerIds[originCreatorIdx];
 
         const chainId = Object.keys(chains).find(cId => chains[cId].creator_id === originCreatorId);
@@ -83,41 +110,38 @@ export const generateChainAssignments = (playerIds, chains, currentPhase, random
     return assignments;
 };
 
-// Generate dynamic phase sequence strictly up to N players
-export const getNextPhase = (currentPhase, roomSettings) => {
-    const isEmojiOnly = roomSettings?.selectedMode === 'Emoji Only';
-    const totalPlayers = roomSettings?.player_order?.length || 0;
+// Full phase sequence for the room: `chainLength` gameplay steps, then the finishing phases.
+// e.g. 3 steps: text -> emoji_1 -> interpretation_1
+//      4 steps: text -> emoji_1 -> interpretation_1 -> emoji_2
+export const getPhaseOrder = (roomSettings) => {
+    const { stepCycle } = getGameMode(roomSettings);
+    const chainLength = getChainLength(roomSettings);
 
-    if (totalPlayers === 0) return null;
-
-    // We build the phase list dynamically based on the total player count.
-    // Length of the phase list MUST EQUAL the number of players.
-    // e.g. 3 Players: text -> emoji_1 -> interpretation_1
-    // 4 Players: text -> emoji_1 -> interpretation_1 -> emoji_2
     const phaseOrder = ['text'];
-    for (let i = 1; i < totalPlayers; i++) {
-        if (isEmojiOnly) {
-            phaseOrder.push(`emoji_${i}`);
-        } else {
-            // Alternating pattern
-            const roundNumber = Math.ceil(i / 2);
-            if (i % 2 !== 0) {
-                phaseOrder.push(`emoji_${roundNumber}`);
-            } else {
-                phaseOrder.push(`interpretation_${roundNumber}`);
-            }
-        }
+    for (let i = 1; i < chainLength; i++) {
+        // Walk the mode's cycle, numbering each phase type separately (emoji_1, interpretation_1, emoji_2...)
+        const type = stepCycle[(i - 1) % stepCycle.length];
+        const roundNumber = Math.floor((i - 1) / stepCycle.length) + 1;
+        phaseOrder.push(`${type}_${roundNumber}`);
     }
 
-    // Add finishing phases
-    phaseOrder.push('reveal', 'vote', 'scoreboard', 'winner');
+    // Add finishing phases ('match' = match summary after the last game of a match)
+    phaseOrder.push('reveal', 'vote', 'scoreboard', 'winner', 'match');
+    return phaseOrder;
+};
+
+export const getNextPhase = (currentPhase, roomSettings) => {
+    const totalPlayers = roomSettings?.player_order?.length || 0;
+
+    if (totalPlayers === 0) return null;
 
+    const phaseOrder = getPhaseOrder(roomSettings);
     const currentIndex = phaseOrder.indexOf(currentPhase);
 
     // Fallback: If player count dropped and the current phase is no longer in the generated sequence,
     // safely jump to the Reveal phase to keep the game moving.
     if (currentIndex === -1) {
-        const isGameplayPhase = currentPhase.startsWith('text') || currentPhase.startsWith('emoji') || currentPhase.startsWith('interpretation');
+        const isGameplayPhase = currentPhase.startsWith('text') || currentPhase.startsWith('emoji') || currentPhase.startsWith('draw') || currentPhase.startsWith('interpretation');
         if (isGameplayPhase) return 'reveal';
         return null;
     }
@@ -133,25 +157,30 @@ export const getPhasePriority = (currentPhase, roomSettings) => {
     if (currentPhase === 'lobby') return 0;
     if (currentPhase === 'text') return 1;
 
-    // We can infer the priority quickly by rebuilding the list.
-    const isEmojiOnly = roomSettings?.selectedMode === 'Emoji Only';
-    const totalPlayers = roomSettings?.player_order?.length || 0;
+    const idx = getPhaseOrder(roomSettings).indexOf(currentPhase);
+    return idx !== -1 ? idx + 1 : -1;
+};
 
-    const phaseOrder = ['text'];
-    for (let i = 1; i < totalPlayers; i++) {
-        if (isEmojiOnly) {
-            phaseOrder.push(`emoji_${i}`);
-        } else {
-            const roundNumber = Math.ceil(i / 2);
-            if (i % 2 !== 0) {
-                phaseOrder.push(`emoji_${roundNumber}`);
-            } else {
-                phaseOrder.push(`interpretation_${roundNumber}`);
-            }
-        }
-    }
-    phaseOrder.push('reveal', 'vote', 'scoreboard', 'winner');
+// Latest content of the chain a player was handed for `phase` (what they translate or draw), or ''
+export const getReceivedContent = (roomSettings, phase, playerId) => {
+    const chainId = roomSettings?.assignments?.[phase]?.[playerId];
+    const history = roomSettings?.chains?.[chainId]?.history || [];
+    return [...history].reverse().find(step => step.content)?.content || '';
+};
 
-    const idx = phaseOrder.indexOf(currentPhase);
-    return idx !== -1 ? idx + 1 : -1;
+// Chains that have entries, each step carrying its author's display name (RevealPhase, past-game replay)
+export const getRevealChains = (chains, getName) => Object.keys(chains || {}).map(id => ({
+    id,
+    steps: (chains[id].history || []).map(entry => ({
+        ...entry,
+        authorName: getName(entry.playerId),
+        isGhost: entry.playerId === 'ghost_player'
+    }))
+})).filter(c => c.steps.length > 0);
+
+// 'text' (opening sentence or guess), 'drawing' or 'emoji' for a chain entry's phase
+export const getChainStepKind = (phase = '') => {
+    if (phase === 'text' || phase.startsWith('interpretation')) return 'text';
+    if (phase.startsWith('draw')) return 'drawing';
+    return 'emoji';
 };
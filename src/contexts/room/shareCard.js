@@ -0,0 +1,306 @@
+import { decodeDrawing, DRAWING_SIZE, ERASER } from './drawingCodec';
+import { getChainStepKind, getRevealChains } from './roomUtils';
+import { getAvatarEmoji } from './avatars';
+
+// Result card for GameWinner: a PNG drawn on a canvas (podium, winner, one chain of the round) and a
+// plain text summary for chat apps. Shared with the Web Share API, or downloaded / copied without it.
+
+const CARD_WIDTH = 1080;
+const CARD_HEIGHT = 1350;
+const MAX_CARD_STEPS = 4;
+const FONT_STACK = `Poppins, "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+
+const font = (size, weight = 800) => `${weight} ${size}px ${FONT_STACK}`;
+
+// [{ id, name, avatar, score }] best first
+export const getShareStandings = (players = []) => [...players]
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .map(p => ({ id: p.id, name: p.name, avatar: p.avatar ? getAvatarEmoji(p.avatar) : '👤', score: p.score || 0 }));
+
+// The chain shown on the card: the one the winner started, or else the longest of the last round
+export const pickShareChain = (chains, winnerId, getName) => {
+    const revealed = getRevealChains(chains, getName);
+    return revealed.find(c => chains[c.id]?.creator_id === winnerId)
+        || [...revealed].sort((a, b) => b.steps.length - a.steps.length)[0]
+        || null;
+};
+
+// First and last steps of long chains; `null` marks the skipped middle
+const getCardSteps = (steps) => {
+    if (steps.length <= MAX_CARD_STEPS) return steps;
+    return [...steps.slice(0, 2), null, steps[steps.length - 1]];
+};
+
+export const buildShareText = ({ standings, chain, roomCode, t }) => {
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = [`🏆 ${t('shareWinnerLine').replace('{name}', standings[0]?.name || '...').replace('{n}', standings[0]?.score || 0)}`, ''];
+    standings.slice(0, 3).forEach((p, i) => lines.push(`${medals[i]} ${p.avatar} ${p.name} — ${p.score}`));
+
+    if (chain) {
+        lines.push('', `🔗 ${t('bestChain')}`);
+        chain.steps.forEach(step => {
+            const kind = getChainStepKind(step.phase);
+            if (kind === 'text') lines.push(`${step.phase === 'text' ? '✍️' : '🤔'} ${step.authorName}: "${step.content}"`);
+            else if (kind === 'drawing') lines.push(`🎨 ${step.authorName} ${t('drew')}`);
+            else lines.push(`💬 ${step.authorName}: ${step.content}`);
+        });
+    }
+
+    lines.push('', `${t('appTitlePart1')} ${t('appTitlePart2')}? · ${roomCode}`);
+    return lines.join('\n');
+};
+
+// --- Canvas drawing ---
+
+const fillRoundRect = (ctx, x, y, w, h, r, color) => {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+};
+
+// Centred text cut to `maxWidth` with an ellipsis
+const fillFittedText = (ctx, text, x, y, maxWidth) => {
+    let value = String(text ?? '');
+    if (ctx.measureText(value).width > maxWidth) {
+        const chars = Array.from(value);
+        while (chars.length > 1 && ctx.measureText(`${chars.join('')}…`).width > maxWidth) chars.pop();
+        value = `${chars.join('')}…`;
+    }
+    ctx.fillText(value, x, y);
+};
+
+// Word-wrapped, centred text; the last line ends with an ellipsis when it does not all fit
+const fillWrappedText = (ctx, text, x, y, maxWidth, lineHeight, maxLines) => {
+    const words = String(text ?? '').split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = '';
+    words.forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth || !line) line = candidate;
+        else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line) lines.push(line);
+
+    const shown = lines.slice(0, maxLines);
+    if (lines.length > maxLines) shown[maxLines - 1] += '…';
+    const top = y - ((shown.length - 1) * lineHeight) / 2;
+    shown.forEach((l, i) => fillFittedText(ctx, l, x, top + i * lineHeight, maxWidth));
+};
+
+const drawStrokes = (ctx, value, x, y, size) => {
+    const scale = size / DRAWING_SIZE;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, size, size);
+    ctx.clip();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    (decodeDrawing(value) || []).forEach(stroke => {
+        ctx.strokeStyle = stroke.color === ERASER ? '#FFFFFF' : stroke.color;
+        ctx.lineWidth = Math.max(1, stroke.width * scale);
+        ctx.beginPath();
+        stroke.points.forEach(([px, py], i) => {
+            const cx = x + px * scale;
+            const cy = y + py * scale;
+            if (i === 0) ctx.moveTo(cx, cy);
+            else ctx.lineTo(cx, cy);
+        });
+        if (stroke.points.length === 1) ctx.lineTo(x + stroke.points[0][0] * scale + 0.1, y + stroke.points[0][1] * scale);
+        ctx.stroke();
+    });
+    ctx.restore();
+};
+
+const drawPodium = (ctx, standings) => {
+    const bottom = 880;
+    // 2nd, 1st, 3rd from left to right
+    const slots = [
+        { place: 1, x: 200, height: 130, color: '#C0C0C0' },
+        { place: 0, x: 540, height: 180, color: '#FFD700' },
+        { place: 2, x: 880, height: 100, color: '#CD7F32' }
+    ];
+    slots.forEach(({ place, x, height, color }) => {
+        const player = standings[place];
+        if (!player) return;
+        const top = bottom - height;
+        fillRoundRect(ctx, x - 130, top, 260, height, 20, color);
+
+        ctx.fillStyle = '#1F2937';
+        ctx.font = font(40, 900);
+        ctx.fillText(`${place + 1}`, x, top + 45);
+        ctx.font = font(26, 800);
+        ctx.fillText(`${player.score} pts`, x, top + 82);
+
+        ctx.font = font(64, 400);
+        ctx.fillText(player.avatar, x, top - 60);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = font(30, 800);
+        fillFittedText(ctx, player.name, x, top - 15, 250);
+    });
+};
+
+const drawChain = (ctx, chain, t) => {
+    const panelTop = 915;
+    const panelHeight = 345;
+    fillRoundRect(ctx, 60, panelTop, CARD_WIDTH - 120, panelHeight, 30, 'rgba(255, 255, 255, 0.95)');
+
+    ctx.fillStyle = '#4C1D95';
+    ctx.font = font(30, 900);
+    ctx.fillText(`🔗 ${t('bestChain')}`, CARD_WIDTH / 2, panelTop + 45);
+
+    const steps = getCardSteps(chain.steps);
+    const tileWidth = 200;
+    const tileSize = 200;
+    const gap = (CARD_WIDTH - 120 - steps.length * tileWidth) / (steps.length + 1);
+    const tileTop = panelTop + 75;
+
+    steps.forEach((step, i) => {
+        const left = 60 + gap + i * (tileWidth + gap);
+        const centerX = left + tileWidth / 2;
+
+        if (i > 0) {
+            ctx.fillStyle = '#A78BFA';
+            ctx.font = font(34, 900);
+            ctx.fillText('→', left - gap / 2, tileTop + tileSize / 2 + 12);
+        }
+        if (!step) {
+            ctx.fillStyle = '#A78BFA';
+            ctx.font = font(60, 900);
+            ctx.fillText('…', centerX, tileTop + tileSize / 2 + 20);
+            return;
+        }
+
+        const kind = getChainStepKind(step.phase);
+        if (kind === 'drawing') {
+            fillRoundRect(ctx, left, tileTop, tileSize, tileSize, 16, '#FFFFFF');
+            drawStrokes(ctx, step.content, left, tileTop, tileSize);
+        } else {
+            fillRoundRect(ctx, left, tileTop, tileWidth, tileSize, 16, kind === 'text' ? '#FFFBEB' : '#EDE9FE');
+            ctx.fillStyle = kind === 'text' ? '#92400E' : '#1E1B4B';
+            if (kind === 'text') {
+                ctx.font = font(24, 800);
+                fillWrappedText(ctx, `"${step.content}"`, centerX, tileTop + tileSize / 2 + 8, tileWidth - 24, 30, 6);
+            } else {
+                ctx.font = font(44, 400);
+                fillWrappedText(ctx, step.content, centerX, tileTop + tileSize / 2 + 15, tileWidth - 20, 56, 3);
+            }
+        }
+
+        ctx.fillStyle = '#6B7280';
+        ctx.font = font(22, 800);
+        fillFittedText(ctx, step.authorName, centerX, tileTop + tileSize + 35, tileWidth);
+    });
+};
+
+// Resolves to a PNG blob of the result card
+export const renderShareCard = async ({ standings, chain, roomCode, t, language }) => {
+    // Emoji and Poppins glyphs must be loaded before they are painted on the canvas
+    if (document.fonts?.ready) await document.fonts.ready;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    ctx.textAlign = 'center';
+    ctx.direction = language === 'ar' ? 'rtl' : 'ltr';
+
+    const background = ctx.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    background.addColorStop(0, '#6C63FF');
+    background.addColorStop(1, '#EC4899');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = font(52, 900);
+    ctx.fillText(`${t('appTitlePart1')} ${t('appTitlePart2')}?`, CARD_WIDTH / 2, 100);
+
+    // Winner
+    const winner = standings[0];
+    if (winner) {
+        ctx.font = font(70, 400);
+        ctx.fillText('👑', CARD_WIDTH / 2, 200);
+        ctx.font = font(150, 400);
+        ctx.fillText(winner.avatar, CARD_WIDTH / 2, 350);
+        ctx.font = font(60, 900);
+        fillFittedText(ctx, winner.name, CARD_WIDTH / 2, 440, CARD_WIDTH - 160);
+        ctx.font = font(40, 800);
+        ctx.fillText(`${winner.score} pts`, CARD_WIDTH / 2, 500);
+    }
+
+    drawPodium(ctx, standings);
+    if (chain) drawChain(ctx, chain, t);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.font = font(26, 700);
+    ctx.fillText(`${roomCode || ''} · ${new Date().toLocaleDateString(language, { dateStyle: 'medium' })}`, CARD_WIDTH / 2, CARD_HEIGHT - 40);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+    });
+};
+
+// --- Sharing ---
+
+// Same fallback as the Lobby room code copy: the Clipboard API, then a hidden textarea
+export const copyText = async (text) => {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        try {
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            textArea.style.position = 'fixed';
+            textArea.style.top = '0';
+            textArea.style.left = '0';
+            textArea.style.opacity = '0';
+            document.body.appendChild(textArea);
+            textArea.focus();
+            textArea.select();
+            const successful = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            return successful;
+        } catch (err) {
+            console.error('shareCard: Copy failed', err);
+            return false;
+        }
+    }
+};
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Returns 'shared', 'downloaded' (image saved, text copied) or 'cancelled'
+export const shareResultCard = async ({ blob, text, fileName }) => {
+    const file = new File([blob], fileName, { type: 'image/png' });
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], text });
+            return 'shared';
+        } catch (err) {
+            if (err?.name === 'AbortError') return 'cancelled';
+            console.warn('shareCard: Web Share failed, downloading instead', err);
+        }
+    }
+
+    downloadBlob(blob, fileName);
+    await copyText(text);
+    return 'downloaded';
+};
@@ -0,0 +1,71 @@
+import { useCallback, useEffect } from 'react';
+import { supabase } from '../../supabaseClient';
+import { useLanguage } from '../LanguageContext';
+import { encodeAnswer, getAnswerKind, getRoundId, isFinalAnswer } from './answerCodec';
+import { appendAnswer } from './answersStore';
+import { createBotIdentity, getBotAnswer, getBotDelayMs, getBotIds } from './bots';
+
+// Host side of the bot players (see bots.js): adding/removing them in the Lobby, announcing them in
+// the host's presence, and answering for them a few seconds into every phase that takes an answer.
+export const useBots = ({ room, players, gameState, currentPlayer, roomRef, playersRef, currentPlayerRef, joinRoom, trackPresence }) => {
+    const { language } = useLanguage();
+    const isHost = !!currentPlayer?.is_host;
+    const phase = gameState?.phase;
+    const round = getRoundId(room?.settings);
+    const botIdsKey = getBotIds(players).join(',');
+
+    // Bots are online while the host that plays them is
+    useEffect(() => {
+        trackPresence();
+    }, [botIdsKey, isHost, trackPresence]);
+
+    // Answer for each bot still owing one in this phase
+    useEffect(() => {
+        if (!isHost || !roomRef.current?.id || !getAnswerKind(phase)) return;
+
+        const playingIds = roomRef.current.settings?.player_order || [];
+        const timers = botIdsKey.split(',').filter(id => id && playingIds.includes(id)).map(botId => setTimeout(async () => {
+            const currentRoom = roomRef.current;
+            const bot = playersRef.current.find(p => p.id === botId);
+            if (!currentRoom || !bot || !currentPlayerRef.current?.is_host) return;
+            if (isFinalAnswer(bot.last_answer, phase, round)) return;
+
+            try {
+                const value = getBotAnswer({ phase, settings: currentRoom.settings, bot, language });
+                if (value == null) return;
+                const answer = encodeAnswer({ phase, value, round });
+                const { error } = await appendAnswer(currentRoom, botId, phase, answer);
+                if (error) throw error;
+            } catch (err) {
+                console.error(`useBots: ${bot.name} failed to answer ${phase}:`, err);
+            }
+        }, getBotDelayMs(roomRef.current.settings)));
+
+        return () => timers.forEach(clearTimeout);
+    }, [isHost, phase, round, botIdsKey, language, roomRef, playersRef, currentPlayerRef]);
+
+    // Resolves to null, or the error message to show the host (e.g. the room is full)
+    const addBot = useCallback(async () => {
+        if (!currentPlayerRef.current?.is_host || !roomRef.current?.room_code) return null;
+        const { name, avatar, identity } = createBotIdentity(playersRef.current);
+        try {
+            await joinRoom(roomRef.current.room_code, name, avatar, identity, false, { isBot: true });
+            return null;
+        } catch (err) {
+            console.error('Error adding bot:', err);
+            return err.message;
+        }
+    }, [currentPlayerRef, roomRef, playersRef, joinRoom]);
+
+    const removeBot = useCallback(async (botId) => {
+        if (!currentPlayerRef.current?.is_host) return;
+        try {
+            const { error } = await supabase.from('players').delete().eq('id', botId);
+            if (error) throw error;
+        } catch (err) {
+            console.error('Error removing bot:', err);
+        }
+    }, [currentPlayerRef]);
+
+    return { addBot, removeBot };
+};
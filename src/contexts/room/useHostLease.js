@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { supabase } from '../../supabaseClient';
+import { isBot } from './bots';
+
+// Host role under a server-side lease (see the host_lease migration): the host renews it through
+// claim_host every few seconds, and while nobody online holds it every other client asks for it; the
+// server only hands it to the elected player, so at most one client ever acts as host. The new host
+// adopts the room state returned with the claim (reveal position, phase and its timer) before acting.
+
+// Well inside the server's 20s lease, so a missed renewal or two does not cost the role
+const LEASE_RENEW_MS = 5000;
+
+// Same order as wdym_elect_host: online humans still in the game (everyone in the lobby) before
+// spectators, then the earliest joined
+const getHostCandidate = (players, onlineIds, room, excludeId = null) => {
+    const playingIds = room?.settings?.player_order || [];
+    const isPlaying = (p) => room?.status === 'lobby' || playingIds.length === 0 || playingIds.includes(p.id);
+    return players
+        .filter(p => p.id !== excludeId && onlineIds.has(p.id) && !isBot(p))
+        .sort((a, b) => (isPlaying(b) - isPlaying(a))
+            || (new Date(a.created_at || 0) - new Date(b.created_at || 0))
+            || String(a.id).localeCompare(String(b.id)))[0] || null;
+};
+
+export const useHostLease = ({
+    room, players, currentPlayer, onlinePlayerIds,
+    roomRef, playersRef, currentPlayerRef, onlinePlayerIdsRef,
+    setRoom, setPlayers, setCurrentPlayer, setGameState, promotePlayerToHost
+}) => {
+    const isClaimingRef = useRef(false);
+
+    const setLocalHost = useCallback((hostId) => {
+        setPlayers(prev => prev.map(p => ({ ...p, is_host: p.id === hostId })));
+        setCurrentPlayer(cp => cp ? { ...cp, is_host: cp.id === hostId } : cp);
+    }, [setPlayers, setCurrentPlayer]);
+
+    const claimHost = useCallback(async () => {
+        const roomId = roomRef.current?.id;
+        const me = currentPlayerRef.current;
+        if (!roomId || !me?.id || isBot(me) || isClaimingRef.current) return;
+
+        const hasOnlineHost = playersRef.current.some(p => p.is_host && onlinePlayerIdsRef.current.has(p.id));
+        if (!me.is_host && hasOnlineHost) return;
+
+        isClaimingRef.current = true;
+        try {
+            const { data: lease, error } = await supabase.rpc('claim_host', { p_room_id: roomId });
+            if (error) throw error;
+            if (roomRef.current?.id !== roomId) return;
+
+            if (lease?.host) {
+                if (lease.handover) {
+                    console.log("useHostLease: Taking over as host", lease.handover.game_state?.phase);
+                    setRoom(prev => prev?.id === roomId ? { ...prev, settings: lease.handover.settings } : prev);
+                    if (lease.handover.game_state) setGameState(prev => ({ ...prev, ...lease.handover.game_state }));
+                }
+                if (!currentPlayerRef.current?.is_host) setLocalHost(me.id);
+            } else if (currentPlayerRef.current?.is_host) {
+                // The lease lapsed (sleeping tab, lost connection) and someone else holds it now
+                console.warn("useHostLease: Host lease lost to", lease?.holder);
+                setLocalHost(lease?.holder || null);
+            }
+        } catch (err) {
+            console.error("useHostLease: Claim failed", err);
+        } finally {
+            isClaimingRef.current = false;
+        }
+    }, [roomRef, currentPlayerRef, playersRef, onlinePlayerIdsRef, setRoom, setGameState, setLocalHost]);
+
+    // Renewal (host) and election (everyone else while there is no online host)
+    useEffect(() => {
+        if (!room?.id || !currentPlayer?.id) return;
+        claimHost();
+        const interval = setInterval(claimHost, LEASE_RENEW_MS);
+        return () => clearInterval(interval);
+    }, [room?.id, currentPlayer?.id, claimHost]);
+
+    // Ask right away when the host drops out of presence instead of on the next renewal tick
+    const hasOnlineHost = players.some(p => p.is_host && onlinePlayerIds.has(p.id));
+    useEffect(() => {
+        if (!hasOnlineHost) claimHost();
+    }, [hasOnlineHost, claimHost]);
+
+    // Host leaving on purpose: pass the role (and the lease) to the next elected player right away
+    const handOverHost = useCallback(async () => {
+        const me = currentPlayerRef.current;
+        if (!me?.is_host) return;
+        const candidate = getHostCandidate(playersRef.current, onlinePlayerIdsRef.current, roomRef.current, me.id);
+        if (candidate) await promotePlayerToHost(candidate.id);
+    }, [currentPlayerRef, playersRef, onlinePlayerIdsRef, roomRef, promotePlayerToHost]);
+
+    return { handOverHost };
+};
@@ -1,10 +1,47 @@
 import { useCallback, useRef } from 'react';
 import { supabase } from '../../supabaseClient';
 import { useLanguage } from '../LanguageContext';
-import { shuffleArr } from './roomUtils';
+import { decodePlayer, shuffleArr } from './roomUtils';
+import { encodeAnswer, getAnswerKind, getRoundId, isFinalAnswer } from './answerCodec';
+import { appendAnswer } from './answersStore';
+import { DEFAULT_MODE_ID, getModeRules } from './gameModes';
+import { getPackPrompts, isCustomDeck } from './promptPacks';
+import { dealDeck, normalizeDeck } from './customDecks';
+import { getMatchLength } from './matchUtils';
+import { normalizeEmojiAnswer } from './emojiGuard';
+import { getWordFilter, maskBlockedWords } from './wordFilter';
+import { isKickedIdentity } from './playerIdentity';
+import { normalizeAvatar, resolveAvatarConflict } from './avatars';
+
+// Typed answers (text, guesses) go out with the room's blocked words masked, drafts included, so a
+// fallback picked from a draft is clean too; reject mode is enforced by the phase pages before submitting
+const filterTypedAnswer = (value, phase, settings) => {
+    if (!['text', 'guess'].includes(getAnswerKind(phase)) || typeof value !== 'string') return value;
+    return maskBlockedWords(value, getWordFilter(settings));
+};
+
+const insertPlayer = (row) => supabase.from('players').insert([row]).select().single();
+
+// Postgres unique_violation, here players_room_avatar_idx (see the unique_avatars migration)
+const UNIQUE_VIOLATION = '23505';
+const MAX_AVATAR_ATTEMPTS = 3;
+
+// Writes a player's avatar moved off any look taken in the room (resolveAvatarConflict). When someone
+// took the same look in between, the unique avatar index refuses the write and the room's avatars are
+// read again for another pick. Returns the write's result and the avatar it went out with.
+const writeFreeAvatar = async (roomId, playerId, avatar, takenAvatars, write) => {
+    let freeAvatar = resolveAvatarConflict(avatar, takenAvatars);
+    for (let attempt = 1; ; attempt++) {
+        const result = await write(freeAvatar);
+        if (result.error?.code !== UNIQUE_VIOLATION || attempt >= MAX_AVATAR_ATTEMPTS) return { ...result, avatar: freeAvatar };
+
+        const { data: others } = await supabase.from('players').select('id, avatar').eq('room_id', roomId);
+        freeAvatar = resolveAvatarConflict(avatar, (others || []).filter(p => p.id !== playerId).map(p => p.avatar));
+    }
+};
 
 export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom, setPlayers, setCurrentPlayer, setGameState, setError, isExitingRef, markPhaseDirty, markAnswerDirty, markSettingsDirty, isJoiningRef, onlinePlayerIdsRef }) => {
-    const { t } = useLanguage();
+    const { t, language } = useLanguage();
     const activeUpdateRef = useRef(Promise.resolve());
 
     const checkRoomExists = useCallback(async (code) => {
@@ -19,34 +56,33 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
         }
     }, []);
 
-    const updatePlayerProfile = useCallback(async (playerId, newName, newAvatar, fingerprint) => {
+    // An avatar someone else in the room already has is adjusted (see resolveAvatarConflict)
+    const updatePlayerProfile = useCallback(async (playerId, newName, newAvatar) => {
         try {
-            const fullAvatar = fingerprint ? `${newAvatar} | ${fingerprint}` : newAvatar;
-            await supabase.from('players').update({ name: newName, avatar: fullAvatar }).eq('id', playerId);
-            setCurrentPlayer(prev => prev ? { ...prev, name: newName, avatar: newAvatar } : prev);
+            const others = playersRef.current.filter(p => p.id !== playerId).map(p => p.avatar);
+            const { error, avatar } = await writeFreeAvatar(roomRef.current?.id, playerId, newAvatar, others,
+                (candidate) => supabase.from('players').update({ name: newName, avatar: candidate }).eq('id', playerId));
+            if (error) throw error;
+            setCurrentPlayer(prev => prev ? { ...prev, name: newName, avatar } : prev);
             return true;
         } catch (err) {
             return false;
         }
-    }, [setCurrentPlayer]);
+    }, [setCurrentPlayer, playersRef, roomRef]);
 
-    const kickPlayer = useCallback(async (playerIdToKick, playerName) => {
+    // The kicked player's identity goes on the room's kick list, so they cannot come back under another name
+    const kickPlayer = useCallback(async (playerIdToKick) => {
         if (!currentPlayerRef.current?.is_host || !roomRef.current?.id) return;
         try {
             const currentRoom = roomRef.current;
             const targetPlayer = playersRef.current.find(p => p.id === playerIdToKick);
 
-            const updatedNames = [...(currentRoom.settings?.kicked_names || []), playerName];
-            let updatedFingerprints = [...(currentRoom.settings?.kicked_fingerprints || [])];
-
-            if (targetPlayer?.fingerprint) {
-                updatedFingerprints.push(targetPlayer.fingerprint);
-            }
+            const kickedIdentities = currentRoom.settings?.kicked_identities || [];
+            const targetIdentity = targetPlayer?.identity;
 
             const newSettings = {
                 ...currentRoom.settings,
-                kicked_names: updatedNames,
-                kicked_fingerprints: updatedFingerprints,
+                kicked_identities: targetIdentity && !kickedIdentities.includes(targetIdentity) ? [...kickedIdentities, targetIdentity] : kickedIdentities,
                 player_order: (currentRoom.settings?.player_order || []).filter(id => id !== playerIdToKick)
             };
 
@@ -54,6 +90,8 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                 supabase.from('rooms').update({ settings: newSettings }).eq('id', currentRoom.id),
                 supabase.from('players').delete().eq('id', playerIdToKick)
             ]);
+            // A running game's player_order is the engine's: the settings write above keeps the stored one
+            await supabase.rpc('remove_from_player_order', { p_room_id: currentRoom.id, p_player_ids: [playerIdToKick] });
 
             setRoom(prev => ({ ...prev, settings: newSettings }));
             setPlayers(prev => prev.filter(p => p.id !== playerIdToKick));
@@ -67,10 +105,12 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
     const promotePlayerToHost = useCallback(async (playerIdToPromote) => {
         if (!roomRef.current?.id) return;
         try {
-            const promises = playersRef.current.map(p =>
-                supabase.from('players').update({ is_host: p.id === playerIdToPromote }).eq('id', p.id)
-            );
-            await Promise.all(promises);
+            // is_host is only writable server-side: promote_host checks the caller is the host, or that the host is gone
+            const { data: promoted, error } = await supabase.rpc('promote_host', { p_room_id: roomRef.current.id, p_player_id: playerIdToPromote });
+            if (error || !promoted) {
+                console.warn('useRoomActions: Host change refused', error);
+                return;
+            }
             setPlayers(prev => prev.map(p => {
                 const isNowHost = p.id === playerIdToPromote;
                 if (currentPlayerRef.current?.id === p.id) {
@@ -79,28 +119,37 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                 return { ...p, is_host: isNowHost };
             }));
 
-            // Sync host anchor 
+            // Sync host anchor (promote_host stores it server-side)
             if (playerIdToPromote !== roomRef.current.settings?.manual_host_id) {
                 const newSettings = { ...roomRef.current.settings, manual_host_id: playerIdToPromote };
                 setRoom(prev => ({ ...prev, settings: newSettings }));
-                await supabase.from('rooms').update({ settings: newSettings }).eq('id', roomRef.current.id);
             }
         } catch (err) {
             console.error("Error promoting player:", err);
         }
-    }, [roomRef, playersRef, setPlayers, setCurrentPlayer, setRoom]);
+    }, [roomRef, currentPlayerRef, setPlayers, setCurrentPlayer, setRoom]);
 
-    const submitAnswer = useCallback(async (answer) => {
+    // value: string for text/emoji/guess phases, [{ category, targetId }] for votes
+    const submitAnswer = useCallback(async (value, phase) => {
         if (!currentPlayerRef.current?.id || !roomRef.current?.id) return;
+        if (getAnswerKind(phase) === 'emoji') {
+            value = normalizeEmojiAnswer(value);
+            if (value === null) {
+                setError(t('emojiOnlyAnswer'));
+                return;
+            }
+        }
+        value = filterTypedAnswer(value, phase, roomRef.current?.settings);
         markAnswerDirty();
 
         try {
+            const answer = encodeAnswer({ phase, value, round: getRoundId(roomRef.current.settings) });
             setCurrentPlayer(prev => ({ ...prev, last_answer: answer }));
             setPlayers(prev => prev.map(p => p.id === currentPlayerRef.current.id ? { ...p, last_answer: answer } : p));
             
             // Queue the write to prevent race conditions with stale drafts
             activeUpdateRef.current = activeUpdateRef.current.then(async () => {
-                const { error } = await supabase.from('players').update({ last_answer: answer }).eq('id', currentPlayerRef.current.id);
+                const { error } = await appendAnswer(roomRef.current, currentPlayerRef.current.id, phase, answer);
                 if (error) throw error;
             }).catch(err => {
                 console.error('Error in queued submit:', err);
@@ -113,23 +162,26 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
         }
     }, [currentPlayerRef, roomRef, setPlayers, setCurrentPlayer, setError, t, markAnswerDirty]);
 
-    const saveDraft = useCallback((draftContent) => {
-        if (!currentPlayerRef.current?.id) return;
-        markAnswerDirty();
-
-        let ans;
-        if (Array.isArray(draftContent)) {
-            ans = `draft_guess:${draftContent.join(':')}`;
-        } else if (typeof draftContent === 'string' && draftContent.startsWith('draft_')) {
-            ans = draftContent;
-        } else {
-            ans = `draft:${draftContent}`;
+    // value: work-in-progress text/emojis/guess, or the currently selected target id while voting
+    const saveDraft = useCallback((value, phase) => {
+        if (!currentPlayerRef.current?.id || !roomRef.current?.id) return;
+        if (getAnswerKind(phase) === 'emoji') {
+            value = normalizeEmojiAnswer(value);
+            if (value === null) {
+                console.warn("Draft rejected: emoji answers can only contain emojis");
+                return;
+            }
         }
+        value = filterTypedAnswer(value, phase, roomRef.current?.settings);
 
-        if (ans.startsWith('draft_emoji:')) {
-            setCurrentPlayer(prev => ({ ...prev, last_answer: ans }));
+        let ans;
+        try {
+            ans = encodeAnswer({ phase, value, draft: true, round: getRoundId(roomRef.current?.settings) });
+        } catch (err) {
+            console.error("Error encoding draft:", err);
             return;
         }
+        markAnswerDirty();
 
         setCurrentPlayer(prev => ({ ...prev, last_answer: ans }));
         setPlayers(prev => prev.map(p => p.id === currentPlayerRef.current.id ? { ...p, last_answer: ans } : p));
@@ -138,14 +190,14 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
         activeUpdateRef.current = activeUpdateRef.current.then(async () => {
             // Check state right before network call
             const currentAnswerState = currentPlayerRef.current?.last_answer;
-            if (currentAnswerState && !currentAnswerState.startsWith('draft')) {
+            if (isFinalAnswer(currentAnswerState)) {
                 // A final answer was submitted locally right before this draft could run on the network! Abort draft!
                 return;
             }
-            const { error } = await supabase.from('players').update({ last_answer: ans }).eq('id', currentPlayerRef.current.id);
+            const { error } = await appendAnswer(roomRef.current, currentPlayerRef.current.id, phase, ans);
             if (error) console.error("Error saving draft to database:", error);
         }).catch(() => {});
-    }, [currentPlayerRef, setPlayers, setCurrentPlayer, markAnswerDirty]);
+    }, [currentPlayerRef, roomRef, setPlayers, setCurrentPlayer, markAnswerDirty]);
 
     // Used purely for updating standard room settings
     const updateRoomSettings = useCallback(async (newSettings) => {
@@ -198,66 +250,36 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
             markPhaseDirty();
             markSettingsDirty();
 
-            let playingIds = activeIds;
+            // The engine deals the chains (see advance_phase); only the number of players is needed here
             const isSpecMode = currentRoom.settings?.spectatorEnabled && activeIds.length >= 4;
-
-            const shuffledIds = shuffleArr(activeIds);
-            if (isSpecMode) {
-                const hostId = currentPlayerRef.current.id;
-                playingIds = shuffledIds.filter(id => id !== hostId);
+            const playingCount = isSpecMode ? activeIds.length - 1 : activeIds.length;
+
+            const newSettings = { ...currentRoom.settings, ...settingsOverrides };
+            // Rules the server-side engine applies for the rest of the game (see gameModes.js)
+            newSettings.mode_rules = getModeRules(newSettings);
+            // Text phase timeout fallbacks from the prompt pack, in the host's language (see promptPacks.js).
+            // Custom decks deal without repeats across the games played in this room.
+            if (isCustomDeck(newSettings)) {
+                Object.assign(newSettings, dealDeck(normalizeDeck(newSettings.customDeck), newSettings, playingCount, getMatchLength(newSettings), shuffleArr));
             } else {
-                playingIds = shuffledIds;
+                newSettings.prompt_fallbacks = shuffleArr(getPackPrompts(newSettings, language));
             }
 
-            const textAssignments = {};
-            const initialChains = {};
-
-            // Generate randomized offsets for all subsequent rounds
-            // We need N-1 offsets (one for each phase after 'text')
-            // By shuffling the array [1, 2, ..., N-1], we guarantee a player
-            // never receives the same chain twice, and sees a different chain every round.
-            const n = playingIds.length;
-            let randomOffsets = [];
-            if (n > 1) {
-                const possibleOffsets = Array.from({ length: n - 1 }, (_, i) => i + 1);
-                randomOffsets = shuffleArr(possibleOffsets);
-            }
+            // The snapshot goes in first, then lobby -> text runs server-side in one transaction like any
+            // other transition: chains, status, score reset and the round id (last_transition)
+            const { error: settingsError } = await supabase.from('rooms').update({ settings: newSettings }).eq('id', currentRoom.id);
+            if (settingsError) throw settingsError;
 
-            playingIds.forEach((pId) => {
-                const chainId = `chain_${pId}_${Date.now()}`;
-                initialChains[chainId] = {
-                    id: chainId,
-                    creator_id: pId,
-                    history: []
-                };
-                textAssignments[pId] = chainId;
+            const { data, error } = await supabase.rpc('advance_phase', {
+                p_room_id: currentRoom.id,
+                p_from_phase: 'lobby',
+                p_to_phase: 'text',
+                p_online_ids: Array.from(new Set([...onlineIds, currentPlayerRef.current.id]))
             });
+            if (error) throw error;
 
-            const newSettings = {
-                ...currentRoom.settings,
-                ...settingsOverrides,
-                history: {},
-                assignments: { 'text': textAssignments },
-                chains: initialChains,
-                player_order: playingIds,
-                random_offsets: randomOffsets
-            };
-
-            const phaseExpiry = new Date(Date.now() + ((currentRoom.settings?.roundTime || 60) * 1000) + 1000).getTime();
-
-            setGameState({
-                phase: 'text',
-                timer: currentRoom.settings?.roundTime || 60,
-                phase_expiry: phaseExpiry,
-                room_id: currentRoom.id
-            });
-            setRoom({ ...currentRoom, status: 'playing', settings: newSettings });
-
-            await Promise.all([
-                supabase.from('rooms').update({ settings: newSettings, status: 'playing' }).eq('id', currentRoom.id),
-                supabase.from('game_state').update({ phase: 'text', timer: currentRoom.settings?.roundTime || 60, phase_expiry: phaseExpiry }).eq('room_id', currentRoom.id),
-                supabase.from('players').update({ score: 0, last_answer: null, votes_used: {} }).eq('room_id', currentRoom.id)
-            ]);
+            if (data?.game_state) setGameState(prev => ({ ...prev, ...data.game_state }));
+            if (data?.room) setRoom(prev => prev ? ({ ...prev, ...data.room }) : data.room);
 
             // HARD RESET: Ensure host local state is clean to prevent stale echoes
             setCurrentPlayer(prev => prev ? { ...prev, score: 0, last_answer: null, votes_used: {} } : prev);
@@ -267,13 +289,20 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
             console.error('Error starting game:', err);
             setError(t('errorStartingGame'));
         }
-    }, [currentPlayerRef, roomRef, setError, t, markPhaseDirty, setGameState, setRoom]);
-
-    const joinRoom = useCallback(async (code, name, avatar, fingerprint, isAutoReconnect = false) => {
-        if (isJoiningRef.current) return;
-        isJoiningRef.current = true;
+    }, [currentPlayerRef, roomRef, setError, t, language, markPhaseDirty, markSettingsDirty, onlinePlayerIdsRef, setGameState, setRoom, setPlayers, setCurrentPlayer]);
+
+    // isBot: the host adds a bot player (see bots.js). It goes through the same room checks, but leaves
+    // this client's own session alone and throws instead of reporting errors; resolves to the bot's id.
+    // identity: see playerIdentity.js (a "bot-..." one for bots)
+    const joinRoom = useCallback(async (code, name, avatar, identity, isAutoReconnect = false, { isBot = false } = {}) => {
+        if (isJoiningRef.current && !isBot) return;
+        const fail = (message) => {
+            if (isBot) throw new Error(message);
+            setError(message);
+        };
+        if (!isBot) isJoiningRef.current = true;
         try {
-            setError(null);
+            if (!isBot) setError(null);
 
             const { data: rooms, error: roomError } = await supabase
                 .from('rooms')
@@ -287,41 +316,40 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                     return;
                 }
                 const msg = roomError ? roomError.message : t('roomNotFound');
-                setError(`${t('errorJoining')}: ${msg}`);
+                fail(`${t('errorJoining')}: ${msg}`);
                 return;
             }
 
             const targetRoom = rooms[0];
 
-            if (targetRoom.settings?.kicked_names?.includes(name) || targetRoom.settings?.kicked_fingerprints?.includes(fingerprint)) {
-                setError(t('kickedError'));
+            if (isKickedIdentity(targetRoom.settings, identity)) {
+                fail(t('kickedError'));
                 return;
             }
 
             const { data: existingPlayers } = await supabase.from('players').select('*').eq('room_id', targetRoom.id);
 
-            // Allow multiple tabs by prioritizing explicit sessionStorage over generic fingerprint/name
+            // Allow multiple tabs by prioritizing explicit sessionStorage over generic identity/name
             const savedSession = sessionStorage.getItem(`room_session_${code}`);
             let parsedSession = null;
             try { if (savedSession) parsedSession = JSON.parse(savedSession); } catch (e) { }
 
             let myExistingPlayer = null;
-            if (parsedSession && parsedSession.playerId) {
+            if (isBot) {
+                // Bots never take over an existing seat
+            } else if (parsedSession && parsedSession.playerId) {
                 myExistingPlayer = existingPlayers?.find(p => p.id === parsedSession.playerId);
             }
 
             // If they are explicitly rejoining after a hard refresh/reconnect from the same exact device without a session, we can do a fallback
-            // but we MUST ensure it's a perfect match on both name AND fingerprint to prevent accidental tab overwriting.
-            if (!myExistingPlayer && fingerprint) {
-                myExistingPlayer = existingPlayers?.find(p => {
-                    const encodedFingerprint = p.avatar?.split(' | ')[1];
-                    return encodedFingerprint === fingerprint && p.name === name;
-                });
+            // but we MUST ensure it's a perfect match on both name AND identity to prevent accidental tab overwriting.
+            if (!myExistingPlayer && identity && !isBot) {
+                myExistingPlayer = existingPlayers?.find(p => decodePlayer(p).identity === identity && p.name === name);
             }
 
             // EXTRA FALLBACK: If the game is already started, and they type EXACTLY the same name, 
             // assume they are trying to reconnect from a crashed/new browser in a panic and let them hijack the DB slot!
-            if (!myExistingPlayer && targetRoom.status !== 'lobby') {
+            if (!myExistingPlayer && targetRoom.status !== 'lobby' && !isBot) {
                 myExistingPlayer = existingPlayers?.find(p => p.name.trim().toLowerCase() === name.trim().toLowerCase());
             }
 
@@ -332,41 +360,63 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                 return;
             }
 
+            // Same emoji on the same color as someone already in the room: take the nearest free look instead
+            const takenAvatars = (existingPlayers || []).filter(p => p.id !== myExistingPlayer?.id).map(p => p.avatar);
+            let roomAvatar;
+
             let playerId;
-            let isHost = targetRoom.settings?.manual_host_id ? false : existingPlayers?.length === 0;
-            const fullAvatar = `${avatar} | ${fingerprint}`;
+            let isHost = (targetRoom.settings?.manual_host_id || isBot) ? false : existingPlayers?.length === 0;
 
             if (myExistingPlayer) {
+                // A seat from another device: reclaim_player hands it over only once it has gone quiet
+                if (identity && decodePlayer(myExistingPlayer).identity !== identity) {
+                    const { data: reclaimed, error: reclaimError } = await supabase.rpc('reclaim_player', { p_player_id: myExistingPlayer.id, p_name: name });
+                    if (reclaimError) console.error("useRoomActions: reclaim_player failed", reclaimError);
+                    if (!reclaimed) {
+                        if (isAutoReconnect) {
+                            sessionStorage.removeItem(`room_session_${code}`);
+                            return;
+                        }
+                        fail(t('gameAlreadyStarted'));
+                        return;
+                    }
+                }
+
                 playerId = myExistingPlayer.id;
+                // Taking the role back goes through the host lease (useHostLease), never from here
                 isHost = myExistingPlayer.is_host;
-                if (targetRoom.settings?.manual_host_id === playerId) isHost = true;
 
-                await supabase.from('players').update({
-                    name: name,
-                    avatar: fullAvatar,
-                    last_seen: new Date().toISOString()
-                }).eq('id', playerId);
+                const { avatar: freeAvatar } = await writeFreeAvatar(targetRoom.id, playerId, avatar, takenAvatars,
+                    (candidate) => supabase.from('players').update({
+                        name: name,
+                        avatar: candidate,
+                        last_seen: new Date().toISOString()
+                    }).eq('id', playerId));
+                roomAvatar = freeAvatar;
             } else {
                 if (targetRoom.status !== 'lobby') {
-                    setError(t('gameAlreadyStarted'));
+                    fail(t('gameAlreadyStarted'));
                     return;
                 }
 
                 if (existingPlayers?.length >= (targetRoom.settings?.maxPlayers || 8)) {
-                    setError(t('roomFull'));
+                    fail(t('roomFull'));
                     return;
                 }
 
-                const { data: newPlayer, error: joinError } = await supabase.from('players').insert([{
-                    room_id: targetRoom.id,
-                    name,
-                    avatar: fullAvatar,
-                    is_host: isHost,
-                    last_seen: new Date().toISOString()
-                }]).select().single();
+                const { data: newPlayer, error: joinError, avatar: freeAvatar } = await writeFreeAvatar(targetRoom.id, null, avatar, takenAvatars,
+                    (candidate) => insertPlayer({
+                        room_id: targetRoom.id,
+                        name,
+                        avatar: candidate,
+                        identity_id: identity,
+                        is_host: isHost,
+                        last_seen: new Date().toISOString()
+                    }));
 
                 if (joinError) throw joinError;
                 playerId = newPlayer.id;
+                roomAvatar = freeAvatar;
 
                 if (isHost && !targetRoom.settings?.manual_host_id) {
                     await supabase.from('rooms').update({
@@ -375,26 +425,29 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                 }
             }
 
+            if (isBot) return playerId;
+
             const { data: stateData } = await supabase.from('game_state').select('*').eq('room_id', targetRoom.id).single();
             sessionStorage.setItem(`room_session_${targetRoom.room_code}`, JSON.stringify({
-                playerId, roomId: targetRoom.id, roomCode: targetRoom.room_code, fingerprint
+                playerId, roomId: targetRoom.id, roomCode: targetRoom.room_code, identity
             }));
 
             // Setting standard sync data allows useRoomSync.js to take over.
             setRoom(targetRoom);
             setGameState(stateData || { room_id: targetRoom.id, phase: 'lobby' });
-            setCurrentPlayer({ id: playerId, name, avatar, fingerprint, is_host: isHost, room_id: targetRoom.id });
+            setCurrentPlayer({ id: playerId, name, avatar: roomAvatar, identity, is_host: isHost, room_id: targetRoom.id });
 
         } catch (err) {
+            if (isBot) throw err;
             console.error('Error joining room:', err);
             setError(t('errorJoiningRoom', { message: err.message }));
         } finally {
-            isJoiningRef.current = false;
+            if (!isBot) isJoiningRef.current = false;
         }
     }, [setError, t, setRoom, setGameState, setCurrentPlayer, isJoiningRef]);
 
 
-    const createRoom = useCallback(async (hostName, avatar, fingerprint) => {
+    const createRoom = useCallback(async (hostName, avatar, identity) => {
         if (isJoiningRef.current) return;
         isJoiningRef.current = true;
         try {
@@ -433,8 +486,8 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                     roundTime: 60,
                     voteDuration: 30,
                     maxScore: 5,
-                    kicked_names: [],
-                    selectedMode: 'Classic',
+                    kicked_identities: [],
+                    selectedMode: DEFAULT_MODE_ID,
                     spectatorEnabled: true,
                     manual_host_id: null
                 }
@@ -442,13 +495,13 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
 
             if (roomError) throw roomError;
 
-            const fullAvatar = `${avatar} | ${fingerprint}`;
-            const { data: newPlayer, error: playerError } = await supabase.from('players').insert([{
+            const { data: newPlayer, error: playerError } = await insertPlayer({
                 room_id: newRoom.id,
                 name: hostName,
-                avatar: fullAvatar,
+                avatar: normalizeAvatar(avatar),
+                identity_id: identity,
                 is_host: true
-            }]).select().single();
+            });
 
             if (playerError) throw playerError;
 
@@ -468,17 +521,17 @@ export const useRoomActions = ({ roomRef, currentPlayerRef, playersRef, setRoom,
                 playerId: newPlayer.id,
                 roomId: newRoom.id,
                 roomCode: code,
-                fingerprint
+                identity
             }));
 
             setRoom(newRoom);
-            setPlayers([newPlayer]);
+            setPlayers([decodePlayer(newPlayer)]);
             setGameState(newState);
             setCurrentPlayer({
                 id: newPlayer.id,
                 name: hostName,
-                avatar,
-                fingerprint,
+                avatar: normalizeAvatar(avatar),
+                identity,
                 is_host: true,
                 room_id: newRoom.id
             });
@@ -1,8 +1,19 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { supabase } from '../../supabaseClient';
 import { decodePlayer, getPhasePriority } from './roomUtils';
+import { getBotIds } from './bots';
+import { isKickedIdentity } from './playerIdentity';
 import { useLanguage } from '../LanguageContext';
 
+// Online and away player ids from a presence list. The host's presence also carries the bots it plays for.
+const collectPresence = (presences, ids, awayIds) => {
+    presences.forEach(p => {
+        ids.add(p.id);
+        if (p.isAway) awayIds.add(p.id);
+        (p.bots || []).forEach(botId => ids.add(botId));
+    });
+};
+
 export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlinePlayerIdsRef, gameStateRef, setRoom, setPlayers, setCurrentPlayer, setGameState, isExitingRef, addNotification) => {
     const { t } = useLanguage();
     const [onlinePlayerIds, setOnlinePlayerIds] = useState(new Set());
@@ -66,6 +77,19 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
         lastAnswerUpdateRef.current = Date.now();
     }, []);
 
+    const trackPresence = useCallback(async () => {
+        if (!channelRef.current || !currentPlayerRef.current?.id) return;
+        try {
+            await channelRef.current.track({
+                id: currentPlayerRef.current.id,
+                isAway: document.visibilityState === 'hidden',
+                bots: currentPlayerRef.current.is_host ? getBotIds(playersRef.current) : []
+            });
+        } catch (err) {
+            console.error("useRoomSync: failed to track presence", err);
+        }
+    }, [currentPlayerRef, playersRef]);
+
     // Subscribe to changes when room is active
     useEffect(() => {
         if (!room?.id) return;
@@ -78,11 +102,8 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
         }
 
         const handleVisibilityChange = async () => {
-            const isAway = document.visibilityState === 'hidden';
-            if (channelRef.current && currentPlayerRef.current?.id) {
-                console.log("useRoomSync: Visibility changed. isAway:", isAway);
-                await channelRef.current.track({ id: currentPlayerRef.current.id, isAway });
-            }
+            console.log("useRoomSync: Visibility changed. isAway:", document.visibilityState === 'hidden');
+            await trackPresence();
         };
 
         document.addEventListener('visibilitychange', handleVisibilityChange);
@@ -100,41 +121,13 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                 if (payload.eventType === 'UPDATE' || payload.eventType === 'INSERT') {
                     const updatedPlayer = decodePlayer(payload.new);
 
-                    // ECHO PREVENTION
+                    // ECHO PREVENTION: the answers store never lets a draft replace a final or an older
+                    // round/phase win (see the answers_table migration), so the server's last_answer is taken
+                    // as is. Only the echo of a write this client has just made optimistically is skipped,
+                    // as a newer one may still be queued behind it (see submitAnswer / saveDraft).
                     let finalPlayer = updatedPlayer;
-                    if (updatedPlayer.id === currentPlayerRef.current?.id) {
-                        const now = Date.now();
-                        const isRecentUpdate = now - lastAnswerUpdateRef.current < 2500;
-                        const serverAns = updatedPlayer.last_answer;
-                        const localAns = currentPlayerRef.current?.last_answer;
-                        const currentPhase = gameStateRef.current?.phase;
-
-                        let isSamePhase = false;
-                        if (!serverAns) isSamePhase = true;
-                        else if (currentPhase === 'vote') isSamePhase = serverAns.startsWith('vote:') || serverAns.startsWith('vote_multi:') || serverAns.startsWith('draft');
-                        else if (currentPhase === 'text') isSamePhase = serverAns.startsWith('text:') || serverAns.startsWith('draft');
-                        else if (currentPhase?.startsWith('emoji')) isSamePhase = serverAns.startsWith('emoji:') || serverAns.startsWith('draft');
-                        else if (currentPhase?.startsWith('interpretation')) isSamePhase = serverAns.startsWith('guess:') || serverAns.startsWith('draft');
-
-                        const isLateEcho = (isRecentUpdate && !serverAns) || (serverAns && !isSamePhase && !['lobby', 'scoreboard', 'winner'].includes(currentPhase));
-
-                        // RANK SYSTEM: 0 = Empty, 1 = Draft, 2 = Final
-                        const getRank = (ans) => (!ans ? 0 : ans.startsWith('draft') ? 1 : 2);
-                        const serverRank = getRank(serverAns);
-                        const localRank = getRank(localAns);
-
-                        const isRankRegression = serverRank < localRank;
-                        const isRecentPhaseChange = (now - lastPhaseUpdateRef.current < 4000);
-
-                        if (isLateEcho || (isRankRegression && !isRecentPhaseChange)) {
-                            if (!serverAns && isRecentPhaseChange) {
-                                console.log("useRoomSync: Server cleared answer and phase changed recently. NOT restoring local answer.");
-                                finalPlayer = updatedPlayer;
-                            } else {
-                                console.log("useRoomSync: Shielding local state from late/stale answer echo.", { server: serverAns, local: localAns, serverRank, localRank });
-                                finalPlayer = { ...updatedPlayer, last_answer: localAns };
-                            }
-                        }
+                    if (updatedPlayer.id === currentPlayerRef.current?.id && Date.now() - lastAnswerUpdateRef.current < 2500) {
+                        finalPlayer = { ...updatedPlayer, last_answer: currentPlayerRef.current?.last_answer };
                     }
 
                     setPlayers(prev => {
@@ -156,7 +149,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                                 prev.score !== finalPlayer.score ||
                                 prev.is_host !== finalPlayer.is_host ||
                                 prev.name !== finalPlayer.name ||
-                                prev.avatar !== finalPlayer.avatar;
+                                JSON.stringify(prev.avatar) !== JSON.stringify(finalPlayer.avatar);
                             return hasChanged ? finalPlayer : prev;
                         });
                     }
@@ -165,7 +158,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
 
                     if (currentPlayerRef.current?.id === payload.old.id && !isExitingRef.current) {
                         console.warn("useRoomSync: I have been deleted from the players table.");
-                        const isKicked = roomRef.current?.settings?.kicked_names?.includes(currentPlayerRef.current?.name);
+                        const isKicked = isKickedIdentity(roomRef.current?.settings, currentPlayerRef.current?.identity);
                         if (isKicked) setError('kickedError');
                         else setError('afkTimeout');
                     }
@@ -199,13 +192,9 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                     });
 
                     // Reactive Kick Detection
-                    if (currentPlayerRef.current?.name) {
-                        const kickedNames = payload.new.settings?.kicked_names || [];
-                        const kickedFingerprints = payload.new.settings?.kicked_fingerprints || [];
-                        if (kickedNames.includes(currentPlayerRef.current.name) || (currentPlayerRef.current.fingerprint && kickedFingerprints.includes(currentPlayerRef.current.fingerprint))) {
-                            console.warn("useRoomSync: Detected my name/fingerprint in kicked list. Bouncing...");
-                            setError('kickedError');
-                        }
+                    if (isKickedIdentity(payload.new.settings, currentPlayerRef.current?.identity)) {
+                        console.warn("useRoomSync: Detected my identity in kicked list. Bouncing...");
+                        setError('kickedError');
                     }
                 }
             })
@@ -213,12 +202,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                 const newState = channel.presenceState();
                 const ids = new Set();
                 const awayIds = new Set();
-                Object.values(newState).forEach(presences => {
-                    presences.forEach(p => {
-                        ids.add(p.id);
-                        if (p.isAway) awayIds.add(p.id);
-                    });
-                });
+                Object.values(newState).forEach(presences => collectPresence(presences, ids, awayIds));
                 setOnlinePlayerIds(ids);
                 setAwayPlayerIds(awayIds);
             })
@@ -235,7 +219,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                 }
                 setOnlinePlayerIds(prev => {
                     const next = new Set(prev);
-                    newPresences.forEach(p => next.add(p.id));
+                    collectPresence(newPresences, next, new Set());
                     return next;
                 });
                 setAwayPlayerIds(prev => {
@@ -248,12 +232,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                 const newState = channel.presenceState();
                 const onlineIds = new Set();
                 const awayIds = new Set();
-                Object.values(newState).forEach(presences => {
-                    presences.forEach(p => {
-                        onlineIds.add(p.id);
-                        if (p.isAway) awayIds.add(p.id);
-                    });
-                });
+                Object.values(newState).forEach(presences => collectPresence(presences, onlineIds, awayIds));
 
                 if (roomRef.current?.status === 'playing') {
                     const activePlayerIds = roomRef.current?.settings?.player_order || [];
@@ -334,20 +313,8 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
 
     // Secondary effect: Track presence once channel exists AND player is loaded
     useEffect(() => {
-        const trackPresence = async () => {
-            if (channelRef.current && currentPlayerRef.current?.id) {
-                try {
-                    await channelRef.current.track({
-                        id: currentPlayerRef.current.id,
-                        isAway: document.visibilityState === 'hidden'
-                    });
-                } catch (err) {
-                    console.error("useRoomSync: failed to track presence", err);
-                }
-            }
-        };
         trackPresence();
-    }, [room?.id, currentPlayerRef.current?.id]); // Re-run when room changes or player ID changes
+    }, [room?.id, currentPlayerRef.current?.id, trackPresence]); // Re-run when room changes or player ID changes
 
     // STALE ROOM DETECTOR (Split Brain)
     useEffect(() => {
@@ -455,13 +422,13 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
         return () => clearInterval(timer);
     }, [room?.id, isExitingRef, gameStateRef, currentPlayerRef, setGameState, setRoom]);
 
-    // HOST: ACTIVE AFK MONITOR & AUTO-HEAL
+    // HOST: ACTIVE AFK MONITOR
     useEffect(() => {
         if (!room?.id || !currentPlayerRef.current?.is_host) return;
 
         const monitorAFK = async () => {
             const currentPhase = gameStateRef.current?.phase;
-            if (['scoreboard', 'winner', 'reveal'].includes(currentPhase)) return; // No strict AFK handling needed here
+            if (['scoreboard', 'winner', 'match', 'reveal'].includes(currentPhase)) return; // No strict AFK handling needed here
 
             const currentPlayers = playersRef.current || [];
             if (currentPhase === 'lobby') {
@@ -488,39 +455,11 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
                     const lastSeenMs = p.last_seen ? new Date(p.last_seen).getTime() : Date.now();
                     const offlineDuration = Date.now() - lastSeenMs;
 
-                    // 1. Immediate Healing if no answer exists
-                    if (!p.last_answer || p.last_answer.startsWith('draft')) {
-                        let prefix = "";
-                        if (currentPhase === 'text') prefix = 'text:';
-                        else if (currentPhase.startsWith('emoji')) prefix = 'emoji:';
-                        else if (currentPhase.startsWith('interpretation')) prefix = 'guess:';
-
-                        if (prefix) {
-                            let healedPostfix = "Healed: Random";
-                            if (prefix === 'emoji:') {
-                                const backupEmojis = ["👻", "🤖", "💤", "🏃", "🫥", "🐢", "🐌", "🛌", "🌪️", "📵", "🔌", "💥"];
-                                const shuffled = [...backupEmojis].sort(() => 0.5 - Math.random());
-                                healedPostfix = "Healed:" + shuffled.slice(0, 3).join("");
-                            } else {
-                                const backupTexts = ["A mysterious ghost", "Something completely forgotten", "A strange artifact", "The quiet breeze", "A sneaky ninja", "A broken robot", "A sleepy turtle", "Just vibing", "Error 404: Brain not found", "A magical potato"];
-                                healedPostfix = "Healed:" + backupTexts[Math.floor(Math.random() * backupTexts.length)];
-                            }
-                            const healedAns = prefix + healedPostfix;
-
-                            console.log(`useRoomSync: Healing missing answer for offline player ${p.name}...`);
-                            // Update the player locally optimistic?
-                            // No, just in db, sync will pick it up
-                            await supabase.from('players').update({ last_answer: healedAns }).eq('id', p.id);
-                        }
-                    }
-
-                    // 2. Spectator Timeout (> 60s)
+                    // Spectator Timeout (> 60s). Missing answers need no healing: advance_phase puts
+                    // the fallback in when the phase closes.
                     if (offlineDuration > 60000) {
                         console.log(`useRoomSync: Player ${p.name} offline for >60s in-game. Moving to spectators...`);
-                        const newOrder = playingIds.filter(id => id !== p.id);
-                        await supabase.from('rooms').update({
-                            settings: { ...roomRef.current.settings, player_order: newOrder }
-                        }).eq('id', room.id);
+                        await supabase.rpc('remove_from_player_order', { p_room_id: room.id, p_player_ids: [p.id] });
 
                         addNotification(t('playerMovedToSpectator').replace('{name}', p.name), 'warning');
                     }
@@ -557,6 +496,7 @@ export const useRoomSync = (room, currentPlayerRef, playersRef, roomRef, onlineP
         clearError: () => setError(null),
         markSettingsDirty,
         markPhaseDirty,
-        markAnswerDirty
+        markAnswerDirty,
+        trackPresence
     };
 };
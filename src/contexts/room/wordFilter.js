@@ -0,0 +1,118 @@
+import { normalizeKeyword } from './emojiKeywords';
+
+// Optional safe-for-work filter for typed answers (text and guesses) and player names, stored in
+// settings.wordFilter and switched on by the host in the Lobby:
+//   { enabled, mode: 'mask' | 'reject', customWords: [...] }
+// The bundled lists cover en/fr/ar and every text is checked against all of them, whatever language its
+// writer plays in, along with the host's custom words. A bundled word that is ordinary in another of
+// these languages is listed in CROSS_LANGUAGE_WORDS instead of being matched.
+// Matching is per word, after the same folding as emoji search (case, accents, Arabic diacritics),
+// plus common leetspeak, stretched letters ("fuuuck") and a few suffixes ("fucking", "connards").
+
+export const WORD_FILTER_MODES = ['mask', 'reject'];
+export const MAX_CUSTOM_WORDS = 50;
+export const MAX_CUSTOM_WORD_LENGTH = 30;
+
+const DEFAULT_WORD_FILTER = { enabled: false, mode: 'mask', customWords: [] };
+
+const BLOCKED_WORDS = {
+    en: [
+        'fuck', 'motherfucker', 'shit', 'bullshit', 'bitch', 'ass', 'asshole', 'dumbass', 'jackass', 'bastard',
+        'cunt', 'dick', 'dickhead', 'cock', 'pussy', 'slut', 'whore', 'fag', 'faggot', 'nigger', 'nigga',
+        'retard', 'wanker', 'twat', 'prick', 'piss', 'dildo', 'tits', 'boobs', 'porn', 'jerk off', 'son of a bitch'
+    ],
+    fr: [
+        'merde', 'putain', 'pute', 'connard', 'connasse', 'salope', 'salaud', 'encule', 'enculer', 'bite',
+        'couille', 'chier', 'foutre', 'nique', 'niquer', 'batard', 'pd', 'pede', 'enfoire', 'bordel', 'branleur',
+        'pouffiasse', 'chiasse', 'ta gueule', 'nique ta mere', 'fils de pute'
+    ],
+    ar: [
+        'شرموطة', 'شرموط', 'عاهرة', 'قحبة', 'منيوك', 'منيك', 'نيك', 'متناك', 'كس', 'زب', 'طيز', 'خرا',
+        'لعنة', 'يلعن', 'ابن الكلب', 'ابن القحبة', 'ابن الشرموطة', 'كس امك'
+    ]
+};
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+const SUFFIXES = ['s', 'es', 'e', 'ee', 'ees', 'ed', 'er', 'ers', 'ing', 'in', 'y', 'ies', 'ent'];
+// Blocked as they are, but their suffixed forms are ordinary words ("cocky", "cocker spaniel", "pricked")
+const EXACT_ONLY = new Set(['cock', 'prick']);
+// In a bundled list, but ordinary words in another language ("bite" in English, "retard" in French):
+// never matched from the bundled lists, though a host can still add them as custom words
+const CROSS_LANGUAGE_WORDS = new Set(['bite', 'retard']);
+// Attached Arabic particles: "والقحبة" is "و" + "ال" + "قحبة"
+const ARABIC_PREFIXES = ['وال', 'بال', 'فال', 'ال', 'و', 'يا'];
+
+// Words of a text with their position, so matches can be masked in the original string
+const WORD_PATTERN = /[\p{L}\p{N}@$]+/gu;
+
+const foldWord = (word) => normalizeKeyword(word)
+    .replace(/[0-9@$]/g, ch => LEET[ch] ?? ch)
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي');
+
+// "fuuuck" -> "fuck" and "fuuck" (letters stretched three times or more)
+const unstretch = (word) => [word.replace(/(.)\1{2,}/gu, '$1'), word.replace(/(.)\1{2,}/gu, '$1$1')];
+
+const toPhrase = (entry) => String(entry || '').split(/\s+/).filter(Boolean).map(foldWord);
+
+const BUILT_IN_PHRASES = Object.values(BLOCKED_WORDS).flat()
+    .filter(word => !CROSS_LANGUAGE_WORDS.has(word))
+    .map(toPhrase);
+
+const normalizeCustomWords = (words) => (Array.isArray(words) ? words : [])
+    .map(word => String(word || '').trim().slice(0, MAX_CUSTOM_WORD_LENGTH))
+    .filter(Boolean)
+    .filter((word, i, all) => all.findIndex(w => foldWord(w) === foldWord(word)) === i)
+    .slice(0, MAX_CUSTOM_WORDS);
+
+export const getWordFilter = (settings) => {
+    const filter = { ...DEFAULT_WORD_FILTER, ...(settings?.wordFilter || {}) };
+    return {
+        enabled: !!filter.enabled,
+        mode: WORD_FILTER_MODES.includes(filter.mode) ? filter.mode : DEFAULT_WORD_FILTER.mode,
+        customWords: normalizeCustomWords(filter.customWords)
+    };
+};
+
+const wordMatches = (word, blocked, allowSuffix) => {
+    const forms = unstretch(word);
+    const stems = [...forms, ...forms.flatMap(form => ARABIC_PREFIXES.filter(p => form.startsWith(p) && form.length > p.length + 1).map(p => form.slice(p.length)))];
+    return stems.some(stem => stem === blocked || (allowSuffix && blocked.length >= 4 && !EXACT_ONLY.has(blocked) && SUFFIXES.some(suffix => stem === blocked + suffix)));
+};
+
+// [{ start, end }] ranges of `text` holding a blocked word or phrase
+export const findBlockedWords = (text, filter) => {
+    if (!filter?.enabled || !text) return [];
+    const words = Array.from(String(text).matchAll(WORD_PATTERN), m => ({ start: m.index, end: m.index + m[0].length, folded: foldWord(m[0]) }));
+    const phrases = [...BUILT_IN_PHRASES, ...filter.customWords.map(toPhrase)].filter(p => p.length > 0);
+    const ranges = [];
+
+    words.forEach((_, i) => {
+        phrases.forEach(phrase => {
+            if (i + phrase.length > words.length) return;
+            const isMatch = phrase.every((blocked, j) => wordMatches(words[i + j].folded, blocked, j === phrase.length - 1));
+            if (isMatch) ranges.push({ start: words[i].start, end: words[i + phrase.length - 1].end });
+        });
+    });
+    return ranges;
+};
+
+export const hasBlockedWords = (text, filter) => findBlockedWords(text, filter).length > 0;
+
+// Blocked words keep their first letter: "what the fuck" -> "what the f***"
+export const maskBlockedWords = (text, filter) => {
+    const chars = Array.from(String(text ?? ''));
+    const ranges = findBlockedWords(text, filter);
+    if (ranges.length === 0) return String(text ?? '');
+
+    // Ranges are UTF-16 offsets; walk the code points to map them
+    let offset = 0;
+    return chars.map(ch => {
+        const at = offset;
+        offset += ch.length;
+        const range = ranges.find(r => at >= r.start && at < r.end);
+        if (!range || at === range.start || /\s/.test(ch)) return ch;
+        return '*';
+    }).join('');
+};
@@ -1,16 +1,19 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
-
-const AVATARS = ['😎', '🦊', '🐱', '🐼', '🐸', '🦁', '🦄', '👻', '👾', '🤖', '🎃', '👽'];
+import { getWordFilter, hasBlockedWords } from '../contexts/room/wordFilter';
+import { AVATAR_COLORS, AVATAR_EMOJIS, AVATAR_FRAMES, isSameAvatar, loadSavedAvatar, normalizeAvatar, saveAvatar } from '../contexts/room/avatars';
+import { addRecentEmoji, loadRecentEmojis, loadSkinTone, saveSkinTone } from '../contexts/room/emojiCatalog';
+import EmojiPicker from '../components/EmojiPicker';
+import PlayerAvatar from '../components/PlayerAvatar';
 
 function AvatarSelection({ isDarkMode }) {
     const navigate = useNavigate();
     const location = useLocation();
     const { language, t } = useLanguage();
-    const { currentPlayer, updatePlayerProfile } = useRoom(); // Get profile functions
+    const { currentPlayer, players, room, updatePlayerProfile, checkRoomExists } = useRoom(); // Get profile functions
     const { playSound } = useSound();
     const [searchParams] = useSearchParams();
     const mode = searchParams.get('mode') || 'join';
@@ -23,46 +26,86 @@ function AvatarSelection({ isDarkMode }) {
         return localStorage.getItem('player_name') || '';
     };
 
-    const getInitialAvatarIdx = () => {
-        if (from === 'lobby' && currentPlayer?.avatar) {
-            const idx = AVATARS.indexOf(currentPlayer.avatar);
-            if (idx !== -1) return idx;
-        }
+    const getInitialAvatar = () => {
+        if (from === 'lobby' && currentPlayer?.avatar) return normalizeAvatar(currentPlayer.avatar);
         // Load from localStorage if available
-        const savedIdx = localStorage.getItem('player_avatar_idx');
-        return savedIdx ? parseInt(savedIdx, 10) : 0;
+        return loadSavedAvatar();
     };
 
     const [name, setName] = useState(getInitialName);
-    const [currentAvatarIndex, setCurrentAvatarIndex] = useState(getInitialAvatarIdx);
-    const [showError, setShowError] = useState(false);
+    const [avatar, setAvatar] = useState(getInitialAvatar);
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [showPicker, setShowPicker] = useState(false);
+    const [recentEmojis, setRecentEmojis] = useState(() => loadRecentEmojis());
+    // Skin tone: picked here, else the one this player saved last time. Before joining there is no
+    // identity to save it under yet, so the pick only lasts on this page.
+    const identity = currentPlayer?.identity;
+    const [pickedSkinTone, setPickedSkinTone] = useState(null);
+    const savedSkinTone = useMemo(() => identity ? loadSkinTone(identity) : 0, [identity]);
+    const skinTone = pickedSkinTone ?? savedSkinTone;
+
+    // Position in the preset carousel, -1 for an emoji picked from the full picker
+    const presetIndex = AVATAR_EMOJIS.indexOf(avatar.emoji);
 
-    const handleNextAvatar = () => {
+    // Editing from the lobby: joinRoom / updatePlayerProfile move a look someone already has to a free color
+    const isTaken = from === 'lobby' && (players || []).some(p => p.id !== currentPlayer?.id && isSameAvatar(p.avatar, avatar));
+
+    const stepPreset = (step) => {
         playSound('tap');
-        setCurrentAvatarIndex((prev) => (prev + 1) % AVATARS.length);
+        const next = presetIndex === -1 ? 0 : (presetIndex + step + AVATAR_EMOJIS.length) % AVATAR_EMOJIS.length;
+        setAvatar(prev => ({ ...prev, emoji: AVATAR_EMOJIS[next] }));
+    };
+
+    const handleNextAvatar = () => stepPreset(1);
+
+    const handlePrevAvatar = () => stepPreset(-1);
+
+    const handlePickEmoji = (emoji) => {
+        playSound('pop');
+        setAvatar(prev => ({ ...prev, emoji }));
+        setRecentEmojis(addRecentEmoji(emoji));
+        setShowPicker(false);
     };
 
-    const handlePrevAvatar = () => {
+    const pickSkinTone = (tone) => {
         playSound('tap');
-        setCurrentAvatarIndex((prev) => (prev - 1 + AVATARS.length) % AVATARS.length);
+        setPickedSkinTone(identity ? saveSkinTone(identity, tone) : tone);
+    };
+
+    const flashError = (message) => {
+        setErrorMessage(message);
+        setTimeout(() => setErrorMessage(null), 3000);
+    };
+
+    // Names follow the word filter of the room being edited or joined (a room being created has none yet)
+    const getRoomWordFilter = async () => {
+        if (from === 'lobby') return getWordFilter(room?.settings);
+        const roomCode = location.state?.roomCode;
+        if (!roomCode) return getWordFilter(null);
+        const roomData = await checkRoomExists(roomCode);
+        return getWordFilter(roomData?.settings);
     };
 
     const handleSubmit = async () => {
         if (!name.trim()) {
-            setShowError(true);
-            setTimeout(() => setShowError(false), 3000);
+            flashError(`${t('enterName')} ✍️`);
+            return;
+        }
+
+        if (hasBlockedWords(name, await getRoomWordFilter())) {
+            flashError(`${t('nameNotAllowed')} 🚫`);
             return;
         }
 
         if (from === 'lobby' && currentPlayer?.id) {
             // Edit Mode: Update Existing Profile
-            const success = await updatePlayerProfile(currentPlayer.id, name, AVATARS[currentAvatarIndex], currentPlayer.fingerprint);
+            const success = await updatePlayerProfile(currentPlayer.id, name, avatar);
             if (success) {
                 // Save to localStorage so it persists for next time
                 try {
                     localStorage.setItem('player_name', name.trim());
-                    localStorage.setItem('player_avatar_idx', currentAvatarIndex.toString());
                 } catch (e) { }
+                saveAvatar(avatar);
 
                 navigate(`/lobby?mode=${mode}`, { replace: true });
             } else {
@@ -73,13 +116,13 @@ function AvatarSelection({ isDarkMode }) {
             // Save to localStorage for persistence
             try {
                 localStorage.setItem('player_name', name.trim());
-                localStorage.setItem('player_avatar_idx', currentAvatarIndex.toString());
             } catch (e) { }
+            saveAvatar(avatar);
 
             navigate(`/lobby?mode=${mode}`, {
                 state: {
                     playerName: name.trim(),
-                    playerAvatar: AVATARS[currentAvatarIndex],
+                    playerAvatar: avatar,
                     roomCode: location.state?.roomCode
                 },
                 replace: true
@@ -88,7 +131,7 @@ function AvatarSelection({ isDarkMode }) {
     };
 
     return (
-        <div className="app-container" style={{ padding: '1.5rem', height: '100dvh', overflow: 'hidden', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', position: 'relative' }}>
+        <div className="app-container" style={{ padding: '1.5rem', minHeight: '100dvh', overflowY: 'auto', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', position: 'relative' }}>
 
             {/* Title */}
             <h1 style={{ color: isDarkMode ? '#C4B5FD' : '#6C63FF', fontSize: '2rem', fontWeight: '900', marginBottom: '30px', textShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
@@ -113,7 +156,7 @@ function AvatarSelection({ isDarkMode }) {
                     border: isDarkMode ? '5px solid rgba(255,255,255,0.2)' : '5px solid white',
                     backdropFilter: isDarkMode ? 'blur(5px)' : 'none'
                 }}>
-                    {AVATARS[currentAvatarIndex]}
+                    <PlayerAvatar avatar={avatar} />
                 </div>
 
                 {/* Right Arrow */}
@@ -123,10 +166,76 @@ function AvatarSelection({ isDarkMode }) {
             </div>
 
             {/* Index Indicator */}
-            <div style={{ color: isDarkMode ? '#9CA3AF' : '#6B7280', fontWeight: 'bold', marginBottom: '20px' }}>
-                {currentAvatarIndex + 1}/{AVATARS.length}
+            <div style={{ color: isDarkMode ? '#9CA3AF' : '#6B7280', fontWeight: 'bold', marginBottom: '10px' }}>
+                {presetIndex === -1 ? t('customAvatar') : `${presetIndex + 1}/${AVATAR_EMOJIS.length}`}
+            </div>
+
+            {/* Any Emoji */}
+            <button
+                onClick={() => { playSound('tap'); setShowPicker(true); }}
+                style={{
+                    background: 'none',
+                    border: `2px solid ${isDarkMode ? '#C4B5FD' : '#6C63FF'}`,
+                    color: isDarkMode ? '#C4B5FD' : '#6C63FF',
+                    borderRadius: '20px',
+                    padding: '6px 16px',
+                    fontWeight: '800',
+                    fontSize: '0.9rem',
+                    cursor: 'pointer',
+                    marginBottom: '20px'
+                }}
+            >
+                😀 {t('anyEmoji')}
+            </button>
+
+            {/* Color */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <span style={{ color: isDarkMode ? '#9CA3AF' : '#6B7280', fontWeight: '800', fontSize: '0.85rem', marginInlineEnd: '4px' }}>{t('avatarColor')}</span>
+                {AVATAR_COLORS.map(color => (
+                    <button
+                        key={color.id}
+                        aria-label={color.id}
+                        onClick={() => { playSound('tap'); setAvatar(prev => ({ ...prev, color: color.id })); }}
+                        style={{
+                            width: '30px',
+                            height: '30px',
+                            borderRadius: '50%',
+                            backgroundColor: color.id === 'none' ? 'white' : color.value,
+                            border: avatar.color === color.id ? '3px solid #6C63FF' : `2px ${color.id === 'none' ? 'dashed' : 'solid'} #D1D5DB`,
+                            cursor: 'pointer'
+                        }}
+                    />
+                ))}
             </div>
 
+            {/* Frame */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '20px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                <span style={{ color: isDarkMode ? '#9CA3AF' : '#6B7280', fontWeight: '800', fontSize: '0.85rem', marginInlineEnd: '4px' }}>{t('avatarFrame')}</span>
+                {AVATAR_FRAMES.map(frame => (
+                    <button
+                        key={frame.id}
+                        aria-label={frame.id}
+                        onClick={() => { playSound('tap'); setAvatar(prev => ({ ...prev, frame: frame.id })); }}
+                        style={{
+                            fontSize: '1.3rem',
+                            padding: '4px',
+                            borderRadius: '12px',
+                            background: avatar.frame === frame.id ? (isDarkMode ? 'rgba(255,255,255,0.15)' : '#EDE9FE') : 'none',
+                            border: avatar.frame === frame.id ? '2px solid #6C63FF' : '2px solid transparent',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        <PlayerAvatar avatar={{ ...avatar, frame: frame.id }} />
+                    </button>
+                ))}
+            </div>
+
+            {isTaken && (
+                <div style={{ color: '#F59E0B', fontWeight: '700', fontSize: '0.9rem', marginBottom: '15px', textAlign: 'center' }}>
+                    {t('avatarTaken')}
+                </div>
+            )}
+
             {/* Name Input */}
             <input
                 type="text"
@@ -171,6 +280,27 @@ function AvatarSelection({ isDarkMode }) {
                 {from === 'lobby' ? t('save') : t('enterRoom')} ✨
             </button>
 
+            {/* Profile Link */}
+            {from !== 'lobby' && (
+                <button
+                    onClick={() => {
+                        playSound('tap');
+                        navigate('/profile', { state: { fromAvatarSelection: true } });
+                    }}
+                    style={{
+                        marginTop: '20px',
+                        background: 'none',
+                        border: 'none',
+                        color: isDarkMode ? '#C4B5FD' : '#6C63FF',
+                        fontWeight: 'bold',
+                        cursor: 'pointer',
+                        fontSize: '1rem'
+                    }}
+                >
+                    📊 {t('myProfile')}
+                </button>
+            )}
+
             {/* Back Button */}
             {from !== 'lobby' && (
                 <button
@@ -193,7 +323,7 @@ function AvatarSelection({ isDarkMode }) {
             )}
 
             {/* Error Popover */}
-            {showError && (
+            {errorMessage && (
                 <div style={{
                     position: 'absolute',
                     bottom: '30px',
@@ -209,10 +339,21 @@ function AvatarSelection({ isDarkMode }) {
                     whiteSpace: 'nowrap',
                     zIndex: 100
                 }}>
-                    Please enter a name! ✍️
+                    {errorMessage}
                 </div>
             )}
 
+            {showPicker && (
+                <EmojiPicker
+                    title={t('pickAvatarEmoji')}
+                    onPick={handlePickEmoji}
+                    onClose={() => setShowPicker(false)}
+                    recentEmojis={recentEmojis}
+                    skinTone={skinTone}
+                    onSkinToneChange={pickSkinTone}
+                />
+            )}
+
             <style>{`
                 @keyframes shake {
                     10%, 90% { transform: translate3d(-51%, 0, 0); }
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useRoom } from '../contexts/RoomContext';
+import { useSound } from '../contexts/SoundContext';
+import { decodeAnswer, isAnswerForPhase, isFinalAnswer } from '../contexts/room/answerCodec';
+import { decodeDrawing, encodeDrawing, isDrawing } from '../contexts/room/drawingCodec';
+import { getModeConstraints } from '../contexts/room/gameModes';
+import { getPhaseStep } from '../contexts/room/roomUtils';
+
+import SpectatorView from '../components/SpectatorView';
+import DrawingCanvas from '../components/DrawingCanvas';
+import DrawingView from '../components/DrawingView';
+
+// Empty canvas is submitted as '' so the engine swaps in the fallback drawing
+const encodeStrokes = (strokes) => strokes.length > 0 ? encodeDrawing(strokes) : '';
+
+const secondsUntil = (expiry) => expiry ? Math.max(0, Math.ceil((Number(expiry) - Date.now()) / 1000)) : null;
+
+function DrawPhase({ isDarkMode }) {
+    const { t } = useLanguage();
+    const { playSound } = useSound();
+    const { room, players, currentPlayer, submitAnswer, saveDraft, gameState, onlinePlayerIds } = useRoom();
+    const [timeLeft, setTimeLeft] = useState(() => secondsUntil(gameState?.phase_expiry || room?.settings?.phase_expiry) ?? (room?.settings?.roundTime || 60));
+
+    // Prevent rendering wrong assignments when gameState.phase updates before room.settings.assignments
+    const currentPhase = gameState?.phase || 'draw_1';
+    const isPhaseAligned = room?.settings?.assignments?.[currentPhase] !== undefined;
+
+    const playingIds = room?.settings?.player_order || [];
+    const isSpectatorMode = !!(currentPlayer?.id && playingIds.length > 0 && !playingIds.includes(currentPlayer.id));
+
+    const [strokes, setStrokes] = useState([]);
+    const [hasInteracted, setHasInteracted] = useState(false);
+    const [hasRestored, setHasRestored] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [strokesPhase, setStrokesPhase] = useState(currentPhase);
+    const [isReadyToAdvance, setIsReadyToAdvance] = useState(false);
+    const lastTickRef = useRef(0);
+    const strokesRef = useRef([]); // Avoid stale closure in timer interval
+
+    // Reset the canvas on phase change (a draw-only cycle goes draw_1 -> draw_2 without leaving this page)
+    if (strokesPhase !== currentPhase) {
+        setStrokesPhase(currentPhase);
+        setStrokes([]);
+        setHasInteracted(false);
+        setHasRestored(false);
+        setIsSubmitting(false);
+        setIsReadyToAdvance(false);
+    }
+
+    useEffect(() => {
+        if (currentPhase.startsWith('draw')) playSound('whoosh');
+    }, [currentPhase, playSound]);
+
+    // Locked in locally, or the server already has our final drawing
+    const hasSubmitted = isSubmitting || isFinalAnswer(currentPlayer?.last_answer, currentPhase);
+
+    // RECONNECTION RESCUE: Restore the drawing from server if we just joined/refreshed
+    if (!hasRestored && !hasInteracted && strokes.length === 0 && isAnswerForPhase(currentPlayer?.last_answer, currentPhase)) {
+        const restored = decodeDrawing(decodeAnswer(currentPlayer.last_answer).value);
+        setHasRestored(true);
+        if (restored) setStrokes(restored);
+    }
+
+    useEffect(() => {
+        strokesRef.current = strokes;
+    }, [strokes]);
+
+    // Autosave Draft Drawing (Debounced, a bit longer than typed answers since strokes are heavier)
+    useEffect(() => {
+        if (hasSubmitted || !hasInteracted) return;
+        const timeoutId = setTimeout(() => {
+            saveDraft(encodeStrokes(strokes), currentPhase);
+        }, 500);
+        return () => clearTimeout(timeoutId);
+    }, [strokes, hasSubmitted, saveDraft, currentPhase, hasInteracted]);
+
+    // Final Draft Save on Unload (Last effort)
+    useEffect(() => {
+        const handleUnload = () => {
+            if (!hasSubmitted && strokes.length > 0) {
+                saveDraft(encodeStrokes(strokes), currentPhase);
+            }
+        };
+        window.addEventListener('beforeunload', handleUnload);
+        window.addEventListener('pagehide', handleUnload); // Safer for mobile
+        return () => {
+            window.removeEventListener('beforeunload', handleUnload);
+            window.removeEventListener('pagehide', handleUnload);
+        };
+    }, [strokes, hasSubmitted, saveDraft, currentPhase]);
+
+    // Dynamic Colors
+    const phraseColor = isDarkMode ? '#F5F3FF' : '#4C1D95';
+    const labelColor = isDarkMode ? '#F5F3FF' : '#4C1D95';
+    const darkPurple = '#4C1D95';
+
+    // Determine input source based on current phase and assigned chain
+    const assignments = room?.settings?.assignments?.[currentPhase] || {};
+    const chainId = assignments[currentPlayer?.id];
+    const chainHistory = room?.settings?.chains?.[chainId]?.history || [];
+
+    // We find the last valid content to avoid stalled "?" prompts
+    const lastStep = [...chainHistory].reverse().find(step => step.content);
+    const receivedContent = lastStep?.content || "A mystery lost in the void...";
+    const isReceivedDrawing = isDrawing(receivedContent);
+
+    const constraints = getModeConstraints(room?.settings, currentPhase);
+
+    // UI Readiness Check: dynamically exclude disconnected players
+    const activePlayingIds = playingIds.filter(id => onlinePlayerIds.has(id));
+    const totalPlayersCount = activePlayingIds.length || 0;
+
+    const playersReadyCount = players.filter(p =>
+        activePlayingIds.includes(p.id) &&
+        isFinalAnswer(p.last_answer, currentPhase)
+    ).length;
+
+    // STICKY READY COUNT: Prevent flicker to 0 during phase transition
+    if (!isReadyToAdvance && totalPlayersCount > 0 && playersReadyCount >= totalPlayersCount) {
+        setIsReadyToAdvance(true);
+    }
+    const displayedReadyCount = isReadyToAdvance ? (totalPlayersCount > 0 ? totalPlayersCount : 0) : playersReadyCount;
+
+    // Stable reference for expiry to prevent interval resets on noisy state updates
+    const expiryRef = useRef(gameState?.phase_expiry || room?.settings?.phase_expiry);
+    useEffect(() => {
+        const source = gameState?.phase_expiry || room?.settings?.phase_expiry;
+        if (source) expiryRef.current = source;
+    }, [gameState?.phase_expiry, room?.settings?.phase_expiry]);
+
+    const handleSubmit = (e) => {
+        if (e) e.preventDefault();
+        if (hasSubmitted) return;
+
+        setIsSubmitting(true);
+        if (!isSpectatorMode) playSound('giggle');
+        submitAnswer(encodeStrokes(strokesRef.current), currentPhase);
+    };
+
+    // The timer interval always calls the latest handleSubmit
+    const handleSubmitRef = useRef(handleSubmit);
+    useEffect(() => {
+        handleSubmitRef.current = handleSubmit;
+    });
+
+    // Sync Timer with Server (High-Precision Polling)
+    useEffect(() => {
+        const interval = setInterval(() => {
+            const secondsLeft = secondsUntil(expiryRef.current);
+            if (secondsLeft === null) return;
+
+            setTimeLeft(prev => prev !== secondsLeft ? secondsLeft : prev);
+
+            // Auto-Submit whatever is on the canvas if time is up
+            if (secondsLeft === 0 && !hasSubmitted) {
+                if (!isSpectatorMode) playSound('buzz');
+                handleSubmitRef.current();
+            }
+
+            // Tension: Tick during the final 10 seconds
+            if (secondsLeft > 0 && secondsLeft <= 10 && lastTickRef.current !== secondsLeft) {
+                playSound('tick');
+                lastTickRef.current = secondsLeft;
+            }
+        }, 200);
+
+        return () => clearInterval(interval);
+    }, [hasSubmitted, isSpectatorMode, playSound]);
+
+    const formatTime = (seconds) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    };
+
+    const handleStrokesChange = (next) => {
+        setStrokes(next);
+        setHasInteracted(true);
+    };
+
+    // Wait gracefully for DB sync if active player and phase hasn't physically aligned yet
+    const isCorrectPhaseType = currentPhase.startsWith('draw');
+    if ((!isPhaseAligned || !isCorrectPhaseType) && !isSpectatorMode) {
+        return (
+            <div className="app-container" style={{ minHeight: '100dvh', display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column' }}>
+                <div style={{ fontSize: '2rem', marginBottom: '10px' }}>⏳</div>
+                <div style={{ color: 'var(--phase-title)', fontSize: '1.2rem', fontWeight: 'bold', animation: 'pulse 1.5s infinite' }}>Syncing Phase...</div>
+            </div>
+        );
+    }
+
+    if (isSpectatorMode) {
+        return (
+            <div className="app-container" style={{ padding: '1.5rem', minHeight: '100dvh', overflowY: 'auto' }}>
+                <SpectatorView players={players} room={room} gameState={gameState} t={t} isDarkMode={isDarkMode} onlinePlayerIds={onlinePlayerIds} />
+
+                <div style={{ marginTop: '20px', textAlign: 'center', color: 'var(--phase-ready-text)', fontWeight: 'bold' }}>
+                    {t('playersReady')}: {displayedReadyCount}/{totalPlayersCount}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="app-container" style={{ padding: '1.5rem', minHeight: '100dvh', overflowY: 'auto' }}>
+            <div style={{ width: '100%', margin: '0 auto', display: 'flex', flexDirection: 'column', alignItems: 'center', paddingTop: '20px', paddingBottom: '40px' }}>
+
+                {/* Header */}
+                <h1 style={{ color: 'var(--phase-title)', fontSize: '2.2rem', fontWeight: '900', textAlign: 'center', marginBottom: '5px', textShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
+                    {t('drawPhaseTitle').replace('{n}', (getPhaseStep(currentPhase, room?.settings) ?? 1) + 1)}
+                </h1>
+
+                <div style={{ color: timeLeft < 10 ? '#EF4444' : 'var(--phase-title)', fontSize: '1.8rem', fontWeight: '800', marginBottom: '30px' }}>
+                    ⏱️ {(gameState?.phase_expiry || room?.settings?.phase_expiry) ? formatTime(timeLeft) : 'Syncing...'}
+                </div>
+
+                {!hasSubmitted ? (
+                    <div style={{ flex: 1, width: '100%', maxWidth: '500px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+
+                        {/* What to draw */}
+                        <div style={{ background: 'var(--phase-card-bg)', padding: '20px', borderRadius: '20px', border: '2px solid rgba(255,255,255,0.1)', backdropFilter: 'blur(5px)', textAlign: 'center' }}>
+                            <p style={{ color: labelColor, fontSize: '0.9rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '8px' }}>{t('drawThis')}</p>
+                            {isReceivedDrawing ? (
+                                <DrawingView value={receivedContent} style={{ maxWidth: '220px', margin: '0 auto' }} />
+                            ) : (
+                                <p style={{ color: phraseColor, fontSize: '1.5rem', fontWeight: '900' }}>"{receivedContent}"</p>
+                            )}
+                        </div>
+
+                        <DrawingCanvas
+                            strokes={strokes}
+                            onChange={handleStrokesChange}
+                            maxStrokes={constraints.maxStrokes}
+                            t={t}
+                            playSound={playSound}
+                        />
+
+                        <button
+                            onClick={handleSubmit}
+                            className="action-btn"
+                            disabled={strokes.length === 0}
+                            style={{
+                                width: '100%',
+                                padding: '22px',
+                                borderRadius: '25px',
+                                fontSize: '1.6rem',
+                                opacity: strokes.length > 0 ? 1 : 0.7,
+                                background: 'var(--phase-title)',
+                                boxShadow: '0 10px 20px rgba(0, 0, 0, 0.1)'
+                            }}
+                        >
+                            {t('lockInDrawing')} 🔒
+                        </button>
+                    </div>
+                ) : (
+                    <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', width: '100%' }}>
+                        <div style={{ textAlign: 'center', background: 'white', padding: '40px', borderRadius: '30px', boxShadow: '0 15px 35px rgba(0,0,0,0.15)', animation: 'bounce-in 0.5s cubic-bezier(0.175, 0.885, 0.32, 1.275)', maxWidth: '400px' }}>
+                            <div style={{ fontSize: '4rem', marginBottom: '20px' }}>🎨</div>
+                            <h2 style={{ color: darkPurple, fontWeight: '900', fontSize: '2rem', marginBottom: '10px' }}>{t('masterpieceSent')}</h2>
+                            <p style={{ color: '#6B7280', fontSize: '1.1rem', fontWeight: '600' }}>{t('waitingArtists')}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Footer Status */}
+                <div style={{
+                    marginTop: '40px',
+                    marginBottom: '40px',
+                    backgroundColor: 'var(--phase-ready-bg)',
+                    backdropFilter: 'blur(10px)',
+                    padding: '14px 35px',
+                    borderRadius: '50px',
+                    color: 'var(--phase-ready-text)',
+                    fontWeight: '900',
+                    fontSize: '1.3rem',
+                    border: '3px solid var(--phase-ready-text)22'
+                }}>
+                    {t('playersReady')}: <span style={{ fontWeight: 'bold' }}>{displayedReadyCount}/{totalPlayersCount}</span>
+                </div>
+            </div>
+
+            <style>{`
+                @keyframes bounce-in {
+                    0% { transform: scale(0.3); opacity: 0; }
+                    100% { transform: scale(1); opacity: 1; }
+                }
+            `}</style>
+        </div>
+    );
+}
+
+export default DrawPhase;
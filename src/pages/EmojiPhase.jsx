@@ -1,15 +1,21 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
-import { EMOJI_DATA, EMOJI_CATEGORIES } from '../contexts/room/emojiData';
+import { decodeAnswer, isFinalAnswer } from '../contexts/room/answerCodec';
+import { addRecentEmoji, applySkinTone, findEmoji, loadRecentEmojis, loadSkinTone, saveSkinTone } from '../contexts/room/emojiCatalog';
+import { getEmojiRuleError, getModeConstraints, isEmojiAllowed } from '../contexts/room/gameModes';
+import { getPhaseStep } from '../contexts/room/roomUtils';
+import { suggestEmojis } from '../contexts/room/emojiSuggest';
+import { splitEmojiAnswer } from '../contexts/room/emojiGuard';
 
 import SpectatorView from '../components/SpectatorView';
+import EmojiPicker from '../components/EmojiPicker';
 
 function EmojiPhase({ isDarkMode }) {
     const navigate = useNavigate();
-    const { t } = useLanguage();
+    const { t, language } = useLanguage();
     const { playSound } = useSound();
     const { room, players, currentPlayer, submitAnswer, saveDraft, isHost, gameState, error, onlinePlayerIds } = useRoom();
     const [timeLeft, setTimeLeft] = useState(room?.settings?.roundTime || 60);
@@ -49,20 +55,14 @@ function EmojiPhase({ isDarkMode }) {
     useEffect(() => {
         if (!currentPlayer?.last_answer || selectedEmojis.length > 0 || hasSubmitted || hasInteracted) return;
 
-        const last = currentPlayer.last_answer;
+        const last = decodeAnswer(currentPlayer.last_answer);
+        if (last?.kind !== 'emoji' || !last.value) return;
 
-        if (last.startsWith('emoji:')) {
-            const restoredStr = last.substring(6);
-            if (restoredStr.startsWith('Healed:')) {
-                const emojiPart = restoredStr.replace('Healed:', '').trim();
-                setSelectedEmojis([emojiPart]);
-            } else {
-                setSelectedEmojis(restoredStr.split(' '));
-                setHasSubmitted(true);
-            }
-        } else if (last.startsWith('draft_emoji:')) {
-            const restored = last.substring(12).split(' ');
-            setSelectedEmojis(restored);
+        if (last.healed) {
+            setSelectedEmojis(splitEmojiAnswer(last.value) || []);
+        } else {
+            setSelectedEmojis(last.value.split(' '));
+            if (!last.draft) setHasSubmitted(true);
         }
     }, [currentPlayer?.last_answer, selectedEmojis, hasSubmitted]);
 
@@ -88,14 +88,13 @@ function EmojiPhase({ isDarkMode }) {
     useEffect(() => {
         if (hasSubmitted || selectedEmojis.length === 0) return;
 
-        const expected = `draft_emoji:${selectedEmojis.join(' ')}`;
-        const actual = currentPlayer?.last_answer;
+        const actual = decodeAnswer(currentPlayer?.last_answer);
+        const isSynced = actual?.kind === 'emoji' && actual.draft && actual.value === selectedEmojis.join(' ');
 
-        if (actual !== expected) {
+        if (!isSynced) {
             const timer = setTimeout(() => {
                 // Re-check after 0.35s of inactivity/mismatch
-                if (currentPlayer?.last_answer !== expected &&
-                    JSON.stringify(selectedEmojisRef.current) === JSON.stringify(selectedEmojis)) {
+                if (JSON.stringify(selectedEmojisRef.current) === JSON.stringify(selectedEmojis)) {
                     saveDraft(selectedEmojis.join(' '), gameState?.phase || 'emoji_1');
                 }
             }, 350);
@@ -118,8 +117,14 @@ function EmojiPhase({ isDarkMode }) {
         };
     }, [selectedEmojis, hasSubmitted, saveDraft, gameState?.phase]);
     const [showPicker, setShowPicker] = useState(false);
-    const [searchQuery, setSearchQuery] = useState('');
-    const [selectedCategory, setSelectedCategory] = useState('smileys'); // Default category
+    const [recentEmojis, setRecentEmojis] = useState(() => loadRecentEmojis());
+    const [showSuggestions, setShowSuggestions] = useState(false);
+    const [ruleError, setRuleError] = useState(null);
+
+    // Skin tone: picked this session, else the one this player saved last time
+    const [pickedSkinTone, setPickedSkinTone] = useState(null);
+    const savedSkinTone = useMemo(() => loadSkinTone(currentPlayer?.identity), [currentPlayer?.identity]);
+    const skinTone = pickedSkinTone ?? savedSkinTone;
 
 
     // Dynamic Colors
@@ -135,30 +140,28 @@ function EmojiPhase({ isDarkMode }) {
 
     // Determine prompt based on chain history
     // (We find the last valid content to avoid stalled "?" prompts)
-    const isEmojiOnly = room?.settings?.selectedMode === 'Emoji Only';
     const lastStep = [...chainHistory].reverse().find(step => step.content);
     const receivedContent = lastStep?.content || "A mystery lost in the void...";
     const isReceivedEmojis = lastStep?.phase.startsWith('emoji');
 
 
-    // Face emojis used for "No Faces" mode filtering
-    const faceEmojis = EMOJI_DATA.filter(e => e.category === 'smileys').map(e => e.emoji);
+    // Input rules of the room's game mode (e.g. "No Faces" bans the smileys category) and the host's emoji rules
+    const constraints = getModeConstraints(room?.settings, currentPhase);
+    const maxEmojis = constraints.maxEmojis || 10;
+    const minEmojis = constraints.minEmojis || 1;
 
-    const isNoFacesMode = room?.settings?.selectedMode === 'No Faces';
-
-    // Filtering logic for the picker
-    const filteredEmojis = EMOJI_DATA.filter(item => {
-        // 1. Filter by Search Query (if any)
-        if (searchQuery.trim()) {
-            const query = searchQuery.toLowerCase().trim();
-            return item.keywords.some(k => k.toLowerCase().includes(query));
-        }
-        // 2. Filter by Category (if no search)
-        return item.category === selectedCategory;
-    });
+    // Keyword matches for the received phrase, minus what the picker would disable anyway
+    const suggestions = useMemo(() => (
+        isReceivedEmojis ? [] : suggestEmojis(receivedContent, { language, constraints, exclude: constraints.noPromptEmojis ? receivedContent : [] })
+            .map(emoji => applySkinTone(findEmoji(emoji), skinTone))
+    ), [isReceivedEmojis, receivedContent, language, constraints, skinTone]);
 
-    // Filtering logic (Visual Only now): Prompt emojis remain in list but are disabled
-    // In "No Faces" mode, face emojis are also disabled
+    // Picker (Visual Only): emojis breaking the mode's bans or the host's rules stay listed but disabled;
+    // a full selection only shows its error on click
+    const isPickerEmojiDisabled = (item, emoji) => (
+        ![null, 'emojiRuleMax'].includes(getEmojiRuleError(emoji, selectedEmojis, constraints, receivedContent))
+        || !isEmojiAllowed(item, constraints)
+    );
 
     // UI Readiness Check: dynamically exclude disconnected players so the UI fractional text stays perfect
     const activePlayingIds = playingIds.filter(id => onlinePlayerIds.has(id));
@@ -166,7 +169,7 @@ function EmojiPhase({ isDarkMode }) {
 
     const playersReadyCount = players.filter(p =>
         activePlayingIds.includes(p.id) &&
-        p.last_answer && p.last_answer.startsWith('emoji:')
+        isFinalAnswer(p.last_answer, currentPhase)
     ).length;
 
     // STICKY READY COUNT: Prevent flicker to 0 during phase transition
@@ -179,13 +182,13 @@ function EmojiPhase({ isDarkMode }) {
 
     // Sync local hasSubmitted with DB state (last_answer exists)
     useEffect(() => {
-        if (currentPlayer?.last_answer && currentPlayer.last_answer.startsWith('emoji:')) {
+        if (isFinalAnswer(currentPlayer?.last_answer, currentPhase)) {
             setHasSubmitted(true);
         } else if (!isSubmittingRef.current) {
             // Revert to false if we aren't currently in the middle of a submission
             setHasSubmitted(false);
         }
-    }, [currentPlayer?.last_answer]);
+    }, [currentPlayer?.last_answer, currentPhase]);
 
     // IMMEDIATE Timer Sync on mount/update
     useEffect(() => {
@@ -254,12 +257,24 @@ function EmojiPhase({ isDarkMode }) {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     };
 
+    // Rules are checked as emojis are added; the server re-checks the final answer (see applyEmojiConstraints)
     const addEmoji = (emoji) => {
-        if (selectedEmojis.length < 10) {
-            playSound('pop');
-            setSelectedEmojis([...selectedEmojis, emoji]);
-            setHasInteracted(true);
+        const errorKey = getEmojiRuleError(emoji, selectedEmojis, constraints, receivedContent);
+        if (errorKey) {
+            playSound('buzz');
+            setRuleError(t(errorKey).replace('{n}', maxEmojis));
+            setTimeout(() => setRuleError(null), 3000);
+            return;
         }
+        playSound('pop');
+        setSelectedEmojis([...selectedEmojis, emoji]);
+        setHasInteracted(true);
+        setRecentEmojis(addRecentEmoji(emoji));
+    };
+
+    const pickSkinTone = (tone) => {
+        playSound('tap');
+        setPickedSkinTone(saveSkinTone(currentPlayer?.identity, tone));
     };
 
     const removeEmoji = (index) => {
@@ -285,7 +300,7 @@ function EmojiPhase({ isDarkMode }) {
         // when the timer expires and automatically calls handleSubmit.
         setHasSubmitted(true);
         if (!isSpectatorMode) playSound('giggle');
-        submitAnswer(`emoji:${currentEmojis.join(' ')}`).finally(() => {
+        submitAnswer(currentEmojis.join(' '), gameState?.phase || 'emoji_1').finally(() => {
             // Keep marked as submitted even after promise resolves
         });
     };
@@ -339,15 +354,7 @@ function EmojiPhase({ isDarkMode }) {
 
                 {/* Header */}
                 <h1 style={{ color: 'var(--phase-title)', fontSize: '2.2rem', fontWeight: '900', textAlign: 'center', marginBottom: '5px', textShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
-                    {t('phase2Title').replace(/\d+/, () => {
-                        const p = gameState?.phase;
-                        if (p === 'emoji_1') return 2;
-                        if (p === 'emoji_2') return isEmojiOnly ? 3 : 4;
-                        if (p === 'emoji_3') return isEmojiOnly ? 4 : 6;
-                        if (p === 'emoji_4') return 5;
-                        if (p === 'emoji_5') return 6;
-                        return 2;
-                    })}
+                    {t('phase2Title').replace(/\d+/, () => (getPhaseStep(currentPhase, room?.settings) ?? 1) + 1)}
                 </h1>
 
                 <div style={{ color: timeLeft < 10 ? '#EF4444' : 'var(--phase-title)', fontSize: '1.8rem', fontWeight: '800', marginBottom: '30px' }}>
@@ -367,6 +374,33 @@ function EmojiPhase({ isDarkMode }) {
                             ) : (
                                 <p style={{ color: phraseColor, fontSize: '1.5rem', fontWeight: '900' }}>"{receivedContent}"</p>
                             )}
+
+                            {/* Suggest: ranked emojis whose keywords match the phrase */}
+                            {suggestions.length > 0 && (
+                                <div style={{ marginTop: '15px' }}>
+                                    <button
+                                        onClick={() => { playSound('tap'); setShowSuggestions(!showSuggestions); }}
+                                        style={{ background: 'none', border: `2px solid ${labelColor}`, color: labelColor, borderRadius: '20px', padding: '6px 16px', fontWeight: '800', fontSize: '0.9rem', cursor: 'pointer' }}
+                                    >
+                                        💡 {t(showSuggestions ? 'hideSuggestions' : 'suggestEmojis')}
+                                    </button>
+                                    {showSuggestions && (
+                                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', justifyContent: 'center', marginTop: '12px' }}>
+                                            {suggestions.map(emoji => (
+                                                <button
+                                                    key={emoji}
+                                                    onClick={() => addEmoji(emoji)}
+                                                    disabled={selectedEmojis.length >= maxEmojis}
+                                                    className="hover-pop"
+                                                    style={{ fontSize: '2rem', background: 'rgba(255,255,255,0.6)', border: 'none', borderRadius: '12px', padding: '4px 8px', cursor: selectedEmojis.length >= maxEmojis ? 'not-allowed' : 'pointer' }}
+                                                >
+                                                    {emoji}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                         </div>
 
                         {/* Emoji Preview Area */}
@@ -424,16 +458,23 @@ function EmojiPhase({ isDarkMode }) {
                             </button>
                         </div>
 
+                        {/* Emoji rule errors: the last rejected pick, else a selection that is still too short */}
+                        {(ruleError || (selectedEmojis.length > 0 && selectedEmojis.length < minEmojis)) && (
+                            <div style={{ marginTop: '-15px', textAlign: 'center', color: '#EF4444', fontWeight: '800', fontSize: '1rem' }}>
+                                ⚠️ {ruleError || t('emojiRuleMin').replace('{n}', minEmojis)}
+                            </div>
+                        )}
+
                         <button
                             onClick={handleSubmit}
                             className="action-btn"
-                            disabled={selectedEmojis.length === 0}
+                            disabled={selectedEmojis.length < minEmojis}
                             style={{
                                 width: '100%',
                                 padding: '22px',
                                 borderRadius: '25px',
                                 fontSize: '1.6rem',
-                                opacity: selectedEmojis.length > 0 ? 1 : 0.7,
+                                opacity: selectedEmojis.length >= minEmojis ? 1 : 0.7,
                                 background: 'var(--phase-title)',
                                 boxShadow: `0 10px 20px rgba(0, 0, 0, 0.1)`
                             }}
@@ -470,137 +511,16 @@ function EmojiPhase({ isDarkMode }) {
 
             {/* Emoji Picker Overlay */}
             {showPicker && (
-                <div style={{
-                    position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
-                    backgroundColor: 'rgba(0,0,0,0.4)', backdropFilter: 'blur(8px)',
-                    zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center',
-                    padding: '20px', animation: 'fadeIn 0.2s ease'
-                }} onClick={() => setShowPicker(false)}>
-                    <div style={{
-                        backgroundColor: 'white', borderRadius: '35px', width: '100%', maxWidth: '450px',
-                        padding: '30px', boxShadow: '0 25px 50px rgba(0,0,0,0.3)',
-                        animation: 'popIn 0.3s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
-                    }} onClick={e => e.stopPropagation()}>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '25px' }}>
-                            <h3 style={{ color: darkPurple, fontWeight: '900', fontSize: '1.5rem' }}>{t('pickEmoji')}</h3>
-                            <button onClick={() => { playSound('tap'); setShowPicker(false); }} style={{ background: '#F3F4F6', border: 'none', borderRadius: '50%', width: '40px', height: '40px', cursor: 'pointer', fontSize: '1.2rem', fontWeight: 'bold' }}>✕</button>
-                        </div>
-
-                        {/* Search Bar */}
-                        <div style={{ position: 'relative', marginBottom: '15px' }}>
-                            <input
-                                type="text"
-                                value={searchQuery}
-                                onChange={(e) => setSearchQuery(e.target.value)}
-                                placeholder={t('searchEmojis') || "Search emojis..."}
-                                style={{
-                                    width: '100%',
-                                    padding: '12px 15px 12px 40px',
-                                    borderRadius: '15px',
-                                    border: '2px solid #F3F4F6',
-                                    fontSize: '1rem',
-                                    outline: 'none',
-                                    transition: 'border-color 0.2s',
-                                    backgroundColor: '#F9FAFB'
-                                }}
-                                onFocus={(e) => e.target.style.borderColor = darkPurple}
-                                onBlur={(e) => e.target.style.borderColor = '#F3F4F6'}
-                            />
-                            <span style={{ position: 'absolute', left: '15px', top: '50%', transform: 'translateY(-50%)', opacity: 0.5 }}>🔍</span>
-                            {searchQuery && (
-                                <button 
-                                    onClick={() => setSearchQuery('')}
-                                    style={{ position: 'absolute', right: '10px', top: '50%', transform: 'translateY(-50%)', background: 'none', border: 'none', cursor: 'pointer', opacity: 0.5, fontSize: '0.9rem' }}
-                                >✕</button>
-                            )}
-                        </div>
-
-                        {/* Category Navigation */}
-                        <div style={{ 
-                            display: 'flex', 
-                            gap: '10px', 
-                            overflowX: 'auto', 
-                            paddingBottom: '15px', 
-                            marginBottom: '15px',
-                            borderBottom: '1px solid #F3F4F6'
-                        }} className="no-scrollbar">
-                            {EMOJI_CATEGORIES.map(cat => (
-                                <button
-                                    key={cat.id}
-                                    onClick={() => { playSound('tap'); setSelectedCategory(cat.id); setSearchQuery(''); }}
-                                    style={{
-                                        display: 'flex',
-                                        alignItems: 'center',
-                                        gap: '6px',
-                                        padding: '8px 12px',
-                                        borderRadius: '12px',
-                                        border: 'none',
-                                        whiteSpace: 'nowrap',
-                                        fontSize: '0.9rem',
-                                        fontWeight: '700',
-                                        cursor: 'pointer',
-                                        backgroundColor: selectedCategory === cat.id && !searchQuery ? darkPurple : '#F3F4F6',
-                                        color: selectedCategory === cat.id && !searchQuery ? 'white' : '#6B7280',
-                                        transition: 'all 0.2s'
-                                    }}
-                                >
-                                    <span>{cat.icon}</span>
-                                    <span>{cat.label}</span>
-                                </button>
-                            ))}
-                        </div>
-
-                        <div style={{
-                            display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '5px',
-                            maxHeight: '350px', overflowY: 'auto', padding: '5px', justifyItems: 'center'
-                        }} className="no-scrollbar">
-                            {filteredEmojis.length === 0 ? (
-                                <div style={{ gridColumn: 'span 5', padding: '20px', textAlign: 'center', color: '#9CA3AF' }}>
-                                    {t('noEmojisFound') || "No emojis found..."}
-                                </div>
-                            ) : (
-                                filteredEmojis.map((item, index) => {
-                                    const emoji = item.emoji;
-                                    const isUsedInPrompt = receivedContent.includes(emoji);
-                                    const isFaceAndBanned = isNoFacesMode && faceEmojis.includes(emoji);
-                                    const isDisabled = isUsedInPrompt || isFaceAndBanned;
-                                    return (
-                                        <button
-                                            key={index}
-                                            onClick={() => {
-                                                if (!isDisabled) {
-                                                    addEmoji(emoji);
-                                                }
-                                            }}
-                                            disabled={isDisabled}
-                                            style={{
-                                                fontSize: '2.5rem',
-                                                background: 'none',
-                                                border: 'none',
-                                                cursor: isDisabled ? 'not-allowed' : 'pointer',
-                                                padding: '5px',
-                                                transition: 'transform 0.1s',
-                                                opacity: isDisabled ? 0.3 : 1,
-                                                filter: isDisabled ? 'grayscale(100%)' : 'none',
-                                                transform: isDisabled ? 'none' : undefined
-                                            }}
-                                            className={isDisabled ? '' : "hover-pop"}
-                                        >
-                                            {emoji}
-                                        </button>
-                                    );
-                                })
-                            )}
-                        </div>
-
-                        <button
-                            onClick={() => { playSound('tap'); setShowPicker(false); }}
-                            style={{ width: '100%', marginTop: '25px', padding: '15px', background: darkPurple, color: 'white', border: 'none', borderRadius: '15px', fontWeight: '900', fontSize: '1.2rem', cursor: 'pointer' }}
-                        >
-                            {t('done')} ✨
-                        </button>
-                    </div>
-                </div>
+                <EmojiPicker
+                    title={t('pickEmoji')}
+                    onPick={addEmoji}
+                    onClose={() => setShowPicker(false)}
+                    recentEmojis={recentEmojis}
+                    skinTone={skinTone}
+                    onSkinToneChange={pickSkinTone}
+                    isEmojiDisabled={isPickerEmojiDisabled}
+                    error={ruleError}
+                />
             )}
 
 
@@ -610,14 +530,6 @@ function EmojiPhase({ isDarkMode }) {
                     0% { transform: scale(0.3); opacity: 0; }
                     100% { transform: scale(1); opacity: 1; }
                 }
-                @keyframes popIn {
-                    0% { transform: scale(0.8); opacity: 0; }
-                    100% { transform: scale(1); opacity: 1; }
-                }
-                @keyframes fadeIn {
-                    from { opacity: 0; }
-                    to { opacity: 1; }
-                }
                 .hover-pop:hover { transform: scale(1.2); }
                 .hover-pop:active { transform: scale(0.9); transition: transform 0.1s; }
                 
@@ -630,9 +542,6 @@ function EmojiPhase({ isDarkMode }) {
                 .emoji-animated {
                     animation: emoji-jump 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275) forwards;
                 }
-
-                .no-scrollbar::-webkit-scrollbar { display: none; }
-                .no-scrollbar { -ms-overflow-style: none; scrollbar-width: none; }
             `}</style>
         </div>
     );
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useSound } from '../contexts/SoundContext';
+import { getRevealChains } from '../contexts/room/roomUtils';
+import { getArchivedStandings, loadArchivedGame } from '../contexts/room/gameArchive';
+import ChainStepCard from '../components/ChainStepCard';
+
+// Replays an archived game: every round's chains revealed step by step like RevealPhase, the
+// player pressing "next" instead of the host, then each round's votes and the final scores.
+function GameReplay({ isDarkMode }) {
+    const navigate = useNavigate();
+    const { t, language } = useLanguage();
+    const { playSound } = useSound();
+    const [searchParams] = useSearchParams();
+    const gameId = searchParams.get('id');
+    const isRTL = language === 'ar';
+
+    const [game, setGame] = useState(null);
+    const [isMissing, setIsMissing] = useState(false);
+    const [position, setPosition] = useState({ chainIndex: 0, step: 1 });
+    const revealEndRef = useRef(null);
+
+    useEffect(() => {
+        if (!gameId) return;
+        let cancelled = false;
+        loadArchivedGame(gameId).then(data => {
+            if (cancelled) return;
+            if (data) setGame(data);
+            else setIsMissing(true);
+        });
+        return () => { cancelled = true; };
+    }, [gameId]);
+
+    const names = game?.player_names || {};
+    const getName = (id) => {
+        if (id === 'ghost_player') return `👻 ${t('mysteryPlayer')}`;
+        return names[id] || '...';
+    };
+
+    // Chains of all rounds, in play order
+    const chains = (game?.rounds || []).flatMap(round => getRevealChains(round.chains, getName).map(chain => ({ ...chain, round: round.round })));
+    const { chainIndex, step } = position;
+    const isFinished = chainIndex >= chains.length;
+    const currentChain = chains[chainIndex];
+
+    useEffect(() => {
+        if (step > 1) revealEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        else window.scrollTo({ top: 0, behavior: 'instant' });
+    }, [chainIndex, step]);
+
+    const handleNext = () => {
+        if (isFinished) return;
+        if (step < currentChain.steps.length) {
+            playSound('pop');
+            setPosition({ chainIndex, step: step + 1 });
+        } else {
+            playSound(chainIndex + 1 < chains.length ? 'sparkle' : 'whoosh');
+            setPosition({ chainIndex: chainIndex + 1, step: 1 });
+        }
+    };
+
+    const handleRestart = () => {
+        playSound('tap');
+        setPosition({ chainIndex: 0, step: 1 });
+    };
+
+    const subTextColor = isDarkMode ? '#9CA3AF' : '#6B7280';
+    const cardBg = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.9)';
+    const textColor = isDarkMode ? '#F9FAFB' : '#1F2937';
+
+    if (!game) {
+        return (
+            <div className="app-container" style={{ minHeight: '100dvh', display: 'flex', justifyContent: 'center', alignItems: 'center', flexDirection: 'column', gap: '20px' }}>
+                <div style={{ fontSize: '2rem' }}>{isMissing || !gameId ? '🫥' : '⏳'}</div>
+                {(isMissing || !gameId) && (
+                    <>
+                        <div style={{ color: 'var(--phase-title)', fontSize: '1.2rem', fontWeight: 'bold' }}>{t('gameNotFound')}</div>
+                        <button onClick={() => { playSound('tap'); navigate('/past-games'); }} className="action-btn" style={{ width: '200px' }}>
+                            {t('back')}
+                        </button>
+                    </>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="app-container" style={{ padding: '1.5rem', paddingBottom: '120px', minHeight: '100dvh', overflowY: 'auto', direction: isRTL ? 'rtl' : 'ltr' }}>
+            <div style={{ width: '100%', margin: '0 auto', display: 'flex', flexDirection: 'column', alignItems: 'center', paddingTop: '40px', paddingBottom: '40px' }}>
+
+                <h1 style={{ color: 'var(--phase-title)', fontSize: '2.5rem', fontWeight: '900', textAlign: 'center', marginBottom: '10px', textShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
+                    {t('replayTitle')} 🎞️
+                </h1>
+                <p style={{ color: 'var(--phase-title)', fontWeight: '800', marginBottom: '30px', opacity: 0.7 }}>
+                    {game.room_code} · {new Date(game.finished_at).toLocaleDateString(language, { dateStyle: 'medium' })}
+                    {!isFinished && ` · ${t('roundNumber').replace('{n}', currentChain.round)} · ${t('chainCount').replace('{current}', chainIndex + 1).replace('{total}', chains.length)}`}
+                </p>
+
+                {!isFinished ? (
+                    <div style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '15px' }}>
+                        {currentChain.steps.slice(0, step).map((historyStep, idx) => (
+                            <ChainStepCard key={`${chainIndex}-${idx}`} step={historyStep} index={idx} replay={idx + 1 === step} isDarkMode={isDarkMode} t={t} />
+                        ))}
+                    </div>
+                ) : (
+                    <div style={{ width: '100%', maxWidth: '450px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+                        {/* Final scores */}
+                        <div style={{ background: cardBg, padding: '25px', borderRadius: '25px', boxShadow: '0 10px 30px rgba(0,0,0,0.1)' }}>
+                            <h3 style={{ color: 'var(--phase-title)', fontWeight: '900', marginBottom: '15px' }}>{t('finalScores')} 🏆</h3>
+                            {getArchivedStandings(game).map((row, idx) => (
+                                <div key={row.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', color: textColor, fontWeight: '800' }}>
+                                    <span>{idx === 0 ? '👑' : `${idx + 1}.`} {row.name}</span>
+                                    <span>{row.score}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Who voted for whom, per round */}
+                        {(game.rounds || []).map(round => {
+                            const votes = Object.entries(round.votes || {}).flatMap(([voterId, list]) => (list || []).map(vote => ({ voterId, ...vote })));
+                            if (votes.length === 0) return null;
+                            return (
+                                <div key={round.round} style={{ background: cardBg, padding: '20px', borderRadius: '25px', boxShadow: '0 10px 30px rgba(0,0,0,0.1)' }}>
+                                    <h4 style={{ color: 'var(--phase-title)', fontWeight: '900', marginBottom: '10px' }}>
+                                        🗳️ {t('roundNumber').replace('{n}', round.round)}
+                                    </h4>
+                                    {votes.map((vote, idx) => (
+                                        <div key={idx} style={{ color: subTextColor, fontWeight: '700', padding: '3px 0' }}>
+                                            {getName(vote.voterId)} → {getName(vote.targetId)}: <span style={{ color: textColor }}>{t(vote.category)}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                <div style={{ marginTop: '40px', display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                    {isFinished ? (
+                        <button onClick={handleRestart} className="action-btn" style={{ background: 'var(--phase-title)', padding: '12px 30px', fontSize: '1.2rem', width: 'auto' }}>
+                            🔁 {t('replayAgain')}
+                        </button>
+                    ) : (
+                        <button onClick={handleNext} className="action-btn" style={{ background: 'var(--phase-title)', padding: '12px 30px', fontSize: '1.2rem', width: 'auto' }}>
+                            {step >= currentChain.steps.length && chainIndex === chains.length - 1 ? t('finalScores') : t('nextReveal')} ⏭️
+                        </button>
+                    )}
+                    <button
+                        onClick={() => { playSound('tap'); navigate('/past-games'); }}
+                        style={{ background: 'none', border: 'none', color: subTextColor, fontWeight: 'bold', cursor: 'pointer', fontSize: '1rem' }}
+                    >
+                        ← {t('back')}
+                    </button>
+                </div>
+
+                <div ref={revealEndRef} style={{ height: '50px', width: '100%' }} />
+            </div>
+
+            <style>{`
+                @keyframes pop-in {
+                    0% { transform: scale(0.85); opacity: 0; }
+                    100% { transform: scale(1); opacity: 1; }
+                }
+                .hover-pop:hover { transform: scale(1.2); cursor: default; }
+            `}</style>
+        </div>
+    );
+}
+
+export default GameReplay;
@@ -3,16 +3,23 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { getMatchGames, getMatchLength, isMatchEnabled, isMatchOver } from '../contexts/room/matchUtils';
+import TranscriptExport from '../components/TranscriptExport';
+import { buildShareText, copyText, getShareStandings, pickShareChain, renderShareCard, shareResultCard } from '../contexts/room/shareCard';
+import { loadTranscript } from '../contexts/room/gameTranscript';
+import { loadProfile, recordGame } from '../contexts/room/playerProfile';
+import PlayerAvatar from '../components/PlayerAvatar';
 
 function GameWinner({ isDarkMode }) {
     const navigate = useNavigate();
-    const { t } = useLanguage();
-    const { room, players, isHost, advancePhase, leaveRoom } = useRoom();
+    const { t, language } = useLanguage();
+    const { room, players, currentPlayer, isHost, advancePhase, leaveRoom, onlinePlayerIds } = useRoom();
     const { playSound, stopSound } = useSound();
     const [showConfetti, setShowConfetti] = useState(true);
     const primaryColor = '#6C63FF';
 
     const [displayScore, setDisplayScore] = useState(0);
+    const [shareStatus, setShareStatus] = useState(null); // null | 'busy' | 'downloaded' | 'copied' | 'failed'
 
     const [victoryPhrase] = useState(() => {
         const phrases = [
@@ -27,7 +34,15 @@ function GameWinner({ isDarkMode }) {
     const safePlayers = players || [];
     const sortedPlayers = [...safePlayers].sort((a, b) => (b.score || 0) - (a.score || 0));
     const winner = sortedPlayers[0] || { name: '...', avatar: '❓', score: 0 };
-    const winnerTitle = winner.score >= (room?.settings?.maxScore || 30) ? t('gameWinner') : t('currentLeader');
+    // Same winning score as the Scoreboard and advance_phase
+    const winningScore = parseInt(room?.settings?.scoreToWin || room?.settings?.maxScore || 5, 10);
+    const winnerTitle = winner.score >= winningScore ? t('gameWinner') : t('currentLeader');
+
+    // Match progress: keep playing games until the match is decided
+    const matchEnabled = isMatchEnabled(room?.settings);
+    const gamesPlayed = getMatchGames(room?.settings).length;
+    const activeCount = (room?.settings?.player_order || []).filter(id => onlinePlayerIds.has(id)).length;
+    const canPlayNextGame = matchEnabled && !isMatchOver(room?.settings) && activeCount >= 3;
 
     // Confetti Logic
     const confettiPieces = Array.from({ length: 100 }).map((_, i) => ({
@@ -38,6 +53,16 @@ function GameWinner({ isDarkMode }) {
     }));
 
     const hasPlayedCheer = useRef(false);
+    const hasRecordedGame = useRef(false);
+
+    // Count this game in the player's profile, if they keep one (see playerProfile.js)
+    useEffect(() => {
+        if (hasRecordedGame.current || !currentPlayer?.id || !room || !loadProfile()) return;
+        hasRecordedGame.current = true;
+        loadTranscript({ room, players, t })
+            .then(transcript => recordGame(transcript, currentPlayer.id))
+            .catch(err => console.error('GameWinner: Failed to record profile stats', err));
+    }, [room, players, currentPlayer?.id, t]);
 
     useEffect(() => {
         // Confetti Timer
@@ -73,9 +98,39 @@ function GameWinner({ isDarkMode }) {
     }, [winner.score]);
 
 
-    const handleShare = () => {
-        // Mock Share
-        alert("Coming Soon 🚧");
+    // Card and summary are built from what is on screen: the standings and a chain of the last round
+    const getShareContent = () => {
+        const names = room?.settings?.player_names || {};
+        const getName = (id) => {
+            if (id === 'ghost_player') return `👻 ${t('mysteryPlayer')}`;
+            return names[id] || safePlayers.find(p => p.id === id)?.name || '...';
+        };
+        const standings = getShareStandings(safePlayers);
+        const chain = pickShareChain(room?.settings?.chains || {}, standings[0]?.id, getName);
+        return { standings, chain, roomCode: room?.room_code || '' };
+    };
+
+    const handleShare = async () => {
+        if (shareStatus === 'busy') return;
+        setShareStatus('busy');
+        try {
+            const content = getShareContent();
+            const blob = await renderShareCard({ ...content, t, language });
+            const result = await shareResultCard({
+                blob,
+                text: buildShareText({ ...content, t }),
+                fileName: `what-did-you-mean-${content.roomCode || 'results'}.png`
+            });
+            setShareStatus(result === 'downloaded' ? 'downloaded' : null);
+        } catch (err) {
+            console.error('GameWinner: Share failed', err);
+            setShareStatus('failed');
+        }
+    };
+
+    const handleCopyText = async () => {
+        const copied = await copyText(buildShareText({ ...getShareContent(), t }));
+        setShareStatus(copied ? 'copied' : 'failed');
     };
 
     return (
@@ -105,11 +160,17 @@ function GameWinner({ isDarkMode }) {
                 {winnerTitle}
             </h1>
 
+            {matchEnabled && (
+                <p style={{ color: isDarkMode ? '#C4B5FD' : '#4C1D95', fontSize: '0.9rem', fontWeight: '700', margin: '0 0 10px' }}>
+                    {t('gameOfMatch').replace('{n}', gamesPlayed).replace('{total}', getMatchLength(room?.settings))}
+                </p>
+            )}
+
             {/* Winner Hero Card */}
             <div className="winner-hero-card">
                 <div className="winner-avatar-container">
                     <div className="winner-crown">👑</div>
-                    <div className="winner-avatar">{winner.avatar?.split('|')[0]}</div>
+                    <div className="winner-avatar"><PlayerAvatar avatar={winner.avatar} /></div>
                 </div>
 
                 <h2 style={{ fontSize: '1.5rem', fontWeight: '900', color: isDarkMode ? 'white' : '#1F2937', margin: 0 }}>
@@ -129,7 +190,7 @@ function GameWinner({ isDarkMode }) {
             {/* Actions */}
             <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', width: '100%', maxWidth: '350px', marginTop: '15px', animation: 'pop 0.5s 1.5s backwards' }}>
 
-                {/* Primary: Go to Lobby (Host Only) */}
+                {/* Primary: Next Game / Match Results / Go to Lobby (Host Only) */}
                 {isHost ? (
                     <button
                         className="action-btn"
@@ -137,11 +198,13 @@ function GameWinner({ isDarkMode }) {
                             stopSound('cheer');
                             playSound('tap');
                             playSound('whoosh');
-                            advancePhase('lobby');
+                            if (canPlayNextGame) advancePhase('text');
+                            else if (matchEnabled) advancePhase('match');
+                            else advancePhase('lobby');
                         }}
                         style={{ width: '100%', fontSize: '1.1rem', padding: '12px' }}
                     >
-                        {t('goToLobby')} 🏠
+                        {canPlayNextGame ? `${t('nextGame')} 🚀` : matchEnabled ? `${t('matchResults')} 🎯` : `${t('goToLobby')} 🏠`}
                     </button>
                 ) : (
                     <div style={{ textAlign: 'center', color: '#9CA3AF', fontWeight: 'bold' }}>
@@ -168,9 +231,28 @@ function GameWinner({ isDarkMode }) {
                             border: 'none',
                         }}
                     >
-                        {t('shareResults')}
+                        {shareStatus === 'busy' ? '⏳' : t('shareResults')}
                     </button>
 
+                    {/* Text summary for chat apps */}
+                    <button
+                        onClick={() => {
+                            playSound('tap');
+                            handleCopyText();
+                        }}
+                        style={{ background: 'none', border: 'none', color: isDarkMode ? '#C4B5FD' : primaryColor, fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer' }}
+                    >
+                        {t('copyResultsText')} 📋
+                    </button>
+
+                    <TranscriptExport isDarkMode={isDarkMode} />
+
+                    {shareStatus && shareStatus !== 'busy' && (
+                        <div style={{ textAlign: 'center', fontSize: '0.85rem', fontWeight: '700', color: shareStatus === 'failed' ? '#EF4444' : '#10B981' }}>
+                            {t(shareStatus === 'downloaded' ? 'shareCardSaved' : shareStatus === 'copied' ? 'resultsCopied' : 'shareFailed')}
+                        </div>
+                    )}
+
                     {/* Leave Room */}
                     <button
                         className="action-btn"
@@ -271,6 +271,8 @@ function Home({ isDarkMode, toggleTheme }) {
                             </div>
 
                             <button className="menu-item-btn" onClick={() => { playSound('tap'); navigate('/how-to-play'); }}>{t('howToPlay')}</button>
+                            <button className="menu-item-btn" onClick={() => { playSound('tap'); navigate('/profile'); }}>{t('myProfile')}</button>
+                            <button className="menu-item-btn" onClick={() => { playSound('tap'); navigate('/past-games'); }}>{t('pastGames')}</button>
                             <button className="menu-item-btn" onClick={() => { playSound('tap'); navigate('/terms'); }}>{t('terms')}</button>
                         </div>
 
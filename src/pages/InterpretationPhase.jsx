@@ -3,8 +3,14 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { decodeAnswer, isFinalAnswer } from '../contexts/room/answerCodec';
+import { applyTextConstraints, getModeConstraints } from '../contexts/room/gameModes';
+import { getWordFilter, hasBlockedWords } from '../contexts/room/wordFilter';
+import { getPhaseStep } from '../contexts/room/roomUtils';
+import { isDrawing } from '../contexts/room/drawingCodec';
 
 import SpectatorView from '../components/SpectatorView';
+import DrawingView from '../components/DrawingView';
 
 function InterpretationPhase({ isDarkMode }) {
     const navigate = useNavigate();
@@ -19,6 +25,9 @@ function InterpretationPhase({ isDarkMode }) {
     // Prevent rendering wrong assignments when gameState.phase updates before room.settings.assignments
     const currentPhase = gameState?.phase || 'interpretation_1';
     const isPhaseAligned = room?.settings?.assignments?.[currentPhase] !== undefined;
+    // Input rules of the room's game mode
+    const constraints = getModeConstraints(room?.settings, currentPhase);
+    const wordFilter = getWordFilter(room?.settings);
 
     // Spectator Check (only valid if phase is aligned)
     const playingIds = room?.settings?.player_order || [];
@@ -48,17 +57,12 @@ function InterpretationPhase({ isDarkMode }) {
     useEffect(() => {
         if (!currentPlayer?.last_answer || interpretation || hasSubmitted || hasInteracted) return;
 
-        const last = currentPlayer.last_answer;
+        const last = decodeAnswer(currentPlayer.last_answer);
+        if (last?.kind !== 'guess') return;
 
-        if (last.startsWith('guess:')) {
-            const restored = last.substring(6);
-            setInterpretation(restored);
-            if (!restored.startsWith('Healed:')) {
-                setHasSubmitted(true);
-            }
-        } else if (last.startsWith('draft_guess:')) {
-            const restored = last.substring(12);
-            setInterpretation(restored);
+        setInterpretation(last.value);
+        if (!last.draft && !last.healed) {
+            setHasSubmitted(true);
         }
     }, [currentPlayer?.last_answer, interpretation, hasSubmitted]);
 
@@ -85,13 +89,13 @@ function InterpretationPhase({ isDarkMode }) {
         // ALLOW empty strings if user has interacted (to fix the deletion bug)
         if (hasSubmitted || (!interpretation.trim() && !hasInteracted)) return;
 
-        const expected = `draft_guess:${interpretation.trim()}`;
-        const actual = currentPlayer?.last_answer;
+        const actual = decodeAnswer(currentPlayer?.last_answer);
+        const isSynced = actual?.kind === 'guess' && actual.draft && actual.value === interpretation;
 
-        if (actual !== expected) {
+        if (!isSynced) {
             const timer = setTimeout(() => {
                 // Re-check after 0.35s of inactivity/mismatch
-                if (currentPlayer?.last_answer !== expected && interpretationRef.current === interpretation) {
+                if (interpretationRef.current === interpretation) {
                     saveDraft(interpretation, gameState?.phase || 'interpretation_1');
                 }
             }, 350);
@@ -131,6 +135,7 @@ function InterpretationPhase({ isDarkMode }) {
     const lastValidStep = [...chainHistory].reverse().find(step => step.content);
     const content = lastValidStep?.content;
     const receivedEmojis = content ? content.split(' ') : ["❓", "🌫️", "❓"];
+    const isReceivedDrawing = isDrawing(content); // Draw mode: the prompt is a drawing, not emojis
 
 
     // UI Readiness Check: dynamically exclude disconnected players so the UI fractional text stays perfect
@@ -139,7 +144,7 @@ function InterpretationPhase({ isDarkMode }) {
 
     const playersReadyCount = players.filter(p =>
         activePlayingIds.includes(p.id) &&
-        p.last_answer && p.last_answer.startsWith('guess:')
+        isFinalAnswer(p.last_answer, currentPhase)
     ).length;
 
     // STICKY READY COUNT: Prevent flicker to 0 during phase transition
@@ -152,13 +157,13 @@ function InterpretationPhase({ isDarkMode }) {
 
     // Sync local hasSubmitted with DB state (last_answer exists)
     useEffect(() => {
-        if (currentPlayer?.last_answer && currentPlayer.last_answer.startsWith('guess:')) {
+        if (isFinalAnswer(currentPlayer?.last_answer, currentPhase)) {
             setHasSubmitted(true);
         } else if (!isSubmittingRef.current) {
             // Revert to false if we aren't currently in the middle of a submission
             setHasSubmitted(false);
         }
-    }, [currentPlayer?.last_answer]);
+    }, [currentPlayer?.last_answer, currentPhase]);
 
     // IMMEDIATE Timer Sync on mount/update
     useEffect(() => {
@@ -193,7 +198,7 @@ function InterpretationPhase({ isDarkMode }) {
                 // Auto-Submit if time is up
                 if (secondsLeft === 0 && !hasSubmitted) {
                     if (!isSpectatorMode) playSound('buzz');
-                    handleSubmit();
+                    handleSubmit(null, true);
                 }
 
                 // Tension: Tick during the final 10 seconds (Plays for everyone until 0)
@@ -215,9 +220,16 @@ function InterpretationPhase({ isDarkMode }) {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     };
 
-    const handleSubmit = (e) => {
+    const isAnswerBlocked = wordFilter.mode === 'reject' && hasBlockedWords(interpretation, wordFilter);
+
+    // Manual submits are refused in the filter's reject mode; when time runs out the guess goes in masked (see submitAnswer)
+    const handleSubmit = (e, isAutoSubmit = false) => {
         if (e) e.preventDefault();
         if (hasSubmitted || isSubmittingRef.current) return;
+        if (!isAutoSubmit && wordFilter.mode === 'reject' && hasBlockedWords(interpretationRef.current, wordFilter)) {
+            playSound('buzz');
+            return;
+        }
         isSubmittingRef.current = true;
 
         // Use ref value to avoid stale closure in timer intervals
@@ -227,7 +239,7 @@ function InterpretationPhase({ isDarkMode }) {
         if (onlinePlayerIds.has(currentPlayer.id)) {
             setHasSubmitted(true);
             if (!isSpectatorMode) playSound('giggle');
-            submitAnswer(`guess:${finalInterpretation}`).finally(() => {
+            submitAnswer(finalInterpretation, currentPhase).finally(() => {
                 isSubmittingRef.current = false;
             });
         }
@@ -246,8 +258,7 @@ function InterpretationPhase({ isDarkMode }) {
     }
 
     if (isSpectatorMode) {
-        const prefix = 'guess:';
-        const readyCount = players.filter(p => playingIds.includes(p.id) && onlinePlayerIds.has(p.id) && p.last_answer && p.last_answer.startsWith(prefix)).length;
+        const readyCount = players.filter(p => playingIds.includes(p.id) && onlinePlayerIds.has(p.id) && isFinalAnswer(p.last_answer, currentPhase)).length;
 
         return (
             <div className="app-container" style={{ padding: '1.5rem', minHeight: '100dvh', overflowY: 'auto' }}>
@@ -292,7 +303,7 @@ function InterpretationPhase({ isDarkMode }) {
 
                 {/* Header */}
                 <h1 style={{ color: 'var(--phase-title)', fontSize: '2.2rem', fontWeight: '900', textAlign: 'center', marginBottom: '5px', textShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
-                    {t('phase3Title').replace(/\d+/, (gameState?.phase === 'interpretation_2' ? 5 : 3))}
+                    {t('phase3Title').replace(/\d+/, () => (getPhaseStep(currentPhase, room?.settings) ?? 2) + 1)}
                 </h1>
 
                 <div style={{ color: timeLeft < 10 ? '#EF4444' : 'var(--phase-title)', fontSize: '1.8rem', fontWeight: '800', marginBottom: '30px' }}>
@@ -302,12 +313,16 @@ function InterpretationPhase({ isDarkMode }) {
                 {!hasSubmitted ? (
                     <div style={{ flex: 1, width: '100%', maxWidth: '500px', display: 'flex', flexDirection: 'column', gap: '30px' }}>
 
-                        {/* Emojis to Translate */}
+                        {/* Emojis (or drawing) to Translate */}
                         <div style={{ background: 'var(--phase-card-bg)', padding: '25px', borderRadius: '25px', border: '2px solid rgba(255,255,255,0.1)', backdropFilter: 'blur(5px)', textAlign: 'center' }}>
-                            <p style={{ color: 'var(--phase-card-text)', fontSize: '0.9rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '8px' }}>{t('translateEmojis')}</p>
-                            <div style={{ fontSize: '3.5rem', display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
-                                {receivedEmojis.map((e, i) => <span key={i} className="hover-pop">{e}</span>)}
-                            </div>
+                            <p style={{ color: 'var(--phase-card-text)', fontSize: '0.9rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '8px' }}>{isReceivedDrawing ? t('translateDrawing') : t('translateEmojis')}</p>
+                            {isReceivedDrawing ? (
+                                <DrawingView value={content} replay style={{ maxWidth: '320px', margin: '0 auto' }} />
+                            ) : (
+                                <div style={{ fontSize: '3.5rem', display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+                                    {receivedEmojis.map((e, i) => <span key={i} className="hover-pop">{e}</span>)}
+                                </div>
+                            )}
                         </div>
 
                         {/* Input Area */}
@@ -315,7 +330,7 @@ function InterpretationPhase({ isDarkMode }) {
                             <textarea
                                 value={interpretation}
                                 onChange={(e) => {
-                                    setInterpretation(e.target.value);
+                                    setInterpretation(applyTextConstraints(e.target.value, constraints));
                                     if (!hasInteracted) setHasInteracted(true);
                                 }}
                                 onKeyDown={(e) => {
@@ -325,7 +340,7 @@ function InterpretationPhase({ isDarkMode }) {
                                     }
                                 }}
                                 placeholder={t('typeInterpretation')}
-                                maxLength={100}
+                                maxLength={constraints.maxLength}
                                 style={{
                                     width: '100%',
                                     padding: '25px',
@@ -345,13 +360,19 @@ function InterpretationPhase({ isDarkMode }) {
                             />
                         </div>
 
+                        {isAnswerBlocked && (
+                            <div style={{ marginTop: '-15px', textAlign: 'center', color: '#EF4444', fontWeight: '800', fontSize: '1rem' }}>
+                                ⚠️ {t('wordFilterRejected')}
+                            </div>
+                        )}
+
                         <button
                             onClick={(e) => {
                                 playSound('tap');
                                 handleSubmit(e);
                             }}
                             className="action-btn"
-                            disabled={interpretation.length === 0}
+                            disabled={interpretation.length === 0 || isAnswerBlocked}
                             style={{
                                 width: '100%',
                                 padding: '20px',
@@ -359,7 +380,7 @@ function InterpretationPhase({ isDarkMode }) {
                                 fontSize: '1.5rem',
                                 marginTop: '10px',
                                 background: 'var(--phase-title)',
-                                opacity: interpretation.length > 0 ? 1 : 0.7,
+                                opacity: interpretation.length > 0 && !isAnswerBlocked ? 1 : 0.7,
                                 boxShadow: '0 10px 20px rgba(0, 0, 0, 0.1)'
                             }}
                         >
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { getPlayerIdentity, getSignInErrorMessage, isKickedIdentity } from '../contexts/room/playerIdentity';
 
 function JoinRoom({ isDarkMode }) {
     const navigate = useNavigate();
@@ -45,14 +46,17 @@ function JoinRoom({ isDarkMode }) {
                 return;
             }
 
-            // Check if kicked
-            const myFingerprint = localStorage.getItem('player_fingerprint');
-            const myName = localStorage.getItem('player_name');
-
-            const isKickedFingerprint = room.settings?.kicked_fingerprints?.includes(myFingerprint);
-            const isKickedName = room.settings?.kicked_names?.includes(myName);
+            let identity;
+            try {
+                identity = await getPlayerIdentity();
+            } catch (err) {
+                setError(getSignInErrorMessage(err, t));
+                setTimeout(() => setError(''), 4000);
+                return;
+            }
 
-            if (isKickedFingerprint || isKickedName) {
+            // Check if kicked
+            if (isKickedIdentity(room.settings, identity)) {
                 // If kicked, bounce back to home with error
                 navigate('/', { state: { error: 'kickedError' } });
                 return;
@@ -3,15 +3,27 @@ import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext'; // Import context
 import { useSound } from '../contexts/SoundContext';
+import { MIN_CHAIN_LENGTH, MAX_CHAIN_LENGTH } from '../contexts/room/roomUtils';
+import { MAX_MATCH_GAMES, getMatchLength } from '../contexts/room/matchUtils';
+import { DEFAULT_MODE_ID, MAX_EMOJIS_LIMIT, getEmojiRules, getGameMode, getModeList } from '../contexts/room/gameModes';
+import { getPromptPack, getPromptPackLabel, getPromptPackList } from '../contexts/room/promptPacks';
+import { CUSTOM_PACK_ID, getDeckShortfall, normalizeDeck } from '../contexts/room/customDecks';
+import { DEFAULT_BOT_DELAY, MIN_BOT_DELAY, MAX_BOT_DELAY, isBot } from '../contexts/room/bots';
+import { getWordFilter, hasBlockedWords, maskBlockedWords } from '../contexts/room/wordFilter';
+import { getPlayerIdentity, getSignInErrorMessage } from '../contexts/room/playerIdentity';
+import { loadSavedAvatar } from '../contexts/room/avatars';
+import CustomDeckEditor from '../components/CustomDeckEditor';
+import BlocklistEditor from '../components/BlocklistEditor';
+import PlayerAvatar from '../components/PlayerAvatar';
 
 // Helper: Modern Custom Number Selector
-const NumberSelector = ({ value, onChange, min, max, step = 1, suffix = '', isHost, isDarkMode, isRTL }) => {
+const NumberSelector = ({ value, onChange, min, max, step = 1, suffix = '', labels = {}, isHost, isDarkMode, isRTL }) => {
     const { playSound } = useSound();
     const [isOpen, setIsOpen] = useState(false);
     const dropdownRef = React.useRef(null);
 
-    // Generate options
-    const options = [];
+    // Generate options (values with a custom label below `min`, e.g. 0 = "auto", come first)
+    const options = Object.keys(labels).map(Number).filter(v => v < min);
     for (let i = min; i <= max; i += step) {
         options.push(i);
     }
@@ -62,7 +74,7 @@ const NumberSelector = ({ value, onChange, min, max, step = 1, suffix = '', isHo
                     userSelect: 'none'
                 }}
             >
-                {value} {suffix}
+                {labels[value] ?? `${value} ${suffix}`}
 
                 {/* Arrow */}
                 <div style={{
@@ -115,7 +127,7 @@ const NumberSelector = ({ value, onChange, min, max, step = 1, suffix = '', isHo
                             onMouseEnter={(e) => isHost && (e.currentTarget.style.backgroundColor = isDarkMode ? '#374151' : '#F3F4F6')}
                             onMouseLeave={(e) => isHost && (e.currentTarget.style.backgroundColor = opt === value ? (isDarkMode ? '#374151' : '#F3F4F6') : 'transparent')}
                         >
-                            {opt} {suffix}
+                            {labels[opt] ?? `${opt} ${suffix}`}
                         </div>
                     ))}
                 </div>
@@ -149,18 +161,55 @@ const SettingsRow = ({ label, children, isHost, isDarkMode, isRTL }) => (
     </div>
 );
 
+// Helper: On/off switch for boolean settings
+const ToggleSwitch = ({ checked, onToggle, isHost, isDarkMode, color = '#3B82F6' }) => {
+    const { playSound } = useSound();
+    return (
+        <div
+            onClick={() => {
+                if (isHost) {
+                    playSound('tap');
+                    onToggle(!checked);
+                }
+            }}
+            style={{
+                width: '50px',
+                height: '28px',
+                backgroundColor: checked ? color : (isDarkMode ? '#4B5563' : '#D1D5DB'),
+                borderRadius: '30px',
+                position: 'relative',
+                cursor: isHost ? 'pointer' : 'not-allowed',
+                transition: 'background-color 0.2s ease',
+                boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.2)'
+            }}
+        >
+            <div style={{
+                width: '24px',
+                height: '24px',
+                backgroundColor: 'white',
+                borderRadius: '50%',
+                position: 'absolute',
+                top: '2px',
+                left: checked ? '24px' : '2px',
+                transition: 'left 0.2s cubic-bezier(0.4, 0.0, 0.2, 1)',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+            }} />
+        </div>
+    );
+};
+
 function Lobby({ isDarkMode }) {
     const navigate = useNavigate();
-    const { t, language } = useLanguage();
+    const { t } = useLanguage();
     const { isRTL, playSound } = useSound();
-    const { room, players, gameState, createRoom, joinRoom, startGame, isHost, currentPlayer, leaveRoom, promotePlayerToHost, kickPlayer, updateRoomSettings, markSettingsDirty, onlinePlayerIds, awayPlayerIds, isJoiningRef } = useRoom(); // Use context
+    const { room, players, gameState, createRoom, joinRoom, startGame, isHost, currentPlayer, updatePlayerProfile, leaveRoom, promotePlayerToHost, kickPlayer, addBot, removeBot, updateRoomSettings, markSettingsDirty, onlinePlayerIds, awayPlayerIds, isJoiningRef } = useRoom(); // Use context
     const location = useLocation();
     const [searchParams] = useSearchParams();
     const initialMode = searchParams.get('mode') || 'join';
     const initialRoomCode = searchParams.get('code') || location.state?.roomCode;
 
     // Settings States
-    const [selectedMode, setSelectedMode] = useState(() => room?.settings?.selectedMode || 'Classic');
+    const [selectedMode, setSelectedMode] = useState(() => room?.settings?.selectedMode || DEFAULT_MODE_ID);
     const [roundTime, setRoundTime] = useState(() => room?.settings?.roundTime ? parseInt(room.settings.roundTime) : 60);
     const [voteDuration, setVoteDuration] = useState(() => room?.settings?.voteDuration ? parseInt(room.settings.voteDuration) : 30);
     const [maxPlayers, setMaxPlayers] = useState(() => room?.settings?.maxPlayers ? parseInt(room.settings.maxPlayers) : 8);
@@ -169,6 +218,15 @@ function Lobby({ isDarkMode }) {
         return s ? parseInt(s) : 5;
     });
     const [spectatorEnabled, setSpectatorEnabled] = useState(() => room?.settings?.spectatorEnabled ?? false);
+    // 0 = one step per player
+    const [chainLength, setChainLength] = useState(() => parseInt(room?.settings?.chainLength) || 0);
+    const [matchGames, setMatchGames] = useState(() => parseInt(room?.settings?.matchGames) || 1);
+    // null = no prompt pack
+    const [promptPack, setPromptPack] = useState(() => room?.settings?.promptPack || null);
+    const [customDeck, setCustomDeck] = useState(() => normalizeDeck(room?.settings?.customDeck));
+    const [botDelay, setBotDelay] = useState(() => parseInt(room?.settings?.botDelay) || DEFAULT_BOT_DELAY);
+    const [emojiRules, setEmojiRules] = useState(() => getEmojiRules(room?.settings));
+    const [wordFilter, setWordFilter] = useState(() => getWordFilter(room?.settings));
 
     // UI/Interaction States
     const [isLoading, setIsLoading] = useState(true);
@@ -177,6 +235,7 @@ function Lobby({ isDarkMode }) {
     const [selectedPlayerId, setSelectedPlayerId] = useState(null);
     const [menuPosition, setMenuPosition] = useState({ top: 0, left: 0 });
     const [startError, setStartError] = useState(null);
+    const [isAddingBot, setIsAddingBot] = useState(false);
 
     // Animation State for Dropdowns
     const [allowOverflow, setAllowOverflow] = useState(false);
@@ -190,10 +249,8 @@ function Lobby({ isDarkMode }) {
 
     const getPersistentAvatar = () => {
         if (location.state?.playerAvatar) return location.state.playerAvatar;
-        // Fallback to localStorage idx
-        const savedIdx = localStorage.getItem('player_avatar_idx');
-        const AVATARS = ['😎', '🦊', '🐱', '🐼', '🐸', '🦁', '🦄', '👻', '👾', '🤖', '🎃', '👽'];
-        return savedIdx ? AVATARS[parseInt(savedIdx, 10)] : '😎';
+        // Fallback to the avatar saved on this device
+        return loadSavedAvatar();
     };
 
     const initialName = getPersistentName();
@@ -230,12 +287,18 @@ function Lobby({ isDarkMode }) {
             const targetCode = urlCode || initialRoomCode;
 
             try {
-                const myFingerprint = localStorage.getItem('player_fingerprint');
+                let identity;
+                try {
+                    identity = await getPlayerIdentity();
+                } catch (err) {
+                    navigate('/', { replace: true, state: { error: getSignInErrorMessage(err, t) } });
+                    return;
+                }
 
                 if (targetCode) {
-                    await joinRoom(targetCode, initialName, initialAvatar, myFingerprint);
+                    await joinRoom(targetCode, initialName, initialAvatar, identity);
                 } else if (initialMode === 'create') {
-                    await createRoom(initialName, initialAvatar, myFingerprint);
+                    await createRoom(initialName, initialAvatar, identity);
                 }
             } finally {
                 // We keep it true to prevent subsequent immediate reconnects until this component fully unmounts
@@ -270,6 +333,7 @@ function Lobby({ isDarkMode }) {
             const p = gameState.phase;
             const destSub = p.startsWith('text') ? '/text-phase' :
                             p.startsWith('emoji') ? '/emoji-phase' :
+                            p.startsWith('draw') ? '/draw-phase' :
                             p.startsWith('interpretation') ? '/interpretation-phase' :
                             p === 'reveal' ? '/reveal-phase' :
                             p === 'vote' ? '/vote' : null;
@@ -294,12 +358,19 @@ function Lobby({ isDarkMode }) {
                     voteDuration,
                     maxPlayers,
                     scoreToWin: maxScore,
-                    spectatorEnabled
+                    spectatorEnabled,
+                    chainLength,
+                    matchGames,
+                    promptPack,
+                    customDeck,
+                    botDelay,
+                    emojiRules,
+                    wordFilter
                 });
             }, 500); // Debounce updates
             return () => clearTimeout(timer);
         }
-    }, [selectedMode, roundTime, voteDuration, maxPlayers, maxScore, spectatorEnabled, isHost, room?.id]);
+    }, [selectedMode, roundTime, voteDuration, maxPlayers, maxScore, spectatorEnabled, chainLength, matchGames, promptPack, customDeck, botDelay, emojiRules, wordFilter, isHost, room?.id]);
 
     // 2. DB -> Clients: Sync local state from Supabase room object
     useEffect(() => {
@@ -325,6 +396,13 @@ function Lobby({ isDarkMode }) {
             const syncedScore = s.scoreToWin || s.maxScore;
             if (syncedScore && parseInt(syncedScore) !== maxScore) setMaxScore(parseInt(syncedScore));
             if (s.spectatorEnabled !== undefined && s.spectatorEnabled !== spectatorEnabled) setSpectatorEnabled(s.spectatorEnabled);
+            if (s.chainLength !== undefined && (parseInt(s.chainLength) || 0) !== chainLength) setChainLength(parseInt(s.chainLength) || 0);
+            if (s.matchGames !== undefined && (parseInt(s.matchGames) || 1) !== matchGames) setMatchGames(parseInt(s.matchGames) || 1);
+            if (s.promptPack !== undefined && (s.promptPack || null) !== promptPack) setPromptPack(s.promptPack || null);
+            if (s.customDeck !== undefined && JSON.stringify(normalizeDeck(s.customDeck)) !== JSON.stringify(customDeck)) setCustomDeck(normalizeDeck(s.customDeck));
+            if (s.botDelay !== undefined && (parseInt(s.botDelay) || DEFAULT_BOT_DELAY) !== botDelay) setBotDelay(parseInt(s.botDelay) || DEFAULT_BOT_DELAY);
+            if (s.emojiRules !== undefined && JSON.stringify(getEmojiRules(s)) !== JSON.stringify(emojiRules)) setEmojiRules(getEmojiRules(s));
+            if (s.wordFilter !== undefined && JSON.stringify(getWordFilter(s)) !== JSON.stringify(wordFilter)) setWordFilter(getWordFilter(s));
         }
     }, [room?.settings, isHost]); // Added isHost to deps
 
@@ -338,6 +416,14 @@ function Lobby({ isDarkMode }) {
         }
     }, [room?.room_code]);
 
+    // Names picked before the host switched the word filter on (or added a custom word) get masked. Players
+    // can only rename themselves, so each client checks its own name.
+    useEffect(() => {
+        const filter = getWordFilter(room?.settings);
+        if (!currentPlayer?.id || !hasBlockedWords(currentPlayer.name, filter)) return;
+        updatePlayerProfile(currentPlayer.id, maskBlockedWords(currentPlayer.name, filter), currentPlayer.avatar);
+    }, [room?.settings, currentPlayer, updatePlayerProfile]);
+
 
 
 
@@ -387,6 +473,10 @@ function Lobby({ isDarkMode }) {
         }
     };
 
+    const selectedPack = getPromptPack({ promptPack, customDeck });
+    // One prompt per player per game of the match; fewer and some come back (see dealDeck)
+    const deckShortfall = getDeckShortfall(customDeck, players.filter(p => onlinePlayerIds.has(p.id) && !(spectatorEnabled && p.is_host)).length, getMatchLength({ matchGames }));
+
     const toggleSection = (section) => {
         playSound('tap');
         // Clear existing timer
@@ -592,7 +682,7 @@ function Lobby({ isDarkMode }) {
                                                 position: 'relative',
                                                 cursor: 'pointer'
                                             }}>
-                                                {player.avatar?.split('|')[0]}
+                                                <PlayerAvatar avatar={player.avatar} />
                                                 {player.is_host && <span style={{ position: 'absolute', bottom: -2, right: -2, fontSize: '1rem' }}>👑</span>}
 
                                                 {/* Edit Avatar Icon (Only for You) */}
@@ -638,18 +728,45 @@ function Lobby({ isDarkMode }) {
                                 `}</style>
                             </div>
                         </div>
+
+                        {/* Bots fill seats for solo testing and small groups; the host's device plays them */}
+                        {isHost && players.length < maxPlayers && (
+                            <button
+                                disabled={isAddingBot}
+                                onClick={async (e) => {
+                                    e.stopPropagation();
+                                    playSound('tap');
+                                    setIsAddingBot(true);
+                                    const botError = await addBot();
+                                    setIsAddingBot(false);
+                                    if (botError) {
+                                        setStartError(botError);
+                                        setTimeout(() => setStartError(null), 3000);
+                                    }
+                                }}
+                                style={{
+                                    marginTop: '10px', width: '100%', padding: '10px',
+                                    borderRadius: '15px', border: `2px dashed ${primaryColor}`,
+                                    backgroundColor: 'transparent', color: primaryColor,
+                                    fontWeight: '800', fontSize: '0.95rem',
+                                    cursor: isAddingBot ? 'wait' : 'pointer', opacity: isAddingBot ? 0.6 : 1
+                                }}
+                            >
+                                🤖 {t('addBot')}
+                            </button>
+                        )}
                     </div>
 
                     {/* SECTION 3: GAME MODES (Accordion) */}
                     <div>
                         <div style={sectionBarStyle} onClick={() => toggleSection('modes')}>
-                            <span>{t('mode')}: {selectedMode === 'Classic' ? t('classic') : selectedMode === 'Emoji Only' ? t('emojiOnly') : t('noFaces')} {selectedMode === 'Classic' ? '🎲' : selectedMode === 'Emoji Only' ? '😜' : '😶'} {!isHost && '🔒'}</span>
+                            <span>{t('mode')}: {t(getGameMode(selectedMode).labelKey)} {getGameMode(selectedMode).icon} {!isHost && '🔒'}</span>
                             <span style={arrowStyle(expandedSection === 'modes')}>
                                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="M6 9l6 6 6-6" /></svg>
                             </span>
                         </div>
                         <div style={getExpandedStyle(expandedSection === 'modes')}>
-                            {['Classic', 'Emoji Only', 'No Faces'].map(mode => (
+                            {getModeList().map(({ id: mode, labelKey, icon }) => (
                                 <div key={mode}
                                     onClick={() => {
                                         if (isHost) {
@@ -670,13 +787,68 @@ function Lobby({ isDarkMode }) {
                                         opacity: isHost ? 1 : 0.6
                                     }}
                                 >
-                                    {mode === 'Classic' ? t('classic') : mode === 'Emoji Only' ? t('emojiOnly') : t('noFaces')} {mode === 'Classic' ? '🎲' : mode === 'Emoji Only' ? '😜' : '😶'}
+                                    {t(labelKey)} {icon}
                                     {selectedMode === mode && <span>✓</span>}
                                 </div>
                             ))}
                         </div>
                     </div>
 
+                    {/* SECTION 3b: PROMPT PACKS (Accordion) */}
+                    <div>
+                        <div style={sectionBarStyle} onClick={() => toggleSection('packs')}>
+                            <span>{t('promptPack')}: {selectedPack ? `${getPromptPackLabel(selectedPack, t)} ${selectedPack.icon}` : t(promptPack === CUSTOM_PACK_ID ? 'customDeck' : 'noPromptPack')} {!isHost && '🔒'}</span>
+                            <span style={arrowStyle(expandedSection === 'packs')}>
+                                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="M6 9l6 6 6-6" /></svg>
+                            </span>
+                        </div>
+                        <div style={getExpandedStyle(expandedSection === 'packs')}>
+                            {[{ id: null, labelKey: 'noPromptPack', icon: '✍️' }, ...getPromptPackList(), { id: CUSTOM_PACK_ID, labelKey: 'customDeck', icon: '🃏' }].map(({ id: pack, labelKey, icon }) => (
+                                <div key={pack || 'none'}
+                                    onClick={() => {
+                                        if (isHost) {
+                                            playSound('tap');
+                                            markSettingsDirty(); // Block echoes immediately
+                                            setPromptPack(pack);
+                                        }
+                                    }}
+                                    style={{
+                                        padding: '12px',
+                                        borderRadius: '12px',
+                                        backgroundColor: promptPack === pack ? 'var(--input-bg)' : 'transparent',
+                                        color: promptPack === pack ? primaryColor : (isHost ? textColor : '#9CA3AF'),
+                                        fontWeight: '700',
+                                        border: promptPack === pack ? `2px solid ${primaryColor}` : '2px solid var(--input-border)',
+                                        cursor: isHost ? 'pointer' : 'not-allowed',
+                                        display: 'flex', justifyContent: 'space-between',
+                                        opacity: isHost ? 1 : 0.6
+                                    }}
+                                >
+                                    {t(labelKey)} {icon}
+                                    {promptPack === pack && <span>✓</span>}
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Custom deck: the host edits it, everyone else sees what will be dealt from */}
+                        {expandedSection === 'packs' && promptPack === CUSTOM_PACK_ID && (
+                            <div style={{ marginTop: '10px' }}>
+                                {isHost ? (
+                                    <CustomDeckEditor deck={customDeck} onChange={(deck) => { markSettingsDirty(); setCustomDeck(deck); }} t={t} playSound={playSound} isDarkMode={isDarkMode} />
+                                ) : (
+                                    <div style={{ textAlign: 'center', color: '#9CA3AF', fontWeight: '700' }}>
+                                        🃏 {customDeck ? `${customDeck.name} (${customDeck.prompts.length})` : t('customDeckEmpty')}
+                                    </div>
+                                )}
+                                {customDeck && deckShortfall > 0 && (
+                                    <div style={{ marginTop: '8px', textAlign: 'center', fontSize: '0.85rem', fontWeight: '700', color: '#F59E0B' }}>
+                                        ⚠️ {t('deckRepeatsWarning').replace('{count}', customDeck.prompts.length).replace('{needed}', customDeck.prompts.length + deckShortfall)}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
                     {/* SECTION 4: GAME SETTINGS (Accordion) */}
                     <div style={{ position: 'relative', zIndex: 20 }}>
                         <div style={sectionBarStyle} onClick={() => toggleSection('settings')}>
@@ -743,41 +915,143 @@ function Lobby({ isDarkMode }) {
                                     />
                                 </SettingsRow>
 
+                                {/* Games per Match */}
+                                <SettingsRow label={`${t('matchGames')} 🎯`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <NumberSelector
+                                        value={matchGames}
+                                        onChange={(e) => {
+                                            markSettingsDirty();
+                                            setMatchGames(parseInt(e.target.value));
+                                        }}
+                                        min={2} max={MAX_MATCH_GAMES} step={1}
+                                        suffix={t('matchGamesSuffix')}
+                                        labels={{ 1: t('singleGame') }}
+                                        isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}
+                                    />
+                                </SettingsRow>
+
+                                {/* Chain Length */}
+                                <SettingsRow label={`${t('chainLength')} 🔗`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <NumberSelector
+                                        value={chainLength}
+                                        onChange={(e) => {
+                                            markSettingsDirty();
+                                            setChainLength(parseInt(e.target.value));
+                                        }}
+                                        min={MIN_CHAIN_LENGTH} max={MAX_CHAIN_LENGTH} step={1}
+                                        suffix={t('chainSteps')}
+                                        labels={{ 0: t('chainLengthAuto') }}
+                                        isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}
+                                    />
+                                </SettingsRow>
+
+                                {/* Bot Thinking Time */}
+                                <SettingsRow label={`${t('botDelay')} 🤖`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <NumberSelector
+                                        value={botDelay}
+                                        onChange={(e) => {
+                                            markSettingsDirty();
+                                            setBotDelay(parseInt(e.target.value));
+                                        }}
+                                        min={MIN_BOT_DELAY} max={MAX_BOT_DELAY} step={2}
+                                        suffix="s"
+                                        isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}
+                                    />
+                                </SettingsRow>
+
                                 {/* Spectator Mode Toggle (Blue Switch) */}
                                 <SettingsRow label={`${t('spectatorMode')} 👁️`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
-                                    <div
-                                        onClick={() => {
-                                            if (isHost) {
-                                                playSound('tap');
-                                                markSettingsDirty();
-                                                setSpectatorEnabled(!spectatorEnabled);
-                                            }
+                                    <ToggleSwitch
+                                        checked={spectatorEnabled}
+                                        onToggle={(value) => {
+                                            markSettingsDirty();
+                                            setSpectatorEnabled(value);
                                         }}
-                                        style={{
-                                            width: '50px',
-                                            height: '28px',
-                                            backgroundColor: spectatorEnabled ? '#3B82F6' : (isDarkMode ? '#4B5563' : '#D1D5DB'), // Blue when active
-                                            borderRadius: '30px',
-                                            position: 'relative',
-                                            cursor: isHost ? 'pointer' : 'not-allowed',
-                                            transition: 'background-color 0.2s ease',
-                                            boxShadow: 'inset 0 1px 3px rgba(0,0,0,0.2)'
+                                        isHost={isHost} isDarkMode={isDarkMode}
+                                    />
+                                </SettingsRow>
+
+                                {/* Emoji Rules (checked in the emoji phase and again by the server) */}
+                                <SettingsRow label={`${t('minEmojis')} 🔢`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <NumberSelector
+                                        value={emojiRules.minEmojis}
+                                        onChange={(e) => {
+                                            markSettingsDirty();
+                                            const minEmojis = parseInt(e.target.value);
+                                            setEmojiRules(prev => ({ ...prev, minEmojis, maxEmojis: Math.max(prev.maxEmojis, minEmojis) }));
                                         }}
-                                    >
-                                        <div style={{
-                                            width: '24px',
-                                            height: '24px',
-                                            backgroundColor: 'white',
-                                            borderRadius: '50%',
-                                            position: 'absolute',
-                                            top: '2px',
-                                            left: spectatorEnabled ? '24px' : '2px',
-                                            transition: 'left 0.2s cubic-bezier(0.4, 0.0, 0.2, 1)',
-                                            boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-                                        }} />
-                                    </div>
+                                        min={1} max={5} step={1}
+                                        isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}
+                                    />
                                 </SettingsRow>
 
+                                <SettingsRow label={`${t('maxEmojis')} 😀`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <NumberSelector
+                                        value={emojiRules.maxEmojis}
+                                        onChange={(e) => {
+                                            markSettingsDirty();
+                                            const maxEmojis = parseInt(e.target.value);
+                                            setEmojiRules(prev => ({ ...prev, maxEmojis, minEmojis: Math.min(prev.minEmojis, maxEmojis) }));
+                                        }}
+                                        min={1} max={MAX_EMOJIS_LIMIT} step={1}
+                                        isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}
+                                    />
+                                </SettingsRow>
+
+                                {[
+                                    { key: 'noRepeats', icon: '🔁' },
+                                    { key: 'noLetters', icon: '🔤' },
+                                    { key: 'noPromptEmojis', icon: '🚫' }
+                                ].map(({ key, icon }) => (
+                                    <SettingsRow key={key} label={`${t(key)} ${icon}`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                        <ToggleSwitch
+                                            checked={emojiRules[key]}
+                                            onToggle={(value) => {
+                                                markSettingsDirty();
+                                                setEmojiRules(prev => ({ ...prev, [key]: value }));
+                                            }}
+                                            isHost={isHost} isDarkMode={isDarkMode} color="#8B5CF6"
+                                        />
+                                    </SettingsRow>
+                                ))}
+
+                                {/* Family-friendly word filter for typed answers and names (see wordFilter.js) */}
+                                <SettingsRow label={`${t('wordFilter')} 🧼`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                    <ToggleSwitch
+                                        checked={wordFilter.enabled}
+                                        onToggle={(enabled) => {
+                                            markSettingsDirty();
+                                            setWordFilter(prev => ({ ...prev, enabled }));
+                                        }}
+                                        isHost={isHost} isDarkMode={isDarkMode} color="#10B981"
+                                    />
+                                </SettingsRow>
+
+                                {wordFilter.enabled && (
+                                    <>
+                                        <SettingsRow label={`${t('wordFilterReject')} ⛔`} isHost={isHost} isDarkMode={isDarkMode} isRTL={isRTL}>
+                                            <ToggleSwitch
+                                                checked={wordFilter.mode === 'reject'}
+                                                onToggle={(reject) => {
+                                                    markSettingsDirty();
+                                                    setWordFilter(prev => ({ ...prev, mode: reject ? 'reject' : 'mask' }));
+                                                }}
+                                                isHost={isHost} isDarkMode={isDarkMode} color="#10B981"
+                                            />
+                                        </SettingsRow>
+                                        <div style={{ paddingTop: '12px' }}>
+                                            <BlocklistEditor
+                                                words={wordFilter.customWords}
+                                                onChange={(customWords) => {
+                                                    markSettingsDirty();
+                                                    setWordFilter(prev => ({ ...prev, customWords }));
+                                                }}
+                                                isHost={isHost} t={t} playSound={playSound} isDarkMode={isDarkMode}
+                                            />
+                                        </div>
+                                    </>
+                                )}
+
                             </div>
                         </div>
                     </div>
@@ -814,13 +1088,26 @@ function Lobby({ isDarkMode }) {
                                             return;
                                         }
 
+                                        if (promptPack === CUSTOM_PACK_ID && !customDeck) {
+                                            setStartError(t('customDeckEmpty'));
+                                            setTimeout(() => setStartError(null), 3000);
+                                            return;
+                                        }
+
                                         const settings = {
                                             roundTime,
                                             voteDuration,
                                             maxPlayers,
                                             scoreToWin: maxScore,
                                             selectedMode,
-                                            spectatorEnabled
+                                            spectatorEnabled,
+                                            chainLength,
+                                            matchGames,
+                                            promptPack,
+                                            customDeck,
+                                            botDelay,
+                                            emojiRules,
+                                            wordFilter
                                         };
                                         // Local storage for persistence backup (optional)
                                         try {
@@ -907,28 +1194,44 @@ function Lobby({ isDarkMode }) {
                     minWidth: '110px',
                     animation: 'popIn 0.2s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
                 }} onClick={(e) => e.stopPropagation()}>
-                    <button
-                        onClick={() => { playSound('tap'); promotePlayerToHost(selectedPlayerId); setSelectedPlayerId(null); }}
-                        style={{
-                            border: 'none', background: '#FCD34D', color: '#78350F',
-                            padding: '8px', borderRadius: '8px', fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer',
-                            display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px',
-                            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-                        }}
-                    >
-                        👑 {t('promoteHost')}
-                    </button>
-                    <button
-                        onClick={() => { playSound('tap'); kickPlayer(selectedPlayerId); setSelectedPlayerId(null); }}
-                        style={{
-                            border: 'none', background: '#EF4444', color: 'white',
-                            padding: '8px', borderRadius: '8px', fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer',
-                            display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px',
-                            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-                        }}
-                    >
-                        🚫 {t('kick')}
-                    </button>
+                    {isBot(players.find(p => p.id === selectedPlayerId)) ? (
+                        <button
+                            onClick={() => { playSound('tap'); removeBot(selectedPlayerId); setSelectedPlayerId(null); }}
+                            style={{
+                                border: 'none', background: '#EF4444', color: 'white',
+                                padding: '8px', borderRadius: '8px', fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer',
+                                display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px',
+                                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                            }}
+                        >
+                            🔌 {t('removeBot')}
+                        </button>
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => { playSound('tap'); promotePlayerToHost(selectedPlayerId); setSelectedPlayerId(null); }}
+                                style={{
+                                    border: 'none', background: '#FCD34D', color: '#78350F',
+                                    padding: '8px', borderRadius: '8px', fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer',
+                                    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px',
+                                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                                }}
+                            >
+                                👑 {t('promoteHost')}
+                            </button>
+                            <button
+                                onClick={() => { playSound('tap'); kickPlayer(selectedPlayerId); setSelectedPlayerId(null); }}
+                                style={{
+                                    border: 'none', background: '#EF4444', color: 'white',
+                                    padding: '8px', borderRadius: '8px', fontWeight: '700', fontSize: '0.85rem', cursor: 'pointer',
+                                    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px',
+                                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                                }}
+                            >
+                                🚫 {t('kick')}
+                            </button>
+                        </>
+                    )}
                 </div>
             )}
 
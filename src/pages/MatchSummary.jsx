@@ -0,0 +1,134 @@
+import React, { useEffect, useRef } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useRoom } from '../contexts/RoomContext';
+import { useSound } from '../contexts/SoundContext';
+import { getMatchGames, getMatchStandings } from '../contexts/room/matchUtils';
+import PlayerAvatar from '../components/PlayerAvatar';
+
+function MatchSummary({ isDarkMode }) {
+    const { t, language } = useLanguage();
+    const { room, players, isHost, advancePhase, leaveRoom } = useRoom();
+    const { playSound, stopSound } = useSound();
+    const primaryColor = '#6C63FF';
+
+    const standings = getMatchStandings(room?.settings);
+    const games = getMatchGames(room?.settings);
+    const cachedNames = room?.settings?.player_names || {};
+    const champion = standings[0] || { name: '...', wins: 0, total: 0 };
+
+    // Players may have left since their game ended: fall back to a ghost avatar
+    const avatarOf = (id) => players.find(p => p.id === id)?.avatar || '👻';
+
+    const hasPlayedCheer = useRef(false);
+    useEffect(() => {
+        if (!hasPlayedCheer.current) {
+            playSound('cheer');
+            hasPlayedCheer.current = true;
+        }
+        return () => stopSound('cheer');
+    }, [playSound, stopSound]);
+
+    const sectionTitleStyle = { textAlign: language === 'ar' ? 'right' : 'left', color: isDarkMode ? '#9CA3AF' : '#4B5563', fontSize: '0.9rem', marginBottom: '10px', paddingLeft: '10px' };
+
+    return (
+        <div className="app-container" style={{ padding: '1rem', minHeight: '100dvh', overflowX: 'hidden', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+
+            {/* Header */}
+            <h1 className="main-title" style={{ fontSize: '1.8rem', marginTop: '10px', marginBottom: '10px' }}>
+                {t('matchChampion')}
+            </h1>
+
+            {/* Champion */}
+            <div className="winner-hero-card">
+                <div className="winner-avatar-container">
+                    <div className="winner-crown">👑</div>
+                    <div className="winner-avatar"><PlayerAvatar avatar={avatarOf(champion.id)} /></div>
+                </div>
+                <h2 style={{ fontSize: '1.5rem', fontWeight: '900', color: isDarkMode ? 'white' : '#1F2937', margin: 0 }}>
+                    {champion.name}
+                </h2>
+                <div className="winner-title-badge">
+                    {champion.wins} {t('gamesWon')} · {champion.total} pts
+                </div>
+            </div>
+
+            {/* Standings */}
+            <div style={{ width: '100%', maxWidth: '500px', marginTop: '20px' }}>
+                <h3 style={sectionTitleStyle}>{t('matchStandings')} 📊</h3>
+                {standings.map((row, index) => (
+                    <div key={row.id} className="score-list-item">
+                        <div style={{ width: '30px', fontWeight: 'bold', color: '#9CA3AF' }}>{index + 1}.</div>
+                        <div style={{ fontSize: '1.5rem', marginInlineEnd: '15px' }}><PlayerAvatar avatar={avatarOf(row.id)} /></div>
+                        <div style={{ flex: 1, textAlign: language === 'ar' ? 'right' : 'left' }}>
+                            <div style={{ fontWeight: '700', color: isDarkMode ? 'white' : '#1F2937' }}>{row.name}</div>
+                            <div style={{ color: '#9CA3AF', fontSize: '0.8rem' }}>{'🏆'.repeat(row.wins)} {row.wins} {t('gamesWon')}</div>
+                        </div>
+                        <div className="score-text" style={{ color: isDarkMode ? '#C4B5FD' : primaryColor }}>
+                            {row.total} <span style={{ fontSize: '0.8rem' }}>pts</span>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Per-game results */}
+            <div style={{ width: '100%', maxWidth: '500px', marginTop: '10px', paddingBottom: '20px' }}>
+                <h3 style={sectionTitleStyle}>{t('matchGamesList')} 🎮</h3>
+                {games.map(game => (
+                    <div key={game.game} className="score-list-item">
+                        <div style={{ flex: 1, textAlign: language === 'ar' ? 'right' : 'left', fontWeight: '700', color: isDarkMode ? 'white' : '#1F2937' }}>
+                            {t('matchGameLabel').replace('{n}', game.game)}
+                        </div>
+                        <div style={{ fontSize: '1.2rem', marginInlineEnd: '10px' }}><PlayerAvatar avatar={avatarOf(game.winnerId)} /></div>
+                        <div style={{ fontWeight: '700', color: isDarkMode ? '#C4B5FD' : primaryColor }}>
+                            {cachedNames[game.winnerId] || '...'} ({game.scores?.[game.winnerId] || 0} pts)
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Actions */}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', width: '100%', maxWidth: '350px', marginTop: '10px' }}>
+                {isHost ? (
+                    <button
+                        className="action-btn"
+                        onClick={() => {
+                            stopSound('cheer');
+                            playSound('tap');
+                            playSound('whoosh');
+                            advancePhase('lobby');
+                        }}
+                        style={{ width: '100%', fontSize: '1.1rem', padding: '12px' }}
+                    >
+                        {t('goToLobby')} 🏠
+                    </button>
+                ) : (
+                    <div style={{ textAlign: 'center', color: '#9CA3AF', fontWeight: 'bold' }}>
+                        {t('waitingForHost')}...
+                    </div>
+                )}
+
+                <button
+                    className="action-btn"
+                    onClick={() => {
+                        stopSound('cheer');
+                        playSound('tap');
+                        leaveRoom(true);
+                    }}
+                    style={{
+                        width: '100%',
+                        fontSize: '0.9rem',
+                        padding: '10px',
+                        background: 'transparent',
+                        border: '2px solid #EF4444',
+                        color: '#EF4444',
+                        boxShadow: 'none'
+                    }}
+                >
+                    {t('leaveRoom')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default MatchSummary;
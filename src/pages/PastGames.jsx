@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useSound } from '../contexts/SoundContext';
+import { getGameMode } from '../contexts/room/gameModes';
+import { getArchivedStandings, listArchivedGames } from '../contexts/room/gameArchive';
+
+// Finished games from the archive (see gameArchive.js), newest first, optionally for one room code
+function PastGames({ isDarkMode }) {
+    const navigate = useNavigate();
+    const { t, language } = useLanguage();
+    const { playSound } = useSound();
+    const isRTL = language === 'ar';
+
+    const [roomCode, setRoomCode] = useState('');
+    const [query, setQuery] = useState('');
+    const [games, setGames] = useState(null); // null while loading
+
+    useEffect(() => {
+        let cancelled = false;
+        listArchivedGames(query).then(list => {
+            if (!cancelled) setGames(list);
+        });
+        return () => { cancelled = true; };
+    }, [query]);
+
+    const search = (e) => {
+        if (e) e.preventDefault();
+        const code = roomCode.trim().toUpperCase();
+        if (code === query) return;
+        playSound('tap');
+        setGames(null);
+        setQuery(code);
+    };
+
+    const cardBg = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.9)';
+    const textColor = isDarkMode ? '#F9FAFB' : '#1F2937';
+    const subTextColor = isDarkMode ? '#9CA3AF' : '#6B7280';
+    const primaryColor = '#6C63FF';
+
+    return (
+        <div className="app-container" style={{ padding: '2rem', minHeight: '100dvh', overflowY: 'auto', direction: isRTL ? 'rtl' : 'ltr' }}>
+
+            <header style={{ marginBottom: '30px', textAlign: 'center' }}>
+                <h1 style={{ color: isDarkMode ? '#C4B5FD' : '#4C1D95', fontSize: '2.5rem', fontWeight: '900', marginBottom: '10px' }}>
+                    {t('pastGames')} 📜
+                </h1>
+                <p style={{ color: subTextColor, fontSize: '1.1rem', fontWeight: '600' }}>
+                    {t('pastGamesDesc')}
+                </p>
+            </header>
+
+            <form onSubmit={search} style={{ display: 'flex', gap: '10px', maxWidth: '600px', width: '100%', margin: '0 auto 25px' }}>
+                <input
+                    type="text"
+                    value={roomCode}
+                    onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+                    placeholder={t('filterByRoomCode')}
+                    maxLength={10}
+                    style={{
+                        flex: 1,
+                        padding: '12px 16px',
+                        borderRadius: '15px',
+                        border: '2px solid var(--input-border)',
+                        backgroundColor: 'var(--input-bg)',
+                        color: 'var(--input-text)',
+                        fontSize: '1.1rem',
+                        fontWeight: 'bold',
+                        letterSpacing: '2px',
+                        outline: 'none'
+                    }}
+                />
+                <button type="submit" className="action-btn" style={{ width: 'auto', padding: '12px 20px', backgroundColor: primaryColor }}>
+                    🔍
+                </button>
+            </form>
+
+            <div style={{ display: 'grid', gap: '15px', maxWidth: '600px', width: '100%', margin: '0 auto' }}>
+                {games === null && (
+                    <div style={{ textAlign: 'center', color: subTextColor, fontWeight: '700', animation: 'pulse 1.5s infinite' }}>⏳</div>
+                )}
+                {games?.length === 0 && (
+                    <div style={{ textAlign: 'center', color: subTextColor, fontWeight: '700' }}>{t('noPastGames')}</div>
+                )}
+                {games?.map(game => {
+                    const [winner] = getArchivedStandings(game);
+                    const mode = getGameMode(game.mode);
+                    return (
+                        <button
+                            key={game.id}
+                            onClick={() => { playSound('tap'); navigate(`/game-replay?id=${game.id}`); }}
+                            style={{
+                                background: cardBg,
+                                padding: '20px',
+                                borderRadius: '20px',
+                                border: isDarkMode ? '1px solid rgba(255,255,255,0.1)' : '1px solid white',
+                                boxShadow: '0 8px 32px rgba(0,0,0,0.1)',
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '15px',
+                                cursor: 'pointer',
+                                textAlign: isRTL ? 'right' : 'left',
+                                fontFamily: 'inherit'
+                            }}
+                        >
+                            <div style={{ fontSize: '2.2rem' }}>{mode.icon}</div>
+                            <div style={{ flex: 1 }}>
+                                <div style={{ color: primaryColor, fontSize: '1.2rem', fontWeight: '900', letterSpacing: '1px' }}>
+                                    {game.room_code}
+                                </div>
+                                <div style={{ color: subTextColor, fontSize: '0.9rem', fontWeight: '700' }}>
+                                    {new Date(game.finished_at).toLocaleString(language, { dateStyle: 'medium', timeStyle: 'short' })}
+                                    {' · '}
+                                    {t('archivedPlayers').replace('{n}', Object.keys(game.player_names || {}).length)}
+                                </div>
+                            </div>
+                            {winner && (
+                                <div style={{ color: textColor, fontWeight: '800' }}>🏆 {winner.name}</div>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <footer style={{ marginTop: '40px', display: 'flex', justifyContent: 'center' }}>
+                <button
+                    onClick={() => { playSound('tap'); navigate('/'); }}
+                    className="action-btn"
+                    style={{ width: '200px', backgroundColor: primaryColor }}
+                >
+                    {t('back')} 🏠
+                </button>
+            </footer>
+        </div>
+    );
+}
+
+export default PastGames;
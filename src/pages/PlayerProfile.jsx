@@ -0,0 +1,205 @@
+import React, { useState, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useSound } from '../contexts/SoundContext';
+import {
+    createProfile, deleteProfile, exportProfile, getFavoriteEmojis, importProfile, loadProfile
+} from '../contexts/room/playerProfile';
+import { getSignInErrorMessage } from '../contexts/room/playerIdentity';
+
+const VOTE_CATEGORIES = [
+    { id: 'funniest', icon: '😂' },
+    { id: 'mostAccurate', icon: '🎯' },
+    { id: 'mostDestroyed', icon: '🤯' }
+];
+
+// Lifetime stats of the optional profile kept on this device (see playerProfile.js)
+function PlayerProfile({ isDarkMode }) {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { t, language } = useLanguage();
+    const { playSound } = useSound();
+    const isRTL = language === 'ar';
+    const fileInputRef = useRef(null);
+
+    const [profile, setProfile] = useState(loadProfile);
+    const [message, setMessage] = useState(null);
+
+    const cardBg = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.9)';
+    const textColor = isDarkMode ? '#F9FAFB' : '#1F2937';
+    const subTextColor = isDarkMode ? '#9CA3AF' : '#6B7280';
+    const primaryColor = '#6C63FF';
+
+    const flash = (text) => {
+        setMessage(text);
+        setTimeout(() => setMessage(null), 3000);
+    };
+
+    const handleStart = async () => {
+        playSound('pop');
+        try {
+            setProfile(await createProfile());
+        } catch (err) {
+            flash(getSignInErrorMessage(err, t));
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // allow importing the same file again
+        if (!file) return;
+        const imported = importProfile(await file.text());
+        if (!imported) {
+            flash(t('profileImportError'));
+            return;
+        }
+        playSound('pop');
+        setProfile(imported);
+        flash(t('profileImported'));
+    };
+
+    const handleDelete = () => {
+        playSound('tap');
+        if (!window.confirm(t('deleteProfileConfirm'))) return;
+        deleteProfile();
+        setProfile(null);
+    };
+
+    // Opened from the avatar screen: go back to it with its room code
+    const handleBack = () => {
+        playSound('tap');
+        if (location.state?.fromAvatarSelection) navigate(-1);
+        else navigate('/');
+    };
+
+    const cardStyle = {
+        background: cardBg,
+        padding: '20px',
+        borderRadius: '20px',
+        border: isDarkMode ? '1px solid rgba(255,255,255,0.1)' : '1px solid white',
+        boxShadow: '0 8px 32px rgba(0,0,0,0.1)'
+    };
+    const cardTitleStyle = { color: subTextColor, fontSize: '0.85rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '10px' };
+    const buttonStyle = {
+        padding: '8px 14px',
+        borderRadius: '12px',
+        border: '2px solid var(--input-border)',
+        backgroundColor: 'transparent',
+        color: textColor,
+        fontWeight: '700',
+        fontSize: '0.9rem',
+        cursor: 'pointer'
+    };
+
+    const favoriteEmojis = getFavoriteEmojis(profile);
+    const playerName = localStorage.getItem('player_name');
+
+    return (
+        <div className="app-container" style={{ padding: '2rem', minHeight: '100dvh', overflowY: 'auto', direction: isRTL ? 'rtl' : 'ltr' }}>
+
+            <header style={{ marginBottom: '30px', textAlign: 'center' }}>
+                <h1 style={{ color: isDarkMode ? '#C4B5FD' : '#4C1D95', fontSize: '2.5rem', fontWeight: '900', marginBottom: '10px' }}>
+                    {t('myProfile')} 📊
+                </h1>
+                <p style={{ color: subTextColor, fontSize: '1.1rem', fontWeight: '600' }}>
+                    {profile && playerName ? `${playerName} · ` : ''}{t('profileDesc')}
+                </p>
+            </header>
+
+            <div style={{ display: 'grid', gap: '15px', maxWidth: '600px', width: '100%', margin: '0 auto' }}>
+                {!profile && (
+                    <div style={{ ...cardStyle, textAlign: 'center' }}>
+                        <p style={{ color: textColor, fontWeight: '600', marginTop: 0 }}>{t('profileOptIn')}</p>
+                        <button onClick={handleStart} className="action-btn" style={{ width: 'auto', padding: '12px 24px', backgroundColor: primaryColor, margin: '0 auto' }}>
+                            {t('startProfile')} ✨
+                        </button>
+                    </div>
+                )}
+
+                {profile && (
+                    <>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
+                            {[
+                                { label: t('gamesPlayedStat'), value: profile.games_played, icon: '🎮' },
+                                { label: t('winsStat'), value: profile.wins, icon: '🏆' }
+                            ].map(stat => (
+                                <div key={stat.label} style={{ ...cardStyle, textAlign: 'center' }}>
+                                    <div style={{ fontSize: '2rem' }}>{stat.icon}</div>
+                                    <div style={{ color: primaryColor, fontSize: '2rem', fontWeight: '900' }}>{stat.value}</div>
+                                    <div style={{ color: subTextColor, fontWeight: '700' }}>{stat.label}</div>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div style={cardStyle}>
+                            <div style={cardTitleStyle}>{t('votesReceived')}</div>
+                            {VOTE_CATEGORIES.map(category => (
+                                <div key={category.id} style={{ display: 'flex', justifyContent: 'space-between', color: textColor, fontWeight: '700', padding: '4px 0' }}>
+                                    <span>{category.icon} {t(category.id)}</span>
+                                    <span style={{ color: primaryColor, fontWeight: '900' }}>{profile.votes_received[category.id] || 0}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div style={cardStyle}>
+                            <div style={cardTitleStyle}>{t('favoriteEmojis')}</div>
+                            {favoriteEmojis.length > 0 ? (
+                                <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
+                                    {favoriteEmojis.map(([emoji, count]) => (
+                                        <div key={emoji} style={{ textAlign: 'center' }}>
+                                            <div style={{ fontSize: '2rem' }}>{emoji}</div>
+                                            <div style={{ color: subTextColor, fontSize: '0.8rem', fontWeight: '800' }}>×{count}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                <div style={{ color: subTextColor, fontWeight: '600' }}>{t('noStatsYet')}</div>
+                            )}
+                        </div>
+
+                        <div style={cardStyle}>
+                            <div style={cardTitleStyle}>{t('longestSurvivingPhrase')}</div>
+                            {profile.longest_phrase ? (
+                                <>
+                                    <div style={{ color: textColor, fontSize: '1.3rem', fontWeight: '800' }}>"{profile.longest_phrase.text}"</div>
+                                    <div style={{ color: subTextColor, fontSize: '0.9rem', fontWeight: '600', marginTop: '5px' }}>
+                                        {t('survivedFrom').replace('{n}', profile.longest_phrase.words).replace('{original}', profile.longest_phrase.original)}
+                                    </div>
+                                </>
+                            ) : (
+                                <div style={{ color: subTextColor, fontWeight: '600' }}>{t('noStatsYet')}</div>
+                            )}
+                        </div>
+                    </>
+                )}
+
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+                    {profile && (
+                        <button onClick={() => { playSound('tap'); exportProfile(profile); }} style={buttonStyle}>
+                            📤 {t('exportProfile')}
+                        </button>
+                    )}
+                    <button onClick={() => { playSound('tap'); fileInputRef.current?.click(); }} style={buttonStyle}>
+                        📥 {t('importProfile')}
+                    </button>
+                    {profile && (
+                        <button onClick={handleDelete} style={{ ...buttonStyle, color: '#EF4444' }}>
+                            🗑️ {t('deleteProfile')}
+                        </button>
+                    )}
+                    <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+                </div>
+
+                {message && <div style={{ textAlign: 'center', fontSize: '0.9rem', fontWeight: '700', color: primaryColor }}>{message}</div>}
+            </div>
+
+            <footer style={{ marginTop: '40px', display: 'flex', justifyContent: 'center' }}>
+                <button onClick={handleBack} className="action-btn" style={{ width: '200px', backgroundColor: primaryColor }}>
+                    {t('back')}{location.state?.fromAvatarSelection ? '' : ' 🏠'}
+                </button>
+            </footer>
+        </div>
+    );
+}
+
+export default PlayerProfile;
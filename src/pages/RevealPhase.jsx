@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { getRevealChains } from '../contexts/room/roomUtils';
+import ChainStepCard from '../components/ChainStepCard';
 
 function RevealPhase({ isDarkMode }) {
     const navigate = useNavigate();
@@ -44,31 +46,13 @@ function RevealPhase({ isDarkMode }) {
     }, [chainIndex, playSound]);
 
     // Build chains using preserved history from room settings
-    const history = room?.settings?.history || {};
-    const strip = (val) => val ? (val.includes(':') ? val.split(':').slice(1).join(':') : val) : null;
-    const subLabel = isDarkMode ? '#DDD6FE' : '#4C1D95';
-    const cardText = isDarkMode ? '#F5F3FF' : '#1E1B4B';
-
-    const chainsDict = room?.settings?.chains || {};
-    const chainIds = Object.keys(chainsDict);
     const cachedNames = room?.settings?.player_names || {};
     const getName = (id) => {
         if (id === 'ghost_player') return `👻 ${t('mysteryPlayer')}`;
         return cachedNames[id] || players.find(p => p.id === id)?.name || "Unknown";
     };
 
-    const chains = chainIds.map(cId => {
-        const chain = chainsDict[cId];
-        const h = chain.history || [];
-        return {
-            id: cId,
-            steps: h.map((entry) => ({
-                ...entry,
-                authorName: getName(entry.playerId),
-                isGhost: entry.playerId === 'ghost_player'
-            }))
-        };
-    }).filter(c => c.steps.length > 0);
+    const chains = getRevealChains(room?.settings?.chains, getName);
 
     const currentChain = chains[chainIndex] || {};
     const isLastChain = chainIndex === (chains.length - 1);
@@ -120,19 +104,6 @@ function RevealPhase({ isDarkMode }) {
         paddingBottom: '40px'
     };
 
-    const cardStyle = {
-        background: 'var(--phase-card-bg)',
-        padding: '25px',
-        borderRadius: '25px',
-        boxShadow: '0 10px 30px rgba(0,0,0,0.1)',
-        width: '100%',
-        maxWidth: '450px',
-        marginBottom: '20px',
-        border: '2px solid rgba(255,255,255,0.1)',
-        backdropFilter: 'blur(5px)',
-        animation: 'pop-in 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
-    };
-
     const containerPaddingBottom = isHost ? '180px' : '80px';
 
     return (
@@ -154,32 +125,7 @@ function RevealPhase({ isDarkMode }) {
                         // Actually, 'step' in room settings corresponds to how many entries of the CURRENT chain to show.
                         if (idx + 1 > step) return null;
 
-                        const isInterpretation = historyStep.phase === 'text' || historyStep.phase.startsWith('interpretation');
-                        const label = isInterpretation ?
-                            (historyStep.phase === 'text' ? t('wrote') : t('guessed')) :
-                            t('translated');
-
-                        const bgColor = isInterpretation ? (idx === 0 ? 'var(--phase-card-bg)' : '#FFFBEB') : 'var(--phase-card-bg)';
-                        const borderColor = isInterpretation ? (idx === 0 ? 'rgba(255,255,255,0.1)' : '#FEF3C7') : 'rgba(255,255,255,0.1)';
-                        const textColor = isInterpretation ? (idx === 0 ? cardText : '#92400E') : cardText;
-                        const labelColor = isInterpretation ? (idx === 0 ? subLabel : '#D97706') : subLabel;
-
-                        return (
-                            <div style={{ ...cardStyle, background: bgColor, border: `2px solid ${borderColor}` }} key={`${chainIndex}-${idx}`}>
-                                <p style={{ color: labelColor, fontSize: '0.8rem', fontWeight: '800', textTransform: 'uppercase', marginBottom: '8px' }}>
-                                    {historyStep.authorName} {label}:
-                                </p>
-                                {isInterpretation ? (
-                                    <p style={{ color: textColor, fontSize: idx === 0 ? '1.4rem' : '1.6rem', fontWeight: '900', fontStyle: idx === 0 ? 'normal' : 'italic' }}>
-                                        "{historyStep.content}"
-                                    </p>
-                                ) : (
-                                    <div style={{ fontSize: '3rem', display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
-                                        {historyStep.content?.split(' ').map((e, i) => <span key={i} className="hover-pop">{e}</span>)}
-                                    </div>
-                                )}
-                            </div>
-                        );
+                        return <ChainStepCard key={`${chainIndex}-${idx}`} step={historyStep} index={idx} replay={idx + 1 === step} isDarkMode={isDarkMode} t={t} />;
                     })}
                 </div>
 
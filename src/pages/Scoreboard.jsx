@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import TranscriptExport from '../components/TranscriptExport';
+import PlayerAvatar from '../components/PlayerAvatar';
 
 function Scoreboard({ isDarkMode }) {
     const navigate = useNavigate();
@@ -21,7 +23,7 @@ function Scoreboard({ isDarkMode }) {
     const isSpectatorMode = playingIds.length > 0 && !playingIds.includes(currentPlayer?.id) && currentPlayer?.is_host;
 
     // Merge active players with those who started the game (including dropped players)
-    const currentAssignments = room?.settings?.assignments?.[room?.settings?.selectedMode === 'Emoji Only' ? 'emoji_1' : 'text'] || {};
+    const currentAssignments = room?.settings?.assignments?.text || {};
     const playedIds = room?.settings?.player_order || Object.keys(currentAssignments);
     const cachedScores = room?.settings?.cached_scores || {};
 
@@ -119,7 +121,7 @@ function Scoreboard({ isDarkMode }) {
                     {top3 && top3[1] && (
                         <>
                             <div className="podium-avatar">
-                                {top3[1].avatar?.split('|')[0]}
+                                <PlayerAvatar avatar={top3[1].avatar} />
                                 <div style={{ position: 'absolute', bottom: '-10px', background: '#C0C0C0', color: '#1F2937', fontWeight: 'bold', fontSize: '0.8rem', padding: '2px 8px', borderRadius: '10px' }}>2</div>
                             </div>
                             <div className="podium-bar">
@@ -136,7 +138,7 @@ function Scoreboard({ isDarkMode }) {
                     {top3 && top3[0] && (
                         <>
                             <div className="podium-avatar">
-                                {top3[0].avatar?.split('|')[0]}
+                                <PlayerAvatar avatar={top3[0].avatar} />
                                 <div style={{ position: 'absolute', top: '-25px', fontSize: '2rem' }}>👑</div>
                                 <div style={{ position: 'absolute', bottom: '-10px', background: '#FFD700', color: '#1F2937', fontWeight: 'bold', fontSize: '0.8rem', padding: '2px 8px', borderRadius: '10px' }}>1</div>
                             </div>
@@ -154,7 +156,7 @@ function Scoreboard({ isDarkMode }) {
                     {top3 && top3[2] && (
                         <>
                             <div className="podium-avatar">
-                                {top3[2].avatar?.split('|')[0]}
+                                <PlayerAvatar avatar={top3[2].avatar} />
                                 <div style={{ position: 'absolute', bottom: '-10px', background: '#CD7F32', color: 'white', fontWeight: 'bold', fontSize: '0.8rem', padding: '2px 8px', borderRadius: '10px' }}>3</div>
                             </div>
                             <div className="podium-bar">
@@ -179,7 +181,7 @@ function Scoreboard({ isDarkMode }) {
                             <div style={{ fontSize: '0.8rem', fontWeight: 'bold', color: primaryColor, textTransform: 'uppercase' }}>{award.title}</div>
                             <div style={{ fontSize: '1.1rem', fontWeight: '700', color: isDarkMode ? 'white' : '#1F2937' }}>{award.winner.name}</div>
                         </div>
-                        <div style={{ fontSize: '1.5rem' }}>{award.winner.avatar?.split('|')[0]}</div>
+                        <div style={{ fontSize: '1.5rem' }}><PlayerAvatar avatar={award.winner.avatar} /></div>
                     </div>
                 ))}
             </div>
@@ -192,7 +194,7 @@ function Scoreboard({ isDarkMode }) {
                 {rest.map((player, index) => (
                     <div key={player.id} className="score-list-item">
                         <div style={{ width: '30px', fontWeight: 'bold', color: '#9CA3AF' }}>{index + 4}.</div>
-                        <div style={{ fontSize: '1.5rem', marginInlineEnd: '15px' }}>{player.avatar?.split('|')[0]}</div>
+                        <div style={{ fontSize: '1.5rem', marginInlineEnd: '15px' }}><PlayerAvatar avatar={player.avatar} /></div>
                         <div style={{ flex: 1, textAlign: language === 'ar' ? 'right' : 'left' }}>
                             <div style={{ fontWeight: '700', color: isDarkMode ? 'white' : '#1F2937' }}>{player.name}</div>
                             <div className="funny-title" style={{ color: '#9CA3AF' }}>"{player.title}"</div>
@@ -249,6 +251,10 @@ function Scoreboard({ isDarkMode }) {
                         })()}
                     </div>
                 )}
+
+                <div style={{ marginTop: '10px' }}>
+                    <TranscriptExport isDarkMode={isDarkMode} />
+                </div>
             </div>
 
         </div >
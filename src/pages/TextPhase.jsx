@@ -3,12 +3,16 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { decodeAnswer, isFinalAnswer } from '../contexts/room/answerCodec';
+import { applyTextConstraints, getModeConstraints } from '../contexts/room/gameModes';
+import { getWordFilter, hasBlockedWords } from '../contexts/room/wordFilter';
+import { dealPrompt, getPromptPack, getPromptPackLabel } from '../contexts/room/promptPacks';
 
 import SpectatorView from '../components/SpectatorView';
 
 function TextPhase({ isDarkMode }) {
     const navigate = useNavigate();
-    const { t } = useLanguage();
+    const { t, language } = useLanguage();
     const { playSound } = useSound();
     const { room, players, currentPlayer, submitAnswer, saveDraft, isHost, gameState, error, onlinePlayerIds } = useRoom();
     const [timeLeft, setTimeLeft] = useState(room?.settings?.roundTime || 60);
@@ -19,6 +23,10 @@ function TextPhase({ isDarkMode }) {
 
 
 
+    // Input rules of the room's game mode
+    const constraints = getModeConstraints(room?.settings, 'text');
+    const wordFilter = getWordFilter(room?.settings);
+
     const [answer, setAnswer] = useState('');
     const [hasInteracted, setHasInteracted] = useState(false);
     const [hasSubmitted, setHasSubmitted] = useState(false);
@@ -44,17 +52,12 @@ function TextPhase({ isDarkMode }) {
     useEffect(() => {
         if (!currentPlayer?.last_answer || answer || hasSubmitted || hasInteracted) return;
 
-        const last = currentPlayer.last_answer;
+        const last = decodeAnswer(currentPlayer.last_answer);
+        if (last?.kind !== 'text') return;
 
-        if (last.startsWith('text:')) {
-            const restored = last.substring(5);
-            setAnswer(restored);
-            if (!restored.startsWith('Healed:')) {
-                setHasSubmitted(true);
-            }
-        } else if (last.startsWith('draft:')) {
-            const restored = last.substring(6);
-            setAnswer(restored);
+        setAnswer(last.value);
+        if (!last.draft && !last.healed) {
+            setHasSubmitted(true);
         }
     }, [currentPlayer?.last_answer, answer, hasSubmitted]);
 
@@ -81,13 +84,13 @@ function TextPhase({ isDarkMode }) {
         // ALLOW empty strings if user has interacted (to fix the deletion bug)
         if (hasSubmitted || (!answer.trim() && !hasInteracted)) return;
 
-        const expected = `draft:${answer.trim()}`;
-        const actual = currentPlayer?.last_answer;
+        const actual = decodeAnswer(currentPlayer?.last_answer);
+        const isSynced = actual?.kind === 'text' && actual.draft && actual.value === answer;
 
-        if (actual !== expected) {
+        if (!isSynced) {
             const timer = setTimeout(() => {
                 // Re-check after 0.35s of inactivity/mismatch
-                if (currentPlayer?.last_answer !== expected && answerRef.current === answer) {
+                if (answerRef.current === answer) {
                     saveDraft(answer, 'text');
                 }
             }, 350);
@@ -116,7 +119,7 @@ function TextPhase({ isDarkMode }) {
 
     const playersReadyCount = players.filter(p =>
         activePlayingIds.includes(p.id) &&
-        p.last_answer && p.last_answer.startsWith('text:')
+        isFinalAnswer(p.last_answer, 'text')
     ).length;
 
     // STICKY READY COUNT: Prevent flicker to 0 during phase transition
@@ -128,7 +131,7 @@ function TextPhase({ isDarkMode }) {
 
     // Sync local hasSubmitted with DB state (last_answer exists)
     useEffect(() => {
-        if (currentPlayer?.last_answer && currentPlayer.last_answer.startsWith('text:')) {
+        if (isFinalAnswer(currentPlayer?.last_answer, 'text')) {
             setHasSubmitted(true);
         } else if (!isSubmittingRef.current) {
             // Only revert to false if we aren't currently in the middle of a submission
@@ -169,7 +172,7 @@ function TextPhase({ isDarkMode }) {
                 // Auto-Submit for self if time is up
                 if (secondsLeft === 0 && !hasSubmitted) {
                     if (!isSpectatorMode) playSound('buzz');
-                    handleSubmit();
+                    handleSubmit(null, true);
                 }
 
                 // Tension: Tick during the final 10 seconds (Plays for everyone until 0)
@@ -193,9 +196,16 @@ function TextPhase({ isDarkMode }) {
     };
 
 
-    const handleSubmit = (e) => {
+    const isAnswerBlocked = wordFilter.mode === 'reject' && hasBlockedWords(answer, wordFilter);
+
+    // Manual submits are refused in the filter's reject mode; when time runs out the answer goes in masked (see submitAnswer)
+    const handleSubmit = (e, isAutoSubmit = false) => {
         if (e) e.preventDefault();
         if (hasSubmitted || isSubmittingRef.current) return;
+        if (!isAutoSubmit && wordFilter.mode === 'reject' && hasBlockedWords(answerRef.current, wordFilter)) {
+            playSound('buzz');
+            return;
+        }
         isSubmittingRef.current = true;
 
         // Use ref value to avoid stale closure in timer intervals
@@ -206,7 +216,7 @@ function TextPhase({ isDarkMode }) {
         isSubmittingRef.current = true; // FIX: Prevent pending debounced drafts from firing
         setHasSubmitted(true);
         if (!isSpectatorMode) playSound('giggle');
-        submitAnswer(`text:${finalAnswer}`).finally(() => {
+        submitAnswer(finalAnswer, 'text').finally(() => {
             // Keep marked as submitted even after promise resolves
         });
     };
@@ -309,7 +319,7 @@ function TextPhase({ isDarkMode }) {
                             <textarea
                                 value={answer}
                                 onChange={(e) => {
-                                    setAnswer(e.target.value);
+                                    setAnswer(applyTextConstraints(e.target.value, constraints));
                                     if (!hasInteracted) setHasInteracted(true);
                                 }}
                                 onKeyDown={(e) => {
@@ -319,7 +329,7 @@ function TextPhase({ isDarkMode }) {
                                     }
                                 }}
                                 placeholder={t('typeHere')}
-                                maxLength={100}
+                                maxLength={constraints.maxLength}
                                 style={{
                                     width: '100%',
                                     padding: '25px',
@@ -338,6 +348,38 @@ function TextPhase({ isDarkMode }) {
                                 }}
                             />
 
+                            {isAnswerBlocked && (
+                                <div style={{ textAlign: 'center', color: '#EF4444', fontWeight: '800', fontSize: '1rem' }}>
+                                    ⚠️ {t('wordFilterRejected')}
+                                </div>
+                            )}
+
+                            {/* Deal a prompt from the room's prompt pack */}
+                            {getPromptPack(room?.settings) && (
+                                <button
+                                    onClick={() => {
+                                        const prompt = dealPrompt(room.settings, language, answer, currentPlayer?.id);
+                                        if (!prompt) return;
+                                        playSound('pop');
+                                        setAnswer(applyTextConstraints(prompt, constraints));
+                                        if (!hasInteracted) setHasInteracted(true);
+                                    }}
+                                    style={{
+                                        alignSelf: 'center',
+                                        padding: '10px 20px',
+                                        borderRadius: '15px',
+                                        border: '2px dashed var(--input-border)',
+                                        background: 'transparent',
+                                        color: 'var(--phase-title)',
+                                        fontWeight: '800',
+                                        fontSize: '1rem',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    🎲 {t('dealPrompt')} ({getPromptPackLabel(getPromptPack(room.settings), t)} {getPromptPack(room.settings).icon})
+                                </button>
+                            )}
+
                             <button
                                 onClick={handleSubmit}
                                 className="action-btn"
@@ -347,9 +389,9 @@ function TextPhase({ isDarkMode }) {
                                     borderRadius: '20px',
                                     fontSize: '1.5rem',
                                     marginTop: '10px',
-                                    opacity: answer.length > 0 ? 1 : 0.7
+                                    opacity: answer.length > 0 && !isAnswerBlocked ? 1 : 0.7
                                 }}
-                                disabled={answer.length === 0}
+                                disabled={answer.length === 0 || isAnswerBlocked}
                             >
                                 {t('submitAnswer')} 📤
                             </button>
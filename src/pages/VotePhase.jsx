@@ -3,8 +3,11 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useRoom } from '../contexts/RoomContext';
 import { useSound } from '../contexts/SoundContext';
+import { decodeAnswer, isFinalAnswer } from '../contexts/room/answerCodec';
+import { getVoteLimits } from '../contexts/room/gameModes';
 
 import SpectatorView from '../components/SpectatorView';
+import PlayerAvatar from '../components/PlayerAvatar';
 
 function VotePhase({ isDarkMode }) {
     const navigate = useNavigate();
@@ -25,14 +28,7 @@ function VotePhase({ isDarkMode }) {
         }
     }, [playSound]);
     // --- Vote Budgeting Logic ---
-    const scoreToWin = room?.settings?.scoreToWin || 5;
-    const multiplier = Math.max(1, Math.floor(scoreToWin / 5));
-    // Limits: Funniest gets 3x, others get 1x per 5 points
-    const voteLimits = {
-        funniest: 3 * multiplier,
-        mostAccurate: 1 * multiplier,
-        mostDestroyed: 1 * multiplier
-    };
+    const voteLimits = getVoteLimits(room?.settings);
 
     const [selectedPlayer, setSelectedPlayer] = useState(null);
     const [myVotes, setMyVotes] = useState([]); // Array of {category, targetId}
@@ -64,7 +60,7 @@ function VotePhase({ isDarkMode }) {
 
     // Readiness Check: Count anyone in player_order who has a valid vote payload
     // Helper to detect a valid vote payload (legacy or multi)
-    const isVotedPayload = (ans) => ans && (ans.startsWith('vote:') || ans.startsWith('vote_multi:'));
+    const isVotedPayload = (ans) => isFinalAnswer(ans, 'vote');
 
     // Updated Logic: Count only playing IDs that are currently online
     // FIX: Denominator should shrink if players leave, showing "Players Ready: 2/2" instead of "2/3"
@@ -89,47 +85,32 @@ function VotePhase({ isDarkMode }) {
     useEffect(() => {
         if (!currentPlayer?.id || isSubmitting) return;
 
-        const ans = currentPlayer?.last_answer;
-        if (!ans) return;
-
-        if (ans.startsWith('vote_multi:')) {
-            try {
-                const saved = JSON.parse(ans.substring('vote_multi:'.length));
-                // ROBUST RESTORATION: Only sync if current local state is empty OR the server has MORE votes
-                // This prevents a local "vote-in-progress" from being clobbered by a slightly older DB state
-                setMyVotes(current => {
-                    const localCount = current.length;
-                    const serverCount = saved.length;
-
-                    if (localCount === 0 && serverCount > 0) return saved;
-                    if (serverCount > localCount) return saved; // Server has newer data
-                    return current;
-                });
-                // Restore selection if missing
-                if (!selectedPlayer && saved.length > 0) setSelectedPlayer(saved[0].targetId);
-            } catch (e) { console.error("Failed to restore vote_multi", e); }
-        } else if (ans.startsWith('vote:')) {
-            // Restore legacy single vote
-            const parts = ans.split(':');
-            if (parts.length >= 2) {
-                const savedVote = { category: parts.length === 3 ? parts[1] : parts[0], targetId: parts[parts.length - 1] };
-                setMyVotes(current => {
-                    if (current.length === 0) return [savedVote];
-                    return current;
-                });
-                if (!selectedPlayer) setSelectedPlayer(savedVote.targetId);
-            }
-        }
+        const ans = decodeAnswer(currentPlayer?.last_answer);
+        if (ans?.kind !== 'vote' || ans.draft) return;
+
+        const saved = ans.value;
+        // ROBUST RESTORATION: Only sync if current local state is empty OR the server has MORE votes
+        // This prevents a local "vote-in-progress" from being clobbered by a slightly older DB state
+        setMyVotes(current => {
+            const localCount = current.length;
+            const serverCount = saved.length;
+
+            if (localCount === 0 && serverCount > 0) return saved;
+            if (serverCount > localCount) return saved; // Server has newer data
+            return current;
+        });
+        // Restore selection if missing
+        if (!selectedPlayer && saved.length > 0) setSelectedPlayer(saved[0].targetId);
     }, [currentPlayer?.last_answer, isSubmitting, selectedPlayer]);
 
     // AUTO-RETRY SYNC: If server doesn't match local state, re-submit automatically
     useEffect(() => {
         if (!hasVoted || isSubmitting) return;
 
-        const expected = `vote_multi:${JSON.stringify(myVotes)}`;
-        const actual = currentPlayer?.last_answer;
+        const actual = decodeAnswer(currentPlayer?.last_answer);
+        const isSynced = actual?.kind === 'vote' && !actual.draft && JSON.stringify(actual.value) === JSON.stringify(myVotes);
 
-        if (actual !== expected) {
+        if (!isSynced) {
             const timer = setTimeout(() => {
                 // GUARD: Allow 1.0 second for Realtime to ripple (was 1.5s)
                 const now = Date.now();
@@ -137,16 +118,15 @@ function VotePhase({ isDarkMode }) {
 
                 // PROTECTION: If local is empty but server has votes, DON'T overwrite server with empty!
                 // We assume we are in the process of restoring.
-                const dbAns = currentPlayerRef.current?.last_answer || '';
-                const hasServerVote = (dbAns.startsWith('vote_multi:') && dbAns !== 'vote_multi:[]') ||
-                    (dbAns.startsWith('vote:') && dbAns.length > 5);
+                const dbAns = decodeAnswer(currentPlayerRef.current?.last_answer);
+                const hasServerVote = dbAns?.kind === 'vote' && !dbAns.draft && dbAns.value.length > 0;
 
                 if (myVotes.length === 0 && hasServerVote) {
                     return;
                 }
 
-                if (currentPlayer?.last_answer !== expected && !isSubmitting) {
-                    submitAnswer(expected)
+                if (!isSubmitting) {
+                    submitAnswer(myVotes, 'vote')
                         .finally(() => setIsSubmitting(false));
                 }
             }, 500); // 0.5s for stability (was 1.0s)
@@ -159,7 +139,7 @@ function VotePhase({ isDarkMode }) {
         if (!selectedPlayer || hasVoted || isSubmitting) return;
 
         // Save targetId as a draft so spectators can see who we are considering
-        saveDraft(`draft_vote:${selectedPlayer}`);
+        saveDraft(selectedPlayer, 'vote');
     }, [selectedPlayer, hasVoted, isSubmitting, saveDraft]);
 
     // IMMEDIATE Timer Sync on mount/update
@@ -223,8 +203,7 @@ function VotePhase({ isDarkMode }) {
 
                 // Auto-submit logic at 0s
                 if ((diff <= 100 || secondsLeft <= 0) && !isAdvancingRef.current && !isSubmittingRef.current) {
-                    const dbAns = currentPlayerRef.current?.last_answer || "";
-                    const hasServerVote = dbAns.startsWith('vote:') || dbAns.startsWith('vote_multi:');
+                    const hasServerVote = isFinalAnswer(currentPlayerRef.current?.last_answer, 'vote');
 
                     if (!hasServerVote) {
                         const localVotes = [...myVotesRef.current];
@@ -257,7 +236,7 @@ function VotePhase({ isDarkMode }) {
                             isSubmittingRef.current = true;
                             setIsSubmitting(true);
                             lastSubmissionTimeRef.current = Date.now(); // Update sync guard
-                            submitAnswerRef.current(`vote_multi:${JSON.stringify(localVotes)}`)
+                            submitAnswerRef.current(localVotes, 'vote')
                                 .finally(() => {
                                     isSubmittingRef.current = false;
                                     setIsSubmitting(false);
@@ -321,7 +300,7 @@ function VotePhase({ isDarkMode }) {
             setIsSubmitting(true);
             isSubmittingRef.current = true;
             lastSubmissionTimeRef.current = Date.now();
-            submitAnswer(`vote_multi:${JSON.stringify(votes)}`)
+            submitAnswer(votes, 'vote')
                 .finally(() => {
                     setIsSubmitting(false);
                     isSubmittingRef.current = false;
@@ -522,7 +501,7 @@ function VotePhase({ isDarkMode }) {
                                 );
                             })()}
 
-                            <div className="player-vote-card-avatar">{player.avatar?.split('|')[0]}</div>
+                            <div className="player-vote-card-avatar"><PlayerAvatar avatar={player.avatar} /></div>
                             <div className="player-vote-card-name" style={{ color: isDarkMode ? '#E5E7EB' : '#374151' }}>
                                 {player.name}
                             </div>
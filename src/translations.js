@@ -5,6 +5,33 @@ export const translations = {
         language: "Language",
         howToPlay: "How to Play",
         terms: "Terms & Conditions",
+        pastGames: "Past Games",
+        pastGamesDesc: "Replay the chains of finished games",
+        filterByRoomCode: "Room code",
+        noPastGames: "No finished games yet",
+        archivedPlayers: "{n} players",
+        replayTitle: "Replay",
+        roundNumber: "Round {n}",
+        finalScores: "Final Scores",
+        replayAgain: "Watch Again",
+        gameNotFound: "This game could not be found",
+        myProfile: "My Profile",
+        profileDesc: "Your stats across games, kept on this device",
+        profileOptIn: "Start a profile to count your games, wins, votes and favorite emojis. It stays on this device and you can export it anytime.",
+        startProfile: "Start my profile",
+        importProfile: "Import",
+        exportProfile: "Export",
+        deleteProfile: "Delete profile",
+        deleteProfileConfirm: "Delete your profile and all its stats from this device?",
+        profileImported: "Profile imported! 📥",
+        profileImportError: "This file is not a profile 🚫",
+        gamesPlayedStat: "Games played",
+        winsStat: "Wins",
+        votesReceived: "Votes received",
+        favoriteEmojis: "Favorite emojis",
+        longestSurvivingPhrase: "Longest surviving phrase",
+        survivedFrom: "{n} words made it to the last guess of “{original}”",
+        noStatsYet: "Finish a game to see this stat",
         joinOnline: "Join Online",
         createRoom: "Create Room",
         poweredBy: "Powered by",
@@ -16,6 +43,9 @@ export const translations = {
         voteDuration: "Vote Duration",
         maxPlayers: "Max Players",
         scoreToWin: "Score to Win",
+        chainLength: "Chain Length",
+        chainSteps: "steps",
+        chainLengthAuto: "1 per player",
         spectatorMode: "Spectator Mode",
         startGame: "Start Game",
         waitingToAdvance: "Waiting for host to advance...",
@@ -29,12 +59,21 @@ export const translations = {
         waitingRest: "Waiting for the rest...",
         phase2Title: "Phase 2: Emoji Time",
         translatePhrase: "Translate this phrase:",
+        suggestEmojis: "Suggest emojis",
+        hideSuggestions: "Hide suggestions",
         clickToAdd: "Click the + to add emojis...",
         lockInEmojis: "Lock In Emojis",
         masterpieceSent: "Masterpiece Sent!",
         waitingArtists: "Waiting for the other artists to finish...",
         phase3Title: "Phase 3: What Does This Mean?",
         translateEmojis: "Translate these emojis:",
+        translateDrawing: "What does this drawing mean?",
+        drawPhaseTitle: "Phase {n}: Draw It!",
+        drawThis: "Draw this:",
+        lockInDrawing: "Lock In Drawing",
+        eraser: "Eraser",
+        undo: "Undo",
+        clear: "Clear",
         typeInterpretation: "Type your interpretation...",
         lockInMeaning: "Lock In Meaning",
         interpretationLocked: "Interpretation Locked!",
@@ -43,6 +82,7 @@ export const translations = {
         chain: "Chain",
         wrote: "wrote",
         translated: "translated",
+        drew: "drew",
         guessed: "guessed",
         showResults: "Show Results!",
         nextReveal: "Next Reveal...",
@@ -64,12 +104,21 @@ export const translations = {
         namePlaceholder: "e.g. PizzaLover",
         joinGame: "Join Game",
         selectAvatar: "Select Your Avatar",
+        anyEmoji: "Any emoji",
+        pickAvatarEmoji: "Pick your avatar",
+        customAvatar: "Custom",
+        avatarColor: "Color",
+        avatarFrame: "Frame",
+        avatarTaken: "Someone here already looks like this, we'll change your color",
         confirm: "Confirm",
         enterRoom: "Enter Room",
         appTitlePart1: "What Did",
         appTitlePart2: "You Mean",
         promoteHost: "Host",
         kick: "Kick",
+        addBot: "Add a bot",
+        removeBot: "Remove",
+        botDelay: "Bot Thinking Time",
         back: "Back",
         chainCount: "Chain {current} of {total}",
         voteTime: "Vote Time!",
@@ -86,6 +135,7 @@ export const translations = {
         titleGhosted: "Ghosted",
         chaosAwards: "CHAOS AWARDS",
         roomNotFound: "Room not found! 🚫",
+        signInFailed: "Could not sign in",
         voted: "Voted! 😈",
         playersVoted: "Players Voted",
         considering: "Considering",
@@ -99,7 +149,30 @@ export const translations = {
         nextRound: "Next Round 🔄",
         gameWinner: "Game Winner! 👑",
         goToLobby: "Go to Lobby 🔄",
+        matchGames: "Games per Match",
+        matchGamesSuffix: "games",
+        singleGame: "Single game",
+        nextGame: "Next Game",
+        matchResults: "Match Results",
+        gameOfMatch: "Game {n} of {total}",
+        matchChampion: "Match Champion! 🏆",
+        matchStandings: "STANDINGS",
+        matchGamesList: "GAMES",
+        matchGameLabel: "Game {n}",
+        gamesWon: "wins",
         shareResults: "Share Results 📸",
+        copyResultsText: "Copy as text",
+        shareWinnerLine: "{name} won with {n} pts!",
+        bestChain: "Best chain",
+        shareCardSaved: "Result card downloaded, summary copied!",
+        resultsCopied: "Results copied!",
+        shareFailed: "Couldn't create the result card",
+        exportGame: "Export game",
+        transcriptScores: "Scores",
+        transcriptVotes: "Votes",
+        printOrSavePdf: "Print / Save as PDF",
+        popupBlocked: "Allow pop-ups to print the game",
+        exportFailed: "Couldn't export the game",
         leaveRoom: "Leave Room 🚪",
         chaosMaster: "Master of Chaos 😈",
         mostMisunderstood: "Most Misunderstood 😵‍💫",
@@ -125,6 +198,28 @@ export const translations = {
         emojiOnly: "Emoji Only",
         classic: "Classic",
         noFaces: "No Faces",
+        drawMode: "Draw",
+        promptPack: "Prompt Pack",
+        noPromptPack: "No pack",
+        packMovies: "Movies",
+        packIdioms: "Idioms",
+        packOffice: "Office Life",
+        packKids: "Kids",
+        dealPrompt: "Deal me a prompt",
+        customDeck: "Custom Deck",
+        customDeckEmpty: "Add a name and at least one prompt to your deck!",
+        deckName: "Deck name",
+        deckPromptsPlaceholder: "One prompt per line...",
+        deckPromptCount: "{count}/{max} prompts",
+        deckRepeatsWarning: "Only {count} prompts for {needed} deals: some prompts will repeat in this match.",
+        saveDeck: "Save",
+        exportDeck: "Export",
+        importDeck: "Import",
+        deleteDeck: "Delete deck",
+        savedDecks: "Saved decks",
+        deckSaved: "Deck saved on this device 💾",
+        deckImported: "Deck imported! 📥",
+        deckImportError: "This file is not a deck 🚫",
         afkTimeout: "You were removed for being inactive. ⏳",
         mysteryPlayer: "Mystery",
         gameStoppedError: "Game Stopped: Not enough players! 🛑",
@@ -133,7 +228,28 @@ export const translations = {
         needsAtLeast2: "Need at least 2 active players to start!",
         chooseGreatestPlayer: "Choose the greatest player!",
         searchEmojis: "Search emojis...",
-        noEmojisFound: "No emojis found..."
+        noEmojisFound: "No emojis found...",
+        recentEmojis: "Recent",
+        skinTone: "Skin tone",
+        emojiRuleMax: "You can use at most {n} emojis",
+        emojiRuleMin: "Use at least {n} emojis",
+        emojiRuleRepeat: "No repeated emojis in this room",
+        emojiRuleLetters: "Letter and number emojis are not allowed",
+        emojiRulePrompt: "That emoji is already in the phrase",
+        emojiOnlyAnswer: "Emoji answers can only contain emojis",
+        wordFilter: "Family-Friendly Filter",
+        wordFilterReject: "Reject Instead of Masking",
+        blockedWords: "Extra blocked words",
+        addBlockedWord: "Add a word...",
+        wordFilterRejected: "Keep it clean! Remove the blocked words",
+        enterName: "Please enter a name!",
+        nameNotAllowed: "That name isn't allowed in this room",
+        emojiRules: "Emoji Rules",
+        minEmojis: "Min Emojis",
+        maxEmojis: "Max Emojis",
+        noRepeats: "No Repeats",
+        noLetters: "No Letters/Numbers",
+        noPromptEmojis: "No Emojis from the Phrase"
     },
     fr: {
         settings: "Paramètres",
@@ -141,6 +257,33 @@ export const translations = {
         language: "Langue",
         howToPlay: "Comment Jouer",
         terms: "Conditions Générales",
+        pastGames: "Parties Passées",
+        pastGamesDesc: "Revois les chaînes des parties terminées",
+        filterByRoomCode: "Code du salon",
+        noPastGames: "Aucune partie terminée pour l'instant",
+        archivedPlayers: "{n} joueurs",
+        replayTitle: "Rediffusion",
+        roundNumber: "Manche {n}",
+        finalScores: "Scores Finaux",
+        replayAgain: "Revoir",
+        gameNotFound: "Cette partie est introuvable",
+        myProfile: "Mon Profil",
+        profileDesc: "Tes stats de partie en partie, gardées sur cet appareil",
+        profileOptIn: "Crée un profil pour compter tes parties, victoires, votes et emojis préférés. Il reste sur cet appareil et tu peux l'exporter à tout moment.",
+        startProfile: "Créer mon profil",
+        importProfile: "Importer",
+        exportProfile: "Exporter",
+        deleteProfile: "Supprimer le profil",
+        deleteProfileConfirm: "Supprimer ton profil et toutes ses stats de cet appareil ?",
+        profileImported: "Profil importé ! 📥",
+        profileImportError: "Ce fichier n'est pas un profil 🚫",
+        gamesPlayedStat: "Parties jouées",
+        winsStat: "Victoires",
+        votesReceived: "Votes reçus",
+        favoriteEmojis: "Emojis préférés",
+        longestSurvivingPhrase: "Plus longue phrase survivante",
+        survivedFrom: "{n} mots sont arrivés jusqu'à la dernière réponse de « {original} »",
+        noStatsYet: "Termine une partie pour voir cette stat",
         joinOnline: "Rejoindre en Ligne",
         createRoom: "Créer une Salle",
         poweredBy: "Propulsé par",
@@ -152,6 +295,9 @@ export const translations = {
         voteDuration: "Durée du Vote",
         maxPlayers: "Joueurs Max",
         scoreToWin: "Score pour Gagner",
+        chainLength: "Longueur des Chaînes",
+        chainSteps: "étapes",
+        chainLengthAuto: "1 par joueur",
         spectatorMode: "Mode Spectateur",
         startGame: "Démarrer le Jeu",
         waitingToAdvance: "En attente de l'hôte pour avancer...",
@@ -165,12 +311,21 @@ export const translations = {
         waitingRest: "En attente des autres...",
         phase2Title: "Phase 2 : L'heure des Emojis",
         translatePhrase: "Traduisez cette phrase :",
+        suggestEmojis: "Suggérer des emojis",
+        hideSuggestions: "Masquer les suggestions",
         clickToAdd: "Cliquez sur + pour ajouter des emojis...",
         lockInEmojis: "Valider les Emojis",
         masterpieceSent: "Chef-d'œuvre Envoyé !",
         waitingArtists: "En attente des autres artistes...",
         phase3Title: "Phase 3 : Qu'est-ce que ça veut dire ?",
         translateEmojis: "Traduisez ces emojis :",
+        translateDrawing: "Que veut dire ce dessin ?",
+        drawPhaseTitle: "Phase {n} : Dessinez !",
+        drawThis: "Dessinez ceci :",
+        lockInDrawing: "Valider le Dessin",
+        eraser: "Gomme",
+        undo: "Annuler",
+        clear: "Effacer",
         typeInterpretation: "Tapez votre interprétation...",
         lockInMeaning: "Valider le sens",
         interpretationLocked: "Interprétation Verrouillée !",
@@ -179,6 +334,7 @@ export const translations = {
         chain: "Chaîne",
         wrote: "a écrit",
         translated: "a traduit",
+        drew: "a dessiné",
         guessed: "a deviné",
         showResults: "Afficher les résultats !",
         nextReveal: "Révélation suivante...",
@@ -200,12 +356,21 @@ export const translations = {
         namePlaceholder: "ex: AmateurDePizza",
         joinGame: "Rejoindre le Jeu",
         selectAvatar: "Choisissez votre Avatar",
+        anyEmoji: "N'importe quel emoji",
+        pickAvatarEmoji: "Choisissez votre avatar",
+        customAvatar: "Personnalisé",
+        avatarColor: "Couleur",
+        avatarFrame: "Cadre",
+        avatarTaken: "Quelqu'un ici a déjà ce look, on changera ta couleur",
         confirm: "Retour",
         enterRoom: "Entrer dans la salle",
         appTitlePart1: "Qu'est-ce que",
         appTitlePart2: "tu voulais dire",
         promoteHost: "Hôte",
         kick: "Exclure",
+        addBot: "Ajouter un bot",
+        removeBot: "Retirer",
+        botDelay: "Réflexion des bots",
         back: "Retour",
         chainCount: "Chaîne {current} sur {total}",
         voteTime: "L'heure du vote!",
@@ -222,6 +387,7 @@ export const translations = {
         titleGhosted: "Fantôme",
         chaosAwards: "PRIX DU CHAOS",
         roomNotFound: "Salon introuvable ! 🚫",
+        signInFailed: "Connexion impossible",
         voted: "A voté! 😈",
         playersVoted: "Joueurs Ayant Voté",
         goToScoreboard: "Voir le Tableau des Scores 🏆",
@@ -235,7 +401,30 @@ export const translations = {
         nextRound: "Manche Suivante 🔄",
         gameWinner: "Gagnant du Jeu! 👑",
         goToLobby: "Retour au Lobby 🔄",
+        matchGames: "Parties par Match",
+        matchGamesSuffix: "parties",
+        singleGame: "Partie unique",
+        nextGame: "Partie Suivante",
+        matchResults: "Résultats du Match",
+        gameOfMatch: "Partie {n} sur {total}",
+        matchChampion: "Champion du Match ! 🏆",
+        matchStandings: "CLASSEMENT",
+        matchGamesList: "PARTIES",
+        matchGameLabel: "Partie {n}",
+        gamesWon: "victoires",
         shareResults: "Partager 📸",
+        copyResultsText: "Copier en texte",
+        shareWinnerLine: "{name} a gagné avec {n} pts !",
+        bestChain: "Meilleure chaîne",
+        shareCardSaved: "Carte téléchargée, résumé copié !",
+        resultsCopied: "Résultats copiés !",
+        shareFailed: "Impossible de créer la carte des résultats",
+        exportGame: "Exporter la partie",
+        transcriptScores: "Scores",
+        transcriptVotes: "Votes",
+        printOrSavePdf: "Imprimer / Enregistrer en PDF",
+        popupBlocked: "Autorise les pop-ups pour imprimer la partie",
+        exportFailed: "Impossible d'exporter la partie",
         leaveRoom: "Quitter 🚪",
         chaosMaster: "Maître du Chaos 😈",
         mostMisunderstood: "Le Plus Incompris 😵‍💫",
@@ -261,6 +450,28 @@ export const translations = {
         emojiOnly: "Emoji Uniquement",
         classic: "Classique",
         noFaces: "Sans Visages",
+        drawMode: "Dessin",
+        promptPack: "Pack de Phrases",
+        noPromptPack: "Aucun pack",
+        packMovies: "Films",
+        packIdioms: "Expressions",
+        packOffice: "Vie de Bureau",
+        packKids: "Enfants",
+        dealPrompt: "Donne-moi une phrase",
+        customDeck: "Deck Perso",
+        customDeckEmpty: "Ajoutez un nom et au moins une phrase à votre deck !",
+        deckName: "Nom du deck",
+        deckPromptsPlaceholder: "Une phrase par ligne...",
+        deckPromptCount: "{count}/{max} phrases",
+        deckRepeatsWarning: "Seulement {count} phrases pour {needed} tirages : certaines reviendront pendant ce match.",
+        saveDeck: "Enregistrer",
+        exportDeck: "Exporter",
+        importDeck: "Importer",
+        deleteDeck: "Supprimer le deck",
+        savedDecks: "Decks enregistrés",
+        deckSaved: "Deck enregistré sur cet appareil 💾",
+        deckImported: "Deck importé ! 📥",
+        deckImportError: "Ce fichier n'est pas un deck 🚫",
         afkTimeout: "Vous avez été retiré pour inactivité. ⏳",
         mysteryPlayer: "Mystère",
         gameStoppedError: "Jeu arrêté : Pas assez de joueurs ! 🛑",
@@ -269,7 +480,28 @@ export const translations = {
         needsAtLeast2: "Il faut au moins 2 joueurs actifs pour commencer !",
         chooseGreatestPlayer: "Choisissez le meilleur joueur !",
         searchEmojis: "Rechercher des emojis...",
-        noEmojisFound: "Aucun emoji trouvé..."
+        noEmojisFound: "Aucun emoji trouvé...",
+        recentEmojis: "Récents",
+        skinTone: "Teint",
+        emojiRuleMax: "Vous pouvez utiliser {n} emojis au maximum",
+        emojiRuleMin: "Utilisez au moins {n} emojis",
+        emojiRuleRepeat: "Pas d'emojis répétés dans cette partie",
+        emojiRuleLetters: "Les emojis lettres et chiffres sont interdits",
+        emojiRulePrompt: "Cet emoji est déjà dans la phrase",
+        emojiOnlyAnswer: "Une réponse emoji ne peut contenir que des emojis",
+        wordFilter: "Filtre Tout Public",
+        wordFilterReject: "Refuser au lieu de masquer",
+        blockedWords: "Mots bloqués en plus",
+        addBlockedWord: "Ajouter un mot...",
+        wordFilterRejected: "On reste poli ! Retire les mots bloqués",
+        enterName: "Entre un nom !",
+        nameNotAllowed: "Ce nom n'est pas autorisé dans ce salon",
+        emojiRules: "Règles des Emojis",
+        minEmojis: "Emojis Min",
+        maxEmojis: "Emojis Max",
+        noRepeats: "Pas de Répétitions",
+        noLetters: "Pas de Lettres/Chiffres",
+        noPromptEmojis: "Pas d'Emojis de la Phrase"
     },
     ar: {
         settings: "الإعـدادات",
@@ -277,6 +509,33 @@ export const translations = {
         language: "اللغة",
         howToPlay: "كيفية اللعب",
         terms: "الشروط والأحكام",
+        pastGames: "الألعاب السابقة",
+        pastGamesDesc: "أعد مشاهدة سلاسل الألعاب المنتهية",
+        filterByRoomCode: "رمز الغرفة",
+        noPastGames: "لا توجد ألعاب منتهية بعد",
+        archivedPlayers: "{n} لاعبين",
+        replayTitle: "إعادة العرض",
+        roundNumber: "الجولة {n}",
+        finalScores: "النتائج النهائية",
+        replayAgain: "شاهد مرة أخرى",
+        gameNotFound: "تعذر العثور على هذه اللعبة",
+        myProfile: "ملفي الشخصي",
+        profileDesc: "إحصائياتك عبر الألعاب، محفوظة على هذا الجهاز",
+        profileOptIn: "أنشئ ملفًا شخصيًا لحساب ألعابك وانتصاراتك وأصواتك والإيموجي المفضلة لديك. يبقى على هذا الجهاز ويمكنك تصديره في أي وقت.",
+        startProfile: "أنشئ ملفي",
+        importProfile: "استيراد",
+        exportProfile: "تصدير",
+        deleteProfile: "حذف الملف",
+        deleteProfileConfirm: "هل تريد حذف ملفك الشخصي وكل إحصائياته من هذا الجهاز؟",
+        profileImported: "تم استيراد الملف! 📥",
+        profileImportError: "هذا الملف ليس ملفًا شخصيًا 🚫",
+        gamesPlayedStat: "الألعاب التي لعبتها",
+        winsStat: "الانتصارات",
+        votesReceived: "الأصوات المستلمة",
+        favoriteEmojis: "الإيموجي المفضلة",
+        longestSurvivingPhrase: "أطول عبارة صمدت",
+        survivedFrom: "{n} كلمات وصلت إلى آخر تخمين لـ «{original}»",
+        noStatsYet: "أنهِ لعبة لرؤية هذه الإحصائية",
         joinOnline: "انضمام عبر الإنترنت",
         createRoom: "إنشاء غرفة",
         poweredBy: "بواسطة",
@@ -288,6 +547,9 @@ export const translations = {
         voteDuration: "مدة التصويت",
         maxPlayers: "أقصى عدد لاعبين",
         scoreToWin: "نقاط الفوز",
+        chainLength: "طول السلسلة",
+        chainSteps: "مراحل",
+        chainLengthAuto: "1 لكل لاعب",
         spectatorMode: "وضع المشاهد",
         startGame: "ابدأ اللعبة",
         waitingToAdvance: "في انتظار المضيف للتقدم...",
@@ -301,12 +563,21 @@ export const translations = {
         waitingRest: "في انتظار البقية...",
         phase2Title: "المرحلة 2: وقت الإيموجي",
         translatePhrase: "ترجم هذه الجملة:",
+        suggestEmojis: "اقترح إيموجي",
+        hideSuggestions: "إخفاء الاقتراحات",
         clickToAdd: "اضغط على + لإضافة إيموجي...",
         lockInEmojis: "تثبيت الإيموجي",
         masterpieceSent: "تم إرسال التحفة!",
         waitingArtists: "في انتظار بقية الفنانين للانتهاء...",
         phase3Title: "المرحلة 3: ماذا يعني هذا؟",
         translateEmojis: "ترجم هذه الإيموجي:",
+        translateDrawing: "ماذا يعني هذا الرسم؟",
+        drawPhaseTitle: "المرحلة {n}: ارسمها!",
+        drawThis: "ارسم هذا:",
+        lockInDrawing: "تثبيت الرسم",
+        eraser: "ممحاة",
+        undo: "تراجع",
+        clear: "مسح",
         typeInterpretation: "اكتب تفسيرك...",
         lockInMeaning: "تثبيت المعنى",
         interpretationLocked: "تم تثبيت التفسير!",
@@ -315,6 +586,7 @@ export const translations = {
         chain: "سلسلة",
         wrote: "كتب",
         translated: "ترجم",
+        drew: "رسم",
         guessed: "خمن",
         showResults: "أظهر النتائج!",
         nextReveal: "الكشف التالي...",
@@ -336,12 +608,21 @@ export const translations = {
         namePlaceholder: "مثلاً: محب البيتزا",
         joinGame: "انضم الآن",
         selectAvatar: "اختر صورتك الرمزية",
+        anyEmoji: "أي إيموجي",
+        pickAvatarEmoji: "اختر صورتك الرمزية",
+        customAvatar: "مخصص",
+        avatarColor: "اللون",
+        avatarFrame: "الإطار",
+        avatarTaken: "شخص هنا لديه نفس المظهر، سنغيّر لونك",
         confirm: "تأكيد",
         enterRoom: "دخول الغرفة",
         appTitlePart1: "ماذا",
         appTitlePart2: "تقصد",
         promoteHost: "مضيف",
         kick: "طرد",
+        addBot: "إضافة روبوت",
+        removeBot: "إزالة",
+        botDelay: "وقت تفكير الروبوتات",
         back: "رجوع",
         chainCount: "سلسلة {current} من {total}",
         voteTime: "وقت التصويت!",
@@ -358,6 +639,7 @@ export const translations = {
         titleGhosted: "المختفي",
         chaosAwards: "جوائز الفوضى",
         roomNotFound: "الغرفة غير موجودة! 🚫",
+        signInFailed: "تعذّر تسجيل الدخول",
         voted: "تم التصويت! 😈",
         playersVoted: "اللاعبون المصوتون",
         goToScoreboard: "الذهاب إلى لوحة النتائج 🏆",
@@ -371,7 +653,30 @@ export const translations = {
         nextRound: "الجولة التالية 🔄",
         gameWinner: "الفائز في اللعبة! 👑",
         goToLobby: "الذهاب إلى اللوبي 🔄",
+        matchGames: "عدد الألعاب في المباراة",
+        matchGamesSuffix: "ألعاب",
+        singleGame: "لعبة واحدة",
+        nextGame: "اللعبة التالية",
+        matchResults: "نتائج المباراة",
+        gameOfMatch: "اللعبة {n} من {total}",
+        matchChampion: "بطل المباراة! 🏆",
+        matchStandings: "الترتيب",
+        matchGamesList: "الألعاب",
+        matchGameLabel: "اللعبة {n}",
+        gamesWon: "انتصارات",
         shareResults: "مشاركة النتائج 📸",
+        copyResultsText: "نسخ كنص",
+        shareWinnerLine: "{name} فاز بـ {n} نقطة!",
+        bestChain: "أفضل سلسلة",
+        shareCardSaved: "تم تنزيل بطاقة النتائج ونسخ الملخص!",
+        resultsCopied: "تم نسخ النتائج!",
+        shareFailed: "تعذر إنشاء بطاقة النتائج",
+        exportGame: "تصدير اللعبة",
+        transcriptScores: "النتائج",
+        transcriptVotes: "الأصوات",
+        printOrSavePdf: "طباعة / حفظ بصيغة PDF",
+        popupBlocked: "اسمح بالنوافذ المنبثقة لطباعة اللعبة",
+        exportFailed: "تعذر تصدير اللعبة",
         leaveRoom: "مغادرة الغرفة 🚪",
         chaosMaster: "سيد الفوضى 😈",
         mostMisunderstood: "الأكثر سوء فهم 😵‍💫",
@@ -397,6 +702,28 @@ export const translations = {
         emojiOnly: "الإيموجي فقط",
         classic: "كلاسيكي",
         noFaces: "بدون وجوه",
+        drawMode: "رسم",
+        promptPack: "حزمة العبارات",
+        noPromptPack: "بدون حزمة",
+        packMovies: "أفلام",
+        packIdioms: "أمثال وتعابير",
+        packOffice: "حياة المكتب",
+        packKids: "أطفال",
+        dealPrompt: "أعطني عبارة",
+        customDeck: "حزمة مخصصة",
+        customDeckEmpty: "أضف اسمًا وعبارة واحدة على الأقل إلى حزمتك!",
+        deckName: "اسم الحزمة",
+        deckPromptsPlaceholder: "عبارة واحدة في كل سطر...",
+        deckPromptCount: "{count}/{max} عبارة",
+        deckRepeatsWarning: "{count} عبارة فقط لـ {needed} سحبة: ستتكرر بعض العبارات في هذه المباراة.",
+        saveDeck: "حفظ",
+        exportDeck: "تصدير",
+        importDeck: "استيراد",
+        deleteDeck: "حذف الحزمة",
+        savedDecks: "الحزم المحفوظة",
+        deckSaved: "تم حفظ الحزمة على هذا الجهاز 💾",
+        deckImported: "تم استيراد الحزمة! 📥",
+        deckImportError: "هذا الملف ليس حزمة 🚫",
         afkTimeout: "تمت إزالتك بسبب عدم النشاط. ⏳",
         mysteryPlayer: "لاعب غامض",
         gameStoppedError: "توقفت اللعبة: لا يوجد عدد كافٍ من اللاعبين! 🛑",
@@ -405,6 +732,27 @@ export const translations = {
         needsAtLeast2: "تحتاج إلى لاعبين نشطين على الأقل للبدء!",
         chooseGreatestPlayer: "اختر أعظم لاعب!",
         searchEmojis: "البحث عن الرموز...",
-        noEmojisFound: "لا توجد رموز تعبيرية..."
+        noEmojisFound: "لا توجد رموز تعبيرية...",
+        recentEmojis: "الأخيرة",
+        skinTone: "لون البشرة",
+        emojiRuleMax: "يمكنك استخدام {n} إيموجي كحد أقصى",
+        emojiRuleMin: "استخدم {n} إيموجي على الأقل",
+        emojiRuleRepeat: "لا يُسمح بتكرار الإيموجي في هذه الغرفة",
+        emojiRuleLetters: "إيموجي الحروف والأرقام غير مسموحة",
+        emojiRulePrompt: "هذا الإيموجي موجود بالفعل في العبارة",
+        emojiOnlyAnswer: "إجابة الإيموجي يجب أن تحتوي على إيموجي فقط",
+        wordFilter: "فلتر مناسب للجميع",
+        wordFilterReject: "الرفض بدلاً من الإخفاء",
+        blockedWords: "كلمات محظورة إضافية",
+        addBlockedWord: "أضف كلمة...",
+        wordFilterRejected: "حافظ على الأدب! احذف الكلمات المحظورة",
+        enterName: "يرجى إدخال اسم!",
+        nameNotAllowed: "هذا الاسم غير مسموح به في هذه الغرفة",
+        emojiRules: "قواعد الإيموجي",
+        minEmojis: "أقل عدد للإيموجي",
+        maxEmojis: "أكبر عدد للإيموجي",
+        noRepeats: "بدون تكرار",
+        noLetters: "بدون حروف/أرقام",
+        noPromptEmojis: "بدون إيموجي من العبارة"
     }
 };
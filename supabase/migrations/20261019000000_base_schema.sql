@@ -0,0 +1,44 @@
+-- Base schema used by the app (rooms / players / game_state).
+-- Mirrors the hosted project so a local Postgres can stand in for it.
+
+create table if not exists public.rooms (
+    id uuid primary key default gen_random_uuid(),
+    room_code text not null,
+    status text not null default 'lobby',
+    settings jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rooms_room_code_idx on public.rooms (room_code);
+
+create table if not exists public.players (
+    id uuid primary key default gen_random_uuid(),
+    room_id uuid not null references public.rooms (id) on delete cascade,
+    name text not null,
+    avatar text,
+    is_host boolean not null default false,
+    score integer not null default 0,
+    last_answer text,
+    votes_used jsonb not null default '{}'::jsonb,
+    last_seen timestamptz default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists players_room_id_idx on public.players (room_id);
+
+create table if not exists public.game_state (
+    room_id uuid primary key references public.rooms (id) on delete cascade,
+    phase text not null default 'lobby',
+    timer integer not null default 0,
+    -- Epoch milliseconds, written by the client as Date.getTime()
+    phase_expiry bigint
+);
+
+-- Realtime: the client subscribes to postgres_changes on all three tables
+do $$
+begin
+    if exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+        alter publication supabase_realtime add table public.rooms, public.players, public.game_state;
+    end if;
+exception when duplicate_object then null;
+end $$;
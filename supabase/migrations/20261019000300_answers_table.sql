@@ -0,0 +1,406 @@
+-- Per-round answers store.
+-- Every submission (draft or final) is appended as its own row keyed by
+-- (room, round, phase, player, chain) instead of overwriting players.last_answer.
+-- Rows for a phase the room has already left are silently dropped, so late writes
+-- can never leak into the next phase. players.last_answer is kept as a read-only mirror
+-- of each player's latest answer for the UI and realtime.
+
+create table if not exists public.answers (
+    id bigint generated always as identity primary key,
+    room_id uuid not null references public.rooms (id) on delete cascade,
+    -- settings.last_transition.at of the phase instance, stamped server-side
+    round bigint,
+    phase text not null,
+    player_id uuid not null references public.players (id) on delete cascade,
+    chain_id text,
+    kind text,
+    is_draft boolean not null default false,
+    -- Encoded answer (see src/contexts/room/answerCodec.js)
+    payload text not null,
+    created_at timestamptz not null default clock_timestamp()
+);
+
+create index if not exists answers_lookup_idx
+    on public.answers (room_id, round, phase, player_id, is_draft, created_at desc);
+
+create or replace function public.wdym_answers_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_phase text;
+    v_settings jsonb;
+    v_decoded jsonb;
+begin
+    select g.phase, r.settings into v_phase, v_settings
+    from game_state g join rooms r on r.id = g.room_id
+    where g.room_id = new.room_id;
+
+    -- Late write from a phase the room has already left: ignore it
+    if v_phase is distinct from new.phase then
+        return null;
+    end if;
+
+    v_decoded := wdym_decode_answer(new.payload);
+    if v_decoded is null or v_decoded ->> 'kind' is distinct from wdym_answer_kind(new.phase) then
+        return null;
+    end if;
+
+    new.round := (v_settings #>> '{last_transition,at}')::bigint;
+    new.kind := v_decoded ->> 'kind';
+    new.is_draft := (v_decoded ->> 'draft')::boolean;
+    if new.chain_id is null then
+        new.chain_id := v_settings -> 'assignments' -> new.phase ->> new.player_id::text;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists answers_before_insert on public.answers;
+create trigger answers_before_insert
+    before insert on public.answers
+    for each row execute function public.wdym_answers_before_insert();
+
+-- Mirror into players.last_answer, never letting a draft replace a final of the same round/phase
+create or replace function public.wdym_answers_after_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.is_draft and exists (
+        select 1 from answers a
+        where a.room_id = new.room_id and a.round is not distinct from new.round
+          and a.phase = new.phase and a.player_id = new.player_id and not a.is_draft
+    ) then
+        return null;
+    end if;
+
+    update players set last_answer = new.payload where id = new.player_id;
+    return null;
+end;
+$$;
+
+drop trigger if exists answers_after_insert on public.answers;
+create trigger answers_after_insert
+    after insert on public.answers
+    for each row execute function public.wdym_answers_after_insert();
+
+-- Latest final answer, else latest draft, for one player in one phase instance
+create or replace function public.wdym_latest_answer(p_room_id uuid, p_round bigint, p_phase text, p_player_id uuid)
+returns text
+language sql
+stable
+as $$
+    select payload from answers
+    where room_id = p_room_id and round is not distinct from p_round
+      and phase = p_phase and player_id = p_player_id
+    order by is_draft asc, created_at desc, id desc
+    limit 1;
+$$;
+
+create or replace function public.advance_phase(
+    p_room_id uuid,
+    p_from_phase text,
+    p_to_phase text,
+    p_online_ids uuid[] default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_room rooms%rowtype;
+    v_state game_state%rowtype;
+    v_settings jsonb;
+    v_next jsonb;
+    v_order text[];
+    v_next_order text[];
+    v_online text[];
+    v_answers jsonb := '{}'::jsonb;
+    v_chains jsonb;
+    v_assignments jsonb;
+    v_filtered_chains jsonb;
+    v_names jsonb;
+    v_player players%rowtype;
+    v_pid text;
+    v_chain_id text;
+    v_content text;
+    v_is_online boolean;
+    v_duration integer := 60;
+    v_expiry bigint;
+    v_now_ms bigint := floor(extract(epoch from clock_timestamp()) * 1000)::bigint;
+    v_is_gameplay_from boolean;
+    v_is_gameplay_to boolean;
+    v_vote jsonb;
+    v_score_delta jsonb := '{}'::jsonb;
+    v_usage_delta jsonb := '{}'::jsonb;
+    v_cached jsonb;
+    v_new_score integer;
+    v_usage jsonb;
+    v_cat text;
+    v_round bigint;
+    v_latest text;
+begin
+    select * into v_room from rooms where id = p_room_id for update;
+    if not found then
+        raise exception 'advance_phase: room % not found', p_room_id using errcode = 'P0002';
+    end if;
+
+    select * into v_state from game_state where room_id = p_room_id for update;
+
+    -- Idempotency: only the first call for a given from-phase does anything
+    if v_state.phase is distinct from p_from_phase or p_from_phase = p_to_phase then
+        return jsonb_build_object(
+            'applied', false,
+            'room', to_jsonb(v_room),
+            'game_state', to_jsonb(v_state),
+            'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+        );
+    end if;
+
+    v_settings := coalesce(v_room.settings, '{}'::jsonb);
+    v_order := array(select jsonb_array_elements_text(coalesce(v_settings -> 'player_order', '[]'::jsonb)));
+    v_chains := coalesce(v_settings -> 'chains', '{}'::jsonb);
+
+    -- Presence only lives on clients, so trust the caller's view plus recent heartbeats
+    v_online := array(
+        select p.id::text from players p
+        where p.room_id = p_room_id
+          and (p.id = any(coalesce(p_online_ids, '{}'::uuid[])) or p.last_seen > now() - interval '15 seconds')
+    );
+
+    if p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'interpretation%' then
+        v_duration := coalesce((v_settings ->> 'roundTime')::integer, 60);
+    elsif p_to_phase = 'vote' then
+        v_duration := coalesce((v_settings ->> 'voteDuration')::integer, 30);
+    end if;
+
+    if p_to_phase not in ('reveal', 'lobby', 'scoreboard', 'winner') then
+        v_expiry := v_now_ms + v_duration * 1000 + 1000;
+    end if;
+
+    v_round := (v_settings #>> '{last_transition,at}')::bigint;
+
+    v_is_gameplay_from := p_from_phase like 'text%' or p_from_phase like 'emoji%' or p_from_phase like 'interpretation%';
+    v_is_gameplay_to := p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'interpretation%' or p_to_phase = 'vote';
+
+    -- 1. EXTRACT ANSWERS
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if not found then
+                v_player := null;
+            end if;
+
+            -- Answers store first; last_answer only for clients that predate it
+            v_latest := coalesce(wdym_latest_answer(p_room_id, v_round, p_from_phase, v_pid::uuid), v_player.last_answer);
+
+            if p_from_phase = 'vote' then
+                v_answers := v_answers || jsonb_build_object(v_pid, coalesce(v_latest, ''));
+                continue;
+            end if;
+
+            v_content := wdym_answer_content(v_latest, p_from_phase);
+            v_is_online := v_pid = any(v_online) or wdym_is_final_answer(v_latest);
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_is_online);
+            end if;
+
+            v_answers := v_answers || jsonb_build_object(v_pid,
+                wdym_encode_answer(p_from_phase, v_content, v_settings -> 'last_transition' -> 'at'));
+        end loop;
+    end if;
+
+    v_next := v_settings || jsonb_build_object('phase', p_to_phase);
+    if v_expiry is not null then
+        v_next := v_next || jsonb_build_object('phase_expiry', v_expiry);
+    end if;
+
+    -- 2. APPEND TO CHAIN HISTORY
+    if v_is_gameplay_from then
+        v_assignments := coalesce(v_settings -> 'assignments' -> p_from_phase, '{}'::jsonb);
+
+        for v_chain_id in select key from jsonb_each(v_chains) loop
+            select key into v_pid from jsonb_each_text(v_assignments) where value = v_chain_id limit 1;
+            if not found then
+                v_pid := null;
+            end if;
+
+            v_content := null;
+            if v_pid is not null and v_answers ? v_pid then
+                v_content := wdym_answer_content(v_answers ->> v_pid, p_from_phase);
+            end if;
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_pid is not null and v_pid = any(v_online));
+            end if;
+
+            v_chains := jsonb_set(v_chains, array[v_chain_id, 'history'],
+                coalesce(v_chains -> v_chain_id -> 'history', '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                    'phase', p_from_phase,
+                    'playerId', coalesce(v_pid, 'ghost_player'),
+                    'content', v_content
+                )));
+        end loop;
+
+        v_next := v_next || jsonb_build_object('chains', v_chains);
+    end if;
+
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        v_next := jsonb_set(v_next, '{history}', coalesce(v_next -> 'history', '{}'::jsonb) || jsonb_build_object(p_from_phase, v_answers));
+    end if;
+
+    select coalesce(v_settings -> 'player_names', '{}'::jsonb) || coalesce(jsonb_object_agg(p.id::text, p.name), '{}'::jsonb)
+    into v_names
+    from players p
+    where p.room_id = p_room_id and p.name is not null;
+    v_next := v_next || jsonb_build_object('player_names', v_names);
+
+    -- 3. NEXT ROUND / ASSIGNMENTS
+    if p_to_phase = 'text' then
+        v_next_order := array(
+            select p.id::text from players p
+            where p.room_id = p_room_id
+              and p.id::text = any(v_online)
+              and not (coalesce((v_next ->> 'spectatorEnabled')::boolean, false)
+                       and (select count(*) from players c where c.room_id = p_room_id) >= 4
+                       and p.is_host)
+            order by random()
+        );
+
+        v_chains := '{}'::jsonb;
+        v_assignments := '{}'::jsonb;
+        foreach v_pid in array v_next_order loop
+            v_chain_id := 'chain_' || v_pid || '_' || v_now_ms;
+            v_chains := v_chains || jsonb_build_object(v_chain_id,
+                jsonb_build_object('id', v_chain_id, 'creator_id', v_pid, 'history', '[]'::jsonb));
+            v_assignments := v_assignments || jsonb_build_object(v_pid, v_chain_id);
+        end loop;
+
+        v_next := v_next || jsonb_build_object(
+            'player_order', to_jsonb(v_next_order),
+            'assignments', jsonb_build_object('text', v_assignments),
+            'history', '{}'::jsonb,
+            'chains', v_chains,
+            'random_offsets', (
+                select coalesce(jsonb_agg(n order by random()), '[]'::jsonb)
+                from generate_series(1, greatest(coalesce(array_length(v_next_order, 1), 0) - 1, 0)) as n
+            )
+        );
+    elsif v_is_gameplay_to then
+        v_next_order := v_order;
+
+        -- Drop truly offline players (no presence, no final answer) once the pool is big enough
+        if coalesce(array_length(v_order, 1), 0) >= 4 then
+            v_next_order := array(
+                select o.id from unnest(v_order) with ordinality as o(id, ord)
+                where o.id = any(v_online)
+                   or exists (
+                       select 1 from players p
+                       where p.id::text = o.id and wdym_is_final_answer(p.last_answer)
+                   )
+                order by o.ord
+            );
+        end if;
+
+        select coalesce(jsonb_object_agg(c.key, c.value), '{}'::jsonb) into v_filtered_chains
+        from (
+            select key, value from jsonb_each(v_chains)
+            where value ->> 'creator_id' = any(v_next_order)
+            limit coalesce(array_length(v_next_order, 1), 0)
+        ) c;
+
+        v_next := jsonb_set(v_next, '{assignments}',
+            coalesce(v_next -> 'assignments', '{}'::jsonb) || jsonb_build_object(p_to_phase,
+                wdym_chain_assignments(v_next_order, v_filtered_chains, p_to_phase, v_next -> 'random_offsets')));
+        v_next := v_next || jsonb_build_object('player_order', to_jsonb(v_next_order));
+    end if;
+
+    if p_to_phase = 'reveal' then
+        v_next := v_next || jsonb_build_object('reveal_step', 0, 'reveal_chain_index', 0);
+    end if;
+
+    if p_to_phase = 'lobby' then
+        v_next := v_next || jsonb_build_object('history', '{}'::jsonb, 'assignments', '{}'::jsonb, 'player_order', '[]'::jsonb);
+    end if;
+
+    -- 4. SCORING
+    if p_from_phase = 'vote' and p_to_phase = 'scoreboard' then
+        for v_pid, v_content in select key, value from jsonb_each_text(v_answers) loop
+            for v_vote in select value from jsonb_array_elements(wdym_parse_votes(v_content)) loop
+                v_cat := v_vote ->> 'category';
+                v_score_delta := v_score_delta || jsonb_build_object(v_vote ->> 'targetId',
+                    coalesce((v_score_delta ->> (v_vote ->> 'targetId'))::integer, 0) + case v_cat
+                        when 'funniest' then 1
+                        when 'mostAccurate' then 2
+                        when 'mostDestroyed' then -1
+                        else 0
+                    end);
+                v_usage_delta := jsonb_set(v_usage_delta, array[v_pid],
+                    coalesce(v_usage_delta -> v_pid, '{}'::jsonb) || jsonb_build_object(v_cat,
+                        coalesce((v_usage_delta -> v_pid ->> v_cat)::integer, 0) + 1));
+            end loop;
+        end loop;
+
+        v_cached := coalesce(v_settings -> 'cached_scores', '{}'::jsonb);
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if found then
+                v_new_score := greatest(0, v_player.score + coalesce((v_score_delta ->> v_pid)::integer, 0));
+
+                v_usage := coalesce(v_player.votes_used, '{}'::jsonb);
+                for v_cat in select key from jsonb_each(coalesce(v_usage_delta -> v_pid, '{}'::jsonb)) loop
+                    v_usage := v_usage || jsonb_build_object(v_cat,
+                        coalesce((v_usage ->> v_cat)::integer, 0) + (v_usage_delta -> v_pid ->> v_cat)::integer);
+                end loop;
+
+                update players set score = v_new_score, votes_used = v_usage where id = v_player.id;
+            else
+                -- Keep progression for players whose row is gone
+                v_new_score := greatest(0, coalesce((v_cached ->> v_pid)::integer, 0) + coalesce((v_score_delta ->> v_pid)::integer, 0));
+            end if;
+            v_cached := v_cached || jsonb_build_object(v_pid, v_new_score);
+        end loop;
+
+        v_next := v_next || jsonb_build_object('cached_scores', v_cached);
+    end if;
+
+    v_next := v_next || jsonb_build_object('last_transition',
+        jsonb_build_object('from', p_from_phase, 'to', p_to_phase, 'at', v_now_ms));
+
+    -- 5. WRITE
+    -- Finals are kept for the game archive; drafts of the finished phase are no longer needed
+    delete from answers where room_id = p_room_id and phase = p_from_phase and is_draft;
+
+    if v_is_gameplay_to then
+        update players set last_answer = null where room_id = p_room_id;
+    end if;
+
+    if p_to_phase = 'lobby' then
+        update players set score = 0, last_answer = null where room_id = p_room_id;
+    end if;
+
+    update rooms
+    set settings = v_next,
+        status = case when p_to_phase = 'lobby' then 'lobby' else status end
+    where id = p_room_id
+    returning * into v_room;
+
+    update game_state
+    set phase = p_to_phase, timer = v_duration, phase_expiry = v_expiry
+    where room_id = p_room_id
+    returning * into v_state;
+
+    return jsonb_build_object(
+        'applied', true,
+        'room', to_jsonb(v_room),
+        'game_state', to_jsonb(v_state),
+        'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+    );
+end;
+$$;
@@ -0,0 +1,27 @@
+-- Custom prompt decks (src/contexts/room/customDecks.js): settings.prompt_fallbacks now holds enough
+-- prompts for a whole match, and game g hands the player in seat s entry g * players + s, so nobody
+-- gets the same prompt twice in a match. Same rule as getPackFallback in promptPacks.js.
+
+create or replace function public.wdym_fallback_answer(p_phase text, p_online boolean, p_settings jsonb, p_key text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+    v_prompts jsonb := coalesce(p_settings -> 'prompt_fallbacks', '[]'::jsonb);
+    v_order jsonb := coalesce(p_settings -> 'player_order', '[]'::jsonb);
+    v_games integer := coalesce(jsonb_array_length(p_settings -> 'match' -> 'games'), 0);
+    v_seat integer;
+begin
+    if p_phase like 'text%' and jsonb_typeof(v_prompts) = 'array' and jsonb_array_length(v_prompts) > 0 then
+        select ord - 1 into v_seat
+        from jsonb_array_elements_text(v_order) with ordinality as o(id, ord)
+        where o.id = p_key
+        limit 1;
+
+        return v_prompts ->> ((coalesce(v_seat, 0) + jsonb_array_length(v_order) * v_games) % jsonb_array_length(v_prompts));
+    end if;
+
+    return wdym_fallback_answer(p_phase, p_online);
+end;
+$$;
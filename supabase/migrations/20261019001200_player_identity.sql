@@ -0,0 +1,28 @@
+-- Player identity: a dedicated players.identity_id instead of the fingerprint appended to the
+-- avatar ("😎 | <fingerprint>"), and kicks keyed on it (settings.kicked_identities) instead of
+-- settings.kicked_names / kicked_fingerprints. The identity is the Supabase anonymous auth user id,
+-- or a random id the client keeps locally when anonymous sign-ins are off (see
+-- src/contexts/room/playerIdentity.js). Bots use a "bot-..." identity.
+
+alter table public.players add column if not exists identity_id text;
+
+create index if not exists players_room_identity_idx on public.players (room_id, identity_id);
+
+-- Existing players: move the fingerprint out of the avatar ("null" was written when there was none)
+update public.players
+set identity_id = coalesce(identity_id, nullif(nullif(trim(split_part(avatar, '|', 2)), ''), 'null')),
+    avatar = trim(split_part(avatar, '|', 1))
+where avatar like '%|%';
+
+-- Existing rooms: kicked fingerprints carry over as kicked identities. Kicked names cannot be tied
+-- to an identity (the kicked players' rows are gone) and are dropped.
+update public.rooms
+set settings = (settings - 'kicked_names' - 'kicked_fingerprints')
+    || jsonb_build_object('kicked_identities', coalesce((
+        select jsonb_agg(distinct f.value)
+        from jsonb_array_elements_text(
+            case when jsonb_typeof(settings -> 'kicked_fingerprints') = 'array' then settings -> 'kicked_fingerprints' else '[]'::jsonb end
+        ) as f(value)
+        where f.value not in ('', 'null')
+    ), '[]'::jsonb))
+where settings ? 'kicked_names' or settings ? 'kicked_fingerprints';
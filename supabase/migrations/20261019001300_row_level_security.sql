@@ -0,0 +1,656 @@
+-- Row-level security. Clients (the anon key plus the player's anonymous auth session, see
+-- src/contexts/room/playerIdentity.js) may only:
+--   rooms / game_state  read everything; the room's host changes settings and phase, anyone
+--                       signed in opens a new room
+--   players             join as themselves (identity_id = auth.uid()) unless kicked, change their own
+--                       name / avatar / heartbeat; the host adds and removes players and bots.
+--                       score, votes_used, last_answer and is_host have no client write grant: the
+--                       scoring step (advance_phase), the answers trigger and the functions below
+--                       write them
+--   answers             a player appends their own answers (the host: its bots' and healed ones),
+--                       only for a chain they are assigned in the room's current phase
+--   games               read only; advance_phase writes the archive
+-- advance_phase itself only runs for players of the room. Without anonymous sign-ins nothing but
+-- reads is allowed, so the project must enable them (see supabase/config.toml).
+
+-- Caller's own players row in the room
+create or replace function public.wdym_is_room_member(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from players where room_id = p_room_id and identity_id = auth.uid()::text);
+$$;
+
+create or replace function public.wdym_is_room_host(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from players where room_id = p_room_id and identity_id = auth.uid()::text and is_host);
+$$;
+
+-- Players other than bots (identity "bot-...") still in the room
+create or replace function public.wdym_room_has_humans(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from players where room_id = p_room_id and coalesce(identity_id, '') not like 'bot-%');
+$$;
+
+create or replace function public.wdym_is_kicked(p_room_id uuid, p_identity text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select settings -> 'kicked_identities' ? p_identity from rooms where id = p_room_id), false);
+$$;
+
+-- A player the caller may act for: themselves, or anyone in a room they host (bots, healing)
+create or replace function public.wdym_can_act_for(p_player_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from players p
+        where p.id = p_player_id
+          and (p.identity_id = auth.uid()::text or wdym_is_room_host(p.room_id))
+    );
+$$;
+
+-- rooms
+alter table public.rooms enable row level security;
+
+drop policy if exists rooms_select on public.rooms;
+create policy rooms_select on public.rooms for select using (true);
+
+drop policy if exists rooms_insert on public.rooms;
+create policy rooms_insert on public.rooms for insert to authenticated with check (true);
+
+drop policy if exists rooms_update on public.rooms;
+create policy rooms_update on public.rooms for update to authenticated
+    using (wdym_is_room_host(id)) with check (wdym_is_room_host(id));
+
+-- The last human to leave clears a room only bots are left in
+drop policy if exists rooms_delete on public.rooms;
+create policy rooms_delete on public.rooms for delete to authenticated
+    using (wdym_is_room_host(id) or not wdym_room_has_humans(id));
+
+-- game_state
+alter table public.game_state enable row level security;
+
+drop policy if exists game_state_select on public.game_state;
+create policy game_state_select on public.game_state for select using (true);
+
+drop policy if exists game_state_insert on public.game_state;
+create policy game_state_insert on public.game_state for insert to authenticated
+    with check (wdym_is_room_host(room_id));
+
+drop policy if exists game_state_update on public.game_state;
+create policy game_state_update on public.game_state for update to authenticated
+    using (wdym_is_room_host(room_id)) with check (wdym_is_room_host(room_id));
+
+drop policy if exists game_state_delete on public.game_state;
+create policy game_state_delete on public.game_state for delete to authenticated
+    using (wdym_is_room_host(room_id) or not wdym_room_has_humans(room_id));
+
+-- players
+alter table public.players enable row level security;
+
+revoke update on public.players from anon, authenticated;
+grant update (name, avatar, last_seen) on public.players to authenticated;
+
+drop policy if exists players_select on public.players;
+create policy players_select on public.players for select using (true);
+
+-- Joining as yourself (host only of an empty room), or the host adding a bot
+drop policy if exists players_insert on public.players;
+create policy players_insert on public.players for insert to authenticated
+    with check (
+        score = 0 and last_answer is null and votes_used = '{}'::jsonb
+        and (
+            (identity_id = auth.uid()::text
+                and not wdym_is_kicked(room_id, identity_id)
+                and (not is_host or not exists (select 1 from players p where p.room_id = players.room_id)))
+            or (identity_id like 'bot-%' and not is_host and wdym_is_room_host(room_id))
+        )
+    );
+
+drop policy if exists players_update on public.players;
+create policy players_update on public.players for update to authenticated
+    using (identity_id = auth.uid()::text) with check (identity_id = auth.uid()::text);
+
+drop policy if exists players_delete on public.players;
+create policy players_delete on public.players for delete to authenticated
+    using (
+        identity_id = auth.uid()::text
+        or wdym_is_room_host(room_id)
+        or (identity_id like 'bot-%' and not wdym_room_has_humans(room_id))
+    );
+
+-- answers
+alter table public.answers enable row level security;
+
+drop policy if exists answers_select on public.answers;
+create policy answers_select on public.answers for select to authenticated using (wdym_is_room_member(room_id));
+
+drop policy if exists answers_insert on public.answers;
+create policy answers_insert on public.answers for insert to authenticated
+    with check (
+        wdym_can_act_for(player_id)
+        and exists (select 1 from players p where p.id = player_id and p.room_id = answers.room_id)
+    );
+
+-- games (written by advance_phase only)
+alter table public.games enable row level security;
+
+drop policy if exists games_select on public.games;
+create policy games_select on public.games for select using (true);
+
+-- Answers must come from a player in the game, for the chain they are assigned in this phase.
+-- Same as before otherwise: late writes from an older phase are dropped.
+create or replace function public.wdym_answers_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_phase text;
+    v_settings jsonb;
+    v_decoded jsonb;
+    v_assigned text;
+begin
+    select g.phase, r.settings into v_phase, v_settings
+    from game_state g join rooms r on r.id = g.room_id
+    where g.room_id = new.room_id;
+
+    -- Late write from a phase the room has already left: ignore it
+    if v_phase is distinct from new.phase then
+        return null;
+    end if;
+
+    v_decoded := wdym_decode_answer(new.payload);
+    if v_decoded is null or v_decoded ->> 'kind' is distinct from wdym_answer_kind(new.phase) then
+        return null;
+    end if;
+
+    if not coalesce(v_settings -> 'player_order', '[]'::jsonb) ? new.player_id::text then
+        raise exception 'answers: player % is not playing this game', new.player_id using errcode = '42501';
+    end if;
+
+    -- Chain phases: only the chain handed to this player
+    if v_settings -> 'assignments' -> new.phase is not null then
+        v_assigned := v_settings -> 'assignments' -> new.phase ->> new.player_id::text;
+        if v_assigned is null or (new.chain_id is not null and new.chain_id <> v_assigned) then
+            raise exception 'answers: chain % is not assigned to player %', new.chain_id, new.player_id using errcode = '42501';
+        end if;
+    end if;
+
+    new.round := (v_settings #>> '{last_transition,at}')::bigint;
+    new.kind := v_decoded ->> 'kind';
+    new.is_draft := (v_decoded ->> 'draft')::boolean;
+    new.chain_id := v_assigned;
+    return new;
+end;
+$$;
+
+-- The host hands the role to another player. When the host is gone (no heartbeat for 20s, see
+-- useRoomSync), any player of the room may take it for someone online.
+create or replace function public.promote_host(p_room_id uuid, p_player_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not exists (select 1 from players where id = p_player_id and room_id = p_room_id and coalesce(identity_id, '') not like 'bot-%') then
+        return false;
+    end if;
+    if not wdym_is_room_host(p_room_id) and not (
+        wdym_is_room_member(p_room_id)
+        and not exists (select 1 from players where room_id = p_room_id and is_host and last_seen > now() - interval '20 seconds')
+    ) then
+        return false;
+    end if;
+
+    update players set is_host = (id = p_player_id) where room_id = p_room_id;
+    update rooms set settings = jsonb_set(coalesce(settings, '{}'::jsonb), '{manual_host_id}', to_jsonb(p_player_id::text))
+    where id = p_room_id;
+    return true;
+end;
+$$;
+
+-- Host starting a game: scores, vote usage and answers back to zero
+create or replace function public.reset_room_scores(p_room_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not wdym_is_room_host(p_room_id) then
+        return false;
+    end if;
+    update players set score = 0, last_answer = null, votes_used = '{}'::jsonb where room_id = p_room_id;
+    return true;
+end;
+$$;
+
+-- Taking back your seat in a running game from another device (a new identity): only under the same
+-- name and once the seat has gone quiet
+create or replace function public.reclaim_player(p_player_id uuid, p_name text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player players%rowtype;
+begin
+    if auth.uid() is null then
+        return false;
+    end if;
+    select * into v_player from players where id = p_player_id for update;
+    if not found
+        or lower(trim(v_player.name)) <> lower(trim(p_name))
+        or coalesce(v_player.identity_id, '') like 'bot-%'
+        or wdym_is_kicked(v_player.room_id, auth.uid()::text)
+        or v_player.last_seen > now() - interval '20 seconds'
+        or not exists (select 1 from rooms where id = v_player.room_id and status <> 'lobby') then
+        return false;
+    end if;
+
+    update players set identity_id = auth.uid()::text, last_seen = now() where id = p_player_id;
+    return true;
+end;
+$$;
+
+revoke execute on function public.promote_host(uuid, uuid) from public, anon;
+revoke execute on function public.reset_room_scores(uuid) from public, anon;
+revoke execute on function public.reclaim_player(uuid, text) from public, anon;
+grant execute on function public.promote_host(uuid, uuid) to authenticated;
+grant execute on function public.reset_room_scores(uuid) to authenticated;
+grant execute on function public.reclaim_player(uuid, text) to authenticated;
+
+-- advance_phase: unchanged apart from the room membership check
+create or replace function public.advance_phase(
+    p_room_id uuid,
+    p_from_phase text,
+    p_to_phase text,
+    p_online_ids uuid[] default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_room rooms%rowtype;
+    v_state game_state%rowtype;
+    v_settings jsonb;
+    v_next jsonb;
+    v_order text[];
+    v_next_order text[];
+    v_online text[];
+    v_answers jsonb := '{}'::jsonb;
+    v_chains jsonb;
+    v_assignments jsonb;
+    v_filtered_chains jsonb;
+    v_names jsonb;
+    v_player players%rowtype;
+    v_pid text;
+    v_chain_id text;
+    v_content text;
+    v_is_online boolean;
+    v_duration integer := 60;
+    v_expiry bigint;
+    v_now_ms bigint := floor(extract(epoch from clock_timestamp()) * 1000)::bigint;
+    v_is_gameplay_from boolean;
+    v_is_gameplay_to boolean;
+    v_vote jsonb;
+    v_score_delta jsonb := '{}'::jsonb;
+    v_usage_delta jsonb := '{}'::jsonb;
+    v_cached jsonb;
+    v_new_score integer;
+    v_usage jsonb;
+    v_cat text;
+    v_round bigint;
+    v_latest text;
+    v_games jsonb;
+    v_rules jsonb;
+    v_votes jsonb := '{}'::jsonb;
+    v_winner text;
+    v_game_id uuid;
+begin
+    -- Players of the room only (no auth.uid(): the service role)
+    if auth.uid() is not null and not wdym_is_room_member(p_room_id) then
+        raise exception 'advance_phase: not a player of room %', p_room_id using errcode = '42501';
+    end if;
+
+    select * into v_room from rooms where id = p_room_id for update;
+    if not found then
+        raise exception 'advance_phase: room % not found', p_room_id using errcode = 'P0002';
+    end if;
+
+    select * into v_state from game_state where room_id = p_room_id for update;
+
+    -- Idempotency: only the first call for a given from-phase does anything
+    if v_state.phase is distinct from p_from_phase or p_from_phase = p_to_phase then
+        return jsonb_build_object(
+            'applied', false,
+            'room', to_jsonb(v_room),
+            'game_state', to_jsonb(v_state),
+            'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+        );
+    end if;
+
+    v_settings := coalesce(v_room.settings, '{}'::jsonb);
+    v_order := array(select jsonb_array_elements_text(coalesce(v_settings -> 'player_order', '[]'::jsonb)));
+    v_chains := coalesce(v_settings -> 'chains', '{}'::jsonb);
+
+    -- Presence only lives on clients, so trust the caller's view plus recent heartbeats
+    v_online := array(
+        select p.id::text from players p
+        where p.room_id = p_room_id
+          and (p.id = any(coalesce(p_online_ids, '{}'::uuid[])) or p.last_seen > now() - interval '15 seconds')
+    );
+
+    v_rules := wdym_mode_rules(v_settings);
+
+    if p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' then
+        v_duration := coalesce((v_settings ->> 'roundTime')::integer, 60);
+    elsif p_to_phase = 'vote' then
+        v_duration := coalesce((v_settings ->> 'voteDuration')::integer, 30);
+    end if;
+    if p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' or p_to_phase = 'vote' then
+        v_duration := round(v_duration * coalesce((v_rules -> 'timers' ->> split_part(p_to_phase, '_', 1))::numeric, 1));
+    end if;
+
+    if p_to_phase not in ('reveal', 'lobby', 'scoreboard', 'winner', 'match') then
+        v_expiry := v_now_ms + v_duration * 1000 + 1000;
+    end if;
+
+    v_round := (v_settings #>> '{last_transition,at}')::bigint;
+
+    v_is_gameplay_from := p_from_phase like 'text%' or p_from_phase like 'emoji%' or p_from_phase like 'draw%' or p_from_phase like 'interpretation%';
+    v_is_gameplay_to := p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' or p_to_phase = 'vote';
+
+    -- 1. EXTRACT ANSWERS
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if not found then
+                v_player := null;
+            end if;
+
+            -- Answers store first; last_answer only for clients that predate it
+            v_latest := coalesce(wdym_latest_answer(p_room_id, v_round, p_from_phase, v_pid::uuid), v_player.last_answer);
+
+            if p_from_phase = 'vote' then
+                v_answers := v_answers || jsonb_build_object(v_pid, coalesce(v_latest, ''));
+                continue;
+            end if;
+
+            v_content := wdym_answer_content(v_latest, p_from_phase);
+            v_is_online := v_pid = any(v_online) or wdym_is_final_answer(v_latest);
+
+            -- Emoji answers are re-checked against the host's emoji rules; nothing valid left = fallback
+            if v_content is not null and p_from_phase like 'emoji%' then
+                v_content := wdym_apply_emoji_rules(v_content, v_rules -> 'emojiRules', wdym_received_content(v_settings, p_from_phase, v_pid));
+            end if;
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_is_online, v_settings, v_pid);
+            end if;
+
+            v_answers := v_answers || jsonb_build_object(v_pid,
+                wdym_encode_answer(p_from_phase, v_content, v_settings -> 'last_transition' -> 'at'));
+        end loop;
+    end if;
+
+    v_next := v_settings || jsonb_build_object('phase', p_to_phase);
+    if v_expiry is not null then
+        v_next := v_next || jsonb_build_object('phase_expiry', v_expiry);
+    end if;
+
+    -- 2. APPEND TO CHAIN HISTORY
+    if v_is_gameplay_from then
+        v_assignments := coalesce(v_settings -> 'assignments' -> p_from_phase, '{}'::jsonb);
+
+        for v_chain_id in select key from jsonb_each(v_chains) loop
+            select key into v_pid from jsonb_each_text(v_assignments) where value = v_chain_id limit 1;
+            if not found then
+                v_pid := null;
+            end if;
+
+            v_content := null;
+            if v_pid is not null and v_answers ? v_pid then
+                v_content := wdym_answer_content(v_answers ->> v_pid, p_from_phase);
+            end if;
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_pid is not null and v_pid = any(v_online), v_settings, coalesce(v_pid, v_chain_id));
+            end if;
+
+            v_chains := jsonb_set(v_chains, array[v_chain_id, 'history'],
+                coalesce(v_chains -> v_chain_id -> 'history', '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                    'phase', p_from_phase,
+                    'playerId', coalesce(v_pid, 'ghost_player'),
+                    'content', v_content
+                )));
+        end loop;
+
+        v_next := v_next || jsonb_build_object('chains', v_chains);
+    end if;
+
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        v_next := jsonb_set(v_next, '{history}', coalesce(v_next -> 'history', '{}'::jsonb) || jsonb_build_object(p_from_phase, v_answers));
+    end if;
+
+    select coalesce(v_settings -> 'player_names', '{}'::jsonb) || coalesce(jsonb_object_agg(p.id::text, p.name), '{}'::jsonb)
+    into v_names
+    from players p
+    where p.room_id = p_room_id and p.name is not null;
+    v_next := v_next || jsonb_build_object('player_names', v_names);
+
+    -- 3. NEXT ROUND / ASSIGNMENTS
+    if p_to_phase = 'text' then
+        v_next_order := array(
+            select p.id::text from players p
+            where p.room_id = p_room_id
+              and p.id::text = any(v_online)
+              and not (coalesce((v_next ->> 'spectatorEnabled')::boolean, false)
+                       and (select count(*) from players c where c.room_id = p_room_id) >= 4
+                       and p.is_host)
+            order by random()
+        );
+
+        v_chains := '{}'::jsonb;
+        v_assignments := '{}'::jsonb;
+        foreach v_pid in array v_next_order loop
+            v_chain_id := 'chain_' || v_pid || '_' || v_now_ms;
+            v_chains := v_chains || jsonb_build_object(v_chain_id,
+                jsonb_build_object('id', v_chain_id, 'creator_id', v_pid, 'history', '[]'::jsonb));
+            v_assignments := v_assignments || jsonb_build_object(v_pid, v_chain_id);
+        end loop;
+
+        v_next := v_next || jsonb_build_object(
+            'player_order', to_jsonb(v_next_order),
+            'assignments', jsonb_build_object('text', v_assignments),
+            'history', '{}'::jsonb,
+            'chains', v_chains,
+            'random_offsets', (
+                select coalesce(jsonb_agg(n order by random()), '[]'::jsonb)
+                from generate_series(1, greatest(coalesce(array_length(v_next_order, 1), 0) - 1, 0)) as n
+            )
+        );
+    elsif v_is_gameplay_to then
+        v_next_order := v_order;
+
+        -- Drop truly offline players (no presence, no final answer) once the pool is big enough
+        if coalesce(array_length(v_order, 1), 0) >= 4 then
+            v_next_order := array(
+                select o.id from unnest(v_order) with ordinality as o(id, ord)
+                where o.id = any(v_online)
+                   or exists (
+                       select 1 from players p
+                       where p.id::text = o.id and wdym_is_final_answer(p.last_answer)
+                   )
+                order by o.ord
+            );
+        end if;
+
+        select coalesce(jsonb_object_agg(c.key, c.value), '{}'::jsonb) into v_filtered_chains
+        from (
+            select key, value from jsonb_each(v_chains)
+            where value ->> 'creator_id' = any(v_next_order)
+            limit coalesce(array_length(v_next_order, 1), 0)
+        ) c;
+
+        v_next := jsonb_set(v_next, '{assignments}',
+            coalesce(v_next -> 'assignments', '{}'::jsonb) || jsonb_build_object(p_to_phase,
+                wdym_chain_assignments(v_next_order, v_filtered_chains, p_to_phase, v_next -> 'random_offsets', wdym_phase_step(p_to_phase, v_next))));
+        v_next := v_next || jsonb_build_object('player_order', to_jsonb(v_next_order));
+    end if;
+
+    if p_to_phase = 'reveal' then
+        v_next := v_next || jsonb_build_object('reveal_step', 0, 'reveal_chain_index', 0);
+    end if;
+
+    if p_to_phase = 'lobby' then
+        v_next := (v_next - 'match' - 'game_id') || jsonb_build_object('history', '{}'::jsonb, 'assignments', '{}'::jsonb, 'player_order', '[]'::jsonb);
+    end if;
+
+    -- 4. SCORING
+    if p_from_phase = 'vote' and p_to_phase = 'scoreboard' then
+        for v_pid, v_content in select key, value from jsonb_each_text(v_answers) loop
+            v_votes := v_votes || jsonb_build_object(v_pid, wdym_parse_votes(v_content));
+            for v_vote in select value from jsonb_array_elements(wdym_parse_votes(v_content)) loop
+                v_cat := v_vote ->> 'category';
+                v_score_delta := v_score_delta || jsonb_build_object(v_vote ->> 'targetId',
+                    coalesce((v_score_delta ->> (v_vote ->> 'targetId'))::integer, 0)
+                        + coalesce((v_rules -> 'scoring' ->> v_cat)::integer, 0));
+                v_usage_delta := jsonb_set(v_usage_delta, array[v_pid],
+                    coalesce(v_usage_delta -> v_pid, '{}'::jsonb) || jsonb_build_object(v_cat,
+                        coalesce((v_usage_delta -> v_pid ->> v_cat)::integer, 0) + 1));
+            end loop;
+        end loop;
+
+        v_cached := coalesce(v_settings -> 'cached_scores', '{}'::jsonb);
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if found then
+                v_new_score := greatest(0, v_player.score + coalesce((v_score_delta ->> v_pid)::integer, 0));
+
+                v_usage := coalesce(v_player.votes_used, '{}'::jsonb);
+                for v_cat in select key from jsonb_each(coalesce(v_usage_delta -> v_pid, '{}'::jsonb)) loop
+                    v_usage := v_usage || jsonb_build_object(v_cat,
+                        coalesce((v_usage ->> v_cat)::integer, 0) + (v_usage_delta -> v_pid ->> v_cat)::integer);
+                end loop;
+
+                update players set score = v_new_score, votes_used = v_usage where id = v_player.id;
+            else
+                -- Keep progression for players whose row is gone
+                v_new_score := greatest(0, coalesce((v_cached ->> v_pid)::integer, 0) + coalesce((v_score_delta ->> v_pid)::integer, 0));
+            end if;
+            v_cached := v_cached || jsonb_build_object(v_pid, v_new_score);
+        end loop;
+
+        v_next := v_next || jsonb_build_object('cached_scores', v_cached);
+
+        -- 4a. ARCHIVE: the round's chains and votes are appended to the game's `games` row
+        v_game_id := (v_settings ->> 'game_id')::uuid;
+        if v_game_id is null or not exists (select 1 from games where id = v_game_id and finished_at is null) then
+            insert into games (room_id, room_code, mode)
+            values (p_room_id, v_room.room_code, coalesce(v_settings ->> 'selectedMode', 'Classic'))
+            returning id into v_game_id;
+            v_next := v_next || jsonb_build_object('game_id', v_game_id);
+        end if;
+        update games
+        set rounds = rounds || jsonb_build_array(jsonb_build_object(
+                'round', jsonb_array_length(rounds) + 1,
+                'at', v_now_ms,
+                'chains', v_chains,
+                'votes', v_votes
+            )),
+            player_names = v_names
+        where id = v_game_id;
+    end if;
+
+    -- 4b. MATCH: keep each finished game's standings, start the next game from zero
+    if p_from_phase = 'scoreboard' and p_to_phase = 'winner' then
+        v_cached := coalesce(v_settings -> 'cached_scores', '{}'::jsonb);
+        v_games := coalesce(v_settings #> '{match,games}', '[]'::jsonb);
+        select s.key into v_winner from jsonb_each_text(v_cached) s
+        order by s.value::integer desc, coalesce(array_position(v_order, s.key), 2147483647)
+        limit 1;
+        v_next := jsonb_set(v_next, '{match}', coalesce(v_settings -> 'match', '{}'::jsonb) || jsonb_build_object('games',
+            v_games || jsonb_build_array(jsonb_build_object(
+                'game', jsonb_array_length(v_games) + 1,
+                'winnerId', v_winner,
+                'scores', v_cached,
+                'at', v_now_ms
+            ))));
+
+        update games
+        set scores = v_cached, winner_id = v_winner, player_names = v_names, finished_at = now()
+        where id = (v_settings ->> 'game_id')::uuid;
+        v_next := v_next - 'game_id';
+    end if;
+
+    if p_from_phase = 'winner' and p_to_phase = 'text' then
+        v_next := v_next || jsonb_build_object('cached_scores', '{}'::jsonb);
+        update players set score = 0, votes_used = '{}'::jsonb where room_id = p_room_id;
+    end if;
+
+    v_next := v_next || jsonb_build_object('last_transition',
+        jsonb_build_object('from', p_from_phase, 'to', p_to_phase, 'at', v_now_ms));
+
+    -- 5. WRITE
+    -- Finals are kept for the game archive; drafts of the finished phase are no longer needed
+    delete from answers where room_id = p_room_id and phase = p_from_phase and is_draft;
+
+    if v_is_gameplay_to then
+        update players set last_answer = null where room_id = p_room_id;
+    end if;
+
+    if p_to_phase = 'lobby' then
+        update players set score = 0, last_answer = null where room_id = p_room_id;
+        -- A game left before it had a winner is not archived
+        delete from games where id = (v_settings ->> 'game_id')::uuid and finished_at is null;
+    end if;
+
+    update rooms
+    set settings = v_next,
+        status = case when p_to_phase = 'lobby' then 'lobby' else status end
+    where id = p_room_id
+    returning * into v_room;
+
+    update game_state
+    set phase = p_to_phase, timer = v_duration, phase_expiry = v_expiry
+    where room_id = p_room_id
+    returning * into v_state;
+
+    return jsonb_build_object(
+        'applied', true,
+        'room', to_jsonb(v_room),
+        'game_state', to_jsonb(v_state),
+        'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+    );
+end;
+$$;
+
+revoke execute on function public.advance_phase(uuid, text, text, uuid[]) from public, anon;
+grant execute on function public.advance_phase(uuid, text, text, uuid[]) to authenticated;
@@ -0,0 +1,26 @@
+-- Structured avatars: players.avatar becomes jsonb { emoji, color, frame } (see
+-- src/contexts/room/avatars.js) instead of a bare emoji string. Existing rows keep their emoji with the
+-- default color and frame; rows a newer client wrote as JSON text before this migration are parsed.
+
+alter table public.players
+    alter column avatar type jsonb using (
+        case
+            when nullif(trim(split_part(avatar, '|', 1)), '') is null then null
+            when trim(avatar) like '{%' then trim(split_part(avatar, '|', 1))::jsonb
+            else jsonb_build_object('emoji', trim(split_part(avatar, '|', 1)), 'color', 'none', 'frame', 'none')
+        end
+    );
+
+-- Players edit their own avatar (see the row_level_security migration): keep it to a short emoji and
+-- two ids rather than arbitrary JSON
+alter table public.players drop constraint if exists players_avatar_shape;
+alter table public.players add constraint players_avatar_shape check (
+    avatar is null or (
+        jsonb_typeof(avatar) = 'object'
+        and jsonb_typeof(avatar -> 'emoji') = 'string'
+        and char_length(avatar ->> 'emoji') between 1 and 16
+        and coalesce(char_length(avatar ->> 'color'), 0) <= 16
+        and coalesce(char_length(avatar ->> 'frame'), 0) <= 16
+        and avatar - 'emoji' - 'color' - 'frame' = '{}'::jsonb
+    )
+);
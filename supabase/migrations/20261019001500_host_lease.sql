@@ -0,0 +1,199 @@
+-- Host lease: the host role is held under a lease (host_leases) that the host's client renews every
+-- few seconds through claim_host (see src/contexts/room/useHostLease.js). While the lease is valid
+-- nobody else can take the role; once it lapses, only the elected player can (wdym_elect_host): the
+-- earliest-joined online player still in the game, else the earliest-joined online spectator. All
+-- claims lock the room row, so two players never hold the role at once, and a host whose lease lapsed
+-- loses its host rights (wdym_is_room_host) until it renews.
+-- A new host gets the room's settings and game_state back from the claim (the handover): the reveal
+-- position (reveal_step, reveal_chain_index), the phase and its phase_expiry all live there, so the new
+-- host carries on from where the old one stopped instead of from its own possibly stale copy.
+
+create table if not exists public.host_leases (
+    room_id uuid primary key references public.rooms (id) on delete cascade,
+    -- The host leaving the room ends its lease at once
+    player_id uuid not null references public.players (id) on delete cascade,
+    expires_at timestamptz not null
+);
+
+-- Readable like rooms; only the functions below write it
+alter table public.host_leases enable row level security;
+
+drop policy if exists host_leases_select on public.host_leases;
+create policy host_leases_select on public.host_leases for select using (true);
+
+-- Same window as the presence staleness used by promote_host and reclaim_player
+create or replace function public.wdym_host_lease_interval()
+returns interval
+language sql
+immutable
+as $$
+    select interval '20 seconds';
+$$;
+
+-- The host, as long as its lease (if it has one yet) has not lapsed
+create or replace function public.wdym_is_room_host(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from players where room_id = p_room_id and identity_id = auth.uid()::text and is_host)
+        and not exists (select 1 from host_leases where room_id = p_room_id and expires_at <= now());
+$$;
+
+-- Someone holds the role: a valid lease, or for rooms from before the lease, a host with a recent
+-- heartbeat (it takes a lease on its client's next claim)
+create or replace function public.wdym_host_is_active(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case
+        when exists (select 1 from host_leases where room_id = p_room_id)
+            then exists (select 1 from host_leases where room_id = p_room_id and expires_at > now())
+        else exists (select 1 from players where room_id = p_room_id and is_host and last_seen > now() - wdym_host_lease_interval())
+    end;
+$$;
+
+-- Who should host when nobody holds a valid lease: online humans (heartbeat within the lease window),
+-- players still in the game (settings.player_order, everyone in the lobby) before spectators, then
+-- the earliest joined. useHostLease.js mirrors this order for its fallback without this migration.
+create or replace function public.wdym_elect_host(p_room_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select p.id
+    from players p
+    join rooms r on r.id = p.room_id
+    where p.room_id = p_room_id
+      and coalesce(p.identity_id, '') not like 'bot-%'
+      and p.last_seen > now() - wdym_host_lease_interval()
+    order by
+        (r.status = 'lobby'
+            or coalesce(r.settings -> 'player_order', '[]'::jsonb) = '[]'::jsonb
+            or r.settings -> 'player_order' ? p.id::text) desc,
+        p.created_at,
+        p.id
+    limit 1;
+$$;
+
+-- Makes p_player_id the host under a fresh lease
+create or replace function public.wdym_grant_host(p_room_id uuid, p_player_id uuid)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_expires_at timestamptz := now() + wdym_host_lease_interval();
+begin
+    update players set is_host = (id = p_player_id) where room_id = p_room_id and is_host is distinct from (id = p_player_id);
+    update rooms set settings = jsonb_set(coalesce(settings, '{}'::jsonb), '{manual_host_id}', to_jsonb(p_player_id::text))
+    where id = p_room_id and settings ->> 'manual_host_id' is distinct from p_player_id::text;
+    insert into host_leases (room_id, player_id, expires_at)
+    values (p_room_id, p_player_id, v_expires_at)
+    on conflict (room_id) do update set player_id = excluded.player_id, expires_at = excluded.expires_at;
+    return v_expires_at;
+end;
+$$;
+
+-- Called by every client of the room: the host to renew its lease, the others while they see no host
+-- online. Returns { host, expires_at } for the holder, { host: false, holder } while someone else holds
+-- it, and for a player taking the role over, { host: true, expires_at, handover: { settings, game_state } }.
+create or replace function public.claim_host(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_room rooms%rowtype;
+    v_me players%rowtype;
+    v_lease host_leases%rowtype;
+    v_state game_state%rowtype;
+    v_holder uuid;
+    v_expires_at timestamptz;
+begin
+    -- One claim at a time per room
+    select * into v_room from rooms where id = p_room_id for update;
+    if not found then
+        return jsonb_build_object('host', false);
+    end if;
+
+    select * into v_me from players
+    where room_id = p_room_id and identity_id = auth.uid()::text
+    order by created_at
+    limit 1;
+    if not found then
+        return jsonb_build_object('host', false);
+    end if;
+    -- Claiming is a sign of life: the caller counts as online for the election below
+    update players set last_seen = now() where id = v_me.id;
+
+    select * into v_lease from host_leases where room_id = p_room_id;
+    if found and v_lease.expires_at > now() then
+        if v_lease.player_id <> v_me.id then
+            return jsonb_build_object('host', false, 'holder', v_lease.player_id);
+        end if;
+        return jsonb_build_object('host', true, 'expires_at', wdym_grant_host(p_room_id, v_me.id));
+    end if;
+
+    -- Lapsed or no lease: the host keeps the role if nobody took it meanwhile
+    if v_me.is_host then
+        return jsonb_build_object('host', true, 'expires_at', wdym_grant_host(p_room_id, v_me.id));
+    end if;
+
+    if wdym_host_is_active(p_room_id) then
+        select id into v_holder from players where room_id = p_room_id and is_host limit 1;
+        return jsonb_build_object('host', false, 'holder', v_holder);
+    end if;
+    if wdym_elect_host(p_room_id) is distinct from v_me.id then
+        return jsonb_build_object('host', false, 'holder', null);
+    end if;
+
+    v_expires_at := wdym_grant_host(p_room_id, v_me.id);
+    select * into v_room from rooms where id = p_room_id;
+    select * into v_state from game_state where room_id = p_room_id;
+    return jsonb_build_object(
+        'host', true,
+        'expires_at', v_expires_at,
+        'handover', jsonb_build_object('settings', v_room.settings, 'game_state', to_jsonb(v_state))
+    );
+end;
+$$;
+
+-- The host hands the role (and its lease) to another player. Without a valid lease (the host is gone),
+-- any player of the room may hand it to the elected player, as claim_host would.
+create or replace function public.promote_host(p_room_id uuid, p_player_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform 1 from rooms where id = p_room_id for update;
+    if not exists (select 1 from players where id = p_player_id and room_id = p_room_id and coalesce(identity_id, '') not like 'bot-%') then
+        return false;
+    end if;
+    if not wdym_is_room_host(p_room_id) and not (
+        wdym_is_room_member(p_room_id)
+        and not wdym_host_is_active(p_room_id)
+        and wdym_elect_host(p_room_id) = p_player_id
+    ) then
+        return false;
+    end if;
+
+    perform wdym_grant_host(p_room_id, p_player_id);
+    return true;
+end;
+$$;
+
+revoke execute on function public.wdym_grant_host(uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.claim_host(uuid) from public, anon;
+grant execute on function public.claim_host(uuid) to authenticated;
@@ -0,0 +1,502 @@
+-- Phase and vote checks in advance_phase:
+-- * a transition must be the mode's next phase (wdym_next_phase, same order as getPhaseOrder in
+--   roomUtils.js) or one of the host's shortcuts (wdym_allowed_next_phases, getAllowedNextPhases in
+--   gameReducer.js); anything else raises.
+-- * only the host (wdym_is_room_host) moves a room on at will. Other players may only take it to the
+--   next phase once game_state.phase_expiry has passed, the timeout advance clients do when the host's
+--   tab is asleep.
+-- * votes count only for another player of the round, once per category per voter and within the
+--   voter's limits for the game (wdym_vote_limits, getVoteLimits in gameModes.js).
+
+-- text, then the mode's stepCycle numbered per phase type up to the chain length, then the end phases
+create or replace function public.wdym_phase_order(p_settings jsonb)
+returns text[]
+language plpgsql
+immutable
+as $$
+declare
+    v_cycle text[] := array(select jsonb_array_elements_text(wdym_mode_rules(p_settings) -> 'stepCycle'));
+    v_configured integer := nullif(substring(coalesce(p_settings ->> 'chainLength', '') from '^\s*(\d+)'), '')::integer;
+    v_length integer;
+    v_order text[] := array['text'];
+begin
+    if coalesce(v_configured, 0) > 0 then
+        v_length := least(12, greatest(3, v_configured));
+    else
+        v_length := coalesce(jsonb_array_length(p_settings -> 'player_order'), 0);
+    end if;
+
+    for i in 1 .. v_length - 1 loop
+        v_order := v_order || (v_cycle[((i - 1) % array_length(v_cycle, 1)) + 1] || '_' || ((i - 1) / array_length(v_cycle, 1) + 1));
+    end loop;
+
+    return v_order || array['reveal', 'vote', 'scoreboard', 'winner', 'match'];
+end;
+$$;
+
+-- The phase after p_phase (getNextPhase): a gameplay phase that fell out of the order (fewer players
+-- than when it started) goes to the reveal; null without players or after the last phase
+create or replace function public.wdym_next_phase(p_settings jsonb, p_phase text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+    v_order text[];
+    v_index integer;
+begin
+    if coalesce(jsonb_array_length(p_settings -> 'player_order'), 0) = 0 then
+        return null;
+    end if;
+
+    v_order := wdym_phase_order(p_settings);
+    v_index := array_position(v_order, p_phase);
+    if v_index is null then
+        return case when wdym_answer_kind(p_phase) in ('text', 'emoji', 'drawing', 'guess') then 'reveal' end;
+    end if;
+    return v_order[v_index + 1];
+end;
+$$;
+
+-- Every phase the room may go to from p_phase: the next one, plus the host's shortcuts: the scoreboard
+-- when fewer than two players of the round are online, the next game or the lobby from the scoreboard
+-- and the winner screen, and the lobby from the match summary
+create or replace function public.wdym_allowed_next_phases(p_settings jsonb, p_phase text, p_online_count integer)
+returns text[]
+language sql
+immutable
+as $$
+    select array_remove(
+        case
+            when p_phase = 'lobby' then array['text']
+            when p_phase = 'scoreboard' then array['winner', 'text', 'lobby']
+            when p_phase = 'winner' then array['match', 'text', 'lobby']
+            when p_phase = 'match' then array['lobby']
+            when wdym_answer_kind(p_phase) in ('text', 'emoji', 'drawing', 'guess') and p_online_count < 2
+                then array[wdym_next_phase(p_settings, p_phase), 'scoreboard']
+            else array[wdym_next_phase(p_settings, p_phase)]
+        end,
+        null);
+$$;
+
+-- Votes a player can spend per category over a game: funniest 3x, the others 1x, per 5 points to win
+create or replace function public.wdym_vote_limits(p_settings jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+    select jsonb_build_object('funniest', 3 * m, 'mostAccurate', m, 'mostDestroyed', m)
+    from (
+        select greatest(1, floor(coalesce(nullif(p_settings ->> 'scoreToWin', '')::numeric, 5) / 5))::integer as m
+    ) l;
+$$;
+
+-- advance_phase: as in row_level_security, plus the checks above
+create or replace function public.advance_phase(
+    p_room_id uuid,
+    p_from_phase text,
+    p_to_phase text,
+    p_online_ids uuid[] default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_room rooms%rowtype;
+    v_state game_state%rowtype;
+    v_settings jsonb;
+    v_next jsonb;
+    v_order text[];
+    v_next_order text[];
+    v_online text[];
+    v_answers jsonb := '{}'::jsonb;
+    v_chains jsonb;
+    v_assignments jsonb;
+    v_filtered_chains jsonb;
+    v_names jsonb;
+    v_player players%rowtype;
+    v_pid text;
+    v_chain_id text;
+    v_content text;
+    v_is_online boolean;
+    v_duration integer := 60;
+    v_expiry bigint;
+    v_now_ms bigint := floor(extract(epoch from clock_timestamp()) * 1000)::bigint;
+    v_is_gameplay_from boolean;
+    v_is_gameplay_to boolean;
+    v_vote jsonb;
+    v_score_delta jsonb := '{}'::jsonb;
+    v_usage_delta jsonb := '{}'::jsonb;
+    v_cached jsonb;
+    v_new_score integer;
+    v_usage jsonb;
+    v_cat text;
+    v_round bigint;
+    v_latest text;
+    v_games jsonb;
+    v_rules jsonb;
+    v_votes jsonb := '{}'::jsonb;
+    v_winner text;
+    v_game_id uuid;
+    v_is_host boolean;
+    v_target text;
+    v_limits jsonb;
+    v_voter_usage jsonb;
+    v_voted text[];
+begin
+    -- Players of the room only (no auth.uid(): the service role)
+    if auth.uid() is not null and not wdym_is_room_member(p_room_id) then
+        raise exception 'advance_phase: not a player of room %', p_room_id using errcode = '42501';
+    end if;
+
+    select * into v_room from rooms where id = p_room_id for update;
+    if not found then
+        raise exception 'advance_phase: room % not found', p_room_id using errcode = 'P0002';
+    end if;
+
+    select * into v_state from game_state where room_id = p_room_id for update;
+
+    -- Idempotency: only the first call for a given from-phase does anything
+    if v_state.phase is distinct from p_from_phase or p_from_phase = p_to_phase then
+        return jsonb_build_object(
+            'applied', false,
+            'room', to_jsonb(v_room),
+            'game_state', to_jsonb(v_state),
+            'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+        );
+    end if;
+
+    v_settings := coalesce(v_room.settings, '{}'::jsonb);
+    v_order := array(select jsonb_array_elements_text(coalesce(v_settings -> 'player_order', '[]'::jsonb)));
+    v_chains := coalesce(v_settings -> 'chains', '{}'::jsonb);
+
+    -- Presence only lives on clients, so trust the caller's view plus recent heartbeats
+    v_online := array(
+        select p.id::text from players p
+        where p.room_id = p_room_id
+          and (p.id = any(coalesce(p_online_ids, '{}'::uuid[])) or p.last_seen > now() - interval '15 seconds')
+    );
+
+    v_rules := wdym_mode_rules(v_settings);
+
+    -- Only the mode's next phase (or one of the host's shortcuts, see wdym_allowed_next_phases).
+    -- The host moves on at any time; other players only once the phase timer has run out, for a
+    -- host whose tab is asleep. No auth.uid(): the service role.
+    if not p_to_phase = any(wdym_allowed_next_phases(v_settings, p_from_phase,
+        (select count(*) from unnest(v_order) o where o = any(v_online))::integer)) then
+        raise exception 'advance_phase: % cannot follow %', p_to_phase, p_from_phase using errcode = '22023';
+    end if;
+    v_is_host := auth.uid() is null or wdym_is_room_host(p_room_id);
+    if not v_is_host and (
+        p_to_phase is distinct from wdym_next_phase(v_settings, p_from_phase)
+        or v_state.phase_expiry is null
+        or v_state.phase_expiry > v_now_ms
+    ) then
+        raise exception 'advance_phase: only the host can end % before its timer', p_from_phase using errcode = '42501';
+    end if;
+
+    if p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' then
+        v_duration := coalesce((v_settings ->> 'roundTime')::integer, 60);
+    elsif p_to_phase = 'vote' then
+        v_duration := coalesce((v_settings ->> 'voteDuration')::integer, 30);
+    end if;
+    if p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' or p_to_phase = 'vote' then
+        v_duration := round(v_duration * coalesce((v_rules -> 'timers' ->> split_part(p_to_phase, '_', 1))::numeric, 1));
+    end if;
+
+    if p_to_phase not in ('reveal', 'lobby', 'scoreboard', 'winner', 'match') then
+        v_expiry := v_now_ms + v_duration * 1000 + 1000;
+    end if;
+
+    v_round := (v_settings #>> '{last_transition,at}')::bigint;
+
+    v_is_gameplay_from := p_from_phase like 'text%' or p_from_phase like 'emoji%' or p_from_phase like 'draw%' or p_from_phase like 'interpretation%';
+    v_is_gameplay_to := p_to_phase like 'text%' or p_to_phase like 'emoji%' or p_to_phase like 'draw%' or p_to_phase like 'interpretation%' or p_to_phase = 'vote';
+
+    -- 1. EXTRACT ANSWERS
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if not found then
+                v_player := null;
+            end if;
+
+            -- Answers store first; last_answer only for clients that predate it
+            v_latest := coalesce(wdym_latest_answer(p_room_id, v_round, p_from_phase, v_pid::uuid), v_player.last_answer);
+
+            if p_from_phase = 'vote' then
+                v_answers := v_answers || jsonb_build_object(v_pid, coalesce(v_latest, ''));
+                continue;
+            end if;
+
+            v_content := wdym_answer_content(v_latest, p_from_phase);
+            v_is_online := v_pid = any(v_online) or wdym_is_final_answer(v_latest);
+
+            -- Emoji answers are re-checked against the host's emoji rules; nothing valid left = fallback
+            if v_content is not null and p_from_phase like 'emoji%' then
+                v_content := wdym_apply_emoji_rules(v_content, v_rules -> 'emojiRules', wdym_received_content(v_settings, p_from_phase, v_pid));
+            end if;
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_is_online, v_settings, v_pid);
+            end if;
+
+            v_answers := v_answers || jsonb_build_object(v_pid,
+                wdym_encode_answer(p_from_phase, v_content, v_settings -> 'last_transition' -> 'at'));
+        end loop;
+    end if;
+
+    v_next := v_settings || jsonb_build_object('phase', p_to_phase);
+    if v_expiry is not null then
+        v_next := v_next || jsonb_build_object('phase_expiry', v_expiry);
+    end if;
+
+    -- 2. APPEND TO CHAIN HISTORY
+    if v_is_gameplay_from then
+        v_assignments := coalesce(v_settings -> 'assignments' -> p_from_phase, '{}'::jsonb);
+
+        for v_chain_id in select key from jsonb_each(v_chains) loop
+            select key into v_pid from jsonb_each_text(v_assignments) where value = v_chain_id limit 1;
+            if not found then
+                v_pid := null;
+            end if;
+
+            v_content := null;
+            if v_pid is not null and v_answers ? v_pid then
+                v_content := wdym_answer_content(v_answers ->> v_pid, p_from_phase);
+            end if;
+
+            if v_content is null then
+                v_content := wdym_fallback_answer(p_from_phase, v_pid is not null and v_pid = any(v_online), v_settings, coalesce(v_pid, v_chain_id));
+            end if;
+
+            v_chains := jsonb_set(v_chains, array[v_chain_id, 'history'],
+                coalesce(v_chains -> v_chain_id -> 'history', '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                    'phase', p_from_phase,
+                    'playerId', coalesce(v_pid, 'ghost_player'),
+                    'content', v_content
+                )));
+        end loop;
+
+        v_next := v_next || jsonb_build_object('chains', v_chains);
+    end if;
+
+    if v_is_gameplay_from or p_from_phase = 'vote' then
+        v_next := jsonb_set(v_next, '{history}', coalesce(v_next -> 'history', '{}'::jsonb) || jsonb_build_object(p_from_phase, v_answers));
+    end if;
+
+    select coalesce(v_settings -> 'player_names', '{}'::jsonb) || coalesce(jsonb_object_agg(p.id::text, p.name), '{}'::jsonb)
+    into v_names
+    from players p
+    where p.room_id = p_room_id and p.name is not null;
+    v_next := v_next || jsonb_build_object('player_names', v_names);
+
+    -- 3. NEXT ROUND / ASSIGNMENTS
+    if p_to_phase = 'text' then
+        v_next_order := array(
+            select p.id::text from players p
+            where p.room_id = p_room_id
+              and p.id::text = any(v_online)
+              and not (coalesce((v_next ->> 'spectatorEnabled')::boolean, false)
+                       and (select count(*) from players c where c.room_id = p_room_id) >= 4
+                       and p.is_host)
+            order by random()
+        );
+
+        v_chains := '{}'::jsonb;
+        v_assignments := '{}'::jsonb;
+        foreach v_pid in array v_next_order loop
+            v_chain_id := 'chain_' || v_pid || '_' || v_now_ms;
+            v_chains := v_chains || jsonb_build_object(v_chain_id,
+                jsonb_build_object('id', v_chain_id, 'creator_id', v_pid, 'history', '[]'::jsonb));
+            v_assignments := v_assignments || jsonb_build_object(v_pid, v_chain_id);
+        end loop;
+
+        v_next := v_next || jsonb_build_object(
+            'player_order', to_jsonb(v_next_order),
+            'assignments', jsonb_build_object('text', v_assignments),
+            'history', '{}'::jsonb,
+            'chains', v_chains,
+            'random_offsets', (
+                select coalesce(jsonb_agg(n order by random()), '[]'::jsonb)
+                from generate_series(1, greatest(coalesce(array_length(v_next_order, 1), 0) - 1, 0)) as n
+            )
+        );
+    elsif v_is_gameplay_to then
+        v_next_order := v_order;
+
+        -- Drop truly offline players (no presence, no final answer) once the pool is big enough
+        if coalesce(array_length(v_order, 1), 0) >= 4 then
+            v_next_order := array(
+                select o.id from unnest(v_order) with ordinality as o(id, ord)
+                where o.id = any(v_online)
+                   or exists (
+                       select 1 from players p
+                       where p.id::text = o.id and wdym_is_final_answer(p.last_answer)
+                   )
+                order by o.ord
+            );
+        end if;
+
+        select coalesce(jsonb_object_agg(c.key, c.value), '{}'::jsonb) into v_filtered_chains
+        from (
+            select key, value from jsonb_each(v_chains)
+            where value ->> 'creator_id' = any(v_next_order)
+            limit coalesce(array_length(v_next_order, 1), 0)
+        ) c;
+
+        v_next := jsonb_set(v_next, '{assignments}',
+            coalesce(v_next -> 'assignments', '{}'::jsonb) || jsonb_build_object(p_to_phase,
+                wdym_chain_assignments(v_next_order, v_filtered_chains, p_to_phase, v_next -> 'random_offsets', wdym_phase_step(p_to_phase, v_next))));
+        v_next := v_next || jsonb_build_object('player_order', to_jsonb(v_next_order));
+    end if;
+
+    if p_to_phase = 'reveal' then
+        v_next := v_next || jsonb_build_object('reveal_step', 0, 'reveal_chain_index', 0);
+    end if;
+
+    if p_to_phase = 'lobby' then
+        v_next := (v_next - 'match' - 'game_id') || jsonb_build_object('history', '{}'::jsonb, 'assignments', '{}'::jsonb, 'player_order', '[]'::jsonb);
+    end if;
+
+    -- 4. SCORING
+    -- A vote counts for a player of the round other than the voter, once per category per voter, and
+    -- within the voter's limits for the game (wdym_vote_limits); the rest is ignored
+    if p_from_phase = 'vote' and p_to_phase = 'scoreboard' then
+        v_limits := wdym_vote_limits(v_settings);
+        for v_pid, v_content in select key, value from jsonb_each_text(v_answers) loop
+            v_votes := v_votes || jsonb_build_object(v_pid, wdym_parse_votes(v_content));
+            select coalesce(votes_used, '{}'::jsonb) into v_voter_usage from players where id::text = v_pid and room_id = p_room_id;
+            v_voter_usage := coalesce(v_voter_usage, '{}'::jsonb);
+            v_voted := '{}';
+
+            for v_vote in select v.value from jsonb_array_elements(wdym_parse_votes(v_content)) with ordinality as v(value, ord) order by v.ord loop
+                v_cat := v_vote ->> 'category';
+                v_target := v_vote ->> 'targetId';
+                if v_cat is null or v_target is null
+                   or not (v_rules -> 'scoring' ? v_cat)
+                   or v_cat = any(v_voted)
+                   or v_target = v_pid
+                   or not (v_target = any(v_order))
+                   or coalesce((v_voter_usage ->> v_cat)::integer, 0) >= coalesce((v_limits ->> v_cat)::integer, 0) then
+                    continue;
+                end if;
+                v_voted := v_voted || v_cat;
+                v_voter_usage := v_voter_usage || jsonb_build_object(v_cat, coalesce((v_voter_usage ->> v_cat)::integer, 0) + 1);
+
+                v_score_delta := v_score_delta || jsonb_build_object(v_target,
+                    coalesce((v_score_delta ->> v_target)::integer, 0)
+                        + coalesce((v_rules -> 'scoring' ->> v_cat)::integer, 0));
+                v_usage_delta := jsonb_set(v_usage_delta, array[v_pid],
+                    coalesce(v_usage_delta -> v_pid, '{}'::jsonb) || jsonb_build_object(v_cat,
+                        coalesce((v_usage_delta -> v_pid ->> v_cat)::integer, 0) + 1));
+            end loop;
+        end loop;
+
+        v_cached := coalesce(v_settings -> 'cached_scores', '{}'::jsonb);
+        foreach v_pid in array v_order loop
+            select * into v_player from players where id::text = v_pid and room_id = p_room_id;
+            if found then
+                v_new_score := greatest(0, v_player.score + coalesce((v_score_delta ->> v_pid)::integer, 0));
+
+                v_usage := coalesce(v_player.votes_used, '{}'::jsonb);
+                for v_cat in select key from jsonb_each(coalesce(v_usage_delta -> v_pid, '{}'::jsonb)) loop
+                    v_usage := v_usage || jsonb_build_object(v_cat,
+                        coalesce((v_usage ->> v_cat)::integer, 0) + (v_usage_delta -> v_pid ->> v_cat)::integer);
+                end loop;
+
+                update players set score = v_new_score, votes_used = v_usage where id = v_player.id;
+            else
+                -- Keep progression for players whose row is gone
+                v_new_score := greatest(0, coalesce((v_cached ->> v_pid)::integer, 0) + coalesce((v_score_delta ->> v_pid)::integer, 0));
+            end if;
+            v_cached := v_cached || jsonb_build_object(v_pid, v_new_score);
+        end loop;
+
+        v_next := v_next || jsonb_build_object('cached_scores', v_cached);
+
+        -- 4a. ARCHIVE: the round's chains and votes are appended to the game's `games` row
+        v_game_id := (v_settings ->> 'game_id')::uuid;
+        if v_game_id is null or not exists (select 1 from games where id = v_game_id and finished_at is null) then
+            insert into games (room_id, room_code, mode)
+            values (p_room_id, v_room.room_code, coalesce(v_settings ->> 'selectedMode', 'Classic'))
+            returning id into v_game_id;
+            v_next := v_next || jsonb_build_object('game_id', v_game_id);
+        end if;
+        update games
+        set rounds = rounds || jsonb_build_array(jsonb_build_object(
+                'round', jsonb_array_length(rounds) + 1,
+                'at', v_now_ms,
+                'chains', v_chains,
+                'votes', v_votes
+            )),
+            player_names = v_names
+        where id = v_game_id;
+    end if;
+
+    -- 4b. MATCH: keep each finished game's standings, start the next game from zero
+    if p_from_phase = 'scoreboard' and p_to_phase = 'winner' then
+        v_cached := coalesce(v_settings -> 'cached_scores', '{}'::jsonb);
+        v_games := coalesce(v_settings #> '{match,games}', '[]'::jsonb);
+        select s.key into v_winner from jsonb_each_text(v_cached) s
+        order by s.value::integer desc, coalesce(array_position(v_order, s.key), 2147483647)
+        limit 1;
+        v_next := jsonb_set(v_next, '{match}', coalesce(v_settings -> 'match', '{}'::jsonb) || jsonb_build_object('games',
+            v_games || jsonb_build_array(jsonb_build_object(
+                'game', jsonb_array_length(v_games) + 1,
+                'winnerId', v_winner,
+                'scores', v_cached,
+                'at', v_now_ms
+            ))));
+
+        update games
+        set scores = v_cached, winner_id = v_winner, player_names = v_names, finished_at = now()
+        where id = (v_settings ->> 'game_id')::uuid;
+        v_next := v_next - 'game_id';
+    end if;
+
+    if p_from_phase = 'winner' and p_to_phase = 'text' then
+        v_next := v_next || jsonb_build_object('cached_scores', '{}'::jsonb);
+        update players set score = 0, votes_used = '{}'::jsonb where room_id = p_room_id;
+    end if;
+
+    v_next := v_next || jsonb_build_object('last_transition',
+        jsonb_build_object('from', p_from_phase, 'to', p_to_phase, 'at', v_now_ms));
+
+    -- 5. WRITE
+    -- Finals are kept for the game archive; drafts of the finished phase are no longer needed
+    delete from answers where room_id = p_room_id and phase = p_from_phase and is_draft;
+
+    if v_is_gameplay_to then
+        update players set last_answer = null where room_id = p_room_id;
+    end if;
+
+    if p_to_phase = 'lobby' then
+        update players set score = 0, last_answer = null where room_id = p_room_id;
+        -- A game left before it had a winner is not archived
+        delete from games where id = (v_settings ->> 'game_id')::uuid and finished_at is null;
+    end if;
+
+    update rooms
+    set settings = v_next,
+        status = case when p_to_phase = 'lobby' then 'lobby' else status end
+    where id = p_room_id
+    returning * into v_room;
+
+    update game_state
+    set phase = p_to_phase, timer = v_duration, phase_expiry = v_expiry
+    where room_id = p_room_id
+    returning * into v_state;
+
+    return jsonb_build_object(
+        'applied', true,
+        'room', to_jsonb(v_room),
+        'game_state', to_jsonb(v_state),
+        'players', (select coalesce(jsonb_agg(to_jsonb(p) order by p.created_at), '[]'::jsonb) from players p where p.room_id = p_room_id)
+    );
+end;
+$$;
+
+revoke execute on function public.advance_phase(uuid, text, text, uuid[]) from public, anon;
+grant execute on function public.advance_phase(uuid, text, text, uuid[]) to authenticated;
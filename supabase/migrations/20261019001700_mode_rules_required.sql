@@ -0,0 +1,60 @@
+-- The engine reads a room's mode only from settings.mode_rules, the snapshot the client takes from
+-- src/contexts/room/gameModes.js at game start (getModeRules). There are no SQL copies of the modes
+-- any more: a room without a complete snapshot fails its transition instead of quietly playing Classic.
+
+create or replace function public.wdym_mode_rules(p_settings jsonb)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_rules jsonb := p_settings -> 'mode_rules';
+begin
+    if jsonb_typeof(v_rules) is distinct from 'object'
+        or not (v_rules ?& array['stepCycle', 'timers', 'scoring', 'emojiRules'])
+        or jsonb_typeof(v_rules -> 'stepCycle') is distinct from 'array'
+        or jsonb_array_length(v_rules -> 'stepCycle') = 0 then
+        raise exception 'wdym_mode_rules: settings.mode_rules is missing or incomplete (mode %)', coalesce(p_settings ->> 'selectedMode', 'unset')
+            using errcode = '22023', hint = 'The client snapshots it with getModeRules when the game starts.';
+    end if;
+    return v_rules;
+end;
+$$;
+
+-- advance_phase always passes the step of the phase it assigns; phases without one (vote) take no
+-- offset. The old fallback numbered the phase against empty settings, which now has no mode to read.
+create or replace function public.wdym_chain_assignments(
+    p_player_ids text[],
+    p_chains jsonb,
+    p_phase text,
+    p_offsets jsonb,
+    p_step integer
+) returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_count integer := coalesce(array_length(p_player_ids, 1), 0);
+    v_offset integer;
+    v_origin text;
+    v_chain text;
+    v_result jsonb := '{}'::jsonb;
+begin
+    v_offset := wdym_step_offset(coalesce(p_step, 0), v_count, p_offsets);
+
+    for i in 1..v_count loop
+        v_origin := p_player_ids[((i - 1 - v_offset + v_count) % v_count) + 1];
+
+        select key into v_chain
+        from jsonb_each(coalesce(p_chains, '{}'::jsonb))
+        where value ->> 'creator_id' = v_origin
+        limit 1;
+
+        if v_chain is not null then
+            v_result := v_result || jsonb_build_object(p_player_ids[i], v_chain);
+        end if;
+    end loop;
+
+    return v_result;
+end;
+$$;
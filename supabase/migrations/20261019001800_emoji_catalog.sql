@@ -0,0 +1,315 @@
+-- GENERATED by scripts/generate-emoji-data.js from Unicode emoji 18.0 - do not edit by hand.
+-- The emojis of src/contexts/room/emojiData.js and their skin-tone variants, without variation selectors:
+-- what an emoji answer may be made of (wdym_split_emoji_answer, isEmojiCluster in emojiGuard.js).
+
+create table if not exists public.emoji_catalog (
+    emoji text primary key
+);
+
+-- Readable like the bundled emojiData.js; only migrations write it
+alter table public.emoji_catalog enable row level security;
+
+drop policy if exists emoji_catalog_select on public.emoji_catalog;
+create policy emoji_catalog_select on public.emoji_catalog for select using (true);
+
+delete from public.emoji_catalog;
+insert into public.emoji_catalog (emoji) values
+    ('😀'), ('😃'), ('😄'), ('😁'), ('😆'), ('😅'), ('🤣'), ('😂'), ('🙂'), ('🙃'), ('🫠'), ('🫫'),
+    ('😉'), ('😊'), ('😇'), ('🥰'), ('😍'), ('🤩'), ('😘'), ('😗'), ('☺'), ('😚'), ('😙'), ('🥲'),
+    ('😋'), ('😛'), ('😜'), ('🤪'), ('😝'), ('🤑'), ('🤗'), ('🤭'), ('🫢'), ('🫣'), ('🤫'), ('🤔'),
+    ('🫡'), ('🤐'), ('🤨'), ('😐'), ('😑'), ('😶'), ('🫥'), ('😶‍🌫'), ('😏'), ('😒'), ('🙄'), ('😬'),
+    ('😮‍💨'), ('🤥'), ('🫨'), ('🙂‍↔'), ('🙂‍↕'), ('😌'), ('😔'), ('😪'), ('🤤'), ('😴'), ('🫩'), ('😷'),
+    ('🤒'), ('🤕'), ('🤢'), ('🤮'), ('🤧'), ('🥵'), ('🥶'), ('🥴'), ('😵'), ('😵‍💫'), ('🤯'), ('🤠'),
+    ('🥳'), ('🥸'), ('😎'), ('🤓'), ('🧐'), ('😕'), ('🫤'), ('😟'), ('🙁'), ('☹'), ('😮'), ('😯'),
+    ('😲'), ('😳'), ('🫪'), ('🥺'), ('🥹'), ('😦'), ('😧'), ('😨'), ('😰'), ('😥'), ('😢'), ('😭'),
+    ('😱'), ('😖'), ('😣'), ('😞'), ('😓'), ('😩'), ('😫'), ('🥱'), ('😤'), ('😡'), ('😠'), ('🤬'),
+    ('😈'), ('👿'), ('💀'), ('☠'), ('💩'), ('🤡'), ('👹'), ('👺'), ('👻'), ('👽'), ('👾'), ('🤖'),
+    ('😺'), ('😸'), ('😹'), ('😻'), ('😼'), ('😽'), ('🙀'), ('😿'), ('😾'), ('🙈'), ('🙉'), ('🙊'),
+    ('💌'), ('💘'), ('💝'), ('💖'), ('💗'), ('💓'), ('💞'), ('💕'), ('💟'), ('❣'), ('💔'), ('❤‍🔥'),
+    ('❤‍🩹'), ('❤'), ('🩷'), ('🧡'), ('💛'), ('💚'), ('💙'), ('🩵'), ('💜'), ('🤎'), ('🖤'), ('🩶'),
+    ('🤍'), ('💋'), ('💯'), ('💢'), ('🫯'), ('💥'), ('💫'), ('💦'), ('💨'), ('🕳'), ('💬'), ('👁‍🗨'),
+    ('🗨'), ('🗯'), ('💭'), ('💤'), ('👋'), ('👋🏻'), ('👋🏼'), ('👋🏽'), ('👋🏾'), ('👋🏿'), ('🤚'), ('🤚🏻'),
+    ('🤚🏼'), ('🤚🏽'), ('🤚🏾'), ('🤚🏿'), ('🖐'), ('🖐🏻'), ('🖐🏼'), ('🖐🏽'), ('🖐🏾'), ('🖐🏿'), ('✋'), ('✋🏻'),
+    ('✋🏼'), ('✋🏽'), ('✋🏾'), ('✋🏿'), ('🖖'), ('🖖🏻'), ('🖖🏼'), ('🖖🏽'), ('🖖🏾'), ('🖖🏿'), ('🫱'), ('🫱🏻'),
+    ('🫱🏼'), ('🫱🏽'), ('🫱🏾'), ('🫱🏿'), ('🫲'), ('🫲🏻'), ('🫲🏼'), ('🫲🏽'), ('🫲🏾'), ('🫲🏿'), ('🫳'), ('🫳🏻'),
+    ('🫳🏼'), ('🫳🏽'), ('🫳🏾'), ('🫳🏿'), ('🫴'), ('🫴🏻'), ('🫴🏼'), ('🫴🏽'), ('🫴🏾'), ('🫴🏿'), ('🫷'), ('🫷🏻'),
+    ('🫷🏼'), ('🫷🏽'), ('🫷🏾'), ('🫷🏿'), ('🫸'), ('🫸🏻'), ('🫸🏼'), ('🫸🏽'), ('🫸🏾'), ('🫸🏿'), ('👌'), ('👌🏻'),
+    ('👌🏼'), ('👌🏽'), ('👌🏾'), ('👌🏿'), ('🤌'), ('🤌🏻'), ('🤌🏼'), ('🤌🏽'), ('🤌🏾'), ('🤌🏿'), ('🤏'), ('🤏🏻'),
+    ('🤏🏼'), ('🤏🏽'), ('🤏🏾'), ('🤏🏿'), ('✌'), ('✌🏻'), ('✌🏼'), ('✌🏽'), ('✌🏾'), ('✌🏿'), ('🤞'), ('🤞🏻'),
+    ('🤞🏼'), ('🤞🏽'), ('🤞🏾'), ('🤞🏿'), ('🫰'), ('🫰🏻'), ('🫰🏼'), ('🫰🏽'), ('🫰🏾'), ('🫰🏿'), ('🤟'), ('🤟🏻'),
+    ('🤟🏼'), ('🤟🏽'), ('🤟🏾'), ('🤟🏿'), ('🤘'), ('🤘🏻'), ('🤘🏼'), ('🤘🏽'), ('🤘🏾'), ('🤘🏿'), ('🤙'), ('🤙🏻'),
+    ('🤙🏼'), ('🤙🏽'), ('🤙🏾'), ('🤙🏿'), ('👈'), ('👈🏻'), ('👈🏼'), ('👈🏽'), ('👈🏾'), ('👈🏿'), ('👉'), ('👉🏻'),
+    ('👉🏼'), ('👉🏽'), ('👉🏾'), ('👉🏿'), ('👆'), ('👆🏻'), ('👆🏼'), ('👆🏽'), ('👆🏾'), ('👆🏿'), ('🖕'), ('🖕🏻'),
+    ('🖕🏼'), ('🖕🏽'), ('🖕🏾'), ('🖕🏿'), ('👇'), ('👇🏻'), ('👇🏼'), ('👇🏽'), ('👇🏾'), ('👇🏿'), ('☝'), ('☝🏻'),
+    ('☝🏼'), ('☝🏽'), ('☝🏾'), ('☝🏿'), ('🫵'), ('🫵🏻'), ('🫵🏼'), ('🫵🏽'), ('🫵🏾'), ('🫵🏿'), ('👍'), ('👍🏻'),
+    ('👍🏼'), ('👍🏽'), ('👍🏾'), ('👍🏿'), ('👎'), ('👎🏻'), ('👎🏼'), ('👎🏽'), ('👎🏾'), ('👎🏿'), ('🫹'), ('🫹🏻'),
+    ('🫹🏼'), ('🫹🏽'), ('🫹🏾'), ('🫹🏿'), ('🫺'), ('🫺🏻'), ('🫺🏼'), ('🫺🏽'), ('🫺🏾'), ('🫺🏿'), ('✊'), ('✊🏻'),
+    ('✊🏼'), ('✊🏽'), ('✊🏾'), ('✊🏿'), ('👊'), ('👊🏻'), ('👊🏼'), ('👊🏽'), ('👊🏾'), ('👊🏿'), ('🤛'), ('🤛🏻'),
+    ('🤛🏼'), ('🤛🏽'), ('🤛🏾'), ('🤛🏿'), ('🤜'), ('🤜🏻'), ('🤜🏼'), ('🤜🏽'), ('🤜🏾'), ('🤜🏿'), ('👏'), ('👏🏻'),
+    ('👏🏼'), ('👏🏽'), ('👏🏾'), ('👏🏿'), ('🙌'), ('🙌🏻'), ('🙌🏼'), ('🙌🏽'), ('🙌🏾'), ('🙌🏿'), ('🫶'), ('🫶🏻'),
+    ('🫶🏼'), ('🫶🏽'), ('🫶🏾'), ('🫶🏿'), ('👐'), ('👐🏻'), ('👐🏼'), ('👐🏽'), ('👐🏾'), ('👐🏿'), ('🤲'), ('🤲🏻'),
+    ('🤲🏼'), ('🤲🏽'), ('🤲🏾'), ('🤲🏿'), ('🤝'), ('🤝🏻'), ('🤝🏼'), ('🤝🏽'), ('🤝🏾'), ('🤝🏿'), ('🙏'), ('🙏🏻'),
+    ('🙏🏼'), ('🙏🏽'), ('🙏🏾'), ('🙏🏿'), ('✍'), ('✍🏻'), ('✍🏼'), ('✍🏽'), ('✍🏾'), ('✍🏿'), ('💅'), ('💅🏻'),
+    ('💅🏼'), ('💅🏽'), ('💅🏾'), ('💅🏿'), ('🤳'), ('🤳🏻'), ('🤳🏼'), ('🤳🏽'), ('🤳🏾'), ('🤳🏿'), ('💪'), ('💪🏻'),
+    ('💪🏼'), ('💪🏽'), ('💪🏾'), ('💪🏿'), ('🦾'), ('🦿'), ('🦵'), ('🦵🏻'), ('🦵🏼'), ('🦵🏽'), ('🦵🏾'), ('🦵🏿'),
+    ('🦶'), ('🦶🏻'), ('🦶🏼'), ('🦶🏽'), ('🦶🏾'), ('🦶🏿'), ('👂'), ('👂🏻'), ('👂🏼'), ('👂🏽'), ('👂🏾'), ('👂🏿'),
+    ('🦻'), ('🦻🏻'), ('🦻🏼'), ('🦻🏽'), ('🦻🏾'), ('🦻🏿'), ('👃'), ('👃🏻'), ('👃🏼'), ('👃🏽'), ('👃🏾'), ('👃🏿'),
+    ('🧠'), ('🫀'), ('🫁'), ('🦷'), ('🦴'), ('👀'), ('👁'), ('👅'), ('👄'), ('🫦'), ('👶'), ('👶🏻'),
+    ('👶🏼'), ('👶🏽'), ('👶🏾'), ('👶🏿'), ('🧒'), ('🧒🏻'), ('🧒🏼'), ('🧒🏽'), ('🧒🏾'), ('🧒🏿'), ('👦'), ('👦🏻'),
+    ('👦🏼'), ('👦🏽'), ('👦🏾'), ('👦🏿'), ('👧'), ('👧🏻'), ('👧🏼'), ('👧🏽'), ('👧🏾'), ('👧🏿'), ('🧑'), ('🧑🏻'),
+    ('🧑🏼'), ('🧑🏽'), ('🧑🏾'), ('🧑🏿'), ('👱'), ('👱🏻'), ('👱🏼'), ('👱🏽'), ('👱🏾'), ('👱🏿'), ('👨'), ('👨🏻'),
+    ('👨🏼'), ('👨🏽'), ('👨🏾'), ('👨🏿'), ('🧔'), ('🧔🏻'), ('🧔🏼'), ('🧔🏽'), ('🧔🏾'), ('🧔🏿'), ('🧔‍♂'), ('🧔🏻‍♂'),
+    ('🧔🏼‍♂'), ('🧔🏽‍♂'), ('🧔🏾‍♂'), ('🧔🏿‍♂'), ('🧔‍♀'), ('🧔🏻‍♀'), ('🧔🏼‍♀'), ('🧔🏽‍♀'), ('🧔🏾‍♀'), ('🧔🏿‍♀'), ('👨‍🦰'), ('👨🏻‍🦰'),
+    ('👨🏼‍🦰'), ('👨🏽‍🦰'), ('👨🏾‍🦰'), ('👨🏿‍🦰'), ('👨‍🦱'), ('👨🏻‍🦱'), ('👨🏼‍🦱'), ('👨🏽‍🦱'), ('👨🏾‍🦱'), ('👨🏿‍🦱'), ('👨‍🦳'), ('👨🏻‍🦳'),
+    ('👨🏼‍🦳'), ('👨🏽‍🦳'), ('👨🏾‍🦳'), ('👨🏿‍🦳'), ('👨‍🦲'), ('👨🏻‍🦲'), ('👨🏼‍🦲'), ('👨🏽‍🦲'), ('👨🏾‍🦲'), ('👨🏿‍🦲'), ('👩'), ('👩🏻'),
+    ('👩🏼'), ('👩🏽'), ('👩🏾'), ('👩🏿'), ('👩‍🦰'), ('👩🏻‍🦰'), ('👩🏼‍🦰'), ('👩🏽‍🦰'), ('👩🏾‍🦰'), ('👩🏿‍🦰'), ('🧑‍🦰'), ('🧑🏻‍🦰'),
+    ('🧑🏼‍🦰'), ('🧑🏽‍🦰'), ('🧑🏾‍🦰'), ('🧑🏿‍🦰'), ('👩‍🦱'), ('👩🏻‍🦱'), ('👩🏼‍🦱'), ('👩🏽‍🦱'), ('👩🏾‍🦱'), ('👩🏿‍🦱'), ('🧑‍🦱'), ('🧑🏻‍🦱'),
+    ('🧑🏼‍🦱'), ('🧑🏽‍🦱'), ('🧑🏾‍🦱'), ('🧑🏿‍🦱'), ('👩‍🦳'), ('👩🏻‍🦳'), ('👩🏼‍🦳'), ('👩🏽‍🦳'), ('👩🏾‍🦳'), ('👩🏿‍🦳'), ('🧑‍🦳'), ('🧑🏻‍🦳'),
+    ('🧑🏼‍🦳'), ('🧑🏽‍🦳'), ('🧑🏾‍🦳'), ('🧑🏿‍🦳'), ('👩‍🦲'), ('👩🏻‍🦲'), ('👩🏼‍🦲'), ('👩🏽‍🦲'), ('👩🏾‍🦲'), ('👩🏿‍🦲'), ('🧑‍🦲'), ('🧑🏻‍🦲'),
+    ('🧑🏼‍🦲'), ('🧑🏽‍🦲'), ('🧑🏾‍🦲'), ('🧑🏿‍🦲'), ('👱‍♀'), ('👱🏻‍♀'), ('👱🏼‍♀'), ('👱🏽‍♀'), ('👱🏾‍♀'), ('👱🏿‍♀'), ('👱‍♂'), ('👱🏻‍♂'),
+    ('👱🏼‍♂'), ('👱🏽‍♂'), ('👱🏾‍♂'), ('👱🏿‍♂'), ('🧓'), ('🧓🏻'), ('🧓🏼'), ('🧓🏽'), ('🧓🏾'), ('🧓🏿'), ('👴'), ('👴🏻'),
+    ('👴🏼'), ('👴🏽'), ('👴🏾'), ('👴🏿'), ('👵'), ('👵🏻'), ('👵🏼'), ('👵🏽'), ('👵🏾'), ('👵🏿'), ('🙍'), ('🙍🏻'),
+    ('🙍🏼'), ('🙍🏽'), ('🙍🏾'), ('🙍🏿'), ('🙍‍♂'), ('🙍🏻‍♂'), ('🙍🏼‍♂'), ('🙍🏽‍♂'), ('🙍🏾‍♂'), ('🙍🏿‍♂'), ('🙍‍♀'), ('🙍🏻‍♀'),
+    ('🙍🏼‍♀'), ('🙍🏽‍♀'), ('🙍🏾‍♀'), ('🙍🏿‍♀'), ('🙎'), ('🙎🏻'), ('🙎🏼'), ('🙎🏽'), ('🙎🏾'), ('🙎🏿'), ('🙎‍♂'), ('🙎🏻‍♂'),
+    ('🙎🏼‍♂'), ('🙎🏽‍♂'), ('🙎🏾‍♂'), ('🙎🏿‍♂'), ('🙎‍♀'), ('🙎🏻‍♀'), ('🙎🏼‍♀'), ('🙎🏽‍♀'), ('🙎🏾‍♀'), ('🙎🏿‍♀'), ('🙅'), ('🙅🏻'),
+    ('🙅🏼'), ('🙅🏽'), ('🙅🏾'), ('🙅🏿'), ('🙅‍♂'), ('🙅🏻‍♂'), ('🙅🏼‍♂'), ('🙅🏽‍♂'), ('🙅🏾‍♂'), ('🙅🏿‍♂'), ('🙅‍♀'), ('🙅🏻‍♀'),
+    ('🙅🏼‍♀'), ('🙅🏽‍♀'), ('🙅🏾‍♀'), ('🙅🏿‍♀'), ('🙆'), ('🙆🏻'), ('🙆🏼'), ('🙆🏽'), ('🙆🏾'), ('🙆🏿'), ('🙆‍♂'), ('🙆🏻‍♂'),
+    ('🙆🏼‍♂'), ('🙆🏽‍♂'), ('🙆🏾‍♂'), ('🙆🏿‍♂'), ('🙆‍♀'), ('🙆🏻‍♀'), ('🙆🏼‍♀'), ('🙆🏽‍♀'), ('🙆🏾‍♀'), ('🙆🏿‍♀'), ('💁'), ('💁🏻'),
+    ('💁🏼'), ('💁🏽'), ('💁🏾'), ('💁🏿'), ('💁‍♂'), ('💁🏻‍♂'), ('💁🏼‍♂'), ('💁🏽‍♂'), ('💁🏾‍♂'), ('💁🏿‍♂'), ('💁‍♀'), ('💁🏻‍♀'),
+    ('💁🏼‍♀'), ('💁🏽‍♀'), ('💁🏾‍♀'), ('💁🏿‍♀'), ('🙋'), ('🙋🏻'), ('🙋🏼'), ('🙋🏽'), ('🙋🏾'), ('🙋🏿'), ('🙋‍♂'), ('🙋🏻‍♂'),
+    ('🙋🏼‍♂'), ('🙋🏽‍♂'), ('🙋🏾‍♂'), ('🙋🏿‍♂'), ('🙋‍♀'), ('🙋🏻‍♀'), ('🙋🏼‍♀'), ('🙋🏽‍♀'), ('🙋🏾‍♀'), ('🙋🏿‍♀'), ('🧏'), ('🧏🏻'),
+    ('🧏🏼'), ('🧏🏽'), ('🧏🏾'), ('🧏🏿'), ('🧏‍♂'), ('🧏🏻‍♂'), ('🧏🏼‍♂'), ('🧏🏽‍♂'), ('🧏🏾‍♂'), ('🧏🏿‍♂'), ('🧏‍♀'), ('🧏🏻‍♀'),
+    ('🧏🏼‍♀'), ('🧏🏽‍♀'), ('🧏🏾‍♀'), ('🧏🏿‍♀'), ('🙇'), ('🙇🏻'), ('🙇🏼'), ('🙇🏽'), ('🙇🏾'), ('🙇🏿'), ('🙇‍♂'), ('🙇🏻‍♂'),
+    ('🙇🏼‍♂'), ('🙇🏽‍♂'), ('🙇🏾‍♂'), ('🙇🏿‍♂'), ('🙇‍♀'), ('🙇🏻‍♀'), ('🙇🏼‍♀'), ('🙇🏽‍♀'), ('🙇🏾‍♀'), ('🙇🏿‍♀'), ('🤦'), ('🤦🏻'),
+    ('🤦🏼'), ('🤦🏽'), ('🤦🏾'), ('🤦🏿'), ('🤦‍♂'), ('🤦🏻‍♂'), ('🤦🏼‍♂'), ('🤦🏽‍♂'), ('🤦🏾‍♂'), ('🤦🏿‍♂'), ('🤦‍♀'), ('🤦🏻‍♀'),
+    ('🤦🏼‍♀'), ('🤦🏽‍♀'), ('🤦🏾‍♀'), ('🤦🏿‍♀'), ('🤷'), ('🤷🏻'), ('🤷🏼'), ('🤷🏽'), ('🤷🏾'), ('🤷🏿'), ('🤷‍♂'), ('🤷🏻‍♂'),
+    ('🤷🏼‍♂'), ('🤷🏽‍♂'), ('🤷🏾‍♂'), ('🤷🏿‍♂'), ('🤷‍♀'), ('🤷🏻‍♀'), ('🤷🏼‍♀'), ('🤷🏽‍♀'), ('🤷🏾‍♀'), ('🤷🏿‍♀'), ('🧑‍⚕'), ('🧑🏻‍⚕'),
+    ('🧑🏼‍⚕'), ('🧑🏽‍⚕'), ('🧑🏾‍⚕'), ('🧑🏿‍⚕'), ('👨‍⚕'), ('👨🏻‍⚕'), ('👨🏼‍⚕'), ('👨🏽‍⚕'), ('👨🏾‍⚕'), ('👨🏿‍⚕'), ('👩‍⚕'), ('👩🏻‍⚕'),
+    ('👩🏼‍⚕'), ('👩🏽‍⚕'), ('👩🏾‍⚕'), ('👩🏿‍⚕'), ('🧑‍🎓'), ('🧑🏻‍🎓'), ('🧑🏼‍🎓'), ('🧑🏽‍🎓'), ('🧑🏾‍🎓'), ('🧑🏿‍🎓'), ('👨‍🎓'), ('👨🏻‍🎓'),
+    ('👨🏼‍🎓'), ('👨🏽‍🎓'), ('👨🏾‍🎓'), ('👨🏿‍🎓'), ('👩‍🎓'), ('👩🏻‍🎓'), ('👩🏼‍🎓'), ('👩🏽‍🎓'), ('👩🏾‍🎓'), ('👩🏿‍🎓'), ('🧑‍🏫'), ('🧑🏻‍🏫'),
+    ('🧑🏼‍🏫'), ('🧑🏽‍🏫'), ('🧑🏾‍🏫'), ('🧑🏿‍🏫'), ('👨‍🏫'), ('👨🏻‍🏫'), ('👨🏼‍🏫'), ('👨🏽‍🏫'), ('👨🏾‍🏫'), ('👨🏿‍🏫'), ('👩‍🏫'), ('👩🏻‍🏫'),
+    ('👩🏼‍🏫'), ('👩🏽‍🏫'), ('👩🏾‍🏫'), ('👩🏿‍🏫'), ('🧑‍⚖'), ('🧑🏻‍⚖'), ('🧑🏼‍⚖'), ('🧑🏽‍⚖'), ('🧑🏾‍⚖'), ('🧑🏿‍⚖'), ('👨‍⚖'), ('👨🏻‍⚖'),
+    ('👨🏼‍⚖'), ('👨🏽‍⚖'), ('👨🏾‍⚖'), ('👨🏿‍⚖'), ('👩‍⚖'), ('👩🏻‍⚖'), ('👩🏼‍⚖'), ('👩🏽‍⚖'), ('👩🏾‍⚖'), ('👩🏿‍⚖'), ('🧑‍🌾'), ('🧑🏻‍🌾'),
+    ('🧑🏼‍🌾'), ('🧑🏽‍🌾'), ('🧑🏾‍🌾'), ('🧑🏿‍🌾'), ('👨‍🌾'), ('👨🏻‍🌾'), ('👨🏼‍🌾'), ('👨🏽‍🌾'), ('👨🏾‍🌾'), ('👨🏿‍🌾'), ('👩‍🌾'), ('👩🏻‍🌾'),
+    ('👩🏼‍🌾'), ('👩🏽‍🌾'), ('👩🏾‍🌾'), ('👩🏿‍🌾'), ('🧑‍🍳'), ('🧑🏻‍🍳'), ('🧑🏼‍🍳'), ('🧑🏽‍🍳'), ('🧑🏾‍🍳'), ('🧑🏿‍🍳'), ('👨‍🍳'), ('👨🏻‍🍳'),
+    ('👨🏼‍🍳'), ('👨🏽‍🍳'), ('👨🏾‍🍳'), ('👨🏿‍🍳'), ('👩‍🍳'), ('👩🏻‍🍳'), ('👩🏼‍🍳'), ('👩🏽‍🍳'), ('👩🏾‍🍳'), ('👩🏿‍🍳'), ('🧑‍🔧'), ('🧑🏻‍🔧'),
+    ('🧑🏼‍🔧'), ('🧑🏽‍🔧'), ('🧑🏾‍🔧'), ('🧑🏿‍🔧'), ('👨‍🔧'), ('👨🏻‍🔧'), ('👨🏼‍🔧'), ('👨🏽‍🔧'), ('👨🏾‍🔧'), ('👨🏿‍🔧'), ('👩‍🔧'), ('👩🏻‍🔧'),
+    ('👩🏼‍🔧'), ('👩🏽‍🔧'), ('👩🏾‍🔧'), ('👩🏿‍🔧'), ('🧑‍🏭'), ('🧑🏻‍🏭'), ('🧑🏼‍🏭'), ('🧑🏽‍🏭'), ('🧑🏾‍🏭'), ('🧑🏿‍🏭'), ('👨‍🏭'), ('👨🏻‍🏭'),
+    ('👨🏼‍🏭'), ('👨🏽‍🏭'), ('👨🏾‍🏭'), ('👨🏿‍🏭'), ('👩‍🏭'), ('👩🏻‍🏭'), ('👩🏼‍🏭'), ('👩🏽‍🏭'), ('👩🏾‍🏭'), ('👩🏿‍🏭'), ('🧑‍💼'), ('🧑🏻‍💼'),
+    ('🧑🏼‍💼'), ('🧑🏽‍💼'), ('🧑🏾‍💼'), ('🧑🏿‍💼'), ('👨‍💼'), ('👨🏻‍💼'), ('👨🏼‍💼'), ('👨🏽‍💼'), ('👨🏾‍💼'), ('👨🏿‍💼'), ('👩‍💼'), ('👩🏻‍💼'),
+    ('👩🏼‍💼'), ('👩🏽‍💼'), ('👩🏾‍💼'), ('👩🏿‍💼'), ('🧑‍🔬'), ('🧑🏻‍🔬'), ('🧑🏼‍🔬'), ('🧑🏽‍🔬'), ('🧑🏾‍🔬'), ('🧑🏿‍🔬'), ('👨‍🔬'), ('👨🏻‍🔬'),
+    ('👨🏼‍🔬'), ('👨🏽‍🔬'), ('👨🏾‍🔬'), ('👨🏿‍🔬'), ('👩‍🔬'), ('👩🏻‍🔬'), ('👩🏼‍🔬'), ('👩🏽‍🔬'), ('👩🏾‍🔬'), ('👩🏿‍🔬'), ('🧑‍💻'), ('🧑🏻‍💻'),
+    ('🧑🏼‍💻'), ('🧑🏽‍💻'), ('🧑🏾‍💻'), ('🧑🏿‍💻'), ('👨‍💻'), ('👨🏻‍💻'), ('👨🏼‍💻'), ('👨🏽‍💻'), ('👨🏾‍💻'), ('👨🏿‍💻'), ('👩‍💻'), ('👩🏻‍💻'),
+    ('👩🏼‍💻'), ('👩🏽‍💻'), ('👩🏾‍💻'), ('👩🏿‍💻'), ('🧑‍🎤'), ('🧑🏻‍🎤'), ('🧑🏼‍🎤'), ('🧑🏽‍🎤'), ('🧑🏾‍🎤'), ('🧑🏿‍🎤'), ('👨‍🎤'), ('👨🏻‍🎤'),
+    ('👨🏼‍🎤'), ('👨🏽‍🎤'), ('👨🏾‍🎤'), ('👨🏿‍🎤'), ('👩‍🎤'), ('👩🏻‍🎤'), ('👩🏼‍🎤'), ('👩🏽‍🎤'), ('👩🏾‍🎤'), ('👩🏿‍🎤'), ('🧑‍🎨'), ('🧑🏻‍🎨'),
+    ('🧑🏼‍🎨'), ('🧑🏽‍🎨'), ('🧑🏾‍🎨'), ('🧑🏿‍🎨'), ('👨‍🎨'), ('👨🏻‍🎨'), ('👨🏼‍🎨'), ('👨🏽‍🎨'), ('👨🏾‍🎨'), ('👨🏿‍🎨'), ('👩‍🎨'), ('👩🏻‍🎨'),
+    ('👩🏼‍🎨'), ('👩🏽‍🎨'), ('👩🏾‍🎨'), ('👩🏿‍🎨'), ('🧑‍✈'), ('🧑🏻‍✈'), ('🧑🏼‍✈'), ('🧑🏽‍✈'), ('🧑🏾‍✈'), ('🧑🏿‍✈'), ('👨‍✈'), ('👨🏻‍✈'),
+    ('👨🏼‍✈'), ('👨🏽‍✈'), ('👨🏾‍✈'), ('👨🏿‍✈'), ('👩‍✈'), ('👩🏻‍✈'), ('👩🏼‍✈'), ('👩🏽‍✈'), ('👩🏾‍✈'), ('👩🏿‍✈'), ('🧑‍🚀'), ('🧑🏻‍🚀'),
+    ('🧑🏼‍🚀'), ('🧑🏽‍🚀'), ('🧑🏾‍🚀'), ('🧑🏿‍🚀'), ('👨‍🚀'), ('👨🏻‍🚀'), ('👨🏼‍🚀'), ('👨🏽‍🚀'), ('👨🏾‍🚀'), ('👨🏿‍🚀'), ('👩‍🚀'), ('👩🏻‍🚀'),
+    ('👩🏼‍🚀'), ('👩🏽‍🚀'), ('👩🏾‍🚀'), ('👩🏿‍🚀'), ('🧑‍🚒'), ('🧑🏻‍🚒'), ('🧑🏼‍🚒'), ('🧑🏽‍🚒'), ('🧑🏾‍🚒'), ('🧑🏿‍🚒'), ('👨‍🚒'), ('👨🏻‍🚒'),
+    ('👨🏼‍🚒'), ('👨🏽‍🚒'), ('👨🏾‍🚒'), ('👨🏿‍🚒'), ('👩‍🚒'), ('👩🏻‍🚒'), ('👩🏼‍🚒'), ('👩🏽‍🚒'), ('👩🏾‍🚒'), ('👩🏿‍🚒'), ('👮'), ('👮🏻'),
+    ('👮🏼'), ('👮🏽'), ('👮🏾'), ('👮🏿'), ('👮‍♂'), ('👮🏻‍♂'), ('👮🏼‍♂'), ('👮🏽‍♂'), ('👮🏾‍♂'), ('👮🏿‍♂'), ('👮‍♀'), ('👮🏻‍♀'),
+    ('👮🏼‍♀'), ('👮🏽‍♀'), ('👮🏾‍♀'), ('👮🏿‍♀'), ('🕵'), ('🕵🏻'), ('🕵🏼'), ('🕵🏽'), ('🕵🏾'), ('🕵🏿'), ('🕵‍♂'), ('🕵🏻‍♂'),
+    ('🕵🏼‍♂'), ('🕵🏽‍♂'), ('🕵🏾‍♂'), ('🕵🏿‍♂'), ('🕵‍♀'), ('🕵🏻‍♀'), ('🕵🏼‍♀'), ('🕵🏽‍♀'), ('🕵🏾‍♀'), ('🕵🏿‍♀'), ('💂'), ('💂🏻'),
+    ('💂🏼'), ('💂🏽'), ('💂🏾'), ('💂🏿'), ('💂‍♂'), ('💂🏻‍♂'), ('💂🏼‍♂'), ('💂🏽‍♂'), ('💂🏾‍♂'), ('💂🏿‍♂'), ('💂‍♀'), ('💂🏻‍♀'),
+    ('💂🏼‍♀'), ('💂🏽‍♀'), ('💂🏾‍♀'), ('💂🏿‍♀'), ('🥷'), ('🥷🏻'), ('🥷🏼'), ('🥷🏽'), ('🥷🏾'), ('🥷🏿'), ('👷'), ('👷🏻'),
+    ('👷🏼'), ('👷🏽'), ('👷🏾'), ('👷🏿'), ('👷‍♂'), ('👷🏻‍♂'), ('👷🏼‍♂'), ('👷🏽‍♂'), ('👷🏾‍♂'), ('👷🏿‍♂'), ('👷‍♀'), ('👷🏻‍♀'),
+    ('👷🏼‍♀'), ('👷🏽‍♀'), ('👷🏾‍♀'), ('👷🏿‍♀'), ('🫅'), ('🫅🏻'), ('🫅🏼'), ('🫅🏽'), ('🫅🏾'), ('🫅🏿'), ('🤴'), ('🤴🏻'),
+    ('🤴🏼'), ('🤴🏽'), ('🤴🏾'), ('🤴🏿'), ('👸'), ('👸🏻'), ('👸🏼'), ('👸🏽'), ('👸🏾'), ('👸🏿'), ('👳'), ('👳🏻'),
+    ('👳🏼'), ('👳🏽'), ('👳🏾'), ('👳🏿'), ('👳‍♂'), ('👳🏻‍♂'), ('👳🏼‍♂'), ('👳🏽‍♂'), ('👳🏾‍♂'), ('👳🏿‍♂'), ('👳‍♀'), ('👳🏻‍♀'),
+    ('👳🏼‍♀'), ('👳🏽‍♀'), ('👳🏾‍♀'), ('👳🏿‍♀'), ('👲'), ('👲🏻'), ('👲🏼'), ('👲🏽'), ('👲🏾'), ('👲🏿'), ('🧕'), ('🧕🏻'),
+    ('🧕🏼'), ('🧕🏽'), ('🧕🏾'), ('🧕🏿'), ('🤵'), ('🤵🏻'), ('🤵🏼'), ('🤵🏽'), ('🤵🏾'), ('🤵🏿'), ('🤵‍♂'), ('🤵🏻‍♂'),
+    ('🤵🏼‍♂'), ('🤵🏽‍♂'), ('🤵🏾‍♂'), ('🤵🏿‍♂'), ('🤵‍♀'), ('🤵🏻‍♀'), ('🤵🏼‍♀'), ('🤵🏽‍♀'), ('🤵🏾‍♀'), ('🤵🏿‍♀'), ('👰'), ('👰🏻'),
+    ('👰🏼'), ('👰🏽'), ('👰🏾'), ('👰🏿'), ('👰‍♂'), ('👰🏻‍♂'), ('👰🏼‍♂'), ('👰🏽‍♂'), ('👰🏾‍♂'), ('👰🏿‍♂'), ('👰‍♀'), ('👰🏻‍♀'),
+    ('👰🏼‍♀'), ('👰🏽‍♀'), ('👰🏾‍♀'), ('👰🏿‍♀'), ('🤰'), ('🤰🏻'), ('🤰🏼'), ('🤰🏽'), ('🤰🏾'), ('🤰🏿'), ('🫃'), ('🫃🏻'),
+    ('🫃🏼'), ('🫃🏽'), ('🫃🏾'), ('🫃🏿'), ('🫄'), ('🫄🏻'), ('🫄🏼'), ('🫄🏽'), ('🫄🏾'), ('🫄🏿'), ('🤱'), ('🤱🏻'),
+    ('🤱🏼'), ('🤱🏽'), ('🤱🏾'), ('🤱🏿'), ('👩‍🍼'), ('👩🏻‍🍼'), ('👩🏼‍🍼'), ('👩🏽‍🍼'), ('👩🏾‍🍼'), ('👩🏿‍🍼'), ('👨‍🍼'), ('👨🏻‍🍼'),
+    ('👨🏼‍🍼'), ('👨🏽‍🍼'), ('👨🏾‍🍼'), ('👨🏿‍🍼'), ('🧑‍🍼'), ('🧑🏻‍🍼'), ('🧑🏼‍🍼'), ('🧑🏽‍🍼'), ('🧑🏾‍🍼'), ('🧑🏿‍🍼'), ('👼'), ('👼🏻'),
+    ('👼🏼'), ('👼🏽'), ('👼🏾'), ('👼🏿'), ('🎅'), ('🎅🏻'), ('🎅🏼'), ('🎅🏽'), ('🎅🏾'), ('🎅🏿'), ('🤶'), ('🤶🏻'),
+    ('🤶🏼'), ('🤶🏽'), ('🤶🏾'), ('🤶🏿'), ('🧑‍🎄'), ('🧑🏻‍🎄'), ('🧑🏼‍🎄'), ('🧑🏽‍🎄'), ('🧑🏾‍🎄'), ('🧑🏿‍🎄'), ('🦸'), ('🦸🏻'),
+    ('🦸🏼'), ('🦸🏽'), ('🦸🏾'), ('🦸🏿'), ('🦸‍♂'), ('🦸🏻‍♂'), ('🦸🏼‍♂'), ('🦸🏽‍♂'), ('🦸🏾‍♂'), ('🦸🏿‍♂'), ('🦸‍♀'), ('🦸🏻‍♀'),
+    ('🦸🏼‍♀'), ('🦸🏽‍♀'), ('🦸🏾‍♀'), ('🦸🏿‍♀'), ('🦹'), ('🦹🏻'), ('🦹🏼'), ('🦹🏽'), ('🦹🏾'), ('🦹🏿'), ('🦹‍♂'), ('🦹🏻‍♂'),
+    ('🦹🏼‍♂'), ('🦹🏽‍♂'), ('🦹🏾‍♂'), ('🦹🏿‍♂'), ('🦹‍♀'), ('🦹🏻‍♀'), ('🦹🏼‍♀'), ('🦹🏽‍♀'), ('🦹🏾‍♀'), ('🦹🏿‍♀'), ('🧙'), ('🧙🏻'),
+    ('🧙🏼'), ('🧙🏽'), ('🧙🏾'), ('🧙🏿'), ('🧙‍♂'), ('🧙🏻‍♂'), ('🧙🏼‍♂'), ('🧙🏽‍♂'), ('🧙🏾‍♂'), ('🧙🏿‍♂'), ('🧙‍♀'), ('🧙🏻‍♀'),
+    ('🧙🏼‍♀'), ('🧙🏽‍♀'), ('🧙🏾‍♀'), ('🧙🏿‍♀'), ('🧚'), ('🧚🏻'), ('🧚🏼'), ('🧚🏽'), ('🧚🏾'), ('🧚🏿'), ('🧚‍♂'), ('🧚🏻‍♂'),
+    ('🧚🏼‍♂'), ('🧚🏽‍♂'), ('🧚🏾‍♂'), ('🧚🏿‍♂'), ('🧚‍♀'), ('🧚🏻‍♀'), ('🧚🏼‍♀'), ('🧚🏽‍♀'), ('🧚🏾‍♀'), ('🧚🏿‍♀'), ('🧛'), ('🧛🏻'),
+    ('🧛🏼'), ('🧛🏽'), ('🧛🏾'), ('🧛🏿'), ('🧛‍♂'), ('🧛🏻‍♂'), ('🧛🏼‍♂'), ('🧛🏽‍♂'), ('🧛🏾‍♂'), ('🧛🏿‍♂'), ('🧛‍♀'), ('🧛🏻‍♀'),
+    ('🧛🏼‍♀'), ('🧛🏽‍♀'), ('🧛🏾‍♀'), ('🧛🏿‍♀'), ('🧜'), ('🧜🏻'), ('🧜🏼'), ('🧜🏽'), ('🧜🏾'), ('🧜🏿'), ('🧜‍♂'), ('🧜🏻‍♂'),
+    ('🧜🏼‍♂'), ('🧜🏽‍♂'), ('🧜🏾‍♂'), ('🧜🏿‍♂'), ('🧜‍♀'), ('🧜🏻‍♀'), ('🧜🏼‍♀'), ('🧜🏽‍♀'), ('🧜🏾‍♀'), ('🧜🏿‍♀'), ('🧝'), ('🧝🏻'),
+    ('🧝🏼'), ('🧝🏽'), ('🧝🏾'), ('🧝🏿'), ('🧝‍♂'), ('🧝🏻‍♂'), ('🧝🏼‍♂'), ('🧝🏽‍♂'), ('🧝🏾‍♂'), ('🧝🏿‍♂'), ('🧝‍♀'), ('🧝🏻‍♀'),
+    ('🧝🏼‍♀'), ('🧝🏽‍♀'), ('🧝🏾‍♀'), ('🧝🏿‍♀'), ('🧞'), ('🧞‍♂'), ('🧞‍♀'), ('🧟'), ('🧟‍♂'), ('🧟‍♀'), ('🧌'), ('🫈'),
+    ('💆'), ('💆🏻'), ('💆🏼'), ('💆🏽'), ('💆🏾'), ('💆🏿'), ('💆‍♂'), ('💆🏻‍♂'), ('💆🏼‍♂'), ('💆🏽‍♂'), ('💆🏾‍♂'), ('💆🏿‍♂'),
+    ('💆‍♀'), ('💆🏻‍♀'), ('💆🏼‍♀'), ('💆🏽‍♀'), ('💆🏾‍♀'), ('💆🏿‍♀'), ('💇'), ('💇🏻'), ('💇🏼'), ('💇🏽'), ('💇🏾'), ('💇🏿'),
+    ('💇‍♂'), ('💇🏻‍♂'), ('💇🏼‍♂'), ('💇🏽‍♂'), ('💇🏾‍♂'), ('💇🏿‍♂'), ('💇‍♀'), ('💇🏻‍♀'), ('💇🏼‍♀'), ('💇🏽‍♀'), ('💇🏾‍♀'), ('💇🏿‍♀'),
+    ('🚶'), ('🚶🏻'), ('🚶🏼'), ('🚶🏽'), ('🚶🏾'), ('🚶🏿'), ('🚶‍♂'), ('🚶🏻‍♂'), ('🚶🏼‍♂'), ('🚶🏽‍♂'), ('🚶🏾‍♂'), ('🚶🏿‍♂'),
+    ('🚶‍♀'), ('🚶🏻‍♀'), ('🚶🏼‍♀'), ('🚶🏽‍♀'), ('🚶🏾‍♀'), ('🚶🏿‍♀'), ('🚶‍➡'), ('🚶🏻‍➡'), ('🚶🏼‍➡'), ('🚶🏽‍➡'), ('🚶🏾‍➡'), ('🚶🏿‍➡'),
+    ('🚶‍♀‍➡'), ('🚶🏻‍♀‍➡'), ('🚶🏼‍♀‍➡'), ('🚶🏽‍♀‍➡'), ('🚶🏾‍♀‍➡'), ('🚶🏿‍♀‍➡'), ('🚶‍♂‍➡'), ('🚶🏻‍♂‍➡'), ('🚶🏼‍♂‍➡'), ('🚶🏽‍♂‍➡'), ('🚶🏾‍♂‍➡'), ('🚶🏿‍♂‍➡'),
+    ('🧍'), ('🧍🏻'), ('🧍🏼'), ('🧍🏽'), ('🧍🏾'), ('🧍🏿'), ('🧍‍♂'), ('🧍🏻‍♂'), ('🧍🏼‍♂'), ('🧍🏽‍♂'), ('🧍🏾‍♂'), ('🧍🏿‍♂'),
+    ('🧍‍♀'), ('🧍🏻‍♀'), ('🧍🏼‍♀'), ('🧍🏽‍♀'), ('🧍🏾‍♀'), ('🧍🏿‍♀'), ('🧎'), ('🧎🏻'), ('🧎🏼'), ('🧎🏽'), ('🧎🏾'), ('🧎🏿'),
+    ('🧎‍♂'), ('🧎🏻‍♂'), ('🧎🏼‍♂'), ('🧎🏽‍♂'), ('🧎🏾‍♂'), ('🧎🏿‍♂'), ('🧎‍♀'), ('🧎🏻‍♀'), ('🧎🏼‍♀'), ('🧎🏽‍♀'), ('🧎🏾‍♀'), ('🧎🏿‍♀'),
+    ('🧎‍➡'), ('🧎🏻‍➡'), ('🧎🏼‍➡'), ('🧎🏽‍➡'), ('🧎🏾‍➡'), ('🧎🏿‍➡'), ('🧎‍♀‍➡'), ('🧎🏻‍♀‍➡'), ('🧎🏼‍♀‍➡'), ('🧎🏽‍♀‍➡'), ('🧎🏾‍♀‍➡'), ('🧎🏿‍♀‍➡'),
+    ('🧎‍♂‍➡'), ('🧎🏻‍♂‍➡'), ('🧎🏼‍♂‍➡'), ('🧎🏽‍♂‍➡'), ('🧎🏾‍♂‍➡'), ('🧎🏿‍♂‍➡'), ('🧑‍🦯'), ('🧑🏻‍🦯'), ('🧑🏼‍🦯'), ('🧑🏽‍🦯'), ('🧑🏾‍🦯'), ('🧑🏿‍🦯'),
+    ('🧑‍🦯‍➡'), ('🧑🏻‍🦯‍➡'), ('🧑🏼‍🦯‍➡'), ('🧑🏽‍🦯‍➡'), ('🧑🏾‍🦯‍➡'), ('🧑🏿‍🦯‍➡'), ('👨‍🦯'), ('👨🏻‍🦯'), ('👨🏼‍🦯'), ('👨🏽‍🦯'), ('👨🏾‍🦯'), ('👨🏿‍🦯'),
+    ('👨‍🦯‍➡'), ('👨🏻‍🦯‍➡'), ('👨🏼‍🦯‍➡'), ('👨🏽‍🦯‍➡'), ('👨🏾‍🦯‍➡'), ('👨🏿‍🦯‍➡'), ('👩‍🦯'), ('👩🏻‍🦯'), ('👩🏼‍🦯'), ('👩🏽‍🦯'), ('👩🏾‍🦯'), ('👩🏿‍🦯'),
+    ('👩‍🦯‍➡'), ('👩🏻‍🦯‍➡'), ('👩🏼‍🦯‍➡'), ('👩🏽‍🦯‍➡'), ('👩🏾‍🦯‍➡'), ('👩🏿‍🦯‍➡'), ('🧑‍🦼'), ('🧑🏻‍🦼'), ('🧑🏼‍🦼'), ('🧑🏽‍🦼'), ('🧑🏾‍🦼'), ('🧑🏿‍🦼'),
+    ('🧑‍🦼‍➡'), ('🧑🏻‍🦼‍➡'), ('🧑🏼‍🦼‍➡'), ('🧑🏽‍🦼‍➡'), ('🧑🏾‍🦼‍➡'), ('🧑🏿‍🦼‍➡'), ('👨‍🦼'), ('👨🏻‍🦼'), ('👨🏼‍🦼'), ('👨🏽‍🦼'), ('👨🏾‍🦼'), ('👨🏿‍🦼'),
+    ('👨‍🦼‍➡'), ('👨🏻‍🦼‍➡'), ('👨🏼‍🦼‍➡'), ('👨🏽‍🦼‍➡'), ('👨🏾‍🦼‍➡'), ('👨🏿‍🦼‍➡'), ('👩‍🦼'), ('👩🏻‍🦼'), ('👩🏼‍🦼'), ('👩🏽‍🦼'), ('👩🏾‍🦼'), ('👩🏿‍🦼'),
+    ('👩‍🦼‍➡'), ('👩🏻‍🦼‍➡'), ('👩🏼‍🦼‍➡'), ('👩🏽‍🦼‍➡'), ('👩🏾‍🦼‍➡'), ('👩🏿‍🦼‍➡'), ('🧑‍🦽'), ('🧑🏻‍🦽'), ('🧑🏼‍🦽'), ('🧑🏽‍🦽'), ('🧑🏾‍🦽'), ('🧑🏿‍🦽'),
+    ('🧑‍🦽‍➡'), ('🧑🏻‍🦽‍➡'), ('🧑🏼‍🦽‍➡'), ('🧑🏽‍🦽‍➡'), ('🧑🏾‍🦽‍➡'), ('🧑🏿‍🦽‍➡'), ('👨‍🦽'), ('👨🏻‍🦽'), ('👨🏼‍🦽'), ('👨🏽‍🦽'), ('👨🏾‍🦽'), ('👨🏿‍🦽'),
+    ('👨‍🦽‍➡'), ('👨🏻‍🦽‍➡'), ('👨🏼‍🦽‍➡'), ('👨🏽‍🦽‍➡'), ('👨🏾‍🦽‍➡'), ('👨🏿‍🦽‍➡'), ('👩‍🦽'), ('👩🏻‍🦽'), ('👩🏼‍🦽'), ('👩🏽‍🦽'), ('👩🏾‍🦽'), ('👩🏿‍🦽'),
+    ('👩‍🦽‍➡'), ('👩🏻‍🦽‍➡'), ('👩🏼‍🦽‍➡'), ('👩🏽‍🦽‍➡'), ('👩🏾‍🦽‍➡'), ('👩🏿‍🦽‍➡'), ('🏃'), ('🏃🏻'), ('🏃🏼'), ('🏃🏽'), ('🏃🏾'), ('🏃🏿'),
+    ('🏃‍♂'), ('🏃🏻‍♂'), ('🏃🏼‍♂'), ('🏃🏽‍♂'), ('🏃🏾‍♂'), ('🏃🏿‍♂'), ('🏃‍♀'), ('🏃🏻‍♀'), ('🏃🏼‍♀'), ('🏃🏽‍♀'), ('🏃🏾‍♀'), ('🏃🏿‍♀'),
+    ('🏃‍➡'), ('🏃🏻‍➡'), ('🏃🏼‍➡'), ('🏃🏽‍➡'), ('🏃🏾‍➡'), ('🏃🏿‍➡'), ('🏃‍♀‍➡'), ('🏃🏻‍♀‍➡'), ('🏃🏼‍♀‍➡'), ('🏃🏽‍♀‍➡'), ('🏃🏾‍♀‍➡'), ('🏃🏿‍♀‍➡'),
+    ('🏃‍♂‍➡'), ('🏃🏻‍♂‍➡'), ('🏃🏼‍♂‍➡'), ('🏃🏽‍♂‍➡'), ('🏃🏾‍♂‍➡'), ('🏃🏿‍♂‍➡'), ('🧑‍🩰'), ('🧑🏻‍🩰'), ('🧑🏼‍🩰'), ('🧑🏽‍🩰'), ('🧑🏾‍🩰'), ('🧑🏿‍🩰'),
+    ('💃'), ('💃🏻'), ('💃🏼'), ('💃🏽'), ('💃🏾'), ('💃🏿'), ('🕺'), ('🕺🏻'), ('🕺🏼'), ('🕺🏽'), ('🕺🏾'), ('🕺🏿'),
+    ('🕴'), ('🕴🏻'), ('🕴🏼'), ('🕴🏽'), ('🕴🏾'), ('🕴🏿'), ('👯'), ('👯🏻'), ('👯🏼'), ('👯🏽'), ('👯🏾'), ('👯🏿'),
+    ('👯‍♂'), ('👯🏻‍♂'), ('👯🏼‍♂'), ('👯🏽‍♂'), ('👯🏾‍♂'), ('👯🏿‍♂'), ('👯‍♀'), ('👯🏻‍♀'), ('👯🏼‍♀'), ('👯🏽‍♀'), ('👯🏾‍♀'), ('👯🏿‍♀'),
+    ('🧖'), ('🧖🏻'), ('🧖🏼'), ('🧖🏽'), ('🧖🏾'), ('🧖🏿'), ('🧖‍♂'), ('🧖🏻‍♂'), ('🧖🏼‍♂'), ('🧖🏽‍♂'), ('🧖🏾‍♂'), ('🧖🏿‍♂'),
+    ('🧖‍♀'), ('🧖🏻‍♀'), ('🧖🏼‍♀'), ('🧖🏽‍♀'), ('🧖🏾‍♀'), ('🧖🏿‍♀'), ('🧗'), ('🧗🏻'), ('🧗🏼'), ('🧗🏽'), ('🧗🏾'), ('🧗🏿'),
+    ('🧗‍♂'), ('🧗🏻‍♂'), ('🧗🏼‍♂'), ('🧗🏽‍♂'), ('🧗🏾‍♂'), ('🧗🏿‍♂'), ('🧗‍♀'), ('🧗🏻‍♀'), ('🧗🏼‍♀'), ('🧗🏽‍♀'), ('🧗🏾‍♀'), ('🧗🏿‍♀'),
+    ('🤺'), ('🏇'), ('🏇🏻'), ('🏇🏼'), ('🏇🏽'), ('🏇🏾'), ('🏇🏿'), ('⛷'), ('🏂'), ('🏂🏻'), ('🏂🏼'), ('🏂🏽'),
+    ('🏂🏾'), ('🏂🏿'), ('🏌'), ('🏌🏻'), ('🏌🏼'), ('🏌🏽'), ('🏌🏾'), ('🏌🏿'), ('🏌‍♂'), ('🏌🏻‍♂'), ('🏌🏼‍♂'), ('🏌🏽‍♂'),
+    ('🏌🏾‍♂'), ('🏌🏿‍♂'), ('🏌‍♀'), ('🏌🏻‍♀'), ('🏌🏼‍♀'), ('🏌🏽‍♀'), ('🏌🏾‍♀'), ('🏌🏿‍♀'), ('🏄'), ('🏄🏻'), ('🏄🏼'), ('🏄🏽'),
+    ('🏄🏾'), ('🏄🏿'), ('🏄‍♂'), ('🏄🏻‍♂'), ('🏄🏼‍♂'), ('🏄🏽‍♂'), ('🏄🏾‍♂'), ('🏄🏿‍♂'), ('🏄‍♀'), ('🏄🏻‍♀'), ('🏄🏼‍♀'), ('🏄🏽‍♀'),
+    ('🏄🏾‍♀'), ('🏄🏿‍♀'), ('🚣'), ('🚣🏻'), ('🚣🏼'), ('🚣🏽'), ('🚣🏾'), ('🚣🏿'), ('🚣‍♂'), ('🚣🏻‍♂'), ('🚣🏼‍♂'), ('🚣🏽‍♂'),
+    ('🚣🏾‍♂'), ('🚣🏿‍♂'), ('🚣‍♀'), ('🚣🏻‍♀'), ('🚣🏼‍♀'), ('🚣🏽‍♀'), ('🚣🏾‍♀'), ('🚣🏿‍♀'), ('🏊'), ('🏊🏻'), ('🏊🏼'), ('🏊🏽'),
+    ('🏊🏾'), ('🏊🏿'), ('🏊‍♂'), ('🏊🏻‍♂'), ('🏊🏼‍♂'), ('🏊🏽‍♂'), ('🏊🏾‍♂'), ('🏊🏿‍♂'), ('🏊‍♀'), ('🏊🏻‍♀'), ('🏊🏼‍♀'), ('🏊🏽‍♀'),
+    ('🏊🏾‍♀'), ('🏊🏿‍♀'), ('⛹'), ('⛹🏻'), ('⛹🏼'), ('⛹🏽'), ('⛹🏾'), ('⛹🏿'), ('⛹‍♂'), ('⛹🏻‍♂'), ('⛹🏼‍♂'), ('⛹🏽‍♂'),
+    ('⛹🏾‍♂'), ('⛹🏿‍♂'), ('⛹‍♀'), ('⛹🏻‍♀'), ('⛹🏼‍♀'), ('⛹🏽‍♀'), ('⛹🏾‍♀'), ('⛹🏿‍♀'), ('🏋'), ('🏋🏻'), ('🏋🏼'), ('🏋🏽'),
+    ('🏋🏾'), ('🏋🏿'), ('🏋‍♂'), ('🏋🏻‍♂'), ('🏋🏼‍♂'), ('🏋🏽‍♂'), ('🏋🏾‍♂'), ('🏋🏿‍♂'), ('🏋‍♀'), ('🏋🏻‍♀'), ('🏋🏼‍♀'), ('🏋🏽‍♀'),
+    ('🏋🏾‍♀'), ('🏋🏿‍♀'), ('🚴'), ('🚴🏻'), ('🚴🏼'), ('🚴🏽'), ('🚴🏾'), ('🚴🏿'), ('🚴‍♂'), ('🚴🏻‍♂'), ('🚴🏼‍♂'), ('🚴🏽‍♂'),
+    ('🚴🏾‍♂'), ('🚴🏿‍♂'), ('🚴‍♀'), ('🚴🏻‍♀'), ('🚴🏼‍♀'), ('🚴🏽‍♀'), ('🚴🏾‍♀'), ('🚴🏿‍♀'), ('🚵'), ('🚵🏻'), ('🚵🏼'), ('🚵🏽'),
+    ('🚵🏾'), ('🚵🏿'), ('🚵‍♂'), ('🚵🏻‍♂'), ('🚵🏼‍♂'), ('🚵🏽‍♂'), ('🚵🏾‍♂'), ('🚵🏿‍♂'), ('🚵‍♀'), ('🚵🏻‍♀'), ('🚵🏼‍♀'), ('🚵🏽‍♀'),
+    ('🚵🏾‍♀'), ('🚵🏿‍♀'), ('🤸'), ('🤸🏻'), ('🤸🏼'), ('🤸🏽'), ('🤸🏾'), ('🤸🏿'), ('🤸‍♂'), ('🤸🏻‍♂'), ('🤸🏼‍♂'), ('🤸🏽‍♂'),
+    ('🤸🏾‍♂'), ('🤸🏿‍♂'), ('🤸‍♀'), ('🤸🏻‍♀'), ('🤸🏼‍♀'), ('🤸🏽‍♀'), ('🤸🏾‍♀'), ('🤸🏿‍♀'), ('🤼'), ('🤼🏻'), ('🤼🏼'), ('🤼🏽'),
+    ('🤼🏾'), ('🤼🏿'), ('🤼‍♂'), ('🤼🏻‍♂'), ('🤼🏼‍♂'), ('🤼🏽‍♂'), ('🤼🏾‍♂'), ('🤼🏿‍♂'), ('🤼‍♀'), ('🤼🏻‍♀'), ('🤼🏼‍♀'), ('🤼🏽‍♀'),
+    ('🤼🏾‍♀'), ('🤼🏿‍♀'), ('🤽'), ('🤽🏻'), ('🤽🏼'), ('🤽🏽'), ('🤽🏾'), ('🤽🏿'), ('🤽‍♂'), ('🤽🏻‍♂'), ('🤽🏼‍♂'), ('🤽🏽‍♂'),
+    ('🤽🏾‍♂'), ('🤽🏿‍♂'), ('🤽‍♀'), ('🤽🏻‍♀'), ('🤽🏼‍♀'), ('🤽🏽‍♀'), ('🤽🏾‍♀'), ('🤽🏿‍♀'), ('🤾'), ('🤾🏻'), ('🤾🏼'), ('🤾🏽'),
+    ('🤾🏾'), ('🤾🏿'), ('🤾‍♂'), ('🤾🏻‍♂'), ('🤾🏼‍♂'), ('🤾🏽‍♂'), ('🤾🏾‍♂'), ('🤾🏿‍♂'), ('🤾‍♀'), ('🤾🏻‍♀'), ('🤾🏼‍♀'), ('🤾🏽‍♀'),
+    ('🤾🏾‍♀'), ('🤾🏿‍♀'), ('🤹'), ('🤹🏻'), ('🤹🏼'), ('🤹🏽'), ('🤹🏾'), ('🤹🏿'), ('🤹‍♂'), ('🤹🏻‍♂'), ('🤹🏼‍♂'), ('🤹🏽‍♂'),
+    ('🤹🏾‍♂'), ('🤹🏿‍♂'), ('🤹‍♀'), ('🤹🏻‍♀'), ('🤹🏼‍♀'), ('🤹🏽‍♀'), ('🤹🏾‍♀'), ('🤹🏿‍♀'), ('🧘'), ('🧘🏻'), ('🧘🏼'), ('🧘🏽'),
+    ('🧘🏾'), ('🧘🏿'), ('🧘‍♂'), ('🧘🏻‍♂'), ('🧘🏼‍♂'), ('🧘🏽‍♂'), ('🧘🏾‍♂'), ('🧘🏿‍♂'), ('🧘‍♀'), ('🧘🏻‍♀'), ('🧘🏼‍♀'), ('🧘🏽‍♀'),
+    ('🧘🏾‍♀'), ('🧘🏿‍♀'), ('🛀'), ('🛀🏻'), ('🛀🏼'), ('🛀🏽'), ('🛀🏾'), ('🛀🏿'), ('🛌'), ('🛌🏻'), ('🛌🏼'), ('🛌🏽'),
+    ('🛌🏾'), ('🛌🏿'), ('🧑‍🤝‍🧑'), ('🧑🏻‍🤝‍🧑🏻'), ('🧑🏼‍🤝‍🧑🏼'), ('🧑🏽‍🤝‍🧑🏽'), ('🧑🏾‍🤝‍🧑🏾'), ('🧑🏿‍🤝‍🧑🏿'), ('👭'), ('👭🏻'), ('👭🏼'), ('👭🏽'),
+    ('👭🏾'), ('👭🏿'), ('👫'), ('👫🏻'), ('👫🏼'), ('👫🏽'), ('👫🏾'), ('👫🏿'), ('👬'), ('👬🏻'), ('👬🏼'), ('👬🏽'),
+    ('👬🏾'), ('👬🏿'), ('💏'), ('💏🏻'), ('💏🏼'), ('💏🏽'), ('💏🏾'), ('💏🏿'), ('👩‍❤‍💋‍👨'), ('👩🏻‍❤‍💋‍👨🏻'), ('👩🏼‍❤‍💋‍👨🏼'), ('👩🏽‍❤‍💋‍👨🏽'),
+    ('👩🏾‍❤‍💋‍👨🏾'), ('👩🏿‍❤‍💋‍👨🏿'), ('👨‍❤‍💋‍👨'), ('👨🏻‍❤‍💋‍👨🏻'), ('👨🏼‍❤‍💋‍👨🏼'), ('👨🏽‍❤‍💋‍👨🏽'), ('👨🏾‍❤‍💋‍👨🏾'), ('👨🏿‍❤‍💋‍👨🏿'), ('👩‍❤‍💋‍👩'), ('👩🏻‍❤‍💋‍👩🏻'), ('👩🏼‍❤‍💋‍👩🏼'), ('👩🏽‍❤‍💋‍👩🏽'),
+    ('👩🏾‍❤‍💋‍👩🏾'), ('👩🏿‍❤‍💋‍👩🏿'), ('💑'), ('💑🏻'), ('💑🏼'), ('💑🏽'), ('💑🏾'), ('💑🏿'), ('👩‍❤‍👨'), ('👩🏻‍❤‍👨🏻'), ('👩🏼‍❤‍👨🏼'), ('👩🏽‍❤‍👨🏽'),
+    ('👩🏾‍❤‍👨🏾'), ('👩🏿‍❤‍👨🏿'), ('👨‍❤‍👨'), ('👨🏻‍❤‍👨🏻'), ('👨🏼‍❤‍👨🏼'), ('👨🏽‍❤‍👨🏽'), ('👨🏾‍❤‍👨🏾'), ('👨🏿‍❤‍👨🏿'), ('👩‍❤‍👩'), ('👩🏻‍❤‍👩🏻'), ('👩🏼‍❤‍👩🏼'), ('👩🏽‍❤‍👩🏽'),
+    ('👩🏾‍❤‍👩🏾'), ('👩🏿‍❤‍👩🏿'), ('👨‍👩‍👦'), ('👨‍👩‍👧'), ('👨‍👩‍👧‍👦'), ('👨‍👩‍👦‍👦'), ('👨‍👩‍👧‍👧'), ('👨‍👨‍👦'), ('👨‍👨‍👧'), ('👨‍👨‍👧‍👦'), ('👨‍👨‍👦‍👦'), ('👨‍👨‍👧‍👧'),
+    ('👩‍👩‍👦'), ('👩‍👩‍👧'), ('👩‍👩‍👧‍👦'), ('👩‍👩‍👦‍👦'), ('👩‍👩‍👧‍👧'), ('👨‍👦'), ('👨‍👦‍👦'), ('👨‍👧'), ('👨‍👧‍👦'), ('👨‍👧‍👧'), ('👩‍👦'), ('👩‍👦‍👦'),
+    ('👩‍👧'), ('👩‍👧‍👦'), ('👩‍👧‍👧'), ('🗣'), ('👤'), ('👥'), ('🫂'), ('👪'), ('🧑‍🧑‍🧒'), ('🧑‍🧑‍🧒‍🧒'), ('🧑‍🧒'), ('🧑‍🧒‍🧒'),
+    ('👣'), ('🫆'), ('🐵'), ('🐒'), ('🦍'), ('🦧'), ('🐶'), ('🐕'), ('🦮'), ('🐕‍🦺'), ('🐩'), ('🐺'),
+    ('🦊'), ('🦝'), ('🐱'), ('🐈'), ('🐈‍⬛'), ('🦁'), ('🐯'), ('🐅'), ('🐆'), ('🐴'), ('🫎'), ('🫏'),
+    ('🐎'), ('🦄'), ('🦓'), ('🦌'), ('🦬'), ('🐮'), ('🐂'), ('🐃'), ('🐄'), ('🐷'), ('🐖'), ('🐗'),
+    ('🐽'), ('🐏'), ('🐑'), ('🐐'), ('🐪'), ('🐫'), ('🦙'), ('🦒'), ('🐘'), ('🦣'), ('🦏'), ('🦛'),
+    ('🐭'), ('🐁'), ('🐀'), ('🐹'), ('🐰'), ('🐇'), ('🐿'), ('🦫'), ('🦔'), ('🦇'), ('🐻'), ('🐻‍❄'),
+    ('🐨'), ('🐼'), ('🦥'), ('🦦'), ('🦨'), ('🦘'), ('🦡'), ('🐾'), ('🦃'), ('🐔'), ('🐓'), ('🐣'),
+    ('🐤'), ('🐥'), ('🐦'), ('🐧'), ('🕊'), ('🦅'), ('🦆'), ('🦢'), ('🦉'), ('🦤'), ('🪶'), ('🦩'),
+    ('🦚'), ('🦜'), ('🪽'), ('🐦‍⬛'), ('🪿'), ('🐦‍🔥'), ('🐸'), ('🐊'), ('🐢'), ('🦎'), ('🐍'), ('🐲'),
+    ('🐉'), ('🦕'), ('🦖'), ('🐳'), ('🐋'), ('🐬'), ('🫍'), ('🦭'), ('🐟'), ('🐠'), ('🐡'), ('🦈'),
+    ('🐙'), ('🐚'), ('🪸'), ('🪼'), ('🦀'), ('🦞'), ('🦐'), ('🦑'), ('🦪'), ('🐌'), ('🦋'), ('🫌'),
+    ('🐛'), ('🐜'), ('🐝'), ('🪲'), ('🐞'), ('🦗'), ('🪳'), ('🕷'), ('🕸'), ('🦂'), ('🦟'), ('🪰'),
+    ('🪱'), ('🦠'), ('💐'), ('🌸'), ('💮'), ('🪷'), ('🏵'), ('🌹'), ('🥀'), ('🌺'), ('🌻'), ('🌼'),
+    ('🌷'), ('🪻'), ('🌱'), ('🪴'), ('🌲'), ('🌳'), ('🌴'), ('🌵'), ('🌾'), ('🌿'), ('☘'), ('🍀'),
+    ('🍁'), ('🍂'), ('🍃'), ('🪹'), ('🪺'), ('🍄'), ('🪾'), ('🍇'), ('🍈'), ('🍉'), ('🍊'), ('🍋'),
+    ('🍋‍🟩'), ('🍌'), ('🍍'), ('🥭'), ('🍎'), ('🍏'), ('🍐'), ('🍑'), ('🍒'), ('🍓'), ('🫐'), ('🥝'),
+    ('🍅'), ('🫒'), ('🥥'), ('🥑'), ('🍆'), ('🥔'), ('🥕'), ('🌽'), ('🌶'), ('🫑'), ('🥒'), ('🫝'),
+    ('🥬'), ('🥦'), ('🧄'), ('🧅'), ('🥜'), ('🫘'), ('🌰'), ('🫚'), ('🫛'), ('🍄‍🟫'), ('🫜'), ('🍞'),
+    ('🥐'), ('🥖'), ('🫓'), ('🥨'), ('🥯'), ('🥞'), ('🧇'), ('🧀'), ('🍖'), ('🍗'), ('🥩'), ('🥓'),
+    ('🍔'), ('🍟'), ('🍕'), ('🌭'), ('🥪'), ('🌮'), ('🌯'), ('🫔'), ('🥙'), ('🧆'), ('🥚'), ('🍳'),
+    ('🥘'), ('🍲'), ('🫕'), ('🥣'), ('🥗'), ('🍿'), ('🧈'), ('🧂'), ('🥫'), ('🍱'), ('🍘'), ('🍙'),
+    ('🍚'), ('🍛'), ('🍜'), ('🍝'), ('🍠'), ('🍢'), ('🍣'), ('🍤'), ('🍥'), ('🥮'), ('🍡'), ('🥟'),
+    ('🥠'), ('🥡'), ('🍦'), ('🍧'), ('🍨'), ('🍩'), ('🍪'), ('🎂'), ('🍰'), ('🧁'), ('🥧'), ('🍫'),
+    ('🍬'), ('🍭'), ('🍮'), ('🍯'), ('🍼'), ('🥛'), ('☕'), ('🫖'), ('🍵'), ('🍶'), ('🍾'), ('🍷'),
+    ('🍸'), ('🍹'), ('🍺'), ('🍻'), ('🥂'), ('🥃'), ('🫗'), ('🥤'), ('🧋'), ('🧃'), ('🧉'), ('🧊'),
+    ('🥢'), ('🍽'), ('🍴'), ('🥄'), ('🔪'), ('🫙'), ('🏺'), ('🌍'), ('🌎'), ('🌏'), ('🌐'), ('🗺'),
+    ('🗾'), ('🧭'), ('🏔'), ('⛰'), ('🛘'), ('🌋'), ('🗻'), ('🏕'), ('🏖'), ('🏜'), ('🏝'), ('🏞'),
+    ('🏟'), ('🏛'), ('🏗'), ('🧱'), ('🪨'), ('🪵'), ('🛖'), ('🏘'), ('🏚'), ('🏠'), ('🏡'), ('🏢'),
+    ('🏣'), ('🏤'), ('🏥'), ('🏦'), ('🏨'), ('🏩'), ('🏪'), ('🏫'), ('🏬'), ('🏭'), ('🏯'), ('🏰'),
+    ('💒'), ('🗼'), ('🗽'), ('⛪'), ('🕌'), ('🛕'), ('🕍'), ('⛩'), ('🕋'), ('⛲'), ('⛺'), ('🌁'),
+    ('🌃'), ('🏙'), ('🌄'), ('🌅'), ('🌆'), ('🌇'), ('🌉'), ('♨'), ('🎠'), ('🛝'), ('🎡'), ('🎢'),
+    ('💈'), ('🎪'), ('🚂'), ('🚃'), ('🚄'), ('🚅'), ('🚆'), ('🚇'), ('🚈'), ('🚉'), ('🚊'), ('🚝'),
+    ('🚞'), ('🚋'), ('🚌'), ('🚍'), ('🚎'), ('🚐'), ('🚑'), ('🚒'), ('🚓'), ('🚔'), ('🚕'), ('🚖'),
+    ('🚗'), ('🚘'), ('🚙'), ('🛻'), ('🚚'), ('🚛'), ('🚜'), ('🏎'), ('🏍'), ('🛵'), ('🦽'), ('🦼'),
+    ('🛺'), ('🚲'), ('🛴'), ('🛹'), ('🛼'), ('🚏'), ('🛣'), ('🛤'), ('🛢'), ('⛽'), ('🛞'), ('🚨'),
+    ('🚥'), ('🚦'), ('🛑'), ('🚧'), ('🛙'), ('⚓'), ('🛟'), ('⛵'), ('🛶'), ('🚤'), ('🛳'), ('⛴'),
+    ('🛥'), ('🚢'), ('✈'), ('🛩'), ('🛫'), ('🛬'), ('🪂'), ('💺'), ('🚁'), ('🚟'), ('🚠'), ('🚡'),
+    ('🛰'), ('🚀'), ('🛸'), ('🛎'), ('🧳'), ('⌛'), ('⏳'), ('⌚'), ('⏰'), ('⏱'), ('⏲'), ('🕰'),
+    ('🕛'), ('🕧'), ('🕐'), ('🕜'), ('🕑'), ('🕝'), ('🕒'), ('🕞'), ('🕓'), ('🕟'), ('🕔'), ('🕠'),
+    ('🕕'), ('🕡'), ('🕖'), ('🕢'), ('🕗'), ('🕣'), ('🕘'), ('🕤'), ('🕙'), ('🕥'), ('🕚'), ('🕦'),
+    ('🌑'), ('🌒'), ('🌓'), ('🌔'), ('🌕'), ('🌖'), ('🌗'), ('🌘'), ('🌙'), ('🌚'), ('🌛'), ('🌜'),
+    ('🌡'), ('☀'), ('🌝'), ('🌞'), ('🪐'), ('⭐'), ('🌟'), ('🌠'), ('🌌'), ('☁'), ('⛅'), ('⛈'),
+    ('🌤'), ('🌥'), ('🌦'), ('🌧'), ('🌨'), ('🌩'), ('🌪'), ('🌫'), ('🌬'), ('🌀'), ('🌈'), ('🌂'),
+    ('☂'), ('☔'), ('⛱'), ('⚡'), ('❄'), ('☃'), ('⛄'), ('☄'), ('🪋'), ('🔥'), ('💧'), ('🌊'),
+    ('🎃'), ('🎄'), ('🎆'), ('🎇'), ('🧨'), ('✨'), ('🎈'), ('🎉'), ('🎊'), ('🎋'), ('🎍'), ('🎎'),
+    ('🎏'), ('🎐'), ('🎑'), ('🧧'), ('🎀'), ('🎁'), ('🎗'), ('🎟'), ('🎫'), ('🎖'), ('🏆'), ('🏅'),
+    ('🥇'), ('🥈'), ('🥉'), ('⚽'), ('⚾'), ('🥎'), ('🏀'), ('🏐'), ('🏈'), ('🏉'), ('🎾'), ('🥏'),
+    ('🎳'), ('🏏'), ('🏑'), ('🏒'), ('🥍'), ('🏓'), ('🏸'), ('🥊'), ('🥋'), ('🥅'), ('⛳'), ('⛸'),
+    ('🎣'), ('🤿'), ('🎽'), ('🎿'), ('🛷'), ('🥌'), ('🎯'), ('🪀'), ('🪁'), ('🔫'), ('🎱'), ('🔮'),
+    ('🪄'), ('🎮'), ('🕹'), ('🎰'), ('🎲'), ('🧩'), ('🧸'), ('🪅'), ('🪩'), ('🪆'), ('♠'), ('♥'),
+    ('♦'), ('♣'), ('♟'), ('🃏'), ('🀄'), ('🎴'), ('🎭'), ('🖼'), ('🎨'), ('🧵'), ('🪡'), ('🧶'),
+    ('🪢'), ('👓'), ('🕶'), ('🥽'), ('🥼'), ('🦺'), ('👔'), ('👕'), ('👖'), ('🧣'), ('🧤'), ('🧥'),
+    ('🧦'), ('👗'), ('👘'), ('🥻'), ('🩱'), ('🩲'), ('🩳'), ('👙'), ('👚'), ('🪭'), ('👛'), ('👜'),
+    ('👝'), ('🛍'), ('🎒'), ('🩴'), ('👞'), ('👟'), ('🥾'), ('🥿'), ('👠'), ('👡'), ('🩰'), ('👢'),
+    ('🪮'), ('👑'), ('👒'), ('🎩'), ('🎓'), ('🧢'), ('🪖'), ('⛑'), ('📿'), ('💄'), ('💍'), ('💎'),
+    ('🔇'), ('🔈'), ('🔉'), ('🔊'), ('📢'), ('📣'), ('📯'), ('🔔'), ('🔕'), ('🎼'), ('🎵'), ('🎶'),
+    ('🎙'), ('🎚'), ('🎛'), ('🎤'), ('🎧'), ('📻'), ('🎷'), ('🎺'), ('🪊'), ('🪗'), ('🎸'), ('🎹'),
+    ('🎻'), ('🪕'), ('🥁'), ('🪘'), ('🪇'), ('🪈'), ('🪉'), ('📱'), ('📲'), ('☎'), ('📞'), ('📟'),
+    ('📠'), ('🔋'), ('🪫'), ('🔌'), ('💻'), ('🖥'), ('🖨'), ('⌨'), ('🖱'), ('🖲'), ('💽'), ('💾'),
+    ('💿'), ('📀'), ('🧮'), ('🎥'), ('🎞'), ('📽'), ('🎬'), ('📺'), ('📷'), ('📸'), ('📹'), ('📼'),
+    ('🔍'), ('🔎'), ('🕯'), ('💡'), ('🔦'), ('🏮'), ('🪔'), ('📔'), ('📕'), ('📖'), ('📗'), ('📘'),
+    ('📙'), ('📚'), ('📓'), ('📒'), ('📃'), ('📜'), ('📄'), ('📰'), ('🗞'), ('📑'), ('🔖'), ('🏷'),
+    ('🪙'), ('💰'), ('🪎'), ('💴'), ('💵'), ('💶'), ('💷'), ('💸'), ('💳'), ('🧾'), ('💹'), ('✉'),
+    ('📧'), ('📨'), ('📩'), ('📤'), ('📥'), ('📦'), ('📫'), ('📪'), ('📬'), ('📭'), ('📮'), ('🗳'),
+    ('✏'), ('✒'), ('🖋'), ('🖊'), ('🖌'), ('🖍'), ('📝'), ('🪌'), ('💼'), ('📁'), ('📂'), ('🗂'),
+    ('📅'), ('📆'), ('🗒'), ('🗓'), ('📇'), ('📈'), ('📉'), ('📊'), ('📋'), ('📌'), ('📍'), ('📎'),
+    ('🖇'), ('📏'), ('📐'), ('✂'), ('🗃'), ('🗄'), ('🗑'), ('🔒'), ('🔓'), ('🔏'), ('🔐'), ('🔑'),
+    ('🗝'), ('🪍'), ('🔨'), ('🪓'), ('⛏'), ('⚒'), ('🛠'), ('🗡'), ('⚔'), ('💣'), ('🪃'), ('🏹'),
+    ('🛡'), ('🪚'), ('🔧'), ('🪛'), ('🔩'), ('⚙'), ('🗜'), ('⚖'), ('🦯'), ('🔗'), ('⛓‍💥'), ('⛓'),
+    ('🪝'), ('🧰'), ('🧲'), ('🪜'), ('🪏'), ('⚗'), ('🧪'), ('🧫'), ('🧬'), ('🔬'), ('🔭'), ('📡'),
+    ('💉'), ('🩸'), ('💊'), ('🩹'), ('🩼'), ('🩺'), ('🩻'), ('🚪'), ('🛗'), ('🪞'), ('🪟'), ('🛏'),
+    ('🛋'), ('🪑'), ('🚽'), ('🪠'), ('🚿'), ('🛁'), ('🪤'), ('🪒'), ('🧴'), ('🧷'), ('🧹'), ('🧺'),
+    ('🧻'), ('🪣'), ('🧼'), ('🫧'), ('🪥'), ('🧽'), ('🧯'), ('🛒'), ('🚬'), ('⚰'), ('🪦'), ('⚱'),
+    ('🧿'), ('🪬'), ('🗿'), ('🪧'), ('🪪'), ('🏧'), ('🚮'), ('🚰'), ('♿'), ('🚹'), ('🚺'), ('🚻'),
+    ('🚼'), ('🚾'), ('🛂'), ('🛃'), ('🛄'), ('🛅'), ('⚠'), ('🚸'), ('⛔'), ('🚫'), ('🚳'), ('🚭'),
+    ('🚯'), ('🚱'), ('🚷'), ('📵'), ('🔞'), ('☢'), ('☣'), ('⬆'), ('↗'), ('➡'), ('↘'), ('⬇'),
+    ('↙'), ('⬅'), ('↖'), ('↕'), ('↔'), ('↩'), ('↪'), ('⤴'), ('⤵'), ('🔃'), ('🔄'), ('🔙'),
+    ('🔚'), ('🔛'), ('🔜'), ('🔝'), ('🛐'), ('⚛'), ('🕉'), ('✡'), ('☸'), ('☯'), ('✝'), ('☦'),
+    ('☪'), ('☮'), ('🕎'), ('🔯'), ('🪯'), ('♈'), ('♉'), ('♊'), ('♋'), ('♌'), ('♍'), ('♎'),
+    ('♏'), ('♐'), ('♑'), ('♒'), ('♓'), ('⛎'), ('🔀'), ('🔁'), ('🔂'), ('▶'), ('⏩'), ('⏭'),
+    ('⏯'), ('◀'), ('⏪'), ('⏮'), ('🔼'), ('⏫'), ('🔽'), ('⏬'), ('⏸'), ('⏹'), ('⏺'), ('⏏'),
+    ('🎦'), ('🔅'), ('🔆'), ('📶'), ('🛜'), ('📳'), ('📴'), ('♀'), ('♂'), ('⚧'), ('✖'), ('➕'),
+    ('➖'), ('➗'), ('🟰'), ('♾'), ('‼'), ('⁉'), ('❓'), ('❔'), ('❕'), ('❗'), ('〰'), ('💱'),
+    ('💲'), ('⚕'), ('♻'), ('⚜'), ('🔱'), ('📛'), ('🔰'), ('⭕'), ('✅'), ('☑'), ('✔'), ('❌'),
+    ('❎'), ('➰'), ('➿'), ('〽'), ('✳'), ('✴'), ('❇'), ('©'), ('®'), ('™'), ('🫟'), ('#⃣'),
+    ('*⃣'), ('0⃣'), ('1⃣'), ('2⃣'), ('3⃣'), ('4⃣'), ('5⃣'), ('6⃣'), ('7⃣'), ('8⃣'), ('9⃣'), ('🔟'),
+    ('🔠'), ('🔡'), ('🔢'), ('🔣'), ('🔤'), ('🅰'), ('🆎'), ('🅱'), ('🆑'), ('🆒'), ('🆓'), ('ℹ'),
+    ('🆔'), ('Ⓜ'), ('🆕'), ('🆖'), ('🅾'), ('🆗'), ('🅿'), ('🆘'), ('🆙'), ('🆚'), ('🈁'), ('🈂'),
+    ('🈷'), ('🈶'), ('🈯'), ('🉐'), ('🈹'), ('🈚'), ('🈲'), ('🉑'), ('🈸'), ('🈴'), ('🈳'), ('㊗'),
+    ('㊙'), ('🈺'), ('🈵'), ('🔴'), ('🟠'), ('🟡'), ('🟢'), ('🔵'), ('🟣'), ('🟤'), ('⚫'), ('⚪'),
+    ('🟥'), ('🟧'), ('🟨'), ('🟩'), ('🟦'), ('🟪'), ('🟫'), ('⬛'), ('⬜'), ('◼'), ('◻'), ('◾'),
+    ('◽'), ('▪'), ('▫'), ('🔶'), ('🔷'), ('🔸'), ('🔹'), ('🔺'), ('🔻'), ('💠'), ('🔘'), ('🔳'),
+    ('🔲'), ('🏁'), ('🚩'), ('🎌'), ('🏴'), ('🏳'), ('🏳‍🌈'), ('🏳‍⚧'), ('🏴‍☠'), ('🇦🇨'), ('🇦🇩'), ('🇦🇪'),
+    ('🇦🇫'), ('🇦🇬'), ('🇦🇮'), ('🇦🇱'), ('🇦🇲'), ('🇦🇴'), ('🇦🇶'), ('🇦🇷'), ('🇦🇸'), ('🇦🇹'), ('🇦🇺'), ('🇦🇼'),
+    ('🇦🇽'), ('🇦🇿'), ('🇧🇦'), ('🇧🇧'), ('🇧🇩'), ('🇧🇪'), ('🇧🇫'), ('🇧🇬'), ('🇧🇭'), ('🇧🇮'), ('🇧🇯'), ('🇧🇱'),
+    ('🇧🇲'), ('🇧🇳'), ('🇧🇴'), ('🇧🇶'), ('🇧🇷'), ('🇧🇸'), ('🇧🇹'), ('🇧🇻'), ('🇧🇼'), ('🇧🇾'), ('🇧🇿'), ('🇨🇦'),
+    ('🇨🇨'), ('🇨🇩'), ('🇨🇫'), ('🇨🇬'), ('🇨🇭'), ('🇨🇮'), ('🇨🇰'), ('🇨🇱'), ('🇨🇲'), ('🇨🇳'), ('🇨🇴'), ('🇨🇵'),
+    ('🇨🇶'), ('🇨🇷'), ('🇨🇺'), ('🇨🇻'), ('🇨🇼'), ('🇨🇽'), ('🇨🇾'), ('🇨🇿'), ('🇩🇪'), ('🇩🇬'), ('🇩🇯'), ('🇩🇰'),
+    ('🇩🇲'), ('🇩🇴'), ('🇩🇿'), ('🇪🇦'), ('🇪🇨'), ('🇪🇪'), ('🇪🇬'), ('🇪🇭'), ('🇪🇷'), ('🇪🇸'), ('🇪🇹'), ('🇪🇺'),
+    ('🇫🇮'), ('🇫🇯'), ('🇫🇰'), ('🇫🇲'), ('🇫🇴'), ('🇫🇷'), ('🇬🇦'), ('🇬🇧'), ('🇬🇩'), ('🇬🇪'), ('🇬🇫'), ('🇬🇬'),
+    ('🇬🇭'), ('🇬🇮'), ('🇬🇱'), ('🇬🇲'), ('🇬🇳'), ('🇬🇵'), ('🇬🇶'), ('🇬🇷'), ('🇬🇸'), ('🇬🇹'), ('🇬🇺'), ('🇬🇼'),
+    ('🇬🇾'), ('🇭🇰'), ('🇭🇲'), ('🇭🇳'), ('🇭🇷'), ('🇭🇹'), ('🇭🇺'), ('🇮🇨'), ('🇮🇩'), ('🇮🇪'), ('🇮🇱'), ('🇮🇲'),
+    ('🇮🇳'), ('🇮🇴'), ('🇮🇶'), ('🇮🇷'), ('🇮🇸'), ('🇮🇹'), ('🇯🇪'), ('🇯🇲'), ('🇯🇴'), ('🇯🇵'), ('🇰🇪'), ('🇰🇬'),
+    ('🇰🇭'), ('🇰🇮'), ('🇰🇲'), ('🇰🇳'), ('🇰🇵'), ('🇰🇷'), ('🇰🇼'), ('🇰🇾'), ('🇰🇿'), ('🇱🇦'), ('🇱🇧'), ('🇱🇨'),
+    ('🇱🇮'), ('🇱🇰'), ('🇱🇷'), ('🇱🇸'), ('🇱🇹'), ('🇱🇺'), ('🇱🇻'), ('🇱🇾'), ('🇲🇦'), ('🇲🇨'), ('🇲🇩'), ('🇲🇪'),
+    ('🇲🇫'), ('🇲🇬'), ('🇲🇭'), ('🇲🇰'), ('🇲🇱'), ('🇲🇲'), ('🇲🇳'), ('🇲🇴'), ('🇲🇵'), ('🇲🇶'), ('🇲🇷'), ('🇲🇸'),
+    ('🇲🇹'), ('🇲🇺'), ('🇲🇻'), ('🇲🇼'), ('🇲🇽'), ('🇲🇾'), ('🇲🇿'), ('🇳🇦'), ('🇳🇨'), ('🇳🇪'), ('🇳🇫'), ('🇳🇬'),
+    ('🇳🇮'), ('🇳🇱'), ('🇳🇴'), ('🇳🇵'), ('🇳🇷'), ('🇳🇺'), ('🇳🇿'), ('🇴🇲'), ('🇵🇦'), ('🇵🇪'), ('🇵🇫'), ('🇵🇬'),
+    ('🇵🇭'), ('🇵🇰'), ('🇵🇱'), ('🇵🇲'), ('🇵🇳'), ('🇵🇷'), ('🇵🇸'), ('🇵🇹'), ('🇵🇼'), ('🇵🇾'), ('🇶🇦'), ('🇷🇪'),
+    ('🇷🇴'), ('🇷🇸'), ('🇷🇺'), ('🇷🇼'), ('🇸🇦'), ('🇸🇧'), ('🇸🇨'), ('🇸🇩'), ('🇸🇪'), ('🇸🇬'), ('🇸🇭'), ('🇸🇮'),
+    ('🇸🇯'), ('🇸🇰'), ('🇸🇱'), ('🇸🇲'), ('🇸🇳'), ('🇸🇴'), ('🇸🇷'), ('🇸🇸'), ('🇸🇹'), ('🇸🇻'), ('🇸🇽'), ('🇸🇾'),
+    ('🇸🇿'), ('🇹🇦'), ('🇹🇨'), ('🇹🇩'), ('🇹🇫'), ('🇹🇬'), ('🇹🇭'), ('🇹🇯'), ('🇹🇰'), ('🇹🇱'), ('🇹🇲'), ('🇹🇳'),
+    ('🇹🇴'), ('🇹🇷'), ('🇹🇹'), ('🇹🇻'), ('🇹🇼'), ('🇹🇿'), ('🇺🇦'), ('🇺🇬'), ('🇺🇲'), ('🇺🇳'), ('🇺🇸'), ('🇺🇾'),
+    ('🇺🇿'), ('🇻🇦'), ('🇻🇨'), ('🇻🇪'), ('🇻🇬'), ('🇻🇮'), ('🇻🇳'), ('🇻🇺'), ('🇼🇫'), ('🇼🇸'), ('🇽🇰'), ('🇾🇪'),
+    ('🇾🇹'), ('🇿🇦'), ('🇿🇲'), ('🇿🇼'), ('🏴󠁧󠁢󠁥󠁮󠁧󠁿'), ('🏴󠁧󠁢󠁳󠁣󠁴󠁿'), ('🏴󠁧󠁢󠁷󠁬󠁳󠁿');
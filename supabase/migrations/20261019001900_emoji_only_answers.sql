@@ -0,0 +1,91 @@
+-- Emoji answers are checked for emoji-only content on the server as well (splitEmojiAnswer in
+-- emojiGuard.js): every emoji has to be in public.emoji_catalog, so words, ASCII art or stray letters
+-- make the whole answer fall back, whichever client sent it.
+
+-- Emojis of an answer, in order, or null if anything other than emojis and whitespace is in it. Without a
+-- grapheme segmenter in Postgres, the longest catalog emoji at each position is taken (variation
+-- selectors ignored, as emojis are stored without them): a cluster the client would see as one emoji.
+create or replace function public.wdym_split_emoji_answer(p_value text)
+returns text[]
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+    v_value text := coalesce(p_value, '');
+    v_count integer := char_length(v_value);
+    v_pos integer := 1;
+    v_emoji text;
+    v_emojis text[] := '{}';
+begin
+    while v_pos <= v_count loop
+        if substr(v_value, v_pos, 1) ~ '\s' then
+            v_pos := v_pos + 1;
+            continue;
+        end if;
+
+        -- A selector or joiner cannot start an emoji
+        if substr(v_value, v_pos, 1) in (U&'\FE0F', U&'\200D') then
+            return null;
+        end if;
+
+        -- 16 code points is more than the longest catalog emoji with its variation selectors
+        v_emoji := null;
+        for v_length in reverse least(16, v_count - v_pos + 1) .. 1 loop
+            if exists (select 1 from emoji_catalog where emoji = replace(substr(v_value, v_pos, v_length), U&'\FE0F', '')) then
+                v_emoji := substr(v_value, v_pos, v_length);
+                exit;
+            end if;
+        end loop;
+
+        if v_emoji is null then
+            return null;
+        end if;
+        v_emojis := v_emojis || v_emoji;
+        v_pos := v_pos + char_length(v_emoji);
+    end loop;
+
+    return v_emojis;
+end;
+$$;
+
+-- As in 20261019001000_emoji_rules.sql, on the emojis of an emoji-only answer: null (fallback) when the
+-- answer is not emoji-only or fewer than minEmojis are left
+create or replace function public.wdym_apply_emoji_rules(p_value text, p_rules jsonb, p_received text)
+returns text
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+    v_max integer := least(10, greatest(1, coalesce((p_rules ->> 'maxEmojis')::integer, 10)));
+    v_min integer := least(v_max, greatest(1, coalesce((p_rules ->> 'minEmojis')::integer, 1)));
+    v_emojis text[] := wdym_split_emoji_answer(p_value);
+    v_kept text[] := '{}';
+    v_bases text[] := '{}';
+    v_emoji text;
+    v_base text;
+begin
+    if v_emojis is null then
+        return null;
+    end if;
+
+    foreach v_emoji in array v_emojis loop
+        exit when coalesce(array_length(v_kept, 1), 0) >= v_max;
+
+        v_base := wdym_emoji_base(v_emoji);
+        continue when coalesce((p_rules ->> 'noLetters')::boolean, false) and wdym_is_letter_emoji(v_emoji);
+        continue when coalesce((p_rules ->> 'noPromptEmojis')::boolean, true) and coalesce(p_received, '') <> ''
+            and strpos(wdym_emoji_base(p_received), v_base) > 0;
+        continue when coalesce((p_rules ->> 'noRepeats')::boolean, false) and v_base = any(v_bases);
+
+        v_kept := v_kept || v_emoji;
+        v_bases := v_bases || v_base;
+    end loop;
+
+    if coalesce(array_length(v_kept, 1), 0) < v_min then
+        return null;
+    end if;
+    return array_to_string(v_kept, ' ');
+end;
+$$;
@@ -0,0 +1,72 @@
+-- What the game engine owns stays out of the host's direct writes: the phase (game_state), the room
+-- status, the live scores (settings.cached_scores) and the match history (settings.match) only change
+-- inside advance_phase and the other security definer functions, which run as the table owner.
+-- The host keeps writing the rest of settings as a whole (the Lobby options, the snapshot startGame
+-- takes, player_order), often from a copy that predates the last transition, so the protected keys of
+-- such a write are put back to the stored ones instead of failing it.
+
+-- game_state has no client writes left but the row a new room starts with, in the lobby
+revoke update on public.game_state from anon, authenticated;
+drop policy if exists game_state_update on public.game_state;
+
+-- Whether the statement comes from a client (PostgREST's anon / authenticated roles) rather than
+-- from a function running as the owner
+create or replace function public.wdym_is_client_write()
+returns boolean
+language sql
+stable
+as $$
+    select current_user in ('anon', 'authenticated');
+$$;
+
+create or replace function public.wdym_game_state_before_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+    if wdym_is_client_write() then
+        new.phase := 'lobby';
+        new.phase_expiry := null;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists game_state_before_insert on public.game_state;
+create trigger game_state_before_insert
+    before insert on public.game_state
+    for each row execute function public.wdym_game_state_before_insert();
+
+-- p_settings with p_keys as they are in p_stored (absent when absent there)
+create or replace function public.wdym_keep_settings_keys(p_settings jsonb, p_stored jsonb, p_keys text[])
+returns jsonb
+language sql
+immutable
+as $$
+    select (coalesce(p_settings, '{}'::jsonb) - p_keys)
+        || coalesce((select jsonb_object_agg(e.key, e.value) from jsonb_each(coalesce(p_stored, '{}'::jsonb)) as e where e.key = any (p_keys)), '{}'::jsonb);
+$$;
+
+create or replace function public.wdym_rooms_before_write()
+returns trigger
+language plpgsql
+as $$
+begin
+    if not wdym_is_client_write() then
+        return new;
+    end if;
+    if tg_op = 'INSERT' then
+        new.status := 'lobby';
+        new.settings := wdym_keep_settings_keys(new.settings, null, array['cached_scores', 'match']);
+    else
+        new.status := old.status;
+        new.settings := wdym_keep_settings_keys(new.settings, old.settings, array['cached_scores', 'match']);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists rooms_before_write on public.rooms;
+create trigger rooms_before_write
+    before insert or update on public.rooms
+    for each row execute function public.wdym_rooms_before_write();
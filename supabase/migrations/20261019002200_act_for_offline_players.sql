@@ -0,0 +1,21 @@
+-- The host only writes answers for its bots and for players who have gone quiet (no heartbeat for the
+-- presence window, see wdym_host_lease_interval), not for anyone in its room: a player who is online
+-- writes their own.
+
+create or replace function public.wdym_can_act_for(p_player_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from players p
+        where p.id = p_player_id
+          and (
+              p.identity_id = auth.uid()::text
+              or (wdym_is_room_host(p.room_id)
+                  and (coalesce(p.identity_id, '') like 'bot-%' or p.last_seen <= now() - wdym_host_lease_interval()))
+          )
+    );
+$$;
@@ -0,0 +1,60 @@
+-- Two players in a room never share the same emoji on the same color (see src/contexts/room/avatars.js):
+-- joinRoom and updatePlayerProfile move a player to a free look, and the unique index below refuses
+-- the write when someone took that look in the meantime, so the client picks again.
+
+-- The look that must be unique: the emoji and the color the client shows (a missing or unknown color
+-- is drawn as "none", a missing avatar as the default one). Colors are the AVATAR_COLORS ids.
+create or replace function public.wdym_avatar_look(p_avatar jsonb)
+returns text
+language sql
+immutable
+as $$
+    select coalesce(nullif(trim(p_avatar ->> 'emoji'), ''), '😎') || ' '
+        || case when p_avatar ->> 'color' in ('violet', 'pink', 'yellow', 'green', 'blue', 'orange') then p_avatar ->> 'color' else 'none' end;
+$$;
+
+-- Existing rooms: everyone after the first player with a look gets the nearest free one, as
+-- resolveAvatarConflict picks it (the same emoji on another color, else a preset emoji)
+do $$
+declare
+    v_player record;
+    v_avatar jsonb;
+begin
+    for v_player in
+        select d.id, d.room_id, d.avatar
+        from (
+            select p.id, p.room_id, p.avatar,
+                row_number() over (partition by p.room_id, wdym_avatar_look(p.avatar) order by p.created_at, p.id) as n
+            from players p
+        ) d
+        where d.n > 1
+    loop
+        select candidate.avatar into v_avatar
+        from (
+            select coalesce(v_player.avatar, '{}'::jsonb)
+                    || jsonb_build_object('emoji', e.emoji, 'color', c.color) as avatar,
+                e.rank, c.rank as color_rank
+            from (
+                select split_part(wdym_avatar_look(v_player.avatar), ' ', 1) as emoji, 0::bigint as rank
+                union all
+                select preset.emoji, preset.rank
+                from unnest(array['😎', '🦊', '🐱', '🐼', '🐸', '🦁', '🦄', '👻', '👾', '🤖', '🎃', '👽']) with ordinality as preset(emoji, rank)
+            ) e
+            cross join unnest(array['none', 'violet', 'pink', 'yellow', 'green', 'blue', 'orange']) with ordinality as c(color, rank)
+        ) candidate
+        where not exists (
+            select 1 from players o
+            where o.room_id = v_player.room_id and o.id <> v_player.id
+              and wdym_avatar_look(o.avatar) = wdym_avatar_look(candidate.avatar)
+        )
+        order by candidate.rank, candidate.color_rank
+        limit 1;
+
+        if v_avatar is not null then
+            update players set avatar = v_avatar where id = v_player.id;
+        end if;
+    end loop;
+end;
+$$;
+
+create unique index if not exists players_room_avatar_idx on public.players (room_id, wdym_avatar_look(avatar));
@@ -0,0 +1,79 @@
+-- Plain-text answers from the oldest clients (no prefix at all) decode as text even when they hold a
+-- colon ("Plot twist: ..."), as in src/contexts/room/answerCodec.js, instead of being dropped.
+
+create or replace function public.wdym_decode_answer(p_answer text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_data jsonb;
+    v_kind text;
+    v_draft boolean;
+    v_value text;
+    v_parts text[];
+    v_healed boolean := false;
+begin
+    if p_answer is null or btrim(p_answer) = '' then return null; end if;
+
+    if left(p_answer, 3) = 'a2:' then
+        begin
+            v_data := substr(p_answer, 4)::jsonb;
+        exception when others then
+            return null;
+        end;
+        if v_data ->> 'k' not in ('text', 'emoji', 'drawing', 'guess', 'vote') then return null; end if;
+        return jsonb_build_object(
+            'kind', v_data ->> 'k',
+            'draft', coalesce((v_data ->> 'd')::boolean, false),
+            'healed', coalesce((v_data ->> 'h')::boolean, false),
+            'phase', v_data -> 'p',
+            'round', v_data -> 'r',
+            'value', v_data -> 'v'
+        );
+    end if;
+
+    -- Legacy prefixes, longest first
+    select k, d, substr(p_answer, length(prefix) + 1) into v_kind, v_draft, v_value
+    from (values
+        ('vote_multi:', 'vote', false),
+        ('draft_emoji:', 'emoji', true),
+        ('draft_guess:', 'guess', true),
+        ('draft_vote:', 'vote', true),
+        ('draft:', 'text', true),
+        ('text:', 'text', false),
+        ('emoji:', 'emoji', false),
+        ('guess:', 'guess', false),
+        ('vote:', 'vote', false)
+    ) as l(prefix, k, d)
+    where left(p_answer, length(prefix)) = prefix
+    order by length(prefix) desc
+    limit 1;
+
+    if v_kind is null then
+        return jsonb_build_object('kind', 'text', 'draft', true, 'healed', false, 'phase', null, 'round', null, 'value', p_answer);
+    end if;
+
+    if v_kind = 'vote' and not v_draft then
+        if left(p_answer, 11) = 'vote_multi:' then
+            begin
+                v_data := v_value::jsonb;
+            exception when others then
+                return null;
+            end;
+            if jsonb_typeof(v_data) <> 'array' then return null; end if;
+        else
+            v_parts := string_to_array(v_value, ':');
+            v_data := jsonb_build_array(jsonb_build_object('category', v_parts[1], 'targetId', v_parts[2]));
+        end if;
+        return jsonb_build_object('kind', 'vote', 'draft', false, 'healed', false, 'phase', null, 'round', null, 'value', v_data);
+    end if;
+
+    if left(v_value, 7) = 'Healed:' then
+        v_healed := true;
+        v_value := btrim(substr(v_value, 8));
+    end if;
+
+    return jsonb_build_object('kind', v_kind, 'draft', v_draft, 'healed', v_healed, 'phase', null, 'round', null, 'value', v_value);
+end;
+$$;
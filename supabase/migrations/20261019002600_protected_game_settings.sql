@@ -0,0 +1,55 @@
+-- Once a game is running, the settings advance_phase deals and reads are the engine's too: the game
+-- being archived (game_id), the chains and their history, who holds which chain (assignments), who is
+-- playing (player_order), the round id (last_transition) and the rules snapshot (mode_rules). A host
+-- write keeps the stored ones, as it does for cached_scores and match; in the lobby startGame still
+-- writes mode_rules with the rest of the snapshot.
+
+create or replace function public.wdym_rooms_before_write()
+returns trigger
+language plpgsql
+as $$
+begin
+    if not wdym_is_client_write() then
+        return new;
+    end if;
+    if tg_op = 'INSERT' then
+        new.status := 'lobby';
+        new.settings := wdym_keep_settings_keys(new.settings, null, array['cached_scores', 'match']);
+    elsif old.status <> 'lobby' then
+        new.status := old.status;
+        new.settings := wdym_keep_settings_keys(new.settings, old.settings, array[
+            'cached_scores', 'match', 'game_id', 'chains', 'history', 'assignments', 'player_order', 'last_transition', 'mode_rules'
+        ]);
+    else
+        new.status := old.status;
+        new.settings := wdym_keep_settings_keys(new.settings, old.settings, array['cached_scores', 'match']);
+    end if;
+    return new;
+end;
+$$;
+
+-- The host takes players out of the running game (kicked, gone for good, or rows that no longer exist):
+-- they are only ever removed from player_order, never added or reordered
+create or replace function public.remove_from_player_order(p_room_id uuid, p_player_ids uuid[])
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not wdym_is_room_host(p_room_id) then
+        return false;
+    end if;
+    update rooms
+    set settings = jsonb_set(settings, '{player_order}', coalesce((
+        select jsonb_agg(o.id order by o.n)
+        from jsonb_array_elements_text(coalesce(settings -> 'player_order', '[]'::jsonb)) with ordinality as o(id, n)
+        where o.id <> all (p_player_ids::text[])
+    ), '[]'::jsonb))
+    where id = p_room_id;
+    return true;
+end;
+$$;
+
+revoke execute on function public.remove_from_player_order(uuid, uuid[]) from public, anon;
+grant execute on function public.remove_from_player_order(uuid, uuid[]) to authenticated;
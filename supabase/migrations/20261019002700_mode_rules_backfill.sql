@@ -0,0 +1,37 @@
+-- Rooms saved before the mode_rules snapshot cannot move on since mode_rules_required: wdym_mode_rules
+-- raises for them, even on the way back to the lobby. They get the built-in rules of their mode once here.
+
+-- A complete snapshot, as wdym_mode_rules requires it: every key the engine reads, with at least one
+-- step in the cycle
+create or replace function public.wdym_has_mode_rules(p_settings jsonb)
+returns boolean
+language sql
+immutable
+as $$
+    select coalesce(jsonb_typeof(p_settings -> 'mode_rules') = 'object'
+        and p_settings -> 'mode_rules' ?& array['stepCycle', 'timers', 'scoring', 'emojiRules']
+        and jsonb_typeof(p_settings #> '{mode_rules,stepCycle}') = 'array'
+        and p_settings #> '{mode_rules,stepCycle}' <> '[]'::jsonb, false);
+$$;
+
+-- Rooms from before the snapshot get the built-in rules of their mode once, as the previous
+-- wdym_mode_rules read them (20261019001000_emoji_rules.sql), so they can still move on and go back
+-- to the lobby. Whatever part of a snapshot a room already has is kept, an empty step cycle aside.
+update public.rooms r
+set settings = r.settings || jsonb_build_object('mode_rules', jsonb_build_object(
+        'id', coalesce(r.settings ->> 'selectedMode', 'Classic'),
+        'stepCycle', case r.settings ->> 'selectedMode'
+            when 'Emoji Only' then '["emoji"]'::jsonb
+            when 'Draw' then '["draw", "interpretation"]'::jsonb
+            else '["emoji", "interpretation"]'::jsonb end,
+        'timers', case when r.settings ->> 'selectedMode' = 'Draw'
+            then '{"text": 1, "emoji": 1, "draw": 1.5, "interpretation": 1, "vote": 1}'::jsonb
+            else '{"text": 1, "emoji": 1, "draw": 1, "interpretation": 1, "vote": 1}'::jsonb end,
+        'scoring', '{"funniest": 1, "mostAccurate": 2, "mostDestroyed": -1}'::jsonb,
+        'emojiRules', '{"minEmojis": 1, "maxEmojis": 10, "noRepeats": false, "noLetters": false, "noPromptEmojis": true}'::jsonb
+    ) || (
+        select coalesce(jsonb_object_agg(key, value), '{}'::jsonb)
+        from jsonb_each(case when jsonb_typeof(r.settings -> 'mode_rules') = 'object' then r.settings -> 'mode_rules' else '{}'::jsonb end)
+        where key <> 'stepCycle' or (jsonb_typeof(value) = 'array' and value <> '[]'::jsonb)
+    ))
+where not wdym_has_mode_rules(r.settings);
@@ -0,0 +1,10 @@
+-- player_identity carried the old kicked fingerprints over into settings.kicked_identities, but those
+-- were device ids the client kept in localStorage ("f_..."), which no auth user id can match. A kick
+-- list only keeps what an identity can be: an anonymous auth user id, or a bot's "bot-..." identity.
+update public.rooms
+set settings = jsonb_set(settings, '{kicked_identities}', coalesce((
+    select jsonb_agg(k.value)
+    from jsonb_array_elements_text(settings -> 'kicked_identities') as k(value)
+    where k.value ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' or k.value like 'bot-%'
+), '[]'::jsonb))
+where jsonb_typeof(settings -> 'kicked_identities') = 'array';
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { decodeAnswer, encodeAnswer, getAnswerValue } from '../src/contexts/room/answerCodec';
+
+describe('answerCodec', () => {
+    it('round-trips a v2 answer with colons in it', () => {
+        const raw = encodeAnswer({ phase: 'text', value: 'A cat: on a mat', round: 1 });
+        expect(decodeAnswer(raw)).toMatchObject({ kind: 'text', draft: false, phase: 'text', round: 1, value: 'A cat: on a mat' });
+    });
+
+    it('keeps old plain-text answers, colons included', () => {
+        expect(getAnswerValue('a cat on a mat')).toBe('a cat on a mat');
+        expect(getAnswerValue('Plot twist: the cat did it')).toBe('Plot twist: the cat did it');
+    });
+
+    it('still reads the legacy prefixes', () => {
+        expect(decodeAnswer('text:Healed: late')).toMatchObject({ kind: 'text', draft: false, healed: true, value: 'late' });
+        expect(decodeAnswer('vote:funniest:p2')).toMatchObject({ kind: 'vote', value: [{ category: 'funniest', targetId: 'p2' }] });
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { EMOJI_DATA } from '../src/contexts/room/emojiData';
+import { getEmojiKeywords, normalizeKeyword } from '../src/contexts/room/emojiKeywords';
+
+describe('emojiKeywords', () => {
+    it('has keywords for every catalog emoji in each language', () => {
+        for (const language of ['fr', 'ar']) {
+            const missing = EMOJI_DATA.filter(item => !item.localized?.[language]?.some(keyword => keyword.trim()));
+            expect(missing.map(item => item.emoji), language).toEqual([]);
+        }
+        expect(EMOJI_DATA.filter(item => item.keywords.length === 0)).toEqual([]);
+    });
+
+    it('searches the localized keywords ahead of the English ones', () => {
+        const japan = EMOJI_DATA.find(item => item.emoji === '🇯🇵');
+        expect(getEmojiKeywords(japan, 'fr').slice(0, 2)).toEqual(['japon', 'drapeau']);
+        expect(getEmojiKeywords(japan, 'ar')).toContain('اليابان');
+        expect(getEmojiKeywords(japan, 'en')).toEqual(['japan', 'flag']);
+        expect(getEmojiKeywords(japan, 'fr')).toContain('japan');
+    });
+
+    it('matches accents and harakat loosely', () => {
+        expect(normalizeKeyword('Café')).toBe('cafe');
+        expect(normalizeKeyword('قِطّة')).toBe('قطة');
+    });
+});
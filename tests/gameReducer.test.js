@@ -0,0 +1,351 @@
+import { describe, it, expect } from 'vitest';
+import { FALLBACK_ANSWERS, getAllowedNextPhases, reducePhaseTransition, tallyVotes, applyScores } from '../src/contexts/room/gameReducer';
+import { encodeAnswer } from '../src/contexts/room/answerCodec';
+import { getPhaseOrder } from '../src/contexts/room/roomUtils';
+import { createReducerEngine, defaultAnswer, makePlayers, makeSettings, playGame, playerId } from './support/gameRunner';
+
+const P1 = playerId(1);
+const P2 = playerId(2);
+const P3 = playerId(3);
+const P4 = playerId(4);
+
+const gameplayPhases = (settings) => getPhaseOrder(settings).filter(p => !['reveal', 'vote', 'scoreboard', 'winner', 'match'].includes(p));
+
+const vote = (...votes) => votes.map(([category, targetId]) => ({ category, targetId }));
+
+describe('gameReducer: full chains', () => {
+    for (let count = 2; count <= 12; count++) {
+        it(`passes every chain through every player with ${count} players`, async () => {
+            const engine = createReducerEngine();
+            const players = makePlayers(count);
+            const played = await playGame(engine, { players, settings: makeSettings() });
+            const { settings, phase } = await engine.read();
+
+            expect(phase).toBe('reveal');
+            expect(played).toEqual([...gameplayPhases(settings), 'reveal']);
+            expect(settings.player_order).toHaveLength(count);
+
+            const chains = Object.values(settings.chains);
+            expect(chains).toHaveLength(count);
+            chains.forEach(chain => {
+                expect(chain.history.map(step => step.phase)).toEqual(gameplayPhases(settings));
+                // One step per player, starting with the chain's creator
+                expect(chain.history[0].playerId).toBe(chain.creator_id);
+                expect(new Set(chain.history.map(step => step.playerId)).size).toBe(count);
+                chain.history.forEach(step => expect(step.content).toBe(defaultAnswer(step.phase, step.playerId)));
+            });
+
+            // Nobody works on two chains in the same phase
+            gameplayPhases(settings).forEach(p => {
+                const authors = chains.map(chain => chain.history.find(step => step.phase === p).playerId);
+                expect(new Set(authors).size).toBe(count);
+            });
+        });
+    }
+
+    it('stops at chainLength steps when it is shorter than the ring', async () => {
+        const engine = createReducerEngine();
+        await playGame(engine, { players: makePlayers(8), settings: makeSettings({ chainLength: 4 }) });
+        const { settings } = await engine.read();
+
+        expect(gameplayPhases(settings)).toEqual(['text', 'emoji_1', 'interpretation_1', 'emoji_2']);
+        Object.values(settings.chains).forEach(chain => expect(chain.history).toHaveLength(4));
+    });
+
+    it('wraps around the ring when chainLength is longer than it', async () => {
+        const engine = createReducerEngine();
+        await playGame(engine, { players: makePlayers(3), settings: makeSettings({ chainLength: 7 }) });
+        const { settings } = await engine.read();
+
+        Object.values(settings.chains).forEach(chain => {
+            expect(chain.history).toHaveLength(7);
+            // Never handed the same chain twice in a row
+            chain.history.slice(1).forEach((step, i) => expect(step.playerId).not.toBe(chain.history[i].playerId));
+        });
+    });
+
+    it('ignores a transition the room has already made', async () => {
+        const engine = createReducerEngine();
+        await playGame(engine, { players: makePlayers(4), settings: makeSettings(), until: 'emoji_1' });
+        const before = await engine.read();
+
+        expect(await engine.advance('text', 'emoji_1', [])).toEqual({ applied: false });
+        expect(await engine.read()).toEqual(before);
+    });
+});
+
+describe('gameReducer: drop-outs', () => {
+    it('writes the offline fallback for a player who left mid-chain, then drops them from the ring', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings();
+        const players = makePlayers(6);
+        // P3 answers the text and emoji_1 phases, then closes the tab
+        const online = (phase, id) => id !== P3 || ['lobby', 'text', 'emoji_1'].includes(phase);
+
+        await playGame(engine, { players, settings, online, until: 'emoji_2' });
+        const state = await engine.read();
+
+        expect(state.settings.player_order).not.toContain(P3);
+        expect(state.settings.player_order).toHaveLength(5);
+        expect(Object.keys(state.settings.assignments.emoji_2)).not.toContain(P3);
+
+        // interpretation_1 was P3's to write when they left: the chain got the offline fallback
+        const missed = Object.values(state.settings.chains)
+            .map(chain => chain.history.find(step => step.phase === 'interpretation_1'))
+            .find(step => step.playerId === P3);
+        expect(missed.content).toBe(FALLBACK_ANSWERS.interpretation.offline);
+
+        // P3's own chain stops with them; the others go on
+        const ownChain = Object.values(state.settings.chains).find(chain => chain.creator_id === P3);
+        expect(Object.values(state.settings.assignments.emoji_2)).not.toContain(ownChain.id);
+        expect(Object.values(state.settings.assignments.emoji_2)).toHaveLength(5);
+    });
+
+    it('keeps a player who left in a ring of 3, with the offline fallback for every step they miss', async () => {
+        const engine = createReducerEngine();
+        // P2 writes the opening sentence and is gone for the rest of the game
+        const online = (phase, id) => id !== P2 || ['lobby', 'text'].includes(phase);
+
+        await playGame(engine, { players: makePlayers(3), settings: makeSettings(), online });
+        const state = await engine.read();
+
+        expect(state.settings.player_order).toContain(P2);
+        const missed = Object.values(state.settings.chains).flatMap(chain => chain.history).filter(step => step.playerId === P2 && step.phase !== 'text');
+        expect(missed).toHaveLength(2);
+        expect(missed.map(step => step.content)).toEqual(expect.arrayContaining([FALLBACK_ANSWERS.emoji.offline, FALLBACK_ANSWERS.interpretation.offline]));
+    });
+
+    it('counts a player who submitted before leaving as online', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings();
+        const players = makePlayers(5);
+        // P4 submits its text, then drops before the phase closes
+        const online = (phase, id) => id !== P4 || phase === 'lobby';
+        const answer = (phase, id, state) => (id === P4 && phase !== 'text') ? null : defaultAnswer(phase, id, state);
+
+        await engine.setup({ players, settings });
+        await engine.advance('lobby', 'text', players.map(p => p.id));
+        await engine.answer(P4, 'text', answer('text', P4));
+        await engine.advance('text', 'emoji_1', players.filter(p => online('text', p.id)).map(p => p.id));
+        const state = await engine.read();
+
+        // A final answer keeps the player in the ring even without presence
+        expect(state.settings.player_order).toContain(P4);
+        const chain = Object.values(state.settings.chains).find(c => c.creator_id === P4);
+        expect(chain.history[0].content).toBe(`Sentence by ${P4}`);
+    });
+
+    it('uses the online fallback for a player who is there but did not answer', async () => {
+        const engine = createReducerEngine();
+        const answer = (phase, id, state) => (id === P2 && phase === 'emoji_1') ? null : defaultAnswer(phase, id, state);
+        await playGame(engine, { players: makePlayers(4), settings: makeSettings(), answer, until: 'interpretation_1' });
+        const { settings } = await engine.read();
+
+        const step = Object.values(settings.chains).flatMap(chain => chain.history).find(s => s.playerId === P2 && s.phase === 'emoji_1');
+        expect(step.content).toBe(FALLBACK_ANSWERS.emoji.online);
+    });
+});
+
+describe('gameReducer: Emoji Only mode', () => {
+    it('plays every step after the opening sentence as emojis', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings({ selectedMode: 'Emoji Only' });
+        await playGame(engine, { players: makePlayers(5), settings });
+        const state = await engine.read();
+
+        expect(gameplayPhases(state.settings)).toEqual(['text', 'emoji_1', 'emoji_2', 'emoji_3', 'emoji_4']);
+        Object.values(state.settings.chains).forEach(chain => {
+            chain.history.slice(1).forEach(step => expect(step.content).toBe(defaultAnswer(step.phase, step.playerId)));
+        });
+    });
+
+    it('replaces an answer that is not emoji-only with the fallback', async () => {
+        const engine = createReducerEngine();
+        const answer = (phase, id, state) => (id === P1 && phase === 'emoji_1') ? 'hello' : defaultAnswer(phase, id, state);
+        await playGame(engine, { players: makePlayers(3), settings: makeSettings({ selectedMode: 'Emoji Only' }), answer, until: 'emoji_2' });
+        const { settings } = await engine.read();
+
+        const step = Object.values(settings.chains).flatMap(chain => chain.history).find(s => s.playerId === P1 && s.phase === 'emoji_1');
+        expect(step.content).toBe(FALLBACK_ANSWERS.emoji.online);
+    });
+
+    it('applies the host emoji rules to the recorded answer', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings({ selectedMode: 'Emoji Only', emojiRules: { maxEmojis: 2, noRepeats: true } });
+        const answer = (phase, id, state) => phase === 'emoji_1' ? '🐶 🐶 🍕 🚀' : defaultAnswer(phase, id, state);
+        await playGame(engine, { players: makePlayers(3), settings, answer, until: 'emoji_2' });
+        const { settings: after } = await engine.read();
+
+        Object.values(after.chains).forEach(chain => expect(chain.history[1].content).toBe('🐶 🍕'));
+    });
+
+    it('falls back when fewer emojis than the minimum are left', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings({ selectedMode: 'Emoji Only', emojiRules: { minEmojis: 3 } });
+        const answer = (phase, id, state) => phase === 'emoji_1' ? '🐶 🍕' : defaultAnswer(phase, id, state);
+        await playGame(engine, { players: makePlayers(3), settings, answer, until: 'emoji_2' });
+        const { settings: after } = await engine.read();
+
+        Object.values(after.chains).forEach(chain => expect(chain.history[1].content).toBe(FALLBACK_ANSWERS.emoji.online));
+    });
+});
+
+describe('gameReducer: votes', () => {
+    const scoring = { funniest: 1, mostAccurate: 2, mostDestroyed: -1 };
+
+    it('adds up points per category and counts the votes each voter used', () => {
+        const answers = {
+            [P1]: encodeAnswer({ phase: 'vote', value: vote(['funniest', P2], ['mostAccurate', P3]) }),
+            [P2]: encodeAnswer({ phase: 'vote', value: vote(['funniest', P3], ['mostDestroyed', P1]) }),
+            [P3]: encodeAnswer({ phase: 'vote', value: vote(['mostAccurate', P2]) }),
+            [P4]: ''
+        };
+        expect(tallyVotes(answers, scoring)).toEqual({
+            scoreDelta: { [P2]: 3, [P3]: 3, [P1]: -1 },
+            usageDelta: {
+                [P1]: { funniest: 1, mostAccurate: 1 },
+                [P2]: { funniest: 1, mostDestroyed: 1 },
+                [P3]: { mostAccurate: 1 }
+            }
+        });
+    });
+
+    it('drops votes for yourself, for players outside the round, repeats and votes over the limit', () => {
+        const answers = {
+            [P1]: encodeAnswer({ phase: 'vote', value: vote(['funniest', P1], ['mostAccurate', P4], ['mostDestroyed', P2]) }),
+            [P2]: encodeAnswer({ phase: 'vote', value: vote(['mostAccurate', P3], ['mostAccurate', P1]) }),
+            [P3]: encodeAnswer({ phase: 'vote', value: vote(['funniest', P1], ['bestDrawing', P2]) })
+        };
+        const options = { playerOrder: [P1, P2, P3], votesUsed: { [P3]: { funniest: 3 } }, limits: { funniest: 3, mostAccurate: 1, mostDestroyed: 1 } };
+
+        expect(tallyVotes(answers, scoring, options)).toEqual({
+            scoreDelta: { [P2]: -1, [P3]: 2 },
+            usageDelta: { [P1]: { mostDestroyed: 1 }, [P2]: { mostAccurate: 1 } }
+        });
+    });
+
+    it('ignores drafts and unreadable votes', () => {
+        const answers = {
+            [P1]: encodeAnswer({ phase: 'vote', value: '', draft: true }),
+            [P2]: 'not a vote',
+            [P3]: encodeAnswer({ phase: 'text', value: 'hello' })
+        };
+        expect(tallyVotes(answers, scoring)).toEqual({ scoreDelta: {}, usageDelta: {} });
+    });
+
+    it('clamps scores at zero and keeps progression for players whose row is gone', () => {
+        const players = makePlayers(2).map(p => ({ ...p, score: 1, votes_used: { funniest: 2 } }));
+        const result = applyScores([P1, P2, P3], players, { [P3]: 4 }, {
+            scoreDelta: { [P1]: -3, [P2]: 2, [P3]: 1 },
+            usageDelta: { [P2]: { funniest: 1, mostAccurate: 1 } }
+        });
+
+        expect(result.cachedScores).toEqual({ [P1]: 0, [P2]: 3, [P3]: 5 });
+        expect(result.updates).toEqual([
+            { id: P1, score: 0, votes_used: { funniest: 2 } },
+            { id: P2, score: 3, votes_used: { funniest: 3, mostAccurate: 1 } }
+        ]);
+    });
+
+    it('scores the vote phase with the room mode rules and archives the round', async () => {
+        const engine = createReducerEngine();
+        const settings = makeSettings();
+        settings.mode_rules = { ...settings.mode_rules, scoring: { funniest: 5, mostAccurate: 2, mostDestroyed: -1 } };
+        const votes = { [P1]: vote(['funniest', P2]), [P2]: vote(['funniest', P3], ['mostAccurate', P1]), [P3]: vote(['mostDestroyed', P2]) };
+        const answer = (phase, id) => phase === 'vote' ? votes[id] : defaultAnswer(phase, id);
+
+        await playGame(engine, { players: makePlayers(3), settings, answer, until: 'scoreboard' });
+        const state = await engine.read();
+        const score = (id) => state.players.find(p => p.id === id).score;
+
+        expect(score(P1)).toBe(2);
+        expect(score(P2)).toBe(4);
+        expect(score(P3)).toBe(5);
+        expect(state.settings.cached_scores).toEqual({ [P1]: 2, [P2]: 4, [P3]: 5 });
+        expect(state.players.find(p => p.id === P2).votes_used).toEqual({ funniest: 1, mostAccurate: 1 });
+
+        const game = engine.store.games[state.settings.game_id];
+        expect(game.rounds).toHaveLength(1);
+        expect(game.rounds[0].votes[P2]).toEqual(votes[P2]);
+    });
+
+    it('records the winner of the game and starts the next one from zero', async () => {
+        const engine = createReducerEngine();
+        const votes = { [P1]: vote(['mostAccurate', P3]), [P2]: vote(['mostAccurate', P3]), [P3]: vote(['funniest', P1]) };
+        const answer = (phase, id) => phase === 'vote' ? votes[id] : defaultAnswer(phase, id);
+
+        await playGame(engine, { players: makePlayers(3), settings: makeSettings(), answer, until: 'winner' });
+        let state = await engine.read();
+        const gameId = Object.keys(engine.store.games)[0];
+
+        expect(state.settings.match.games).toEqual([expect.objectContaining({ game: 1, winnerId: P3 })]);
+        expect(engine.store.games[gameId]).toMatchObject({ winner_id: P3, scores: { [P3]: 4 } });
+        expect(state.settings.game_id).toBeUndefined();
+
+        await engine.advance('winner', 'text', state.players.map(p => p.id));
+        state = await engine.read();
+        expect(state.settings.cached_scores).toEqual({});
+        expect(state.players.every(p => p.score === 0)).toBe(true);
+    });
+
+    it('starts the game from the lobby with everyone at zero', async () => {
+        const engine = createReducerEngine();
+        const players = makePlayers(3).map(p => ({ ...p, score: 3, votes_used: { funniest: 1 } }));
+        await engine.setup({ players, settings: makeSettings({ cached_scores: { [P1]: 3 } }) });
+
+        await engine.advance('lobby', 'text', players.map(p => p.id));
+        const state = await engine.read();
+        expect(state.status).toBe('playing');
+        expect(state.settings.cached_scores).toEqual({});
+        expect(state.players.every(p => p.score === 0)).toBe(true);
+    });
+
+    it('discards an unfinished game when the room goes back to the lobby', async () => {
+        const engine = createReducerEngine();
+        await playGame(engine, { players: makePlayers(3), settings: makeSettings(), until: 'scoreboard' });
+        expect(Object.keys(engine.store.games)).toHaveLength(1);
+
+        await engine.advance('scoreboard', 'lobby', []);
+        const state = await engine.read();
+        expect(engine.store.games).toEqual({});
+        expect(state.status).toBe('lobby');
+        expect(state.settings.player_order).toEqual([]);
+    });
+});
+
+describe('gameReducer: transitions', () => {
+    const settings = makeSettings({ player_order: [P1, P2, P3] });
+    const transition = (phase, toPhase, presenceIds) => reducePhaseTransition({ roomId: 'r', settings, status: 'playing', phase, players: makePlayers(3), presenceIds }, phase, toPhase);
+
+    it('only follows the mode order, plus the host shortcuts', () => {
+        expect(getAllowedNextPhases('text', settings, 3)).toEqual(['emoji_1']);
+        expect(getAllowedNextPhases('interpretation_1', settings, 3)).toEqual(['reveal']);
+        expect(getAllowedNextPhases('vote', settings, 3)).toEqual(['scoreboard']);
+        expect(getAllowedNextPhases('scoreboard', settings, 3)).toEqual(['winner', 'text', 'lobby']);
+        expect(getAllowedNextPhases('match', settings, 3)).toEqual(['lobby']);
+    });
+
+    it('refuses a phase that does not follow', () => {
+        expect(() => transition('text', 'vote', [P1, P2, P3])).toThrow('vote cannot follow text');
+        expect(() => transition('emoji_1', 'scoreboard', [P1, P2])).toThrow();
+    });
+
+    it('ends the game early when fewer than two players are online', () => {
+        expect(transition('emoji_1', 'scoreboard', [P1]).applied).toBe(true);
+    });
+
+    it('refuses a room without the mode rules snapshot', () => {
+        const { mode_rules, ...withoutRules } = settings;
+        expect(mode_rules).toBeDefined();
+        expect(() => reducePhaseTransition({ roomId: 'r', settings: withoutRules, phase: 'text', players: makePlayers(3) }, 'text', 'emoji_1')).toThrow('mode_rules');
+    });
+});
+
+describe('gameReducer: timers', () => {
+    it('sets the phase expiry from the mode timers', () => {
+        const settings = makeSettings({ selectedMode: 'Draw', roundTime: 40, player_order: [P1, P2, P3] });
+        const result = reducePhaseTransition({ roomId: 'r', settings, status: 'playing', phase: 'text', players: makePlayers(3), now: 1000 }, 'text', 'draw_1');
+
+        expect(result.gameState).toEqual({ phase: 'draw_1', timer: 60, phase_expiry: 1000 + 60000 + 1000 });
+    });
+});
@@ -0,0 +1,372 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import { createDatabase, queryAs } from '../support/database';
+import { createSqlEngine } from '../support/sqlEngine';
+import { createReducerEngine, defaultAnswer, makePlayers, makeSettings, playGame, playerId } from '../support/gameRunner';
+import { normalizeEmojiAnswer } from '../../src/contexts/room/emojiGuard';
+import { decodeAnswer } from '../../src/contexts/room/answerCodec';
+
+const HOST = playerId(1);
+const P2 = playerId(2);
+const P3 = playerId(3);
+const P4 = playerId(4);
+const OUTSIDER = playerId(99);
+
+const MODE_RULES_MIGRATION = fileURLToPath(new URL('../../supabase/migrations/20261019002700_mode_rules_backfill.sql', import.meta.url));
+
+let db;
+
+const vote = (...votes) => votes.map(([category, targetId]) => ({ category, targetId }));
+
+// Votes players have already used in the game, as advance_phase records them
+const setVotesUsed = async (votesUsed) => {
+    for (const [id, used] of Object.entries(votesUsed)) {
+        await db.query(`update players set votes_used = $2 where id = $1`, [id, used]);
+    }
+};
+
+// Postgres error code of a failed call, or null
+const errorCode = async (promise) => {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err.code;
+    }
+};
+
+beforeAll(async () => {
+    db = await createDatabase();
+});
+
+beforeEach(async () => {
+    await db.exec('delete from rooms');
+});
+
+describe('advance_phase authorization', () => {
+    let engine;
+    const everyone = [HOST, P2, P3, P4];
+
+    beforeEach(async () => {
+        engine = createSqlEngine(db);
+        await playGame(engine, { players: makePlayers(4), settings: makeSettings(), until: 'emoji_1' });
+    });
+
+    const expire = () => db.query(`update game_state set phase_expiry = (extract(epoch from now()) * 1000)::bigint - 1000 where room_id = $1`, [engine.roomId]);
+    const phase = async () => (await engine.read()).phase;
+
+    it('lets the host end a phase before its timer', async () => {
+        expect(await engine.advance('emoji_1', 'interpretation_1', everyone)).toEqual({ applied: true });
+        expect(await phase()).toBe('interpretation_1');
+    });
+
+    it('refuses an outsider', async () => {
+        expect(await errorCode(engine.advance('emoji_1', 'interpretation_1', everyone, { as: OUTSIDER }))).toBe('42501');
+        expect(await phase()).toBe('emoji_1');
+    });
+
+    it('refuses a player before the phase timer has run out', async () => {
+        expect(await errorCode(engine.advance('emoji_1', 'interpretation_1', everyone, { as: P2 }))).toBe('42501');
+        expect(await phase()).toBe('emoji_1');
+    });
+
+    it('lets a player take the room to the next phase once the timer has run out', async () => {
+        await expire();
+        expect(await engine.advance('emoji_1', 'interpretation_1', everyone, { as: P2 })).toEqual({ applied: true });
+        expect(await phase()).toBe('interpretation_1');
+    });
+
+    it("refuses a player the host's shortcuts, even after the timer", async () => {
+        await expire();
+        expect(await errorCode(engine.advance('emoji_1', 'scoreboard', [P2], { as: P2 }))).toBe('42501');
+        expect(await phase()).toBe('emoji_1');
+    });
+
+    it('refuses a phase that does not follow, even to the host', async () => {
+        expect(await errorCode(engine.advance('emoji_1', 'vote', everyone))).toBe('22023');
+        expect(await errorCode(engine.advance('emoji_1', 'emoji_2', everyone))).toBe('22023');
+        expect(await errorCode(engine.advance('emoji_1', 'winner', everyone))).toBe('22023');
+        expect(await phase()).toBe('emoji_1');
+    });
+
+    it('lets the host end the game early only when fewer than two players are online', async () => {
+        expect(await errorCode(engine.advance('emoji_1', 'scoreboard', [HOST, P2]))).toBe('22023');
+        expect(await engine.advance('emoji_1', 'scoreboard', [HOST])).toEqual({ applied: true });
+    });
+
+    it('refuses a host whose lease has lapsed like any other player', async () => {
+        await db.query(`insert into host_leases (room_id, player_id, expires_at) values ($1, $2, now() - interval '1 second')`, [engine.roomId, HOST]);
+        expect(await errorCode(engine.advance('emoji_1', 'interpretation_1', everyone))).toBe('42501');
+    });
+
+    it('reports a transition the room already made instead of refusing it', async () => {
+        await engine.advance('emoji_1', 'interpretation_1', everyone);
+        expect(await engine.advance('emoji_1', 'interpretation_1', everyone, { as: P2 })).toEqual({ applied: false });
+        expect(await engine.advance('text', 'vote', everyone, { as: P2 })).toEqual({ applied: false });
+    });
+
+    it('lets the service role move the room on', async () => {
+        const { rows: [{ result }] } = await db.query(`select advance_phase($1, 'emoji_1', 'interpretation_1', $2::uuid[]) as result`, [engine.roomId, everyone]);
+        expect(result.applied).toBe(true);
+    });
+
+    it('keeps the end of the game to the host', async () => {
+        await db.exec('delete from rooms');
+        const sql = createSqlEngine(db);
+        await playGame(sql, { players: makePlayers(3), settings: makeSettings(), until: 'scoreboard' });
+        const ids = [HOST, P2, P3];
+
+        expect(await errorCode(sql.advance('scoreboard', 'winner', ids, { as: P2 }))).toBe('42501');
+        expect(await errorCode(sql.advance('scoreboard', 'match', ids))).toBe('22023');
+        expect(await sql.advance('scoreboard', 'lobby', ids)).toEqual({ applied: true });
+        expect(await errorCode(queryAs(db, P2, `select advance_phase($1, 'lobby', 'text', null)`, [sql.roomId]))).toBe('42501');
+    });
+});
+
+describe('advance_phase game start', () => {
+    it('starts the game from the lobby in one transition', async () => {
+        const players = makePlayers(3).map(p => ({ ...p, score: 4, votes_used: { funniest: 2 } }));
+        const engine = createSqlEngine(db);
+        await engine.setup({ players, settings: makeSettings({ cached_scores: { [P2]: 4 } }) });
+
+        expect(await engine.advance('lobby', 'text', [HOST, P2, P3])).toEqual({ applied: true });
+        const { status, phase, settings, players: rows } = await engine.read();
+        expect(status).toBe('playing');
+        expect(phase).toBe('text');
+        expect([...settings.player_order].sort()).toEqual([HOST, P2, P3]);
+        expect(Object.keys(settings.assignments.text).sort()).toEqual([HOST, P2, P3]);
+        expect(settings.last_transition).toMatchObject({ from: 'lobby', to: 'text' });
+        expect(settings.cached_scores).toEqual({});
+        expect(rows.every(p => p.score === 0 && Object.keys(p.votes_used).length === 0)).toBe(true);
+    });
+});
+
+describe('advance_phase game archive', () => {
+    const readGame = async (id) => (await db.query(`select room_id, rounds, finished_at from games where id = $1`, [id])).rows[0];
+
+    it("never touches another room's game", async () => {
+        const first = createSqlEngine(db);
+        await playGame(first, { players: makePlayers(3), settings: makeSettings(), until: 'scoreboard' });
+        const gameId = (await first.read()).settings.game_id;
+        const before = await readGame(gameId);
+        expect(before.rounds).toHaveLength(1);
+
+        const second = createSqlEngine(db);
+        const players = makePlayers(3).map((p, i) => ({ ...p, id: playerId(11 + i) }));
+        const ids = players.map(p => p.id);
+        await playGame(second, { players, settings: makeSettings(), until: 'vote' });
+        const pointAtFirstGame = () => db.query(
+            `update rooms set settings = jsonb_set(settings, '{game_id}', to_jsonb($2::text)) where id = $1`, [second.roomId, gameId]);
+
+        await pointAtFirstGame();
+        await second.advance('vote', 'scoreboard', ids);
+        const ownGameId = (await second.read()).settings.game_id;
+        expect(ownGameId).not.toBe(gameId);
+        expect((await readGame(ownGameId)).room_id).toBe(second.roomId);
+
+        await pointAtFirstGame();
+        await second.advance('scoreboard', 'winner', ids);
+        await pointAtFirstGame();
+        await second.advance('winner', 'lobby', ids);
+
+        expect(await readGame(gameId)).toEqual(before);
+    });
+});
+
+describe('advance_phase mode rules', () => {
+    it('raises for a room without the mode rules snapshot', async () => {
+        const { mode_rules, ...settings } = makeSettings();
+        expect(mode_rules).toBeDefined();
+        const engine = createSqlEngine(db);
+        await engine.setup({ players: makePlayers(3), settings });
+        expect(await errorCode(engine.advance('lobby', 'text', [HOST, P2, P3]))).toBe('22023');
+        expect((await engine.read()).phase).toBe('lobby');
+    });
+
+    it('gives rooms from before the snapshot the rules of their mode', async () => {
+        const { mode_rules, ...settings } = makeSettings({ selectedMode: 'Draw' });
+        const engine = createSqlEngine(db);
+        await engine.setup({ players: makePlayers(3), settings: { ...settings, mode_rules: { stepCycle: [], scoring: mode_rules.scoring } } });
+        await db.exec(readFileSync(MODE_RULES_MIGRATION, 'utf8'));
+
+        expect((await engine.read()).settings.mode_rules).toEqual(mode_rules);
+        expect(await engine.advance('lobby', 'text', [HOST, P2, P3])).toEqual({ applied: true });
+    });
+
+    it('plays the snapshot, not the mode it was taken from', async () => {
+        const settings = makeSettings({ chainLength: 4 });
+        settings.mode_rules = { ...settings.mode_rules, stepCycle: ['interpretation', 'emoji'] };
+        const { rows: [{ order }] } = await db.query(`select wdym_phase_order($1) as order`, [settings]);
+        expect(order).toEqual(['text', 'interpretation_1', 'emoji_1', 'interpretation_2', 'reveal', 'vote', 'scoreboard', 'winner', 'match']);
+    });
+});
+
+describe('advance_phase emoji answers', () => {
+    const split = async (value) => {
+        const { rows: [{ emojis }] } = await db.query(`select array_to_string(wdym_split_emoji_answer($1), ' ') as emojis`, [value]);
+        return emojis;
+    };
+
+    it('accepts emoji-only answers as emojiGuard does', async () => {
+        for (const value of ['👋🏽👍  ❤', '❤️ ❤', '🇯🇵🏴‍☠️', '👨‍👩‍👧‍👦 🧑🏾‍🩰', '#️⃣ 🫹🏿', '']) {
+            expect(await split(value)).toBe(normalizeEmojiAnswer(value));
+        }
+    });
+
+    it('refuses anything else, as emojiGuard does', async () => {
+        for (const value of ['hello', '🙂 hi', ':-) <3', '😀1', '🇭🇮', '😀🏻', '\uFE0F😀', '👋\u200D']) {
+            expect(normalizeEmojiAnswer(value)).toBeNull();
+            expect(await split(value)).toBeNull();
+        }
+    });
+
+    it('replaces a non-emoji answer with the fallback', async () => {
+        const cheater = playerId(2);
+        const settings = makeSettings({ selectedMode: 'Emoji Only' });
+        const answer = (phase, id, state) => id === cheater && phase.startsWith('emoji') ? 'hello' : defaultAnswer(phase, id, state);
+        const engine = createSqlEngine(db);
+        await playGame(engine, { players: makePlayers(4), settings, answer });
+
+        const { settings: { chains } } = await engine.read();
+        const entries = Object.values(chains).flatMap(chain => chain.history).filter(step => step.playerId === cheater && step.phase !== 'text');
+        expect(entries).toHaveLength(3);
+        expect(entries.map(step => step.content)).not.toContain('hello');
+        expect(entries.every(step => normalizeEmojiAnswer(step.content))).toBe(true);
+    });
+});
+
+describe('advance_phase vote scoring', () => {
+    // votesUsed: { [playerId]: votes_used } once the game has started (the start resets them)
+    const playVotes = async (votes, { players = makePlayers(4), settings = makeSettings(), votesUsed = {} } = {}) => {
+        const engine = createSqlEngine(db);
+        const answer = (phase, id) => phase === 'vote' ? votes[id] || null : defaultAnswer(phase, id);
+        const onPhase = async (phase) => {
+            if (phase === 'text') await setVotesUsed(votesUsed);
+        };
+        await playGame(engine, { players, settings, answer, onPhase, until: 'scoreboard' });
+        const { players: rows } = await engine.read();
+        return Object.fromEntries(rows.map(p => [p.id, { score: p.score, votes_used: p.votes_used }]));
+    };
+
+    it('ignores votes for yourself', async () => {
+        const result = await playVotes({ [P2]: vote(['funniest', P2], ['mostAccurate', P3]) });
+        expect(result[P2]).toEqual({ score: 0, votes_used: { mostAccurate: 1 } });
+        expect(result[P3].score).toBe(2);
+    });
+
+    it('ignores votes for someone who is not in the round', async () => {
+        const result = await playVotes({ [P2]: vote(['mostAccurate', OUTSIDER], ['funniest', P3]) });
+        expect(result[P2].votes_used).toEqual({ funniest: 1 });
+        expect(result[P3].score).toBe(1);
+    });
+
+    it('counts one vote per category per voter', async () => {
+        const result = await playVotes({ [P2]: vote(['mostAccurate', P3], ['mostAccurate', P4], ['mostAccurate', P3]) });
+        expect(result[P3].score).toBe(2);
+        expect(result[P4].score).toBe(0);
+        expect(result[P2].votes_used).toEqual({ mostAccurate: 1 });
+    });
+
+    it('ignores categories the mode does not score', async () => {
+        const result = await playVotes({ [P2]: vote(['bestDrawing', P3]) });
+        expect(result[P3].score).toBe(0);
+        expect(result[P2].votes_used).toEqual({});
+    });
+
+    it("stops counting once a voter has used up the game's votes in a category", async () => {
+        // scoreToWin 5: funniest 3, the others 1
+        const result = await playVotes({ [P2]: vote(['funniest', P3], ['mostAccurate', P4]) }, { votesUsed: { [P2]: { funniest: 3, mostAccurate: 0 } } });
+        expect(result[P3].score).toBe(0);
+        expect(result[P4].score).toBe(2);
+        expect(result[P2].votes_used).toEqual({ funniest: 3, mostAccurate: 1 });
+    });
+
+    it('raises the limits with the score to win', async () => {
+        const result = await playVotes({ [P2]: vote(['mostAccurate', P4]) }, { votesUsed: { [P2]: { mostAccurate: 1 } }, settings: makeSettings({ scoreToWin: 10 }) });
+        expect(result[P4].score).toBe(2);
+    });
+});
+
+// The same scripted games played on gameReducer and on the SQL engine end the same way. Ring order
+// and chain ids are random on the SQL side, so chains are compared as each author's entries.
+describe('advance_phase matches gameReducer', () => {
+    const outcome = async (engine) => {
+        const { phase, settings, players } = await engine.read();
+        const chains = Object.values(settings.chains || {});
+        return {
+            phase,
+            order: [...(settings.player_order || [])].sort(),
+            chainLengths: chains.map(chain => chain.history.length).sort(),
+            entries: chains.flatMap(chain => chain.history.map(step => `${step.phase} ${step.playerId}: ${step.content}`)).sort(),
+            scores: Object.fromEntries(players.map(p => [p.id, p.score])),
+            cached: settings.cached_scores || {}
+        };
+    };
+
+    // votesUsed: as in playVotes above
+    const both = async ({ votesUsed = {}, ...options }) => {
+        const reducer = createReducerEngine();
+        const sql = createSqlEngine(db);
+        const onReducerPhase = async (phase) => {
+            if (phase !== 'text') return;
+            reducer.store.players = reducer.store.players.map(p => votesUsed[p.id] ? { ...p, votes_used: votesUsed[p.id] } : p);
+        };
+        const onSqlPhase = async (phase) => {
+            if (phase === 'text') await setVotesUsed(votesUsed);
+        };
+        await playGame(reducer, { ...options, players: options.players || makePlayers(4), onPhase: onReducerPhase });
+        await playGame(sql, { ...options, players: options.players || makePlayers(4), onPhase: onSqlPhase });
+        return [await outcome(reducer), await outcome(sql)];
+    };
+
+    for (const count of [2, 3, 5, 8, 12]) {
+        it(`plays a Classic game with ${count} players`, async () => {
+            const [reducer, sql] = await both({ players: makePlayers(count), settings: makeSettings() });
+            expect(sql).toEqual(reducer);
+        });
+    }
+
+    it('plays an Emoji Only game with the host emoji rules', async () => {
+        const settings = makeSettings({ selectedMode: 'Emoji Only', emojiRules: { maxEmojis: 1 } });
+        const [reducer, sql] = await both({ players: makePlayers(5), settings });
+        expect(sql).toEqual(reducer);
+    });
+
+    it('falls back on the same non-emoji answers', async () => {
+        const answer = (phase, id, state) => phase.startsWith('emoji') && [P2, P4].includes(id) ? { [P2]: 'hello', [P4]: '🙂🙂 ok' }[id] : defaultAnswer(phase, id, state);
+        const [reducer, sql] = await both({ players: makePlayers(4), settings: makeSettings({ selectedMode: 'Emoji Only' }), answer });
+        expect(sql).toEqual(reducer);
+    });
+
+    it('handles players dropping out mid-chain', async () => {
+        const online = (phase, id) => (id !== P3 || ['lobby', 'text'].includes(phase)) && (id !== playerId(5) || phase !== 'interpretation_1');
+        const [reducer, sql] = await both({ players: makePlayers(6), settings: makeSettings(), online });
+        expect(sql).toEqual(reducer);
+        expect(sql.order).not.toContain(P3);
+    });
+
+    it('scores the same votes the same way', async () => {
+        const votes = {
+            [HOST]: vote(['funniest', P2], ['mostAccurate', P3], ['mostDestroyed', P4]),
+            [P2]: vote(['funniest', P2], ['mostAccurate', HOST], ['mostAccurate', P3]),
+            [P3]: vote(['funniest', OUTSIDER], ['mostDestroyed', HOST]),
+            [P4]: vote(['funniest', P3], ['mostAccurate', P2])
+        };
+        const answer = (phase, id) => phase === 'vote' ? votes[id] : defaultAnswer(phase, id);
+        const [reducer, sql] = await both({ settings: makeSettings(), answer, votesUsed: { [P4]: { funniest: 3 } }, until: 'scoreboard' });
+        expect(sql).toEqual(reducer);
+        expect(sql.scores).toEqual({ [HOST]: 1, [P2]: 3, [P3]: 2, [P4]: 0 });
+    });
+});
+
+describe('wdym_decode_answer', () => {
+    it('reads legacy answers as answerCodec does', async () => {
+        const legacy = ['Plot twist: the cat did it', 'a cat on a mat', 'text:Healed: late', 'draft_emoji:🐱', 'vote:funniest:' + P2];
+        for (const raw of legacy) {
+            const { rows: [{ answer }] } = await db.query(`select wdym_decode_answer($1) as answer`, [raw]);
+            const { kind, draft, healed, value } = decodeAnswer(raw);
+            expect(answer, raw).toMatchObject({ kind, draft, healed, value });
+        }
+    });
+});
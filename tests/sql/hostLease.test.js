@@ -0,0 +1,111 @@
+import { beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import { createDatabase, queryAs } from '../support/database';
+import { createSqlEngine } from '../support/sqlEngine';
+import { createReducerEngine, makePlayers, makeSettings, playGame, playerId } from '../support/gameRunner';
+import { getNextPhase } from '../../src/contexts/room/roomUtils';
+
+const HOST = playerId(1);
+const P2 = playerId(2);
+const P3 = playerId(3);
+
+// Every phase of a 4-player Classic game, from the lobby to the match summary (a host gone before the
+// first round leaves a 3-player game, without emoji_2)
+const PHASES = ['lobby', 'text', 'emoji_1', 'interpretation_1', 'emoji_2', 'reveal', 'vote', 'scoreboard', 'winner', 'match'];
+
+let db;
+
+const claim = async (uid, roomId) => (await queryAs(db, uid, `select claim_host($1) as result`, [roomId])).rows[0].result;
+const hosts = async (roomId) => (await db.query(`select id from players where room_id = $1 and is_host`, [roomId])).rows.map(r => r.id);
+
+// Postgres error code of a failed call, or null
+const errorCode = async (promise) => {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err.code;
+    }
+};
+
+beforeAll(async () => {
+    db = await createDatabase();
+});
+
+beforeEach(async () => {
+    await db.exec('delete from rooms');
+});
+
+// The host drops in `dropAt`: no more renewals or heartbeats, and its lease runs out. The other players
+// are still there, so the earliest joined of them (P2) is elected and takes the room over where it was.
+describe('host drop', () => {
+    const outcome = async (engine) => {
+        const { phase, status, settings, players } = await engine.read();
+        return {
+            phase,
+            status,
+            order: [...(settings.player_order || [])].sort(),
+            entries: Object.values(settings.chains || {}).flatMap(chain => chain.history.map(step => `${step.phase} ${step.playerId}: ${step.content}`)).sort(),
+            scores: Object.fromEntries(players.map(p => [p.id, p.score]))
+        };
+    };
+
+    for (const dropAt of PHASES) {
+        it(`hands the room over when the host drops in ${dropAt}`, async () => {
+            const engine = createSqlEngine(db);
+            let dropped = false;
+            let handover = null;
+
+            const onPhase = async (phase, state) => {
+                const roomId = engine.roomId;
+                if (phase === 'lobby') expect((await claim(HOST, roomId)).host).toBe(true);
+                if (phase !== dropAt) return;
+
+                // While the lease holds, nobody else gets the role
+                expect(await claim(P2, roomId)).toEqual({ host: false, holder: HOST });
+
+                await db.query(`update players set last_seen = case when id = $2 then now() - interval '1 minute' else now() end where room_id = $1`, [roomId, HOST]);
+                await db.query(`update host_leases set expires_at = now() - interval '1 second' where room_id = $1`, [roomId]);
+                dropped = true;
+
+                expect(await claim(P3, roomId)).toEqual({ host: false, holder: null });
+                const result = await claim(P2, roomId);
+                expect(result.host).toBe(true);
+                handover = result.handover;
+                expect(handover.game_state.phase).toBe(phase);
+                expect(handover.settings).toEqual({ ...state.settings, manual_host_id: P2 });
+                expect(await hosts(roomId)).toEqual([P2]);
+
+                // The old host coming back finds the role taken and its writes refused, then leaves for good
+                expect(await claim(HOST, roomId)).toEqual({ host: false, holder: P2 });
+                const { affectedRows } = await queryAs(db, HOST, `update rooms set settings = settings || '{"roundTime": 5}' where id = $1`, [roomId]);
+                expect(affectedRows).toBe(0);
+                const next = phase === 'lobby' ? 'text' : getNextPhase(phase, state.settings);
+                if (next) expect(await errorCode(engine.advance(phase, next, [P2, P3], { as: HOST }))).toBe('42501');
+                await db.query(`update players set last_seen = now() - interval '1 minute' where id = $1`, [HOST]);
+            };
+
+            const online = (phase, id) => id !== HOST || !dropped;
+            const played = await playGame(engine, { players: makePlayers(4), settings: makeSettings(), onPhase, online, until: 'match' });
+
+            expect(handover).not.toBeNull();
+            expect(await hosts(engine.roomId)).toEqual([P2]);
+
+            // The game P2 carried on ends as it would have without the handover
+            let reducerDropped = false;
+            const reducer = createReducerEngine();
+            const reducerPlayed = await playGame(reducer, {
+                players: makePlayers(4),
+                settings: makeSettings(),
+                onPhase: async (phase) => { if (phase === dropAt) reducerDropped = true; },
+                online: (phase, id) => id !== HOST || !reducerDropped,
+                until: 'match'
+            });
+            expect(played).toEqual(reducerPlayed);
+            expect(played.at(-1)).toBe('match');
+            const result = await outcome(engine);
+            expect(result).toEqual(await outcome(reducer));
+            // The players voted (gameRunner's default votes), so the scores compared are not all alike
+            expect(new Set(Object.values(result.scores)).size).toBeGreaterThan(1);
+        });
+    }
+});
@@ -0,0 +1,277 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import { createDatabase, createRoom, queryAs } from '../support/database';
+import { makePlayers, makeSettings, playerId } from '../support/gameRunner';
+
+const HOST = playerId(1);
+const P2 = playerId(2);
+const P3 = playerId(3);
+const OUTSIDER = playerId(99);
+
+const UNIQUE_AVATARS_MIGRATION = fileURLToPath(new URL('../../supabase/migrations/20261019002300_unique_avatars.sql', import.meta.url));
+const FINGERPRINT_KICKS_MIGRATION = fileURLToPath(new URL('../../supabase/migrations/20261019002800_drop_fingerprint_kicks.sql', import.meta.url));
+
+let db;
+let roomId;
+
+const as = (uid, sql, params) => queryAs(db, uid, sql, params);
+
+// A write the policies refuse: an error, or no row touched
+const refused = async (uid, sql, params) => {
+    try {
+        const result = await as(uid, sql, params);
+        return result.affectedRows === 0;
+    } catch {
+        return true;
+    }
+};
+
+const player = async (id) => (await db.query(`select * from players where id = $1`, [id])).rows[0];
+const rpc = async (uid, fn, ...args) => {
+    const placeholders = args.map((_, i) => `$${i + 1}`).join(', ');
+    return (await as(uid, `select ${fn}(${placeholders}) as result`, args)).rows[0].result;
+};
+
+beforeAll(async () => {
+    db = await createDatabase();
+});
+
+beforeEach(async () => {
+    await db.exec('delete from rooms');
+    roomId = await createRoom(db, { players: makePlayers(3), settings: makeSettings() });
+    await db.query(`update players set last_seen = now() where room_id = $1`, [roomId]);
+});
+
+describe('players policies', () => {
+    it('does not let a player make themselves host', async () => {
+        expect(await refused(P2, `update players set is_host = true where id = $1`, [P2])).toBe(true);
+        expect((await player(P2)).is_host).toBe(false);
+    });
+
+    it('does not let a player set their own score or votes', async () => {
+        expect(await refused(P2, `update players set score = 50 where id = $1`, [P2])).toBe(true);
+        expect(await refused(P2, `update players set votes_used = '{}' where id = $1`, [P2])).toBe(true);
+        expect((await player(P2)).score).toBe(0);
+    });
+
+    it('does not let a player join as host or with a score', async () => {
+        await db.query(`delete from players where id = $1`, [P3]);
+        expect(await refused(P3, `insert into players (room_id, name, avatar, identity_id, is_host) values ($1, 'X', '{"emoji":"🦊"}', $2, true)`, [roomId, P3])).toBe(true);
+        expect(await refused(P3, `insert into players (room_id, name, avatar, identity_id, score) values ($1, 'X', '{"emoji":"🦊"}', $2, 99)`, [roomId, P3])).toBe(true);
+
+        await as(P3, `insert into players (room_id, name, avatar, identity_id) values ($1, 'X', '{"emoji":"🦊"}', $2)`, [roomId, P3]);
+        const { rows } = await db.query(`select is_host, score from players where identity_id = $1`, [P3]);
+        expect(rows).toEqual([{ is_host: false, score: 0 }]);
+    });
+
+    it('lets a player rename themselves but nobody else', async () => {
+        await as(P2, `update players set name = 'Deux' where id = $1`, [P2]);
+        expect((await player(P2)).name).toBe('Deux');
+
+        expect(await refused(P2, `update players set name = 'pwned' where id = $1`, [HOST])).toBe(true);
+        expect((await player(HOST)).name).toBe('P1');
+    });
+
+    it('keeps room settings and phase to the host', async () => {
+        expect(await refused(P2, `update rooms set settings = '{}' where id = $1`, [roomId])).toBe(true);
+        expect(await refused(P2, `update game_state set phase = 'vote' where room_id = $1`, [roomId])).toBe(true);
+
+        await as(HOST, `update rooms set settings = settings || '{"roundTime": 90}' where id = $1`, [roomId]);
+        const { rows: [room] } = await db.query(`select settings from rooms where id = $1`, [roomId]);
+        expect(room.settings.roundTime).toBe(90);
+    });
+
+    it("keeps the phase, scores and match history out of the host's writes", async () => {
+        const match = { games: [{ game: 1, winnerId: P2, scores: { [P2]: 5 } }] };
+        await db.query(`update rooms set settings = settings || $2 where id = $1`, [roomId, { cached_scores: { [P2]: 3 }, match }]);
+
+        expect(await refused(HOST, `update game_state set phase = 'winner' where room_id = $1`, [roomId])).toBe(true);
+        await as(HOST, `update rooms set status = 'finished', settings = settings - 'match' || $2 where id = $1`,
+            [roomId, { cached_scores: { [HOST]: 99 }, roundTime: 45 }]);
+
+        const { rows: [room] } = await db.query(`select status, settings from rooms where id = $1`, [roomId]);
+        expect(room.status).toBe('lobby');
+        expect(room.settings.cached_scores).toEqual({ [P2]: 3 });
+        expect(room.settings.match).toEqual(match);
+        expect(room.settings.roundTime).toBe(45);
+        const { rows: [state] } = await db.query(`select phase from game_state where room_id = $1`, [roomId]);
+        expect(state.phase).toBe('lobby');
+    });
+
+    it("keeps the game the engine dealt out of the host's writes once it runs", async () => {
+        const { rows: [{ result }] } = await as(HOST, `select advance_phase($1, 'lobby', 'text', $2::uuid[]) as result`, [roomId, [HOST, P2, P3]]);
+        const dealt = result.room.settings;
+        const otherGame = '00000000-0000-4000-8000-000000000abc';
+
+        await as(HOST, `update rooms set settings = settings || $2 where id = $1`,
+            [roomId, { game_id: otherGame, chains: {}, player_order: [HOST], mode_rules: {}, roundTime: 45 }]);
+
+        const { rows: [room] } = await db.query(`select settings from rooms where id = $1`, [roomId]);
+        expect(room.settings.game_id).toBeUndefined();
+        expect(room.settings.chains).toEqual(dealt.chains);
+        expect(room.settings.player_order).toEqual(dealt.player_order);
+        expect(room.settings.mode_rules).toEqual(dealt.mode_rules);
+        expect(room.settings.roundTime).toBe(45);
+    });
+
+    it('starts a recreated game state in the lobby', async () => {
+        await as(HOST, `delete from game_state where room_id = $1`, [roomId]);
+        await as(HOST, `insert into game_state (room_id, phase, phase_expiry) values ($1, 'vote', 1)`, [roomId]);
+        const { rows: [state] } = await db.query(`select phase, phase_expiry from game_state where room_id = $1`, [roomId]);
+        expect(state).toEqual({ phase: 'lobby', phase_expiry: null });
+    });
+});
+
+describe('answers policies', () => {
+    let settings;
+
+    beforeEach(async () => {
+        const { rows: [{ result }] } = await as(HOST, `select advance_phase($1, 'lobby', 'text', $2::uuid[]) as result`, [roomId, [HOST, P2, P3]]);
+        settings = result.room.settings;
+    });
+
+    const answer = (phase, value) => `a2:${JSON.stringify({ k: 'text', d: false, p: phase, r: settings.last_transition.at, v: value })}`;
+
+    it("lets a player write their own answer", async () => {
+        await as(P2, `insert into answers (room_id, player_id, phase, payload) values ($1, $2, 'text', $3)`, [roomId, P2, answer('text', 'hello')]);
+        expect((await player(P2)).last_answer).toBe(answer('text', 'hello'));
+    });
+
+    it("does not let a player write another player's answer", async () => {
+        expect(await refused(P2, `insert into answers (room_id, player_id, phase, payload) values ($1, $2, 'text', $3)`, [roomId, P3, answer('text', 'x')])).toBe(true);
+        expect((await player(P3)).last_answer).toBeNull();
+    });
+
+    it("lets the host write an answer only for a player who has gone quiet", async () => {
+        expect(await refused(HOST, `insert into answers (room_id, player_id, phase, payload) values ($1, $2, 'text', $3)`, [roomId, P2, answer('text', 'x')])).toBe(true);
+        expect((await player(P2)).last_answer).toBeNull();
+
+        await db.query(`update players set last_seen = now() - interval '1 minute' where id = $1`, [P2]);
+        await as(HOST, `insert into answers (room_id, player_id, phase, payload) values ($1, $2, 'text', $3)`, [roomId, P2, answer('text', 'x')]);
+        expect((await player(P2)).last_answer).toBe(answer('text', 'x'));
+    });
+
+    it("does not let a player write into a chain they were not handed", async () => {
+        const otherChain = Object.values(settings.assignments.text).find(chainId => chainId !== settings.assignments.text[P2]);
+        expect(await refused(P2, `insert into answers (room_id, player_id, phase, chain_id, payload) values ($1, $2, 'text', $3, $4)`, [roomId, P2, otherChain, answer('text', 'x')])).toBe(true);
+    });
+
+    it('does not let an outsider write anything', async () => {
+        expect(await refused(OUTSIDER, `insert into answers (room_id, player_id, phase, payload) values ($1, $2, 'text', $3)`, [roomId, P2, answer('text', 'x')])).toBe(true);
+    });
+});
+
+describe('reset_room_scores', () => {
+    beforeEach(async () => {
+        await db.query(`update players set score = 4, votes_used = '{"funniest": 1}' where room_id = $1`, [roomId]);
+    });
+
+    it('is refused to a player who is not the host', async () => {
+        expect(await rpc(P2, 'reset_room_scores', roomId)).toBe(false);
+        expect((await player(P2)).score).toBe(4);
+    });
+
+    it('is refused to an outsider', async () => {
+        expect(await rpc(OUTSIDER, 'reset_room_scores', roomId)).toBe(false);
+        expect((await player(P2)).score).toBe(4);
+    });
+
+    it('clears every score and vote count for the host', async () => {
+        expect(await rpc(HOST, 'reset_room_scores', roomId)).toBe(true);
+        const { rows } = await db.query(`select score, votes_used from players where room_id = $1`, [roomId]);
+        expect(rows).toEqual(rows.map(() => ({ score: 0, votes_used: {} })));
+    });
+});
+
+describe('remove_from_player_order', () => {
+    const playerOrder = async () => (await db.query(`select settings -> 'player_order' as o from rooms where id = $1`, [roomId])).rows[0].o;
+
+    beforeEach(async () => {
+        await as(HOST, `select advance_phase($1, 'lobby', 'text', $2::uuid[])`, [roomId, [HOST, P2, P3]]);
+    });
+
+    it('is refused to a player who is not the host', async () => {
+        const before = await playerOrder();
+        expect(await rpc(P2, 'remove_from_player_order', roomId, [P3])).toBe(false);
+        expect(await playerOrder()).toEqual(before);
+    });
+
+    it('takes players out of the running game for the host, keeping the others in order', async () => {
+        const before = await playerOrder();
+        expect(await rpc(HOST, 'remove_from_player_order', roomId, [P3, OUTSIDER])).toBe(true);
+        expect(await playerOrder()).toEqual(before.filter(id => id !== P3));
+    });
+});
+
+describe('promote_host', () => {
+    const hosts = async () => (await db.query(`select id from players where room_id = $1 and is_host`, [roomId])).rows.map(r => r.id);
+    const hostGone = () => db.query(`update players set last_seen = now() - interval '1 minute' where id = $1`, [HOST]);
+
+    it('lets the host hand the role to another player', async () => {
+        expect(await rpc(HOST, 'promote_host', roomId, P3)).toBe(true);
+        expect(await hosts()).toEqual([P3]);
+    });
+
+    it('is refused to a player while the host is online', async () => {
+        expect(await rpc(P2, 'promote_host', roomId, P2)).toBe(false);
+        expect(await hosts()).toEqual([HOST]);
+    });
+
+    it('lets a player hand a vacant role to the elected player only', async () => {
+        await hostGone();
+        expect(await rpc(P3, 'promote_host', roomId, P3)).toBe(false);
+        expect(await rpc(P3, 'promote_host', roomId, P2)).toBe(true);
+        expect(await hosts()).toEqual([P2]);
+    });
+
+    it('is refused to an outsider, even with the host gone', async () => {
+        await hostGone();
+        expect(await rpc(OUTSIDER, 'promote_host', roomId, P2)).toBe(false);
+        expect(await hosts()).toEqual([HOST]);
+    });
+
+    it('never makes a bot host', async () => {
+        await db.query(`insert into players (room_id, name, avatar, identity_id) values ($1, 'Bot', '{"emoji":"🤖"}', 'bot-1')`, [roomId]);
+        const { rows: [bot] } = await db.query(`select id from players where identity_id = 'bot-1'`);
+        expect(await rpc(HOST, 'promote_host', roomId, bot.id)).toBe(false);
+    });
+});
+
+describe('avatars', () => {
+    const looks = async () => (await db.query(`select avatar from players where room_id = $1 order by created_at, id`, [roomId])).rows.map(r => r.avatar);
+
+    it("refuses a look someone in the room already has", async () => {
+        const [hostAvatar] = await looks();
+        expect(await refused(P2, `update players set avatar = $2 where id = $1`, [P2, { ...hostAvatar, frame: 'glow' }])).toBe(true);
+        expect(await refused(P2, `update players set avatar = $2 where id = $1`, [P2, { emoji: hostAvatar.emoji, color: 'unknown' }])).toBe(true);
+
+        await as(P2, `update players set avatar = $2 where id = $1`, [P2, { ...hostAvatar, color: 'pink' }]);
+        expect((await player(P2)).avatar).toEqual({ ...hostAvatar, color: 'pink' });
+    });
+
+    it('moves players who shared a look before the index to a free one', async () => {
+        await db.exec('drop index players_room_avatar_idx');
+        await db.query(`update players set avatar = '{"emoji":"🦊","color":"none","frame":"solid"}' where room_id = $1`, [roomId]);
+        await db.query(`update players set avatar = '{"emoji":"🦊","color":"violet"}' where id = $1`, [P3]);
+
+        await db.exec(readFileSync(UNIQUE_AVATARS_MIGRATION, 'utf8'));
+
+        expect(await looks()).toEqual([
+            { emoji: '🦊', color: 'none', frame: 'solid' },
+            { emoji: '🦊', color: 'pink', frame: 'solid' },
+            { emoji: '🦊', color: 'violet' }
+        ]);
+    });
+});
+
+describe('kick list', () => {
+    it('drops the device fingerprints migrated from the old kick list', async () => {
+        await db.query(`update rooms set settings = settings || $2 where id = $1`, [roomId, { kicked_identities: ['f_k3j9x2lq0m1abc', P2, 'bot-7hd2'] }]);
+
+        await db.exec(readFileSync(FINGERPRINT_KICKS_MIGRATION, 'utf8'));
+
+        const { rows: [room] } = await db.query(`select settings from rooms where id = $1`, [roomId]);
+        expect(room.settings.kicked_identities).toEqual([P2, 'bot-7hd2']);
+    });
+});
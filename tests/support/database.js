@@ -0,0 +1,65 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PGlite } from '@electric-sql/pglite';
+
+// A throwaway Postgres (PGlite, in-process) with what the migrations expect from Supabase: the anon and
+// authenticated roles, auth.uid() read from the request's JWT subject, and Supabase's default grants.
+// Every migration in supabase/migrations is applied in order, as `supabase db reset` does.
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../supabase/migrations/', import.meta.url));
+
+const SUPABASE_SHIM = `
+    create role anon;
+    create role authenticated;
+    create schema auth;
+    create function auth.uid() returns uuid language sql stable as $$
+        select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid
+    $$;
+    grant usage on schema auth to anon, authenticated;
+    grant usage on schema public to anon, authenticated;
+    alter default privileges in schema public grant all on tables to anon, authenticated;
+    alter default privileges in schema public grant all on sequences to anon, authenticated;
+    alter default privileges in schema public grant all on functions to anon, authenticated;
+`;
+
+export const createDatabase = async () => {
+    const db = new PGlite();
+    await db.exec(SUPABASE_SHIM);
+    for (const file of readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort()) {
+        try {
+            await db.exec(readFileSync(`${MIGRATIONS_DIR}${file}`, 'utf8'));
+        } catch (err) {
+            throw new Error(`database: ${file} failed: ${err.message}`);
+        }
+    }
+    return db;
+};
+
+// Runs a query as a signed-in player (the `authenticated` role with auth.uid() = uid), as PostgREST
+// does for a client request. Returns the PGlite result; errors are thrown.
+export const queryAs = async (db, uid, sql, params = []) => {
+    await db.exec('set role authenticated');
+    try {
+        await db.query(`select set_config('request.jwt.claim.sub', $1, false)`, [uid]);
+        return await db.query(sql, params);
+    } finally {
+        await db.query(`select set_config('request.jwt.claim.sub', '', false)`);
+        await db.exec('reset role');
+    }
+};
+
+// Room in the lobby with one row per player (identity_id = the player's id, so uid = player id, and an
+// avatar of their own) and every heartbeat stale: who is online comes from the presence ids passed to
+// advance_phase
+export const createRoom = async (db, { players, settings = {}, code = 'TEST' }) => {
+    const { rows: [room] } = await db.query(
+        `insert into rooms (room_code, settings) values ($1, $2) returning id`, [code, settings]);
+    for (const [i, p] of players.entries()) {
+        await db.query(
+            `insert into players (id, room_id, name, avatar, identity_id, is_host, score, votes_used, created_at, last_seen)
+             values ($1, $2, $3, $4, $5, $6, $7, $8, $9, now() - interval '1 minute')`,
+            [p.id, room.id, p.name, { emoji: String.fromCodePoint(0x1F600 + i) }, p.identity_id || p.id, !!p.is_host, p.score || 0, p.votes_used || {}, p.created_at]);
+    }
+    await db.query(`insert into game_state (room_id, phase) values ($1, 'lobby')`, [room.id]);
+    return room.id;
+};
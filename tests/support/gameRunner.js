@@ -0,0 +1,156 @@
+import { reducePhaseTransition, isGameplayPhase } from '../../src/contexts/room/gameReducer';
+import { encodeAnswer, getAnswerKind, getRoundId } from '../../src/contexts/room/answerCodec';
+import { getNextPhase } from '../../src/contexts/room/roomUtils';
+import { getModeRules } from '../../src/contexts/room/gameModes';
+
+// Drives a room through whole games against an engine, so the same scripted game can be played on
+// gameReducer (createReducerEngine below) and on the SQL advance_phase (tests/support/sqlEngine.js).
+//
+// An engine is { setup({ players, settings }), answer(playerId, phase, value), advance(from, to, onlineIds),
+// read() }, all async; read() returns { settings, status, phase, players }.
+
+export const START_TIME = Date.UTC(2026, 9, 19, 12);
+
+// Stable uuids, so a failing scenario names the same players on every run
+export const playerId = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+export const makePlayers = (count) => Array.from({ length: count }, (_, i) => ({
+    id: playerId(i + 1),
+    name: `P${i + 1}`,
+    is_host: i === 0,
+    score: 0,
+    votes_used: {},
+    last_answer: null,
+    last_seen: null,
+    created_at: new Date(START_TIME + i).toISOString()
+}));
+
+// Lobby settings as startGame writes them, mode rules snapshot included
+export const makeSettings = (overrides = {}) => {
+    const settings = { selectedMode: 'Classic', roundTime: 60, voteDuration: 30, scoreToWin: 5, ...overrides };
+    return { ...settings, mode_rules: getModeRules(settings) };
+};
+
+// Different emojis at each step, so none repeats the emojis a player was handed (noPromptEmojis)
+const STEP_EMOJIS = ['🐱 🎩', '🐶 🍕', '🚀 🌙', '🌵 🎸', '🍩 🐙', '🎈 🦊', '⚽ 🌋', '🧀 🐝', '🎻 🐢', '🍉 🛸', '🦄 🎲'];
+
+// Votes a player casts by default: one per scored category, for the other players of the round by id
+// (the first category for the lowest one, and so on), so every game ends with uneven scores to compare.
+// Both are sorted, as advance_phase shuffles player_order and a jsonb read back from Postgres does not
+// keep the key order.
+const defaultVotes = (id, settings) => {
+    const others = [...(settings?.player_order || [])].sort().filter(other => other !== id);
+    if (others.length === 0) return null;
+    return Object.keys(settings.mode_rules?.scoring || {}).sort().map((category, i) => ({ category, targetId: others[i % others.length] }));
+};
+
+// Answer a player gives by default: a phrase, emojis or a guess naming its author and phase, and in the
+// vote the votes above (state: the room as the engine reads it)
+export const defaultAnswer = (phase, id, state) => {
+    const kind = getAnswerKind(phase);
+    if (kind === 'text') return `Sentence by ${id}`;
+    if (kind === 'emoji') return STEP_EMOJIS[(parseInt(phase.split('_')[1], 10) - 1) % STEP_EMOJIS.length];
+    if (kind === 'drawing') return JSON.stringify({ strokes: [], by: id });
+    if (kind === 'guess') return `Guess by ${id} in ${phase}`;
+    if (phase === 'vote') return defaultVotes(id, state?.settings);
+    return null;
+};
+
+// In-memory engine: applies the reducer's effects to a plain room, players and games store
+export const createReducerEngine = ({ now = START_TIME } = {}) => {
+    const store = { roomId: 'room-1', roomCode: 'ABCD', settings: {}, status: 'lobby', phase: 'lobby', players: [], games: {} };
+    let clock = now;
+    let nextGameId = 1;
+
+    const applyArchive = ({ archive, match: { id }, values }) => {
+        if (archive === 'round') {
+            const { round, ...row } = values;
+            const game = store.games[id] || { id, ...row, rounds: [] };
+            store.games[id] = { ...game, player_names: row.player_names, rounds: [...game.rounds, { ...round, round: game.rounds.length + 1 }] };
+        } else if (archive === 'finish' && store.games[id]) {
+            store.games[id] = { ...store.games[id], ...values, finished_at: clock };
+        } else if (archive === 'discard' && !store.games[id]?.finished_at) {
+            delete store.games[id];
+        }
+    };
+
+    const applyEffect = (effect) => {
+        if (effect.archive) return applyArchive(effect);
+        const { table, match, values } = effect;
+        if (table === 'players') {
+            store.players = store.players.map(p => (match.id ? p.id === match.id : true) ? { ...p, ...values } : p);
+        } else if (table === 'rooms') {
+            store.settings = values.settings;
+            store.status = values.status;
+        } else if (table === 'game_state') {
+            store.phase = values.phase;
+            store.gameState = values;
+        }
+    };
+
+    return {
+        store,
+        setup: async ({ players, settings }) => {
+            store.players = players.map(p => ({ ...p }));
+            store.settings = { ...settings };
+        },
+        answer: async (id, phase, value, { draft = false } = {}) => {
+            const raw = encodeAnswer({ phase, value, draft, round: getRoundId(store.settings) });
+            store.players = store.players.map(p => p.id === id ? { ...p, last_answer: raw } : p);
+        },
+        advance: async (fromPhase, toPhase, onlineIds = []) => {
+            clock += 1000;
+            const result = reducePhaseTransition({
+                roomId: store.roomId,
+                roomCode: store.roomCode,
+                settings: store.settings,
+                status: store.status,
+                phase: store.phase,
+                players: store.players,
+                presenceIds: onlineIds,
+                now: clock,
+                shuffle: (arr) => [...arr],
+                generateId: () => `game-${nextGameId++}`
+            }, fromPhase, toPhase);
+            result.effects.forEach(applyEffect);
+            return { applied: result.applied };
+        },
+        read: async () => ({ settings: store.settings, status: store.status, phase: store.phase, players: store.players })
+    };
+};
+
+// Plays from the lobby up to `until` (default: the reveal). For each phase:
+//   onPhase(phase, state) -> runs as the room enters it (the lobby included), before anyone answers
+//   online(phase, id) -> false for players who are gone (no presence, no heartbeat)
+//   answer(phase, id, state) -> the value a player submits, null to submit nothing
+// Returns the phases played, in order.
+export const playGame = async (engine, { players, settings, onPhase = async () => {}, online = () => true, answer = defaultAnswer, until = 'reveal' }) => {
+    await engine.setup({ players, settings });
+    await onPhase('lobby', await engine.read());
+    const played = [];
+    let from = 'lobby';
+    let to = 'text';
+
+    while (to) {
+        const { settings: current } = await engine.read();
+        const ids = players.map(p => p.id);
+        const onlineIds = ids.filter(id => online(from, id));
+        const { applied } = await engine.advance(from, to, onlineIds);
+        if (!applied) throw new Error(`gameRunner: ${from} -> ${to} was not applied (room settings phase: ${current?.phase})`);
+        played.push(to);
+        await onPhase(to, await engine.read());
+        if (to === until) break;
+
+        const state = await engine.read();
+        if (isGameplayPhase(to) || to === 'vote') {
+            for (const id of state.settings.player_order || []) {
+                if (!online(to, id)) continue;
+                const value = answer(to, id, state);
+                if (value != null) await engine.answer(id, to, value);
+            }
+        }
+        from = to;
+        to = getNextPhase(to, state.settings);
+    }
+    return played;
+};
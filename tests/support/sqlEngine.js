@@ -0,0 +1,36 @@
+import { encodeAnswer, getRoundId } from '../../src/contexts/room/answerCodec';
+import { createRoom, queryAs } from './database';
+
+// gameRunner engine on the SQL side: answers go into the `answers` table as their player, and whoever
+// hosts the room at the time moves it on through the advance_phase RPC, as the client does
+export const createSqlEngine = (db) => {
+    let roomId = null;
+
+    const read = async () => {
+        const { rows: [room] } = await db.query(`select settings, status from rooms where id = $1`, [roomId]);
+        const { rows: [state] } = await db.query(`select * from game_state where room_id = $1`, [roomId]);
+        const { rows: players } = await db.query(`select * from players where room_id = $1 order by created_at`, [roomId]);
+        return { settings: room.settings, status: room.status, phase: state.phase, gameState: state, players };
+    };
+
+    return {
+        get roomId() { return roomId; },
+        setup: async ({ players, settings }) => {
+            roomId = await createRoom(db, { players, settings });
+        },
+        answer: async (id, phase, value, { draft = false } = {}) => {
+            const { settings } = await read();
+            await queryAs(db, id, `insert into answers (room_id, player_id, phase, chain_id, payload) values ($1, $2, $3, $4, $5)`, [
+                roomId, id, phase, settings.assignments?.[phase]?.[id] || null,
+                encodeAnswer({ phase, value, draft, round: getRoundId(settings) })
+            ]);
+        },
+        advance: async (fromPhase, toPhase, onlineIds = [], { as } = {}) => {
+            const caller = as || (await db.query(`select id from players where room_id = $1 and is_host`, [roomId])).rows[0]?.id;
+            const { rows: [{ result }] } = await queryAs(db, caller,
+                `select advance_phase($1, $2, $3, $4::uuid[]) as result`, [roomId, fromPhase, toPhase, onlineIds]);
+            return { applied: result.applied };
+        },
+        read
+    };
+};
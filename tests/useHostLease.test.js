@@ -0,0 +1,116 @@
+// @vitest-environment jsdom
+import { useEffect, useRef, useState } from 'react';
+import { act, renderHook } from '@testing-library/react';
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { supabase } from '../src/supabaseClient';
+import { useHostLease } from '../src/contexts/room/useHostLease';
+import { makePlayers, playerId } from './support/gameRunner';
+
+vi.mock('../src/supabaseClient', () => ({ supabase: { rpc: vi.fn() } }));
+
+const P1 = playerId(1);
+const P2 = playerId(2);
+const P3 = playerId(3);
+const ROOM = { id: 'room-1', status: 'playing', settings: { player_order: [P1, P2, P3], reveal_step: 0 } };
+
+// The room state RoomContext keeps around the hook: state, refs synced from it, and the host's presence
+const useLeaseRoom = ({ me, online, room = ROOM, players = makePlayers(3), promotePlayerToHost = async () => {} }) => {
+    const [roomState, setRoom] = useState(room);
+    const [playerList, setPlayers] = useState(players);
+    const [currentPlayer, setCurrentPlayer] = useState(players.find(p => p.id === me));
+    const [gameState, setGameState] = useState({ phase: 'reveal', phase_expiry: null });
+    const onlinePlayerIds = new Set(online);
+
+    const roomRef = useRef(roomState);
+    const playersRef = useRef(playerList);
+    const currentPlayerRef = useRef(currentPlayer);
+    const onlinePlayerIdsRef = useRef(onlinePlayerIds);
+    useEffect(() => { roomRef.current = roomState; }, [roomState]);
+    useEffect(() => { playersRef.current = playerList; }, [playerList]);
+    useEffect(() => { currentPlayerRef.current = currentPlayer; }, [currentPlayer]);
+    useEffect(() => { onlinePlayerIdsRef.current = onlinePlayerIds; });
+
+    const { handOverHost } = useHostLease({
+        room: roomState, players: playerList, currentPlayer, onlinePlayerIds,
+        roomRef, playersRef, currentPlayerRef, onlinePlayerIdsRef,
+        setRoom, setPlayers, setCurrentPlayer, setGameState, promotePlayerToHost
+    });
+    return { room: roomState, players: playerList, currentPlayer, gameState, handOverHost };
+};
+
+const hosts = (result) => result.current.players.filter(p => p.is_host).map(p => p.id);
+const claims = () => supabase.rpc.mock.calls.filter(([fn]) => fn === 'claim_host');
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    supabase.rpc.mockReset();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('useHostLease', () => {
+    it('renews the lease while hosting', async () => {
+        supabase.rpc.mockResolvedValue({ data: { host: true, holder: P1 }, error: null });
+        const { result } = renderHook(() => useLeaseRoom({ me: P1, online: [P1, P2, P3] }));
+
+        await act(() => vi.advanceTimersByTimeAsync(0));
+        expect(claims()).toHaveLength(1);
+        expect(claims()[0]).toEqual(['claim_host', { p_room_id: ROOM.id }]);
+
+        await act(() => vi.advanceTimersByTimeAsync(10000));
+        expect(claims()).toHaveLength(3);
+        expect(result.current.currentPlayer.is_host).toBe(true);
+    });
+
+    it('leaves the role alone while the host is online', async () => {
+        supabase.rpc.mockResolvedValue({ data: { host: false, holder: P1 }, error: null });
+        renderHook(() => useLeaseRoom({ me: P2, online: [P1, P2, P3] }));
+
+        await act(() => vi.advanceTimersByTimeAsync(15000));
+        expect(claims()).toHaveLength(0);
+    });
+
+    it('takes over with the room state handed back when the host is gone', async () => {
+        const handover = {
+            settings: { ...ROOM.settings, reveal_step: 4, manual_host_id: P2 },
+            game_state: { phase: 'vote', phase_expiry: 123 }
+        };
+        supabase.rpc.mockResolvedValue({ data: { host: true, holder: P2, handover }, error: null });
+        const { result } = renderHook(() => useLeaseRoom({ me: P2, online: [P2, P3] }));
+
+        await act(() => vi.advanceTimersByTimeAsync(0));
+        expect(claims().length).toBeGreaterThan(0);
+        expect(result.current.room.settings).toEqual(handover.settings);
+        expect(result.current.gameState).toEqual(handover.game_state);
+        expect(result.current.currentPlayer.is_host).toBe(true);
+        expect(hosts(result)).toEqual([P2]);
+    });
+
+    it('steps down when the lease went to someone else', async () => {
+        supabase.rpc.mockResolvedValue({ data: { host: false, holder: P2 }, error: null });
+        const { result } = renderHook(() => useLeaseRoom({ me: P1, online: [P1, P2, P3] }));
+
+        await act(() => vi.advanceTimersByTimeAsync(0));
+        expect(result.current.currentPlayer.is_host).toBe(false);
+        expect(hosts(result)).toEqual([P2]);
+
+        // No longer the host and P2 is online: no more claims
+        const count = claims().length;
+        await act(() => vi.advanceTimersByTimeAsync(15000));
+        expect(claims()).toHaveLength(count);
+    });
+
+    it('hands the role to the elected player when the host leaves', async () => {
+        supabase.rpc.mockResolvedValue({ data: { host: true, holder: P1 }, error: null });
+        const promotePlayerToHost = vi.fn(async () => {});
+        // P2 joined first but only watches: P3, still in the game, comes first
+        const room = { ...ROOM, settings: { ...ROOM.settings, player_order: [P1, P3] } };
+        const { result } = renderHook(() => useLeaseRoom({ me: P1, online: [P1, P2, P3], room, promotePlayerToHost }));
+
+        await act(() => vi.advanceTimersByTimeAsync(0));
+        await act(() => result.current.handOverHost());
+        expect(promotePlayerToHost).toHaveBeenCalledWith(P3);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { getWordFilter, hasBlockedWords, maskBlockedWords } from '../src/contexts/room/wordFilter';
+
+const filter = getWordFilter({ wordFilter: { enabled: true, customWords: ['brocoli'] } });
+
+describe('wordFilter', () => {
+    it('checks a text against every bundled list', () => {
+        expect(hasBlockedWords('what the fuuuck', filter)).toBe(true);
+        expect(hasBlockedWords('quelle salope', filter)).toBe(true);
+        expect(hasBlockedWords('يا قحبة', filter)).toBe(true);
+        expect(hasBlockedWords('no brocoli please', filter)).toBe(true);
+    });
+
+    it('skips bundled words that are ordinary in another language', () => {
+        expect(hasBlockedWords('the dog will bite', filter)).toBe(false);
+        expect(hasBlockedWords('je suis en retard', filter)).toBe(false);
+        expect(hasBlockedWords('the dog will bite', getWordFilter({ wordFilter: { enabled: true, customWords: ['bite'] } }))).toBe(true);
+    });
+
+    it('keeps ordinary words that start like a blocked one', () => {
+        expect(hasBlockedWords('a cocky grin next to the cocker spaniel', filter)).toBe(false);
+        expect(hasBlockedWords('I pricked my finger', filter)).toBe(false);
+        expect(hasBlockedWords('you cock', filter)).toBe(true);
+        expect(hasBlockedWords('fucking hell', filter)).toBe(true);
+    });
+
+    it('masks blocked words but their first letter', () => {
+        expect(maskBlockedWords('what the fuck', filter)).toBe('what the f***');
+        expect(maskBlockedWords('bite me', filter)).toBe('bite me');
+    });
+
+    it('lets everything through when the filter is off', () => {
+        expect(hasBlockedWords('fuck', getWordFilter({}))).toBe(false);
+    });
+});